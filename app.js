@@ -37,6 +37,12 @@ async function startServer() {
         app.set('services', services);
         console.log('✅ 所有服務已成功注入 app');
 
+        if (config.DEV_AUTH.ENABLED) {
+            console.warn('🚧 [DevAuth] 開發用身分已啟用 (/api/auth/dev-login)，請勿用於正式環境');
+        } else if (config.DEV_AUTH.REQUESTED) {
+            console.warn(`⚠️ [DevAuth] 已設定 DEV_AUTH=true 但 NODE_ENV=${process.env.NODE_ENV || '(未設定)'}，開發用身分不會啟用`);
+        }
+
         // 3. 設定 API 路由
         
         // 公開路由：健康檢查
@@ -46,7 +52,17 @@ async function startServer() {
             if (!authService) return res.status(503).json({ status: 'initializing' });
             
             const healthStatus = await authService.checkAuthStatus();
-            res.json({ status: 'ok', timestamp: new Date().toISOString(), services: healthStatus });
+            const devAuth = authService.getDevAuthStatus();
+            // 正式環境開著開發用身分屬於部署錯誤，健康檢查不回 ok，讓部署流程攔下
+            if (devAuth.misconfigured) {
+                return res.status(503).json({
+                    status: 'error',
+                    message: 'DEV_AUTH 不可在 production 環境啟用',
+                    timestamp: new Date().toISOString(),
+                    devAuth
+                });
+            }
+            res.json({ status: 'ok', timestamp: new Date().toISOString(), services: healthStatus, devAuth });
         });
 
         // 掛載所有 API 路由
@@ -68,6 +84,8 @@ async function startServer() {
         // ==================== 伺服器啟動 ====================
         app.listen(config.PORT, () => {
             console.log(`🚀 CRM 系統已在 http://localhost:${config.PORT} 啟動`);
+            // 背景排程只在實際提供服務的行程啟動 (工具腳本載入 Service Container 時不會執行)
+            services.jobSchedulerService.start();
         });
 
     } catch (error) {
@@ -5,8 +5,23 @@
  * @date 2026-01-09
  * @description 定義全域環境變數、Sheet ID 路由表、資料源切換開關與系統常數。
  * 本次重構新增 IDS 與 DATA_SOURCES 物件以支援多資料源架構。
+ * 設定環境變數 DATA_SOURCES=LOCAL 時，所有模組改用本地檔案資料源 (見 LOCAL_DATA)，無需 Google / Supabase 憑證。
+ * 各模組讀取來源 (SHEET / SQL / SQL_WITH_SHEET_FALLBACK) 可用 DATA_SOURCE_<MODULE> 個別覆寫，預設為 SHEET。
+ * 寫入僅在 SQL 模式寫入 SQL，其餘模式寫入 Sheet (切換前請先執行 npm run migrate:sql)。
  */
 
+const path = require('path');
+
+// DATA_SOURCES=LOCAL：整套系統改用本地檔案資料源 (開發機 / 測試環境)
+const IS_LOCAL_DATA = String(process.env.DATA_SOURCES || '').toUpperCase() === 'LOCAL';
+
+// 模組讀取來源：環境變數 DATA_SOURCE_<MODULE> 優先，其次為預設值
+const sourceFor = (moduleName, defaultMode) =>
+    String(process.env[`DATA_SOURCE_${moduleName}`] || defaultMode).toUpperCase();
+
+// LOCAL 模式下若未提供 Sheet ID，使用固定的本地工作簿名稱
+const localId = (envValue, localName) => envValue || (IS_LOCAL_DATA ? localName : undefined);
+
 module.exports = {
     // 環境設定
     NODE_ENV: process.env.NODE_ENV || 'development',
@@ -19,39 +34,56 @@ module.exports = {
     // 即使目前多數指向同一個 ID，邏輯上我們將其視為不同實體。
     IDS: {
         // 1. 核心業務資料 (High Value: 客戶, 機會, 互動)
-        CORE: process.env.SPREADSHEET_ID, 
+        CORE: localId(process.env.SPREADSHEET_ID, 'local-core'),
 
         // 2. 原始資料/暫存區 (High Frequency: OCR, Line Leads)
         // 若環境變數未設定 RAW_DATA_ID，暫時使用 CORE ID (向下相容方便測試)
-        RAW: process.env.RAW_DATA_SPREADSHEET_ID,
+        RAW: localId(process.env.RAW_DATA_SPREADSHEET_ID, 'local-raw'),
 
         // 3. 系統設定 (Configuration: 下拉選單, 參數)
         // 這是我們第一個要實體分離的目標
-        SYSTEM: process.env.SYSTEM_SETTING_SPREADSHEET_ID,
+        SYSTEM: localId(process.env.SYSTEM_SETTING_SPREADSHEET_ID, 'local-system'),
 
         // 4. 權限與使用者 (Security: User, Auth)
         // 使用既有的 AUTH_SPREADSHEET_ID
-        AUTH: process.env.AUTH_SPREADSHEET_ID,
+        AUTH: localId(process.env.AUTH_SPREADSHEET_ID, 'local-system'),
 
         // 5. 市場商品資料 (Domain: Products)
         // 使用既有的 MARKET_PRODUCT_SHEET_ID
-        PRODUCT: process.env.MARKET_PRODUCT_SHEET_ID
+        PRODUCT: localId(process.env.MARKET_PRODUCT_SHEET_ID, 'local-product')
     },
 
     // ============================================================
     // ★★★ Phase 5 Refactoring: 資料源切換開關 (Source Toggles) ★★★
     // ============================================================
-    // 決定各模組的資料來源是 'SHEET' 還是 'SQL'。
-    // 目前階段全數預設為 'SHEET'。
+    // 決定各模組的讀取來源，由 data/*-repository.js 依此路由：
+    // - 'SHEET': 僅讀 Google Sheet
+    // - 'SQL': 僅讀 Supabase
+    // - 'SQL_WITH_SHEET_FALLBACK': 先讀 SQL，失敗 (或尚未同步) 時改讀 Sheet
+    // 預設一律為 'SHEET'；SQL 相關模式需以 DATA_SOURCE_<MODULE> 逐模組明確啟用 (啟用前先執行 npm run migrate:sql)。
+    // CONTACT / WEEKLY 例外：正式聯絡人與週間業務原本就只寫入 SQL，因此沿用 SQL 優先、Sheet 備援。
+    // SYSTEM / PRODUCT / AUTH 目前僅有 Sheet 實作。
     DATA_SOURCES: {
-        CONTACT: 'SHEET',
-        OPPORTUNITY: 'SHEET',
-        INTERACTION: 'SHEET',
-        EVENT_LOG: 'SHEET',
+        CONTACT: sourceFor('CONTACT', 'SQL_WITH_SHEET_FALLBACK'),
+        COMPANY: sourceFor('COMPANY', 'SHEET'),
+        OPPORTUNITY: sourceFor('OPPORTUNITY', 'SHEET'),
+        INTERACTION: sourceFor('INTERACTION', 'SHEET'),
+        EVENT_LOG: sourceFor('EVENT_LOG', 'SHEET'),
+        ANNOUNCEMENT: sourceFor('ANNOUNCEMENT', 'SHEET'),
+        WEEKLY: sourceFor('WEEKLY', 'SQL_WITH_SHEET_FALLBACK'),
+        AUDIT: sourceFor('AUDIT', 'SHEET'),
         SYSTEM: 'SHEET',
         PRODUCT: 'SHEET',
-        AUTH: 'SHEET',
-        WEEKLY: 'SHEET'
+        AUTH: 'SHEET'
+    },
+
+    // 本地資料源設定 (DATA_SOURCES=LOCAL)
+    // DIR 設為 ':memory:' 時資料僅存在記憶體中，程序結束即清空
+    LOCAL_DATA: {
+        ENABLED: IS_LOCAL_DATA,
+        DIR: process.env.LOCAL_DATA_DIR || path.join(__dirname, 'local-data'),
+        // 首次建立本地使用者名冊時，以此密碼建立 admin 帳號 (未設定則不建立)
+        ADMIN_PASSWORD: process.env.LOCAL_ADMIN_PASSWORD
     },
 
     // --- 保留舊有設定以供尚未重構的模組讀取 (Legacy Support) ---
@@ -89,8 +121,35 @@ module.exports = {
         WEEKLY_BUSINESS: '週間業務工作表',
         ANNOUNCEMENTS: '佈告欄',
 
+        // 欄位層級變更紀錄 (位於 SYSTEM 試算表)
+        AUDIT_LOG: '變更紀錄',
+
         // 市場商品資料
-        MARKET_PRODUCTS: '市場商品資料'
+        MARKET_PRODUCTS: '市場商品資料',
+
+        // 機會案件的額外共享對象 (負責業務與其主管以外)
+        OPPORTUNITY_SHARES: '機會共享表',
+
+        // 待辦任務 (可關聯機會 / 公司 / 聯絡人 / 互動紀錄；互動紀錄填寫下次行動與日期時自動建立)
+        TASKS: '任務',
+
+        // 登入工作階段 / Refresh Token (位於 AUTH 試算表，與使用者名冊同檔)
+        AUTH_SESSIONS: '登入工作階段',
+
+        // 個人 API 金鑰 (位於 AUTH 試算表)
+        API_TOKENS: 'API金鑰',
+
+        // 對外 Webhook 訂閱與傳送紀錄 (位於 AUTH 試算表；訂閱含簽章密鑰)
+        WEBHOOKS: 'Webhook訂閱',
+        WEBHOOK_DELIVERIES: 'Webhook傳送紀錄',
+
+        // 背景排程工作狀態 (位於 AUTH 試算表；每個工作一列，含跨執行個體的執行鎖)
+        SCHEDULED_JOBS: '排程工作',
+
+        // 站內通知、個人通知設定與機會追蹤提醒延後 (位於 AUTH 試算表；通知設定含 Email)
+        NOTIFICATIONS: '通知',
+        NOTIFICATION_PREFERENCES: '通知設定',
+        FOLLOW_UP_SNOOZES: '追蹤提醒延後'
     },
 
     // 重構：機會案件 - 標準標題名稱定義
@@ -144,12 +203,79 @@ module.exports = {
         LAST_UPDATE_TIME: 5, STATUS: 6, IS_PINNED: 7
     },
 
+    // 變更紀錄欄位 (一個欄位變更一列，同一次操作共用 BATCH_ID)
+    AUDIT_LOG_FIELDS: {
+        AUDIT_ID: 0, BATCH_ID: 1, TIMESTAMP: 2, ENTITY_TYPE: 3, ENTITY_ID: 4,
+        ACTION: 5, FIELD: 6, OLD_VALUE: 7, NEW_VALUE: 8, ACTOR: 9
+    },
+
     // 機會-聯絡人關聯表欄位
     OPP_CONTACT_LINK_FIELDS: {
         LINK_ID: 0, OPPORTUNITY_ID: 1, CONTACT_ID: 2, 
         CREATE_TIME: 3, STATUS: 4, CREATOR: 5
     },
 
+    // 機會共享表欄位 (SHARED_WITH 為使用者名冊帳號)
+    OPPORTUNITY_SHARE_FIELDS: {
+        SHARE_ID: 0, OPPORTUNITY_ID: 1, SHARED_WITH: 2, CREATE_TIME: 3, CREATOR: 4
+    },
+
+    // 任務欄位 (ASSIGNEE / CREATOR / COMPLETED_BY 為使用者名冊帳號；DUE_DATE 為 YYYY-MM-DD；
+    // STATUS 為 open / done / cancelled；SOURCE 為 manual 或 interaction (由互動紀錄的下次行動建立))
+    TASK_FIELDS: {
+        TASK_ID: 0, TITLE: 1, DESCRIPTION: 2, DUE_DATE: 3, ASSIGNEE: 4, STATUS: 5,
+        OPPORTUNITY_ID: 6, COMPANY_ID: 7, CONTACT_ID: 8, INTERACTION_ID: 9, SOURCE: 10,
+        CREATOR: 11, CREATE_TIME: 12, LAST_UPDATE_TIME: 13, COMPLETED_TIME: 14, COMPLETED_BY: 15
+    },
+
+    // 通知欄位 (RECIPIENT 為使用者名冊帳號；DEDUPE_KEY 避免同一提醒重複產生；
+    // SENT_TIME / SENT_CHANNELS 為經 LINE / Email 送出的時間與通道，空白表示尚未外送)
+    NOTIFICATION_FIELDS: {
+        NOTIFICATION_ID: 0, RECIPIENT: 1, TYPE: 2, TITLE: 3, MESSAGE: 4, OPPORTUNITY_ID: 5,
+        DEDUPE_KEY: 6, CREATE_TIME: 7, READ_TIME: 8, SENT_TIME: 9, SENT_CHANNELS: 10
+    },
+
+    // 通知設定欄位 (每位使用者一列；DIGEST 為 immediate / daily / weekly / off；CHANNELS 以逗號分隔 line / email)
+    NOTIFICATION_PREFERENCE_FIELDS: {
+        USERNAME: 0, DIGEST: 1, CHANNELS: 2, EMAIL: 3, LAST_DIGEST_TIME: 4, UPDATE_TIME: 5
+    },
+
+    // 追蹤提醒延後欄位 (每位使用者每個機會一列；UNTIL 為 YYYY-MM-DD，當天之後恢復提醒)
+    FOLLOW_UP_SNOOZE_FIELDS: {
+        USERNAME: 0, OPPORTUNITY_ID: 1, UNTIL: 2, CREATE_TIME: 3
+    },
+
+    // 登入工作階段欄位 (一次登入一列，Refresh Token 輪替時原地更新；只存 Token 的 SHA-256 雜湊)
+    AUTH_SESSION_FIELDS: {
+        SESSION_ID: 0, USERNAME: 1, TOKEN_HASH: 2, PREVIOUS_TOKEN_HASH: 3, TOKEN_VERSION: 4,
+        CREATE_TIME: 5, LAST_REFRESH_TIME: 6, EXPIRES_AT: 7, REVOKED_AT: 8, USER_AGENT: 9
+    },
+
+    // API 金鑰欄位 (只存金鑰的 SHA-256 雜湊；TOKEN_PREFIX 為金鑰開頭幾碼，供使用者辨識；SCOPES 以逗號分隔)
+    API_TOKEN_FIELDS: {
+        TOKEN_ID: 0, USERNAME: 1, NAME: 2, TOKEN_HASH: 3, TOKEN_PREFIX: 4, SCOPES: 5,
+        CREATE_TIME: 6, EXPIRES_AT: 7, LAST_USED_TIME: 8, REVOKED_AT: 9
+    },
+
+    // Webhook 訂閱欄位 (EVENT_TYPES 以逗號分隔；SECRET 為 HMAC 簽章密鑰，須可還原故存明文)
+    WEBHOOK_FIELDS: {
+        WEBHOOK_ID: 0, NAME: 1, URL: 2, EVENT_TYPES: 3, SECRET: 4, ENABLED: 5,
+        CREATOR: 6, CREATE_TIME: 7, LAST_UPDATE_TIME: 8
+    },
+
+    // Webhook 傳送紀錄欄位 (每次嘗試一列；STATUS 為 success / retrying / failed)
+    WEBHOOK_DELIVERY_FIELDS: {
+        DELIVERY_ID: 0, WEBHOOK_ID: 1, EVENT_ID: 2, EVENT_TYPE: 3, ATTEMPT: 4, STATUS: 5,
+        HTTP_STATUS: 6, ERROR: 7, DURATION_MS: 8, TIME: 9
+    },
+
+    // 排程工作狀態欄位 (ENABLED 空白時依程式預設；LOCK_OWNER / LOCK_EXPIRES_AT 為執行鎖，執行結束即清除)
+    SCHEDULED_JOB_FIELDS: {
+        JOB_ID: 0, ENABLED: 1, LAST_STATUS: 2, LAST_STARTED_AT: 3, LAST_FINISHED_AT: 4, LAST_DURATION_MS: 5,
+        LAST_RESULT: 6, LAST_ERROR: 7, LAST_TRIGGER: 8, NEXT_RUN_AT: 9, LOCK_OWNER: 10, LOCK_EXPIRES_AT: 11,
+        UPDATED_BY: 12, UPDATED_TIME: 13
+    },
+
     // 原始名片資料欄位對應
     CONTACT_FIELDS: {
         TIME: 0, NAME: 1, COMPANY: 2, POSITION: 3, DEPARTMENT: 4, PHONE: 5, MOBILE: 6, FAX: 7, EMAIL: 8, WEBSITE: 9, ADDRESS: 10, CONFIDENCE: 11, PROCESSING_TIME: 12, DRIVE_LINK: 13, SMART_FILENAME: 14, LOCAL_PATH: 15, RAW_TEXT: 16, AI_PARSING: 17, AI_CONFIDENCE: 18, DATA_SOURCE: 19, LINE_USER_ID: 20, USER_NICKNAME: 21, USER_TAG: 22, ORIGINAL_ID: 23, STATUS: 24
@@ -220,6 +346,19 @@ module.exports = {
         LAST_UPDATE_TIME: 21 // 最後修改日期
     },
 
+    // 商品機敏欄位 (上方標記「機敏」者，以 ProductReader DTO 欄位名稱表示) 的存取控制
+    // - VIEW_PERMISSIONS：欄位 → 檢視所需權限；未列出的欄位具 product:read 即可檢視 (MTU 售價為對外牌價)
+    // - 批次更新中修改任一 SENSITIVE_FIELDS 需具備 PRICING_WRITE_PERMISSION
+    PRODUCT_ACCESS: {
+        SENSITIVE_FIELDS: ['cost', 'priceMtb', 'priceSi', 'priceMtu'],
+        VIEW_PERMISSIONS: {
+            cost: 'product:viewCost',
+            priceMtb: 'product:viewCost',
+            priceSi: 'product:viewCost'
+        },
+        PRICING_WRITE_PERMISSION: 'product:writePricing'
+    },
+
     // 分頁設定
     PAGINATION: {
         CONTACTS_PER_PAGE: 20,
@@ -229,10 +368,56 @@ module.exports = {
         PRODUCTS_PER_PAGE: 50
     },
     
-    // Follow-up 設定
+    // Follow-up 設定 (追蹤對象為「機會階段」類型為 open 的案件，見 utils/pipeline-stages.js)
+    // 超過 DAYS_THRESHOLD 天未互動，或預計結案日已過仍停留在 open 階段時，由 followUp.detect 排程通知負責業務
     FOLLOW_UP: {
         DAYS_THRESHOLD: 7,
-        ACTIVE_STAGES: ['01_初步接觸', '02_需求確認', '03_提案報價', '04_談判修正']
+        // 單次延後提醒的天數上限
+        MAX_SNOOZE_DAYS: 90
+    },
+
+    // 通知 (站內通知中心 + 選用的 LINE / Email 外送)
+    NOTIFICATIONS: {
+        // 未設定通知偏好的使用者：只有站內通知，不外送
+        DEFAULT_DIGEST: 'off',
+        LIST_LIMIT: 100,
+        // 單則摘要最多列出的通知數，其餘以「另有 N 則」帶過
+        DIGEST_MAX_ITEMS: 20,
+        TIMEOUT_MS: 10000,
+        // LINE Messaging API 推播；收件者為使用者名冊的 LINE ID，Messaging API channel 須與 LINE Login 屬同一 Provider
+        LINE: {
+            CHANNEL_ACCESS_TOKEN: process.env.LINE_MESSAGING_ACCESS_TOKEN || '',
+            PUSH_URL: 'https://api.line.me/v2/bot/message/push'
+        },
+        // Email 經 HTTP 轉寄服務送出：POST JSON { from, to, subject, text }，Authorization: Bearer RELAY_TOKEN
+        EMAIL: {
+            RELAY_URL: process.env.EMAIL_RELAY_URL || '',
+            RELAY_TOKEN: process.env.EMAIL_RELAY_TOKEN || '',
+            FROM: process.env.EMAIL_FROM || ''
+        }
+    },
+
+    // 銷售預測設定
+    // 承諾 (committed)：已贏單 + 下單機率達 COMMIT_PROBABILITY 的進行中案件
+    FORECAST: {
+        COMMIT_PROBABILITY: 80,
+        GROUP_BY: ['assignee', 'month', 'type']
+    },
+
+    // 銷售階段設定
+    // 階段類型 (open/won/lost)、預設贏單機率與排序由系統設定「機會階段」維護；
+    // 此處僅為尚未標記類型的舊階段提供相容對應，以及設定中缺少某類型階段時沿用的舊階段名稱
+    PIPELINE: {
+        LEGACY_STAGE_TYPES: {
+            '受注': 'won',
+            '已成交': 'won',
+            '已結案(失敗)': 'lost'
+        },
+        LEGACY_DEFAULT_STAGES: {
+            open: '01_初步接觸',
+            won: '已成交',
+            lost: '已結案(失敗)'
+        }
     },
     
     // Calendar 事件命名格式
@@ -242,6 +427,46 @@ module.exports = {
         REMINDER_MINUTES: 15
     },
     
+    // 領域事件 (services/domain-event-bus.js)：訂閱者第一次執行失敗後的背景重試次數與起始間隔 (每次倍增)
+    DOMAIN_EVENTS: {
+        MAX_RETRIES: 3,
+        RETRY_BASE_DELAY_MS: 1000
+    },
+    
+    // 對外 Webhook (services/webhook-service.js)：事件以 HMAC-SHA256 簽章的 JSON POST 至訂閱網址
+    // 失敗 (非 2xx、逾時、連線錯誤) 依 RETRY_BASE_DELAY_SECONDS 倍增間隔重送，最多 MAX_ATTEMPTS 次 (重送排程存於記憶體)
+    WEBHOOKS: {
+        MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+        RETRY_BASE_DELAY_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_SECONDS, 10) || 30,
+        TIMEOUT_MS: 10000,
+        SECRET_PREFIX: 'whsec_',
+        SIGNATURE_HEADER: 'X-CRM-Signature',
+        // 列表只回傳最近的傳送紀錄
+        DELIVERY_LIST_LIMIT: 100
+    },
+    
+    // 即時推播 (GET /api/stream，Server-Sent Events)：資料異動通知 { entity, id, action, actor }
+    // 連線在 Access Token 到期時 (或 MAX_CONNECTION_MINUTES 後) 由伺服器關閉，前端換發 Token 後重新連線
+    STREAM: {
+        HEARTBEAT_SECONDS: 25,
+        MAX_CONNECTION_MINUTES: 60,
+        MAX_CONNECTIONS_PER_USER: 10,
+        // 建議前端斷線後的重新連線間隔 (SSE retry 欄位)
+        RETRY_MS: 5000
+    },
+
+    // 背景排程 (services/job-scheduler-service.js)：每分鐘依 cron (config.TIMEZONE) 檢查到期工作
+    // 多個執行個體共用 AUTH「排程工作」的執行鎖：寫入後等待 LOCK_SETTLE_MS 再讀回確認，仍為自己才執行
+    // 只想讓部分執行個體跑排程時，其餘設定 SCHEDULER_ENABLED=false
+    SCHEDULER: {
+        ENABLED: process.env.SCHEDULER_ENABLED !== 'false',
+        LOCK_SETTLE_MS: parseInt(process.env.SCHEDULER_LOCK_SETTLE_MS, 10) || 2000,
+        // 工作未指定 timeoutMinutes 時的執行鎖租期；執行個體中途當機時，鎖在租期後自動失效
+        DEFAULT_LOCK_MINUTES: 10,
+        // 啟動後延遲執行 runOnStart 工作，避免與服務初始化的讀取同時發生
+        STARTUP_DELAY_SECONDS: 30
+    },
+    
     // 系統常數
     CONSTANTS: {
         OPPORTUNITY_STATUS: {
@@ -251,7 +476,9 @@ module.exports = {
             ARCHIVED: '已封存'
         },
         CONTACT_STATUS: {
-            UPGRADED: '已升級'
+            UPGRADED: '已升級',
+            FILED: '已建檔',
+            ARCHIVED: '已歸檔'
         },
         DEFAULT_VALUES: {
             OPPORTUNITY_VALUE: '',
@@ -282,6 +509,129 @@ module.exports = {
     // 認證相關設定
     AUTH: {
         JWT_SECRET: process.env.JWT_SECRET,
-        JWT_EXPIRES_IN: '8h'
+        // Access Token 短效；到期後前端以 Refresh Token 換發 (每次換發都會輪替 Refresh Token)
+        ACCESS_TOKEN_EXPIRES_IN: '15m',
+        // Refresh Token 閒置超過此天數即失效 (每次換發重新起算)
+        REFRESH_TOKEN_TTL_DAYS: 14,
+        // 同一支 Refresh Token 在輪替後此秒數內被重送 (例如多分頁同時換發) 只拒絕、不視為遭竊
+        REFRESH_REUSE_GRACE_SECONDS: 30,
+        // 使用者名冊 (AUTH 試算表)：A 帳號 / B 密碼雜湊 / C 顯示名稱 / D 角色 / E 主管 / F 狀態 / G 最後登入 / H 需變更密碼
+        // I Token 版本：變更密碼、重設密碼或停用帳號時 +1，簽發時版本較舊的 Token 全部失效
+        // J LINE ID：綁定的 LINE 使用者 (ID Token 的 sub)，/api/line/* 以此對應 CRM 帳號
+        // 狀態欄填入此值即停用帳號 (無法登入)；空白視為啟用
+        USER_DISABLED_STATUS: '停用',
+        // 密碼規則 (使用者變更密碼與管理員設定密碼共用，見 utils/password-policy.js)；可用環境變數調整
+        PASSWORD_POLICY: {
+            MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+            REQUIRE_LETTER: process.env.PASSWORD_REQUIRE_LETTER !== 'false',
+            REQUIRE_DIGIT: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+            REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+            // 密碼不可包含帳號
+            DISALLOW_USERNAME: true
+        },
+        // 登入失敗節流：時間窗內同一帳號或同一 IP 失敗達上限即暫時鎖定 (記錄於記憶體，重啟後歸零)
+        LOGIN_THROTTLE: {
+            WINDOW_MINUTES: 15,
+            MAX_FAILURES_PER_ACCOUNT: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT, 10) || 5,
+            MAX_FAILURES_PER_IP: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20,
+            LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15
+        },
+        // 個人 API 金鑰：供腳本 / 整合以 Authorization: Bearer <金鑰> 呼叫 API，權限為「帳號角色 ∩ 金鑰範圍」
+        API_TOKEN: {
+            PREFIX: 'crm_pat_',
+            MAX_PER_USER: 20,
+            // 最後使用時間的寫回間隔 (避免每個請求都寫試算表)
+            LAST_USED_WRITE_INTERVAL_SECONDS: 300
+        }
+    },
+
+    // 開發用身分 (Dev Auth)：環境變數 NODE_ENV=development (須明確設定，不採用上方 NODE_ENV 的預設值) 且 DEV_AUTH=true 時才啟用。
+    // 啟用後 /api/auth/dev-users、/api/auth/dev-login 可直接以下列假帳號取得正式簽章的 JWT (payload 帶 dev: true)，
+    // 未啟用時帶 dev 標記的 Token 一律拒絕。production 設定 DEV_AUTH=true 時 /health 回報錯誤。
+    DEV_AUTH: {
+        REQUESTED: process.env.DEV_AUTH === 'true',
+        ENABLED: process.env.NODE_ENV === 'development' && process.env.DEV_AUTH === 'true',
+        USERS: [
+            { username: 'dev-admin', name: '開發者 (管理員)', role: 'admin' },
+            { username: 'dev-manager', name: '開發者 (主管)', role: 'manager' },
+            { username: 'dev-sales', name: '開發者 (業務)', role: 'sales' },
+            { username: 'dev-viewer', name: '開發者 (檢視者)', role: 'viewer' }
+        ],
+        // 開發用身分不在使用者名冊中，沒有 Refresh Token，改簽較長效的 Token
+        TOKEN_EXPIRES_IN: '8h'
+    },
+
+    // 權限模型 (角色 → 權限)
+    // 權限格式為「資源:動作」，'*' 代表全部權限、'資源:*' 代表該資源的所有動作。
+    // ROLE_PERMISSIONS 為預設值；AUTH 試算表 (與使用者名冊同檔) 的「角色權限」工作表
+    // 有列出的角色以工作表為準 (A: 角色, B: 權限 (逗號或換行分隔), C: 說明)。
+    // 沒有 record:viewAll 的使用者只看得到自己與下屬 (使用者名冊「主管」欄) 負責、或共享給他們的機會 (RecordVisibilityService)。
+    PERMISSIONS: {
+        SHEET_NAME: '角色權限',
+        // 使用者名冊未填角色時套用
+        DEFAULT_ROLE: 'sales',
+        ROLES: ['admin', 'manager', 'sales', 'viewer'],
+        CATALOG: {
+            'system:read': '讀取系統設定與狀態',
+            'system:admin': '系統維護 (清除快取)',
+            'dashboard:read': '檢視儀表板',
+            'opportunity:read': '檢視機會案件',
+            'opportunity:write': '新增/編輯機會案件',
+            'opportunity:delete': '刪除機會案件',
+            'company:read': '檢視公司',
+            'company:write': '新增/編輯公司',
+            'company:delete': '刪除公司',
+            'contact:read': '檢視聯絡人與名片',
+            'contact:write': '編輯聯絡人與名片建檔',
+            'interaction:read': '檢視互動紀錄',
+            'interaction:write': '新增/編輯互動紀錄',
+            'interaction:delete': '刪除互動紀錄',
+            'event:read': '檢視事件紀錄',
+            'event:write': '新增/編輯事件紀錄',
+            'event:delete': '刪除事件紀錄',
+            'weekly:read': '檢視週間業務',
+            'weekly:write': '新增/編輯週間業務',
+            'weekly:delete': '刪除週間業務',
+            'announcement:read': '檢視公告',
+            'announcement:write': '發布/編輯公告',
+            'announcement:delete': '刪除公告',
+            'task:read': '檢視任務',
+            'task:write': '新增/編輯/完成任務',
+            'task:delete': '刪除任務',
+            'notification:read': '檢視自己的通知、通知設定與延後追蹤提醒',
+            'calendar:read': '檢視日曆',
+            'calendar:write': '建立日曆事件',
+            'product:read': '檢視商品',
+            'product:write': '編輯商品與分類排序',
+            'product:viewCost': '檢視商品成本與 MTB/SI 價格',
+            'product:writePricing': '修改商品成本與價格',
+            'sales:read': '檢視銷售分析/預測/漏斗',
+            'audit:read': '檢視變更紀錄',
+            'user:admin': '管理使用者帳號 (新增、角色、停用、重設密碼)',
+            'apiToken:manage': '建立 / 撤銷自己的 API 金鑰',
+            'webhook:manage': '管理對外 Webhook 訂閱與檢視傳送紀錄',
+            'job:manage': '檢視、手動執行與停用背景排程工作',
+            'record:viewAll': '檢視所有人的機會與互動紀錄 (不受負責業務 / 團隊範圍限制)'
+        },
+        ROLE_PERMISSIONS: {
+            admin: ['*'],
+            manager: [
+                'system:read', 'dashboard:read', 'opportunity:*', 'company:*', 'contact:*',
+                'interaction:*', 'event:*', 'weekly:*', 'announcement:*', 'calendar:*', 'task:*',
+                'product:read', 'product:write', 'product:viewCost', 'sales:read', 'audit:read',
+                'apiToken:manage', 'notification:read'
+            ],
+            sales: [
+                'system:read', 'dashboard:read', 'opportunity:read', 'opportunity:write',
+                'company:read', 'company:write', 'contact:*', 'interaction:*', 'event:*', 'weekly:*',
+                'announcement:read', 'calendar:*', 'task:*', 'product:read', 'sales:read', 'audit:read',
+                'apiToken:manage', 'notification:read'
+            ],
+            viewer: [
+                'system:read', 'dashboard:read', 'opportunity:read', 'company:read', 'contact:read',
+                'interaction:read', 'event:read', 'weekly:read', 'announcement:read', 'calendar:read', 'sales:read',
+                'task:read', 'apiToken:manage', 'notification:read'
+            ]
+        }
     }
 };
\ No newline at end of file
@@ -1,21 +1,47 @@
 /**
  * config/supabase.js
  * Supabase client (SQL Read enabled)
+ * - Lazy init: env vars are only checked on first use, so requiring SQL readers never throws.
+ * - DATA_SOURCES=LOCAL: backed by LocalSqlClient (data/local-sql-client.js) instead of Supabase.
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const config = require('../config');
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+let client = null;
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  throw new Error('Supabase env vars missing: SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY');
+function getSupabaseClient() {
+  if (client) return client;
+
+  if (config.LOCAL_DATA.ENABLED) {
+    const LocalSqlClient = require('../data/local-sql-client');
+    const { getLocalStore } = require('../data/local-store');
+    client = new LocalSqlClient(getLocalStore());
+    return client;
+  }
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('Supabase env vars missing: SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  client = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+    auth: {
+      persistSession: false
+    }
+  });
+  return client;
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
-  auth: {
-    persistSession: false
+// Proxy keeps `const { supabase } = require(...)` working while deferring creation
+const supabase = new Proxy({}, {
+  get(_target, prop) {
+    const instance = getSupabaseClient();
+    const value = instance[prop];
+    return typeof value === 'function' ? value.bind(instance) : value;
   }
 });
 
-module.exports = { supabase };
+module.exports = { supabase, getSupabaseClient };
@@ -1,8 +1,8 @@
 // controllers/announcement.controller.js
 /**
  * AnnouncementController
- * * @version 6.0.0 (Phase 6 - Service Integration)
- * @date 2026-01-14
+ * * @version 6.0.1 (Audit: pass operator on delete)
+ * @date 2026-10-19
  * @description 公告模組控制器，修正為依賴 Service 層。
  */
 
@@ -49,7 +49,7 @@ class AnnouncementController {
     // DELETE /api/announcements/:id
     deleteAnnouncement = async (req, res) => {
         try {
-            const result = await this.announcementService.deleteAnnouncement(req.params.id);
+            const result = await this.announcementService.deleteAnnouncement(req.params.id, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Delete Announcement');
@@ -0,0 +1,53 @@
+// controllers/api-token.controller.js
+/**
+ * ApiTokenController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 個人 API 金鑰 API ( /api/api-tokens )，僅負責轉接 ApiTokenService。
+ * 金鑰本身只在建立的回應中出現一次，不另行保存。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class ApiTokenController {
+    /**
+     * @param {ApiTokenService} apiTokenService
+     */
+    constructor(apiTokenService) {
+        this.apiTokenService = apiTokenService;
+    }
+
+    // GET /api/api-tokens (?all=true：管理員列出所有人的金鑰)
+    getTokens = async (req, res) => {
+        try {
+            const [data, scopes] = await Promise.all([
+                this.apiTokenService.listTokens(req.user, { all: req.query.all === 'true' }),
+                this.apiTokenService.getAvailableScopes(req.user)
+            ]);
+            res.json({ success: true, data, scopes });
+        } catch (error) {
+            handleApiError(res, error, 'Get API Tokens');
+        }
+    };
+
+    // POST /api/api-tokens
+    createToken = async (req, res) => {
+        try {
+            const result = await this.apiTokenService.createToken(req.user, req.body || {});
+            res.status(201).json({ success: true, data: result.data, token: result.token });
+        } catch (error) {
+            handleApiError(res, error, 'Create API Token');
+        }
+    };
+
+    // DELETE /api/api-tokens/:tokenId
+    revokeToken = async (req, res) => {
+        try {
+            res.json(await this.apiTokenService.revokeToken(req.user, req.params.tokenId));
+        } catch (error) {
+            handleApiError(res, error, 'Revoke API Token');
+        }
+    };
+}
+
+module.exports = ApiTokenController;
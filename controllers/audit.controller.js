@@ -0,0 +1,35 @@
+// controllers/audit.controller.js
+/**
+ * AuditController
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 變更紀錄查詢 API。實體讀取權限由 AuditService 依登入者檢查，不足時回傳與 requirePermission 相同格式的 403。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+const { sendPermissionDenied } = require('../middleware/role.middleware');
+
+class AuditController {
+    /**
+     * @param {AuditService} auditService
+     */
+    constructor(auditService) {
+        this.auditService = auditService;
+    }
+
+    // GET /api/audit?entity=&id=&limit=
+    getAuditLogs = async (req, res) => {
+        try {
+            const { entity, id, limit } = req.query;
+            const data = await this.auditService.getAuditLogs({ entity, id, limit }, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            if (error.code === 'PERMISSION_DENIED') {
+                return sendPermissionDenied(req, res, error.permission, error.message);
+            }
+            handleApiError(res, error, 'Get Audit Logs');
+        }
+    };
+}
+
+module.exports = AuditController;
@@ -1,12 +1,18 @@
 // controllers/auth.controller.js
 /**
  * AuthController Class
- * * @version 5.1.0 (Phase 5 - Class Refactoring)
- * @date 2026-01-12
+ * * @version 5.6.0 (LINE Binding)
+ * @date 2026-10-19
  * @description 適配器層，負責將 HTTP 請求轉發給 AuthService。
+ * verify 回應附帶目前使用者的權限清單。
+ * dev-users / dev-login 僅在開發用身分啟用時可用，否則由 AuthService 回 404。
+ * refresh / logout 以 body.refreshToken 識別工作階段 (Access Token 過期時仍可呼叫)。
+ * 登入失敗次數過多時回 429 (附 Retry-After)；password-policy 提供前端顯示的密碼規則。
+ * line-login 以 LINE ID Token 登入已綁定的 CRM 帳號；未綁定時回 403 LINE_ACCOUNT_NOT_LINKED。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { describePolicy } = require('../utils/password-policy');
 
 class AuthController {
     /**
@@ -23,7 +29,10 @@ class AuthController {
         try {
             const { username, password } = req.body;
             // 呼叫 Service
-            const result = await this.authService.login(username, password);
+            const result = await this.authService.login(username, password, {
+                userAgent: req.headers['user-agent'],
+                ip: req.ip
+            });
             
             res.json({ 
                 success: true, 
@@ -34,21 +43,110 @@ class AuthController {
             if (error.message === '帳號或密碼錯誤') {
                 return res.status(401).json({ success: false, message: error.message });
             }
+            if (error.code === 'LOGIN_LOCKED') {
+                res.set('Retry-After', String(error.retryAfter));
+                return res.status(429).json({ success: false, code: error.code, message: error.message, retryAfter: error.retryAfter });
+            }
             handleApiError(res, error, 'Login');
         }
     };
 
+    /**
+     * GET /api/auth/password-policy
+     * 目前的密碼規則 (變更密碼畫面即時檢查用)
+     */
+    getPasswordPolicy = async (req, res) => {
+        res.json({ success: true, data: describePolicy() });
+    };
+
+    /**
+     * POST /api/auth/refresh
+     * 以 Refresh Token 換發 Access Token (回傳新的 Refresh Token，舊的隨即失效)
+     */
+    refresh = async (req, res) => {
+        try {
+            const { refreshToken } = req.body || {};
+            const result = await this.authService.refresh(refreshToken, { userAgent: req.headers['user-agent'] });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleApiError(res, error, 'Refresh Token');
+        }
+    };
+
+    /**
+     * POST /api/auth/logout
+     * 撤銷目前的登入工作階段
+     */
+    logout = async (req, res) => {
+        try {
+            const { refreshToken } = req.body || {};
+            await this.authService.logout(refreshToken);
+            res.json({ success: true, message: '已登出' });
+        } catch (error) {
+            handleApiError(res, error, 'Logout');
+        }
+    };
+
+    /**
+     * POST /api/auth/line-login
+     * 以 LINE ID Token 登入 (body: { idToken })，回傳格式與 login 相同
+     */
+    lineLogin = async (req, res) => {
+        try {
+            const { idToken } = req.body || {};
+            const result = await this.authService.lineLogin(idToken, { userAgent: req.headers['user-agent'] });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            if (error.code === 'LINE_ACCOUNT_NOT_LINKED') {
+                return res.status(403).json({ success: false, code: error.code, message: error.message });
+            }
+            handleApiError(res, error, 'LINE Login');
+        }
+    };
+
+    /**
+     * GET /api/auth/dev-users
+     * 列出可登入的開發用假帳號 (前端據此決定是否顯示開發登入)
+     */
+    getDevUsers = async (req, res) => {
+        try {
+            res.json({ success: true, data: this.authService.getDevUsers() });
+        } catch (error) {
+            handleApiError(res, error, 'Get Dev Users');
+        }
+    };
+
+    /**
+     * POST /api/auth/dev-login
+     * 以開發用假帳號登入 (body: { username } 或 { role })
+     */
+    devLogin = async (req, res) => {
+        try {
+            const { username, role } = req.body || {};
+            const result = await this.authService.devLogin({ username, role });
+            res.json({ success: true, ...result });
+        } catch (error) {
+            handleApiError(res, error, 'Dev Login');
+        }
+    };
+
     /**
      * GET /api/auth/verify
      * 驗證 Session (Token) 有效性
      */
-    verifySession = (req, res) => {
-        // 能進入此函式代表已通過 verifyToken middleware
-        res.json({ 
-            success: true, 
-            message: 'Token Valid',
-            user: req.user 
-        });
+    verifySession = async (req, res) => {
+        try {
+            // 能進入此函式代表已通過 verifyToken middleware
+            const permissions = await this.authService.getUserPermissions(req.user);
+            res.json({ 
+                success: true, 
+                message: 'Token Valid',
+                user: req.user,
+                permissions
+            });
+        } catch (error) {
+            handleApiError(res, error, 'Verify Session');
+        }
     };
 
     /**
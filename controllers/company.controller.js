@@ -1,15 +1,17 @@
 /**
  * controllers/company.controller.js
  * 公司模組控制器
- * * @version 7.3.0 (Final Fix: Search Filters & Double Decoding)
- * * @date 2026-01-16
+ * * @version 7.4.0 (Record Visibility)
+ * * @date 2026-10-19
  * * @description
  * * 1. [Fix] getCompanies 支援過濾參數 (q, type, stage, rating)，解決搜尋失效問題。
  * * 2. [Fix] 實作 URI Double Decoding，防止特殊字元導致後端崩潰。
  * * 3. [Architecture] 採用 Class 結構以支援 Service Container 注入。
+ * * 4. [Visibility] 公司詳細資料傳入 req.user，關聯商機/互動依可見範圍篩選。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { readExpectedVersion } = require('../utils/concurrency');
 
 class CompanyController {
     /**
@@ -72,7 +74,7 @@ class CompanyController {
             // [Security] 針對 URL 參數進行解碼，防止 % 符號或斜線造成錯誤
             const companyName = decodeURIComponent(req.params.companyName);
             
-            const result = await this.companyService.getCompanyDetails(companyName);
+            const result = await this.companyService.getCompanyDetails(companyName, req.user);
             res.json({ success: true, data: result });
         } catch (error) {
             handleApiError(res, error, 'Get Company Details');
@@ -81,17 +83,20 @@ class CompanyController {
 
     /**
      * 更新公司資料
-     * PUT /api/companies/:companyName
+     * PUT /api/companies/:companyName (參數可為 companyId 或公司名稱)
+     * expectedVersion / If-Match = lastUpdateTime，不符回 409
      */
     updateCompany = async (req, res) => {
         try {
             const companyName = decodeURIComponent(req.params.companyName);
+            const { expectedVersion, ...updateData } = req.body;
             
             // 呼叫 Service 更新邏輯
             const result = await this.companyService.updateCompany(
                 companyName, 
-                req.body, 
-                req.user
+                updateData, 
+                req.user,
+                { expectedVersion: readExpectedVersion(req) }
             );
             
             res.json(result);
@@ -102,7 +107,7 @@ class CompanyController {
 
     /**
      * 刪除公司
-     * DELETE /api/companies/:companyName
+     * DELETE /api/companies/:companyName (參數可為 companyId 或公司名稱)
      */
     deleteCompany = async (req, res) => {
         try {
@@ -1,10 +1,11 @@
 /**
  * controllers/contact.controller.js
  * 聯絡人模組控制器
- * * @version 6.1.1
- * * @date 2026-01-15
+ * * @version 6.4.0
+ * * @date 2026-10-19
  * * @description 負責處理聯絡人相關的 HTTP 請求，驗證參數，並呼叫對應的 Service。
  * * 修復了 API 回傳格式以符合前端 contacts.js 的預期 ({ data: [] })。
+ * * 潛在客戶以 contactId 定位 (/potential/:contactId)；rowIndex 路由為 Deprecated 別名，由 ContactService 於伺服器端解析為 contactId。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
@@ -21,6 +22,14 @@ class ContactController {
         this.contactWriter = contactWriter;
     }
 
+    /**
+     * 取得潛在客戶 contactId；舊版 rowIndex 路由先於伺服器端解析為 contactId
+     */
+    async _getPotentialContactKey(req) {
+        if (req.params.contactId) return req.params.contactId;
+        return this.contactService.resolvePotentialContactIdByRow(req.params.rowIndex);
+    }
+
     /**
      * GET /api/contacts
      * 取得潛在客戶列表 (Raw Data)
@@ -73,13 +82,33 @@ class ContactController {
     };
 
     /**
-     * POST /api/contacts/:rowIndex/upgrade
+     * PUT /api/contacts/potential/:contactId
+     * 更新潛在客戶 (原始名片) 資料
+     */
+    updatePotentialContact = async (req, res) => {
+        try {
+            const user = req.user ? req.user.name : 'System';
+
+            const result = await this.contactService.updatePotentialContact(
+                req.params.contactId,
+                req.body,
+                user
+            );
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Update Potential Contact');
+        }
+    };
+
+    /**
+     * POST /api/contacts/potential/:contactId/upgrade
+     * [Deprecated] POST /api/contacts/:rowIndex/upgrade
      * 將潛在客戶升級為機會案件 (Opportunity)
      * 依賴: WorkflowService
      */
     upgradeContact = async (req, res) => {
         try {
-            const rowIndex = parseInt(req.params.rowIndex);
+            const contactKey = await this._getPotentialContactKey(req);
             const user = req.user ? req.user.name : 'System';
 
             // 防呆檢查：確保 WorkflowService 已注入
@@ -88,10 +117,10 @@ class ContactController {
                 throw new Error('系統內部錯誤: WorkflowService 未初始化');
             }
 
-            console.log(`[ContactController] Upgrading contact at row ${rowIndex} by ${user}`);
+            console.log(`[ContactController] Upgrading potential contact ${contactKey} by ${user}`);
 
             const result = await this.workflowService.upgradeContactToOpportunity(
-                rowIndex, 
+                contactKey, 
                 req.body, 
                 user
             );
@@ -147,16 +176,17 @@ class ContactController {
     };
 
     /**
-     * POST /api/contacts/:rowIndex/file
-     * 將潛在客戶歸檔 (隱藏/標記為 Dropped)
+     * POST /api/contacts/potential/:contactId/file
+     * [Deprecated] POST /api/contacts/:rowIndex/file
+     * 將潛在客戶建檔為正式聯絡人 (原始名片標記為「已建檔」)
      */
     fileContact = async (req, res) => {
         try {
-            const rowIndex = parseInt(req.params.rowIndex);
+            const contactKey = await this._getPotentialContactKey(req);
             const user = req.user ? req.user.name : 'System';
 
             const result = await this.workflowService.fileContact(
-                rowIndex, 
+                contactKey, 
                 user
             );
             res.json(result);
@@ -1,14 +1,16 @@
 /**
- * @version 1.0.1
- * @date 2026-01-23
+ * @version 1.1.0
+ * @date 2026-10-19
  * @description
  * [Standard A Fix]
  * - 修正 Controller 直接呼叫 Reader 的違規行為
  * - getEventLogById 改為透過 EventLogService 存取資料
  * - API endpoint / response shape / 前端行為 完全不變
+ * [Concurrency] PUT 支援 expectedVersion / If-Match (修訂版次)，版本不符回 409
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { readExpectedVersion } = require('../utils/concurrency');
 
 // 輔助函式：從 req.app 獲取服務
 const getServices = (req) => req.app.get('services');
@@ -46,15 +48,17 @@ exports.getEventLogById = async (req, res) => {
     }
 };
 
-// PUT /api/events/:eventId
+// PUT /api/events/:eventId (expectedVersion / If-Match = 修訂版次，不符回 409)
 exports.updateEventLog = async (req, res) => {
     try {
         const { eventLogService } = getServices(req);
+        const { expectedVersion, ...data } = req.body;
         res.json(
             await eventLogService.updateEventLog(
                 req.params.eventId,
-                req.body,
-                req.user.name
+                data,
+                req.user.name,
+                { expectedVersion: readExpectedVersion(req) }
             )
         );
     } catch (error) {
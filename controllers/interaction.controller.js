@@ -1,9 +1,10 @@
 // controllers/interaction.controller.js
 /**
  * InteractionController
- * * @version 6.0.1 (Fix: Query Params Compatibility)
- * @date 2026-01-14
+ * * @version 6.1.0 (Record Visibility)
+ * @date 2026-10-19
  * @description 互動紀錄控制器。修正前端參數 q/fetchAll 的相容性問題。
+ * 查詢皆傳入 req.user，由 InteractionService 依可見範圍篩選。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
@@ -27,7 +28,7 @@ class InteractionController {
             const search = req.query.search || req.query.q || ''; 
             const fetchAll = req.query.all === 'true' || req.query.fetchAll === 'true';
 
-            const result = await this.interactionService.searchInteractions(search, page, fetchAll);
+            const result = await this.interactionService.searchInteractions(search, page, fetchAll, req.user);
             res.json({ success: true, ...result });
         } catch (error) {
             handleApiError(res, error, 'Get Interactions');
@@ -38,7 +39,7 @@ class InteractionController {
     getInteractionsByOpportunity = async (req, res) => {
         try {
             const { id } = req.params;
-            const data = await this.interactionService.getInteractionsByOpportunity(id);
+            const data = await this.interactionService.getInteractionsByOpportunity(id, req.user);
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Get Opportunity Interactions');
@@ -49,7 +50,7 @@ class InteractionController {
     getInteractionsByCompany = async (req, res) => {
         try {
             const { id } = req.params;
-            const data = await this.interactionService.getInteractionsByCompany(id);
+            const data = await this.interactionService.getInteractionsByCompany(id, req.user);
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Get Company Interactions');
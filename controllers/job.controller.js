@@ -0,0 +1,50 @@
+// controllers/job.controller.js
+/**
+ * JobController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 背景排程工作管理 API ( /api/admin/jobs )，僅負責轉接 JobSchedulerService。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class JobController {
+    /**
+     * @param {JobSchedulerService} jobSchedulerService
+     */
+    constructor(jobSchedulerService) {
+        this.jobSchedulerService = jobSchedulerService;
+    }
+
+    // GET /api/admin/jobs
+    getJobs = async (req, res) => {
+        try {
+            const data = await this.jobSchedulerService.listJobs();
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Jobs');
+        }
+    };
+
+    // POST /api/admin/jobs/:jobId/run
+    runJob = async (req, res) => {
+        try {
+            const data = await this.jobSchedulerService.runJob(req.params.jobId, req.user);
+            res.json({ success: data.lastStatus !== 'failed', data });
+        } catch (error) {
+            handleApiError(res, error, 'Run Job');
+        }
+    };
+
+    // PUT /api/admin/jobs/:jobId   body: { enabled }
+    updateJob = async (req, res) => {
+        try {
+            const data = await this.jobSchedulerService.setEnabled(req.params.jobId, (req.body || {}).enabled, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Update Job');
+        }
+    };
+}
+
+module.exports = JobController;
@@ -1,9 +1,11 @@
 /**
  * controllers/line-leads.controller.js
  * LINE LIFF 潛在客戶控制器
- * * @version 7.1.3 (Line-Leads L1→L2)
- * @date 2026-01-26
+ * * @version 7.6.0 (Legacy Row Alias)
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：移除 Controller 內 Token 驗證實作與 Writer 直接依賴，改由 AuthService + ContactService 承擔。
+ * LINE ID Token 驗證與 CRM 帳號對應由 auth.middleware (verifyLineToken / requireLinkedLineUser) 處理，
+ * 此處的 req.user 即綁定的 CRM 使用者；名片異動以其顯示名稱記錄為修改者。
  * @contract 遵守契約 v1.0：DOM/API/localStorage 不變。
  */
 
@@ -18,38 +20,17 @@ class LineLeadsController {
     // GET /api/line/leads
     getAllLeads = async (req, res) => {
         try {
-            // 1. 手動提取 Token (因為我們移出了 authMiddleware)
-            const authHeader = req.headers['authorization'];
-            const token = authHeader && authHeader.split(' ')[1];
-
-            if (!token) {
-                return res.status(401).json({ success: false, message: '未提供 Token' });
-            }
-
-            // 2. 驗證（L2：驗證細節移入 AuthService）
-            let user = null;
-
-            if (token === 'TEST_LOCAL_TOKEN') {
-                // 🚧 本地開發模式：維持原日誌行為
-                console.log('🚧 [Dev] 本地模式：跳過 LINE 驗證');
-            }
-
-            user = await this.authService.verifyLineIdToken(token);
-            if (!user) {
-                return res.status(401).json({ success: false, message: 'LINE Token 驗證失敗' });
-            }
-
-            // 3. 執行業務邏輯
             if (!this.contactService) {
                 throw new Error('ContactService not initialized in Controller');
             }
 
             const leads = await this.contactService.getPotentialContacts(3000);
 
-            // 包裹回傳格式以符合前端 result.success 檢查
+            // 包裹回傳格式以符合前端 result.success 檢查；user 為綁定的 CRM 帳號
             res.json({
                 success: true,
-                data: leads
+                data: leads,
+                user: { username: req.user.username, name: req.user.name, role: req.user.role }
             });
 
         } catch (error) {
@@ -58,35 +39,50 @@ class LineLeadsController {
         }
     };
 
-    // PUT /api/line/leads/:rowIndex
+    // PUT /api/line/leads/:leadId (純數字視為舊版 rowIndex，於伺服器端解析為 contactId)
     updateLead = async (req, res) => {
         try {
-            // 1. 驗證 (同上)
-            const authHeader = req.headers['authorization'];
-            const token = authHeader && authHeader.split(' ')[1];
-            if (!token) return res.status(401).json({ success: false, message: 'Unauthorized' });
-
-            if (token !== 'TEST_LOCAL_TOKEN') {
-                const user = await this.authService.verifyLineIdToken(token);
-                if (!user) return res.status(401).json({ success: false, message: 'Invalid Token' });
-            }
-
-            // 2. 執行更新
-            const rowIndex = parseInt(req.params.rowIndex);
-            const updateData = req.body;
+            const leadId = /^\d+$/.test(String(req.params.leadId).trim())
+                ? await this.contactService.resolvePotentialContactIdByRow(req.params.leadId)
+                : req.params.leadId;
+            const updateData = { ...req.body };
+            delete updateData.modifier;
 
-            // ★ 行為等價：保持原本 modifier 規則（只看 body，否則 LineUser）
-            const modifier = updateData.modifier || 'LineUser';
+            const modifier = req.user.name || req.user.username;
 
             // L2：寫入統一委派至 ContactService（移除 Writer 直接依賴）
-            await this.contactService.updatePotentialContact(rowIndex, updateData, modifier);
+            const result = await this.contactService.updatePotentialContact(leadId, updateData, modifier);
 
-            res.json({ success: true, message: '更新成功' });
+            res.json({ success: true, message: '更新成功', leadId: result.contactId });
 
         } catch (error) {
             handleApiError(res, error, 'Update Lead');
         }
     };
+
+    // POST /api/line/link
+    linkAccount = async (req, res) => {
+        try {
+            const { username, password } = req.body;
+            const user = await this.authService.linkLineAccount(req.lineProfile, username, password, { ip: req.ip });
+            res.json({ success: true, message: '綁定成功', user });
+        } catch (error) {
+            if (error.code === 'LOGIN_LOCKED') {
+                res.set('Retry-After', String(error.retryAfter));
+                return res.status(429).json({ success: false, code: error.code, message: error.message, retryAfter: error.retryAfter });
+            }
+            handleApiError(res, error, 'Link LINE Account');
+        }
+    };
+
+    // DELETE /api/line/link
+    unlinkAccount = async (req, res) => {
+        try {
+            res.json(await this.authService.unlinkLineAccount(req.lineProfile));
+        } catch (error) {
+            handleApiError(res, error, 'Unlink LINE Account');
+        }
+    };
 }
 
 module.exports = LineLeadsController;
@@ -0,0 +1,105 @@
+// controllers/notification.controller.js
+/**
+ * NotificationController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 通知中心 API ( /api/notifications )：登入者本人的通知、已讀、外送設定與機會追蹤提醒延後。
+ * 通知與設定由 NotificationService 處理，延後提醒由 FollowUpReminderService 處理。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class NotificationController {
+    /**
+     * @param {NotificationService} notificationService
+     * @param {FollowUpReminderService} followUpReminderService
+     */
+    constructor(notificationService, followUpReminderService) {
+        this.notificationService = notificationService;
+        this.followUpReminderService = followUpReminderService;
+    }
+
+    // GET /api/notifications?unread=true
+    getNotifications = async (req, res) => {
+        try {
+            const data = await this.notificationService.listNotifications(req.user, { unreadOnly: req.query.unread === 'true' });
+            res.json({ success: true, data: data.notifications, unreadCount: data.unreadCount });
+        } catch (error) {
+            handleApiError(res, error, 'Get Notifications');
+        }
+    };
+
+    // POST /api/notifications/:notificationId/read
+    markRead = async (req, res) => {
+        try {
+            const data = await this.notificationService.markRead(req.params.notificationId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Mark Notification Read');
+        }
+    };
+
+    // POST /api/notifications/read-all
+    markAllRead = async (req, res) => {
+        try {
+            const data = await this.notificationService.markAllRead(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Mark All Notifications Read');
+        }
+    };
+
+    // GET /api/notifications/preferences
+    getPreferences = async (req, res) => {
+        try {
+            const data = await this.notificationService.getPreferences(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Notification Preferences');
+        }
+    };
+
+    // PUT /api/notifications/preferences
+    updatePreferences = async (req, res) => {
+        try {
+            const { digest, channels, email } = req.body || {};
+            const data = await this.notificationService.updatePreferences(req.user, { digest, channels, email });
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Update Notification Preferences');
+        }
+    };
+
+    // GET /api/notifications/snoozes
+    getSnoozes = async (req, res) => {
+        try {
+            const data = await this.followUpReminderService.getSnoozes(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Follow-up Snoozes');
+        }
+    };
+
+    // PUT /api/notifications/snoozes/:opportunityId  { days } 或 { until }
+    snoozeOpportunity = async (req, res) => {
+        try {
+            const { days, until } = req.body || {};
+            const data = await this.followUpReminderService.snoozeOpportunity(req.params.opportunityId, { days, until }, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Snooze Follow-up');
+        }
+    };
+
+    // DELETE /api/notifications/snoozes/:opportunityId
+    unsnoozeOpportunity = async (req, res) => {
+        try {
+            const data = await this.followUpReminderService.unsnoozeOpportunity(req.params.opportunityId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Unsnooze Follow-up');
+        }
+    };
+}
+
+module.exports = NotificationController;
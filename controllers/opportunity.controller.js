@@ -1,13 +1,15 @@
 // controllers/opportunity.controller.js
 /**
  * OpportunityController
- * * @version 5.2.0 (Phase 3 - Class Refactoring - Fix Layering)
- * @date 2026-01-20
+ * * @version 5.3.0 (Record Visibility)
+ * @date 2026-10-19
  * @description 機會案件控制器，最複雜的業務模組。
  * [Fix] 移除對 Reader/Writer 的直接依賴，全面透過 OpportunityService。
+ * [Visibility] 查詢與單筆操作皆傳入 req.user，由 Service 依負責業務 / 團隊 / 共享篩選。
  */
 
 const { handleApiError } = require('../middleware/error.middleware');
+const { readExpectedVersion } = require('../utils/concurrency');
 
 class OpportunityController {
     /**
@@ -28,7 +30,7 @@ class OpportunityController {
     // GET /api/opportunities/dashboard
     getDashboardData = async (req, res) => {
         try {
-            const data = await this.dashboardService.getOpportunitiesDashboardData();
+            const data = await this.dashboardService.getOpportunitiesDashboardData(req.user);
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Opp Dashboard');
@@ -39,7 +41,7 @@ class OpportunityController {
     getOpportunitiesByCounty = async (req, res) => {
         try {
             // [Fix] Layering: Call Service instead of Reader
-            const result = await this.opportunityService.getOpportunitiesByCounty(req.query.opportunityType);
+            const result = await this.opportunityService.getOpportunitiesByCounty(req.query.opportunityType, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Opp By County');
@@ -54,7 +56,7 @@ class OpportunityController {
             Object.keys(filters).forEach(key => (filters[key] === undefined || filters[key] === '') && delete filters[key]);
             
             // [Fix] Layering: Call Service instead of Reader
-            const result = await this.opportunityService.searchOpportunities(q, parseInt(page), filters);
+            const result = await this.opportunityService.searchOpportunities(q, parseInt(page), filters, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Search Opps');
@@ -64,7 +66,7 @@ class OpportunityController {
     // GET /api/opportunities/:opportunityId/details
     getOpportunityDetails = async (req, res) => {
         try {
-            const data = await this.opportunityService.getOpportunityDetails(req.params.opportunityId);
+            const data = await this.opportunityService.getOpportunityDetails(req.params.opportunityId, req.user);
             res.json({ success: true, data });
         } catch (error) {
             handleApiError(res, error, 'Get Opp Details');
@@ -74,8 +76,8 @@ class OpportunityController {
     // POST /api/opportunities/
     createOpportunity = async (req, res) => {
         try {
-            // 使用 WorkflowService 處理建立邏輯 (可能包含發通知等)
-            const result = await this.workflowService.createOpportunity(req.body, req.user.name);
+            // WorkflowService 未提供 createOpportunity，建立邏輯由 OpportunityService (經 Repository) 負責
+            const result = await this.opportunityService.createOpportunity(req.body, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Create Opp');
@@ -86,20 +88,23 @@ class OpportunityController {
     batchUpdateOpportunities = async (req, res) => {
         try {
             // [Fix] Layering: Call Service instead of Writer
-            const result = await this.opportunityService.batchUpdateOpportunities(req.body.updates);
+            const result = await this.opportunityService.batchUpdateOpportunities(req.body.updates, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Batch Update Opps');
         }
     };
 
-    // PUT /api/opportunities/:rowIndex
+    // PUT /api/opportunities/:opportunityId (純數字視為舊版 rowIndex)
+    // expectedVersion / If-Match = lastUpdateTime，不符回 409
     updateOpportunity = async (req, res) => {
         try {
+            const { expectedVersion, ...updateData } = req.body;
             const result = await this.opportunityService.updateOpportunity(
-                parseInt(req.params.rowIndex), 
-                req.body, 
-                req.user
+                req.params.opportunityId, 
+                updateData, 
+                req.user,
+                { expectedVersion: readExpectedVersion(req) }
             );
             res.json(result);
         } catch (error) {
@@ -107,11 +112,11 @@ class OpportunityController {
         }
     };
 
-    // DELETE /api/opportunities/:rowIndex
+    // DELETE /api/opportunities/:opportunityId (純數字視為舊版 rowIndex)
     deleteOpportunity = async (req, res) => {
         try {
             const result = await this.opportunityService.deleteOpportunity(
-                parseInt(req.params.rowIndex), 
+                req.params.opportunityId, 
                 req.user
             );
             res.json(result);
@@ -147,6 +152,44 @@ class OpportunityController {
             handleApiError(res, error, 'Delete Contact Link');
         }
     };
+
+    // GET /api/opportunities/:opportunityId/shares
+    getOpportunityShares = async (req, res) => {
+        try {
+            const data = await this.opportunityService.getOpportunityShares(req.params.opportunityId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Opp Shares');
+        }
+    };
+
+    // POST /api/opportunities/:opportunityId/shares  { username }
+    addOpportunityShare = async (req, res) => {
+        try {
+            const result = await this.opportunityService.addOpportunityShare(
+                req.params.opportunityId,
+                req.body.username,
+                req.user
+            );
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Add Opp Share');
+        }
+    };
+
+    // DELETE /api/opportunities/:opportunityId/shares/:shareId
+    removeOpportunityShare = async (req, res) => {
+        try {
+            const result = await this.opportunityService.removeOpportunityShare(
+                req.params.opportunityId,
+                req.params.shareId,
+                req.user
+            );
+            res.json(result);
+        } catch (error) {
+            handleApiError(res, error, 'Remove Opp Share');
+        }
+    };
 }
 
 module.exports = OpportunityController;
\ No newline at end of file
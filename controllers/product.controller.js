@@ -1,15 +1,18 @@
 /**
  * controllers/product.controller.js
  * 商品模組控制器
- * * @version 5.1.0 (Phase 4 Refactoring)
- * @date 2026-01-13
+ * * @version 5.3.0 (Field Masking)
+ * @date 2026-10-19
  * @author Gemini (System Architect)
  * @description
  * 採用 Class-based 架構。
  * 透過 ServiceContainer 進行依賴注入，不再使用 require。
+ * 權限改由 routes/product.routes.js 的 requirePermission 檢查 (product:read / product:write)；
+ * 機敏欄位 (成本/價格) 的遮罩與修改限制由 ProductService 依使用者權限處理。
  */
 
 const config = require('../config');
+const { sendPermissionDenied } = require('../middleware/role.middleware');
 
 class ProductController {
     /**
@@ -25,16 +28,14 @@ class ProductController {
      */
     async getProducts(req, res) {
         try {
-            // 權限檢查 (Controller 職責)
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ success: false, error: config.ERROR_MESSAGES.ADMIN_ONLY });
-            }
-
             const { q } = req.query;
             const filters = q ? { search: q } : {};
             
-            const data = await this.productService.getAllProducts(filters);
-            res.json({ success: true, data: data, count: data.length });
+            const [data, fieldAccess] = await Promise.all([
+                this.productService.getAllProducts(filters, req.user),
+                this.productService.getFieldAccess(req.user)
+            ]);
+            res.json({ success: true, data: data, count: data.length, ...fieldAccess });
         } catch (error) {
             console.error('[ProductController] getProducts Error:', error);
             res.status(500).json({ success: false, error: config.ERROR_MESSAGES.NETWORK_ERROR });
@@ -47,9 +48,6 @@ class ProductController {
      */
     async refresh(req, res) {
         try {
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ success: false, error: 'Forbidden' });
-            }
             await this.productService.refreshCache();
             res.json({ success: true, message: '商品資料已重新同步' });
         } catch (error) {
@@ -63,14 +61,14 @@ class ProductController {
      */
     async batchUpdate(req, res) {
         try {
-            if (req.user.role !== 'admin') {
-                return res.status(403).json({ success: false, error: '權限不足' });
-            }
             const { products } = req.body;
             
             const result = await this.productService.batchUpdate(products, req.user);
             res.json({ success: true, message: `處理完成 (更新: ${result.updated}, 新增: ${result.appended})`, result });
         } catch (error) {
+            if (error.code === 'PERMISSION_DENIED') {
+                return sendPermissionDenied(req, res, error.permission, error.message);
+            }
             console.error('[ProductController] batchUpdate Error:', error);
             res.status(500).json({ success: false, error: error.message });
         }
@@ -95,8 +93,6 @@ class ProductController {
      */
     async saveCategoryOrder(req, res) {
         try {
-            if (req.user.role !== 'admin') return res.status(403).json({ success: false, error: '權限不足' });
-            
             const { order } = req.body;
             await this.productService.saveCategoryOrder(order, req.user);
             res.json({ success: true, message: '分類排序已更新' });
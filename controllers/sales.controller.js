@@ -9,9 +9,33 @@ exports.getSalesAnalysis = async (req, res) => {
     try {
         const { salesAnalysisService } = getServices(req);
         const { startDate, endDate } = req.query;
-        const analysisData = await salesAnalysisService.getSalesAnalysisData(startDate, endDate);
+        const analysisData = await salesAnalysisService.getSalesAnalysisData(startDate, endDate, req.user);
         res.json({ success: true, data: analysisData });
     } catch (error) { 
         handleApiError(res, error, 'Sales Analysis'); 
     }
-};
\ No newline at end of file
+};
+
+// GET /api/sales/forecast?from=&to=&groupBy=assignee|month|type
+exports.getSalesForecast = async (req, res) => {
+    try {
+        const { salesAnalysisService } = getServices(req);
+        const { from, to, groupBy } = req.query;
+        const forecastData = await salesAnalysisService.getForecastData({ from, to, groupBy: groupBy || undefined }, req.user);
+        res.json({ success: true, data: forecastData });
+    } catch (error) {
+        handleApiError(res, error, 'Sales Forecast');
+    }
+};
+
+// GET /api/sales/funnel?from=&to=
+exports.getSalesFunnel = async (req, res) => {
+    try {
+        const { funnelAnalysisService } = getServices(req);
+        const { from, to } = req.query;
+        const funnelData = await funnelAnalysisService.getFunnelData({ from, to }, req.user);
+        res.json({ success: true, data: funnelData });
+    } catch (error) {
+        handleApiError(res, error, 'Sales Funnel');
+    }
+};
@@ -0,0 +1,68 @@
+// controllers/stream.controller.js
+/**
+ * StreamController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 即時推播 API ( GET /api/stream )，以 Server-Sent Events 傳送 ChangeStreamService 的異動通知。
+ * - event: ready (連線建立)、change (資料異動)、expired (Token 到期，伺服器即將關閉連線)；另定期送出註解列保持連線。
+ * - 連線在 Access Token 到期時關閉 (API 金鑰等無到期時間者以 config.STREAM.MAX_CONNECTION_MINUTES 為上限)，
+ *   前端換發 Token 後重新連線，因此已撤銷的工作階段不會一直收到通知。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class StreamController {
+    /**
+     * @param {ChangeStreamService} changeStreamService
+     * @param {Object} config
+     */
+    constructor(changeStreamService, config) {
+        this.changeStreamService = changeStreamService;
+        this.settings = config.STREAM;
+    }
+
+    // GET /api/stream
+    stream = async (req, res) => {
+        let open = false;
+        const write = (event, data, id) => {
+            if (!open) return;
+            res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        let client;
+        try {
+            client = await this.changeStreamService.addClient(req.user, change => write('change', change, change.eventId));
+        } catch (error) {
+            return handleApiError(res, error, 'Open Change Stream');
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        open = true;
+        res.write(`retry: ${this.settings.RETRY_MS}\n\n`);
+        write('ready', { username: req.user.username, connectedAt: new Date().toISOString() });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), this.settings.HEARTBEAT_SECONDS * 1000);
+        const expiresInMs = Math.max(1000, Math.min(
+            req.user.exp ? req.user.exp * 1000 - Date.now() : Infinity,
+            this.settings.MAX_CONNECTION_MINUTES * 60 * 1000
+        ));
+        const expiry = setTimeout(() => {
+            write('expired', {});
+            res.end();
+        }, expiresInMs);
+
+        req.on('close', () => {
+            open = false;
+            clearInterval(heartbeat);
+            clearTimeout(expiry);
+            this.changeStreamService.removeClient(client);
+        });
+    };
+}
+
+module.exports = StreamController;
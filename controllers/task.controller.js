@@ -0,0 +1,96 @@
+// controllers/task.controller.js
+/**
+ * TaskController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 任務 API ( /api/tasks )，僅負責轉接 TaskService；查詢皆傳入 req.user 以套用可見範圍。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+// GET /api/tasks 可用的查詢參數
+const LIST_FILTERS = ['view', 'status', 'assignee', 'opportunityId', 'companyId', 'contactId', 'interactionId'];
+
+class TaskController {
+    /**
+     * @param {TaskService} taskService
+     */
+    constructor(taskService) {
+        this.taskService = taskService;
+    }
+
+    // GET /api/tasks?view=mine|overdue&status=&assignee=&opportunityId=...
+    getTasks = async (req, res) => {
+        try {
+            const filters = {};
+            LIST_FILTERS.forEach(key => {
+                if (req.query[key]) filters[key] = String(req.query[key]);
+            });
+            const data = await this.taskService.listTasks(filters, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Tasks');
+        }
+    };
+
+    // GET /api/tasks/mine
+    getMyTasks = async (req, res) => {
+        try {
+            const data = await this.taskService.getMyTasks(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get My Tasks');
+        }
+    };
+
+    // GET /api/tasks/overdue
+    getOverdueTasks = async (req, res) => {
+        try {
+            const data = await this.taskService.getOverdueTasks(req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Overdue Tasks');
+        }
+    };
+
+    // GET /api/tasks/:taskId
+    getTask = async (req, res) => {
+        try {
+            const data = await this.taskService.getTask(req.params.taskId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Task');
+        }
+    };
+
+    // POST /api/tasks
+    createTask = async (req, res) => {
+        try {
+            const data = await this.taskService.createTask(req.body || {}, req.user);
+            res.status(201).json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Create Task');
+        }
+    };
+
+    // PUT /api/tasks/:taskId
+    updateTask = async (req, res) => {
+        try {
+            const data = await this.taskService.updateTask(req.params.taskId, req.body || {}, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Update Task');
+        }
+    };
+
+    // DELETE /api/tasks/:taskId
+    deleteTask = async (req, res) => {
+        try {
+            res.json(await this.taskService.deleteTask(req.params.taskId, req.user));
+        } catch (error) {
+            handleApiError(res, error, 'Delete Task');
+        }
+    };
+}
+
+module.exports = TaskController;
@@ -0,0 +1,75 @@
+// controllers/user-admin.controller.js
+/**
+ * UserAdminController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 使用者帳號管理 API ( /api/admin/users )，僅負責轉接 UserAdminService。
+ * 臨時密碼只在建立 / 重設的回應中出現一次，不另行保存。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class UserAdminController {
+    /**
+     * @param {UserAdminService} userAdminService
+     */
+    constructor(userAdminService) {
+        this.userAdminService = userAdminService;
+    }
+
+    // GET /api/admin/users
+    getUsers = async (req, res) => {
+        try {
+            const [data, roles] = await Promise.all([
+                this.userAdminService.listUsers(),
+                this.userAdminService.getRoles()
+            ]);
+            res.json({ success: true, data, roles });
+        } catch (error) {
+            handleApiError(res, error, 'Get Users');
+        }
+    };
+
+    // POST /api/admin/users
+    createUser = async (req, res) => {
+        try {
+            const result = await this.userAdminService.createUser(req.body || {}, req.user);
+            res.status(201).json({ success: true, data: result.user, temporaryPassword: result.temporaryPassword });
+        } catch (error) {
+            handleApiError(res, error, 'Create User');
+        }
+    };
+
+    // PUT /api/admin/users/:username
+    updateUser = async (req, res) => {
+        try {
+            const data = await this.userAdminService.updateUser(req.params.username, req.body || {}, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Update User');
+        }
+    };
+
+    // POST /api/admin/users/:username/reset-password
+    resetPassword = async (req, res) => {
+        try {
+            const { password } = req.body || {};
+            const result = await this.userAdminService.resetPassword(req.params.username, password, req.user);
+            res.json({ success: true, temporaryPassword: result.temporaryPassword });
+        } catch (error) {
+            handleApiError(res, error, 'Reset User Password');
+        }
+    };
+
+    // DELETE /api/admin/users/:username
+    deleteUser = async (req, res) => {
+        try {
+            await this.userAdminService.deleteUser(req.params.username, req.user);
+            res.json({ success: true });
+        } catch (error) {
+            handleApiError(res, error, 'Delete User');
+        }
+    };
+}
+
+module.exports = UserAdminController;
@@ -0,0 +1,90 @@
+// controllers/webhook.controller.js
+/**
+ * WebhookController
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 對外 Webhook 訂閱管理 API ( /api/admin/webhooks )，僅負責轉接 WebhookService。
+ * 簽章密鑰只出現在建立與重新產生的回應中。
+ */
+
+const { handleApiError } = require('../middleware/error.middleware');
+
+class WebhookController {
+    /**
+     * @param {WebhookService} webhookService
+     */
+    constructor(webhookService) {
+        this.webhookService = webhookService;
+    }
+
+    // GET /api/admin/webhooks
+    getWebhooks = async (req, res) => {
+        try {
+            const data = await this.webhookService.listWebhooks();
+            res.json({ success: true, data, eventTypes: this.webhookService.getEventTypes() });
+        } catch (error) {
+            handleApiError(res, error, 'Get Webhooks');
+        }
+    };
+
+    // POST /api/admin/webhooks
+    createWebhook = async (req, res) => {
+        try {
+            const result = await this.webhookService.createWebhook(req.body || {}, req.user);
+            res.status(201).json({ success: true, data: result.webhook, secret: result.secret });
+        } catch (error) {
+            handleApiError(res, error, 'Create Webhook');
+        }
+    };
+
+    // PUT /api/admin/webhooks/:webhookId
+    updateWebhook = async (req, res) => {
+        try {
+            const data = await this.webhookService.updateWebhook(req.params.webhookId, req.body || {}, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Update Webhook');
+        }
+    };
+
+    // DELETE /api/admin/webhooks/:webhookId
+    deleteWebhook = async (req, res) => {
+        try {
+            res.json(await this.webhookService.deleteWebhook(req.params.webhookId, req.user));
+        } catch (error) {
+            handleApiError(res, error, 'Delete Webhook');
+        }
+    };
+
+    // POST /api/admin/webhooks/:webhookId/rotate-secret
+    rotateSecret = async (req, res) => {
+        try {
+            const result = await this.webhookService.rotateSecret(req.params.webhookId, req.user);
+            res.json({ success: true, secret: result.secret });
+        } catch (error) {
+            handleApiError(res, error, 'Rotate Webhook Secret');
+        }
+    };
+
+    // POST /api/admin/webhooks/:webhookId/test
+    sendTestEvent = async (req, res) => {
+        try {
+            const data = await this.webhookService.sendTestEvent(req.params.webhookId, req.user);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Test Webhook');
+        }
+    };
+
+    // GET /api/admin/webhooks/:webhookId/deliveries
+    getDeliveries = async (req, res) => {
+        try {
+            const data = await this.webhookService.listDeliveries(req.params.webhookId);
+            res.json({ success: true, data });
+        } catch (error) {
+            handleApiError(res, error, 'Get Webhook Deliveries');
+        }
+    };
+}
+
+module.exports = WebhookController;
@@ -1,8 +1,8 @@
 /**
  * controllers/weekly.controller.js
  * 週間業務控制器 (Controller Layer)
- * * @version 6.0.2 (Refactored to Class & DI & Service Method Fix)
- * @date 2026-01-14
+ * * @version 6.0.5 (Events: pass operator on create / update)
+ * @date 2026-10-19
  * @description 負責接收 HTTP 請求，驗證參數，並呼叫 WeeklyBusinessService。
  * 已移除業務邏輯，僅保留路由轉發。
  */
@@ -69,7 +69,7 @@ class WeeklyController {
                 userId: req.user.userId, // 確保寫入 User ID
                 creator: req.user.name 
             };
-            const result = await this.weeklyBusinessService.createWeeklyBusinessEntry(data);
+            const result = await this.weeklyBusinessService.createWeeklyBusinessEntry(data, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Create Weekly Entry');
@@ -87,7 +87,7 @@ class WeeklyController {
                 ...req.body, 
                 creator: req.user.name 
             };
-            const result = await this.weeklyBusinessService.updateWeeklyBusinessEntry(recordId, data);
+            const result = await this.weeklyBusinessService.updateWeeklyBusinessEntry(recordId, data, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Update Weekly Entry');
@@ -101,10 +101,9 @@ class WeeklyController {
     deleteEntry = async (req, res) => {
         try {
             const { recordId } = req.params;
-            const { rowIndex } = req.body; // 從前端傳入 rowIndex 以加速刪除
             
-            // 修正：現在直接呼叫 Service 方法，不再穿透到 Writer
-            const result = await this.weeklyBusinessService.deleteWeeklyBusinessEntry(recordId, rowIndex);
+            // 修正：現在直接呼叫 Service 方法，不再穿透到 Writer (SQL 以 recordId 定位，不需 rowIndex)
+            const result = await this.weeklyBusinessService.deleteWeeklyBusinessEntry(recordId, req.user);
             res.json(result);
         } catch (error) {
             handleApiError(res, error, 'Delete Weekly Entry');
@@ -0,0 +1,40 @@
+/**
+ * data/announcement-repository.js
+ * 佈告欄資料來源路由 (Repository Layer)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.ANNOUNCEMENT 在 AnnouncementReader (Sheet) 與 AnnouncementSqlReader 之間切換。
+ * SQL 回傳空清單視為有效結果 (不 Fallback)。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class AnnouncementRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {AnnouncementReader} dependencies.announcementReader
+     * @param {AnnouncementSqlReader} [dependencies.announcementSqlReader]
+     */
+    constructor({ mode, announcementReader, announcementSqlReader }) {
+        super({
+            moduleName: 'Announcement',
+            mode,
+            sheetReader: announcementReader,
+            sqlReader: announcementSqlReader,
+            fallbackOnEmpty: false
+        });
+    }
+
+    /**
+     * 取得所有公告 (含未發布，過濾由 Service 負責)
+     */
+    async getAnnouncements() {
+        return this._read('getAnnouncements', {
+            sql: () => this.sqlReader.getAnnouncements(),
+            sheet: () => this.sheetReader.getAnnouncements()
+        });
+    }
+}
+
+module.exports = AnnouncementRepository;
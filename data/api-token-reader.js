@@ -0,0 +1,49 @@
+/**
+ * data/api-token-reader.js
+ * API 金鑰讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取「API金鑰」(AUTH 試算表)：每支金鑰一列，僅含金鑰雜湊、範圍與使用 / 撤銷時間。
+ * 僅回傳原始資料，驗證與權限範圍規則由 ApiTokenService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class ApiTokenReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有 API 金鑰 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getTokens() {
+        const cacheKey = 'apiTokens';
+        const range = `${this.config.SHEETS.API_TOKENS}!A:J`;
+        const F = this.config.API_TOKEN_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            tokenId: row[F.TOKEN_ID] || '',
+            username: row[F.USERNAME] || '',
+            name: row[F.NAME] || '',
+            tokenHash: row[F.TOKEN_HASH] || '',
+            tokenPrefix: row[F.TOKEN_PREFIX] || '',
+            scopes: String(row[F.SCOPES] || '').split(',').map(s => s.trim()).filter(Boolean),
+            createTime: row[F.CREATE_TIME] || '',
+            expiresAt: row[F.EXPIRES_AT] || '',
+            lastUsedTime: row[F.LAST_USED_TIME] || '',
+            revokedAt: row[F.REVOKED_AT] || ''
+        });
+
+        const tokens = await this._fetchAndCache(cacheKey, range, rowParser);
+        return tokens.filter(token => token.tokenId && token.tokenHash);
+    }
+}
+
+module.exports = ApiTokenReader;
@@ -0,0 +1,105 @@
+/**
+ * data/api-token-writer.js
+ * API 金鑰寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 新增 API 金鑰，並以 rowIndex 原地更新 (最後使用時間、撤銷)。實作依賴注入。
+ * 既有試算表沒有「API金鑰」時，第一次建立金鑰會自動建立工作表與標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class ApiTokenWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {ApiTokenReader} apiTokenReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, apiTokenReader) {
+        super(sheets, spreadsheetId);
+        if (!apiTokenReader) throw new Error('ApiTokenWriter 需要 ApiTokenReader 實例');
+        this.apiTokenReader = apiTokenReader;
+    }
+
+    /**
+     * 新增金鑰
+     * @param {Object} token - 欄位見 config.API_TOKEN_FIELDS
+     */
+    async createToken(token) {
+        const row = this._buildRow(token);
+
+        try {
+            await this._append(row);
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet();
+            await this._append(row);
+        }
+
+        this.apiTokenReader.invalidateCache('apiTokens');
+        return { success: true, tokenId: token.tokenId };
+    }
+
+    /**
+     * 覆寫整列金鑰資料 (最後使用時間 / 撤銷)
+     * @param {number} rowIndex - 由 Service 經 Reader 查得
+     * @param {Object} token - 合併後的完整資料
+     */
+    async updateTokenByRow(rowIndex, token) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.API_TOKENS}!A${rowIndex}:J${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildRow(token)] }
+        });
+
+        this.apiTokenReader.invalidateCache('apiTokens');
+        return { success: true };
+    }
+
+    async _append(row) {
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.API_TOKENS}!A:J`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+    }
+
+    _buildRow(token) {
+        const F = this.config.API_TOKEN_FIELDS;
+        const row = [];
+        row[F.TOKEN_ID] = token.tokenId;
+        row[F.USERNAME] = token.username;
+        row[F.NAME] = token.name;
+        row[F.TOKEN_HASH] = token.tokenHash;
+        row[F.TOKEN_PREFIX] = token.tokenPrefix;
+        row[F.SCOPES] = (token.scopes || []).join(',');
+        row[F.CREATE_TIME] = token.createTime;
+        row[F.EXPIRES_AT] = token.expiresAt || '';
+        row[F.LAST_USED_TIME] = token.lastUsedTime || '';
+        row[F.REVOKED_AT] = token.revokedAt || '';
+        return row;
+    }
+
+    async _createSheet() {
+        const title = this.config.SHEETS.API_TOKENS;
+        console.log(`📝 [ApiTokenWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const F = this.config.API_TOKEN_FIELDS;
+        const headers = Object.keys(F).sort((a, b) => F[a] - F[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:J1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = ApiTokenWriter;
@@ -0,0 +1,56 @@
+/**
+ * data/audit-log-reader.js
+ * 變更紀錄讀取器 (Sheet)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取 SYSTEM 試算表的「變更紀錄」工作表。一列代表一個欄位的變更。
+ * 工作表尚未建立時回傳空陣列 (由 BaseReader 處理 Unable to parse range)。
+ */
+
+const BaseReader = require('./base-reader');
+
+class AuditLogReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得變更紀錄
+     * @param {Object} [filters]
+     * @param {string} [filters.entityType]
+     * @param {string} [filters.entityId]
+     * @returns {Promise<Array<object>>}
+     */
+    async getAuditLogs({ entityType, entityId } = {}) {
+        const cacheKey = 'auditLogs';
+        const range = `${this.config.SHEETS.AUDIT_LOG}!A:J`;
+        const F = this.config.AUDIT_LOG_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            auditId: row[F.AUDIT_ID] || '',
+            batchId: row[F.BATCH_ID] || '',
+            timestamp: row[F.TIMESTAMP] || '',
+            entityType: row[F.ENTITY_TYPE] || '',
+            entityId: row[F.ENTITY_ID] || '',
+            action: row[F.ACTION] || '',
+            field: row[F.FIELD] || '',
+            oldValue: row[F.OLD_VALUE] || '',
+            newValue: row[F.NEW_VALUE] || '',
+            actor: row[F.ACTOR] || ''
+        });
+
+        const allData = await this._fetchAndCache(cacheKey, range, rowParser);
+
+        return allData.filter(log =>
+            (!entityType || log.entityType === entityType) &&
+            (!entityId || log.entityId === String(entityId))
+        );
+    }
+}
+
+module.exports = AuditLogReader;
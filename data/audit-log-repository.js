@@ -0,0 +1,52 @@
+/**
+ * data/audit-log-repository.js
+ * 變更紀錄資料來源路由 (Repository Layer)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.AUDIT 在 AuditLogReader/Writer (Sheet) 與 AuditLogSqlReader/Writer 之間切換。
+ * 查無紀錄視為有效結果 (不 Fallback)。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class AuditLogRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {AuditLogReader} dependencies.auditLogReader
+     * @param {AuditLogSqlReader} [dependencies.auditLogSqlReader]
+     * @param {AuditLogWriter} [dependencies.auditLogWriter]
+     * @param {AuditLogSqlWriter} [dependencies.auditLogSqlWriter]
+     */
+    constructor({ mode, auditLogReader, auditLogSqlReader, auditLogWriter, auditLogSqlWriter }) {
+        super({
+            moduleName: 'AuditLog',
+            mode,
+            sheetReader: auditLogReader,
+            sqlReader: auditLogSqlReader,
+            sheetWriter: auditLogWriter,
+            sqlWriter: auditLogSqlWriter,
+            fallbackOnEmpty: false
+        });
+    }
+
+    /**
+     * 取得變更紀錄
+     * @param {{entityType?: string, entityId?: string}} [filters]
+     */
+    async getAuditLogs(filters = {}) {
+        return this._read('getAuditLogs', {
+            sql: () => this.sqlReader.getAuditLogs(filters),
+            sheet: () => this.sheetReader.getAuditLogs(filters)
+        });
+    }
+
+    async appendAuditLogs(entries) {
+        return this._write('appendAuditLogs', {
+            sql: () => this.sqlWriter.appendAuditLogs(entries),
+            sheet: () => this.sheetWriter.appendAuditLogs(entries)
+        });
+    }
+}
+
+module.exports = AuditLogRepository;
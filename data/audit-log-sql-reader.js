@@ -0,0 +1,72 @@
+/**
+ * data/audit-log-sql-reader.js
+ * [Strict Digital Forensics Mode]
+ * - Type: SQL Reader (Read-Only)
+ * - Target: PostgreSQL (Supabase)
+ * - Table: audit_logs
+ * - Constraints: No rowIndex, filters applied in the query
+ * - Version: 1.0.0
+ * - Date: 2026-10-19
+ */
+
+const { supabase } = require('../config/supabase');
+
+class AuditLogSqlReader {
+
+    constructor() {
+        this.tableName = 'audit_logs';
+    }
+
+    /**
+     * Get audit log rows, optionally filtered by entity
+     * @param {Object} [filters]
+     * @param {string} [filters.entityType]
+     * @param {string} [filters.entityId]
+     * @returns {Promise<Array<Object>>} Array of AuditLog DTOs
+     */
+    async getAuditLogs({ entityType, entityId } = {}) {
+        try {
+            let query = supabase
+                .from(this.tableName)
+                .select('*');
+
+            if (entityType) query = query.eq('entity_type', entityType);
+            if (entityId) query = query.eq('entity_id', String(entityId));
+
+            const { data, error } = await query;
+
+            if (error) {
+                throw new Error(`[AuditLogSqlReader] DB Error: ${error.message}`);
+            }
+
+            return data.map(row => this._mapRowToDto(row));
+
+        } catch (error) {
+            console.error('[AuditLogSqlReader] getAuditLogs Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Maps Raw SQL Row to DTO
+     * snake_case -> camelCase
+     */
+    _mapRowToDto(row) {
+        if (!row) return null;
+
+        return {
+            auditId: row.audit_id,
+            batchId: row.batch_id,
+            timestamp: row.created_time,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            action: row.action,
+            field: row.field,
+            oldValue: row.old_value,
+            newValue: row.new_value,
+            actor: row.actor
+        };
+    }
+}
+
+module.exports = AuditLogSqlReader;
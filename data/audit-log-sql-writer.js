@@ -0,0 +1,51 @@
+/**
+ * data/audit-log-sql-writer.js
+ * SQL Writer for Audit Logs
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description Append-only inserts into audit_logs (one row per changed field).
+ * * Columns: audit_id, batch_id, created_time, entity_type, entity_id, action, field, old_value, new_value, actor
+ */
+
+const { supabase } = require('../config/supabase');
+
+class AuditLogSqlWriter {
+    constructor() {
+        this.tableName = 'audit_logs';
+    }
+
+    /**
+     * Insert audit log entries (SQL Only)
+     * @param {Array<Object>} entries - Audit DTOs built by AuditService
+     * @returns {Promise<Object>} { success: true, count }
+     */
+    async appendAuditLogs(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const payload = entries.map(entry => ({
+            audit_id: entry.auditId,
+            batch_id: entry.batchId,
+            created_time: entry.timestamp,
+            entity_type: entry.entityType,
+            entity_id: entry.entityId,
+            action: entry.action,
+            field: entry.field,
+            old_value: entry.oldValue,
+            new_value: entry.newValue,
+            actor: entry.actor
+        }));
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert(payload);
+
+        if (error) {
+            console.error('[AuditLogSqlWriter] Insert Failed:', error);
+            throw new Error(`[AuditLogSqlWriter] Insert Error: ${error.message}`);
+        }
+
+        return { success: true, count: payload.length };
+    }
+}
+
+module.exports = AuditLogSqlWriter;
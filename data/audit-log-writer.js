@@ -0,0 +1,89 @@
+/**
+ * data/audit-log-writer.js
+ * 變更紀錄寫入器 (Sheet)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 以單次 append 寫入同一操作的所有欄位變更 (僅新增，不提供更新/刪除)。
+ * 「變更紀錄」工作表不存在時自動建立並寫入標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class AuditLogWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {Object} auditLogReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, auditLogReader) {
+        super(sheets, spreadsheetId);
+        if (!auditLogReader) throw new Error('AuditLogWriter 需要 AuditLogReader 實例');
+        this.auditLogReader = auditLogReader;
+    }
+
+    /**
+     * 寫入變更紀錄
+     * @param {Array<Object>} entries - { auditId, batchId, timestamp, entityType, entityId, action, field, oldValue, newValue, actor }
+     */
+    async appendAuditLogs(entries) {
+        if (!entries || entries.length === 0) return { success: true, count: 0 };
+
+        const F = this.config.AUDIT_LOG_FIELDS;
+        const rows = entries.map(entry => {
+            const row = [];
+            row[F.AUDIT_ID] = entry.auditId;
+            row[F.BATCH_ID] = entry.batchId;
+            row[F.TIMESTAMP] = entry.timestamp;
+            row[F.ENTITY_TYPE] = entry.entityType;
+            row[F.ENTITY_ID] = entry.entityId;
+            row[F.ACTION] = entry.action;
+            row[F.FIELD] = entry.field;
+            row[F.OLD_VALUE] = entry.oldValue;
+            row[F.NEW_VALUE] = entry.newValue;
+            row[F.ACTOR] = entry.actor;
+            return row;
+        });
+
+        try {
+            await this._append(rows);
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet();
+            await this._append(rows);
+        }
+
+        this.auditLogReader.invalidateCache('auditLogs');
+        return { success: true, count: rows.length };
+    }
+
+    async _append(rows) {
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.AUDIT_LOG}!A:J`,
+            valueInputOption: 'RAW',
+            insertDataOption: 'INSERT_ROWS',
+            resource: { values: rows }
+        });
+    }
+
+    async _createSheet() {
+        const title = this.config.SHEETS.AUDIT_LOG;
+        console.log(`📝 [AuditLogWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const F = this.config.AUDIT_LOG_FIELDS;
+        const headers = Object.keys(F).sort((a, b) => F[a] - F[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:J1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = AuditLogWriter;
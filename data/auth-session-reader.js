@@ -0,0 +1,49 @@
+/**
+ * data/auth-session-reader.js
+ * 登入工作階段讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取「登入工作階段」(AUTH 試算表)：每次登入一列，記錄 Refresh Token 雜湊與撤銷狀態。
+ * 僅回傳原始資料，換發 / 撤銷規則由 AuthService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class AuthSessionReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有登入工作階段 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getSessions() {
+        const cacheKey = 'authSessions';
+        const range = `${this.config.SHEETS.AUTH_SESSIONS}!A:J`;
+        const F = this.config.AUTH_SESSION_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            sessionId: row[F.SESSION_ID] || '',
+            username: row[F.USERNAME] || '',
+            tokenHash: row[F.TOKEN_HASH] || '',
+            previousTokenHash: row[F.PREVIOUS_TOKEN_HASH] || '',
+            tokenVersion: parseInt(row[F.TOKEN_VERSION], 10) || 0,
+            createTime: row[F.CREATE_TIME] || '',
+            lastRefreshTime: row[F.LAST_REFRESH_TIME] || '',
+            expiresAt: row[F.EXPIRES_AT] || '',
+            revokedAt: row[F.REVOKED_AT] || '',
+            userAgent: row[F.USER_AGENT] || ''
+        });
+
+        const sessions = await this._fetchAndCache(cacheKey, range, rowParser);
+        return sessions.filter(session => session.sessionId && session.tokenHash);
+    }
+}
+
+module.exports = AuthSessionReader;
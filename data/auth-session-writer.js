@@ -0,0 +1,105 @@
+/**
+ * data/auth-session-writer.js
+ * 登入工作階段寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 新增登入工作階段，並以 rowIndex 原地更新 (Refresh Token 輪替、登出撤銷)。實作依賴注入。
+ * 既有試算表沒有「登入工作階段」時，第一次登入會自動建立工作表與標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class AuthSessionWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {AuthSessionReader} authSessionReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, authSessionReader) {
+        super(sheets, spreadsheetId);
+        if (!authSessionReader) throw new Error('AuthSessionWriter 需要 AuthSessionReader 實例');
+        this.authSessionReader = authSessionReader;
+    }
+
+    /**
+     * 新增工作階段
+     * @param {Object} session - 欄位見 config.AUTH_SESSION_FIELDS
+     */
+    async createSession(session) {
+        const row = this._buildRow(session);
+
+        try {
+            await this._append(row);
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet();
+            await this._append(row);
+        }
+
+        this.authSessionReader.invalidateCache('authSessions');
+        return { success: true, sessionId: session.sessionId };
+    }
+
+    /**
+     * 覆寫整列工作階段 (輪替 / 撤銷)
+     * @param {number} rowIndex - 由 Service 經 Reader 查得
+     * @param {Object} session - 合併後的完整資料
+     */
+    async updateSessionByRow(rowIndex, session) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.AUTH_SESSIONS}!A${rowIndex}:J${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildRow(session)] }
+        });
+
+        this.authSessionReader.invalidateCache('authSessions');
+        return { success: true };
+    }
+
+    async _append(row) {
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.AUTH_SESSIONS}!A:J`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+    }
+
+    _buildRow(session) {
+        const F = this.config.AUTH_SESSION_FIELDS;
+        const row = [];
+        row[F.SESSION_ID] = session.sessionId;
+        row[F.USERNAME] = session.username;
+        row[F.TOKEN_HASH] = session.tokenHash;
+        row[F.PREVIOUS_TOKEN_HASH] = session.previousTokenHash || '';
+        row[F.TOKEN_VERSION] = session.tokenVersion || 0;
+        row[F.CREATE_TIME] = session.createTime;
+        row[F.LAST_REFRESH_TIME] = session.lastRefreshTime || '';
+        row[F.EXPIRES_AT] = session.expiresAt;
+        row[F.REVOKED_AT] = session.revokedAt || '';
+        row[F.USER_AGENT] = session.userAgent || '';
+        return row;
+    }
+
+    async _createSheet() {
+        const title = this.config.SHEETS.AUTH_SESSIONS;
+        console.log(`📝 [AuthSessionWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const F = this.config.AUTH_SESSION_FIELDS;
+        const headers = Object.keys(F).sort((a, b) => F[a] - F[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:J1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = AuthSessionWriter;
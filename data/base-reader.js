@@ -25,6 +25,7 @@ const cache = {
     oppContactLinks: { data: null, timestamp: 0 },
     announcements: { data: null, timestamp: 0 },
     products: { data: null, timestamp: 0 }, // 新增商品快取
+    auditLogs: { data: null, timestamp: 0 },
     
     _globalLastWrite: { data: Date.now(), timestamp: 0 }
 };
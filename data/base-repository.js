@@ -0,0 +1,205 @@
+/**
+ * data/base-repository.js
+ * 資料來源路由基底類別 (Repository Layer)
+ * * @version 1.2.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES 決定每個模組的讀寫來源，取代各 Service 內自行實作的 "SQL First -> Sheet Fallback"。
+ * 支援模式：
+ * - SHEET: 僅讀寫 Sheet。
+ * - SQL: 僅讀寫 SQL，失敗直接拋出。
+ * - SQL_WITH_SHEET_FALLBACK: 先讀 SQL，失敗 (或回傳空資料，視模組設定) 時改讀 Sheet。
+ * 寫入：僅 SQL 模式寫 SQL Writer，SHEET 與 SQL_WITH_SHEET_FALLBACK 皆寫 Sheet Writer (寫入不做 Fallback，避免資料分裂)。
+ * SQL 寫入須逐模組明確設定 DATA_SOURCE_<MODULE>=SQL；前端仍依 Sheet rowIndex 操作的模組不應切換。
+ * 啟用 SQL 寫入前應先以 tools/migrate-sheets-to-sql.js 完成遷移。
+ * 每次讀寫皆記錄實際服務的來源，供 /api/system/status 顯示。
+ */
+
+const SOURCE_MODES = Object.freeze({
+    SHEET: 'SHEET',
+    SQL: 'SQL',
+    SQL_WITH_SHEET_FALLBACK: 'SQL_WITH_SHEET_FALLBACK'
+});
+
+class BaseRepository {
+    /**
+     * @param {Object} options
+     * @param {string} options.moduleName - 模組名稱 (對應 config.DATA_SOURCES 的 key)
+     * @param {string} options.mode - SOURCE_MODES 之一
+     * @param {Object} options.sheetReader - Sheet Reader 實例
+     * @param {Object} [options.sqlReader] - SQL Reader 實例 (SHEET 模式可省略)
+     * @param {boolean} [options.fallbackOnEmpty=true] - SQL 回傳空資料時是否視為尚未同步而改讀 Sheet
+     * @param {Object} [options.sheetWriter] - Sheet Writer 實例 (僅讀取的模組可省略)
+     * @param {Object} [options.sqlWriter] - SQL Writer 實例 (僅讀取的模組可省略)
+     */
+    constructor({ moduleName, mode, sheetReader, sqlReader = null, fallbackOnEmpty = true, sheetWriter = null, sqlWriter = null }) {
+        if (!Object.values(SOURCE_MODES).includes(mode)) {
+            throw new Error(`[${moduleName}Repository] 不支援的資料來源模式: ${mode} (可用: ${Object.values(SOURCE_MODES).join(', ')})`);
+        }
+        if (mode !== SOURCE_MODES.SHEET && !sqlReader) {
+            throw new Error(`[${moduleName}Repository] 模式 ${mode} 需要注入 SQL Reader`);
+        }
+        if (mode !== SOURCE_MODES.SQL && !sheetReader) {
+            throw new Error(`[${moduleName}Repository] 模式 ${mode} 需要注入 Sheet Reader`);
+        }
+
+        this.moduleName = moduleName;
+        this.mode = mode;
+        this.sheetReader = sheetReader;
+        this.sqlReader = sqlReader;
+        this.fallbackOnEmpty = fallbackOnEmpty;
+        this.sheetWriter = sheetWriter;
+        this.sqlWriter = sqlWriter;
+
+        this._status = {
+            lastServedBy: null,
+            lastServedAt: null,
+            lastFallbackReason: null,
+            servedCount: { SQL: 0, SHEET: 0 },
+            fallbackCount: 0,
+            lastWrittenTo: null,
+            lastWrittenAt: null,
+            writeCount: { SQL: 0, SHEET: 0 }
+        };
+    }
+
+    /**
+     * 寫入目標：僅 SQL 模式寫 SQL，其餘 (含 SQL_WITH_SHEET_FALLBACK) 寫 Sheet
+     */
+    get writeTarget() {
+        return this.mode === SOURCE_MODES.SQL ? 'SQL' : 'SHEET';
+    }
+
+    /**
+     * 取得此模組的來源狀態 (供系統狀態 API)
+     */
+    getSourceStatus() {
+        return {
+            mode: this.mode,
+            writeTarget: this.writeTarget,
+            ...this._status,
+            servedCount: { ...this._status.servedCount },
+            writeCount: { ...this._status.writeCount }
+        };
+    }
+
+    _isEmpty(result) {
+        return result === null || result === undefined || (Array.isArray(result) && result.length === 0);
+    }
+
+    _record(operation, source, fallbackReason = null) {
+        this._status.lastServedBy = source;
+        this._status.lastServedAt = new Date().toISOString();
+        this._status.servedCount[source]++;
+        if (fallbackReason) {
+            this._status.fallbackCount++;
+            this._status.lastFallbackReason = fallbackReason;
+        }
+
+        const suffix = fallbackReason ? ` (Fallback: ${fallbackReason})` : '';
+        console.log(`[${this.moduleName}Repository] ${operation} ← ${source}${suffix}`);
+    }
+
+    /**
+     * 依模式執行讀取
+     * @param {string} operation - 操作名稱 (記錄用)
+     * @param {Object} readers
+     * @param {Function} readers.sql - 讀取 SQL 的函式
+     * @param {Function} readers.sheet - 讀取 Sheet 的函式
+     * @param {Object} [options]
+     * @param {boolean} [options.forceSheet=false] - 強制讀取 Sheet (寫入流程需要 rowIndex 時)
+     * @param {boolean} [options.fallbackOnEmpty] - 覆寫模組預設 (例如單筆查詢查無資料時一律改讀 Sheet)
+     */
+    async _read(operation, { sql, sheet }, { forceSheet = false, fallbackOnEmpty = this.fallbackOnEmpty } = {}) {
+        if (forceSheet) {
+            if (!this.sheetReader) {
+                throw new Error(`[${this.moduleName}Repository] ${operation}: 模式 ${this.mode} 無 Sheet Reader，無法強制讀取 Sheet`);
+            }
+            const result = await sheet();
+            this._record(`${operation} [forceSheet]`, 'SHEET');
+            return result;
+        }
+
+        if (this.mode === SOURCE_MODES.SHEET) {
+            const result = await sheet();
+            this._record(operation, 'SHEET');
+            return result;
+        }
+
+        if (this.mode === SOURCE_MODES.SQL) {
+            const result = await sql();
+            this._record(operation, 'SQL');
+            return result;
+        }
+
+        // SQL_WITH_SHEET_FALLBACK
+        let fallbackReason;
+        try {
+            const result = await sql();
+            if (!(fallbackOnEmpty && this._isEmpty(result))) {
+                this._record(operation, 'SQL');
+                return result;
+            }
+            fallbackReason = 'SQL returned empty data';
+        } catch (error) {
+            console.warn(`[${this.moduleName}Repository] ${operation}: SQL Read Failed, falling back to Sheet: ${error.message}`);
+            fallbackReason = `SQL error: ${error.message}`;
+        }
+
+        const result = await sheet();
+        this._record(operation, 'SHEET', fallbackReason);
+        return result;
+    }
+
+    /**
+     * 依模式執行寫入 (不做 Fallback)
+     * @param {string} operation - 操作名稱 (記錄用)
+     * @param {Object} writers
+     * @param {Function} writers.sql - 寫入 SQL 的函式 (以業務 ID 定位)
+     * @param {Function} writers.sheet - 寫入 Sheet 的函式 (由 Repository 自行解析 rowIndex)
+     */
+    async _write(operation, { sql, sheet }) {
+        const target = this.writeTarget;
+        const writer = target === 'SQL' ? this.sqlWriter : this.sheetWriter;
+        if (!writer) {
+            throw new Error(`[${this.moduleName}Repository] ${operation}: 模式 ${this.mode} 需要注入 ${target} Writer`);
+        }
+
+        const result = await (target === 'SQL' ? sql() : sheet());
+
+        this._status.lastWrittenTo = target;
+        this._status.lastWrittenAt = new Date().toISOString();
+        this._status.writeCount[target]++;
+        console.log(`[${this.moduleName}Repository] ${operation} → ${target}`);
+
+        return result;
+    }
+
+    /**
+     * 將舊版 rowIndex (純數字) 解析為業務 ID；非數字者視為 ID 原樣回傳
+     * 僅供過渡期相容舊前端，rowIndex 一律以 Sheet 為準。
+     * @param {string|number} key - 業務 ID 或 rowIndex
+     * @param {Function} loadSheetList - 讀取 Sheet 清單 (需含 rowIndex)
+     * @param {string} idField - DTO 中的 ID 欄位名稱
+     */
+    async _resolveLegacyRowIndex(key, loadSheetList, idField) {
+        const text = String(key === undefined || key === null ? '' : key).trim();
+        if (!/^\d+$/.test(text)) return text;
+
+        if (!this.sheetReader) {
+            throw new Error(`[${this.moduleName}Repository] 無 Sheet Reader，無法以 rowIndex ${text} 定位資料`);
+        }
+
+        const list = await loadSheetList();
+        const target = list.find(item => Number(item.rowIndex) === Number(text));
+        if (!target || !target[idField]) {
+            throw new Error(`[${this.moduleName}Repository] 找不到 rowIndex ${text} 對應的資料`);
+        }
+
+        console.warn(`[${this.moduleName}Repository] 以舊版 rowIndex ${text} 定位資料 (→ ${target[idField]})，請改傳 ${idField}`);
+        return target[idField];
+    }
+}
+
+BaseRepository.SOURCE_MODES = SOURCE_MODES;
+
+module.exports = BaseRepository;
@@ -98,6 +98,7 @@ class BaseWriter {
             [this.config.SHEETS.COMPANY_LIST]: 'companyList',
             [this.config.SHEETS.CONTACT_LIST]: 'contactList',
             [this.config.SHEETS.ANNOUNCEMENTS]: 'announcements',
+            [this.config.SHEETS.OPPORTUNITY_SHARES]: 'opportunityShares',
             
             // 事件紀錄相關
             [this.config.SHEETS.EVENT_LOGS_GENERAL]: 'eventLogs',
@@ -0,0 +1,73 @@
+/**
+ * data/company-repository.js
+ * 公司資料來源路由 (Repository Layer)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.COMPANY 在 CompanyReader/Writer (Sheet) 與 CompanySqlReader/Writer 之間切換。
+ * 回傳原始資料列，DTO 轉換仍由 CompanyService._toServiceDTO 負責 (兩種來源皆相容)。
+ * 寫入一律以 companyId 定位；寫入 Sheet 時由此處解析 rowIndex。
+ * 更新可帶 options.expectedVersion (最後更新時間)，由各 Writer 於寫入前比對。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class CompanyRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {CompanyReader} dependencies.companyReader
+     * @param {CompanySqlReader} [dependencies.companySqlReader]
+     * @param {CompanyWriter} [dependencies.companyWriter]
+     * @param {CompanySqlWriter} [dependencies.companySqlWriter]
+     */
+    constructor({ mode, companyReader, companySqlReader, companyWriter, companySqlWriter }) {
+        super({
+            moduleName: 'Company',
+            mode,
+            sheetReader: companyReader,
+            sqlReader: companySqlReader,
+            sheetWriter: companyWriter,
+            sqlWriter: companySqlWriter
+        });
+    }
+
+    /**
+     * 取得所有公司 (原始資料列)
+     */
+    async getCompanies() {
+        return this._read('getCompanies', {
+            sql: () => this.sqlReader.getCompanies(),
+            sheet: () => this.sheetReader.getCompanyList()
+        });
+    }
+
+    async _findSheetRowIndex(companyId) {
+        const range = `${this.sheetReader.config.SHEETS.COMPANY_LIST}!A:A`;
+        const found = await this.sheetReader.findRowByValue(range, 0, companyId);
+        if (!found) throw new Error(`找不到公司 (ID: ${companyId})`);
+        return found.rowIndex;
+    }
+
+    async createCompany(data, creator) {
+        return this._write('createCompany', {
+            sql: () => this.sqlWriter.createCompany(data, creator),
+            sheet: () => this.sheetWriter.createCompany(data, creator)
+        });
+    }
+
+    async updateCompany(companyId, data, modifier, options = {}) {
+        return this._write(`updateCompany(${companyId})`, {
+            sql: () => this.sqlWriter.updateCompany(companyId, data, modifier, options),
+            sheet: async () => this.sheetWriter.updateCompany(await this._findSheetRowIndex(companyId), data, modifier, options)
+        });
+    }
+
+    async deleteCompany(companyId) {
+        return this._write(`deleteCompany(${companyId})`, {
+            sql: () => this.sqlWriter.deleteCompany(companyId),
+            sheet: async () => this.sheetWriter.deleteCompany(await this._findSheetRowIndex(companyId))
+        });
+    }
+}
+
+module.exports = CompanyRepository;
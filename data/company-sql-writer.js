@@ -0,0 +1,148 @@
+/**
+ * data/company-sql-writer.js
+ * SQL Writer for Companies
+ * * @version 1.1.0
+ * * @date 2026-10-19
+ * * @description Strict SQL write operations for Companies, keyed on company_id (never rowIndex).
+ * * Accepts the Service DTO (county / introduction / engagementRating) and the SQL DTO aliases.
+ * * Updates accept options.expectedVersion (updated_time) and apply it as a compare-and-set filter.
+ */
+
+const { supabase } = require('../config/supabase');
+const { normalizeVersion, createVersionConflictError } = require('../utils/concurrency');
+
+class CompanySqlWriter {
+    constructor() {
+        this.tableName = 'companies';
+    }
+
+    /**
+     * Create Company (SQL Only)
+     * @param {Object} companyData
+     * @param {string} creator
+     * @returns {Promise<Object>} { success: true, data: { companyId, companyName } } (same shape as CompanyWriter)
+     */
+    async createCompany(companyData, creator) {
+        const companyId = `COMP_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        const now = new Date().toISOString();
+
+        console.log(`🏢 [CompanySqlWriter] Creating company: ${companyData.companyName} (ID: ${companyId})`);
+
+        const payload = {
+            company_id: companyId,
+            company_name: companyData.companyName || '',
+            phone: companyData.phone || '',
+            address: companyData.address || '',
+            city: companyData.county || companyData.city || '',
+            description: companyData.introduction || companyData.description || '',
+            company_type: companyData.companyType || '',
+            customer_stage: companyData.customerStage || 'New',
+            interaction_rating: companyData.engagementRating || companyData.interactionRating || 'C',
+            created_by: creator,
+            updated_by: creator,
+            created_time: now,
+            updated_time: now
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([payload]);
+
+        if (error) {
+            console.error('[CompanySqlWriter] Create Failed:', error);
+            throw new Error(`[CompanySqlWriter] Create Error: ${error.message}`);
+        }
+
+        return { success: true, data: { companyId, companyName: companyData.companyName } };
+    }
+
+    /**
+     * Update Company (SQL Only)
+     * @param {string} companyId
+     * @param {Object} updateData - Partial update DTO
+     * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - updated_time the caller last read
+     */
+    async updateCompany(companyId, updateData, modifier, options = {}) {
+        console.log(`🏢 [CompanySqlWriter] Updating company ${companyId} by ${modifier}`);
+
+        const now = new Date().toISOString();
+        const expectedVersion = normalizeVersion(options.expectedVersion);
+        const payload = {
+            updated_time: now,
+            updated_by: modifier
+        };
+
+        if (updateData.companyName !== undefined) payload.company_name = updateData.companyName;
+        if (updateData.phone !== undefined) payload.phone = updateData.phone;
+        if (updateData.address !== undefined) payload.address = updateData.address;
+        if (updateData.county !== undefined) payload.city = updateData.county;
+        if (updateData.city !== undefined) payload.city = updateData.city; // Alias
+        if (updateData.introduction !== undefined) payload.description = updateData.introduction;
+        if (updateData.description !== undefined) payload.description = updateData.description; // Alias
+        if (updateData.companyType !== undefined) payload.company_type = updateData.companyType;
+        if (updateData.customerStage !== undefined) payload.customer_stage = updateData.customerStage;
+        if (updateData.engagementRating !== undefined) payload.interaction_rating = updateData.engagementRating;
+        if (updateData.interactionRating !== undefined) payload.interaction_rating = updateData.interactionRating; // Alias
+
+        let query = supabase
+            .from(this.tableName)
+            .update(payload)
+            .eq('company_id', companyId);
+        if (expectedVersion) query = query.eq('updated_time', expectedVersion);
+
+        const { data, error } = await query.select();
+
+        if (error) {
+            console.error('[CompanySqlWriter] Update Failed:', error);
+            throw new Error(`[CompanySqlWriter] Update Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            if (expectedVersion) await this._throwIfExists(companyId);
+            throw new Error(`找不到公司 (ID: ${companyId})`);
+        }
+
+        return { success: true, version: now };
+    }
+
+    /**
+     * A compare-and-set update matched nothing: a conflict if the row still exists.
+     * @param {string} companyId
+     */
+    async _throwIfExists(companyId) {
+        const { data } = await supabase
+            .from(this.tableName)
+            .select('updated_time')
+            .eq('company_id', companyId)
+            .maybeSingle();
+
+        if (data) throw createVersionConflictError('公司', companyId, data.updated_time);
+    }
+
+    /**
+     * Delete Company (SQL Only)
+     * @param {string} companyId
+     */
+    async deleteCompany(companyId) {
+        console.log(`🗑️ [CompanySqlWriter] Deleting company ${companyId}`);
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('company_id', companyId)
+            .select();
+
+        if (error) {
+            console.error('[CompanySqlWriter] Delete Failed:', error);
+            throw new Error(`[CompanySqlWriter] Delete Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error(`找不到公司 (ID: ${companyId})`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = CompanySqlWriter;
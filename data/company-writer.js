@@ -1,15 +1,17 @@
 /**
  * data/company-writer.js
  * 公司寫入器 (Native Implementation)
- * * @version 7.5.0 (Final Fix: Full Field Mapping & Native API)
- * * @date 2026-01-16
+ * * @version 7.6.0 (Optimistic Concurrency)
+ * * @date 2026-10-19
  * * @description 
  * * 1. [Fix] 補齊欄位對映：確保 Type(10), Stage(11), Rating(12) 正確寫入。
  * * 2. [Fix] 修復 createCompany 錯誤：改用 Native API (values.append)。
  * * 3. [Strict] 嚴格定義 0-12 欄位索引，防止資料錯位。
+ * * 4. [Feature] updateCompany 支援 expectedVersion (= 最後更新時間, Index 5)。
  */
 
 const BaseWriter = require('./base-writer');
+const { assertVersion } = require('../utils/concurrency');
 
 class CompanyWriter extends BaseWriter {
     /**
@@ -84,7 +86,7 @@ class CompanyWriter extends BaseWriter {
      * @param {Object} updateData 更新內容
      * @param {string} modifier 修改者
      */
-    async updateCompany(rowIndex, updateData, modifier) {
+    async updateCompany(rowIndex, updateData, modifier, options = {}) {
         const sheetName = this.config.SHEETS.COMPANY_LIST;
         // 擴大讀取範圍至 M 欄 (Index 12)，確保能讀寫到最後一個欄位
         const range = `${sheetName}!A${rowIndex}:M${rowIndex}`;
@@ -108,13 +110,17 @@ class CompanyWriter extends BaseWriter {
                 currentRow.push('');
             }
 
+            // 樂觀鎖：比對最後更新時間 (Index 5)
+            assertVersion(options.expectedVersion, currentRow[5], { entity: '公司', id: currentRow[0] || `Row ${rowIndex}` });
+
             // 2. 更新欄位 (Strict Mapping)
             // 僅更新 updateData 中存在的欄位，其餘保持原樣
             if (updateData.companyName !== undefined) currentRow[1] = updateData.companyName;
             if (updateData.phone !== undefined) currentRow[2] = updateData.phone;
             if (updateData.address !== undefined) currentRow[3] = updateData.address;
             
-            currentRow[5] = new Date().toISOString(); // LastUpdate (Index 5)
+            const now = new Date().toISOString();
+            currentRow[5] = now; // LastUpdate (Index 5)
             
             if (updateData.county !== undefined) currentRow[6] = updateData.county;
             currentRow[8] = modifier; // Modifier (Index 8)
@@ -136,7 +142,7 @@ class CompanyWriter extends BaseWriter {
             });
 
             console.log(`✅ [CompanyWriter] 公司資料更新成功 (Row: ${rowIndex})`);
-            return { success: true };
+            return { success: true, version: now };
 
         } catch (error) {
             console.error(`❌ [CompanyWriter] Update Error (Row ${rowIndex}):`, error);
@@ -1,7 +1,7 @@
 /**
  * data/contact-reader.js
  * 專門負責讀取所有與「聯絡人」相關資料的類別
- * * @version 7.0.0 (Standard A + S Refactor)
+ * * @version 7.1.0 (Collision-safe Potential Contact ID)
  * @date 2026-01-23
  * @description 
  * [SQL-Ready Refactor]
@@ -9,8 +9,11 @@
  * 2. 移除 Cross-Reader Coupling (不再 require company-reader)。
  * 3. 確保回傳 rowIndex，供 Service 傳遞給 Writer 進行 Update。
  * 4. 僅保留 Raw Data Access 方法。
+ * 5. 潛在客戶提供穩定 contactId (由不可編輯欄位推導)，供 ID-based API 定位。
+ * 6. contactId 改以所有系統寫入後不再變動的欄位雜湊，降低空白列或同批匯入列撞號的機率 (撞號由 Service 拒絕寫入)。
  */
 
+const crypto = require('crypto');
 const BaseReader = require('./base-reader');
 
 class ContactReader extends BaseReader {
@@ -22,6 +25,23 @@ class ContactReader extends BaseReader {
         super(sheets, spreadsheetId);
     }
 
+    /**
+     * 推導潛在客戶的穩定 ID
+     * 原始名片表沒有 ID 欄位，改以名片匯入時寫入、之後不會被改寫的欄位 (建立時間、處理時間、圖檔、
+     * 辨識原文、來源與 LINE 使用者等) 雜湊，因此插入/刪除其他列不影響 ID。
+     * 可編輯欄位 (姓名、公司、職稱、手機、Email、狀態) 不納入，否則每次編輯都會換號。
+     * @param {Array} row
+     * @returns {string} e.g. 'PC-3f2a9c1b7d04'
+     */
+    _derivePotentialContactId(row) {
+        const F = this.config.CONTACT_FIELDS;
+        const seed = [
+            F.TIME, F.PROCESSING_TIME, F.DRIVE_LINK, F.SMART_FILENAME, F.LOCAL_PATH,
+            F.RAW_TEXT, F.DATA_SOURCE, F.LINE_USER_ID, F.ORIGINAL_ID
+        ].map(index => row[index] || '').join('|');
+        return `PC-${crypto.createHash('sha1').update(seed).digest('hex').slice(0, 12)}`;
+    }
+
     /**
      * 取得原始名片資料 (潛在客戶) - Raw Data Only
      * @returns {Promise<Array<object>>}
@@ -36,6 +56,7 @@ class ContactReader extends BaseReader {
             return {
                 // [Critical] 用於 Service -> Writer 的定位
                 rowIndex: index + 2,
+                contactId: this._derivePotentialContactId(row),
                 
                 // 基礎資料欄位
                 createdTime: row[this.config.CONTACT_FIELDS.TIME] || '',
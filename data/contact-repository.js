@@ -0,0 +1,66 @@
+/**
+ * data/contact-repository.js
+ * 正式聯絡人資料來源路由 (Repository Layer)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.CONTACT 在 CORE ContactReader (聯絡人總表) 與 ContactSqlReader 之間切換。
+ * SQL 來源的資料列在此補上 position 別名，使兩種來源輸出相同 DTO。
+ * 潛在客戶 (RAW 名片資料) 僅存在 Sheet，不經過此 Repository。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class ContactRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {ContactReader} dependencies.contactCoreReader - bound to IDS.CORE
+     * @param {ContactSqlReader} [dependencies.contactSqlReader]
+     */
+    constructor({ mode, contactCoreReader, contactSqlReader }) {
+        super({
+            moduleName: 'Contact',
+            mode,
+            sheetReader: contactCoreReader,
+            sqlReader: contactSqlReader
+        });
+    }
+
+    _mapSqlContact(contact) {
+        return {
+            ...contact,
+            position: contact.jobTitle || contact.position
+        };
+    }
+
+    /**
+     * 取得所有正式聯絡人
+     * @param {Object} [options]
+     * @param {boolean} [options.forceSheet=false]
+     */
+    async getOfficialContacts({ forceSheet = false } = {}) {
+        return this._read('getOfficialContacts', {
+            sql: async () => (await this.sqlReader.getContacts()).map(c => this._mapSqlContact(c)),
+            sheet: () => this.sheetReader.getContactList()
+        }, { forceSheet });
+    }
+
+    /**
+     * 取得單一正式聯絡人
+     * @param {string} contactId
+     */
+    async getOfficialContactById(contactId) {
+        return this._read(`getOfficialContactById(${contactId})`, {
+            sql: async () => {
+                const contact = await this.sqlReader.getContactById(contactId);
+                return contact ? this._mapSqlContact(contact) : null;
+            },
+            sheet: async () => {
+                const contacts = await this.sheetReader.getContactList();
+                return contacts.find(c => c.contactId === contactId) || null;
+            }
+        });
+    }
+}
+
+module.exports = ContactRepository;
@@ -97,6 +97,7 @@ class ContactWriter extends BaseWriter {
         if (F.NOTES !== undefined) {
             pushUpdate(F.NOTES, data.notes);
         }
+        pushUpdate(F.STATUS, data.status);
 
         if (updates.length > 0) {
              await this.sheets.spreadsheets.values.batchUpdate({
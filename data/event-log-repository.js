@@ -0,0 +1,125 @@
+/**
+ * data/event-log-repository.js
+ * 事件紀錄資料來源路由 (Repository Layer)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.EVENT_LOG 在 EventLogReader/Writer (Sheet) 與 EventLogSqlReader/Writer 之間切換。
+ * SQL 回傳空清單視為有效結果 (不 Fallback)；單筆查無資料時則改讀 Sheet。
+ * 寫入一律以 eventId 定位；寫入 Sheet 時由此處解析 rowIndex 與所在工作表。
+ * eventType 變更時兩種來源皆以 Move (刪除舊紀錄 + 以原 eventId 建立新紀錄) 處理。
+ * 更新可帶 options.expectedVersion (修訂版次)；Move 時版次延續 (原版次 + 1)。
+ */
+
+const BaseRepository = require('./base-repository');
+const { assertVersion } = require('../utils/concurrency');
+
+class EventLogRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {EventLogReader} dependencies.eventLogReader
+     * @param {EventLogSqlReader} [dependencies.eventLogSqlReader]
+     * @param {EventLogWriter} [dependencies.eventLogWriter]
+     * @param {EventLogSqlWriter} [dependencies.eventLogSqlWriter]
+     */
+    constructor({ mode, eventLogReader, eventLogSqlReader, eventLogWriter, eventLogSqlWriter }) {
+        super({
+            moduleName: 'EventLog',
+            mode,
+            sheetReader: eventLogReader,
+            sqlReader: eventLogSqlReader,
+            sheetWriter: eventLogWriter,
+            sqlWriter: eventLogSqlWriter,
+            fallbackOnEmpty: false
+        });
+    }
+
+    /**
+     * 取得所有事件紀錄 (含各類型分表)
+     */
+    async getEventLogs() {
+        return this._read('getEventLogs', {
+            sql: () => this.sqlReader.getEventLogs(),
+            sheet: () => this.sheetReader.getEventLogs()
+        });
+    }
+
+    /**
+     * 取得單筆事件紀錄
+     * @param {string} eventId
+     */
+    async getEventLogById(eventId) {
+        return this._read(`getEventLogById(${eventId})`, {
+            sql: () => this.sqlReader.getEventLogById(eventId),
+            sheet: () => this.sheetReader.getEventLogById(eventId)
+        }, { fallbackOnEmpty: true });
+    }
+
+    /**
+     * 將 eventId 或舊版 rowIndex 統一解析為 eventId
+     * 注意：各類型工作表的 rowIndex 彼此重疊，僅作為舊前端的過渡相容。
+     * @param {string|number} idOrRowIndex
+     */
+    async resolveEventId(idOrRowIndex) {
+        return this._resolveLegacyRowIndex(idOrRowIndex, () => this.sheetReader.getEventLogs(), 'eventId');
+    }
+
+    async _findSheetEvent(eventId, operation) {
+        const logs = await this.sheetReader.getEventLogs();
+        const target = logs.find(l => l.eventId === eventId);
+        if (!target || !target.rowIndex) {
+            throw new Error(`${operation} Failed: Event ID '${eventId}' not found.`);
+        }
+        return target;
+    }
+
+    async createEventLog(data, creator) {
+        return this._write('createEventLog', {
+            sql: () => this.sqlWriter.createEventLog(data, creator),
+            sheet: () => this.sheetWriter.createEventLog(data, creator)
+        });
+    }
+
+    async updateEventLog(eventId, data, modifier, options = {}) {
+        return this._write(`updateEventLog(${eventId})`, {
+            sql: () => this.sqlWriter.updateEventLog(eventId, data, modifier, options),
+            sheet: async () => {
+                const original = await this._findSheetEvent(eventId, 'Update');
+
+                // [Hotfix] rowIndex 不可跨工作表 update：eventType 變更時改為 Move
+                if (data.eventType && original.eventType && data.eventType !== original.eventType) {
+                    const currentCount = parseInt(original.editCount, 10) || 1;
+                    assertVersion(options.expectedVersion, currentCount, { entity: '事件紀錄', id: eventId });
+
+                    await this.sheetWriter.deleteEventLog(original.rowIndex, original.eventType);
+
+                    const payload = { ...data, eventId: original.eventId, editCount: currentCount + 1 };
+                    // createdTime 若沒帶，保留原本建立時間（避免時間變動造成排序/顯示怪異）
+                    if (!payload.createdTime && original.createdTime) payload.createdTime = original.createdTime;
+
+                    const createResult = await this.sheetWriter.createEventLog(payload, modifier);
+                    return { ...createResult, moved: true, version: String(currentCount + 1) };
+                }
+
+                return this.sheetWriter.updateEventLog(
+                    original.rowIndex,
+                    { ...data, eventId, eventType: data.eventType || original.eventType },
+                    modifier,
+                    options
+                );
+            }
+        });
+    }
+
+    async deleteEventLog(eventId) {
+        return this._write(`deleteEventLog(${eventId})`, {
+            sql: () => this.sqlWriter.deleteEventLog(eventId),
+            sheet: async () => {
+                const target = await this._findSheetEvent(eventId, 'Delete');
+                return this.sheetWriter.deleteEventLog(target.rowIndex, target.eventType);
+            }
+        });
+    }
+}
+
+module.exports = EventLogRepository;
@@ -0,0 +1,254 @@
+/**
+ * data/event-log-sql-writer.js
+ * SQL Writer for Event Logs
+ * * @version 1.1.0
+ * * @date 2026-10-19
+ * * @description Strict SQL write operations for Event Logs, keyed on event_id.
+ * * Each eventType lives in its own table (same table map as EventLogSqlReader).
+ * * Changing eventType moves the record: insert into the new table (same event_id) then delete from the old one.
+ * * The legacy summary table (event_logs_summary) is read-only.
+ * * Updates accept options.expectedVersion (edit_count); in-place updates also use it as a compare-and-set filter.
+ */
+
+const { supabase } = require('../config/supabase');
+const { assertVersion, createVersionConflictError } = require('../utils/concurrency');
+
+// Columns shared by general / iot / dt / dx: [DTO key, SQL column]
+const BASE_COLUMNS = [
+    ['eventName', 'event_name'],
+    ['opportunityId', 'opportunity_id'],
+    ['companyId', 'company_id'],
+    ['ourParticipants', 'our_participants'],
+    ['clientParticipants', 'client_participants'],
+    ['visitPlace', 'visit_place'],
+    ['eventContent', 'event_content'],
+    ['clientQuestions', 'client_questions'],
+    ['clientIntelligence', 'client_intelligence'],
+    ['eventNotes', 'event_notes']
+];
+
+// Type specific columns: DTO keys follow EventLogReader.HEADER_TO_KEY_MAP (iot_* / dt_*)
+const TYPE_COLUMNS = {
+    iot: [
+        ['iot_deviceScale', 'device_scale'],
+        ['iot_lineFeatures', 'line_features'],
+        ['iot_productionStatus', 'production_status'],
+        ['iot_iotStatus', 'iot_status'],
+        ['iot_painPoints', 'pain_category'],
+        ['iot_painPointDetails', 'pain_description'],
+        ['iot_painPointAnalysis', 'pain_analysis'],
+        ['iot_systemArchitecture', 'system_architecture']
+    ],
+    dt: [
+        ['dt_deviceScale', 'device_scale'],
+        ['dt_processingType', 'processing_type'],
+        ['dt_industry', 'industry']
+    ]
+};
+
+const READ_ONLY_TYPES = ['summary'];
+
+class EventLogSqlWriter {
+    constructor() {
+        this.tables = {
+            general: 'event_logs_general',
+            iot: 'event_logs_iot',
+            dt: 'event_logs_dt',
+            dx: 'event_logs_dx',
+            summary: 'event_logs_summary'
+        };
+    }
+
+    /**
+     * 與 EventLogWriter._getSheetNameByType 一致：未知類型一律寫入 general
+     */
+    _normalizeType(type) {
+        return ['iot', 'dt', 'dx'].includes(type) ? type : 'general';
+    }
+
+    _toPayload(data, type) {
+        const payload = {};
+        [...BASE_COLUMNS, ...(TYPE_COLUMNS[type] || [])].forEach(([key, column]) => {
+            if (data[key] !== undefined) payload[column] = data[key];
+        });
+        return payload;
+    }
+
+    /**
+     * 依 event_id 找出所在資料表
+     * @returns {Promise<{type: string, row: Object}|null>}
+     */
+    async _locate(eventId) {
+        const results = await Promise.all(Object.entries(this.tables).map(async ([type, table]) => {
+            const { data, error } = await supabase
+                .from(table)
+                .select('*')
+                .eq('event_id', eventId)
+                .limit(1);
+
+            if (error) throw new Error(`[EventLogSqlWriter] Lookup Error (${table}): ${error.message}`);
+            return data && data.length > 0 ? { type, row: data[0] } : null;
+        }));
+
+        return results.find(Boolean) || null;
+    }
+
+    /**
+     * Create Event Log (SQL Only)
+     * 傳入 eventId 時沿用 (Move 流程需保留原 ID)，否則產生新 ID
+     * @param {Object} data - Event DTO (含 eventType)
+     * @param {string} creator
+     * @returns {Promise<Object>} { success: true, id: string }
+     */
+    async createEventLog(data, creator) {
+        const type = this._normalizeType(data.eventType);
+        const eventId = data.eventId || `EVT${Date.now()}`;
+        const now = new Date().toISOString();
+
+        console.log(`📅 [EventLogSqlWriter] Creating event: ${data.eventName} (${type}, ID: ${eventId}) by ${creator}`);
+
+        const payload = {
+            ...this._toPayload(data, type),
+            event_id: eventId,
+            creator: data.creator || creator,
+            created_time: data.createdTime || now,
+            last_modified_time: now,
+            edit_count: data.editCount || 1
+        };
+
+        const { error } = await supabase
+            .from(this.tables[type])
+            .insert([payload]);
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Create Failed:', error);
+            throw new Error(`[EventLogSqlWriter] Create Error: ${error.message}`);
+        }
+
+        return { success: true, id: eventId };
+    }
+
+    /**
+     * Update Event Log (SQL Only)
+     * eventType 變更時改為 Move (insert 新表 + delete 舊表)，回傳 moved: true
+     * @param {string} eventId
+     * @param {Object} data - Partial update DTO
+     * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string|number} [options.expectedVersion] - edit_count the caller last read
+     */
+    async updateEventLog(eventId, data, modifier, options = {}) {
+        const found = await this._locate(eventId);
+        if (!found) throw new Error(`Update Failed: Event ID '${eventId}' not found.`);
+        if (READ_ONLY_TYPES.includes(found.type)) {
+            throw new Error(`Update Failed: Event ID '${eventId}' 屬於舊版事件總表，僅供讀取。`);
+        }
+
+        const currentCount = parseInt(found.row.edit_count, 10) || 1;
+        assertVersion(options.expectedVersion, currentCount, { entity: '事件紀錄', id: eventId });
+
+        const targetType = data.eventType ? this._normalizeType(data.eventType) : found.type;
+        const editCount = currentCount + 1;
+        const now = new Date().toISOString();
+
+        console.log(`📅 [EventLogSqlWriter] Updating event ${eventId} (${found.type} → ${targetType}) by ${modifier}`);
+
+        if (targetType !== found.type) {
+            const payload = {
+                ...this._toPayload(this._rowToBaseDto(found.row), targetType),
+                ...this._toPayload(data, targetType),
+                event_id: eventId,
+                creator: found.row.creator,
+                created_time: found.row.created_time,
+                last_modified_time: now,
+                edit_count: editCount
+            };
+
+            const { error: insertError } = await supabase
+                .from(this.tables[targetType])
+                .insert([payload]);
+
+            if (insertError) {
+                console.error('[EventLogSqlWriter] Move (insert) Failed:', insertError);
+                throw new Error(`[EventLogSqlWriter] Move Error: ${insertError.message}`);
+            }
+
+            const { error: deleteError } = await supabase
+                .from(this.tables[found.type])
+                .delete()
+                .eq('event_id', eventId);
+
+            if (deleteError) {
+                console.error('[EventLogSqlWriter] Move (delete) Failed:', deleteError);
+                throw new Error(`[EventLogSqlWriter] Move Error: ${deleteError.message}`);
+            }
+
+            return { success: true, id: eventId, moved: true, version: String(editCount) };
+        }
+
+        const payload = {
+            ...this._toPayload(data, targetType),
+            last_modified_time: now,
+            edit_count: editCount
+        };
+
+        let query = supabase
+            .from(this.tables[targetType])
+            .update(payload)
+            .eq('event_id', eventId);
+        if (found.row.edit_count !== null && found.row.edit_count !== undefined) {
+            query = query.eq('edit_count', found.row.edit_count);
+        }
+
+        const { data: updated, error } = await query.select();
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Update Failed:', error);
+            throw new Error(`[EventLogSqlWriter] Update Error: ${error.message}`);
+        }
+        if (!updated || updated.length === 0) {
+            // 讀取後到寫入前已被他人更新
+            const latest = await this._locate(eventId);
+            if (!latest) throw new Error(`Update Failed: Event ID '${eventId}' not found.`);
+            throw createVersionConflictError('事件紀錄', eventId, latest.row.edit_count);
+        }
+
+        return { success: true, version: String(editCount) };
+    }
+
+    /**
+     * Delete Event Log (SQL Only)
+     * @param {string} eventId
+     */
+    async deleteEventLog(eventId) {
+        const found = await this._locate(eventId);
+        if (!found) throw new Error(`Delete Failed: Event ID '${eventId}' not found.`);
+
+        console.log(`🗑️ [EventLogSqlWriter] Deleting event ${eventId} (${found.type})`);
+
+        const { error } = await supabase
+            .from(this.tables[found.type])
+            .delete()
+            .eq('event_id', eventId);
+
+        if (error) {
+            console.error('[EventLogSqlWriter] Delete Failed:', error);
+            throw new Error(`[EventLogSqlWriter] Delete Error: ${error.message}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * 將 SQL Row 的共用欄位轉回 DTO (Move 時保留原內容)
+     */
+    _rowToBaseDto(row) {
+        const dto = {};
+        BASE_COLUMNS.forEach(([key, column]) => {
+            if (row[column] !== undefined) dto[key] = row[column];
+        });
+        return dto;
+    }
+}
+
+module.exports = EventLogSqlWriter;
@@ -1,14 +1,16 @@
 /**
  * data/event-log-writer.js
  * 事件紀錄寫入器
- * * @version 5.1.0 (Phase 5 Refactoring - Shared Mapping Patch)
- * @date 2026-01-29
+ * * @version 5.2.0 (Optimistic Concurrency)
+ * @date 2026-10-19
  * @description 負責處理各類型事件 (General, IOT, DT, DX) 的建立、更新與刪除。
  * [Patch] 移除內部 HEADER_TO_KEY_MAP，改用 EventLogReader.HEADER_TO_KEY_MAP 確保一致性。
+ * [Feature] updateEventLog 支援 expectedVersion (= 修訂版次)。
  */
 
 const BaseWriter = require('./base-writer');
 const EventLogReader = require('./event-log-reader'); // [Patch] 引用 Reader 以獲取 Mapping
+const { assertVersion } = require('../utils/concurrency');
 
 class EventLogWriter extends BaseWriter {
     /**
@@ -58,7 +60,8 @@ class EventLogWriter extends BaseWriter {
         console.log(`📅 [EventLogWriter] 建立新事件: ${data.eventName} (${data.eventType}) by ${creator}`);
         
         const now = new Date().toISOString();
-        const eventId = `EVT${Date.now()}`;
+        // Move (eventType 變更) 時沿用原 eventId
+        const eventId = data.eventId || `EVT${Date.now()}`;
         const sheetName = this._getSheetNameByType(data.eventType);
         const headers = this._getFieldsByType(data.eventType);
         
@@ -82,7 +85,7 @@ class EventLogWriter extends BaseWriter {
             if (header === '建立者') return creator;
             if (header === '建立時間') return now;
             if (header === '最後修改時間') return now;
-            if (header === '修訂版次') return '1';
+            if (header === '修訂版次') return data.editCount ? String(data.editCount) : '1'; // Move 時延續原版次
 
             return (key && data[key] !== undefined) ? data[key] : '';
         });
@@ -102,7 +105,7 @@ class EventLogWriter extends BaseWriter {
     /**
      * 更新事件紀錄
      */
-    async updateEventLog(rowIndex, data, modifier) {
+    async updateEventLog(rowIndex, data, modifier, options = {}) {
         if (isNaN(parseInt(rowIndex)) || rowIndex <= 1) throw new Error(`無效的 rowIndex: ${rowIndex}`);
         console.log(`📅 [EventLogWriter] 更新事件 Row ${rowIndex} (${data.eventType}) by ${modifier}`);
 
@@ -132,6 +135,11 @@ class EventLogWriter extends BaseWriter {
             currentRow.push('');
         }
 
+        // 樂觀鎖：比對修訂版次 (空白視為 1)
+        const versionIndex = headers.indexOf('修訂版次');
+        const currentVersion = versionIndex >= 0 ? String(parseInt(currentRow[versionIndex]) || 1) : '';
+        assertVersion(options.expectedVersion, currentVersion, { entity: '事件紀錄', id: data.eventId || `Row ${rowIndex}` });
+
         // 2. 更新欄位
         headers.forEach((header, index) => {
             let key = null;
@@ -165,7 +173,7 @@ class EventLogWriter extends BaseWriter {
         });
 
         this.eventLogReader.invalidateCache('eventLogs');
-        return { success: true };
+        return { success: true, version: versionIndex >= 0 ? currentRow[versionIndex] : undefined };
     }
 
     /**
@@ -0,0 +1,74 @@
+/**
+ * data/interaction-repository.js
+ * 互動紀錄資料來源路由 (Repository Layer)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.INTERACTION 在 InteractionReader/Writer (Sheet) 與 InteractionSqlReader/Writer 之間切換。
+ * 寫入一律以 interactionId 定位 (兩種 Writer 方法簽章相同)。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class InteractionRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {InteractionReader} dependencies.interactionReader
+     * @param {InteractionSqlReader} [dependencies.interactionSqlReader]
+     * @param {InteractionWriter} [dependencies.interactionWriter]
+     * @param {InteractionSqlWriter} [dependencies.interactionSqlWriter]
+     */
+    constructor({ mode, interactionReader, interactionSqlReader, interactionWriter, interactionSqlWriter }) {
+        super({
+            moduleName: 'Interaction',
+            mode,
+            sheetReader: interactionReader,
+            sqlReader: interactionSqlReader,
+            sheetWriter: interactionWriter,
+            sqlWriter: interactionSqlWriter
+        });
+    }
+
+    /**
+     * 取得所有互動紀錄
+     * @param {Object} [options]
+     * @param {boolean} [options.forceSheet=false]
+     */
+    async getInteractions({ forceSheet = false } = {}) {
+        return this._read('getInteractions', {
+            sql: () => this.sqlReader.getInteractions(),
+            sheet: () => this.sheetReader.getInteractions()
+        }, { forceSheet });
+    }
+
+    /**
+     * 將 interactionId 或舊版 rowIndex 統一解析為 interactionId
+     * @param {string|number} idOrRowIndex
+     */
+    async resolveInteractionId(idOrRowIndex) {
+        return this._resolveLegacyRowIndex(idOrRowIndex, () => this.sheetReader.getInteractions(), 'interactionId');
+    }
+
+    async createInteraction(data, recorder) {
+        return this._write('createInteraction', {
+            sql: () => this.sqlWriter.createInteraction(data, recorder),
+            sheet: () => this.sheetWriter.createInteraction(data, recorder)
+        });
+    }
+
+    async updateInteraction(interactionId, data, modifier) {
+        return this._write(`updateInteraction(${interactionId})`, {
+            sql: () => this.sqlWriter.updateInteraction(interactionId, data, modifier),
+            sheet: () => this.sheetWriter.updateInteraction(interactionId, data, modifier)
+        });
+    }
+
+    async deleteInteraction(interactionId, modifier) {
+        return this._write(`deleteInteraction(${interactionId})`, {
+            sql: () => this.sqlWriter.deleteInteraction(interactionId, modifier),
+            sheet: () => this.sheetWriter.deleteInteraction(interactionId, modifier)
+        });
+    }
+}
+
+module.exports = InteractionRepository;
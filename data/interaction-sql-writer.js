@@ -0,0 +1,120 @@
+/**
+ * data/interaction-sql-writer.js
+ * SQL Writer for Interactions
+ * * @version 1.0.0
+ * * @date 2026-10-19
+ * * @description Strict SQL write operations for Interactions, keyed on interaction_id.
+ * * Method signatures match InteractionWriter so InteractionRepository can route between them.
+ */
+
+const { supabase } = require('../config/supabase');
+
+class InteractionSqlWriter {
+    constructor() {
+        this.tableName = 'interactions';
+    }
+
+    /**
+     * Create Interaction (SQL Only)
+     * @param {Object} data - Interaction DTO (eventType or interactionType)
+     * @param {string} recorder
+     * @returns {Promise<Object>} { success: true, id: string }
+     */
+    async createInteraction(data, recorder) {
+        const interactionId = `INT${Date.now()}`;
+        const now = new Date().toISOString();
+
+        console.log(`💬 [InteractionSqlWriter] Creating interaction: ${data.eventTitle || 'Untitled'} (ID: ${interactionId}) by ${recorder}`);
+
+        const payload = {
+            interaction_id: interactionId,
+            opportunity_id: data.opportunityId || null,
+            company_id: data.companyId || null,
+            interaction_time: data.interactionTime || now,
+            interaction_type: data.eventType || data.interactionType || '',
+            event_title: data.eventTitle || '',
+            content_summary: data.contentSummary || '',
+            participants: data.participants || '',
+            next_action: data.nextAction || '',
+            attachment_link: data.attachmentLink || '',
+            calendar_event_id: data.calendarEventId || '',
+            recorder: recorder,
+            created_time: now
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([payload]);
+
+        if (error) {
+            console.error('[InteractionSqlWriter] Create Failed:', error);
+            throw new Error(`[InteractionSqlWriter] Create Error: ${error.message}`);
+        }
+
+        return { success: true, id: interactionId };
+    }
+
+    /**
+     * Update Interaction (SQL Only)
+     * ID, OpportunityID, CompanyID, Recorder and CreateTime are immutable (same rule as InteractionWriter).
+     * @param {string} interactionId
+     * @param {Object} data - Partial update DTO
+     * @param {string} modifier
+     */
+    async updateInteraction(interactionId, data, modifier) {
+        console.log(`💬 [InteractionSqlWriter] Updating interaction ${interactionId} by ${modifier}`);
+
+        const payload = {};
+        if (data.interactionTime !== undefined) payload.interaction_time = data.interactionTime;
+        if (data.eventType !== undefined) payload.interaction_type = data.eventType;
+        if (data.interactionType !== undefined) payload.interaction_type = data.interactionType; // Alias
+        if (data.eventTitle !== undefined) payload.event_title = data.eventTitle;
+        if (data.contentSummary !== undefined) payload.content_summary = data.contentSummary;
+        if (data.participants !== undefined) payload.participants = data.participants;
+        if (data.nextAction !== undefined) payload.next_action = data.nextAction;
+        if (data.attachmentLink !== undefined) payload.attachment_link = data.attachmentLink;
+
+        const { data: updated, error } = await supabase
+            .from(this.tableName)
+            .update(payload)
+            .eq('interaction_id', interactionId)
+            .select();
+
+        if (error) {
+            console.error('[InteractionSqlWriter] Update Failed:', error);
+            throw new Error(`[InteractionSqlWriter] Update Error: ${error.message}`);
+        }
+        if (!updated || updated.length === 0) {
+            throw new Error(`找不到互動紀錄 ID: ${interactionId}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Delete Interaction (SQL Only)
+     * @param {string} interactionId
+     * @param {string} modifier
+     */
+    async deleteInteraction(interactionId, modifier) {
+        console.log(`🗑️ [InteractionSqlWriter] Deleting interaction ${interactionId} by ${modifier}`);
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('interaction_id', interactionId)
+            .select();
+
+        if (error) {
+            console.error('[InteractionSqlWriter] Delete Failed:', error);
+            throw new Error(`[InteractionSqlWriter] Delete Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error(`找不到互動紀錄 ID: ${interactionId}`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = InteractionSqlWriter;
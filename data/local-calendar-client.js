@@ -0,0 +1,111 @@
+/**
+ * data/local-calendar-client.js
+ * Google Calendar API 本地替代實作 (LOCAL Backend)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 以 LocalStore 的 calendar_events 資料表模擬 Calendar v3 的 events / calendarList 子集，
+ * 供 CalendarService 在 LOCAL 模式下使用。假日日曆等外部日曆一律回傳空清單。
+ */
+
+const TABLE_NAME = 'calendar_events';
+
+class LocalCalendarClient {
+    /**
+     * @param {import('./local-store').LocalStore} store
+     */
+    constructor(store) {
+        if (!store) throw new Error('LocalCalendarClient 初始化失敗: 需要 LocalStore 實例');
+        this.store = store;
+
+        this.events = {
+            list: async (params) => this._list(params),
+            get: async (params) => this._get(params),
+            insert: async (params) => this._insert(params),
+            patch: async (params) => this._patch(params),
+            update: async (params) => this._patch(params),
+            delete: async (params) => this._delete(params)
+        };
+
+        this.calendarList = {
+            list: async () => ({ data: { items: [{ id: 'primary', summary: 'Local Calendar', primary: true }] } })
+        };
+    }
+
+    _startOf(event) {
+        return (event.start && (event.start.dateTime || event.start.date)) || '';
+    }
+
+    _find(calendarId, eventId) {
+        const event = this.store.getTable(TABLE_NAME)
+            .find(e => e.calendarId === calendarId && e.id === eventId);
+        if (!event) {
+            const error = new Error('Not Found');
+            error.code = 404;
+            throw error;
+        }
+        return event;
+    }
+
+    async _list({ calendarId = 'primary', timeMin, timeMax }) {
+        const minTime = timeMin ? new Date(timeMin).getTime() : -Infinity;
+        const maxTime = timeMax ? new Date(timeMax).getTime() : Infinity;
+
+        const items = this.store.getTable(TABLE_NAME)
+            .filter(e => e.calendarId === calendarId)
+            .filter(e => {
+                const time = new Date(this._startOf(e)).getTime();
+                return time >= minTime && time < maxTime;
+            })
+            .sort((a, b) => new Date(this._startOf(a)) - new Date(this._startOf(b)))
+            .map(({ calendarId: _omit, ...event }) => event);
+
+        return { data: { items } };
+    }
+
+    async _get({ calendarId = 'primary', eventId }) {
+        const { calendarId: _omit, ...event } = this._find(calendarId, eventId);
+        return { data: event };
+    }
+
+    async _insert(params) {
+        const calendarId = params.calendarId || 'primary';
+        const body = params.resource || params.requestBody || {};
+        const now = new Date().toISOString();
+
+        const event = {
+            ...body,
+            id: `local${Date.now()}${Math.random().toString(36).slice(2, 6)}`,
+            status: 'confirmed',
+            created: now,
+            updated: now
+        };
+        event.htmlLink = `local://calendar/${event.id}`;
+
+        this.store.getTable(TABLE_NAME).push({ ...event, calendarId });
+        this.store.saveTable(TABLE_NAME);
+        return { data: event };
+    }
+
+    async _patch(params) {
+        const calendarId = params.calendarId || 'primary';
+        const body = params.resource || params.requestBody || {};
+        const event = this._find(calendarId, params.eventId);
+
+        Object.assign(event, body, { updated: new Date().toISOString() });
+        this.store.saveTable(TABLE_NAME);
+
+        const { calendarId: _omit, ...result } = event;
+        return { data: result };
+    }
+
+    async _delete({ calendarId = 'primary', eventId }) {
+        this._find(calendarId, eventId);
+        const table = this.store.getTable(TABLE_NAME);
+        const remaining = table.filter(e => !(e.calendarId === calendarId && e.id === eventId));
+        table.splice(0, table.length, ...remaining);
+        this.store.saveTable(TABLE_NAME);
+        return { data: '' };
+    }
+}
+
+module.exports = LocalCalendarClient;
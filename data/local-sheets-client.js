@@ -0,0 +1,269 @@
+/**
+ * data/local-sheets-client.js
+ * Google Sheets API 本地替代實作 (LOCAL Backend)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 以 LocalStore 模擬 Sheets v4 API 中 Reader/Writer 實際使用到的子集：
+ * values.get / batchGet / update / batchUpdate / append / clear，以及 spreadsheets.get / batchUpdate (deleteDimension)。
+ * 回應格式 (response.data) 與錯誤碼 (400 Unable to parse range) 皆比照 googleapis，
+ * 因此所有既有 Reader/Writer 不需修改即可在 LOCAL 模式下運作，DTO 合約維持一致。
+ */
+
+/**
+ * 欄位字母轉為 0-based 索引 (A -> 0, AA -> 26)
+ */
+function columnToIndex(letters) {
+    let index = 0;
+    for (const ch of letters.toUpperCase()) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function createApiError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 將 USER_ENTERED 的值轉為 Sheet 讀回時的字串格式
+ */
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    return String(value);
+}
+
+class LocalSheetsClient {
+    /**
+     * @param {import('./local-store').LocalStore} store
+     */
+    constructor(store) {
+        if (!store) throw new Error('LocalSheetsClient 初始化失敗: 需要 LocalStore 實例');
+        this.store = store;
+
+        // 對外介面比照 google.sheets({ version: 'v4' })
+        this.spreadsheets = {
+            get: async (params) => this._getSpreadsheet(params),
+            batchUpdate: async (params) => this._batchUpdateSpreadsheet(params),
+            values: {
+                get: async (params) => this._valuesGet(params),
+                batchGet: async (params) => this._valuesBatchGet(params),
+                update: async (params) => this._valuesUpdate(params),
+                batchUpdate: async (params) => this._valuesBatchUpdate(params),
+                append: async (params) => this._valuesAppend(params),
+                clear: async (params) => this._valuesClear(params)
+            }
+        };
+    }
+
+    // --- Range Helpers ---
+
+    /**
+     * 解析 A1 表示法 (例如 "工作表!A2:M2"、"工作表!A:A"、"工作表")
+     * @returns {{ title, startRow, endRow, startCol, endCol }} 皆為 0-based，未指定者為 null
+     */
+    _parseRange(range) {
+        const text = String(range || '');
+        const bangIndex = text.lastIndexOf('!');
+        let title = bangIndex === -1 ? text : text.slice(0, bangIndex);
+        const a1 = bangIndex === -1 ? '' : text.slice(bangIndex + 1);
+
+        if (title.startsWith("'") && title.endsWith("'")) {
+            title = title.slice(1, -1).replace(/''/g, "'");
+        }
+
+        const parsed = { title, startRow: null, endRow: null, startCol: null, endCol: null };
+        if (!a1) return parsed;
+
+        const parts = a1.split(':');
+        const cells = parts.map(part => {
+            const match = /^([A-Za-z]*)(\d*)$/.exec(part.trim());
+            if (!match) throw createApiError(400, `Unable to parse range: ${range}`);
+            return {
+                col: match[1] ? columnToIndex(match[1]) : null,
+                row: match[2] ? parseInt(match[2], 10) - 1 : null
+            };
+        });
+
+        const start = cells[0];
+        const end = cells[1] || cells[0];
+        parsed.startCol = start.col;
+        parsed.startRow = start.row;
+        parsed.endCol = end.col;
+        parsed.endRow = end.row;
+        return parsed;
+    }
+
+    _getTab(spreadsheetId, range) {
+        const parsed = this._parseRange(range);
+        const workbook = this.store.getWorkbook(spreadsheetId);
+        const tab = workbook.tabs[parsed.title];
+        if (!tab) throw createApiError(400, `Unable to parse range: ${range}`);
+        return { workbook, tab, parsed };
+    }
+
+    _readValues(tab, parsed) {
+        const startRow = parsed.startRow ?? 0;
+        const endRow = parsed.endRow ?? tab.rows.length - 1;
+        const startCol = parsed.startCol ?? 0;
+
+        const values = [];
+        for (let r = startRow; r <= endRow && r < tab.rows.length; r++) {
+            const source = tab.rows[r] || [];
+            const endCol = parsed.endCol ?? source.length - 1;
+            const row = source.slice(startCol, endCol + 1);
+
+            // 比照 Google：去除列尾空白儲存格
+            while (row.length > 0 && row[row.length - 1] === '') row.pop();
+            values.push(row);
+        }
+
+        // 比照 Google：去除尾端空白列
+        while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+        return values;
+    }
+
+    _writeValues(tab, startRow, startCol, values) {
+        (values || []).forEach((rowValues, r) => {
+            const rowIndex = startRow + r;
+            while (tab.rows.length <= rowIndex) tab.rows.push([]);
+            const row = tab.rows[rowIndex];
+
+            (rowValues || []).forEach((value, c) => {
+                const colIndex = startCol + c;
+                while (row.length < colIndex) row.push('');
+                row[colIndex] = toCellValue(value);
+            });
+        });
+    }
+
+    _lastUsedRow(tab) {
+        for (let r = tab.rows.length - 1; r >= 0; r--) {
+            if ((tab.rows[r] || []).some(cell => cell !== '')) return r;
+        }
+        return -1;
+    }
+
+    _body(params) {
+        return params.resource || params.requestBody || {};
+    }
+
+    // --- spreadsheets.values ---
+
+    async _valuesGet({ spreadsheetId, range }) {
+        const { tab, parsed } = this._getTab(spreadsheetId, range);
+        const values = this._readValues(tab, parsed);
+        const data = { range, majorDimension: 'ROWS' };
+        if (values.length > 0) data.values = values;
+        return { data };
+    }
+
+    async _valuesBatchGet({ spreadsheetId, ranges = [] }) {
+        const valueRanges = [];
+        for (const range of ranges) {
+            const { data } = await this._valuesGet({ spreadsheetId, range });
+            valueRanges.push(data);
+        }
+        return { data: { spreadsheetId, valueRanges } };
+    }
+
+    async _valuesUpdate(params) {
+        const { spreadsheetId, range } = params;
+        const { values } = this._body(params);
+        const { tab, parsed } = this._getTab(spreadsheetId, range);
+
+        this._writeValues(tab, parsed.startRow ?? 0, parsed.startCol ?? 0, values);
+        this.store.saveWorkbook(spreadsheetId);
+
+        return { data: { spreadsheetId, updatedRange: range, updatedRows: (values || []).length } };
+    }
+
+    async _valuesBatchUpdate(params) {
+        const { spreadsheetId } = params;
+        const { data = [] } = this._body(params);
+
+        for (const item of data) {
+            const { tab, parsed } = this._getTab(spreadsheetId, item.range);
+            this._writeValues(tab, parsed.startRow ?? 0, parsed.startCol ?? 0, item.values);
+        }
+        this.store.saveWorkbook(spreadsheetId);
+
+        return { data: { spreadsheetId, totalUpdatedRows: data.length } };
+    }
+
+    async _valuesAppend(params) {
+        const { spreadsheetId, range } = params;
+        const { values } = this._body(params);
+        const { tab, parsed } = this._getTab(spreadsheetId, range);
+
+        const startRow = this._lastUsedRow(tab) + 1;
+        this._writeValues(tab, startRow, parsed.startCol ?? 0, values);
+        this.store.saveWorkbook(spreadsheetId);
+
+        const endRow = startRow + (values || []).length;
+        return {
+            data: {
+                spreadsheetId,
+                updates: {
+                    updatedRange: `${parsed.title}!A${startRow + 1}:ZZ${endRow}`,
+                    updatedRows: (values || []).length
+                }
+            }
+        };
+    }
+
+    async _valuesClear({ spreadsheetId, range }) {
+        const { tab, parsed } = this._getTab(spreadsheetId, range);
+        const startRow = parsed.startRow ?? 0;
+        const endRow = parsed.endRow ?? tab.rows.length - 1;
+        const startCol = parsed.startCol ?? 0;
+
+        for (let r = startRow; r <= endRow && r < tab.rows.length; r++) {
+            const row = tab.rows[r] || [];
+            const endCol = parsed.endCol ?? row.length - 1;
+            for (let c = startCol; c <= endCol && c < row.length; c++) row[c] = '';
+        }
+        this.store.saveWorkbook(spreadsheetId);
+
+        return { data: { spreadsheetId, clearedRange: range } };
+    }
+
+    // --- spreadsheets ---
+
+    async _getSpreadsheet({ spreadsheetId }) {
+        const workbook = this.store.getWorkbook(spreadsheetId);
+        const sheets = Object.entries(workbook.tabs).map(([title, tab]) => ({
+            properties: { title, sheetId: tab.sheetId }
+        }));
+        return { data: { spreadsheetId, sheets } };
+    }
+
+    async _batchUpdateSpreadsheet(params) {
+        const { spreadsheetId } = params;
+        const { requests = [] } = this._body(params);
+        const workbook = this.store.getWorkbook(spreadsheetId);
+
+        for (const request of requests) {
+            if (request.deleteDimension) {
+                const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+                const tab = Object.values(workbook.tabs).find(t => t.sheetId === sheetId);
+                if (!tab) throw createApiError(400, `No grid with id: ${sheetId}`);
+                if (dimension !== 'ROWS') throw createApiError(400, `Unsupported dimension: ${dimension}`);
+                tab.rows.splice(startIndex, endIndex - startIndex);
+            } else if (request.addSheet) {
+                const title = request.addSheet.properties.title;
+                const nextId = Math.max(0, ...Object.values(workbook.tabs).map(t => t.sheetId)) + 1;
+                workbook.tabs[title] = workbook.tabs[title] || { sheetId: nextId, rows: [] };
+            } else {
+                throw createApiError(400, `LocalSheetsClient 不支援的請求: ${Object.keys(request).join(',')}`);
+            }
+        }
+        this.store.saveWorkbook(spreadsheetId);
+
+        return { data: { spreadsheetId, replies: requests.map(() => ({})) } };
+    }
+}
+
+module.exports = LocalSheetsClient;
@@ -0,0 +1,205 @@
+/**
+ * data/local-sql-client.js
+ * Supabase Client 本地替代實作 (LOCAL Backend)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 以 LocalStore 模擬 supabase-js 的 Query Builder 子集：
+ * from / select / insert / update / upsert / delete，搭配 eq / neq / in / match / order / limit / single / maybeSingle。
+ * 回傳格式固定為 { data, error }，查無單筆資料時回傳 PGRST116，與 SQL Reader 的判斷邏輯一致。
+ */
+
+function createSqlError(code, message) {
+    return { code, message, details: null, hint: null };
+}
+
+class LocalQueryBuilder {
+    constructor(store, tableName) {
+        this.store = store;
+        this.tableName = tableName;
+        this._action = 'select';
+        this._payload = null;
+        this._upsertOptions = {};
+        this._filters = [];
+        this._orders = [];
+        this._limit = null;
+        this._singleMode = null; // 'single' | 'maybeSingle'
+    }
+
+    // --- Actions ---
+
+    select() {
+        // select() 可接在 insert/update 之後 (回傳異動資料)，此時不改變動作
+        return this;
+    }
+
+    insert(rows) {
+        this._action = 'insert';
+        this._payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this._action = 'upsert';
+        this._payload = Array.isArray(rows) ? rows : [rows];
+        this._upsertOptions = options;
+        return this;
+    }
+
+    update(payload) {
+        this._action = 'update';
+        this._payload = payload;
+        return this;
+    }
+
+    delete() {
+        this._action = 'delete';
+        return this;
+    }
+
+    // --- Filters & Modifiers ---
+
+    eq(column, value) {
+        this._filters.push(row => String(row[column]) === String(value));
+        return this;
+    }
+
+    neq(column, value) {
+        this._filters.push(row => String(row[column]) !== String(value));
+        return this;
+    }
+
+    in(column, values) {
+        const set = new Set((values || []).map(String));
+        this._filters.push(row => set.has(String(row[column])));
+        return this;
+    }
+
+    match(criteria) {
+        Object.entries(criteria || {}).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this._orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this._limit = count;
+        return this;
+    }
+
+    single() {
+        this._singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this._singleMode = 'maybeSingle';
+        return this;
+    }
+
+    // --- Execution ---
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this._execute()).then(resolve, reject);
+    }
+
+    _matches(row) {
+        return this._filters.every(filter => filter(row));
+    }
+
+    _nextId(table) {
+        return table.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0) + 1;
+    }
+
+    _execute() {
+        const table = this.store.getTable(this.tableName);
+        let result;
+
+        switch (this._action) {
+            case 'insert': {
+                result = this._payload.map(row => {
+                    const record = { ...row };
+                    if (record.id === undefined) record.id = this._nextId(table);
+                    if (record.created_at === undefined) record.created_at = new Date().toISOString();
+                    table.push(record);
+                    return record;
+                });
+                this.store.saveTable(this.tableName);
+                break;
+            }
+            case 'upsert': {
+                const keys = String(this._upsertOptions.onConflict || 'id').split(',').map(k => k.trim());
+                result = this._payload.map(row => {
+                    const existing = table.find(r => keys.every(k => String(r[k]) === String(row[k])));
+                    if (existing) return Object.assign(existing, row);
+                    const record = { ...row };
+                    if (record.id === undefined) record.id = this._nextId(table);
+                    table.push(record);
+                    return record;
+                });
+                this.store.saveTable(this.tableName);
+                break;
+            }
+            case 'update': {
+                result = table.filter(row => this._matches(row));
+                result.forEach(row => Object.assign(row, this._payload));
+                this.store.saveTable(this.tableName);
+                break;
+            }
+            case 'delete': {
+                result = table.filter(row => this._matches(row));
+                const remaining = table.filter(row => !this._matches(row));
+                table.splice(0, table.length, ...remaining);
+                this.store.saveTable(this.tableName);
+                break;
+            }
+            default: {
+                result = table.filter(row => this._matches(row));
+            }
+        }
+
+        result = result.map(row => ({ ...row }));
+
+        if (this._orders.length > 0) {
+            result.sort((a, b) => {
+                for (const { column, ascending } of this._orders) {
+                    if (a[column] === b[column]) continue;
+                    const cmp = a[column] > b[column] ? 1 : -1;
+                    return ascending ? cmp : -cmp;
+                }
+                return 0;
+            });
+        }
+
+        if (this._limit !== null) result = result.slice(0, this._limit);
+
+        if (this._singleMode) {
+            if (result.length === 1) return { data: result[0], error: null };
+            if (result.length === 0 && this._singleMode === 'maybeSingle') return { data: null, error: null };
+            return {
+                data: null,
+                error: createSqlError('PGRST116', 'JSON object requested, multiple (or no) rows returned')
+            };
+        }
+
+        return { data: result, error: null };
+    }
+}
+
+class LocalSqlClient {
+    /**
+     * @param {import('./local-store').LocalStore} store
+     */
+    constructor(store) {
+        if (!store) throw new Error('LocalSqlClient 初始化失敗: 需要 LocalStore 實例');
+        this.store = store;
+    }
+
+    from(tableName) {
+        return new LocalQueryBuilder(this.store, tableName);
+    }
+}
+
+module.exports = LocalSqlClient;
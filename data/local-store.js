@@ -0,0 +1,162 @@
+/**
+ * data/local-store.js
+ * 本地資料儲存區 (LOCAL Backend Storage)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 提供 LOCAL 模式下 Sheet 工作簿與 SQL 資料表的持久化。
+ * 資料以 JSON 檔案存放於 LOCAL_DATA.DIR；若 DIR 設為 ':memory:' 則僅存在記憶體中 (測試用)。
+ * 首次開啟工作簿時，會依 config 建立所有已知工作表與標題列，讓既有 Reader/Writer 可直接運作。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const MEMORY_DIR = ':memory:';
+
+/**
+ * 依 config 產生各工作表的標題列
+ * 以欄位索引定義 (Object) 的工作表，直接使用其鍵值作為標題
+ */
+function buildSeedTabs() {
+    const S = config.SHEETS;
+    const keysOf = (fieldMap) => Object.keys(fieldMap).sort((a, b) => fieldMap[a] - fieldMap[b]);
+
+    return {
+        [S.CONTACTS]: keysOf(config.CONTACT_FIELDS),
+        [S.CONTACT_LIST]: config.CONTACT_LIST_FIELDS,
+        [S.COMPANY_LIST]: config.COMPANY_LIST_FIELDS,
+        [S.OPPORTUNITIES]: Object.values(config.OPPORTUNITY_FIELD_NAMES),
+        [S.INTERACTIONS]: config.INTERACTION_FIELDS,
+        [S.SYSTEM_CONFIG]: config.SYSTEM_CONFIG_FIELDS,
+        [S.CALENDAR_SYNC]: config.CALENDAR_SYNC_FIELDS,
+        [S.EVENT_LOGS_GENERAL]: config.EVENT_LOG_COMMON_FIELDS,
+        [S.EVENT_LOGS_IOT]: [...config.EVENT_LOG_COMMON_FIELDS, ...config.EVENT_LOG_IOT_FIELDS],
+        [S.EVENT_LOGS_DT]: [...config.EVENT_LOG_COMMON_FIELDS, ...config.EVENT_LOG_DT_FIELDS],
+        [S.EVENT_LOGS_DX]: config.EVENT_LOG_COMMON_FIELDS,
+        [S.OPPORTUNITY_CONTACT_LINK]: keysOf(config.OPP_CONTACT_LINK_FIELDS),
+        [S.WEEKLY_BUSINESS]: config.WEEKLY_BUSINESS_FIELDS,
+        [S.ANNOUNCEMENTS]: keysOf(config.ANNOUNCEMENT_FIELDS),
+        [S.MARKET_PRODUCTS]: keysOf(config.MARKET_PRODUCT_FIELDS),
+        [S.AUDIT_LOG]: keysOf(config.AUDIT_LOG_FIELDS),
+        [S.OPPORTUNITY_SHARES]: keysOf(config.OPPORTUNITY_SHARE_FIELDS),
+        [S.TASKS]: keysOf(config.TASK_FIELDS),
+        [S.AUTH_SESSIONS]: keysOf(config.AUTH_SESSION_FIELDS),
+        [S.API_TOKENS]: keysOf(config.API_TOKEN_FIELDS),
+        [S.WEBHOOKS]: keysOf(config.WEBHOOK_FIELDS),
+        [S.WEBHOOK_DELIVERIES]: keysOf(config.WEBHOOK_DELIVERY_FIELDS),
+        [S.SCHEDULED_JOBS]: keysOf(config.SCHEDULED_JOB_FIELDS),
+        [S.NOTIFICATIONS]: keysOf(config.NOTIFICATION_FIELDS),
+        [S.NOTIFICATION_PREFERENCES]: keysOf(config.NOTIFICATION_PREFERENCE_FIELDS),
+        [S.FOLLOW_UP_SNOOZES]: keysOf(config.FOLLOW_UP_SNOOZE_FIELDS),
+        '使用者名冊': ['帳號', '密碼雜湊', '顯示名稱', '角色', '主管', '狀態', '最後登入', '需變更密碼', 'Token版本', 'LINE ID'],
+        [config.PERMISSIONS.SHEET_NAME]: ['角色', '權限', '說明']
+    };
+}
+
+class LocalStore {
+    /**
+     * @param {string} dataDir - 資料目錄，或 ':memory:'
+     */
+    constructor(dataDir) {
+        if (!dataDir) throw new Error('LocalStore 初始化失敗: 未提供資料目錄');
+
+        this.dataDir = dataDir;
+        this.inMemory = dataDir === MEMORY_DIR;
+        this._workbooks = {};
+        this._tables = {};
+
+        if (!this.inMemory) {
+            fs.mkdirSync(path.join(dataDir, 'sheets'), { recursive: true });
+            fs.mkdirSync(path.join(dataDir, 'sql'), { recursive: true });
+        }
+    }
+
+    _fileFor(kind, name) {
+        const safeName = String(name).replace(/[^\w\-\u4e00-\u9fff]/g, '_');
+        return path.join(this.dataDir, kind, `${safeName}.json`);
+    }
+
+    _load(kind, name) {
+        if (this.inMemory) return null;
+        const file = this._fileFor(kind, name);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    _save(kind, name, data) {
+        if (this.inMemory) return;
+        const file = this._fileFor(kind, name);
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpFile, file);
+    }
+
+    // --- Workbooks (Sheet 模擬) ---
+
+    /**
+     * 取得工作簿 ({ tabs: { [title]: { sheetId, rows } } })，不存在時以標題列初始化
+     * @param {string} spreadsheetId
+     */
+    getWorkbook(spreadsheetId) {
+        if (this._workbooks[spreadsheetId]) return this._workbooks[spreadsheetId];
+
+        let workbook = this._load('sheets', spreadsheetId);
+        if (!workbook) {
+            workbook = { tabs: {} };
+            Object.entries(buildSeedTabs()).forEach(([title, headers], index) => {
+                workbook.tabs[title] = { sheetId: index + 1, rows: [[...headers]] };
+            });
+            this._seedAdminUser(workbook);
+            this._save('sheets', spreadsheetId, workbook);
+        }
+
+        this._workbooks[spreadsheetId] = workbook;
+        return workbook;
+    }
+
+    saveWorkbook(spreadsheetId) {
+        this._save('sheets', spreadsheetId, this.getWorkbook(spreadsheetId));
+    }
+
+    /**
+     * 若設定 LOCAL_ADMIN_PASSWORD，於新建工作簿的使用者名冊中加入 admin 帳號
+     */
+    _seedAdminUser(workbook) {
+        const password = config.LOCAL_DATA.ADMIN_PASSWORD;
+        if (!password) return;
+
+        const bcrypt = require('bcryptjs');
+        const hash = bcrypt.hashSync(password, 10);
+        workbook.tabs['使用者名冊'].rows.push(['admin', hash, '系統管理員', 'admin']);
+    }
+
+    // --- Tables (SQL 模擬) ---
+
+    /**
+     * 取得資料表的所有資料列 (Array<Object>)，不存在時建立空表
+     * @param {string} tableName
+     */
+    getTable(tableName) {
+        if (this._tables[tableName]) return this._tables[tableName];
+        this._tables[tableName] = this._load('sql', tableName) || [];
+        return this._tables[tableName];
+    }
+
+    saveTable(tableName) {
+        this._save('sql', tableName, this.getTable(tableName));
+    }
+}
+
+const stores = {};
+
+/**
+ * 取得共用的 LocalStore (同一資料目錄共用同一實例，確保讀寫一致)
+ * @param {string} [dataDir]
+ */
+function getLocalStore(dataDir = config.LOCAL_DATA.DIR) {
+    if (!stores[dataDir]) stores[dataDir] = new LocalStore(dataDir);
+    return stores[dataDir];
+}
+
+module.exports = { LocalStore, getLocalStore, MEMORY_DIR };
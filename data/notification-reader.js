@@ -0,0 +1,94 @@
+/**
+ * data/notification-reader.js
+ * 通知 / 通知設定 / 追蹤提醒延後讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取 AUTH 試算表的「通知」、「通知設定」與「追蹤提醒延後」。
+ * 僅回傳原始資料，收件者過濾、外送與延後規則由 NotificationService / FollowUpReminderService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class NotificationReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有通知 (Raw Data，依建立順序)
+     * @returns {Promise<Array<object>>}
+     */
+    async getNotifications() {
+        const cacheKey = 'notifications';
+        const range = `${this.config.SHEETS.NOTIFICATIONS}!A:K`;
+        const F = this.config.NOTIFICATION_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            notificationId: row[F.NOTIFICATION_ID] || '',
+            recipient: row[F.RECIPIENT] || '',
+            type: row[F.TYPE] || '',
+            title: row[F.TITLE] || '',
+            message: row[F.MESSAGE] || '',
+            opportunityId: row[F.OPPORTUNITY_ID] || '',
+            dedupeKey: row[F.DEDUPE_KEY] || '',
+            createTime: row[F.CREATE_TIME] || '',
+            readTime: row[F.READ_TIME] || '',
+            sentTime: row[F.SENT_TIME] || '',
+            sentChannels: String(row[F.SENT_CHANNELS] || '').split(',').map(s => s.trim()).filter(Boolean)
+        });
+
+        const notifications = await this._fetchAndCache(cacheKey, range, rowParser);
+        return notifications.filter(notification => notification.notificationId && notification.recipient);
+    }
+
+    /**
+     * 取得所有使用者的通知設定 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getPreferences() {
+        const cacheKey = 'notificationPreferences';
+        const range = `${this.config.SHEETS.NOTIFICATION_PREFERENCES}!A:F`;
+        const F = this.config.NOTIFICATION_PREFERENCE_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            username: row[F.USERNAME] || '',
+            digest: row[F.DIGEST] || '',
+            channels: String(row[F.CHANNELS] || '').split(',').map(s => s.trim()).filter(Boolean),
+            email: row[F.EMAIL] || '',
+            lastDigestTime: row[F.LAST_DIGEST_TIME] || '',
+            updateTime: row[F.UPDATE_TIME] || ''
+        });
+
+        const preferences = await this._fetchAndCache(cacheKey, range, rowParser);
+        return preferences.filter(preference => preference.username);
+    }
+
+    /**
+     * 取得所有追蹤提醒延後設定 (含已到期者)
+     * @returns {Promise<Array<object>>}
+     */
+    async getSnoozes() {
+        const cacheKey = 'followUpSnoozes';
+        const range = `${this.config.SHEETS.FOLLOW_UP_SNOOZES}!A:D`;
+        const F = this.config.FOLLOW_UP_SNOOZE_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            username: row[F.USERNAME] || '',
+            opportunityId: row[F.OPPORTUNITY_ID] || '',
+            until: row[F.UNTIL] || '',
+            createTime: row[F.CREATE_TIME] || ''
+        });
+
+        const snoozes = await this._fetchAndCache(cacheKey, range, rowParser);
+        return snoozes.filter(snooze => snooze.username && snooze.opportunityId);
+    }
+}
+
+module.exports = NotificationReader;
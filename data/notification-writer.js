@@ -0,0 +1,175 @@
+/**
+ * data/notification-writer.js
+ * 通知 / 通知設定 / 追蹤提醒延後寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 批次附加與批次原地更新通知 (已讀、外送狀態)，新增 / 更新通知設定，新增 / 更新 / 刪除追蹤提醒延後。
+ * 排程一次可能產生多則提醒，通知一律以單次 API 呼叫寫入，避免觸發 Sheets API 配額。
+ * 既有試算表沒有對應工作表時，第一次寫入會自動建立工作表與標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class NotificationWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {NotificationReader} notificationReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, notificationReader) {
+        super(sheets, spreadsheetId);
+        if (!notificationReader) throw new Error('NotificationWriter 需要 NotificationReader 實例');
+        this.notificationReader = notificationReader;
+    }
+
+    /**
+     * 附加多則通知
+     * @param {Array<Object>} notifications - 欄位見 config.NOTIFICATION_FIELDS
+     */
+    async appendNotifications(notifications) {
+        if (notifications.length === 0) return { success: true, count: 0 };
+        const rows = notifications.map(notification => this._buildNotificationRow(notification));
+        await this._appendOrCreate(this.config.SHEETS.NOTIFICATIONS, 'K', this.config.NOTIFICATION_FIELDS, rows);
+        this.notificationReader.invalidateCache('notifications');
+        return { success: true, count: rows.length };
+    }
+
+    /**
+     * 覆寫多列通知 (已讀 / 外送狀態)
+     * @param {Array<Object>} notifications - 含 rowIndex 的完整資料
+     */
+    async updateNotificationsByRow(notifications) {
+        if (notifications.length === 0) return { success: true, count: 0 };
+        const title = this.config.SHEETS.NOTIFICATIONS;
+        await this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data: notifications.map(notification => ({
+                    range: `${title}!A${notification.rowIndex}:K${notification.rowIndex}`,
+                    values: [this._buildNotificationRow(notification)]
+                }))
+            }
+        });
+
+        this.notificationReader.invalidateCache('notifications');
+        return { success: true, count: notifications.length };
+    }
+
+    /**
+     * 新增或覆寫使用者的通知設定 (rowIndex 存在時原地更新)
+     * @param {Object} preference - 欄位見 config.NOTIFICATION_PREFERENCE_FIELDS
+     */
+    async savePreference(preference) {
+        const F = this.config.NOTIFICATION_PREFERENCE_FIELDS;
+        const title = this.config.SHEETS.NOTIFICATION_PREFERENCES;
+        const row = [];
+        row[F.USERNAME] = preference.username;
+        row[F.DIGEST] = preference.digest;
+        row[F.CHANNELS] = (preference.channels || []).join(',');
+        row[F.EMAIL] = preference.email || '';
+        row[F.LAST_DIGEST_TIME] = preference.lastDigestTime || '';
+        row[F.UPDATE_TIME] = preference.updateTime || '';
+
+        if (preference.rowIndex) {
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.targetSpreadsheetId,
+                range: `${title}!A${preference.rowIndex}:F${preference.rowIndex}`,
+                valueInputOption: 'RAW',
+                resource: { values: [row] }
+            });
+        } else {
+            await this._appendOrCreate(title, 'F', F, [row]);
+        }
+
+        this.notificationReader.invalidateCache('notificationPreferences');
+        return { success: true };
+    }
+
+    /**
+     * 新增或覆寫追蹤提醒延後 (rowIndex 存在時原地更新)
+     * @param {Object} snooze - 欄位見 config.FOLLOW_UP_SNOOZE_FIELDS
+     */
+    async saveSnooze(snooze) {
+        const F = this.config.FOLLOW_UP_SNOOZE_FIELDS;
+        const title = this.config.SHEETS.FOLLOW_UP_SNOOZES;
+        const row = [];
+        row[F.USERNAME] = snooze.username;
+        row[F.OPPORTUNITY_ID] = snooze.opportunityId;
+        row[F.UNTIL] = snooze.until;
+        row[F.CREATE_TIME] = snooze.createTime;
+
+        if (snooze.rowIndex) {
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.targetSpreadsheetId,
+                range: `${title}!A${snooze.rowIndex}:D${snooze.rowIndex}`,
+                valueInputOption: 'RAW',
+                resource: { values: [row] }
+            });
+        } else {
+            await this._appendOrCreate(title, 'D', F, [row]);
+        }
+
+        this.notificationReader.invalidateCache('followUpSnoozes');
+        return { success: true };
+    }
+
+    async deleteSnooze(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.FOLLOW_UP_SNOOZES, rowIndex, this.notificationReader);
+        this.notificationReader.invalidateCache('followUpSnoozes');
+        return { success: true };
+    }
+
+    _buildNotificationRow(notification) {
+        const F = this.config.NOTIFICATION_FIELDS;
+        const row = [];
+        row[F.NOTIFICATION_ID] = notification.notificationId;
+        row[F.RECIPIENT] = notification.recipient;
+        row[F.TYPE] = notification.type;
+        row[F.TITLE] = notification.title;
+        row[F.MESSAGE] = notification.message || '';
+        row[F.OPPORTUNITY_ID] = notification.opportunityId || '';
+        row[F.DEDUPE_KEY] = notification.dedupeKey || '';
+        row[F.CREATE_TIME] = notification.createTime;
+        row[F.READ_TIME] = notification.readTime || '';
+        row[F.SENT_TIME] = notification.sentTime || '';
+        row[F.SENT_CHANNELS] = (notification.sentChannels || []).join(',');
+        return row;
+    }
+
+    async _appendOrCreate(title, lastColumn, fields, rows) {
+        const append = () => this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A:${lastColumn}`,
+            valueInputOption: 'RAW',
+            resource: { values: rows }
+        });
+
+        try {
+            await append();
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet(title, lastColumn, fields);
+            await append();
+        }
+    }
+
+    async _createSheet(title, lastColumn, fields) {
+        console.log(`📝 [NotificationWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const headers = Object.keys(fields).sort((a, b) => fields[a] - fields[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:${lastColumn}1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = NotificationWriter;
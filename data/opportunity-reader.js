@@ -143,6 +143,29 @@ class OpportunityReader extends BaseReader {
         }
     }
 
+    /**
+     * 依機會ID查找目前所在列號 (不經快取、包含已封存案件)
+     * 供 Repository 在 SHEET 模式下以 ID 定位寫入目標
+     * @param {string} opportunityId
+     * @returns {Promise<number|null>}
+     */
+    async findRowIndexById(opportunityId) {
+        const sheetName = this.config.SHEETS.OPPORTUNITIES;
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${sheetName}!A1:ZZ1`
+        });
+
+        const headerMap = this._buildHeaderMap(response.data.values ? response.data.values[0] : []);
+        const idColumn = headerMap[this.config.OPPORTUNITY_FIELD_NAMES.ID];
+        if (idColumn === undefined) {
+            throw new Error(`[OpportunityReader] 找不到核心標題 "${this.config.OPPORTUNITY_FIELD_NAMES.ID}"`);
+        }
+
+        const found = await this.findRowByValue(`${sheetName}!A:ZZ`, idColumn, opportunityId);
+        return found ? found.rowIndex : null;
+    }
+
     /**
      * 搜尋並分頁機會案件
      * 負責執行查詢、過濾、排序與分頁的單一真相
@@ -0,0 +1,118 @@
+/**
+ * data/opportunity-repository.js
+ * 機會案件資料來源路由 (Repository Layer)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.OPPORTUNITY 在 OpportunityReader/Writer (Sheet) 與 OpportunitySqlReader/Writer 之間切換。
+ * 寫入一律以 opportunityId 定位；寫入 Sheet 時由此處解析 rowIndex，Service 不再接觸列號。
+ * 更新可帶 options.expectedVersion (最後更新時間)，由各 Writer 於寫入前比對。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class OpportunityRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {OpportunityReader} dependencies.opportunityReader
+     * @param {OpportunitySqlReader} [dependencies.opportunitySqlReader]
+     * @param {OpportunityWriter} [dependencies.opportunityWriter]
+     * @param {OpportunitySqlWriter} [dependencies.opportunitySqlWriter]
+     */
+    constructor({ mode, opportunityReader, opportunitySqlReader, opportunityWriter, opportunitySqlWriter }) {
+        super({
+            moduleName: 'Opportunity',
+            mode,
+            sheetReader: opportunityReader,
+            sqlReader: opportunitySqlReader,
+            sheetWriter: opportunityWriter,
+            sqlWriter: opportunitySqlWriter
+        });
+    }
+
+    /**
+     * 取得所有機會案件
+     * @param {Object} [options]
+     * @param {boolean} [options.forceSheet=false] - 強制讀取 Sheet (寫入流程需要 rowIndex 時)
+     */
+    async getOpportunities({ forceSheet = false } = {}) {
+        return this._read('getOpportunities', {
+            sql: () => this.sqlReader.getOpportunities(),
+            sheet: () => this.sheetReader.getOpportunities()
+        }, { forceSheet });
+    }
+
+    /**
+     * 將 opportunityId 或舊版 rowIndex 統一解析為 opportunityId
+     * @param {string|number} idOrRowIndex
+     */
+    async resolveOpportunityId(idOrRowIndex) {
+        return this._resolveLegacyRowIndex(idOrRowIndex, () => this.sheetReader.getOpportunities(), 'opportunityId');
+    }
+
+    async _findSheetRowIndex(opportunityId) {
+        const rowIndex = await this.sheetReader.findRowIndexById(opportunityId);
+        if (!rowIndex) throw new Error(`找不到機會 (ID: ${opportunityId})`);
+        return rowIndex;
+    }
+
+    async createOpportunity(data, creator) {
+        return this._write('createOpportunity', {
+            sql: () => this.sqlWriter.createOpportunity(data, creator),
+            sheet: () => this.sheetWriter.createOpportunity(data, creator)
+        });
+    }
+
+    /**
+     * @param {string} opportunityId
+     * @param {Object} data
+     * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - 樂觀鎖版本 (最後更新時間)
+     */
+    async updateOpportunity(opportunityId, data, modifier, options = {}) {
+        return this._write(`updateOpportunity(${opportunityId})`, {
+            sql: () => this.sqlWriter.updateOpportunity(opportunityId, data, modifier, options),
+            sheet: async () => {
+                const rowIndex = await this._findSheetRowIndex(opportunityId);
+                const result = await this.sheetWriter.updateOpportunity(rowIndex, data, modifier, options);
+                return { ...result, data: { ...result.data, opportunityId } };
+            }
+        });
+    }
+
+    /**
+     * 批量更新 (看板拖拉)
+     * @param {Array<{opportunityId: string, data: Object, modifier: string}>} updates
+     */
+    async batchUpdateOpportunities(updates) {
+        return this._write('batchUpdateOpportunities', {
+            sql: () => this.sqlWriter.batchUpdateOpportunities(updates),
+            sheet: async () => {
+                const withRows = await Promise.all(updates.map(async (update) => ({
+                    ...update,
+                    rowIndex: await this.sheetReader.findRowIndexById(update.opportunityId)
+                })));
+                const located = withRows.filter(update => update.rowIndex);
+                if (located.length === 0) {
+                    return { success: true, successCount: 0, failCount: updates.length };
+                }
+
+                const result = await this.sheetWriter.batchUpdateOpportunities(located);
+                return { ...result, failCount: result.failCount + (updates.length - located.length) };
+            }
+        });
+    }
+
+    async deleteOpportunity(opportunityId, modifier) {
+        return this._write(`deleteOpportunity(${opportunityId})`, {
+            sql: () => this.sqlWriter.deleteOpportunity(opportunityId, modifier),
+            sheet: async () => {
+                const rowIndex = await this._findSheetRowIndex(opportunityId);
+                return this.sheetWriter.deleteOpportunity(rowIndex, modifier);
+            }
+        });
+    }
+}
+
+module.exports = OpportunityRepository;
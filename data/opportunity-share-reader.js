@@ -0,0 +1,44 @@
+/**
+ * data/opportunity-share-reader.js
+ * 機會共享表讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取「機會共享表」(CORE)：記錄機會案件額外共享給哪些使用者。
+ * 僅回傳原始資料，可見範圍的判斷由 RecordVisibilityService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class OpportunityShareReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有共享紀錄 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getShares() {
+        const cacheKey = 'opportunityShares';
+        const range = `${this.config.SHEETS.OPPORTUNITY_SHARES}!A:E`;
+        const F = this.config.OPPORTUNITY_SHARE_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            shareId: row[F.SHARE_ID] || '',
+            opportunityId: row[F.OPPORTUNITY_ID] || '',
+            sharedWith: row[F.SHARED_WITH] || '',
+            createTime: row[F.CREATE_TIME] || '',
+            creator: row[F.CREATOR] || ''
+        });
+
+        const shares = await this._fetchAndCache(cacheKey, range, rowParser);
+        return shares.filter(share => share.shareId && share.opportunityId);
+    }
+}
+
+module.exports = OpportunityShareReader;
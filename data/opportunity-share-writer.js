@@ -0,0 +1,87 @@
+/**
+ * data/opportunity-share-writer.js
+ * 機會共享表寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 新增 / 移除機會案件的共享對象。實作依賴注入。
+ * 既有試算表沒有「機會共享表」時，第一次共享會自動建立工作表與標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class OpportunityShareWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {OpportunityShareReader} opportunityShareReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, opportunityShareReader) {
+        super(sheets, spreadsheetId);
+        if (!opportunityShareReader) throw new Error('OpportunityShareWriter 需要 OpportunityShareReader 實例');
+        this.opportunityShareReader = opportunityShareReader;
+    }
+
+    /**
+     * 新增共享紀錄
+     * @param {string} opportunityId
+     * @param {string} sharedWith - 使用者帳號
+     * @param {string} creator
+     */
+    async createShare(opportunityId, sharedWith, creator) {
+        console.log(`🔗 [OpportunityShareWriter] 共享機會 ${opportunityId} 給 ${sharedWith} by ${creator}`);
+
+        const shareId = `SHR${Date.now()}`;
+        // 欄位順序: ShareID, OpportunityID, SharedWith, CreateTime, Creator
+        const row = [shareId, opportunityId, sharedWith, new Date().toISOString(), creator];
+
+        try {
+            await this._append(row);
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet();
+            await this._append(row);
+        }
+
+        this.opportunityShareReader.invalidateCache('opportunityShares');
+        return { success: true, shareId };
+    }
+
+    /**
+     * 移除共享紀錄
+     * @param {number} rowIndex - 由 Service 經 Reader 查得
+     */
+    async deleteShare(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.OPPORTUNITY_SHARES, rowIndex, this.opportunityShareReader);
+        return { success: true };
+    }
+
+    async _append(row) {
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.OPPORTUNITY_SHARES}!A:E`,
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: [row] }
+        });
+    }
+
+    async _createSheet() {
+        const title = this.config.SHEETS.OPPORTUNITY_SHARES;
+        console.log(`📝 [OpportunityShareWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const F = this.config.OPPORTUNITY_SHARE_FIELDS;
+        const headers = Object.keys(F).sort((a, b) => F[a] - F[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:E1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = OpportunityShareWriter;
@@ -0,0 +1,203 @@
+/**
+ * data/opportunity-sql-writer.js
+ * SQL Writer for Opportunities
+ * * @version 1.1.0
+ * * @date 2026-10-19
+ * * @description Strict SQL write operations for Opportunities, keyed on opportunity_id (never rowIndex).
+ * * Accepts the Service DTO (Sheet-style keys) and the SQL DTO aliases, mirroring OpportunitySqlReader._mapRowToDto.
+ * * Updates accept options.expectedVersion (updated_time) and apply it as a compare-and-set filter.
+ */
+
+const { supabase } = require('../config/supabase');
+const { normalizeVersion, createVersionConflictError } = require('../utils/concurrency');
+
+// [DTO keys (first defined wins), SQL column]
+const FIELD_COLUMNS = [
+    [['opportunityName'], 'opportunity_name'],
+    [['customerCompany'], 'customer_company'],
+    [['salesModel'], 'sales_model'],
+    [['salesChannel', 'channelDetails'], 'sales_channel'],
+    [['channelContact'], 'channel_contact'],
+    [['mainContact'], 'main_contact'],
+    [['endCustomerContact'], 'end_customer_contact'],
+    [['assignee', 'owner'], 'owner'],
+    [['opportunityType'], 'opportunity_type'],
+    [['opportunitySource', 'source'], 'source'],
+    [['currentStage'], 'current_stage'],
+    [['currentStatus'], 'current_status'],
+    [['expectedCloseDate'], 'expected_close_date'],
+    [['orderProbability', 'winProbability'], 'win_probability'],
+    [['opportunityValue'], 'opportunity_value'],
+    [['opportunityValueType', 'valueCalcMode'], 'value_calc_mode'],
+    [['deviceScale', 'equipmentScale'], 'equipment_scale'],
+    [['potentialSpecification', 'productDetails'], 'product_details'],
+    [['notes'], 'notes'],
+    [['driveFolderLink', 'driveLink'], 'drive_link'],
+    [['stageHistory'], 'stage_history'],
+    [['parentOpportunityId'], 'parent_opportunity_id'],
+    [['createdTime'], 'created_time']
+];
+
+class OpportunitySqlWriter {
+    constructor() {
+        this.tableName = 'opportunities';
+    }
+
+    /**
+     * Map DTO fields to SQL columns (only fields present in data)
+     * Empty strings become null so typed columns (date / numeric) accept them.
+     */
+    _toPayload(data) {
+        const payload = {};
+        FIELD_COLUMNS.forEach(([keys, column]) => {
+            const key = keys.find(k => data[k] !== undefined);
+            if (key) payload[column] = data[key] === '' ? null : data[key];
+        });
+        return payload;
+    }
+
+    /**
+     * Create Opportunity (SQL Only)
+     * @param {Object} data - Opportunity DTO
+     * @param {string} creator
+     * @returns {Promise<Object>} { success: true, id: string }
+     */
+    async createOpportunity(data, creator) {
+        const opportunityId = `OPP${Date.now()}`;
+        const now = new Date().toISOString();
+
+        console.log(`💼 [OpportunitySqlWriter] Creating opportunity: ${data.opportunityName} (ID: ${opportunityId}) by ${creator}`);
+
+        const payload = {
+            ...this._toPayload(data),
+            opportunity_id: opportunityId,
+            current_status: '進行中',
+            stage_history: data.stageHistory || JSON.stringify([]),
+            created_time: now,
+            updated_time: now,
+            updated_by: creator
+        };
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert([payload]);
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Create Failed:', error);
+            throw new Error(`[OpportunitySqlWriter] Create Error: ${error.message}`);
+        }
+
+        return { success: true, id: opportunityId };
+    }
+
+    /**
+     * Update Opportunity (SQL Only)
+     * @param {string} opportunityId
+     * @param {Object} updateData - Partial update DTO
+     * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - updated_time the caller last read
+     */
+    async updateOpportunity(opportunityId, updateData, modifier, options = {}) {
+        console.log(`📝 [OpportunitySqlWriter] Updating opportunity ${opportunityId} by ${modifier}`);
+
+        const now = new Date().toISOString();
+        const expectedVersion = normalizeVersion(options.expectedVersion);
+        const payload = {
+            ...this._toPayload(updateData),
+            updated_time: now,
+            updated_by: modifier
+        };
+
+        let query = supabase
+            .from(this.tableName)
+            .update(payload)
+            .eq('opportunity_id', opportunityId);
+        if (expectedVersion) query = query.eq('updated_time', expectedVersion);
+
+        const { data, error } = await query.select();
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Update Failed:', error);
+            throw new Error(`[OpportunitySqlWriter] Update Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            if (expectedVersion) await this._throwIfExists(opportunityId);
+            throw new Error(`找不到要更新的機會 (ID: ${opportunityId})`);
+        }
+
+        return { success: true, data: { opportunityId, ...updateData }, version: now };
+    }
+
+    /**
+     * A compare-and-set update matched nothing: a conflict if the row still exists.
+     * @param {string} opportunityId
+     */
+    async _throwIfExists(opportunityId) {
+        const { data } = await supabase
+            .from(this.tableName)
+            .select('updated_time')
+            .eq('opportunity_id', opportunityId)
+            .maybeSingle();
+
+        if (data) throw createVersionConflictError('機會案件', opportunityId, data.updated_time);
+    }
+
+    /**
+     * Batch Update (Kanban drag & drop)
+     * @param {Array<{opportunityId: string, data: Object, modifier: string}>} updates
+     */
+    async batchUpdateOpportunities(updates) {
+        console.log(`📝 [OpportunitySqlWriter] Batch updating ${updates.length} opportunities`);
+
+        const now = new Date().toISOString();
+        const results = await Promise.all(updates.map(async ({ opportunityId, data: updateData, modifier }) => {
+            const payload = { updated_time: now, updated_by: modifier };
+            if (updateData.currentStage !== undefined) payload.current_stage = updateData.currentStage;
+            if (updateData.stageHistory !== undefined) payload.stage_history = updateData.stageHistory;
+            if (updateData.customerCompany !== undefined) payload.customer_company = updateData.customerCompany;
+
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .update(payload)
+                .eq('opportunity_id', opportunityId)
+                .select();
+
+            if (error) {
+                console.error(`[OpportunitySqlWriter] Batch Update Failed (${opportunityId}):`, error);
+                return false;
+            }
+            return Boolean(data && data.length > 0);
+        }));
+
+        const successCount = results.filter(Boolean).length;
+        return { success: true, successCount, failCount: updates.length - successCount };
+    }
+
+    /**
+     * Delete Opportunity (SQL Only)
+     * @param {string} opportunityId
+     * @param {string} modifier
+     */
+    async deleteOpportunity(opportunityId, modifier) {
+        console.log(`🗑️ [OpportunitySqlWriter] Deleting opportunity ${opportunityId} by ${modifier}`);
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('opportunity_id', opportunityId)
+            .select();
+
+        if (error) {
+            console.error('[OpportunitySqlWriter] Delete Failed:', error);
+            throw new Error(`[OpportunitySqlWriter] Delete Error: ${error.message}`);
+        }
+        if (!data || data.length === 0) {
+            throw new Error(`找不到要刪除的機會 (ID: ${opportunityId})`);
+        }
+
+        return { success: true };
+    }
+}
+
+module.exports = OpportunitySqlWriter;
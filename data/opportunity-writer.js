@@ -1,14 +1,16 @@
 /**
  * data/opportunity-writer.js
  * 機會案件寫入器
- * * @version 5.0.0 (Phase 5 Refactoring)
- * @date 2026-01-09
+ * * @version 5.1.0 (Optimistic Concurrency)
+ * @date 2026-10-19
  * @description 負責處理與「機會案件」及「關聯」相關的寫入/更新操作。
  * 支援動態標題對映 (Dynamic Header Mapping)。
  * 實作 Strict Mode 依賴注入。
+ * 更新時可帶 expectedVersion (= 最後更新時間)，與目前列資料不符則拋出 VERSION_CONFLICT。
  */
 
 const BaseWriter = require('./base-writer');
+const { assertVersion } = require('../utils/concurrency');
 
 class OpportunityWriter extends BaseWriter {
     /**
@@ -122,7 +124,15 @@ class OpportunityWriter extends BaseWriter {
         return { success: true, id: newId };
     }
 
-    async updateOpportunity(rowIndex, updateData, modifier) {
+    /**
+     * 更新機會案件
+     * @param {number} rowIndex
+     * @param {Object} updateData
+     * @param {string} modifier
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - 呼叫端讀到的「最後更新時間」
+     */
+    async updateOpportunity(rowIndex, updateData, modifier, options = {}) {
         if (isNaN(parseInt(rowIndex)) || rowIndex <= 1) throw new Error(`無效的 rowIndex: ${rowIndex}`);
         console.log(`📝 [OpportunityWriter] 更新機會案件 (動態欄位) - Row: ${rowIndex} by ${modifier}`);
         
@@ -137,6 +147,11 @@ class OpportunityWriter extends BaseWriter {
             currentRow.push('');
         }
 
+        assertVersion(options.expectedVersion, currentRow[map[FIELD_NAMES.LAST_UPDATE_TIME]], {
+            entity: '機會案件',
+            id: currentRow[map[FIELD_NAMES.ID]] || `Row ${rowIndex}`
+        });
+
         const setValue = (fieldName, value) => {
             const index = map[fieldName];
             if (index !== undefined && index >= 0) {
@@ -193,7 +208,7 @@ class OpportunityWriter extends BaseWriter {
         this.opportunityReader.invalidateCache('opportunities');
         console.log('✅ [OpportunityWriter] 機會案件更新成功');
 
-        return { success: true, data: { rowIndex, ...updateData } };
+        return { success: true, data: { rowIndex, ...updateData }, version: now };
     }
 
     async batchUpdateOpportunities(updates) {
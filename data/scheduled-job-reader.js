@@ -0,0 +1,69 @@
+/**
+ * data/scheduled-job-reader.js
+ * 排程工作狀態讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取 AUTH 試算表的「排程工作」：每個工作一列，記錄啟用狀態、上次執行結果、下次執行時間與執行鎖。
+ * 不經 BaseReader 快取：執行鎖必須讀到其他執行個體剛寫入的值，且狀態更新不應觸發前端的「資料已更新」偵測。
+ */
+
+const BaseReader = require('./base-reader');
+
+class ScheduledJobReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有工作狀態 (Raw Data；同一工作有多列時以第一列為準)
+     * @returns {Promise<Array<object>>}
+     */
+    async getJobStates() {
+        const F = this.config.SCHEDULED_JOB_FIELDS;
+        let rows;
+        try {
+            const response = await this._executeWithRetry(() =>
+                this.sheets.spreadsheets.values.get({
+                    spreadsheetId: this.targetSpreadsheetId,
+                    range: `${this.config.SHEETS.SCHEDULED_JOBS}!A:N`
+                })
+            );
+            rows = response.data.values || [];
+        } catch (error) {
+            // 工作表尚未建立：第一次寫入時由 ScheduledJobWriter 建立
+            if (String(error.message).includes('Unable to parse range')) return [];
+            throw error;
+        }
+
+        const seen = new Set();
+        return rows.slice(1)
+            .map((row, index) => ({
+                rowIndex: index + 2,
+                jobId: row[F.JOB_ID] || '',
+                enabled: row[F.ENABLED] ? String(row[F.ENABLED]).toUpperCase() === 'TRUE' : null,
+                lastStatus: row[F.LAST_STATUS] || '',
+                lastStartedAt: row[F.LAST_STARTED_AT] || '',
+                lastFinishedAt: row[F.LAST_FINISHED_AT] || '',
+                lastDurationMs: row[F.LAST_DURATION_MS] ? Number(row[F.LAST_DURATION_MS]) : null,
+                lastResult: row[F.LAST_RESULT] || '',
+                lastError: row[F.LAST_ERROR] || '',
+                lastTrigger: row[F.LAST_TRIGGER] || '',
+                nextRunAt: row[F.NEXT_RUN_AT] || '',
+                lockOwner: row[F.LOCK_OWNER] || '',
+                lockExpiresAt: row[F.LOCK_EXPIRES_AT] || '',
+                updatedBy: row[F.UPDATED_BY] || '',
+                updatedTime: row[F.UPDATED_TIME] || ''
+            }))
+            .filter(state => {
+                if (!state.jobId || seen.has(state.jobId)) return false;
+                seen.add(state.jobId);
+                return true;
+            });
+    }
+}
+
+module.exports = ScheduledJobReader;
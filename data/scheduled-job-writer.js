@@ -0,0 +1,99 @@
+/**
+ * data/scheduled-job-writer.js
+ * 排程工作狀態寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 新增與原地更新 (rowIndex)「排程工作」的狀態列。實作依賴注入。
+ * 既有試算表沒有對應工作表時，第一次寫入會自動建立工作表與標題列。
+ * 讀取端不使用快取，因此這裡不呼叫 invalidateCache (避免每次執行都更新全域寫入時間戳記)。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class ScheduledJobWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 新增工作狀態列
+     * @param {Object} state - 欄位見 config.SCHEDULED_JOB_FIELDS
+     */
+    async createJobState(state) {
+        const title = this.config.SHEETS.SCHEDULED_JOBS;
+        const append = () => this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A:N`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildRow(state)] }
+        });
+
+        try {
+            await append();
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet(title);
+            await append();
+        }
+        return { success: true };
+    }
+
+    /**
+     * 覆寫整列工作狀態
+     * @param {number} rowIndex - 由 Service 經 Reader 查得
+     * @param {Object} state - 合併後的完整資料
+     */
+    async updateJobStateByRow(rowIndex, state) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.SCHEDULED_JOBS}!A${rowIndex}:N${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildRow(state)] }
+        });
+        return { success: true };
+    }
+
+    _buildRow(state) {
+        const F = this.config.SCHEDULED_JOB_FIELDS;
+        const row = [];
+        row[F.JOB_ID] = state.jobId;
+        row[F.ENABLED] = state.enabled === null || state.enabled === undefined ? '' : (state.enabled ? 'TRUE' : 'FALSE');
+        row[F.LAST_STATUS] = state.lastStatus || '';
+        row[F.LAST_STARTED_AT] = state.lastStartedAt || '';
+        row[F.LAST_FINISHED_AT] = state.lastFinishedAt || '';
+        row[F.LAST_DURATION_MS] = state.lastDurationMs === null || state.lastDurationMs === undefined ? '' : state.lastDurationMs;
+        row[F.LAST_RESULT] = state.lastResult || '';
+        row[F.LAST_ERROR] = state.lastError || '';
+        row[F.LAST_TRIGGER] = state.lastTrigger || '';
+        row[F.NEXT_RUN_AT] = state.nextRunAt || '';
+        row[F.LOCK_OWNER] = state.lockOwner || '';
+        row[F.LOCK_EXPIRES_AT] = state.lockExpiresAt || '';
+        row[F.UPDATED_BY] = state.updatedBy || '';
+        row[F.UPDATED_TIME] = state.updatedTime || '';
+        return row;
+    }
+
+    async _createSheet(title) {
+        console.log(`📝 [ScheduledJobWriter] 建立工作表: ${title}`);
+        const fields = this.config.SCHEDULED_JOB_FIELDS;
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const headers = Object.keys(fields).sort((a, b) => fields[a] - fields[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:N1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = ScheduledJobWriter;
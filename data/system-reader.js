@@ -8,6 +8,7 @@
  */
 
 const BaseReader = require('./base-reader');
+const { STAGE_CONFIG_TYPE, annotateStages } = require('../utils/pipeline-stages');
 
 class SystemReader extends BaseReader {
     /**
@@ -111,16 +112,23 @@ class SystemReader extends BaseReader {
             }
         });
         
+        // 銷售階段中繼資料 (stageType / winProbability)
+        annotateStages(settings[STAGE_CONFIG_TYPE]);
+
         return settings;
     }
 
     /**
      * [Standard A] 取得使用者名冊
      * 允許 Mapping 產生 rowIndex，但不得包含業務篩選邏輯
+     * 欄位：A 帳號 / B 密碼雜湊 / C 顯示名稱 / D 角色 / E 主管 (主管的帳號，構成團隊階層)
+     *      F 狀態 (填 config.AUTH.USER_DISABLED_STATUS 為停用) / G 最後登入 / H 需變更密碼 (TRUE)
+     *      I Token 版本 (空白視為 0) / J LINE ID (綁定的 LINE 使用者 sub)
+     * 第一列若為標題列 (A1 = 帳號) 則略過
      */
     async getUsers() {
         const cacheKey = 'users';
-        const range = '使用者名冊!A:D';
+        const range = '使用者名冊!A:J';
         const targetSheetId = this.config.IDS.AUTH || this.targetSpreadsheetId;
         const now = Date.now();
         
@@ -143,15 +151,27 @@ class SystemReader extends BaseReader {
                 const passwordHash = row[1] ? row[1].trim() : '';
                 const displayName = row[2] ? row[2].trim() : '';
                 const role = row[3] ? row[3].trim().toLowerCase() : 'sales';
+                const manager = row[4] ? row[4].trim() : '';
+                const status = row[5] ? row[5].trim() : '';
+                const lastLogin = row[6] ? row[6].trim() : '';
+                const mustChangePassword = String(row[7] || '').trim().toUpperCase() === 'TRUE';
+                const tokenVersion = parseInt(row[8], 10) || 0;
+                const lineUserId = row[9] ? row[9].trim() : '';
 
                 return {
                     rowIndex: index + 1,
                     username,
                     passwordHash,
                     displayName,
-                    role
+                    role,
+                    manager,
+                    disabled: status === this.config.AUTH.USER_DISABLED_STATUS,
+                    lastLogin,
+                    mustChangePassword,
+                    tokenVersion,
+                    lineUserId
                 };
-            }).filter(user => user.username && user.passwordHash);
+            }).filter(user => user.username && user.passwordHash && !(user.rowIndex === 1 && user.username === '帳號'));
 
             this.cache[cacheKey] = { data: allUsers, timestamp: now };
             return allUsers;
@@ -162,6 +182,43 @@ class SystemReader extends BaseReader {
         }
     }
 
+    /**
+     * [Standard A] 取得角色權限表 (與使用者名冊同一份 AUTH 試算表)
+     * 欄位：A 角色 / B 權限 (逗號或換行分隔) / C 說明；第一列為標題
+     * 工作表不存在或讀取失敗時回傳空陣列 (由 PermissionService 套用 config 預設值)
+     * @returns {Promise<Array<{role: string, permissions: Array<string>}>>}
+     */
+    async getRolePermissions() {
+        const cacheKey = 'rolePermissions';
+        const targetSheetId = this.config.IDS.AUTH || this.targetSpreadsheetId;
+        const now = Date.now();
+
+        if (this.cache[cacheKey] && this.cache[cacheKey].data && (now - this.cache[cacheKey].timestamp < this.CACHE_DURATION)) {
+            return this.cache[cacheKey].data;
+        }
+
+        try {
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: targetSheetId,
+                range: `${this.config.PERMISSIONS.SHEET_NAME}!A:C`,
+            });
+
+            const rows = (response.data.values || []).slice(1);
+            const rolePermissions = rows.map(row => ({
+                role: row[0] ? row[0].trim().toLowerCase() : '',
+                permissions: String(row[1] || '').split(/[,，\n]/).map(p => p.trim()).filter(Boolean)
+            })).filter(entry => entry.role);
+
+            this.cache[cacheKey] = { data: rolePermissions, timestamp: now };
+            return rolePermissions;
+
+        } catch (error) {
+            console.warn(`⚠️ [SystemReader] 讀取角色權限表失敗，改用預設權限: ${error.message}`);
+            this.cache[cacheKey] = { data: [], timestamp: now };
+            return [];
+        }
+    }
+
     /**
      * [New] 取得指定 Sheet Title 的 SheetId (Integer)
      */
@@ -1,9 +1,10 @@
 /**
  * data/system-writer.js
  * 系統設定寫入器
- * * @version 6.0.0 (Refactored for Standard S - Pure Write)
- * @date 2026-01-26
+ * * @version 6.3.0 (LINE Binding)
+ * @date 2026-10-19
  * @description 移除 Reader 依賴與讀取操作，僅執行座標寫入。
+ * 使用者名冊欄位見 SystemReader.getUsers (A:J)；帳號管理的欄位更新一律以 rowIndex 定位。
  */
 
 const BaseWriter = require('./base-writer');
@@ -89,13 +90,12 @@ class SystemWriter extends BaseWriter {
         const newRow = [
             userData.username,
             userData.passwordHash,
-            userData.displayName,
-            userData.role || 'sales'
+            ...this._buildProfileCells(userData)
         ];
 
         await this.sheets.spreadsheets.values.append({
             spreadsheetId: targetId,
-            range: `${sheetName}!A:D`,
+            range: `${sheetName}!A:J`,
             valueInputOption: 'USER_ENTERED',
             resource: { values: [newRow] }
         });
@@ -124,6 +124,53 @@ class SystemWriter extends BaseWriter {
         return { success: true };
     }
 
+    /**
+     * [Standard S] 更新使用者資料 (顯示名稱、角色、主管、狀態、最後登入、需變更密碼、Token 版本、LINE ID；不含帳號與密碼)
+     * 由 Service 傳入合併後的完整資料，整段 C:J 覆寫
+     */
+    async updateUserProfileByRow(rowIndex, userData) {
+        console.log(`👤 [SystemWriter] 更新使用者資料 (Row: ${rowIndex})`);
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this._getAuthTargetId(),
+            range: `使用者名冊!C${rowIndex}:J${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildProfileCells(userData)] }
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * [Standard S] 記錄最後登入時間 (By Row Index)
+     */
+    async updateUserLastLoginByRow(rowIndex, timestamp) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this._getAuthTargetId(),
+            range: `使用者名冊!G${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [[timestamp]] }
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * 【內部輔助】使用者名冊 C:J 欄位
+     */
+    _buildProfileCells(userData) {
+        return [
+            userData.displayName || '',
+            userData.role || 'sales',
+            userData.manager || '',
+            userData.disabled ? this.config.AUTH.USER_DISABLED_STATUS : '',
+            userData.lastLogin || '',
+            userData.mustChangePassword ? 'TRUE' : '',
+            userData.tokenVersion || '',
+            userData.lineUserId || ''
+        ];
+    }
+
     /**
      * [Standard S] 刪除使用者 (By SheetId & RowIndex)
      * 禁止自行 lookup sheetId 或 rowIndex
@@ -0,0 +1,54 @@
+/**
+ * data/task-reader.js
+ * 任務讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取「任務」工作表 (CORE)。僅回傳原始資料，逾期判斷與可見範圍由 TaskService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class TaskReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有任務 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getTasks() {
+        const cacheKey = 'tasks';
+        const range = `${this.config.SHEETS.TASKS}!A:P`;
+        const F = this.config.TASK_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            taskId: row[F.TASK_ID] || '',
+            title: row[F.TITLE] || '',
+            description: row[F.DESCRIPTION] || '',
+            dueDate: row[F.DUE_DATE] || '',
+            assignee: row[F.ASSIGNEE] || '',
+            status: row[F.STATUS] || 'open',
+            opportunityId: row[F.OPPORTUNITY_ID] || '',
+            companyId: row[F.COMPANY_ID] || '',
+            contactId: row[F.CONTACT_ID] || '',
+            interactionId: row[F.INTERACTION_ID] || '',
+            source: row[F.SOURCE] || 'manual',
+            creator: row[F.CREATOR] || '',
+            createTime: row[F.CREATE_TIME] || '',
+            lastUpdateTime: row[F.LAST_UPDATE_TIME] || '',
+            completedTime: row[F.COMPLETED_TIME] || '',
+            completedBy: row[F.COMPLETED_BY] || ''
+        });
+
+        const tasks = await this._fetchAndCache(cacheKey, range, rowParser);
+        return tasks.filter(task => task.taskId);
+    }
+}
+
+module.exports = TaskReader;
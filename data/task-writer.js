@@ -0,0 +1,116 @@
+/**
+ * data/task-writer.js
+ * 任務寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 新增、原地更新 (rowIndex)、刪除任務。實作依賴注入。
+ * 既有試算表沒有「任務」工作表時，第一次新增會自動建立工作表與標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class TaskWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {TaskReader} taskReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, taskReader) {
+        super(sheets, spreadsheetId);
+        if (!taskReader) throw new Error('TaskWriter 需要 TaskReader 實例');
+        this.taskReader = taskReader;
+    }
+
+    /**
+     * 新增任務
+     * @param {Object} task - 欄位見 config.TASK_FIELDS
+     */
+    async createTask(task) {
+        const row = this._buildRow(task);
+        try {
+            await this._append(row);
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet();
+            await this._append(row);
+        }
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true, taskId: task.taskId };
+    }
+
+    /**
+     * 覆寫整列任務資料
+     * @param {number} rowIndex - 由 Service 經 Reader 查得
+     * @param {Object} task - 合併後的完整資料
+     */
+    async updateTaskByRow(rowIndex, task) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.TASKS}!A${rowIndex}:P${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildRow(task)] }
+        });
+
+        this.taskReader.invalidateCache('tasks');
+        return { success: true };
+    }
+
+    async deleteTask(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.TASKS, rowIndex, this.taskReader);
+        this.taskReader.invalidateCache('tasks');
+        return { success: true };
+    }
+
+    _buildRow(task) {
+        const F = this.config.TASK_FIELDS;
+        const row = [];
+        row[F.TASK_ID] = task.taskId;
+        row[F.TITLE] = task.title;
+        row[F.DESCRIPTION] = task.description || '';
+        row[F.DUE_DATE] = task.dueDate || '';
+        row[F.ASSIGNEE] = task.assignee || '';
+        row[F.STATUS] = task.status;
+        row[F.OPPORTUNITY_ID] = task.opportunityId || '';
+        row[F.COMPANY_ID] = task.companyId || '';
+        row[F.CONTACT_ID] = task.contactId || '';
+        row[F.INTERACTION_ID] = task.interactionId || '';
+        row[F.SOURCE] = task.source;
+        row[F.CREATOR] = task.creator || '';
+        row[F.CREATE_TIME] = task.createTime;
+        row[F.LAST_UPDATE_TIME] = task.lastUpdateTime || '';
+        row[F.COMPLETED_TIME] = task.completedTime || '';
+        row[F.COMPLETED_BY] = task.completedBy || '';
+        return row;
+    }
+
+    async _append(row) {
+        await this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.TASKS}!A:P`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+    }
+
+    async _createSheet() {
+        const title = this.config.SHEETS.TASKS;
+        console.log(`📝 [TaskWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const F = this.config.TASK_FIELDS;
+        const headers = Object.keys(F).sort((a, b) => F[a] - F[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:P1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = TaskWriter;
@@ -0,0 +1,74 @@
+/**
+ * data/webhook-reader.js
+ * Webhook 訂閱 / 傳送紀錄讀取器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讀取 AUTH 試算表的「Webhook訂閱」與「Webhook傳送紀錄」。
+ * 僅回傳原始資料 (含簽章密鑰)，遮罩與傳送規則由 WebhookService 負責。
+ */
+
+const BaseReader = require('./base-reader');
+
+class WebhookReader extends BaseReader {
+    /**
+     * @param {Object} sheets - Google Sheets API Client
+     * @param {string} spreadsheetId - [Required] 指定要讀取的 Sheet ID
+     */
+    constructor(sheets, spreadsheetId) {
+        super(sheets, spreadsheetId);
+    }
+
+    /**
+     * 取得所有 Webhook 訂閱 (Raw Data)
+     * @returns {Promise<Array<object>>}
+     */
+    async getWebhooks() {
+        const cacheKey = 'webhooks';
+        const range = `${this.config.SHEETS.WEBHOOKS}!A:I`;
+        const F = this.config.WEBHOOK_FIELDS;
+
+        const rowParser = (row, index) => ({
+            rowIndex: index + 2,
+            webhookId: row[F.WEBHOOK_ID] || '',
+            name: row[F.NAME] || '',
+            url: row[F.URL] || '',
+            eventTypes: String(row[F.EVENT_TYPES] || '').split(',').map(s => s.trim()).filter(Boolean),
+            secret: row[F.SECRET] || '',
+            enabled: String(row[F.ENABLED]).toUpperCase() === 'TRUE',
+            creator: row[F.CREATOR] || '',
+            createTime: row[F.CREATE_TIME] || '',
+            lastUpdateTime: row[F.LAST_UPDATE_TIME] || ''
+        });
+
+        const webhooks = await this._fetchAndCache(cacheKey, range, rowParser);
+        return webhooks.filter(webhook => webhook.webhookId && webhook.url);
+    }
+
+    /**
+     * 取得所有傳送紀錄 (Raw Data，依寫入順序)
+     * @returns {Promise<Array<object>>}
+     */
+    async getDeliveries() {
+        const cacheKey = 'webhookDeliveries';
+        const range = `${this.config.SHEETS.WEBHOOK_DELIVERIES}!A:J`;
+        const F = this.config.WEBHOOK_DELIVERY_FIELDS;
+
+        const rowParser = (row) => ({
+            deliveryId: row[F.DELIVERY_ID] || '',
+            webhookId: row[F.WEBHOOK_ID] || '',
+            eventId: row[F.EVENT_ID] || '',
+            eventType: row[F.EVENT_TYPE] || '',
+            attempt: Number(row[F.ATTEMPT]) || 1,
+            status: row[F.STATUS] || '',
+            httpStatus: row[F.HTTP_STATUS] ? Number(row[F.HTTP_STATUS]) : null,
+            error: row[F.ERROR] || '',
+            durationMs: Number(row[F.DURATION_MS]) || 0,
+            time: row[F.TIME] || ''
+        });
+
+        const deliveries = await this._fetchAndCache(cacheKey, range, rowParser);
+        return deliveries.filter(delivery => delivery.deliveryId);
+    }
+}
+
+module.exports = WebhookReader;
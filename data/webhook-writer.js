@@ -0,0 +1,130 @@
+/**
+ * data/webhook-writer.js
+ * Webhook 訂閱 / 傳送紀錄寫入器
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 新增、原地更新 (rowIndex)、刪除 Webhook 訂閱，並附加傳送紀錄。實作依賴注入。
+ * 既有試算表沒有對應工作表時，第一次寫入會自動建立工作表與標題列。
+ */
+
+const BaseWriter = require('./base-writer');
+
+class WebhookWriter extends BaseWriter {
+    /**
+     * @param {Object} sheets - Google Sheets API
+     * @param {string} spreadsheetId - [Required] Target Sheet ID
+     * @param {WebhookReader} webhookReader - 用於清除快取
+     */
+    constructor(sheets, spreadsheetId, webhookReader) {
+        super(sheets, spreadsheetId);
+        if (!webhookReader) throw new Error('WebhookWriter 需要 WebhookReader 實例');
+        this.webhookReader = webhookReader;
+    }
+
+    /**
+     * 新增訂閱
+     * @param {Object} webhook - 欄位見 config.WEBHOOK_FIELDS
+     */
+    async createWebhook(webhook) {
+        await this._appendOrCreate(this.config.SHEETS.WEBHOOKS, 'I', this.config.WEBHOOK_FIELDS, this._buildWebhookRow(webhook));
+        this.webhookReader.invalidateCache('webhooks');
+        return { success: true, webhookId: webhook.webhookId };
+    }
+
+    /**
+     * 覆寫整列訂閱資料
+     * @param {number} rowIndex - 由 Service 經 Reader 查得
+     * @param {Object} webhook - 合併後的完整資料
+     */
+    async updateWebhookByRow(rowIndex, webhook) {
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${this.config.SHEETS.WEBHOOKS}!A${rowIndex}:I${rowIndex}`,
+            valueInputOption: 'RAW',
+            resource: { values: [this._buildWebhookRow(webhook)] }
+        });
+
+        this.webhookReader.invalidateCache('webhooks');
+        return { success: true };
+    }
+
+    async deleteWebhook(rowIndex) {
+        await this._deleteRow(this.config.SHEETS.WEBHOOKS, rowIndex, this.webhookReader);
+        this.webhookReader.invalidateCache('webhooks');
+        return { success: true };
+    }
+
+    /**
+     * 附加一筆傳送紀錄
+     * @param {Object} delivery - 欄位見 config.WEBHOOK_DELIVERY_FIELDS
+     */
+    async appendDelivery(delivery) {
+        const F = this.config.WEBHOOK_DELIVERY_FIELDS;
+        const row = [];
+        row[F.DELIVERY_ID] = delivery.deliveryId;
+        row[F.WEBHOOK_ID] = delivery.webhookId;
+        row[F.EVENT_ID] = delivery.eventId;
+        row[F.EVENT_TYPE] = delivery.eventType;
+        row[F.ATTEMPT] = delivery.attempt;
+        row[F.STATUS] = delivery.status;
+        row[F.HTTP_STATUS] = delivery.httpStatus || '';
+        row[F.ERROR] = delivery.error || '';
+        row[F.DURATION_MS] = delivery.durationMs;
+        row[F.TIME] = delivery.time;
+
+        await this._appendOrCreate(this.config.SHEETS.WEBHOOK_DELIVERIES, 'J', F, row);
+        this.webhookReader.invalidateCache('webhookDeliveries');
+        return { success: true };
+    }
+
+    _buildWebhookRow(webhook) {
+        const F = this.config.WEBHOOK_FIELDS;
+        const row = [];
+        row[F.WEBHOOK_ID] = webhook.webhookId;
+        row[F.NAME] = webhook.name;
+        row[F.URL] = webhook.url;
+        row[F.EVENT_TYPES] = (webhook.eventTypes || []).join(',');
+        row[F.SECRET] = webhook.secret;
+        row[F.ENABLED] = webhook.enabled ? 'TRUE' : 'FALSE';
+        row[F.CREATOR] = webhook.creator || '';
+        row[F.CREATE_TIME] = webhook.createTime;
+        row[F.LAST_UPDATE_TIME] = webhook.lastUpdateTime || '';
+        return row;
+    }
+
+    async _appendOrCreate(title, lastColumn, fields, row) {
+        const append = () => this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A:${lastColumn}`,
+            valueInputOption: 'RAW',
+            resource: { values: [row] }
+        });
+
+        try {
+            await append();
+        } catch (error) {
+            if (!String(error.message).includes('Unable to parse range')) throw error;
+            await this._createSheet(title, lastColumn, fields);
+            await append();
+        }
+    }
+
+    async _createSheet(title, lastColumn, fields) {
+        console.log(`📝 [WebhookWriter] 建立工作表: ${title}`);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId: this.targetSpreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+
+        const headers = Object.keys(fields).sort((a, b) => fields[a] - fields[b]);
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.targetSpreadsheetId,
+            range: `${title}!A1:${lastColumn}1`,
+            valueInputOption: 'RAW',
+            resource: { values: [headers] }
+        });
+    }
+}
+
+module.exports = WebhookWriter;
@@ -0,0 +1,51 @@
+/**
+ * data/weekly-business-repository.js
+ * 週間業務資料來源路由 (Repository Layer)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 依 config.DATA_SOURCES.WEEKLY 在 WeeklyBusinessReader (Sheet, 唯讀) 與 WeeklyBusinessSqlReader 之間切換。
+ * SQL 回傳空清單視為有效結果 (Phase 7-3 起寫入僅走 SQL)。
+ * 注意：Sheet 的 SUMMARY 為預先彙整資料，SQL 則回傳明細列，由 WeeklyBusinessService 統一處理。
+ */
+
+const BaseRepository = require('./base-repository');
+
+class WeeklyBusinessRepository extends BaseRepository {
+    /**
+     * @param {Object} dependencies
+     * @param {string} dependencies.mode - SHEET | SQL | SQL_WITH_SHEET_FALLBACK
+     * @param {WeeklyBusinessReader} dependencies.weeklyBusinessReader
+     * @param {WeeklyBusinessSqlReader} [dependencies.weeklyBusinessSqlReader]
+     */
+    constructor({ mode, weeklyBusinessReader, weeklyBusinessSqlReader }) {
+        super({
+            moduleName: 'Weekly',
+            mode,
+            sheetReader: weeklyBusinessReader,
+            sqlReader: weeklyBusinessSqlReader,
+            fallbackOnEmpty: false
+        });
+    }
+
+    /**
+     * 取得週次彙整資料
+     */
+    async getWeeklySummary() {
+        return this._read('getWeeklySummary', {
+            sql: () => this.sqlReader.getWeeklyBusinessEntries(),
+            sheet: () => this.sheetReader.getWeeklySummary()
+        });
+    }
+
+    /**
+     * 取得所有週間業務明細
+     */
+    async getAllEntries() {
+        return this._read('getAllEntries', {
+            sql: () => this.sqlReader.getWeeklyBusinessEntries(),
+            sheet: () => this.sheetReader.getAllEntries()
+        });
+    }
+}
+
+module.exports = WeeklyBusinessRepository;
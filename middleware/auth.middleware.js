@@ -1,9 +1,14 @@
 /**
  * middleware/auth.middleware.js
  * 權限驗證中介軟體
- * * @version 6.1.6 (Fixed: Local Dev Backdoor)
- * @date 2026-01-15
- * @description 負責驗證 JWT Token。包含針對 'TEST_LOCAL_TOKEN' 的特殊放行邏輯，以支援 leads-view.html 的本地開發模式。
+ * * @version 6.6.0 (API Tokens)
+ * @date 2026-10-19
+ * @description 負責驗證 JWT Token。已移除 'TEST_LOCAL_TOKEN' 後門；本地開發改用 config.DEV_AUTH 簽發的正式 JWT。
+ * 簽章有效的 Token 另經 AuthService.getRevocationReason 檢查 (Token 版本、帳號停用、工作階段已登出)。
+ * 以 config.AUTH.API_TOKEN.PREFIX 開頭的 Token 視為個人 API 金鑰，交由 ApiTokenService 驗證 (req.user 帶 apiTokenId / scopes)；
+ * rejectApiToken 用於變更密碼、管理金鑰等只允許互動登入的端點。
+ * requirePasswordChanged：管理員重設密碼後 (Token 帶 mustChangePassword)，在變更密碼前拒絕其他 API。
+ * verifyLineToken / requireLinkedLineUser：/api/line/* 以 LINE ID Token 驗證，並換成綁定的 CRM 使用者 (req.user)。
  */
 
 const jwt = require('jsonwebtoken');
@@ -19,36 +24,121 @@ exports.verifyToken = (req, res, next) => {
         return res.status(403).json({ success: false, message: '未提供驗證 Token' }); 
     }
 
-    // ============================================================
-    // 🚧 [Dev Mode] 本地開發後門 (Digital Forensics: Restore 0109 Behavior)
-    // ============================================================
-    // 前端 leads-view.js 在本地環境 (localhost) 會發送此固定 Token。
-    // 為了不修改前端代碼，後端必須在此攔截並給予放行。
-    if (token === 'TEST_LOCAL_TOKEN') {
-        console.warn('🚧 [Auth Middleware] 偵測到本地測試 Token，略過 JWT 驗證並注入模擬身分。');
-        
-        // 注入模擬的 User 物件，確保後續 Controller 不會壞掉
-        req.user = {
-            userId: 'TEST_LOCAL_USER',
-            name: 'Local Developer',
-            email: 'dev@localhost',
-            picture: '',
-            role: 'admin' // 給予最高權限以利測試
-        };
-        
-        return next(); // 直接放行
+    const services = req.app.get('services');
+    if (services && services.apiTokenService && services.apiTokenService.isApiToken(token)) {
+        return services.apiTokenService.authenticate(token)
+            .then(user => {
+                if (!user) {
+                    console.warn('[Auth] API 金鑰驗證失敗 (無效、已撤銷、已過期或擁有者已停用)');
+                    return res.status(401).json({ success: false, message: 'API 金鑰無效或已撤銷' });
+                }
+                req.user = user;
+                next();
+            })
+            .catch(next);
     }
-    // ============================================================
 
-    // 標準 JWT 驗證流程 (正式環境)
+    // 標準 JWT 驗證流程 (開發用身分同樣是正式簽章的 JWT)
     jwt.verify(token, config.AUTH.JWT_SECRET, (err, user) => {
         if (err) {
             console.warn(`[Auth] Token 驗證失敗: ${err.message}`);
             // 401 Unauthorized: 身份驗證失敗 (Token 無效或過期)
             return res.status(401).json({ success: false, message: 'Token 無效或已過期' }); 
         }
-        
-        req.user = user; // 將解碼後的用戶資訊附加到 req 物件
-        next();
+
+        // 開發用身分簽發的 Token 只在 DEV_AUTH 啟用時有效 (避免與正式環境共用 JWT_SECRET 時被帶入)
+        if (user.dev && !config.DEV_AUTH.ENABLED) {
+            console.warn(`[Auth] 拒絕開發用 Token (DEV_AUTH 未啟用): ${user.username}`);
+            return res.status(401).json({ success: false, message: 'Token 無效或已過期' });
+        }
+
+        if (!services || !services.authService) {
+            req.user = user;
+            return next();
+        }
+
+        services.authService.getRevocationReason(user)
+            .then(reason => {
+                if (reason) {
+                    console.warn(`[Auth] 拒絕已撤銷的 Token (${user.username}): ${reason}`);
+                    return res.status(401).json({ success: false, message: 'Token 無效或已過期' });
+                }
+                req.user = user; // 將解碼後的用戶資訊附加到 req 物件
+                next();
+            })
+            .catch(next);
     });
-};
\ No newline at end of file
+};
+
+/**
+ * 須先變更密碼才能繼續使用 (掛在 verifyToken 之後；/api/auth 路由不經過此中間件，仍可變更密碼)
+ */
+exports.requirePasswordChanged = (req, res, next) => {
+    if (req.user && req.user.mustChangePassword) {
+        return res.status(403).json({
+            success: false,
+            code: 'PASSWORD_CHANGE_REQUIRED',
+            message: '管理員已重設您的密碼，請先變更密碼'
+        });
+    }
+    next();
+};
+
+/**
+ * 只允許互動登入 (JWT)：API 金鑰不能變更密碼或管理金鑰 (掛在 verifyToken 之後)
+ */
+exports.rejectApiToken = (req, res, next) => {
+    if (req.user && req.user.apiTokenId) {
+        return res.status(403).json({
+            success: false,
+            code: 'API_TOKEN_NOT_ALLOWED',
+            message: '此操作不接受 API 金鑰，請以帳號密碼登入後操作'
+        });
+    }
+    next();
+};
+
+/**
+ * 驗證 LINE ID Token (LIFF)，結果放在 req.lineProfile = { sub, name, ... }
+ */
+exports.verifyLineToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ success: false, message: '未提供 Token' });
+    }
+
+    const services = req.app.get('services');
+    services.authService.verifyLineIdToken(token)
+        .then(profile => {
+            if (!profile) {
+                return res.status(401).json({ success: false, message: 'LINE Token 驗證失敗' });
+            }
+            req.lineProfile = profile;
+            next();
+        })
+        .catch(next);
+};
+
+/**
+ * 以 LINE 使用者綁定的 CRM 帳號作為 req.user (掛在 verifyLineToken 之後)，之後可接 requirePermission
+ * 尚未綁定時回 403 LINE_ACCOUNT_NOT_LINKED，前端據此顯示綁定畫面
+ */
+exports.requireLinkedLineUser = (req, res, next) => {
+    const services = req.app.get('services');
+    services.authService.resolveLineUser(req.lineProfile)
+        .then(user => {
+            if (!user) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'LINE_ACCOUNT_NOT_LINKED',
+                    message: '此 LINE 帳號尚未綁定 CRM 帳號',
+                    yourUserId: req.lineProfile.sub
+                });
+            }
+            req.user = user;
+            next();
+        })
+        .catch(next);
+};
@@ -0,0 +1,21 @@
+// middleware/deprecation.middleware.js
+
+/**
+ * 標記以 Sheet 列號 (rowIndex) 定位資料的舊路由
+ * 當路徑參數為純數字時視為舊版 rowIndex：回應加上 Deprecation / Link (successor-version) 標頭並記錄警告，
+ * 請求本身照常處理 (由 Service 解析為實際 ID)，讓前端可逐頁改用 ID-based 路由。
+ * @param {string} paramName - 路徑參數名稱 (例如 'opportunityId'、'rowIndex')
+ * @param {string} successorPath - 取代的新路由 (例如 '/api/opportunities/:opportunityId')
+ */
+exports.deprecateRowIndexRoute = (paramName, successorPath) => {
+    return (req, res, next) => {
+        const value = String(req.params[paramName] || '').trim();
+
+        if (/^\d+$/.test(value)) {
+            res.set('Deprecation', 'true');
+            res.set('Link', `<${successorPath}>; rel="successor-version"`);
+            console.warn(`⚠️ [Deprecated] ${req.method} ${req.originalUrl} 以 rowIndex 定位資料，請改用 ${successorPath}`);
+        }
+        next();
+    };
+};
@@ -3,6 +3,23 @@
 // 統一的 API 錯誤處理函式
 exports.handleApiError = (res, error, context = 'API') => {
     console.error(`⚠ ${context} 執行錯誤:`, error.message);
+    // 樂觀鎖版本衝突：回傳 409 與目前資料，供前端提示合併/覆蓋
+    if (error.code === 'VERSION_CONFLICT') {
+        return res.status(409).json({
+            success: false,
+            conflict: true,
+            error: error.message,
+            details: error.message,
+            currentVersion: error.currentVersion,
+            current: error.current || null
+        });
+    }
+
+    // Service 以 statusCode 標記的用戶端錯誤 (4xx)
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, details: error.message });
+    }
+
     // 檢查是否為我們自訂的業務邏輯錯誤
     if (error.message.startsWith('無法刪除：') || error.message.startsWith('無法建檔：')) {
          return res.status(400).json({ success: false, error: error.message, details: error.message });
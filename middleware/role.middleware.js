@@ -1,4 +1,77 @@
 // middleware/role.middleware.js
+/**
+ * 角色 / 權限檢查中間件
+ * * @version 2.2.0 (Permission Model)
+ * @date 2026-10-19
+ * @description
+ * - requirePermission('opportunity:delete')：依 PermissionService 的角色權限表檢查 (routes/ 統一使用)。
+ * - requireRole('admin')：僅比對角色代碼 (保留給舊程式碼)。
+ * - sendPermissionDenied：供 Controller 在欄位層級檢查 (例如商品機敏欄位) 失敗時回傳相同格式。
+ * 拒絕存取時皆回傳 403 (code: PERMISSION_DENIED) 並經 AuditService 寫入變更紀錄 (access / deny)。
+ * 必須掛在 authMiddleware.verifyToken 之後。
+ */
+
+const config = require('../config');
+
+const getPermissionService = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.permissionService) {
+        throw new Error('PermissionService 尚未初始化');
+    }
+    return services.permissionService;
+};
+
+/**
+ * 回傳 403 並記錄拒絕存取
+ * @param {string} required - 缺少的權限
+ * @param {string} [message] - 自訂訊息 (預設 config.ERROR_MESSAGES.PERMISSION_DENIED)
+ */
+const sendPermissionDenied = async (req, res, required, message = config.ERROR_MESSAGES.PERMISSION_DENIED) => {
+    const user = req.user;
+    try {
+        console.warn(`⛔ [Access Denied] User: ${user && user.username}, Role: ${getPermissionService(req).resolveRole(user)}, Required: ${required}, ${req.method} ${req.originalUrl}`);
+        const { auditService } = req.app.get('services');
+        if (auditService) {
+            await auditService.recordAccessDenied(user, { permission: required, method: req.method, path: req.originalUrl });
+        }
+    } catch (error) {
+        console.warn(`[RoleMiddleware] 記錄拒絕存取失敗: ${error.message}`);
+    }
+    return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_DENIED',
+        permission: required,
+        message,
+        error: message
+    });
+};
+
+exports.sendPermissionDenied = sendPermissionDenied;
+
+/**
+ * 權限檢查中間件
+ * @param {string} permission - 「資源:動作」，需定義於 config.PERMISSIONS.CATALOG
+ */
+exports.requirePermission = (permission) => {
+    if (!config.PERMISSIONS.CATALOG[permission]) {
+        throw new Error(`未定義的權限: ${permission}`);
+    }
+
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: '未經授權：使用者未登入' });
+        }
+
+        try {
+            if (await getPermissionService(req).hasPermission(req.user, permission)) {
+                return next();
+            }
+        } catch (error) {
+            return next(error);
+        }
+        return sendPermissionDenied(req, res, permission);
+    };
+};
 
 /**
  * 角色權限檢查中間件
@@ -16,13 +89,11 @@ exports.requireRole = (allowedRoles) => {
 
         // 3. 檢查權限
         // 假設 req.user.role 來自 decoded JWT payload
-        const userRole = req.user.role || 'sales'; // 預設降級為 sales
+        const userRole = req.user.role || config.PERMISSIONS.DEFAULT_ROLE;
 
         if (roles.includes(userRole)) {
-            next(); // 通行
-        } else {
-            console.warn(`⛔ [Access Denied] User: ${req.user.username}, Role: ${userRole}, Required: ${roles.join(',')}`);
-            return res.status(403).json({ success: false, message: '權限不足：您無法存取此資源' });
+            return next(); // 通行
         }
+        return sendPermissionDenied(req, res, `role:${roles.join('|')}`);
     };
-};
\ No newline at end of file
+};
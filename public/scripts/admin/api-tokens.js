@@ -0,0 +1,209 @@
+// public/scripts/admin/api-tokens.js
+// 職責：個人 API 金鑰頁 (#api-tokens)，資料來源 /api/api-tokens (需 apiToken:manage 權限)
+// 金鑰只在建立當下顯示一次，寫入皆使用 skipRefresh 自行重繪，避免整頁重新載入後看不到金鑰。
+
+const ApiTokensPage = {
+    containerId: 'page-api-tokens',
+    modalId: 'api-token-modal',
+    tokens: [],
+    scopes: [],
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    init: async function() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <h2 class="widget-title">API 金鑰</h2>
+                    <button class="action-btn primary" data-action="create">＋ 建立金鑰</button>
+                </div>
+                <p style="color: var(--text-muted); margin: 0 0 12px 0;">
+                    供腳本與系統整合呼叫 API：以 <code>Authorization: Bearer &lt;金鑰&gt;</code> 傳送。
+                    金鑰的權限不會超過您的角色，且只限建立時選擇的範圍。
+                </p>
+                <div id="api-token-notice"></div>
+                <div id="api-token-list" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>載入金鑰中...</p></div>
+                </div>
+            </div>
+            ${this._renderModal()}
+        `;
+
+        // 頁面可能因資料同步重新初始化，委派事件只綁定一次
+        if (!this._onClick) this._onClick = (e) => this._handleClick(e);
+        container.removeEventListener('click', this._onClick);
+        container.addEventListener('click', this._onClick);
+        document.getElementById('api-token-form').addEventListener('submit', (e) => this._handleSubmit(e));
+
+        await this.loadData();
+    },
+
+    loadData: async function() {
+        const list = document.getElementById('api-token-list');
+        try {
+            const result = await authedFetch('/api/api-tokens');
+            if (!result.success) throw new Error(result.error);
+            this.tokens = result.data || [];
+            this.scopes = result.scopes || [];
+            this.render();
+        } catch (error) {
+            if (error.message !== 'Unauthorized' && list) {
+                list.innerHTML = `<div class="alert alert-error">載入金鑰失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function() {
+        const list = document.getElementById('api-token-list');
+        if (!list) return;
+
+        if (this.tokens.length === 0) {
+            list.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未建立任何 API 金鑰</div>';
+            return;
+        }
+
+        const statusTags = {
+            active: '<span class="card-tag type">有效</span>',
+            expired: '<span class="card-tag">已過期</span>',
+            revoked: '<span class="card-tag assignee">已撤銷</span>'
+        };
+
+        const rows = this.tokens.map(token => `<tr>
+                <td data-label="名稱"><strong>${this._escape(token.name)}</strong><br><code>${this._escape(token.tokenPrefix)}…</code></td>
+                <td data-label="範圍">${token.scopes.map(scope => `<span class="card-tag">${this._escape(scope)}</span>`).join(' ')}</td>
+                <td data-label="狀態">${statusTags[token.status] || ''}</td>
+                <td data-label="建立時間">${formatDateTime(token.createTime)}</td>
+                <td data-label="到期">${token.expiresAt ? formatDateTime(token.expiresAt) : '不過期'}</td>
+                <td data-label="最後使用">${token.lastUsedTime ? formatDateTime(token.lastUsedTime) : '從未使用'}</td>
+                <td data-label="操作">
+                    ${token.status === 'revoked' ? '-' : `<button class="action-btn small danger" data-action="revoke" data-token-id="${this._escape(token.tokenId)}">撤銷</button>`}
+                </td>
+            </tr>`).join('');
+
+        list.innerHTML = `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>名稱</th><th>範圍</th><th>狀態</th><th>建立時間</th><th>到期</th><th>最後使用</th><th>操作</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderModal: function() {
+        return `
+            <div id="${this.modalId}" class="modal">
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">建立 API 金鑰</h2>
+                        <button class="close-btn" onclick="closeModal('${this.modalId}')">&times;</button>
+                    </div>
+                    <form id="api-token-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="api-token-name" class="form-label">名稱 * (例如：每週報表匯出)</label>
+                                <input type="text" id="api-token-name" class="form-input" maxlength="60" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="api-token-expires" class="form-label">有效天數 (0 為不過期)</label>
+                                <input type="number" id="api-token-expires" class="form-input" min="0" max="3650" value="90">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">權限範圍 *</label>
+                            <div id="api-token-scopes" style="max-height: 280px; overflow-y: auto; display: grid; grid-template-columns: 1fr 1fr; gap: 4px 12px;"></div>
+                        </div>
+                        <button type="submit" class="submit-btn">建立</button>
+                    </form>
+                </div>
+            </div>
+        `;
+    },
+
+    _openModal: function() {
+        document.getElementById('api-token-form').reset();
+        document.getElementById('api-token-scopes').innerHTML = this.scopes.map(scope => `
+            <label style="display:flex; gap:6px; align-items:flex-start; font-size:0.9rem;">
+                <input type="checkbox" name="api-token-scope" value="${this._escape(scope.permission)}">
+                <span>${this._escape(scope.description)}<br><code style="font-size:0.8rem;">${this._escape(scope.permission)}</code></span>
+            </label>
+        `).join('');
+        showModal(this.modalId);
+    },
+
+    _handleClick: function(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        switch (btn.dataset.action) {
+            case 'create':
+                this._openModal();
+                break;
+            case 'revoke': {
+                const token = this.tokens.find(t => t.tokenId === btn.dataset.tokenId);
+                if (token) this._revoke(token);
+                break;
+            }
+        }
+    },
+
+    _handleSubmit: async function(e) {
+        e.preventDefault();
+        const scopes = Array.from(document.querySelectorAll('input[name="api-token-scope"]:checked')).map(el => el.value);
+        if (scopes.length === 0) {
+            showNotification('請至少選擇一個權限範圍', 'warning');
+            return;
+        }
+
+        showLoading('正在建立金鑰...');
+        try {
+            const result = await authedFetch('/api/api-tokens', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: document.getElementById('api-token-name').value.trim(),
+                    expiresInDays: Number(document.getElementById('api-token-expires').value || 0),
+                    scopes
+                }),
+                skipRefresh: true
+            });
+            closeModal(this.modalId);
+            this._showToken(result.data.name, result.token);
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[ApiTokens] 建立失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _revoke: function(token) {
+        showConfirmDialog(`確定要撤銷金鑰「${token.name}」嗎？使用此金鑰的腳本將立即無法存取 API。`, async () => {
+            showLoading('正在撤銷...');
+            try {
+                await authedFetch(`/api/api-tokens/${encodeURIComponent(token.tokenId)}`, { method: 'DELETE', skipRefresh: true });
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[ApiTokens] 撤銷失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    // 金鑰只會回傳一次，留在頁面上直到使用者關閉
+    _showToken: function(name, token) {
+        const notice = document.getElementById('api-token-notice');
+        if (!notice || !token) return;
+        notice.innerHTML = `
+            <div class="alert alert-info" style="display:flex; justify-content:space-between; align-items:center; gap: 12px; margin-bottom: 12px;">
+                <span>「${this._escape(name)}」的金鑰：<code style="font-size:1rem; user-select:all; word-break:break-all;">${this._escape(token)}</code><br>（僅顯示一次，請立即複製並妥善保存）</span>
+                <button class="action-btn small secondary" onclick="document.getElementById('api-token-notice').innerHTML='';">關閉</button>
+            </div>
+        `;
+    }
+};
+
+window.ApiTokensPage = ApiTokensPage;
+
+if (window.CRM_APP) window.CRM_APP.pageModules['api-tokens'] = () => ApiTokensPage.init();
@@ -0,0 +1,311 @@
+// public/scripts/admin/user-admin.js
+// 職責：使用者管理頁 (#users)，資料來源 /api/admin/users (需 user:admin 權限)
+// 寫入皆使用 skipRefresh 自行重繪，避免整頁重新載入後看不到一次性的臨時密碼。
+
+const UserAdminPage = {
+    containerId: 'page-users',
+    modalId: 'user-admin-modal',
+    users: [],
+    roles: [],
+    editingUsername: null,
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    _roleLabel: function(role) {
+        const defs = window.CRM_APP.ROLE_DEFINITIONS || {};
+        return (defs[role] && defs[role].title) || role;
+    },
+
+    init: async function() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <h2 class="widget-title">使用者帳號</h2>
+                    <button class="action-btn primary" data-action="create">＋ 新增使用者</button>
+                </div>
+                <div id="user-admin-notice"></div>
+                <div id="user-admin-list" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>載入使用者中...</p></div>
+                </div>
+            </div>
+            ${this._renderModal()}
+        `;
+
+        // 頁面可能因資料同步重新初始化，委派事件只綁定一次
+        if (!this._onClick) this._onClick = (e) => this._handleClick(e);
+        container.removeEventListener('click', this._onClick);
+        container.addEventListener('click', this._onClick);
+        document.getElementById('user-admin-form').addEventListener('submit', (e) => this._handleSubmit(e));
+
+        await this.loadData();
+    },
+
+    loadData: async function() {
+        const list = document.getElementById('user-admin-list');
+        try {
+            const result = await authedFetch('/api/admin/users');
+            if (!result.success) throw new Error(result.error);
+            this.users = result.data || [];
+            this.roles = result.roles || [];
+            this.render();
+        } catch (error) {
+            if (error.message !== 'Unauthorized' && list) {
+                list.innerHTML = `<div class="alert alert-error">載入使用者失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function() {
+        const list = document.getElementById('user-admin-list');
+        if (!list) return;
+
+        if (this.users.length === 0) {
+            list.innerHTML = '<div class="alert alert-info" style="text-align:center;">使用者名冊沒有任何帳號</div>';
+            return;
+        }
+
+        const nameOf = (username) => {
+            const user = this.users.find(u => u.username.toLowerCase() === String(username).toLowerCase());
+            return user ? user.displayName : username;
+        };
+
+        const rows = this.users.map(user => {
+            const u = this._escape(user.username);
+            const status = user.disabled
+                ? '<span class="card-tag assignee">停用</span>'
+                : (user.mustChangePassword ? '<span class="card-tag">待變更密碼</span>' : '<span class="card-tag type">啟用</span>');
+            const lineTag = user.lineUserId ? ' <span class="card-tag" title="已綁定 LINE">LINE</span>' : '';
+            return `<tr>
+                <td data-label="帳號"><strong>${u}</strong></td>
+                <td data-label="顯示名稱">${this._escape(user.displayName)}</td>
+                <td data-label="角色">${this._escape(this._roleLabel(user.role))}</td>
+                <td data-label="主管">${user.manager ? this._escape(nameOf(user.manager)) : '-'}</td>
+                <td data-label="狀態">${status}${lineTag}</td>
+                <td data-label="最後登入">${user.lastLogin ? formatDateTime(user.lastLogin) : '從未登入'}</td>
+                <td data-label="操作">
+                    <div class="action-buttons-container">
+                        <button class="action-btn small warn" data-action="edit" data-username="${u}">✏️ 編輯</button>
+                        <button class="action-btn small secondary" data-action="toggle-disabled" data-username="${u}">${user.disabled ? '啟用' : '停用'}</button>
+                        <button class="action-btn small secondary" data-action="reset-password" data-username="${u}">🔑 重設密碼</button>
+                        ${user.lineUserId ? `<button class="action-btn small secondary" data-action="unlink-line" data-username="${u}">解除 LINE 綁定</button>` : ''}
+                        <button class="action-btn small danger" data-action="delete" data-username="${u}">🗑️ 刪除</button>
+                    </div>
+                </td>
+            </tr>`;
+        }).join('');
+
+        list.innerHTML = `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>帳號</th><th>顯示名稱</th><th>角色</th><th>主管</th><th>狀態</th><th>最後登入</th><th>操作</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderModal: function() {
+        return `
+            <div id="${this.modalId}" class="modal">
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title" id="user-admin-modal-title">新增使用者</h2>
+                        <button class="close-btn" onclick="closeModal('${this.modalId}')">&times;</button>
+                    </div>
+                    <form id="user-admin-form">
+                        <div class="form-group">
+                            <label for="user-admin-username" class="form-label">帳號 *</label>
+                            <input type="text" id="user-admin-username" class="form-input" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="user-admin-display-name" class="form-label">顯示名稱 (與「團隊成員」/ 負責業務一致)</label>
+                            <input type="text" id="user-admin-display-name" class="form-input">
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="user-admin-role" class="form-label">角色</label>
+                                <div class="select-wrapper"><select id="user-admin-role" class="form-select"></select></div>
+                            </div>
+                            <div class="form-group">
+                                <label for="user-admin-manager" class="form-label">主管</label>
+                                <div class="select-wrapper"><select id="user-admin-manager" class="form-select"></select></div>
+                            </div>
+                        </div>
+                        <div class="form-group" id="user-admin-password-group">
+                            <label for="user-admin-password" class="form-label">初始密碼 (留白則產生臨時密碼)</label>
+                            <input type="password" id="user-admin-password" class="form-input" autocomplete="new-password">
+                        </div>
+                        <button type="submit" class="submit-btn">儲存</button>
+                    </form>
+                </div>
+            </div>
+        `;
+    },
+
+    _openModal: function(user = null) {
+        this.editingUsername = user ? user.username : null;
+        document.getElementById('user-admin-form').reset();
+        document.getElementById('user-admin-modal-title').textContent = user ? `編輯使用者 - ${user.username}` : '新增使用者';
+
+        const usernameInput = document.getElementById('user-admin-username');
+        usernameInput.value = user ? user.username : '';
+        usernameInput.disabled = !!user;
+        document.getElementById('user-admin-display-name').value = user ? user.displayName : '';
+        document.getElementById('user-admin-password-group').style.display = user ? 'none' : '';
+
+        const roleSelect = document.getElementById('user-admin-role');
+        roleSelect.innerHTML = this.roles
+            .map(role => `<option value="${this._escape(role)}">${this._escape(this._roleLabel(role))} (${this._escape(role)})</option>`)
+            .join('');
+        roleSelect.value = user ? user.role : 'sales';
+
+        const managerSelect = document.getElementById('user-admin-manager');
+        managerSelect.innerHTML = '<option value="">(無)</option>' + this.users
+            .filter(u => !user || u.username !== user.username)
+            .map(u => `<option value="${this._escape(u.username)}">${this._escape(u.displayName)} (${this._escape(u.username)})</option>`)
+            .join('');
+        managerSelect.value = user ? user.manager : '';
+
+        showModal(this.modalId);
+    },
+
+    _handleClick: function(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        const user = this.users.find(u => u.username === btn.dataset.username);
+
+        switch (btn.dataset.action) {
+            case 'create':
+                this._openModal();
+                break;
+            case 'edit':
+                if (user) this._openModal(user);
+                break;
+            case 'toggle-disabled':
+                if (user) this._toggleDisabled(user);
+                break;
+            case 'reset-password':
+                if (user) this._resetPassword(user);
+                break;
+            case 'unlink-line':
+                if (user) this._unlinkLine(user);
+                break;
+            case 'delete':
+                if (user) this._delete(user);
+                break;
+        }
+    },
+
+    _handleSubmit: async function(e) {
+        e.preventDefault();
+        const data = {
+            displayName: document.getElementById('user-admin-display-name').value.trim(),
+            role: document.getElementById('user-admin-role').value,
+            manager: document.getElementById('user-admin-manager').value
+        };
+
+        showLoading('正在儲存...');
+        try {
+            let result;
+            if (this.editingUsername) {
+                result = await authedFetch(`/api/admin/users/${encodeURIComponent(this.editingUsername)}`, {
+                    method: 'PUT', body: JSON.stringify(data), skipRefresh: true
+                });
+            } else {
+                data.username = document.getElementById('user-admin-username').value.trim();
+                data.password = document.getElementById('user-admin-password').value;
+                result = await authedFetch('/api/admin/users', {
+                    method: 'POST', body: JSON.stringify(data), skipRefresh: true
+                });
+            }
+            closeModal(this.modalId);
+            this._showTemporaryPassword(data.username, result.temporaryPassword);
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[UserAdmin] 儲存失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _toggleDisabled: function(user) {
+        const action = user.disabled ? '啟用' : '停用';
+        showConfirmDialog(`確定要${action}帳號 ${user.username} 嗎？`, async () => {
+            showLoading(`正在${action}...`);
+            try {
+                await authedFetch(`/api/admin/users/${encodeURIComponent(user.username)}`, {
+                    method: 'PUT', body: JSON.stringify({ disabled: !user.disabled }), skipRefresh: true
+                });
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[UserAdmin] 更新狀態失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    _resetPassword: function(user) {
+        showConfirmDialog(`確定要重設 ${user.username} 的密碼嗎？系統會產生臨時密碼，使用者下次登入須先變更密碼。`, async () => {
+            showLoading('正在重設密碼...');
+            try {
+                const result = await authedFetch(`/api/admin/users/${encodeURIComponent(user.username)}/reset-password`, {
+                    method: 'POST', body: JSON.stringify({}), skipRefresh: true
+                });
+                this._showTemporaryPassword(user.username, result.temporaryPassword);
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[UserAdmin] 重設密碼失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    _unlinkLine: function(user) {
+        showConfirmDialog(`確定要解除 ${user.username} 的 LINE 綁定嗎？該使用者需在 LINE 重新綁定後才能使用名片功能。`, async () => {
+            showLoading('正在解除綁定...');
+            try {
+                await authedFetch(`/api/admin/users/${encodeURIComponent(user.username)}`, {
+                    method: 'PUT', body: JSON.stringify({ lineUserId: '' }), skipRefresh: true
+                });
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[UserAdmin] 解除 LINE 綁定失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    _delete: function(user) {
+        showConfirmDialog(`確定要刪除帳號 ${user.username} 嗎？此操作無法復原 (如只是暫停使用，請改用「停用」)。`, async () => {
+            showLoading('正在刪除...');
+            try {
+                await authedFetch(`/api/admin/users/${encodeURIComponent(user.username)}`, { method: 'DELETE', skipRefresh: true });
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[UserAdmin] 刪除失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    // 臨時密碼只會回傳一次，留在頁面上直到管理員關閉
+    _showTemporaryPassword: function(username, temporaryPassword) {
+        const notice = document.getElementById('user-admin-notice');
+        if (!notice || !temporaryPassword) return;
+        notice.innerHTML = `
+            <div class="alert alert-info" style="display:flex; justify-content:space-between; align-items:center; margin-bottom: 12px;">
+                <span>${this._escape(username)} 的臨時密碼：<code style="font-size:1.1rem; user-select:all;">${this._escape(temporaryPassword)}</code>（僅顯示一次，請交給使用者，首次登入後須變更密碼）</span>
+                <button class="action-btn small secondary" onclick="document.getElementById('user-admin-notice').innerHTML='';">關閉</button>
+            </div>
+        `;
+    }
+};
+
+window.UserAdminPage = UserAdminPage;
+
+if (window.CRM_APP) window.CRM_APP.pageModules['users'] = () => UserAdminPage.init();
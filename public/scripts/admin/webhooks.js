@@ -0,0 +1,333 @@
+// public/scripts/admin/webhooks.js
+// 職責：對外 Webhook 訂閱頁 (#webhooks)，資料來源 /api/admin/webhooks (需 webhook:manage 權限)
+// 簽章密鑰只在建立 / 重新產生時顯示一次；寫入皆使用 skipRefresh 自行重繪。
+
+const WebhooksPage = {
+    containerId: 'page-webhooks',
+    modalId: 'webhook-modal',
+    deliveriesModalId: 'webhook-deliveries-modal',
+    webhooks: [],
+    eventTypes: [],
+    editingId: null,
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    init: async function() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <h2 class="widget-title">Webhook 訂閱</h2>
+                    <button class="action-btn primary" data-action="create">＋ 新增訂閱</button>
+                </div>
+                <p style="color: var(--text-muted); margin: 0 0 12px 0;">
+                    CRM 資料異動時以 POST 推送 JSON 至指定網址。接收端請以密鑰驗證
+                    <code>X-CRM-Signature</code> (HMAC-SHA256，內容為 <code>X-CRM-Timestamp.body</code>)，
+                    並以 <code>X-CRM-Delivery</code> 去除重送造成的重複事件。
+                </p>
+                <div id="webhook-notice"></div>
+                <div id="webhook-list" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>載入訂閱中...</p></div>
+                </div>
+            </div>
+            ${this._renderModals()}
+        `;
+
+        // 頁面可能因資料同步重新初始化，委派事件只綁定一次
+        if (!this._onClick) this._onClick = (e) => this._handleClick(e);
+        container.removeEventListener('click', this._onClick);
+        container.addEventListener('click', this._onClick);
+        document.getElementById('webhook-form').addEventListener('submit', (e) => this._handleSubmit(e));
+
+        await this.loadData();
+    },
+
+    loadData: async function() {
+        const list = document.getElementById('webhook-list');
+        try {
+            const result = await authedFetch('/api/admin/webhooks');
+            if (!result.success) throw new Error(result.error);
+            this.webhooks = result.data || [];
+            this.eventTypes = result.eventTypes || [];
+            this.render();
+        } catch (error) {
+            if (error.message !== 'Unauthorized' && list) {
+                list.innerHTML = `<div class="alert alert-error">載入訂閱失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function() {
+        const list = document.getElementById('webhook-list');
+        if (!list) return;
+
+        if (this.webhooks.length === 0) {
+            list.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚未建立任何 Webhook 訂閱</div>';
+            return;
+        }
+
+        const rows = this.webhooks.map(webhook => {
+            const id = this._escape(webhook.webhookId);
+            const last = webhook.lastDelivery;
+            const lastText = last
+                ? `${this._deliveryStatusTag(last.status)} ${formatDateTime(last.time)}`
+                : '尚未傳送';
+            return `<tr>
+                <td data-label="名稱"><strong>${this._escape(webhook.name)}</strong><br><code>${this._escape(webhook.secretHint)}</code></td>
+                <td data-label="網址" style="word-break:break-all;">${this._escape(webhook.url)}</td>
+                <td data-label="事件">${webhook.eventTypes.map(type => `<span class="card-tag">${this._escape(type)}</span>`).join(' ')}</td>
+                <td data-label="狀態">${webhook.enabled ? '<span class="card-tag type">啟用</span>' : '<span class="card-tag">停用</span>'}</td>
+                <td data-label="最近傳送">${lastText}</td>
+                <td data-label="操作" style="white-space:nowrap;">
+                    <button class="action-btn small secondary" data-action="edit" data-webhook-id="${id}">編輯</button>
+                    <button class="action-btn small secondary" data-action="test" data-webhook-id="${id}">測試</button>
+                    <button class="action-btn small secondary" data-action="deliveries" data-webhook-id="${id}">紀錄</button>
+                    <button class="action-btn small secondary" data-action="rotate" data-webhook-id="${id}">重設密鑰</button>
+                    <button class="action-btn small danger" data-action="delete" data-webhook-id="${id}">刪除</button>
+                </td>
+            </tr>`;
+        }).join('');
+
+        list.innerHTML = `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>名稱</th><th>網址</th><th>事件</th><th>狀態</th><th>最近傳送</th><th>操作</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _deliveryStatusTag: function(status) {
+        const tags = {
+            success: '<span class="card-tag type">成功</span>',
+            retrying: '<span class="card-tag">重送中</span>',
+            failed: '<span class="card-tag assignee">失敗</span>'
+        };
+        return tags[status] || this._escape(status);
+    },
+
+    _renderModals: function() {
+        return `
+            <div id="${this.modalId}" class="modal">
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title" id="webhook-modal-title">新增 Webhook 訂閱</h2>
+                        <button class="close-btn" onclick="closeModal('${this.modalId}')">&times;</button>
+                    </div>
+                    <form id="webhook-form">
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="webhook-name" class="form-label">名稱 * (例如：ERP 訂單同步)</label>
+                                <input type="text" id="webhook-name" class="form-input" maxlength="60" required>
+                            </div>
+                            <div class="form-group">
+                                <label class="form-label" for="webhook-enabled">狀態</label>
+                                <label style="display:flex; gap:6px; align-items:center;">
+                                    <input type="checkbox" id="webhook-enabled" checked> 啟用
+                                </label>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="webhook-url" class="form-label">接收網址 * (http:// 或 https://)</label>
+                            <input type="url" id="webhook-url" class="form-input" required>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">事件類型 *</label>
+                            <div id="webhook-event-types" style="max-height: 280px; overflow-y: auto; display: grid; grid-template-columns: 1fr 1fr; gap: 4px 12px;"></div>
+                        </div>
+                        <button type="submit" class="submit-btn">儲存</button>
+                    </form>
+                </div>
+            </div>
+            <div id="${this.deliveriesModalId}" class="modal">
+                <div class="modal-content" style="max-width: 860px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">傳送紀錄</h2>
+                        <button class="close-btn" onclick="closeModal('${this.deliveriesModalId}')">&times;</button>
+                    </div>
+                    <div id="webhook-deliveries"></div>
+                </div>
+            </div>
+        `;
+    },
+
+    _openModal: function(webhook) {
+        this.editingId = webhook ? webhook.webhookId : null;
+        const selected = new Set(webhook ? webhook.eventTypes : []);
+
+        document.getElementById('webhook-form').reset();
+        document.getElementById('webhook-modal-title').textContent = webhook ? '編輯 Webhook 訂閱' : '新增 Webhook 訂閱';
+        document.getElementById('webhook-name').value = webhook ? webhook.name : '';
+        document.getElementById('webhook-url').value = webhook ? webhook.url : '';
+        document.getElementById('webhook-enabled').checked = webhook ? webhook.enabled : true;
+        document.getElementById('webhook-event-types').innerHTML = this.eventTypes.map(item => `
+            <label style="display:flex; gap:6px; align-items:flex-start; font-size:0.9rem;">
+                <input type="checkbox" name="webhook-event-type" value="${this._escape(item.type)}" ${selected.has(item.type) ? 'checked' : ''}>
+                <span>${this._escape(item.description)}<br><code style="font-size:0.8rem;">${this._escape(item.type)}</code></span>
+            </label>
+        `).join('');
+        showModal(this.modalId);
+    },
+
+    _handleClick: function(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        const webhook = this.webhooks.find(w => w.webhookId === btn.dataset.webhookId);
+        switch (btn.dataset.action) {
+            case 'create':
+                this._openModal(null);
+                break;
+            case 'edit':
+                if (webhook) this._openModal(webhook);
+                break;
+            case 'test':
+                if (webhook) this._sendTest(webhook);
+                break;
+            case 'deliveries':
+                if (webhook) this._showDeliveries(webhook);
+                break;
+            case 'rotate':
+                if (webhook) this._rotateSecret(webhook);
+                break;
+            case 'delete':
+                if (webhook) this._delete(webhook);
+                break;
+        }
+    },
+
+    _handleSubmit: async function(e) {
+        e.preventDefault();
+        const eventTypes = Array.from(document.querySelectorAll('input[name="webhook-event-type"]:checked')).map(el => el.value);
+        if (eventTypes.length === 0) {
+            showNotification('請至少選擇一種事件類型', 'warning');
+            return;
+        }
+
+        const payload = {
+            name: document.getElementById('webhook-name').value.trim(),
+            url: document.getElementById('webhook-url').value.trim(),
+            enabled: document.getElementById('webhook-enabled').checked,
+            eventTypes
+        };
+
+        showLoading('正在儲存訂閱...');
+        try {
+            if (this.editingId) {
+                await authedFetch(`/api/admin/webhooks/${encodeURIComponent(this.editingId)}`, {
+                    method: 'PUT', body: JSON.stringify(payload), skipRefresh: true
+                });
+            } else {
+                const result = await authedFetch('/api/admin/webhooks', {
+                    method: 'POST', body: JSON.stringify(payload), skipRefresh: true
+                });
+                this._showSecret(result.data.name, result.secret);
+            }
+            closeModal(this.modalId);
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Webhooks] 儲存失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _sendTest: async function(webhook) {
+        showLoading('正在送出測試事件...');
+        try {
+            const result = await authedFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.webhookId)}/test`, {
+                method: 'POST', skipRefresh: true
+            });
+            const delivery = result.data;
+            if (delivery.status === 'success') {
+                showNotification(`測試成功 (HTTP ${delivery.httpStatus}，${delivery.durationMs}ms)`, 'success');
+            } else {
+                showNotification(`測試失敗：${delivery.error || `HTTP ${delivery.httpStatus}`}`, 'error');
+            }
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Webhooks] 測試失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _showDeliveries: async function(webhook) {
+        const target = document.getElementById('webhook-deliveries');
+        target.innerHTML = '<div class="loading show"><div class="spinner"></div><p>載入紀錄中...</p></div>';
+        showModal(this.deliveriesModalId);
+
+        try {
+            const result = await authedFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.webhookId)}/deliveries`);
+            const deliveries = result.data || [];
+            if (deliveries.length === 0) {
+                target.innerHTML = '<div class="alert alert-info" style="text-align:center;">尚無傳送紀錄</div>';
+                return;
+            }
+            const rows = deliveries.map(d => `<tr>
+                    <td data-label="時間">${formatDateTime(d.time)}</td>
+                    <td data-label="事件"><code>${this._escape(d.eventType)}</code><br><small>${this._escape(d.eventId)}</small></td>
+                    <td data-label="次數">${d.attempt}</td>
+                    <td data-label="結果">${this._deliveryStatusTag(d.status)}</td>
+                    <td data-label="HTTP">${d.httpStatus || '-'}</td>
+                    <td data-label="錯誤">${this._escape(d.error) || '-'}</td>
+                    <td data-label="耗時">${d.durationMs}ms</td>
+                </tr>`).join('');
+            target.innerHTML = `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+                <th>時間</th><th>事件</th><th>次數</th><th>結果</th><th>HTTP</th><th>錯誤</th><th>耗時</th>
+                </tr></thead><tbody>${rows}</tbody></table></div>`;
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                target.innerHTML = `<div class="alert alert-error">載入紀錄失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    _rotateSecret: function(webhook) {
+        showConfirmDialog(`確定要重設「${webhook.name}」的簽章密鑰嗎？舊密鑰將立即失效，接收端需同步更新。`, async () => {
+            showLoading('正在重設密鑰...');
+            try {
+                const result = await authedFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.webhookId)}/rotate-secret`, {
+                    method: 'POST', skipRefresh: true
+                });
+                this._showSecret(webhook.name, result.secret);
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[Webhooks] 重設密鑰失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    _delete: function(webhook) {
+        showConfirmDialog(`確定要刪除訂閱「${webhook.name}」嗎？尚未完成的重送也會一併停止。`, async () => {
+            showLoading('正在刪除...');
+            try {
+                await authedFetch(`/api/admin/webhooks/${encodeURIComponent(webhook.webhookId)}`, { method: 'DELETE', skipRefresh: true });
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[Webhooks] 刪除失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    },
+
+    // 密鑰只會回傳一次，留在頁面上直到使用者關閉
+    _showSecret: function(name, secret) {
+        const notice = document.getElementById('webhook-notice');
+        if (!notice || !secret) return;
+        notice.innerHTML = `
+            <div class="alert alert-info" style="display:flex; justify-content:space-between; align-items:center; gap: 12px; margin-bottom: 12px;">
+                <span>「${this._escape(name)}」的簽章密鑰：<code style="font-size:1rem; user-select:all; word-break:break-all;">${this._escape(secret)}</code><br>（僅顯示一次，請設定至接收端後妥善保存）</span>
+                <button class="action-btn small secondary" onclick="document.getElementById('webhook-notice').innerHTML='';">關閉</button>
+            </div>
+        `;
+    }
+};
+
+window.WebhooksPage = WebhooksPage;
+
+if (window.CRM_APP) window.CRM_APP.pageModules['webhooks'] = () => WebhooksPage.init();
@@ -1,7 +1,7 @@
 /**
  * public/scripts/companies/companies.js
  * 職責：載入公司詳細資料頁的數據，並協調UI渲染與事件綁定模組
- * * @version 7.4.0 (Restored from 0109)
+ * * @version 7.5.0 (Restored from 0109)
  * * @description 嚴格還原 0109 版本的主控制器邏輯。
  */
 
@@ -53,6 +53,11 @@ async function loadCompanyDetailsPage(encodedCompanyName) {
                 <div class="widget-header"><h2 class="widget-title">潛在聯絡人 (${potentialContacts.length})</h2></div>
                 <div id="potential-contacts-container" class="widget-content"></div>
             </div>
+
+            <div class="dashboard-widget grid-col-12" style="margin-top: var(--spacing-6);">
+                <div class="widget-header"><h2 class="widget-title">變更紀錄</h2></div>
+                <div id="company-audit-history" class="widget-content"></div>
+            </div>
         `;
         
         // 3. 初始化並渲染各個模組
@@ -71,6 +76,10 @@ async function loadCompanyDetailsPage(encodedCompanyName) {
             });
         }
 
+        if (window.AuditHistory) {
+            AuditHistory.load('#company-audit-history', 'company', companyInfo.companyId);
+        }
+
         // 4. 綁定所有互動事件 (0109 邏輯)
         if (typeof initializeCompanyEventListeners === 'function') {
             initializeCompanyEventListeners(companyInfo);
@@ -0,0 +1,85 @@
+// public/scripts/components/audit-history.js
+// 職責：渲染實體的「變更紀錄」列表 (資料來源：GET /api/audit)
+
+const AuditHistory = (() => {
+    const ACTION_LABELS = {
+        create: { text: '建立', color: 'var(--accent-green, #16a34a)' },
+        update: { text: '更新', color: 'var(--accent-blue, #2563eb)' },
+        delete: { text: '刪除', color: 'var(--accent-red, #dc2626)' }
+    };
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    function _formatTime(raw) {
+        return (typeof formatDateTime === 'function') ? formatDateTime(raw) : raw;
+    }
+
+    function _renderValue(value) {
+        if (value === '' || value === null || value === undefined) {
+            return '<span style="color: var(--text-muted);">(空白)</span>';
+        }
+        return escapeHtml(value);
+    }
+
+    function _renderTable(logs) {
+        if (!logs.length) {
+            return '<div class="alert alert-info" style="text-align:center;">尚無變更紀錄</div>';
+        }
+
+        const rows = logs.map(log => {
+            const action = ACTION_LABELS[log.action] || { text: log.action, color: 'var(--text-secondary)' };
+            const change = log.field
+                ? `${_renderValue(log.oldValue)} <span style="color: var(--text-muted);">→</span> ${_renderValue(log.newValue)}`
+                : '';
+            return `<tr>
+                <td style="white-space: nowrap;">${escapeHtml(_formatTime(log.timestamp))}</td>
+                <td><span style="color: ${action.color}; font-weight: 600;">${escapeHtml(action.text)}</span></td>
+                <td>${escapeHtml(log.field || '-')}</td>
+                <td style="word-break: break-word;">${change}</td>
+                <td>${escapeHtml(log.actor || '系統')}</td>
+            </tr>`;
+        }).join('');
+
+        return `<table class="data-table">
+            <thead><tr><th>時間</th><th>動作</th><th>欄位</th><th>變更內容</th><th>操作者</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    }
+
+    /**
+     * 載入並渲染指定實體的變更紀錄
+     * @param {HTMLElement|string} container - 容器元素或選擇器
+     * @param {string} entity - 實體類型 (opportunity / company ...)
+     * @param {string} id - 實體 ID
+     */
+    async function load(container, entity, id) {
+        const target = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!target || !entity || !id) return;
+
+        target.innerHTML = '<div class="loading show"><div class="spinner"></div><p>載入變更紀錄中...</p></div>';
+
+        try {
+            const params = new URLSearchParams({ entity, id });
+            const result = await authedFetch(`/api/audit?${params.toString()}`);
+            if (!result.success) throw new Error(result.error || '無法載入變更紀錄');
+            target.innerHTML = _renderTable(result.data || []);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                console.error('[AuditHistory] 載入失敗:', error);
+                target.innerHTML = `<div class="alert alert-error">載入變更紀錄失敗: ${escapeHtml(error.message)}</div>`;
+            }
+        }
+    }
+
+    return { load };
+})();
+
+window.AuditHistory = AuditHistory;
@@ -0,0 +1,336 @@
+// public/scripts/components/notification-center.js
+// 職責：頁首通知鈴 (未讀數徽章) 與通知中心視窗，資料來源 /api/notifications；點選通知標為已讀並開啟相關機會
+// 追蹤提醒可直接「延後 7 天」；通知設定視窗可選擇摘要頻率、LINE / Email 外送管道並取消延後中的提醒。
+// 通知由排程產生，不經 ChangeStream 推送，未讀數每 5 分鐘輪詢一次 (分頁隱藏時略過)。
+
+const NotificationCenter = {
+    listModalId: 'notification-center-modal',
+    settingsModalId: 'notification-settings-modal',
+    POLL_MS: 5 * 60 * 1000,
+    SNOOZE_DAYS: 7,
+    DIGEST_LABELS: { immediate: '即時', daily: '每日摘要 (08:00)', weekly: '每週摘要 (週一 08:00)', off: '不外送 (僅站內通知)' },
+    FOLLOW_UP_TYPES: ['followUp.stale', 'followUp.closeDatePassed'],
+    notifications: [],
+    unreadCount: 0,
+    _pollTimer: null,
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    init: function() {
+        if (!window.CRM_APP.hasPermission || !window.CRM_APP.hasPermission('notification:read')) return;
+        if (document.getElementById('notification-bell')) return;
+
+        const actions = document.querySelector('.header-actions');
+        if (!actions) return;
+
+        const bell = document.createElement('button');
+        bell.id = 'notification-bell';
+        bell.className = 'action-btn secondary';
+        bell.title = '通知';
+        bell.style.position = 'relative';
+        bell.innerHTML = `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="width:16px; height:16px;"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path><path d="M13.73 21a2 2 0 0 1-3.46 0"></path></svg>
+            <span id="notification-badge" style="display:none; position:absolute; top:-6px; right:-6px; min-width:18px; padding:0 5px; border-radius:9px; background: var(--accent-red, #dc2626); color:#fff; font-size:0.7rem; line-height:18px; text-align:center;"></span>
+        `;
+        bell.addEventListener('click', () => this.open());
+        actions.insertBefore(bell, actions.firstChild);
+
+        document.body.insertAdjacentHTML('beforeend', this._renderModals());
+        document.getElementById(this.listModalId).addEventListener('click', (e) => this._handleClick(e));
+        document.getElementById(this.settingsModalId).addEventListener('click', (e) => this._handleClick(e));
+        document.getElementById('notification-settings-form').addEventListener('submit', (e) => this._handleSettingsSubmit(e));
+
+        this.refreshCount();
+        this._pollTimer = setInterval(() => {
+            if (!document.hidden) this.refreshCount();
+        }, this.POLL_MS);
+    },
+
+    refreshCount: async function() {
+        try {
+            const result = await authedFetch('/api/notifications?unread=true');
+            if (!result.success) throw new Error(result.error);
+            this._setBadge(result.unreadCount || 0);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.warn('[Notifications] 讀取未讀數失敗:', error);
+        }
+    },
+
+    open: async function() {
+        showModal(this.listModalId);
+        await this.loadData();
+    },
+
+    loadData: async function() {
+        const list = document.getElementById('notification-list');
+        if (list) list.innerHTML = '<div class="loading show"><div class="spinner"></div><p>載入通知中...</p></div>';
+        try {
+            const result = await authedFetch('/api/notifications');
+            if (!result.success) throw new Error(result.error);
+            this.notifications = result.data || [];
+            this._setBadge(result.unreadCount || 0);
+            this.render();
+        } catch (error) {
+            if (error.message !== 'Unauthorized' && list) {
+                list.innerHTML = `<div class="alert alert-error">載入通知失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function() {
+        const list = document.getElementById('notification-list');
+        if (!list) return;
+
+        if (this.notifications.length === 0) {
+            list.innerHTML = '<div class="alert alert-info" style="text-align:center;">目前沒有通知</div>';
+            return;
+        }
+
+        list.innerHTML = this.notifications.map(n => {
+            const id = this._escape(n.notificationId);
+            const snooze = this.FOLLOW_UP_TYPES.includes(n.type) && n.opportunityId
+                ? `<button class="action-btn small secondary" data-action="snooze" data-notification-id="${id}">延後 ${this.SNOOZE_DAYS} 天</button>`
+                : '';
+            const markRead = n.isRead ? '' : `<button class="action-btn small secondary" data-action="read" data-notification-id="${id}">標為已讀</button>`;
+            return `
+                <div data-action="open" data-notification-id="${id}" style="display:flex; gap:12px; align-items:flex-start; padding:10px 12px; border-bottom:1px solid var(--border-color); cursor:pointer; ${n.isRead ? 'opacity:0.65;' : ''}">
+                    <span style="flex:none; width:8px; height:8px; margin-top:7px; border-radius:50%; background:${n.isRead ? 'transparent' : 'var(--accent-blue, #2563eb)'};"></span>
+                    <div style="flex:1; min-width:0;">
+                        <div style="${n.isRead ? '' : 'font-weight:600;'}">${this._escape(n.title)}</div>
+                        ${n.message ? `<div style="font-size:0.85rem; color: var(--text-secondary);">${this._escape(n.message)}</div>` : ''}
+                        <small style="color: var(--text-muted);">${this._escape(formatDateTime(n.createTime))}</small>
+                    </div>
+                    <div style="display:flex; gap:6px; flex:none;">${markRead}${snooze}</div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    _setBadge: function(count) {
+        this.unreadCount = count;
+        const badge = document.getElementById('notification-badge');
+        if (!badge) return;
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    },
+
+    _renderModals: function() {
+        const digestOptions = Object.entries(this.DIGEST_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+        return `
+            <div id="${this.listModalId}" class="modal">
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">通知</h2>
+                        <button class="close-btn" onclick="closeModal('${this.listModalId}')">&times;</button>
+                    </div>
+                    <div style="display:flex; gap:8px; justify-content:flex-end; margin-bottom:0.75rem;">
+                        <button class="action-btn small secondary" data-action="read-all">全部標為已讀</button>
+                        <button class="action-btn small secondary" data-action="settings">通知設定</button>
+                    </div>
+                    <div id="notification-list" style="max-height: 60vh; overflow-y: auto;"></div>
+                </div>
+            </div>
+            <div id="${this.settingsModalId}" class="modal">
+                <div class="modal-content" style="max-width: 520px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title">通知設定</h2>
+                        <button class="close-btn" onclick="closeModal('${this.settingsModalId}')">&times;</button>
+                    </div>
+                    <form id="notification-settings-form">
+                        <div class="form-group">
+                            <label for="notification-digest" class="form-label">外送頻率</label>
+                            <div class="select-wrapper">
+                                <select id="notification-digest" class="form-select">${digestOptions}</select>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">外送管道</label>
+                            <label style="display:flex; gap:6px; align-items:center;">
+                                <input type="checkbox" id="notification-channel-line" value="line"> LINE <small id="notification-line-hint" style="color: var(--text-muted);"></small>
+                            </label>
+                            <label style="display:flex; gap:6px; align-items:center;">
+                                <input type="checkbox" id="notification-channel-email" value="email"> Email <small id="notification-email-hint" style="color: var(--text-muted);"></small>
+                            </label>
+                        </div>
+                        <div class="form-group">
+                            <label for="notification-email" class="form-label">Email</label>
+                            <input type="email" id="notification-email" class="form-input" maxlength="200">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">延後中的追蹤提醒</label>
+                            <div id="notification-snoozes"></div>
+                        </div>
+                        <button type="submit" class="submit-btn">儲存</button>
+                    </form>
+                </div>
+            </div>
+        `;
+    },
+
+    _openSettings: async function() {
+        showLoading('載入通知設定...');
+        try {
+            const [prefResult, snoozeResult] = await Promise.all([
+                authedFetch('/api/notifications/preferences'),
+                authedFetch('/api/notifications/snoozes')
+            ]);
+            if (!prefResult.success) throw new Error(prefResult.error);
+            const pref = prefResult.data;
+            const available = pref.availableChannels || {};
+
+            document.getElementById('notification-digest').value = pref.digest;
+            document.getElementById('notification-email').value = pref.email || '';
+
+            const line = document.getElementById('notification-channel-line');
+            const lineUsable = available.line && pref.lineBound;
+            line.checked = pref.channels.includes('line');
+            line.disabled = !lineUsable && !line.checked;
+            document.getElementById('notification-line-hint').textContent =
+                !available.line ? '(系統未設定)' : (!pref.lineBound ? '(帳號尚未綁定 LINE)' : '');
+
+            const email = document.getElementById('notification-channel-email');
+            email.checked = pref.channels.includes('email');
+            email.disabled = !available.email && !email.checked;
+            document.getElementById('notification-email-hint').textContent = available.email ? '' : '(系統未設定)';
+
+            this._renderSnoozes(snoozeResult.success ? snoozeResult.data : []);
+            showModal(this.settingsModalId);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Notifications] 載入通知設定失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _renderSnoozes: function(snoozes) {
+        const container = document.getElementById('notification-snoozes');
+        if (!container) return;
+        if (!snoozes.length) {
+            container.innerHTML = '<small style="color: var(--text-muted);">沒有延後中的提醒</small>';
+            return;
+        }
+        container.innerHTML = snoozes.map(s => `
+            <div style="display:flex; justify-content:space-between; align-items:center; gap:8px; padding:4px 0;">
+                <span>${this._escape(s.opportunityName || s.opportunityId)} <small style="color: var(--text-muted);">至 ${this._escape(s.until)}</small></span>
+                <button type="button" class="action-btn small secondary" data-action="unsnooze" data-opportunity-id="${this._escape(s.opportunityId)}">取消延後</button>
+            </div>
+        `).join('');
+    },
+
+    _handleClick: function(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const notification = this.notifications.find(n => n.notificationId === btn.dataset.notificationId);
+        switch (btn.dataset.action) {
+            case 'open':
+                if (notification) this._openNotification(notification);
+                break;
+            case 'read':
+                if (notification) this._markRead(notification).then(() => this.render());
+                break;
+            case 'snooze':
+                if (notification) this._snooze(notification);
+                break;
+            case 'read-all':
+                this._markAllRead();
+                break;
+            case 'settings':
+                this._openSettings();
+                break;
+            case 'unsnooze':
+                this._unsnooze(btn.dataset.opportunityId);
+                break;
+        }
+    },
+
+    _openNotification: async function(notification) {
+        if (!notification.isRead) await this._markRead(notification);
+        if (notification.opportunityId) {
+            closeModal(this.listModalId);
+            CRM_APP.navigateTo('opportunity-details', { opportunityId: notification.opportunityId });
+        } else {
+            this.render();
+        }
+    },
+
+    _markRead: async function(notification) {
+        try {
+            await authedFetch(`/api/notifications/${encodeURIComponent(notification.notificationId)}/read`, {
+                method: 'POST', skipRefresh: true
+            });
+            notification.isRead = true;
+            this._setBadge(Math.max(0, this.unreadCount - 1));
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Notifications] 標為已讀失敗:', error);
+        }
+    },
+
+    _markAllRead: async function() {
+        try {
+            await authedFetch('/api/notifications/read-all', { method: 'POST', skipRefresh: true });
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Notifications] 全部標為已讀失敗:', error);
+        }
+    },
+
+    _snooze: async function(notification) {
+        showLoading('正在延後提醒...');
+        try {
+            const result = await authedFetch(`/api/notifications/snoozes/${encodeURIComponent(notification.opportunityId)}`, {
+                method: 'PUT', body: JSON.stringify({ days: this.SNOOZE_DAYS }), skipRefresh: true
+            });
+            if (result.success) showNotification(`已延後提醒至 ${result.data.until}`, 'success');
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Notifications] 延後提醒失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _unsnooze: async function(opportunityId) {
+        try {
+            await authedFetch(`/api/notifications/snoozes/${encodeURIComponent(opportunityId)}`, { method: 'DELETE', skipRefresh: true });
+            const result = await authedFetch('/api/notifications/snoozes');
+            this._renderSnoozes(result.success ? result.data : []);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Notifications] 取消延後失敗:', error);
+        }
+    },
+
+    _handleSettingsSubmit: async function(e) {
+        e.preventDefault();
+        const channels = ['line', 'email'].filter(channel => document.getElementById(`notification-channel-${channel}`).checked);
+        const payload = {
+            digest: document.getElementById('notification-digest').value,
+            channels,
+            email: document.getElementById('notification-email').value.trim()
+        };
+
+        showLoading('正在儲存通知設定...');
+        try {
+            const result = await authedFetch('/api/notifications/preferences', {
+                method: 'PUT', body: JSON.stringify(payload), skipRefresh: true
+            });
+            if (result.success) {
+                closeModal(this.settingsModalId);
+                showNotification('通知設定已儲存', 'success');
+            }
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Notifications] 儲存設定失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    }
+};
+
+window.NotificationCenter = NotificationCenter;
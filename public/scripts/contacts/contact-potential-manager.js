@@ -106,7 +106,7 @@ const PotentialContactsManager = (() => {
         showConfirmDialog(confirmMsg, async () => {
             showLoading('正在建立聯絡人檔案...');
             try {
-                const result = await authedFetch(`/api/contacts/${contactData.rowIndex}/file`, {
+                const result = await authedFetch(`/api/contacts/potential/${encodeURIComponent(contactData.contactId)}/file`, {
                     method: 'POST'
                 });
                 
@@ -0,0 +1,208 @@
+// public/scripts/core/change-stream.js
+// 職責：連線 /api/stream (Server-Sent Events) 接收資料異動通知 { entity, id, action, actor }，交給目前頁面局部更新
+// 以 fetch 讀取串流 (可帶 Authorization 標頭，Token 不出現在網址)；連線中暫停 SmartPolling，斷線期間恢復狀態輪詢。
+// 頁面以 ChangeStream.register(pageName, handler) 註冊；未註冊的頁面在相關資料異動時顯示「資料已更新」提示。
+
+window.CRM_APP = window.CRM_APP || {};
+
+const ChangeStream = {
+    // 異動實體 → 會顯示該資料的列表頁 (切換回該頁時需重新載入)
+    ENTITY_PAGES: {
+        opportunity: ['dashboard', 'opportunities', 'sales-analysis'],
+        company: ['companies'],
+        contact: ['contacts'],
+        eventLog: ['events'],
+        interaction: ['interactions'],
+        task: ['tasks'],
+        weekly: ['weekly-business']
+    },
+    COALESCE_MS: 300,
+    MAX_RETRY_MS: 60000,
+
+    connected: false,
+    username: null,
+    handlers: {},
+    _abort: null,
+    _retryMs: 5000,
+    _failures: 0,
+    _reconnectTimer: null,
+    _pending: new Map(),
+    _flushTimer: null,
+
+    start() {
+        if (this._abort || !window.fetch || !window.TextDecoder) return;
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && !this.connected && !this._abort) this._connect();
+        });
+        this._connect();
+    },
+
+    stop() {
+        clearTimeout(this._reconnectTimer);
+        if (this._abort) this._abort.abort();
+    },
+
+    /**
+     * 註冊頁面的異動處理函式 (同一頁面只保留最後一次註冊)
+     * @param {string} pageName - pageConfig 的 key (例如 'dashboard'、'opportunity-details')
+     * @param {Function} handler - (change, { isOwn }) => void
+     */
+    register(pageName, handler) {
+        this.handlers[pageName] = handler;
+    },
+
+    isOwnChange(change) {
+        return !!(change.actor && change.actor.username && change.actor.username === this.username);
+    },
+
+    /**
+     * 顯示「某人剛剛更新了這筆資料」(自己在此分頁的操作不提示)
+     */
+    notifyActor(change, message) {
+        if (this.isOwnChange(change)) return;
+        const actorName = (change.actor && change.actor.name) || '其他成員';
+        const verbs = { created: '新增了', updated: '更新了', deleted: '刪除了' };
+        showNotification(message || `${actorName} 剛剛${verbs[change.action] || '更新了'}這筆資料`, 'info', 4000);
+    },
+
+    async _connect() {
+        clearTimeout(this._reconnectTimer);
+        const token = localStorage.getItem('crm-token');
+        if (!token || this._abort) return;
+
+        this._abort = new AbortController();
+        let expired = false;
+        try {
+            const response = await fetch('/api/stream', {
+                headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'text/event-stream' },
+                signal: this._abort.signal
+            });
+
+            if (response.status === 401) {
+                // Access Token 過期：換發後立即重連；換發失敗時交由輪詢的 authedFetch 處理登出
+                this._abort = null;
+                if (typeof refreshAccessToken === 'function' && await refreshAccessToken()) return this._connect();
+                return this._setConnected(false);
+            }
+            if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+
+            this._failures = 0;
+            this._setConnected(true);
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+                const frames = buffer.split('\n\n');
+                buffer = frames.pop();
+                frames.forEach(frame => {
+                    if (this._handleFrame(frame) === 'expired') expired = true;
+                });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this._abort = null;
+                return this._setConnected(false);
+            }
+            this._failures++;
+            console.warn('[ChangeStream] 連線中斷:', error.message);
+        }
+
+        this._abort = null;
+        this._setConnected(false);
+        this._scheduleReconnect(expired ? 0 : null);
+    },
+
+    _scheduleReconnect(delayMs) {
+        clearTimeout(this._reconnectTimer);
+        const delay = delayMs !== null ? delayMs : Math.min(this._retryMs * Math.pow(2, this._failures), this.MAX_RETRY_MS);
+        this._reconnectTimer = setTimeout(() => this._connect(), delay);
+    },
+
+    /**
+     * 解析單一 SSE 訊框 (retry / event / data，忽略註解列)
+     * @returns {string|undefined} 事件名稱
+     */
+    _handleFrame(frame) {
+        let event = 'message';
+        const data = [];
+        frame.split('\n').forEach(line => {
+            if (!line || line.startsWith(':')) return;
+            const index = line.indexOf(':');
+            const field = index >= 0 ? line.slice(0, index) : line;
+            const value = index >= 0 ? line.slice(index + 1).replace(/^ /, '') : '';
+            if (field === 'event') event = value;
+            else if (field === 'data') data.push(value);
+            else if (field === 'retry' && Number(value) > 0) this._retryMs = Number(value);
+        });
+        if (data.length === 0) return event;
+
+        let payload;
+        try {
+            payload = JSON.parse(data.join('\n'));
+        } catch (error) {
+            console.warn('[ChangeStream] 無法解析通知:', error);
+            return event;
+        }
+
+        if (event === 'ready') this.username = payload.username;
+        if (event === 'change') this._enqueue(payload);
+        return event;
+    },
+
+    _setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        console.log(`📡 [ChangeStream] ${connected ? '已連線，暫停狀態輪詢' : '已斷線，恢復狀態輪詢'}`);
+        if (connected) {
+            if (typeof window.CRM_APP.suspendDataPolling === 'function') window.CRM_APP.suspendDataPolling();
+        } else if (typeof window.CRM_APP.resumeDataPolling === 'function') {
+            window.CRM_APP.resumeDataPolling();
+        }
+    },
+
+    /**
+     * 同一筆資料短時間內的多則通知合併為一則 (例如更新機會同時產生 updated 與階段變更)
+     */
+    _enqueue(change) {
+        const key = `${change.entity}:${change.id}`;
+        const previous = this._pending.get(key);
+        if (previous && previous.action === 'created' && change.action !== 'deleted') change = { ...change, action: 'created' };
+        this._pending.set(key, change);
+
+        clearTimeout(this._flushTimer);
+        this._flushTimer = setTimeout(() => {
+            const changes = Array.from(this._pending.values());
+            this._pending.clear();
+            changes.forEach(c => this._dispatch(c));
+        }, this.COALESCE_MS);
+    },
+
+    _dispatch(change) {
+        const currentPage = window.location.hash.substring(1).split('?')[0] || 'dashboard';
+        const pages = this.ENTITY_PAGES[change.entity] || [];
+        const isOwn = this.isOwnChange(change);
+
+        // 其他列表頁下次進入時重新載入
+        pages.forEach(page => {
+            if (page !== currentPage && window.CRM_APP.pageConfig?.[page]) window.CRM_APP.pageConfig[page].loaded = false;
+        });
+
+        const handler = this.handlers[currentPage];
+        if (handler) {
+            Promise.resolve()
+                .then(() => handler(change, { isOwn }))
+                .catch(error => console.error(`[ChangeStream] ${currentPage} 處理異動失敗:`, error));
+            return;
+        }
+
+        if (!isOwn && pages.includes(currentPage) && typeof SyncService !== 'undefined') {
+            SyncService.showRefreshNotice(true);
+        }
+    }
+};
+
+window.ChangeStream = ChangeStream;
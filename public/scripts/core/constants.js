@@ -11,6 +11,7 @@ window.CRM_APP.pageConfig = {
     'announcements': { title: '佈告欄管理', subtitle: '新增與管理團隊的公告訊息', loaded: false },
     'companies': { title: '公司管理', subtitle: '檢視與管理所有客戶公司', loaded: false },
     'interactions': { title: '互動總覽', subtitle: '檢視所有機會案件的互動紀錄', loaded: false },
+    'tasks': { title: '任務', subtitle: '追蹤待辦與逾期的跟進事項', loaded: false },
     'weekly-business': { title: '週間業務總覽', subtitle: '檢視所有週次的業務摘要', loaded: false },
     'weekly-detail': { title: '週間業務詳情', subtitle: '檢視特定週次的業務紀錄', loaded: true },
     'events': { title: '事件紀錄列表', subtitle: '查看所有機會案件的詳細事件報告', loaded: false },
@@ -18,7 +19,10 @@ window.CRM_APP.pageConfig = {
     'opportunity-details': { title: '機會詳細資料', subtitle: '檢視機會的所有關聯資訊', loaded: true },
     
     // ★★★ 【新增】商品成本管理頁面 ★★★
-    'products': { title: '商品成本管理', subtitle: '檢視市場商品成本與定價策略 (機密)', loaded: false }
+    'products': { title: '商品成本管理', subtitle: '檢視市場商品成本與定價策略 (機密)', loaded: false },
+    'users': { title: '使用者管理', subtitle: '管理帳號、角色、主管階層與登入狀態', loaded: false },
+    'api-tokens': { title: 'API 金鑰', subtitle: '建立供腳本與整合使用的個人金鑰', loaded: false },
+    'webhooks': { title: 'Webhook 訂閱', subtitle: '資料異動時主動通知 ERP / BI 等外部系統', loaded: false }
 };
 // 2. 下拉選單元素 ID 與 Config Key 的對應
 window.CRM_APP.dropdownMappings = {
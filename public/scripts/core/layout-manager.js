@@ -10,7 +10,9 @@ const LayoutManager = {
     // 1. 定義預設的角色設定 (預設為中文，確保斷線時也顯示正常)
     defaultRoleDefs: {
         'admin': { title: '管理員', permission: 'System Admin', color: '#fee2e2', textColor: '#991b1b' },
-        'sales': { title: '業務', permission: 'General User', color: '#dbeafe', textColor: '#1e40af' }
+        'manager': { title: '主管', permission: 'Manager', color: '#ede9fe', textColor: '#5b21b6' },
+        'sales': { title: '業務', permission: 'General User', color: '#dbeafe', textColor: '#1e40af' },
+        'viewer': { title: '檢視者', permission: 'Read Only', color: '#f3f4f6', textColor: '#374151' }
     },
 
     init() {
@@ -23,6 +25,8 @@ const LayoutManager = {
         this.setupSidebar();
         this.displayUser();
         this.injectAdminFeatures();
+        this.injectUserAdminNav();
+        this.injectWebhookNav();
     },
 
     /**
@@ -71,6 +75,17 @@ const LayoutManager = {
     loadUserRole() {
         this.currentUserRole = localStorage.getItem('crmUserRole') || 'sales';
         window.CRM_APP.currentUserRole = this.currentUserRole;
+
+        // 權限清單由登入 API 回傳 (見 config.PERMISSIONS)；舊 Session 沒有清單時僅 admin 視為全權限
+        let permissions = null;
+        try {
+            permissions = JSON.parse(localStorage.getItem('crmUserPermissions'));
+        } catch (e) { /* 格式錯誤視同未提供 */ }
+        window.CRM_APP.userPermissions = Array.isArray(permissions) ? permissions : null;
+        window.CRM_APP.hasPermission = (permission) => {
+            const list = window.CRM_APP.userPermissions;
+            return list ? list.includes(permission) : this.currentUserRole === 'admin';
+        };
     },
 
     setupSidebar() {
@@ -127,7 +142,7 @@ const LayoutManager = {
     },
 
     injectAdminFeatures() {
-        if (this.currentUserRole !== 'admin') return;
+        if (!window.CRM_APP.hasPermission('product:read')) return;
 
         const sidebarNav = document.querySelector('.sidebar-nav ul') || document.querySelector('.sidebar-menu');
         if (!sidebarNav) return;
@@ -146,7 +161,7 @@ const LayoutManager = {
                     <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
                     <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
                 </svg>
-                <span class="nav-text">商品成本</span>
+                <span class="nav-text">${window.CRM_APP.hasPermission('product:viewCost') ? '商品成本' : '商品目錄'}</span>
             </a>
         `;
 
@@ -158,6 +173,61 @@ const LayoutManager = {
         }
     },
 
+    injectUserAdminNav() {
+        if (!window.CRM_APP.hasPermission('user:admin')) return;
+
+        const sidebarNav = document.querySelector('.sidebar-nav ul') || document.querySelector('.sidebar-menu');
+        if (!sidebarNav || document.getElementById('nav-user-admin')) return;
+
+        const item = document.createElement('li');
+        item.id = 'nav-user-admin';
+        item.className = 'nav-item admin-restricted';
+        item.innerHTML = `
+            <a href="#" class="nav-link" data-page="users">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"></path>
+                    <circle cx="9" cy="7" r="4"></circle>
+                    <path d="M19 8v6"></path><path d="M22 11h-6"></path>
+                </svg>
+                <span class="nav-text">使用者管理</span>
+            </a>
+        `;
+
+        const systemConfigItem = Array.from(sidebarNav.children).find(li => li.textContent.includes('系統設定'));
+        if (systemConfigItem) {
+            sidebarNav.insertBefore(item, systemConfigItem);
+        } else {
+            sidebarNav.appendChild(item);
+        }
+    },
+
+    injectWebhookNav() {
+        if (!window.CRM_APP.hasPermission('webhook:manage')) return;
+
+        const sidebarNav = document.querySelector('.sidebar-nav ul') || document.querySelector('.sidebar-menu');
+        if (!sidebarNav || document.getElementById('nav-webhooks')) return;
+
+        const item = document.createElement('li');
+        item.id = 'nav-webhooks';
+        item.className = 'nav-item admin-restricted';
+        item.innerHTML = `
+            <a href="#" class="nav-link" data-page="webhooks">
+                <svg class="nav-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+                    <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+                </svg>
+                <span class="nav-text">Webhook 訂閱</span>
+            </a>
+        `;
+
+        const systemConfigItem = Array.from(sidebarNav.children).find(li => li.textContent.includes('系統設定'));
+        if (systemConfigItem) {
+            sidebarNav.insertBefore(item, systemConfigItem);
+        } else {
+            sidebarNav.appendChild(item);
+        }
+    },
+
     refreshRoleDisplay() {
         this.buildRoleDefinitions();
         this.displayUser();
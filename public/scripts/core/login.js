@@ -1,5 +1,71 @@
 // public/scripts/core/login.js
 
+// 儲存登入結果 (一般登入與開發用登入共用)
+function storeLoginSession(result) {
+    localStorage.setItem('crmToken', result.token);
+    // 相容舊版 Key (部分頁面可能還在用 crm-token)
+    localStorage.setItem('crm-token', result.token);
+    // 開發用身分沒有 Refresh Token
+    if (result.refreshToken) {
+        localStorage.setItem('crmRefreshToken', result.refreshToken);
+    } else {
+        localStorage.removeItem('crmRefreshToken');
+    }
+
+    localStorage.setItem('crmCurrentUserName', result.name);
+    localStorage.setItem('crmUserRole', result.role || 'sales');
+    localStorage.setItem('crmUserPermissions', JSON.stringify(result.permissions || []));
+}
+
+// 開發用身分：後端未啟用時 /api/auth/dev-users 回 404，面板維持隱藏
+async function initDevLogin(messageEl) {
+    const panel = document.getElementById('dev-login');
+    const buttons = document.getElementById('dev-login-buttons');
+    if (!panel || !buttons) return;
+
+    let users = [];
+    try {
+        const response = await fetch('/api/auth/dev-users');
+        if (!response.ok) return;
+        const result = await response.json();
+        users = result.data || [];
+    } catch (error) {
+        return;
+    }
+    if (users.length === 0) return;
+
+    buttons.innerHTML = '';
+    users.forEach(user => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'action-btn small secondary';
+        btn.textContent = user.name;
+        btn.title = `${user.username} (${user.role})`;
+        btn.addEventListener('click', async () => {
+            try {
+                const response = await fetch('/api/auth/dev-login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ username: user.username })
+                });
+                const result = await response.json();
+                if (!result.success) throw new Error(result.message || result.error || '開發用登入失敗');
+
+                storeLoginSession(result);
+                window.location.href = 'dashboard.html';
+            } catch (error) {
+                console.error('Dev Login Error:', error);
+                if (messageEl) {
+                    messageEl.textContent = error.message;
+                    messageEl.classList.add('text-danger');
+                }
+            }
+        });
+        buttons.appendChild(btn);
+    });
+    panel.style.display = '';
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
     const loginForm = document.getElementById('login-form');
     // 【修正】這裡改回正確的 ID 'error-message'
@@ -44,6 +110,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                 if (!localStorage.getItem('crmToken')) {
                     localStorage.setItem('crmToken', cachedToken);
                 }
+                if (Array.isArray(result.permissions)) {
+                    localStorage.setItem('crmUserPermissions', JSON.stringify(result.permissions));
+                }
 
                 if (messageEl) {
                     messageEl.textContent = '歡迎回來，正在進入系統...';
@@ -63,14 +132,23 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // Access Token 已過期但 Refresh Token 仍有效：換發後直接進入系統
+    if (localStorage.getItem('crmRefreshToken') && await refreshAccessToken()) {
+        console.log('✅ [Login] 已換發 Token，自動跳轉...');
+        window.location.href = 'dashboard.html';
+        return;
+    }
+
     // ==========================================
     // 2. 清除舊 Session (驗證失敗或無 Token 時執行)
     // ==========================================
     console.log('ℹ [Login] 無有效 Session，重置登入狀態');
     localStorage.removeItem('crmToken');
     localStorage.removeItem('crm-token');
+    localStorage.removeItem('crmRefreshToken');
     localStorage.removeItem('crmCurrentUserName');
     localStorage.removeItem('crmUserRole');
+    localStorage.removeItem('crmUserPermissions');
 
     // 恢復按鈕狀態
     if (submitBtn) {
@@ -78,6 +156,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         submitBtn.textContent = '登入系統';
     }
 
+    initDevLogin(messageEl);
+
     // ==========================================
     // 3. 處理一般登入表單提交
     // ==========================================
@@ -111,16 +191,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             const result = await response.json();
 
             if (result.success) {
-                // 1. 儲存 Token
-                localStorage.setItem('crmToken', result.token);
-                // 相容舊版 Key (部分頁面可能還在用 crm-token)
-                localStorage.setItem('crm-token', result.token); 
-                
-                // 2. 儲存使用者資訊
-                localStorage.setItem('crmCurrentUserName', result.name);
-                
-                // ★★★ 3. 儲存角色權限 ★★★
-                localStorage.setItem('crmUserRole', result.role || 'sales');
+                // 1~3. 儲存 Token、使用者資訊與角色權限
+                storeLoginSession(result);
 
                 if (messageEl) {
                     messageEl.textContent = '登入成功，正在跳轉...';
@@ -132,7 +204,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                     window.location.href = 'dashboard.html';
                 }, 800);
             } else {
-                throw new Error(result.message || '登入失敗');
+                throw new Error(result.message || result.error || '登入失敗');
             }
 
         } catch (error) {
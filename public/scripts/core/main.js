@@ -1,5 +1,6 @@
 // public/scripts/core/main.js (重構版: Smart Polling + 序列化資源載入)
 // 職責：系統初始化入口與智慧輪詢管理
+// 即時推播 (ChangeStream) 連線期間暫停狀態輪詢，斷線時恢復。
 
 window.CRM_APP = window.CRM_APP || {};
 
@@ -10,6 +11,7 @@ const SmartPolling = {
     lastActivity: Date.now(),
     currentInterval: 30000, // Default 30s
     dataTimestamp: 0,
+    suspended: false, // 即時推播連線中：不輪詢
 
     init() {
         console.log('🧠 [SmartPolling] 初始化智慧輪詢...');
@@ -45,6 +47,7 @@ const SmartPolling = {
 
     runCycle() {
         if (this.intervalId) clearTimeout(this.intervalId);
+        if (this.suspended) return;
 
         // Calculate next delay based on state
         let delay = this.currentInterval;
@@ -86,6 +89,19 @@ const SmartPolling = {
         }
     },
 
+    suspend() {
+        this.suspended = true;
+        if (this.intervalId) clearTimeout(this.intervalId);
+        this.intervalId = null;
+    },
+
+    unsuspend() {
+        if (!this.suspended) return;
+        this.suspended = false;
+        this.dataTimestamp = 0; // 連線期間的寫入已由推播處理，以目前時間戳記為新基準
+        this.runCycle();
+    },
+
     slowDown() {
         console.log('💤 [SmartPolling] Entering background mode.');
         this.isActive = false;
@@ -127,6 +143,8 @@ CRM_APP.init = async function() {
         
         // Use SmartPolling instead of legacy startDataPolling
         SmartPolling.init();
+        if (window.ChangeStream) ChangeStream.start();
+        if (window.NotificationCenter) NotificationCenter.init();
 
         Router.init();
 
@@ -228,16 +246,31 @@ function getCurrentUser() {
 }
 
 function logout() {
+    // 撤銷伺服器端的工作階段 (頁面隨即跳轉，以 keepalive 確保請求送出)
+    const refreshToken = localStorage.getItem('crmRefreshToken');
+    if (refreshToken) {
+        fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+            keepalive: true
+        }).catch(() => {});
+    }
+
     localStorage.removeItem('crm-token');
     localStorage.removeItem('crmToken');
+    localStorage.removeItem('crmRefreshToken');
     localStorage.removeItem('crmCurrentUserName');
     localStorage.removeItem('crmUserRole');
+    localStorage.removeItem('crmUserPermissions');
     window.location.href = '/';
 }
 
 // Override legacy polling methods to use SmartPolling (if needed elsewhere)
 window.CRM_APP.startDataPolling = () => SmartPolling.resume();
 window.CRM_APP.stopDataPolling = () => SmartPolling.slowDown(); // or actually pause?
+window.CRM_APP.suspendDataPolling = () => SmartPolling.suspend();
+window.CRM_APP.resumeDataPolling = () => SmartPolling.unsuspend();
 // Note: SyncService from sync-service.js might still exist if loaded. 
 // We rely on main.js loading last or this overriding.
 
@@ -121,6 +121,22 @@ function populateCountyFromAddress(dataObject, countySelectId) {
     }
 }
 
+/**
+ * 合併版本衝突的編輯內容：使用者改過的欄位保留使用者的值，其餘欄位採用伺服器最新值
+ * @param {object} original - 開啟編輯時載入的資料
+ * @param {object} mine - 使用者目前的表單內容
+ * @param {object} latest - 伺服器回傳的最新資料
+ * @returns {object} 合併後的表單內容
+ */
+function mergeConflictingEdits(original, mine, latest) {
+    const merged = {};
+    Object.keys(mine).forEach(key => {
+        const changedByMe = String(mine[key] ?? '') !== String(original?.[key] ?? '');
+        merged[key] = (changedByMe || !latest || latest[key] === undefined) ? mine[key] : latest[key];
+    });
+    return merged;
+}
+
 // *** 函數從 opportunity-modals.js 移入 ***
 /**
  * 填充下拉選單 (來自 opportunity-modals.js)
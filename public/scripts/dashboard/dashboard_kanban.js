@@ -1,5 +1,6 @@
 // public/scripts/dashboard/dashboard_kanban.js
 // (Stability Overhaul: Duplicate Init Fix + Delegation)
+// 即時推播：機會 / 互動異動時只重新讀取該筆機會並更新卡片 (applyChange)，不重載整個儀表板。
 
 const DashboardKanban = {
     viewMode: localStorage.getItem('dashboardKanbanViewMode') || 'kanban',
@@ -246,9 +247,12 @@ const DashboardKanban = {
         let html = '<div class="kanban-board">';
         systemConfig['機會階段'].forEach(stageInfo => {
             const stage = stagesData[stageInfo.value] || { name: stageInfo.note, opportunities: [], count: 0 };
-            html += `<div class="kanban-column" data-stage-id="${stageInfo.value}">
+            // 階段中繼資料 (系統設定「機會階段」)：類型與預設贏單機率
+            const stageType = stageInfo.stageType || 'open';
+            const hasProbability = stageInfo.winProbability !== null && stageInfo.winProbability !== undefined;
+            html += `<div class="kanban-column stage-type-${stageType}" data-stage-id="${stageInfo.value}">
                         <div class="kanban-header">
-                            <div class="kanban-title">${stage.name}</div>
+                            <div class="kanban-title">${stage.name}${hasProbability ? ` <span class="kanban-probability">${stageInfo.winProbability}%</span>` : ''}</div>
                             <div class="kanban-count">${stage.count}</div>
                         </div>
                         <div class="opportunities-list">`;
@@ -347,6 +351,47 @@ const DashboardKanban = {
         }
     },
 
+    /**
+     * 套用 ChangeStream 的異動通知 (機會本身或其互動紀錄)
+     * 看板只顯示「進行中」的機會；讀不到 (已刪除或已無權限) 時移除卡片
+     */
+    async applyChange(change) {
+        const opportunityId = change.entity === 'opportunity' ? change.id : change.opportunityId;
+        if (!opportunityId || !this.isInitialized) return;
+
+        const opportunities = this.data.opportunities;
+        const index = opportunities.findIndex(opp => opp.opportunityId === opportunityId);
+        const previousName = index >= 0 ? opportunities[index].opportunityName : '';
+        let updated = null;
+
+        if (!(change.entity === 'opportunity' && change.action === 'deleted')) {
+            try {
+                const result = await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityId)}/details`);
+                const details = result?.data;
+                if (details?.opportunityInfo) {
+                    updated = { ...details.opportunityInfo };
+                    const selfUpdate = new Date(updated.lastUpdateTime || updated.createdTime).getTime();
+                    const lastInteraction = (details.interactions || []).reduce((latest, interaction) =>
+                        Math.max(latest, new Date(interaction.interactionTime || interaction.createdTime).getTime() || 0), 0);
+                    updated.effectiveLastActivity = Math.max(selfUpdate, lastInteraction);
+                    updated.creationYear = updated.createdTime ? new Date(updated.createdTime).getFullYear() : null;
+                }
+            } catch (error) {
+                if (error.message === 'Unauthorized') return;
+            }
+        }
+
+        // 與 dashboardManager.processedOpportunities 為同一陣列，就地更新
+        const keep = updated && updated.currentStatus === '進行中';
+        if (index >= 0 && keep) opportunities.splice(index, 1, updated);
+        else if (index >= 0) opportunities.splice(index, 1);
+        else if (keep) opportunities.push(updated);
+        else return;
+
+        this.render();
+        if (change.entity === 'opportunity') ChangeStream.notifyActor(change, `${change.actor?.name || '其他成員'} 剛剛${change.action === 'deleted' ? '刪除' : '更新'}了機會「${updated?.opportunityName || previousName || opportunityId}」`);
+    },
+
     _ensureStyles() {
         const styleId = 'dashboard-kanban-styles-final';
         if (!document.getElementById(styleId)) {
@@ -366,4 +411,10 @@ const DashboardKanban = {
     }
 };
 
-window.DashboardKanban = DashboardKanban;
\ No newline at end of file
+window.DashboardKanban = DashboardKanban;
+
+if (window.ChangeStream) {
+    ChangeStream.register('dashboard', change => {
+        if (change.entity === 'opportunity' || change.entity === 'interaction') return DashboardKanban.applyChange(change);
+    });
+}
\ No newline at end of file
@@ -54,11 +54,15 @@ window.DashboardUI = DashboardUI;
 // ★★★ UserProfile 管理器 (讀取 LayoutManager 的單一真理) ★★★
 const UserProfile = {
     modalId: 'user-profile-modal',
+    // 後端密碼規則 (/api/auth/password-policy)；載入前只檢查最短長度
+    passwordPolicy: { minLength: 8, requireLetter: false, requireDigit: false, requireSymbol: false },
     
     init() {
         const modal = document.getElementById(this.modalId);
         if (!modal) return;
 
+        this.loadPasswordPolicy();
+
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
                 const card = modal.querySelector('.profile-card');
@@ -111,6 +115,9 @@ const UserProfile = {
         }
 
         // 權限標籤已在 HTML 中移除，程式碼亦不需要再處理它
+
+        const apiTokensBtn = document.getElementById('profile-api-tokens-btn');
+        if (apiTokensBtn) apiTokensBtn.style.display = window.CRM_APP.hasPermission('apiToken:manage') ? '' : 'none';
         
         // 重置狀態
         this.switchView('profile');
@@ -155,6 +162,36 @@ const UserProfile = {
         if (btn) btn.disabled = true;
     },
 
+    async loadPasswordPolicy() {
+        try {
+            const res = await fetch('/api/auth/password-policy');
+            const result = await res.json();
+            if (!result.success) return;
+            this.passwordPolicy = result.data;
+
+            const p = this.passwordPolicy;
+            const hints = [`至少 ${p.minLength} 碼`];
+            if (p.requireLetter) hints.push('含英文字母');
+            if (p.requireDigit) hints.push('含數字');
+            if (p.requireSymbol) hints.push('含符號');
+            const newInput = document.getElementById('cp-new');
+            if (newInput) newInput.placeholder = hints.join('、');
+        } catch (e) {
+            console.warn('[UserProfile] 無法載入密碼規則', e);
+        }
+    },
+
+    // 與後端 utils/password-policy.js 相同的規則 (帳號檢查由後端負責)
+    getPolicyViolations(pwd) {
+        const p = this.passwordPolicy;
+        const violations = [];
+        if (pwd.length < p.minLength) violations.push(`長度至少需 ${p.minLength} 碼`);
+        if (p.requireLetter && !/[A-Za-z]/.test(pwd)) violations.push('需包含英文字母');
+        if (p.requireDigit && !/[0-9]/.test(pwd)) violations.push('需包含數字');
+        if (p.requireSymbol && !/[^A-Za-z0-9]/.test(pwd)) violations.push('需包含符號');
+        return violations;
+    },
+
     bindEvents() {
         const oldInput = document.getElementById('cp-old');
         const newInput = document.getElementById('cp-new');
@@ -179,10 +216,10 @@ const UserProfile = {
 
         newInput.addEventListener('input', () => {
             const val = newInput.value;
-            const strength = this.checkStrength(val);
-            this.updateStrengthMeter(strength);
-            const isValid = strength >= 1;
-            this.setValidationState(newInput, isValid, isValid ? '' : '密碼長度至少 6 碼');
+            const violations = this.getPolicyViolations(val);
+            const isValid = violations.length === 0;
+            this.updateStrengthMeter(isValid ? this.checkStrength(val) : 0);
+            this.setValidationState(newInput, isValid, isValid ? '' : violations.join('、'));
             if (confirmInput.value) confirmInput.dispatchEvent(new Event('input'));
             this.checkFormValidity();
         });
@@ -217,11 +254,11 @@ const UserProfile = {
         }
     },
 
+    // 已符合密碼規則時的強度 (1~3)
     checkStrength(pwd) {
-        if (pwd.length < 6) return 0;
         let score = 1;
-        if (pwd.length >= 8) score++;
-        if (/[A-Za-z]/.test(pwd) && /[0-9]/.test(pwd)) score++;
+        if (pwd.length >= 12) score++;
+        if (/[A-Za-z]/.test(pwd) && /[0-9]/.test(pwd) && /[^A-Za-z0-9]/.test(pwd)) score++;
         return Math.min(score, 3);
     },
 
@@ -242,16 +279,12 @@ const UserProfile = {
 
     async verifyOldPassword(password) {
         try {
-            const token = localStorage.getItem('crm-token');
-            const res = await fetch('/api/auth/verify-password', {
+            // 經 authedFetch 送出，Access Token 過期時會自動換發
+            const data = await authedFetch('/api/auth/verify-password', {
                 method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({ password })
+                body: JSON.stringify({ password }),
+                skipRefresh: true
             });
-            const data = await res.json();
             return data.success && data.valid;
         } catch (e) {
             console.error(e);
@@ -269,16 +302,11 @@ const UserProfile = {
         btn.textContent = '更新中...';
 
         try {
-            const token = localStorage.getItem('crm-token');
-            const res = await fetch('/api/auth/change-password', {
+            const result = await authedFetch('/api/auth/change-password', {
                 method: 'POST',
-                headers: { 
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({ oldPassword, newPassword })
+                body: JSON.stringify({ oldPassword, newPassword }),
+                skipRefresh: true
             });
-            const result = await res.json();
 
             if (result.success) {
                 alert('✅ 修改成功！請使用新密碼重新登入');
@@ -289,7 +317,7 @@ const UserProfile = {
                 btn.textContent = '確認修改';
             }
         } catch (error) {
-            alert('網路錯誤');
+            // 失敗訊息已由 authedFetch 顯示
             btn.disabled = false;
             btn.textContent = '確認修改';
         }
@@ -1,7 +1,7 @@
 /**
- * @version 1.0.8
- * @date 2026-01-27
- * @purpose Hotfix：event-editor pageModules 參數相容，確保 #event-editor 可用
+ * @version 1.1.0
+ * @date 2026-10-19
+ * @purpose 儲存時帶入 expectedVersion (修訂版次)；版本衝突 (409) 時提示覆寫或合併
  */
 
 // public/scripts/events/event-editor-standalone.js
@@ -20,6 +20,10 @@ const EventEditorStandalone = (() => {
     };
     
     let _isInitialized = false;
+
+    // 樂觀鎖：開啟時的修訂版次與表單快照 (衝突合併用)
+    let _version = '';
+    let _original = null;
     let _resizeObserver = null;
     
     // [Fix] State flags for scroll lock and re-entry guard
@@ -203,6 +207,8 @@ const EventEditorStandalone = (() => {
                     console.error('[EventEditor] Partial population failure:', populateError);
                     showNotification('關聯資料載入異常，但您仍可編輯主要內容', 'warning');
                 }
+                _version = _toVersion(eventData.editCount);
+                _original = _collectFormData();
                 
                 _setLoading(false);
 
@@ -458,9 +464,12 @@ const EventEditorStandalone = (() => {
         _inputs.manualClient.value = manualList.join(', ');
     }
 
-    async function _handleSubmit(e) {
-        e.preventDefault();
-        const id = _inputs.id.value;
+    // 修訂版次空白時視為 1 (與後端一致)
+    function _toVersion(editCount) {
+        return String(parseInt(editCount, 10) || 1);
+    }
+
+    function _collectFormData() {
         const formData = new FormData(_form);
         const data = {};
         
@@ -484,6 +493,18 @@ const EventEditorStandalone = (() => {
             multi[cb.name].push(cb.value);
         });
         for (let k in multi) data[k] = multi[k].join(', ');
+        return data;
+    }
+
+    async function _handleSubmit(e) {
+        e.preventDefault();
+        await _save(_version);
+    }
+
+    async function _save(expectedVersion) {
+        const id = _inputs.id.value;
+        const data = { ..._collectFormData(), expectedVersion };
+        let conflictError = null;
 
         _setLoading(true, '儲存中...');
         try {
@@ -492,8 +513,33 @@ const EventEditorStandalone = (() => {
                 _close();
                 if (window.CRM_APP && window.CRM_APP.refreshCurrentView) window.CRM_APP.refreshCurrentView('更新成功！');
             } else throw new Error(res.error);
-        } catch (e) { showNotification('儲存失敗: ' + e.message, 'error'); } 
+        } catch (e) {
+            if (e.isVersionConflict) conflictError = e;
+            else showNotification('儲存失敗: ' + e.message, 'error');
+        } 
         finally { _setLoading(false); }
+
+        if (conflictError) _handleConflict(conflictError);
+    }
+
+    function _handleConflict(error) {
+        showVersionConflictDialog(error, {
+            onOverwrite: (currentVersion) => _save(currentVersion),
+            onMerge: async (latest, currentVersion) => {
+                const merged = mergeConflictingEdits(_original, _collectFormData(), latest);
+                try {
+                    await _populateForm({ ...(latest || {}), ...merged });
+                } catch (populateError) {
+                    console.error('[EventEditor] Merge population failure:', populateError);
+                }
+                _version = _toVersion(currentVersion);
+                // 之後的比對基準改為伺服器最新資料
+                Object.keys(_original || {}).forEach(key => {
+                    if (latest && latest[key] !== undefined) _original[key] = latest[key];
+                });
+                showNotification('已載入最新資料並保留您修改過的欄位，請確認後再儲存。', 'info');
+            }
+        });
     }
 
     function _confirmDelete(id, name) {
@@ -516,6 +562,8 @@ const EventEditorStandalone = (() => {
     function _resetForm() {
         if (!_form) return;
         _form.reset();
+        _version = '';
+        _original = null;
         _data.ourParticipants.clear();
         _data.clientParticipants.clear();
         _setLoading(false);
@@ -11,11 +11,15 @@ const scripts = [
     "scripts/core/constants.js",
     "scripts/core/layout-manager.js",
     "scripts/core/sync-service.js",
+    "scripts/core/change-stream.js",
     "scripts/core/router.js",
     "scripts/core/main.js",
     "scripts/components/chip-wall.js",
+    "scripts/components/audit-history.js",
+    "scripts/components/notification-center.js",
     "scripts/meetings.js",
     "scripts/interactions.js",
+    "scripts/tasks.js",
     "scripts/announcements.js",
     "scripts/map-manager.js",
     "scripts/kanban-board.js",
@@ -24,6 +28,8 @@ const scripts = [
     "scripts/opportunities/opportunities.js",
     "scripts/sales/sales-analysis-helper.js",
     "scripts/sales/sales-analysis-components.js",
+    "scripts/sales/sales-forecast.js",
+    "scripts/sales/sales-funnel.js",
     "scripts/sales/sales-analysis.js",
     "scripts/opportunities/details/opportunity-stepper.js",
     "scripts/opportunities/details/opportunity-interactions.js",
@@ -54,7 +60,11 @@ const scripts = [
     
     // ★★★ 【新增】商品模組腳本 ★★★
     "scripts/products/products.js",
-    "scripts/products/product-detail-modal.js"
+    "scripts/products/product-detail-modal.js",
+
+    "scripts/admin/user-admin.js",
+    "scripts/admin/api-tokens.js",
+    "scripts/admin/webhooks.js"
 
 
 
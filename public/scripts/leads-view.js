@@ -1,18 +1,31 @@
 // public/scripts/leads-view.js
-// v7.0.2 (Fixed: Unlock Edit Permission for Local Dev)
-// Date: 2026-01-15
+// v7.3.0 (Lead ID)
+// Date: 2026-10-19
 // Description: 
-// 1. [Fix] createCardHTML: 為本地測試帳號 (TEST_LOCAL_USER) 解鎖編輯按鈕權限，
-//    允許在任何視圖編輯任何人的名片。
+// 0. LINE 帳號須綁定 CRM 帳號才能讀寫名片 (後端回 403 LINE_ACCOUNT_NOT_LINKED 時顯示綁定表單)；
+//    綁定後可由「進入 CRM」以 LINE 身分登入主系統 (login.html 的 LINE 按鈕帶 ?crmLogin=1 自動進入)。
+// 1. 本地開發改用後端開發用身分 (/api/auth/dev-login，需 NODE_ENV=development 且 DEV_AUTH=true)，
+//    取代固定的 TEST_LOCAL_TOKEN；後端未啟用時照常走 LIFF 登入。
+//    開發用身分可在任何視圖編輯任何人的名片。
 // 2. 包含 v7.0.1 的 Stream 圖片預覽修復。
+// 3. 編輯名片改以 contactId (leadId) 定位，後端已不接受列號。
 
 // 全域變數
 let allLeads = [];
 let currentUser = {
     userId: null,
     displayName: '訪客',
-    pictureUrl: null
+    pictureUrl: null,
+    isDev: false,
+    devToken: null,
+    crmUser: null // 綁定的 CRM 帳號 { username, name, role }
 };
+
+// 從登入頁的 LINE 按鈕進入：綁定完成後直接登入 CRM
+const AUTO_CRM_LOGIN = new URLSearchParams(location.search).get('crmLogin') === '1';
+
+// 本地開發時使用的開發用帳號 (對應後端 config.DEV_AUTH.USERS)
+const DEV_LEADS_USERNAME = 'dev-sales';
 let currentView = 'all'; // 'all' or 'mine'
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -62,32 +75,114 @@ function createLoginPrompt() {
     }
 }
 
-function showAccessDenied(userId) {
+// 顯示無法存取的原因；LINE 帳號尚未綁定時提供 CRM 帳號密碼綁定表單
+function showAccessDenied(result) {
     const promptDiv = document.getElementById('login-prompt');
-    if (promptDiv) {
+    if (!promptDiv) return;
+
+    if (result.code !== 'LINE_ACCOUNT_NOT_LINKED') {
         promptDiv.innerHTML = `
             <div class="empty-icon" style="font-size: 5rem; margin-bottom: 20px; color: var(--accent-red, #ef4444);">⛔</div>
-            <h2 style="margin-bottom: 10px; color: var(--text-main);">未授權的帳號</h2>
-            <p style="color: var(--text-sub); margin-bottom: 20px;">
-                您的 LINE ID 尚未被加入系統白名單。<br>
-                請複製下方 ID 並傳送給管理員申請開通：
-            </p>
-            <div style="background: #f1f5f9; padding: 10px; border-radius: 8px; font-family: monospace; user-select: all; margin-bottom: 20px;">
-                ${userId}
-            </div>
-            <button class="action-btn" onclick="liff.logout(); location.reload();" style="width: auto; padding: 10px 20px;">登出並切換帳號</button>
+            <h2 style="margin-bottom: 10px; color: var(--text-main);">沒有存取權限</h2>
+            <p style="color: var(--text-sub); margin-bottom: 20px;">${result.error || result.message || '您的 CRM 帳號沒有檢視名片的權限'}</p>
+            <button class="action-btn" onclick="unlinkLineAccount()" style="width: auto; padding: 10px 20px;">解除綁定</button>
         `;
         promptDiv.style.display = 'flex';
+        return;
+    }
+
+    promptDiv.innerHTML = `
+        <div class="empty-icon" style="font-size: 5rem; margin-bottom: 20px;">🔗</div>
+        <h2 style="margin-bottom: 10px; color: var(--text-main);">綁定 CRM 帳號</h2>
+        <p style="color: var(--text-sub); margin-bottom: 20px;">
+            您的 LINE 帳號尚未綁定 CRM 帳號。<br>
+            請輸入 CRM 的帳號密碼完成綁定 (只需一次)：
+        </p>
+        <form id="line-link-form" style="display: flex; flex-direction: column; gap: 10px; width: 100%; max-width: 320px;">
+            <input type="text" id="line-link-username" class="search-input" placeholder="CRM 帳號" autocomplete="username" required>
+            <input type="password" id="line-link-password" class="search-input" placeholder="CRM 密碼" autocomplete="current-password" required>
+            <button type="submit" class="login-btn" style="padding: 10px 30px; font-size: 1rem;">綁定</button>
+            <p id="line-link-error" style="color: var(--accent-red, #ef4444); min-height: 1.2em;"></p>
+        </form>
+        <p style="color: var(--text-sub); font-size: 0.8rem; margin-top: 10px;">
+            沒有 CRM 帳號？請將下方 LINE ID 傳送給管理員：<br>
+            <span style="font-family: monospace; user-select: all;">${result.yourUserId || ''}</span>
+        </p>
+        <button class="action-btn" onclick="liff.logout(); location.reload();" style="width: auto; padding: 10px 20px; margin-top: 10px;">登出並切換帳號</button>
+    `;
+    promptDiv.style.display = 'flex';
+    document.getElementById('line-link-form').onsubmit = handleLinkSubmit;
+}
+
+async function handleLinkSubmit(e) {
+    e.preventDefault();
+    const btn = e.target.querySelector('button');
+    const errorEl = document.getElementById('line-link-error');
+    btn.disabled = true;
+    errorEl.textContent = '';
+
+    try {
+        const res = await fetch('/api/line/link', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({
+                username: document.getElementById('line-link-username').value.trim(),
+                password: document.getElementById('line-link-password').value
+            })
+        });
+        const result = await res.json();
+
+        if (!result.success) {
+            errorEl.textContent = result.error || result.message || '綁定失敗';
+            return;
+        }
+        loadLeadsData();
+    } catch (error) {
+        errorEl.textContent = '網路錯誤';
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function unlinkLineAccount() {
+    if (!confirm('確定要解除此 LINE 帳號與 CRM 帳號的綁定嗎？')) return;
+    try {
+        await fetch('/api/line/link', { method: 'DELETE', headers: getAuthHeaders() });
+    } finally {
+        location.reload();
+    }
+}
+
+// 以 LINE 身分登入 CRM 主系統 (沿用 login.js 的 localStorage 欄位)
+async function loginToCrm() {
+    try {
+        const res = await fetch('/api/auth/line-login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ idToken: liff.getIDToken() })
+        });
+        const result = await res.json();
+        if (!result.success) {
+            alert('無法登入 CRM: ' + (result.error || result.message));
+            return;
+        }
+
+        localStorage.setItem('crmToken', result.token);
+        localStorage.setItem('crm-token', result.token);
+        localStorage.setItem('crmRefreshToken', result.refreshToken);
+        localStorage.setItem('crmCurrentUserName', result.name);
+        localStorage.setItem('crmUserRole', result.role || 'sales');
+        localStorage.setItem('crmUserPermissions', JSON.stringify(result.permissions || []));
+        location.href = '/dashboard.html';
+    } catch (error) {
+        alert('網路錯誤');
     }
 }
 
 async function initLIFF() {
     const isLocal = location.hostname === 'localhost' || location.hostname === '127.0.0.1';
 
-    if (isLocal) {
-        console.warn('🛠️ [Dev] 本地模式，使用測試帳號');
-        currentUser.userId = 'TEST_LOCAL_USER';
-        currentUser.displayName = '測試員 (Local)';
+    if (isLocal && await initDevUser()) {
         updateUserUI(true);
         loadLeadsData(); // 本地直接載入
         return; 
@@ -120,6 +215,45 @@ async function initLIFF() {
     }
 }
 
+// 向後端取得開發用 Token；後端未啟用開發用身分時回傳 false
+async function initDevUser() {
+    try {
+        const response = await fetch('/api/auth/dev-login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: DEV_LEADS_USERNAME })
+        });
+        if (!response.ok) return false;
+
+        const result = await response.json();
+        if (!result.success || !result.token) return false;
+
+        console.warn('🛠️ [Dev] 本地模式，使用開發用身分');
+        currentUser.userId = `dev:${DEV_LEADS_USERNAME}`;
+        currentUser.displayName = result.name;
+        currentUser.isDev = true;
+        currentUser.devToken = result.token;
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// API 驗證標頭：開發用身分使用後端簽發的 Token，否則使用 LIFF ID Token
+function getAuthHeaders() {
+    const headers = { 
+        'Content-Type': 'application/json'
+    };
+
+    const token = currentUser.isDev ? currentUser.devToken : liff.getIDToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    } else {
+        console.warn('無法取得 LIFF ID Token');
+    }
+    return headers;
+}
+
 function updateUserUI(isLoggedIn) {
     const userArea = document.getElementById('user-area');
     const loginBtn = document.getElementById('login-btn');
@@ -128,7 +262,13 @@ function updateUserUI(isLoggedIn) {
         userArea.style.display = 'flex';
         loginBtn.style.display = 'none';
         
-        document.getElementById('user-name').textContent = `你好，${currentUser.displayName}`;
+        document.getElementById('user-name').textContent = currentUser.crmUser
+            ? `你好，${currentUser.crmUser.name}`
+            : `你好，${currentUser.displayName}`;
+
+        // 開發用身分沒有 LINE ID Token，無法換發 CRM 登入
+        const crmLoginBtn = document.getElementById('crm-login-btn');
+        if (crmLoginBtn) crmLoginBtn.style.display = (currentUser.crmUser && !currentUser.isDev) ? 'inline-block' : 'none';
         
         if (currentUser.pictureUrl) {
             document.getElementById('user-avatar').src = currentUser.pictureUrl;
@@ -145,6 +285,9 @@ function bindEvents() {
         if (typeof liff !== 'undefined' && LIFF_ID) liff.login();
     };
 
+    const crmLoginBtn = document.getElementById('crm-login-btn');
+    if (crmLoginBtn) crmLoginBtn.onclick = loginToCrm;
+
     document.querySelectorAll('.toggle-btn').forEach(btn => {
         btn.onclick = () => {
             document.querySelectorAll('.toggle-btn').forEach(b => b.classList.remove('active'));
@@ -193,27 +336,12 @@ async function loadLeadsData() {
     if(gridEl) gridEl.style.display = 'none';
     
     try {
-        const headers = { 
-            'Content-Type': 'application/json'
-        };
-
-        if (currentUser.userId === 'TEST_LOCAL_USER') {
-            headers['Authorization'] = 'Bearer TEST_LOCAL_TOKEN';
-        } else {
-            const idToken = liff.getIDToken();
-            if (idToken) {
-                headers['Authorization'] = `Bearer ${idToken}`;
-            } else {
-                console.warn('無法取得 LIFF ID Token');
-            }
-        }
-
-        const response = await fetch('/api/line/leads', { headers });
+        const response = await fetch('/api/line/leads', { headers: getAuthHeaders() });
         const result = await response.json();
         
         if (response.status === 403) {
             toggleContentVisibility(false);
-            showAccessDenied(result.yourUserId);
+            showAccessDenied(result);
             return;
         }
 
@@ -226,6 +354,13 @@ async function loadLeadsData() {
 
         // v7.0.1 修正後的格式檢查
         if (result.success) {
+            currentUser.crmUser = result.user || null;
+            updateUserUI(true);
+            if (AUTO_CRM_LOGIN && !currentUser.isDev) {
+                loginToCrm();
+                return;
+            }
+
             allLeads = result.data;
             if(loadingEl) loadingEl.style.display = 'none';
             if(gridEl) gridEl.style.display = 'grid';
@@ -290,12 +425,10 @@ function createCardHTML(lead) {
 
     // =======================================================
     // ★★★ [Fixed] 本地開發權限解鎖 ★★★
-    // 條件 1: 本地測試帳號 (TEST_LOCAL_USER) -> 允許編輯所有卡片，不論 Tab
+    // 條件 1: 開發用身分 (currentUser.isDev) -> 允許編輯所有卡片，不論 Tab
     // 條件 2: 擁有者本人 (isMine) 且 在「我的」頁籤 -> 原始邏輯
     // =======================================================
-    const isLocalDev = (currentUser.userId === 'TEST_LOCAL_USER');
-    
-    const showEditBtn = isLocalDev || (isMine && (currentView === 'mine'));
+    const showEditBtn = currentUser.isDev || (isMine && (currentView === 'mine'));
 
     const editBtnHtml = showEditBtn 
         ? `<button class="card-btn secondary" onclick='openEdit(${leadJson})' title="編輯">✏️</button>` 
@@ -363,7 +496,7 @@ function openPreview(driveLink) {
 
 function openEdit(lead) {
     const modal = document.getElementById('edit-modal');
-    document.getElementById('edit-rowIndex').value = lead.rowIndex;
+    document.getElementById('edit-lead-id').value = lead.contactId;
     document.getElementById('edit-name').value = lead.name || '';
     document.getElementById('edit-position').value = lead.position || '';
     document.getElementById('edit-company').value = lead.company || '';
@@ -380,36 +513,22 @@ async function handleEditSubmit(e) {
     btn.disabled = true;
     btn.textContent = '儲存中...';
 
-    const rowIndex = document.getElementById('edit-rowIndex').value;
+    const leadId = document.getElementById('edit-lead-id').value;
     const data = {
         name: document.getElementById('edit-name').value,
         position: document.getElementById('edit-position').value,
         company: document.getElementById('edit-company').value,
         mobile: document.getElementById('edit-mobile').value,
-        email: document.getElementById('edit-email').value,
-        modifier: currentUser.displayName 
+        email: document.getElementById('edit-email').value
     };
     
     const notes = document.getElementById('edit-notes').value.trim();
     if (notes) data.notes = notes;
 
     try {
-        const headers = { 
-            'Content-Type': 'application/json'
-        };
-
-        if (currentUser.userId === 'TEST_LOCAL_USER') {
-            headers['Authorization'] = 'Bearer TEST_LOCAL_TOKEN';
-        } else {
-            const idToken = liff.getIDToken();
-            if (idToken) {
-                headers['Authorization'] = `Bearer ${idToken}`;
-            }
-        }
-
-        const res = await fetch(`/api/line/leads/${rowIndex}`, {
+        const res = await fetch(`/api/line/leads/${encodeURIComponent(leadId)}`, {
             method: 'PUT',
-            headers: headers,
+            headers: getAuthHeaders(),
             body: JSON.stringify(data)
         });
         
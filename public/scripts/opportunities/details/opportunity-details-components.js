@@ -1,7 +1,7 @@
 // public/scripts/opportunity-details/opportunity-details-components.js
 // 職責：整合機會詳細頁面組件，處理編輯邏輯與資料存取
-// * @version 1.1.0 (Phase 7 SQL Type Compatibility Fix)
-// * @date 2026-02-04
+// * @version 1.2.0 (Opportunity Shares)
+// * @date 2026-10-19
 // (依賴 OpportunityInfoView 進行顯示模式渲染)
 
 function _injectStylesForOppInfoCard() {
@@ -478,4 +478,91 @@ const OpportunityAssociatedOpps = (() => {
         container.innerHTML = html;
     }
     return { render, _handleRemoveParentLink };
-})();
\ No newline at end of file
+})();
+// OpportunityShares：機會共享對象 (負責業務與其主管以外，額外可查看/編輯此機會的使用者)
+const OpportunityShares = (() => {
+    let _opportunityId = null;
+
+    function _escape(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    function _canEdit() {
+        return !window.CRM_APP || typeof CRM_APP.hasPermission !== 'function' || CRM_APP.hasPermission('opportunity:write');
+    }
+
+    async function _handleAdd() {
+        const input = document.getElementById('opportunity-share-username');
+        const username = input ? input.value.trim() : '';
+        if (!username) {
+            showNotification('請輸入要共享的使用者帳號', 'warning');
+            return;
+        }
+        showLoading('正在共享機會...');
+        try {
+            await authedFetch(`/api/opportunities/${_opportunityId}/shares`, {
+                method: 'POST',
+                body: JSON.stringify({ username })
+            });
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[OpportunityShares] 共享失敗:', error);
+        } finally { hideLoading(); }
+    }
+
+    function _handleRemove(shareId, displayName) {
+        showConfirmDialog(`確定要取消共享給 ${displayName} 嗎？`, async () => {
+            showLoading('正在取消共享...');
+            try {
+                await authedFetch(`/api/opportunities/${_opportunityId}/shares/${shareId}`, { method: 'DELETE' });
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[OpportunityShares] 取消共享失敗:', error);
+            } finally { hideLoading(); }
+        });
+    }
+
+    function _render(shares) {
+        const container = document.getElementById('opportunity-shares-list');
+        if (!container) return;
+        const canEdit = _canEdit();
+
+        const list = shares.length
+            ? `<ul style="list-style: none; padding: 0; margin: 0;">${shares.map(share => `
+                <li style="display: flex; align-items: center; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid var(--border-color);">
+                    <span>${_escape(share.displayName)} <span style="color: var(--text-muted); font-size: 0.85rem;">(${_escape(share.username)})</span></span>
+                    ${canEdit ? `<button class="action-btn small danger" style="padding: 2px 6px; font-size: 0.7rem;" data-share-id="${_escape(share.shareId)}" data-name="${_escape(share.displayName)}">移除</button>` : ''}
+                </li>`).join('')}</ul>`
+            : '<div class="alert alert-info">尚未共享給其他使用者，僅負責業務與其主管可見。</div>';
+
+        const form = canEdit
+            ? `<div style="display: flex; gap: 8px; margin-top: 12px;">
+                    <input type="text" id="opportunity-share-username" class="form-input" placeholder="使用者帳號">
+                    <button class="action-btn primary" id="opportunity-share-add-btn">+ 共享</button>
+               </div>`
+            : '';
+
+        container.innerHTML = list + form;
+        container.querySelectorAll('button[data-share-id]').forEach(btn => {
+            btn.addEventListener('click', () => _handleRemove(btn.dataset.shareId, btn.dataset.name));
+        });
+        const addBtn = document.getElementById('opportunity-share-add-btn');
+        if (addBtn) addBtn.addEventListener('click', _handleAdd);
+    }
+
+    async function init(opportunityInfo) {
+        _opportunityId = opportunityInfo.opportunityId;
+        const container = document.getElementById('opportunity-shares-list');
+        if (!container) return;
+        container.innerHTML = '<div class="loading show"><div class="spinner"></div></div>';
+        try {
+            const result = await authedFetch(`/api/opportunities/${_opportunityId}/shares`);
+            _render((result && result.data) || []);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                container.innerHTML = `<div class="alert alert-error">載入共享對象失敗: ${_escape(error.message)}</div>`;
+            }
+        }
+    }
+
+    return { init };
+})();
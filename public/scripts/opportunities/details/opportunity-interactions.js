@@ -1,9 +1,11 @@
 // public/scripts/opportunities/details/opportunity-interactions.js
 // 職責：專門管理「互動與新增」頁籤的所有 UI 與功能
+// 任務：填寫「下次行動日期」時一併送出 nextActionDate，由後端建立/更新任務；已完成的關聯任務併入討論動態牆 (唯讀)。
 
 const OpportunityInteractions = (() => {
     // 模組私有變數
     let _interactions = [];
+    let _completedTasks = [];
     let _context = {}; // { opportunityId, companyId }
     let _container = null;
 
@@ -102,6 +104,40 @@ const OpportunityInteractions = (() => {
         `;
     }
 
+    /**
+     * 渲染已完成任務 (唯讀，編輯請至任務頁)
+     */
+    function renderCompletedTaskItem(task) {
+        const timeStr = (typeof formatDateTime === 'function')
+            ? formatDateTime(task.completedTime)
+            : task.completedTime;
+        const completedBy = escapeHtml(task.completedBy || task.assigneeName || '系統');
+        const description = task.description
+            ? `<div class="feed-text">${escapeHtml(task.description).replace(/\n/g, '<br>')}</div>`
+            : '';
+
+        return `
+            <div class="activity-feed-item">
+                <div class="feed-content">
+                    <div class="feed-text">
+                        <strong>${completedBy}</strong> - <strong>✅ 完成任務</strong>
+                        <span class="feed-time"> (${escapeHtml(timeStr)})</span>
+                    </div>
+                    <div class="feed-text">${escapeHtml(task.title)}</div>
+                    ${description}
+                </div>
+            </div>
+        `;
+    }
+
+    function _renderTimelineItem(item) {
+        return item.taskId ? renderCompletedTaskItem(item) : renderSingleInteractionItem(item);
+    }
+
+    function _timelineTime(item) {
+        return new Date(item.taskId ? item.completedTime : (item.interactionTime || item.createdTime) || 0).getTime() || 0;
+    }
+
     /**
      * 渲染一個時間軸列表
      * @param {string} containerSelector - e.g. '#discussion-timeline'
@@ -129,7 +165,7 @@ const OpportunityInteractions = (() => {
         const isExpanded = historyList.classList.contains('is-expanded');
         const interactionsToRender = isExpanded ? allInteractions : allInteractions.slice(0, limit);
 
-        let listHtml = interactionsToRender.map(renderSingleInteractionItem).join('');
+        let listHtml = interactionsToRender.map(_renderTimelineItem).join('');
 
         if (allInteractions.length > limit) {
             const buttonText = isExpanded
@@ -177,10 +213,13 @@ const OpportunityInteractions = (() => {
         });
 
         // 可選：確保排序（若後端已排序可刪）
-        // discussionInteractions.sort((a, b) => new Date(b.interactionTime || b.createdTime || 0) - new Date(a.interactionTime || a.createdTime || 0));
         // activityLogInteractions.sort((a, b) => new Date(b.interactionTime || b.createdTime || 0) - new Date(a.interactionTime || a.createdTime || 0));
 
-        _renderTimelineList('#discussion-timeline', discussionInteractions, 5);
+        // 已完成任務依完成時間穿插於討論動態中
+        const discussionItems = discussionInteractions.concat(_completedTasks)
+            .sort((a, b) => _timelineTime(b) - _timelineTime(a));
+
+        _renderTimelineList('#discussion-timeline', discussionItems, 5);
         _renderTimelineList('#activity-log-timeline', activityLogInteractions, 3);
     }
 
@@ -210,6 +249,10 @@ const OpportunityInteractions = (() => {
                 modifier: getCurrentUser()
             };
 
+            // 有日期時後端依「下次行動」建立或更新任務 (日期不儲存在互動紀錄)
+            const nextActionDate = form.querySelector('#interaction-next-action-date').value;
+            if (nextActionDate) interactionData.nextActionDate = nextActionDate;
+
             if (_context.opportunityId) interactionData.opportunityId = _context.opportunityId;
             if (_context.companyId) interactionData.companyId = _context.companyId;
 
@@ -275,10 +318,12 @@ const OpportunityInteractions = (() => {
         form.querySelector('#interaction-event-type').value = item.eventType;
         form.querySelector('#interaction-summary').value = item.contentSummary;
         form.querySelector('#interaction-next-action').value = item.nextAction;
+        form.querySelector('#interaction-next-action-date').value = '';
 
         const eventTypeSelect = form.querySelector('#interaction-event-type');
         const summaryTextarea = form.querySelector('#interaction-summary');
         const nextActionInput = form.querySelector('#interaction-next-action');
+        const nextActionDateInput = form.querySelector('#interaction-next-action-date');
         const submitBtn = form.querySelector('#interaction-submit-btn');
 
         // Evidence: 鎖定判斷固定兩類
@@ -288,11 +333,13 @@ const OpportunityInteractions = (() => {
             eventTypeSelect.disabled = true;
             summaryTextarea.readOnly = true;
             nextActionInput.readOnly = true;
+            nextActionDateInput.readOnly = true;
             submitBtn.textContent = '💾 僅儲存時間變更';
         } else {
             eventTypeSelect.disabled = false;
             summaryTextarea.readOnly = false;
             nextActionInput.readOnly = false;
+            nextActionDateInput.readOnly = false;
             submitBtn.textContent = '💾 儲存變更';
         }
 
@@ -326,11 +373,13 @@ const OpportunityInteractions = (() => {
 
     /**
      * 公開：初始化
+     * @param {Array<object>} [completedTasks] - 機會詳情的 completedTasks，顯示於討論動態
      */
-    function init(containerElement, context, interactions) {
+    function init(containerElement, context, interactions, completedTasks = []) {
         _container = containerElement;
         _context = context || {};
         _interactions = Array.isArray(interactions) ? interactions : [];
+        _completedTasks = Array.isArray(completedTasks) ? completedTasks : [];
 
         if (!_container) {
             console.error('[Interactions] 初始化失敗：未提供有效的容器元素。');
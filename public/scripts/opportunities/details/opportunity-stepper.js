@@ -1,8 +1,9 @@
 // views/scripts/opportunity-details/stepper.js
 // 職責：專門管理「機會進程」區塊的所有 UI 渲染與互動邏輯
-// * @version 2.1.0 (Phase 7 SQL Type Compatibility Fix)
-// * @date 2026-02-04
+// * @version 2.2.0 (Configurable Pipeline Stages)
+// * @date 2026-10-19
 // (V2 - 修正：相容新舊兩種 stageHistory 格式)
+// (V2.2 - 依「機會階段」stageType 顯示：lost 階段為替代結局，僅在目前階段或編輯模式時顯示)
 
 const OpportunityStepper = (() => {
     // 模組內的私有變數
@@ -103,11 +104,24 @@ const OpportunityStepper = (() => {
         }
     }
     
+    // 取得要顯示的階段：lost 類型不屬於正常進程，只在為目前階段或編輯模式時顯示
+    function _getVisibleStages(includeAllStages) {
+        const allStages = CRM_APP.systemConfig['機會階段'] || [];
+        if (includeAllStages) return allStages;
+        return allStages.filter(stage => stage.stageType !== 'lost' || stage.value === _opportunityInfo.currentStage);
+    }
+
+    function _getStageTitle(stage) {
+        const name = stage.note || stage.value;
+        const hasProbability = stage.winProbability !== null && stage.winProbability !== undefined;
+        return hasProbability ? `${name} (預設贏單機率 ${stage.winProbability}%)` : name;
+    }
+
     // 渲染檢視模式
-    function _renderViewMode() {
+    function _renderViewMode(includeAllStages = false) {
         const container = document.getElementById('opportunity-stage-stepper');
         const header = document.querySelector('#opportunity-stage-stepper-container .widget-header');
-        const allStages = CRM_APP.systemConfig['機會階段'] || [];
+        const allStages = _getVisibleStages(includeAllStages);
 
         header.innerHTML = `
             <h2 class="widget-title">機會進程</h2>
@@ -173,8 +187,12 @@ const OpportunityStepper = (() => {
             }
             // --- 【*** 修正結束 ***】 ---
 
+            if (stage.stageType === 'won' || stage.stageType === 'lost') {
+                statusClass += ` stage-type-${stage.stageType}`;
+            }
+
             return `
-                <div class="stage-step ${statusClass.trim()}" data-stage-id="${stage.value}" title="${stage.note || stage.value}">
+                <div class="stage-step ${statusClass.trim()}" data-stage-id="${stage.value}" title="${_getStageTitle(stage)}">
                     <div class="step-circle">${icon}</div>
                     <div class="step-name">${stage.note || stage.value}</div>
                 </div>
@@ -186,6 +204,9 @@ const OpportunityStepper = (() => {
 
     // 渲染編輯模式
     function _renderEditMode() {
+        // 編輯時列出所有階段 (含 lost)，讓使用者可直接設定結局
+        _renderViewMode(true);
+
         const container = document.getElementById('opportunity-stage-stepper');
         const header = document.querySelector('#opportunity-stage-stepper-container .widget-header');
         const stepperContainer = container.querySelector('.stage-stepper-container');
@@ -297,6 +318,13 @@ const OpportunityStepper = (() => {
             .stage-step.current .step-circle {
                 box-shadow: 0 0 0 4px var(--accent-blue);
             }
+            .stage-step.stage-type-won.current .step-circle {
+                background-color: var(--accent-green); border-color: var(--accent-green); color: white;
+            }
+            .stage-step.stage-type-lost.current .step-circle {
+                background-color: var(--accent-red); border-color: var(--accent-red); color: white;
+                box-shadow: 0 0 0 4px var(--accent-red);
+            }
         `;
         document.head.appendChild(style);
     }
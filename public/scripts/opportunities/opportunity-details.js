@@ -1,4 +1,6 @@
 // views/scripts/opportunity-details.js (重構後的主控制器)
+// 任務：詳情附帶的 completedTasks 交給 OpportunityInteractions 顯示於動態牆；任務異動時只重繪互動區塊。
+// 即時推播：本機會的資料被其他人修改時，只重新渲染受影響的區塊；使用者正在編輯時僅提示，不覆蓋輸入中的內容。
 
 window.currentDetailOpportunityId = null;
 window.currentOpportunityData = null; 
@@ -20,7 +22,7 @@ async function loadOpportunityDetailPage(opportunityId) {
         const result = await authedFetch(`/api/opportunities/${opportunityId}/details`);
         if (!result.success) throw new Error(result.error);
         
-        const { opportunityInfo, interactions, eventLogs, linkedContacts, potentialContacts, parentOpportunity, childOpportunities } = result.data;
+        const { opportunityInfo, interactions, eventLogs, linkedContacts, potentialContacts, parentOpportunity, childOpportunities, completedTasks } = result.data;
         window.currentOpportunityData = opportunityInfo; 
 
         // 1. 渲染主模板
@@ -45,12 +47,21 @@ async function loadOpportunityDetailPage(opportunityId) {
             // 初始化互動區塊
             const interactionContainer = document.getElementById('tab-content-interactions');
             if (interactionContainer) {
-                OpportunityInteractions.init(interactionContainer, { opportunityId: opportunityInfo.opportunityId }, interactions || []);
+                OpportunityInteractions.init(interactionContainer, { opportunityId: opportunityInfo.opportunityId }, interactions || [], completedTasks || []);
+
+                // 變更紀錄：每次切換到該頁籤時重新載入，確保看到最新異動
+                const auditTab = interactionContainer.querySelector('.sub-tab-link[data-tab="audit"]');
+                if (auditTab && window.AuditHistory) {
+                    auditTab.addEventListener('click', () => {
+                        AuditHistory.load('#opportunity-audit-history', 'opportunity', opportunityInfo.opportunityId);
+                    });
+                }
             }
             
             // 初始化關聯對象
             OpportunityContacts.init(opportunityInfo, linkedContacts || []);
             OpportunityAssociatedOpps.render({ opportunityInfo, parentOpportunity, childOpportunities });
+            OpportunityShares.init(opportunityInfo);
             
             // 初始化潛在聯絡人
             if (window.PotentialContactsManager) {
@@ -76,7 +87,95 @@ async function loadOpportunityDetailPage(opportunityId) {
     }
 }
 
+/**
+ * 使用者是否正在編輯 (資訊卡編輯模式、階段編輯模式或有開啟中的 Modal)
+ */
+function isOpportunityDetailBusy() {
+    const editMode = document.getElementById('opportunity-info-edit-mode');
+    if (editMode && editMode.style.display !== 'none') return true;
+    if (document.querySelector('.stage-stepper-container.edit-mode')) return true;
+    return !!document.querySelector('.modal[style*="display: block"]');
+}
+
+function isInteractionFormDirty() {
+    const form = document.getElementById('new-interaction-form');
+    if (!form) return false;
+    return form.contains(document.activeElement)
+        || !!form.querySelector('#interaction-edit-rowIndex')?.value
+        || !!form.querySelector('#interaction-summary')?.value.trim()
+        || !!form.querySelector('#interaction-next-action')?.value.trim()
+        || !!form.querySelector('#interaction-next-action-date')?.value;
+}
+
+/**
+ * 套用 ChangeStream 的異動通知：重新讀取詳細資料，依異動實體局部重繪
+ * @param {Object} change - { entity, id, action, actor, opportunityId? }
+ */
+async function applyOpportunityDetailChange(change, { isOwn }) {
+    const opportunityId = window.currentDetailOpportunityId;
+    if (!opportunityId || (change.id !== opportunityId && change.opportunityId !== opportunityId)) return;
+
+    // 自己的寫入 (可能來自其他分頁) 同樣局部更新，但不顯示提示
+    const actorName = change.actor?.name || '其他成員';
+    if (change.entity === 'opportunity' && change.action === 'deleted') {
+        if (!isOwn) showNotification(`${actorName} 已刪除此機會`, 'warning', 6000);
+        return;
+    }
+
+    if (isOpportunityDetailBusy()) {
+        if (!isOwn) showNotification(`${actorName} 剛剛更新了這筆機會，完成編輯後請重新整理以取得最新資料`, 'warning', 6000);
+        return;
+    }
+
+    let details;
+    try {
+        const result = await authedFetch(`/api/opportunities/${opportunityId}/details`);
+        if (!result.success) return;
+        details = result.data;
+    } catch (error) {
+        return;
+    }
+    // 讀取期間使用者已離開此頁或開始編輯
+    if (window.currentDetailOpportunityId !== opportunityId || isOpportunityDetailBusy()) return;
+
+    const { opportunityInfo, interactions, eventLogs, linkedContacts, completedTasks } = details;
+    window.currentOpportunityData = opportunityInfo;
+
+    if (change.entity === 'opportunity' || change.entity === 'contact') {
+        OpportunityInfoCard.render(opportunityInfo);
+        OpportunityInfoCardEvents.init(opportunityInfo);
+        OpportunityStepper.init(opportunityInfo);
+        OpportunityContacts.init(opportunityInfo, linkedContacts || []);
+        OpportunityShares.init(opportunityInfo);
+    } else if (change.entity === 'interaction' || change.entity === 'task') {
+        const interactionContainer = document.getElementById('tab-content-interactions');
+        // init 會重置新增表單，填寫中時只提示
+        if (isInteractionFormDirty()) {
+            if (!isOwn) {
+                const label = change.entity === 'task' ? '任務' : '互動紀錄';
+                showNotification(`${actorName} 剛剛新增或修改了${label}，送出表單後即會顯示`, 'info', 4000);
+            }
+            return;
+        }
+        if (interactionContainer) {
+            OpportunityInteractions.init(interactionContainer, { opportunityId: opportunityInfo.opportunityId }, interactions || [], completedTasks || []);
+        }
+    } else if (change.entity === 'eventLog') {
+        OpportunityEvents.init(eventLogs || [], {
+            opportunityId: opportunityInfo.opportunityId,
+            opportunityName: opportunityInfo.opportunityName,
+            linkedContacts: linkedContacts || []
+        });
+    }
+
+    ChangeStream.notifyActor(change);
+}
+
 // 註冊模組
+if (window.ChangeStream) {
+    ChangeStream.register('opportunity-details', applyOpportunityDetailChange);
+}
+
 if (window.CRM_APP) {
     window.CRM_APP.pageModules['opportunity-details'] = loadOpportunityDetailPage;
 }
\ No newline at end of file
@@ -5,6 +5,19 @@
 let allSearchedContacts = [];
 let companySearchTimeout;
 let linkOppSearchTimeout;
+let editOpportunityOriginal = null; // 編輯開啟時的欄位快照 (版本衝突合併用)
+
+// 編輯機會表單：欄位名稱 -> 元素 ID
+const EDIT_OPPORTUNITY_FIELDS = {
+    opportunityName: 'edit-opportunity-name',
+    opportunityType: 'edit-opportunity-type',
+    opportunitySource: 'edit-opportunity-source',
+    currentStage: 'edit-current-stage',
+    assignee: 'edit-assignee',
+    expectedCloseDate: 'edit-expected-close-date',
+    opportunityValue: 'edit-opportunity-value',
+    notes: 'edit-opportunity-notes'
+};
 
 // ==================== Wizard 核心邏輯 (新增機會專用) ====================
 const NewOppWizard = {
@@ -16,7 +29,7 @@ const NewOppWizard = {
             mainContact: '',
             contactPhone: '',
             county: '',
-            sourceId: null // 用於名片轉入 (rowIndex)
+            sourceId: null // 用於名片轉入 (潛在客戶 contactId)
         }
     },
 
@@ -217,7 +230,7 @@ const NewOppWizard = {
         this.state.data.companyName = card.company;
         this.state.data.mainContact = card.name;
         this.state.data.contactPhone = card.mobile || card.phone;
-        this.state.data.sourceId = card.rowIndex;
+        this.state.data.sourceId = card.contactId;
         
         if(card.address && typeof detectCountyFromAddress === 'function') {
             const detected = detectCountyFromAddress(card.address);
@@ -490,6 +503,8 @@ async function editOpportunity(opportunityId) {
 
         showModal('edit-opportunity-modal');
         document.getElementById('edit-opportunity-rowIndex').value = opportunity.rowIndex;
+        document.getElementById('edit-opportunity-id').value = opportunity.opportunityId || '';
+        document.getElementById('edit-opportunity-version').value = opportunity.lastUpdateTime || opportunity.updatedTime || '';
         document.getElementById('edit-opportunity-name').value = opportunity.opportunityName;
         document.getElementById('edit-customer-company').value = opportunity.customerCompany;
         document.getElementById('edit-main-contact').value = opportunity.mainContact;
@@ -503,6 +518,7 @@ async function editOpportunity(opportunityId) {
             populateSelect('edit-current-stage', window.CRM_APP.systemConfig['機會階段'], opportunity.currentStage);
             populateSelect('edit-assignee', window.CRM_APP.systemConfig['團隊成員'], opportunity.assignee);
         }
+        editOpportunityOriginal = readEditOpportunityForm();
         if (typeof populateCountyDropdown === 'function') {
             populateCountyDropdown('edit-company-county');
         }
@@ -517,6 +533,74 @@ async function editOpportunity(opportunityId) {
     }
 }
 
+function readEditOpportunityForm() {
+    const data = {};
+    Object.entries(EDIT_OPPORTUNITY_FIELDS).forEach(([field, elementId]) => {
+        data[field] = document.getElementById(elementId).value;
+    });
+    return data;
+}
+
+function fillEditOpportunityForm(data) {
+    Object.entries(EDIT_OPPORTUNITY_FIELDS).forEach(([field, elementId]) => {
+        if (data[field] !== undefined) document.getElementById(elementId).value = data[field];
+    });
+}
+
+/**
+ * 儲存編輯機會表單
+ * @param {string} [expectedVersion] - 覆寫時帶入伺服器最新版本；未提供時使用開啟編輯時的版本
+ */
+async function submitEditOpportunity(expectedVersion) {
+    let conflictError = null;
+    showLoading('正在儲存編輯...');
+    try {
+        const opportunityKey = document.getElementById('edit-opportunity-id').value
+            || document.getElementById('edit-opportunity-rowIndex').value;
+        const companyName = document.getElementById('edit-customer-company').value;
+        const newCounty = document.getElementById('edit-company-county').value;
+
+        const updateOpportunityData = {
+            ...readEditOpportunityForm(),
+            modifier: getCurrentUser(),
+            expectedVersion: expectedVersion ?? document.getElementById('edit-opportunity-version').value
+        };
+
+        // 先更新機會本身，版本衝突時不連帶更新公司縣市
+        await authedFetch(`/api/opportunities/${encodeURIComponent(opportunityKey)}`, { method: 'PUT', body: JSON.stringify(updateOpportunityData) });
+        if (newCounty) {
+            const encodedCompanyName = encodeURIComponent(companyName);
+            await authedFetch(`/api/companies/${encodedCompanyName}`, { method: 'PUT', body: JSON.stringify({ county: newCounty }) });
+        }
+        closeModal('edit-opportunity-modal');
+    } catch (error) {
+        if (error.isVersionConflict) conflictError = error;
+        else if (error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+
+    if (conflictError) handleEditOpportunityConflict(conflictError);
+}
+
+function handleEditOpportunityConflict(error) {
+    showVersionConflictDialog(error, {
+        onOverwrite: (currentVersion) => submitEditOpportunity(currentVersion || ''),
+        onMerge: (latest, currentVersion) => {
+            const merged = mergeConflictingEdits(editOpportunityOriginal, readEditOpportunityForm(), latest);
+            fillEditOpportunityForm(merged);
+
+            // 之後的比對基準改為伺服器最新資料
+            editOpportunityOriginal = { ...editOpportunityOriginal };
+            Object.keys(editOpportunityOriginal).forEach(field => {
+                if (latest && latest[field] !== undefined) editOpportunityOriginal[field] = latest[field];
+            });
+            document.getElementById('edit-opportunity-version').value = currentVersion || '';
+            showNotification('已載入最新資料並保留您修改過的欄位，請確認後再儲存。', 'info');
+        }
+    });
+}
+
 // 3. 關聯聯絡人 Modal
 function showLinkContactModal(opportunityId) {
     showModal('link-contact-modal');
@@ -624,7 +708,6 @@ async function handleLinkContact(contactData, type) {
         mobile: contactData.mobile,
         phone: contactData.phone,
         email: contactData.email,
-        rowIndex: contactData.rowIndex, 
         company: contactData.companyName || contactData.company,
         contactId: contactData.contactId
     };
@@ -722,16 +805,14 @@ document.addEventListener('submit', async function(e) {
             
             assignee: document.getElementById('wiz-assignee').value,
             currentStage: document.getElementById('wiz-stage').value,
-            notes: document.getElementById('wiz-notes').value,
-            
-            rowIndex: stateData.sourceId 
+            notes: document.getElementById('wiz-notes').value
         };
 
         showLoading('正在建立機會案件...');
         try {
             let url = '/api/opportunities';
-            if (payload.rowIndex) {
-                url = `/api/contacts/${payload.rowIndex}/upgrade`;
+            if (stateData.sourceId) {
+                url = `/api/contacts/potential/${encodeURIComponent(stateData.sourceId)}/upgrade`;
             }
             const result = await authedFetch(url, { method: 'POST', body: JSON.stringify(payload) });
 
@@ -750,38 +831,6 @@ document.addEventListener('submit', async function(e) {
     // 2. 編輯機會表單提交
     if (e.target.id === 'edit-opportunity-form') {
         e.preventDefault();
-        showLoading('正在儲存編輯...');
-        try {
-            const rowIndex = document.getElementById('edit-opportunity-rowIndex').value;
-            const modifier = getCurrentUser();
-            const companyName = document.getElementById('edit-customer-company').value;
-            const newCounty = document.getElementById('edit-company-county').value;
-            
-            const updateOpportunityData = {
-                opportunityName: document.getElementById('edit-opportunity-name').value,
-                opportunityType: document.getElementById('edit-opportunity-type').value,
-                opportunitySource: document.getElementById('edit-opportunity-source').value,
-                currentStage: document.getElementById('edit-current-stage').value,
-                assignee: document.getElementById('edit-assignee').value,
-                expectedCloseDate: document.getElementById('edit-expected-close-date').value,
-                opportunityValue: document.getElementById('edit-opportunity-value').value,
-                notes: document.getElementById('edit-opportunity-notes').value,
-                modifier: modifier
-            };
-            
-            const promises = [
-                authedFetch(`/api/opportunities/${rowIndex}`, { method: 'PUT', body: JSON.stringify(updateOpportunityData) })
-            ];
-            if (newCounty) {
-                const encodedCompanyName = encodeURIComponent(companyName);
-                promises.push(authedFetch(`/api/companies/${encodedCompanyName}`, { method: 'PUT', body: JSON.stringify({ county: newCounty }) }));
-            }
-            await Promise.all(promises);
-            closeModal('edit-opportunity-modal');
-        } catch (error) {
-            if (error.message !== 'Unauthorized') showNotification(`更新失敗: ${error.message}`, 'error');
-        } finally {
-            hideLoading();
-        }
+        await submitEditOpportunity();
     }
 });
\ No newline at end of file
@@ -4,6 +4,7 @@
  * [獨立模組] 商品詳細視窗管理器
  * 負責處理 Modal 的顯示、編輯模式切換、資料填入與儲存
  * Fix: 2025-01 強制阻擋背景點擊冒泡，防止全域腳本誤關視窗
+ * 價格欄位依 setFieldAccess() 隱藏 (maskedFields) 或於編輯模式保持鎖定 (readOnlyFields)
  */
 class ProductDetailModal {
     constructor() {
@@ -16,6 +17,10 @@ class ProductDetailModal {
         // 追蹤分類輸入模式
         this.isManualCategoryMode = false;
 
+        // 機敏欄位存取範圍 (由 ProductManager 依 API 回應設定)
+        this.fieldAccess = { maskedFields: [], readOnlyFields: [] };
+        this.canEdit = true;
+
         this.elements = {
             modal: document.getElementById(this.modalId),
             form: document.getElementById('product-detail-form'),
@@ -96,6 +101,28 @@ class ProductDetailModal {
         }
     }
 
+    /**
+     * 設定價格欄位的存取範圍
+     * @param {{maskedFields: Array<string>, readOnlyFields: Array<string>}} fieldAccess
+     * @param {boolean} canEdit - 是否具備 product:write
+     */
+    setFieldAccess(fieldAccess, canEdit) {
+        this.fieldAccess = fieldAccess;
+        this.canEdit = canEdit;
+
+        const form = this.elements.form;
+        if (!form) return;
+        ['cost', 'priceMtb', 'priceSi', 'priceMtu'].forEach(field => {
+            const input = form.elements[field];
+            const group = input && input.closest('.modal-form-group');
+            if (group) group.style.display = fieldAccess.maskedFields.includes(field) ? 'none' : '';
+        });
+    }
+
+    _isPriceLocked(field) {
+        return this.fieldAccess.maskedFields.includes(field) || this.fieldAccess.readOnlyFields.includes(field);
+    }
+
     open(product, allCategories, saveCallback) {
         this.currentProduct = JSON.parse(JSON.stringify(product));
         this.categories = allCategories || [];
@@ -187,8 +214,8 @@ class ProductDetailModal {
             if(this.elements.title) this.elements.title.textContent = '編輯商品';
             
             Array.from(form.elements).forEach(el => {
-                // 不啟用 ID 和 Cost Display (******)
-                if (el.name !== 'id' && el.id !== 'input-cost-display') {
+                // 不啟用 ID、Cost Display (******) 與無權限修改的價格欄位
+                if (el.name !== 'id' && el.id !== 'input-cost-display' && !this._isPriceLocked(el.name)) {
                     el.disabled = false;
                 }
             });
@@ -199,9 +226,9 @@ class ProductDetailModal {
             if(this.elements.btnSave) this.elements.btnSave.style.display = 'inline-flex';
             if(this.elements.btnCancel) this.elements.btnCancel.style.display = 'inline-flex';
 
-            // ★ 成本：切換為真實輸入框
-            if(this.elements.costDisplay) this.elements.costDisplay.style.display = 'none';
-            if(this.elements.costReal) {
+            // ★ 成本：切換為真實輸入框 (無權限修改時維持星號)
+            if(this.elements.costDisplay && !this._isPriceLocked('cost')) this.elements.costDisplay.style.display = 'none';
+            if(this.elements.costReal && !this._isPriceLocked('cost')) {
                 this.elements.costReal.style.display = 'block';
                 this.elements.costReal.type = 'number';
                 // 確保啟用
@@ -217,7 +244,7 @@ class ProductDetailModal {
 
             Array.from(form.elements).forEach(el => el.disabled = true);
             
-            if(this.elements.btnEdit) this.elements.btnEdit.style.display = 'inline-flex';
+            if(this.elements.btnEdit) this.elements.btnEdit.style.display = this.canEdit ? 'inline-flex' : 'none';
             if(this.elements.btnSave) this.elements.btnSave.style.display = 'none';
             if(this.elements.btnCancel) this.elements.btnCancel.style.display = 'none';
 
@@ -1,10 +1,11 @@
 /**
  * public/scripts/products/products.js
  * 商品管理前端模組
- * * @version 5.2.0 (Phase 4 Frontend Optimization)
+ * * @version 5.3.0 (Field Masking)
  * @description 
  * 1. 實作前端 Dirty Checking (只送出有變更的資料)。
  * 2. 增加 DOM 元素檢測，防止 textContent of null 錯誤。
+ * 3. 依 GET /api/products 回傳的 maskedFields / readOnlyFields 隱藏或鎖定價格欄位；無 product:write 時不顯示編輯按鈕。
  */
 
 window.ProductManager = {
@@ -14,6 +15,23 @@ window.ProductManager = {
     isEditMode: false,
     hasBoundGlobalEvents: false,
     detailModal: null,
+    fieldAccess: { maskedFields: [], readOnlyFields: [] },
+
+    // 價格欄位 (依序顯示)；是否顯示/可編輯由後端回傳的 fieldAccess 決定
+    PRICE_COLUMNS: [
+        { field: 'cost', label: '成本' },
+        { field: 'priceMtb', label: 'MTB' },
+        { field: 'priceSi', label: 'SI' },
+        { field: 'priceMtu', label: 'MTU' }
+    ],
+
+    canEdit() {
+        return typeof CRM_APP.hasPermission === 'function' && CRM_APP.hasPermission('product:write');
+    },
+
+    getVisiblePriceColumns() {
+        return this.PRICE_COLUMNS.filter(col => !this.fieldAccess.maskedFields.includes(col.field));
+    },
 
     async init() {
         const container = document.getElementById('page-products');
@@ -50,6 +68,11 @@ window.ProductManager = {
             const res = await authedFetch('/api/products');
             if (!res.success) throw new Error(res.error);
             this.allProducts = res.data || [];
+            this.fieldAccess = {
+                maskedFields: res.maskedFields || [],
+                readOnlyFields: res.readOnlyFields || []
+            };
+            if (this.detailModal) this.detailModal.setFieldAccess(this.fieldAccess, this.canEdit());
             this.renderTable();
         } catch (error) {
             if (container) container.innerHTML = `<div class="alert alert-error">${error.message}</div>`;
@@ -84,6 +107,8 @@ window.ProductManager = {
         const panelActions = document.querySelector('.panel-actions');
         // 確保不會重複注入
         if (!panelActions || panelActions.querySelector('.product-actions-group')) return;
+        // 無編輯權限時僅保留唯讀瀏覽
+        if (!this.canEdit()) return;
 
         const btnGroup = document.createElement('div');
         btnGroup.className = 'product-actions-group';
@@ -193,6 +218,7 @@ window.ProductManager = {
         }
 
         let html = '';
+        const priceColumns = this.getVisiblePriceColumns();
         const thWithResizer = (text, width) => `
             <th style="width: ${width};">
                 ${text}
@@ -220,10 +246,7 @@ window.ProductManager = {
                                 ${thWithResizer('#', '50px')}
                                 ${thWithResizer('商品名稱', '220px')}
                                 ${thWithResizer('規格', '320px')}
-                                ${thWithResizer('成本', '110px')}
-                                ${thWithResizer('MTB', '110px')}
-                                ${thWithResizer('SI', '110px')}
-                                ${thWithResizer('MTU', '110px')}
+                                ${priceColumns.map(col => thWithResizer(col.label, '110px')).join('')}
                             </tr>
                         </thead>
                         <tbody>
@@ -243,10 +266,10 @@ window.ProductManager = {
                             
                             <td><input type="text" name="name" class="form-control seamless" value="${item.name||''}" placeholder="名稱"></td>
                             <td><input type="text" name="spec" class="form-control seamless" value="${item.spec||''}" placeholder="規格"></td>
-                            <td><input type="number" name="cost" class="form-control seamless" value="${item.cost||''}" placeholder="$"></td>
-                            <td><input type="number" name="priceMtb" class="form-control seamless" value="${item.priceMtb||''}" placeholder="$"></td>
-                            <td><input type="number" name="priceSi" class="form-control seamless" value="${item.priceSi ||''}" placeholder="$"></td>
-                            <td><input type="number" name="priceMtu" class="form-control seamless" value="${item.priceMtu||''}" placeholder="$"></td>
+                            ${priceColumns.map(col => {
+                                const readOnly = this.fieldAccess.readOnlyFields.includes(col.field);
+                                return `<td><input type="number" name="${col.field}" class="form-control seamless" value="${item[col.field]||''}" placeholder="$" ${readOnly ? 'disabled title="無權限修改價格"' : ''}></td>`;
+                            }).join('')}
                         </tr>
                     `;
                 } else {
@@ -261,13 +284,11 @@ window.ProductManager = {
                             <td title="${item.name}">${item.name}</td>
                             <td title="${item.spec||''}"><span class="tag-pill tag-spec">${item.spec||'-'}</span></td>
                             
-                            <td onclick="event.stopPropagation(); ProductManager.toggleCost('${item.id}')">
+                            ${priceColumns.map(col => col.field === 'cost'
+                                ? `<td onclick="event.stopPropagation(); ProductManager.toggleCost('${item.id}')">
                                 <span class="${costClass}">${costDisplay}</span>
-                            </td>
-                            
-                            <td><span class="tag-pill tag-price">${fmtMoney(item.priceMtb)}</span></td>
-                            <td><span class="tag-pill tag-price">${fmtMoney(item.priceSi)}</span></td>
-                            <td><span class="tag-pill tag-price">${fmtMoney(item.priceMtu)}</span></td>
+                            </td>`
+                                : `<td><span class="tag-pill tag-price">${fmtMoney(item[col.field])}</span></td>`).join('')}
                         </tr>
                     `;
                 }
@@ -362,6 +383,7 @@ window.ProductManager = {
     checkAndSaveOrder() {
         const chips = document.querySelectorAll('#category-chip-list .chip-item');
         const newOrder = Array.from(chips).map(c => c.dataset.category);
+        if (!this.canEdit()) return;
         if (JSON.stringify(this.categoryOrder) !== JSON.stringify(newOrder)) {
             this.saveCategoryOrder(newOrder);
         }
@@ -462,6 +484,8 @@ window.ProductManager = {
             let hasChange = false;
 
             inputs.forEach(i => {
+                // 無權限修改的價格欄位不送出
+                if (i.disabled) return;
                 const key = i.name;
                 const val = i.value.trim();
                 obj[key] = val;
@@ -87,6 +87,8 @@ const SalesAnalysisComponents = {
                     <button class="page-btn" onclick="changePage(-1)" id="btn-prev-page">上一頁</button><span class="page-info" id="page-info-display"></span><button class="page-btn" onclick="changePage(1)" id="btn-next-page">下一頁</button>
                 </div>
             </div>
+            <div id="sales-forecast-panel"></div>
+            <div id="sales-funnel-panel"></div>
         `;
     },
 
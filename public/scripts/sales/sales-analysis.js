@@ -47,7 +47,15 @@ async function loadSalesAnalysisPage(startDateISO, endDateISO) {
         clearBtn.addEventListener('click', clearSalesFilter);
     }
 
-    // 3. 獲取數據
+    // 3. 銷售預測與漏斗面板 (各自獨立的期間設定)
+    if (window.SalesForecastPanel) {
+        SalesForecastPanel.init();
+    }
+    if (window.SalesFunnelPanel) {
+        SalesFunnelPanel.init();
+    }
+
+    // 4. 獲取數據
     await fetchAndRenderSalesData(salesStartDate, salesEndDate);
 }
 
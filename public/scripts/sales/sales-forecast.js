@@ -0,0 +1,198 @@
+// public/scripts/sales/sales-forecast.js
+// 職責：銷售預測面板 (承諾 / 最佳情況 / 機率加權)，資料來源 GET /api/sales/forecast
+
+const SalesForecastPanel = {
+    containerId: 'sales-forecast-panel',
+    state: { from: '', to: '', groupBy: 'month' },
+
+    GROUP_LABELS: {
+        month: '依月份',
+        assignee: '依負責業務',
+        type: '依機會種類'
+    },
+
+    CATEGORY_LABELS: {
+        won: { text: '已贏單', color: '#10b981' },
+        commit: { text: '承諾', color: '#3b82f6' },
+        pipeline: { text: '潛在', color: '#9ca3af' }
+    },
+
+    _fmtMoney: function(v) {
+        return (v || 0).toLocaleString('zh-TW', { style: 'currency', currency: 'TWD', minimumFractionDigits: 0 });
+    },
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    init: function() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const groupOptions = Object.entries(this.GROUP_LABELS)
+            .map(([value, label]) => `<option value="${value}" ${value === this.state.groupBy ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header" style="align-items: flex-start;">
+                    <div><h2 class="widget-title">銷售預測</h2><p id="forecast-range-display" style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">依預計結案日彙整進行中與已贏單案件</p></div>
+                    <div style="display: flex; gap: 15px; align-items: center; flex-wrap: wrap;">
+                        <div class="form-group" style="margin-bottom: 0;"><label class="form-label" style="font-size: 0.8rem;">開始日期</label><input type="date" id="forecast-from" class="form-input form-input-sm" value="${this.state.from}"></div>
+                        <div class="form-group" style="margin-bottom: 0;"><label class="form-label" style="font-size: 0.8rem;">結束日期</label><input type="date" id="forecast-to" class="form-input form-input-sm" value="${this.state.to}"></div>
+                        <div class="form-group" style="margin-bottom: 0;"><label class="form-label" style="font-size: 0.8rem;">分組</label><select id="forecast-group-by" class="custom-select-control">${groupOptions}</select></div>
+                        <button id="forecast-refresh-btn" class="action-btn primary" style="height: 40px; margin-top: 20px;">查詢</button>
+                    </div>
+                </div>
+                <div id="forecast-content" class="widget-content"><div class="loading show"><div class="spinner"></div></div></div>
+            </div>
+        `;
+
+        document.getElementById('forecast-refresh-btn').addEventListener('click', () => this.refresh());
+        document.getElementById('forecast-group-by').addEventListener('change', () => this.refresh());
+
+        this.fetchAndRender();
+    },
+
+    refresh: function() {
+        const from = document.getElementById('forecast-from').value;
+        const to = document.getElementById('forecast-to').value;
+        if (from && to && from > to) {
+            showNotification('開始日期不能大於結束日期', 'warning');
+            return;
+        }
+        this.state = { from, to, groupBy: document.getElementById('forecast-group-by').value };
+        this.fetchAndRender();
+    },
+
+    fetchAndRender: async function() {
+        const content = document.getElementById('forecast-content');
+        if (!content) return;
+        content.innerHTML = '<div class="loading show"><div class="spinner"></div></div>';
+
+        try {
+            const params = new URLSearchParams({ groupBy: this.state.groupBy });
+            if (this.state.from) params.set('from', this.state.from);
+            if (this.state.to) params.set('to', this.state.to);
+
+            const result = await authedFetch(`/api/sales/forecast?${params.toString()}`);
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得預測資料');
+
+            this.render(result.data);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                console.error('[SalesForecast] 載入失敗:', error);
+                content.innerHTML = `<div class="alert alert-error">載入銷售預測失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function(data) {
+        const content = document.getElementById('forecast-content');
+        if (!content) return;
+
+        // 以後端實際採用的期間回填 (未指定時為本季)
+        document.getElementById('forecast-from').value = data.range.from;
+        document.getElementById('forecast-to').value = data.range.to;
+        document.getElementById('forecast-range-display').textContent =
+            `預測期間：${data.range.from} - ${data.range.to}（承諾門檻：下單機率 ≥ ${data.commitProbability}%）`;
+
+        const t = data.totals;
+        const excludedNote = data.excluded && data.excluded.noCloseDate
+            ? `<p style="color: var(--text-muted); font-size: 0.85rem; margin-top: 8px;">另有 ${data.excluded.noCloseDate} 件進行中案件未填預計結案日，未列入預測。</p>`
+            : '';
+
+        content.innerHTML = `
+            <div class="stats-grid" style="grid-template-columns: repeat(4, 1fr);">
+                <div class="stat-card solid-fill solid-green"><div class="stat-header"><div class="stat-label">已贏單</div></div><div class="stat-number">${this._fmtMoney(t.closedWon)}</div></div>
+                <div class="stat-card solid-fill solid-blue"><div class="stat-header"><div class="stat-label">承諾 (Committed)</div></div><div class="stat-number">${this._fmtMoney(t.committed)}</div></div>
+                <div class="stat-card solid-fill solid-purple"><div class="stat-header"><div class="stat-label">機率加權 (Weighted)</div></div><div class="stat-number">${this._fmtMoney(t.weighted)}</div></div>
+                <div class="stat-card solid-fill solid-teal"><div class="stat-header"><div class="stat-label">最佳情況 (Best Case)</div></div><div class="stat-number">${this._fmtMoney(t.bestCase)}</div></div>
+            </div>
+            ${excludedNote}
+            <div id="forecast-group-chart" style="height: 320px; margin-top: 16px;"></div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; margin-top: 16px;">
+                <div><h3 style="margin-bottom: 8px;">${this.GROUP_LABELS[data.groupBy]}</h3>${this._renderGroupTable(data.groups)}</div>
+                <div><h3 style="margin-bottom: 8px;">季度比較</h3>${this._renderQuarterTable(data.quarters)}</div>
+            </div>
+            <h3 style="margin: 16px 0 8px;">預測案件 (${data.deals.length})</h3>
+            ${this._renderDealsTable(data.deals)}
+        `;
+
+        this._renderChart(data.groups);
+    },
+
+    _renderGroupTable: function(groups) {
+        if (!groups.length) return '<div class="alert alert-info" style="text-align:center;">此期間沒有案件</div>';
+
+        const rows = groups.map(g => `<tr>
+            <td>${this._escape(g.label)}</td><td style="text-align:right;">${g.dealCount}</td>
+            <td style="text-align:right;">${this._fmtMoney(g.committed)}</td>
+            <td style="text-align:right;">${this._fmtMoney(g.weighted)}</td>
+            <td style="text-align:right;">${this._fmtMoney(g.bestCase)}</td></tr>`).join('');
+
+        return `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>分組</th><th style="text-align:right;">件數</th><th style="text-align:right;">承諾</th><th style="text-align:right;">加權</th><th style="text-align:right;">最佳情況</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderChange: function(value) {
+        if (value === null || value === undefined) return '<span style="color: var(--text-muted);">-</span>';
+        const color = value >= 0 ? 'var(--accent-green)' : 'var(--accent-red)';
+        return `<span style="color: ${color}; font-size: 0.85em;">${value >= 0 ? '▲' : '▼'} ${Math.abs(value)}%</span>`;
+    },
+
+    _renderQuarterTable: function(quarters) {
+        const rows = quarters.map(q => `<tr${q.isComparisonBase ? ' style="color: var(--text-muted);"' : ''}>
+            <td>${q.quarter}${q.isComparisonBase ? ' (比較基準)' : ''}</td>
+            <td style="text-align:right;">${this._fmtMoney(q.committed)} ${q.change ? this._renderChange(q.change.committed) : ''}</td>
+            <td style="text-align:right;">${this._fmtMoney(q.weighted)} ${q.change ? this._renderChange(q.change.weighted) : ''}</td>
+            <td style="text-align:right;">${this._fmtMoney(q.bestCase)} ${q.change ? this._renderChange(q.change.bestCase) : ''}</td></tr>`).join('');
+
+        return `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>季度</th><th style="text-align:right;">承諾</th><th style="text-align:right;">加權</th><th style="text-align:right;">最佳情況</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderDealsTable: function(deals) {
+        if (!deals.length) return '<div class="alert alert-info" style="text-align:center;">此期間沒有案件</div>';
+
+        const rows = deals.map(d => {
+            const category = this.CATEGORY_LABELS[d.category] || this.CATEGORY_LABELS.pipeline;
+            return `<tr>
+                <td>${this._escape(d.expectedCloseDate)}</td>
+                <td><a href="#" class="text-link" onclick="event.preventDefault();CRM_APP.navigateTo('opportunity-details',{opportunityId:'${this._escape(d.opportunityId)}'})"><strong>${this._escape(d.opportunityName)}</strong></a></td>
+                <td>${this._escape(d.customerCompany || '-')}</td><td>${this._escape(d.assignee || '-')}</td><td>${this._escape(d.currentStage || '-')}</td>
+                <td><span class="sales-chip" style="background:${category.color}">${category.text}</span></td>
+                <td style="text-align:right;">${d.probability}%</td>
+                <td style="text-align:right;">${this._fmtMoney(d.value)}</td>
+                <td style="text-align:right;font-weight:600;">${this._fmtMoney(d.weightedValue)}</td></tr>`;
+        }).join('');
+
+        return `<div class="table-container" style="overflow-x:auto;"><table class="data-table sticky-header"><thead><tr style="white-space:nowrap;">
+            <th>預計結案日</th><th>機會名稱</th><th>終端客戶</th><th>負責業務</th><th>階段</th><th>分類</th>
+            <th style="text-align:right;">機率</th><th style="text-align:right;">機會價值</th><th style="text-align:right;">加權金額</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderChart: function(groups) {
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function' || !document.getElementById('forecast-group-chart')) return;
+            createThemedChart('forecast-group-chart', {
+                chart: { type: 'column' },
+                title: { text: '' },
+                xAxis: { categories: groups.map(g => g.label) },
+                yAxis: { title: { text: '金額' } },
+                tooltip: { shared: true, valueDecimals: 0 },
+                series: [
+                    { name: '承諾', data: groups.map(g => g.committed), color: '#3b82f6' },
+                    { name: '機率加權', data: groups.map(g => g.weighted), color: '#8b5cf6' },
+                    { name: '最佳情況', data: groups.map(g => g.bestCase), color: '#0d9488' }
+                ]
+            });
+        }, 50);
+    }
+};
+
+window.SalesForecastPanel = SalesForecastPanel;
@@ -0,0 +1,211 @@
+// public/scripts/sales/sales-funnel.js
+// 職責：銷售漏斗與階段停留 (aging) 面板，資料來源 GET /api/sales/funnel
+
+const SalesFunnelPanel = {
+    containerId: 'sales-funnel-panel',
+    state: { from: '', to: '', dimension: 'opportunityType' },
+    data: null,
+
+    DIMENSION_LABELS: {
+        opportunityType: '機會種類',
+        salesModel: '銷售模式',
+        assignee: '負責業務'
+    },
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    _fmtRate: function(rate) {
+        return rate === null || rate === undefined ? '-' : `${rate}%`;
+    },
+
+    _fmtDays: function(days) {
+        return days === null || days === undefined ? '-' : `${days} 天`;
+    },
+
+    init: function() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const dimensionOptions = Object.entries(this.DIMENSION_LABELS)
+            .map(([value, label]) => `<option value="${value}" ${value === this.state.dimension ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <div class="dashboard-widget" style="margin-top: 24px;">
+                <div class="widget-header" style="align-items: flex-start;">
+                    <div><h2 class="widget-title">銷售漏斗與階段分析</h2><p id="funnel-range-display" style="color: var(--text-muted); font-size: 0.9rem; margin-top: 5px;">依機會建立日期篩選</p></div>
+                    <div style="display: flex; gap: 15px; align-items: center; flex-wrap: wrap;">
+                        <div class="form-group" style="margin-bottom: 0;"><label class="form-label" style="font-size: 0.8rem;">建立日期起</label><input type="date" id="funnel-from" class="form-input form-input-sm" value="${this.state.from}"></div>
+                        <div class="form-group" style="margin-bottom: 0;"><label class="form-label" style="font-size: 0.8rem;">建立日期迄</label><input type="date" id="funnel-to" class="form-input form-input-sm" value="${this.state.to}"></div>
+                        <button id="funnel-refresh-btn" class="action-btn primary" style="height: 40px; margin-top: 20px;">查詢</button>
+                    </div>
+                </div>
+                <div id="funnel-content" class="widget-content"><div class="loading show"><div class="spinner"></div></div></div>
+                <div class="widget-header" style="margin-top: 16px;">
+                    <h3>贏單率</h3>
+                    <select id="funnel-dimension" class="custom-select-control">${dimensionOptions}</select>
+                </div>
+                <div id="funnel-win-rate-content" class="widget-content"></div>
+            </div>
+        `;
+
+        document.getElementById('funnel-refresh-btn').addEventListener('click', () => this.refresh());
+        document.getElementById('funnel-dimension').addEventListener('change', (e) => {
+            this.state.dimension = e.target.value;
+            if (this.data) this._renderWinRates(this.data.winRates);
+        });
+
+        this.fetchAndRender();
+    },
+
+    refresh: function() {
+        const from = document.getElementById('funnel-from').value;
+        const to = document.getElementById('funnel-to').value;
+        if (from && to && from > to) {
+            showNotification('開始日期不能大於結束日期', 'warning');
+            return;
+        }
+        this.state.from = from;
+        this.state.to = to;
+        this.fetchAndRender();
+    },
+
+    fetchAndRender: async function() {
+        const content = document.getElementById('funnel-content');
+        if (!content) return;
+        content.innerHTML = '<div class="loading show"><div class="spinner"></div></div>';
+
+        try {
+            const params = new URLSearchParams();
+            if (this.state.from) params.set('from', this.state.from);
+            if (this.state.to) params.set('to', this.state.to);
+
+            const result = await authedFetch(`/api/sales/funnel?${params.toString()}`);
+            if (!result.success || !result.data) throw new Error(result.error || '無法取得漏斗資料');
+
+            this.data = result.data;
+            this.render(result.data);
+        } catch (error) {
+            if (error.message !== 'Unauthorized') {
+                console.error('[SalesFunnel] 載入失敗:', error);
+                content.innerHTML = `<div class="alert alert-error">載入漏斗分析失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function(data) {
+        const content = document.getElementById('funnel-content');
+        if (!content) return;
+
+        const t = data.totals;
+        const rangeText = data.range.from || data.range.to
+            ? `建立日期：${data.range.from || '不限'} - ${data.range.to || '不限'}`
+            : '建立日期：全歷史資料';
+        document.getElementById('funnel-range-display').textContent =
+            `${rangeText}（停留天數依變更紀錄計算，涵蓋 ${data.coverage.withStageTransitions} / ${data.coverage.opportunities} 件）`;
+
+        content.innerHTML = `
+            <div class="stats-grid" style="grid-template-columns: repeat(4, 1fr);">
+                <div class="stat-card blue"><div class="stat-header"><div class="stat-label">機會總數</div></div><div class="stat-number">${t.opportunities} 件</div></div>
+                <div class="stat-card solid-fill solid-green"><div class="stat-header"><div class="stat-label">贏單</div></div><div class="stat-number">${t.won} 件</div></div>
+                <div class="stat-card orange"><div class="stat-header"><div class="stat-label">流失</div></div><div class="stat-number">${t.lost} 件</div></div>
+                <div class="stat-card solid-fill solid-purple"><div class="stat-header"><div class="stat-label">贏單率</div></div><div class="stat-number">${this._fmtRate(t.winRate)}</div></div>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; margin-top: 16px;">
+                <div><h3 style="margin-bottom: 8px;">轉換漏斗</h3><div id="funnel-chart" style="height: 320px;"></div></div>
+                <div><h3 style="margin-bottom: 8px;">階段停留天數</h3><div id="stage-aging-chart" style="height: 320px;"></div></div>
+            </div>
+            <h3 style="margin: 16px 0 8px;">階段明細</h3>
+            ${this._renderStageTable(data.funnel)}
+        `;
+
+        this._renderWinRates(data.winRates);
+        this._renderCharts(data.funnel);
+    },
+
+    _renderStageTable: function(funnel) {
+        const rows = funnel.map(step => `<tr>
+            <td>${this._escape(step.label)}</td>
+            <td style="text-align:right;">${step.reached}</td>
+            <td style="text-align:right;">${this._fmtRate(step.conversionRate)}</td>
+            <td style="text-align:right;">${step.lost}</td>
+            <td style="text-align:right;">${this._fmtDays(step.duration.averageDays)}</td>
+            <td style="text-align:right;">${this._fmtDays(step.duration.medianDays)}</td>
+            <td style="text-align:right;">${step.current}</td>
+            <td style="text-align:right;">${this._fmtDays(step.aging.averageDays)}</td>
+            <td style="text-align:right;">${this._fmtDays(step.aging.maxDays)}</td></tr>`).join('');
+
+        return `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr style="white-space:nowrap;">
+            <th>階段</th><th style="text-align:right;">到達</th><th style="text-align:right;">轉換至下一階段</th><th style="text-align:right;">於此流失</th>
+            <th style="text-align:right;">平均停留</th><th style="text-align:right;">中位數停留</th>
+            <th style="text-align:right;">目前停留件數</th><th style="text-align:right;">目前平均已停留</th><th style="text-align:right;">最久已停留</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderWinRates: function(winRates) {
+        const container = document.getElementById('funnel-win-rate-content');
+        if (!container) return;
+
+        const items = (winRates && winRates[this.state.dimension]) || [];
+        if (!items.length) {
+            container.innerHTML = '<div class="alert alert-info" style="text-align:center;">沒有資料</div>';
+            return;
+        }
+
+        const rows = items.map(item => `<tr>
+            <td>${this._escape(item.label)}</td>
+            <td style="text-align:right;">${item.opportunities}</td>
+            <td style="text-align:right;">${item.won}</td>
+            <td style="text-align:right;">${item.lost}</td>
+            <td style="text-align:right;">${item.open}</td>
+            <td style="text-align:right;font-weight:600;">${this._fmtRate(item.winRate)}</td></tr>`).join('');
+
+        container.innerHTML = `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>${this.DIMENSION_LABELS[this.state.dimension]}</th><th style="text-align:right;">案件數</th><th style="text-align:right;">贏單</th>
+            <th style="text-align:right;">流失</th><th style="text-align:right;">進行中</th><th style="text-align:right;">贏單率</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderCharts: function(funnel) {
+        setTimeout(() => {
+            if (typeof createThemedChart !== 'function') return;
+
+            if (document.getElementById('funnel-chart')) {
+                createThemedChart('funnel-chart', {
+                    chart: { type: 'funnel' },
+                    title: { text: '' },
+                    plotOptions: {
+                        funnel: {
+                            neckWidth: '30%', neckHeight: '25%', width: '70%',
+                            dataLabels: { enabled: true, format: '<b>{point.name}</b> ({point.y})', softConnector: true }
+                        }
+                    },
+                    legend: { enabled: false },
+                    series: [{ name: '到達件數', data: funnel.map(step => [step.label, step.reached]) }]
+                });
+            }
+
+            // 已離開階段的停留天數與進行中案件的已停留天數 (終點的贏單不列入)
+            const agingSteps = funnel.filter(step => step.stageType !== 'won');
+            if (document.getElementById('stage-aging-chart')) {
+                createThemedChart('stage-aging-chart', {
+                    chart: { type: 'bar' },
+                    title: { text: '' },
+                    xAxis: { categories: agingSteps.map(step => step.label) },
+                    yAxis: { title: { text: '天數' } },
+                    tooltip: { shared: true, valueSuffix: ' 天' },
+                    series: [
+                        { name: '平均停留', data: agingSteps.map(step => step.duration.averageDays), color: '#3b82f6' },
+                        { name: '中位數停留', data: agingSteps.map(step => step.duration.medianDays), color: '#8b5cf6' },
+                        { name: '進行中平均已停留', data: agingSteps.map(step => step.aging.averageDays), color: '#f97316' }
+                    ]
+                });
+            }
+        }, 50);
+    }
+};
+
+window.SalesFunnelPanel = SalesFunnelPanel;
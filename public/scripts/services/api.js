@@ -1,5 +1,6 @@
 // public/scripts/services/api.js
 // 職責：專門處理 API 請求、認證 Token、錯誤處理以及流量控制 (Traffic Control)
+// Access Token 為短效 Token，收到 401 時先以 Refresh Token 換發並重送，換發失敗才導回登入頁。
 
 // --- Traffic Control Configuration ---
 const RATE_LIMIT_CONFIG = {
@@ -15,6 +16,60 @@ let isProcessingQueue = false;
 let lastRequestTime = 0;
 
 let isRedirectingToLogin = false;
+let isPromptingPasswordChange = false;
+let refreshPromise = null;
+
+/**
+ * 以 Refresh Token 換發 Access Token (Access Token 為短效，過期時由 executeFetch 自動呼叫)
+ * 同時只會有一個換發請求；其他分頁先換發成功時 (localStorage 的 Refresh Token 已更新) 視為成功
+ * @returns {Promise<boolean>} 是否取得新的 Access Token
+ */
+function refreshAccessToken() {
+    if (refreshPromise) return refreshPromise;
+
+    const refreshToken = localStorage.getItem('crmRefreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+
+    refreshPromise = (async () => {
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            const result = await response.json().catch(() => null);
+
+            if (!response.ok || !result?.success) {
+                return localStorage.getItem('crmRefreshToken') !== refreshToken;
+            }
+
+            localStorage.setItem('crm-token', result.token);
+            localStorage.setItem('crmToken', result.token);
+            localStorage.setItem('crmRefreshToken', result.refreshToken);
+            localStorage.setItem('crmUserRole', result.role || 'sales');
+            localStorage.setItem('crmUserPermissions', JSON.stringify(result.permissions || []));
+            return true;
+        } catch (error) {
+            console.warn('[authedFetch] Refresh Token 換發失敗:', error);
+            return false;
+        } finally {
+            refreshPromise = null;
+        }
+    })();
+    return refreshPromise;
+}
+
+/**
+ * 管理員重設密碼後，後端在變更密碼前拒絕其他 API (code: PASSWORD_CHANGE_REQUIRED)；
+ * 只開啟一次個人檔案的「設定新密碼」畫面，變更成功後會登出重新登入
+ */
+function promptPasswordChange(message) {
+    if (isPromptingPasswordChange || !window.UserProfile) return;
+    isPromptingPasswordChange = true;
+    showNotification(message || '請先變更密碼', 'warning', 5000);
+    window.UserProfile.open();
+    window.UserProfile.switchView('password');
+}
 
 /**
  * 經過認證與流量控制的 fetch 函式
@@ -87,14 +142,39 @@ async function executeFetch(url, options, attempts) {
             }
         }
 
+        // --- Handle Permission Denied (已登入但角色權限不足，不登出) ---
+        if (response.status === 403) {
+            const denied = await response.clone().json().catch(() => null);
+            if (denied?.code === 'PERMISSION_DENIED') {
+                const deniedError = new Error(denied.message || '權限不足');
+                deniedError.status = 403;
+                deniedError.permission = denied.permission;
+                throw deniedError;
+            }
+            if (denied?.code === 'PASSWORD_CHANGE_REQUIRED') {
+                promptPasswordChange(denied.message);
+                const changeError = new Error(denied.message || '請先變更密碼');
+                changeError.status = 403;
+                changeError.code = denied.code;
+                throw changeError;
+            }
+        }
+
+        // --- Access Token 過期：換發後重送一次 ---
+        if (response.status === 401 && !options._afterRefresh && await refreshAccessToken()) {
+            return executeFetch(url, { ...options, _afterRefresh: true }, attempts);
+        }
+
         // --- Handle Unauthorized ---
         if (response.status === 401 || response.status === 403) {
             if (!isRedirectingToLogin) {
                 isRedirectingToLogin = true;
                 localStorage.removeItem('crm-token');
                 localStorage.removeItem('crmToken');
+                localStorage.removeItem('crmRefreshToken');
                 localStorage.removeItem('crmCurrentUserName');
                 localStorage.removeItem('crmUserRole');
+                localStorage.removeItem('crmUserPermissions');
                 showNotification('您的登入已過期或無效，將跳轉至登入頁面。', 'error', 3000);
                 setTimeout(() => { window.location.href = '/login.html'; }, 2000);
             }
@@ -113,6 +193,17 @@ async function executeFetch(url, options, attempts) {
             }
         }
 
+        // --- Handle 409 Version Conflict (樂觀鎖) ---
+        // 保留伺服器回傳的最新資料，交由呼叫端顯示「覆寫 / 合併」提示
+        if (response.status === 409 && result?.conflict) {
+            const conflictError = new Error(result.error || '資料已被其他人更新');
+            conflictError.status = 409;
+            conflictError.isVersionConflict = true;
+            conflictError.currentVersion = result.currentVersion || '';
+            conflictError.current = result.current || null;
+            throw conflictError;
+        }
+
         if (!response.ok) {
             const errorDetails = result?.details || result?.message || result?.error || response.statusText || `HTTP error ${response.status}`;
             throw new Error(errorDetails);
@@ -132,7 +223,7 @@ async function executeFetch(url, options, attempts) {
         return result;
 
     } catch (error) {
-        if (error.message !== 'Unauthorized' && !isRedirectingToLogin) {
+        if (error.message !== 'Unauthorized' && !error.isVersionConflict && !isRedirectingToLogin && error.code !== 'PASSWORD_CHANGE_REQUIRED') {
             const displayError = error.message.length > 100 ? error.message.substring(0, 97) + '...' : error.message;
             showNotification(`操作失敗: ${displayError}`, 'error');
         }
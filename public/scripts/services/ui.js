@@ -113,6 +113,23 @@ function confirmAction(message, callback) {
  * @param {string} status - 狀態文字
  * @returns {string} HTML string
  */
+/**
+ * 版本衝突 (HTTP 409) 提示：讓使用者選擇「覆寫」或「載入最新資料並合併」
+ * @param {Error} error - authedFetch 拋出的衝突錯誤 (含 current / currentVersion)
+ * @param {{onOverwrite: Function, onMerge: Function}} handlers
+ */
+function showVersionConflictDialog(error, { onOverwrite, onMerge } = {}) {
+    const message = `${error.message}\n\n`
+        + '按「確定」以您目前的內容覆寫對方的更新；\n'
+        + '按「取消」載入最新資料並保留您修改過的欄位，確認後再次儲存。';
+
+    if (confirm(message)) {
+        if (onOverwrite) onOverwrite(error.currentVersion);
+    } else if (onMerge) {
+        onMerge(error.current, error.currentVersion);
+    }
+}
+
 function renderStatusChip(status) {
     if (!status) return '';
 
@@ -345,6 +362,7 @@ window.showToast = showToast;
 window.showLoading = showLoading;
 window.hideLoading = hideLoading;
 window.confirmAction = confirmAction;
+window.showVersionConflictDialog = showVersionConflictDialog;
 window.renderStatusChip = renderStatusChip;
 window.renderPriorityChip = renderPriorityChip;
 window.showBusinessCardPreview = showBusinessCardPreview;
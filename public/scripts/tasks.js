@@ -0,0 +1,302 @@
+// public/scripts/tasks.js
+// 職責：任務頁 (#tasks)，資料來源 /api/tasks；分「我的任務 / 逾期 / 全部」三個檢視，可新增、編輯、完成、重新開啟與刪除
+// 由互動紀錄「下次行動」自動建立的任務標示來源；寫入皆使用 skipRefresh 自行重繪，其他人的異動經 ChangeStream 重新載入。
+
+const TasksPage = {
+    containerId: 'page-tasks',
+    modalId: 'task-modal',
+    VIEWS: [
+        { key: 'mine', label: '我的任務', url: '/api/tasks/mine' },
+        { key: 'overdue', label: '逾期', url: '/api/tasks/overdue' },
+        { key: 'all', label: '全部', url: '/api/tasks?status=all' }
+    ],
+    STATUS_LABELS: { open: '進行中', done: '已完成', cancelled: '已取消' },
+    currentView: 'mine',
+    tasks: [],
+    opportunities: null,
+    editingId: null,
+
+    _escape: function(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    },
+
+    _canWrite: function() {
+        return !window.CRM_APP.hasPermission || window.CRM_APP.hasPermission('task:write');
+    },
+
+    init: async function() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        const tabs = this.VIEWS.map(view => `
+            <button class="action-btn small ${view.key === this.currentView ? 'primary' : 'secondary'}" data-action="view" data-view="${view.key}">${view.label}</button>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="dashboard-widget">
+                <div class="widget-header">
+                    <h2 class="widget-title">任務</h2>
+                    ${this._canWrite() ? '<button class="action-btn primary" data-action="create">＋ 新增任務</button>' : ''}
+                </div>
+                <div style="display:flex; gap:8px; padding: 0 1.5rem 1rem;">${tabs}</div>
+                <div id="task-list" class="widget-content">
+                    <div class="loading show"><div class="spinner"></div><p>載入任務中...</p></div>
+                </div>
+            </div>
+            ${this._renderModal()}
+        `;
+
+        if (!this._onClick) this._onClick = (e) => this._handleClick(e);
+        container.removeEventListener('click', this._onClick);
+        container.addEventListener('click', this._onClick);
+        document.getElementById('task-form').addEventListener('submit', (e) => this._handleSubmit(e));
+
+        await this.loadData();
+    },
+
+    loadData: async function() {
+        const list = document.getElementById('task-list');
+        const view = this.VIEWS.find(v => v.key === this.currentView) || this.VIEWS[0];
+        try {
+            const result = await authedFetch(view.url);
+            if (!result.success) throw new Error(result.error);
+            this.tasks = result.data || [];
+            this.render();
+        } catch (error) {
+            if (error.message !== 'Unauthorized' && list) {
+                list.innerHTML = `<div class="alert alert-error">載入任務失敗: ${this._escape(error.message)}</div>`;
+            }
+        }
+    },
+
+    render: function() {
+        const list = document.getElementById('task-list');
+        if (!list) return;
+
+        if (this.tasks.length === 0) {
+            const emptyText = { mine: '目前沒有待辦任務', overdue: '沒有逾期任務', all: '尚無任務' };
+            list.innerHTML = `<div class="alert alert-info" style="text-align:center;">${emptyText[this.currentView]}</div>`;
+            return;
+        }
+
+        const canWrite = this._canWrite();
+        const rows = this.tasks.map(task => {
+            const id = this._escape(task.taskId);
+            const due = task.dueDate
+                ? `<span style="${task.isOverdue ? 'color: var(--accent-red, #dc2626); font-weight:600;' : ''}">${this._escape(task.dueDate)}${task.isOverdue ? ' (逾期)' : ''}</span>`
+                : '-';
+            const related = task.opportunityId
+                ? `<a href="#" class="text-link" data-action="open-opportunity" data-opportunity-id="${this._escape(task.opportunityId)}">${this._escape(task.opportunityName || task.opportunityId)}</a>`
+                : this._escape(task.companyName) || '-';
+            const source = task.source === 'interaction' ? ' <span class="card-tag">互動下次行動</span>' : '';
+            const description = task.description ? `<br><small>${this._escape(task.description)}</small>` : '';
+
+            let actions = '';
+            if (canWrite) {
+                actions = task.status === 'open'
+                    ? `<button class="action-btn small primary" data-action="complete" data-task-id="${id}">完成</button>`
+                    : `<button class="action-btn small secondary" data-action="reopen" data-task-id="${id}">重新開啟</button>`;
+                actions += ` <button class="action-btn small secondary" data-action="edit" data-task-id="${id}">編輯</button>`;
+            }
+            if (!window.CRM_APP.hasPermission || window.CRM_APP.hasPermission('task:delete')) {
+                actions += ` <button class="action-btn small danger" data-action="delete" data-task-id="${id}">刪除</button>`;
+            }
+
+            return `<tr>
+                <td data-label="任務"><strong>${this._escape(task.title)}</strong>${source}${description}</td>
+                <td data-label="到期日">${due}</td>
+                <td data-label="負責人">${this._escape(task.assigneeName || task.assignee)}</td>
+                <td data-label="關聯">${related}</td>
+                <td data-label="狀態">${this.STATUS_LABELS[task.status] || this._escape(task.status)}</td>
+                <td data-label="操作" style="white-space:nowrap;">${actions || '-'}</td>
+            </tr>`;
+        }).join('');
+
+        list.innerHTML = `<div class="table-container" style="overflow-x:auto;"><table class="data-table"><thead><tr>
+            <th>任務</th><th>到期日</th><th>負責人</th><th>關聯</th><th>狀態</th><th>操作</th>
+            </tr></thead><tbody>${rows}</tbody></table></div>`;
+    },
+
+    _renderModal: function() {
+        return `
+            <div id="${this.modalId}" class="modal">
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h2 class="modal-title" id="task-modal-title">新增任務</h2>
+                        <button class="close-btn" onclick="closeModal('${this.modalId}')">&times;</button>
+                    </div>
+                    <form id="task-form">
+                        <div class="form-group">
+                            <label for="task-title" class="form-label">標題 *</label>
+                            <input type="text" id="task-title" class="form-input" maxlength="200" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="task-description" class="form-label">說明</label>
+                            <textarea id="task-description" class="form-textarea" maxlength="2000"></textarea>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="task-due-date" class="form-label">到期日</label>
+                                <input type="date" id="task-due-date" class="form-input">
+                            </div>
+                            <div class="form-group">
+                                <label for="task-assignee" class="form-label">負責人 (帳號或姓名，空白為自己)</label>
+                                <input type="text" id="task-assignee" class="form-input" list="task-assignee-options">
+                                <datalist id="task-assignee-options"></datalist>
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="task-opportunity" class="form-label">關聯機會</label>
+                            <div class="select-wrapper">
+                                <select id="task-opportunity" class="form-select"><option value="">(不關聯)</option></select>
+                            </div>
+                        </div>
+                        <button type="submit" class="submit-btn">儲存</button>
+                    </form>
+                </div>
+            </div>
+        `;
+    },
+
+    _openModal: async function(task) {
+        this.editingId = task ? task.taskId : null;
+
+        document.getElementById('task-form').reset();
+        document.getElementById('task-modal-title').textContent = task ? '編輯任務' : '新增任務';
+        document.getElementById('task-title').value = task ? task.title : '';
+        document.getElementById('task-description').value = task ? task.description : '';
+        document.getElementById('task-due-date').value = task ? task.dueDate : '';
+        document.getElementById('task-assignee').value = task ? task.assignee : '';
+
+        const members = (window.CRM_APP.systemConfig && window.CRM_APP.systemConfig['團隊成員']) || [];
+        document.getElementById('task-assignee-options').innerHTML = members
+            .map(member => `<option value="${this._escape(member.note || member.value)}"></option>`).join('');
+
+        showModal(this.modalId);
+        await this._fillOpportunityOptions(task ? task.opportunityId : '');
+    },
+
+    // 機會清單只在第一次開啟表單時讀取
+    _fillOpportunityOptions: async function(selectedId) {
+        const select = document.getElementById('task-opportunity');
+        if (!select) return;
+
+        if (!this.opportunities) {
+            try {
+                const result = await authedFetch('/api/opportunities');
+                this.opportunities = Array.isArray(result) ? result : (result.data || []);
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[Tasks] 載入機會清單失敗:', error);
+                this.opportunities = [];
+            }
+        }
+
+        select.innerHTML = '<option value="">(不關聯)</option>' + this.opportunities.map(opp =>
+            `<option value="${this._escape(opp.opportunityId)}">${this._escape(opp.opportunityName)}${opp.customerCompany ? ` - ${this._escape(opp.customerCompany)}` : ''}</option>`
+        ).join('');
+        select.value = selectedId || '';
+    },
+
+    _handleClick: function(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+        e.preventDefault();
+
+        const task = this.tasks.find(t => t.taskId === btn.dataset.taskId);
+        switch (btn.dataset.action) {
+            case 'view':
+                this.currentView = btn.dataset.view;
+                this.init();
+                break;
+            case 'create':
+                this._openModal(null);
+                break;
+            case 'edit':
+                if (task) this._openModal(task);
+                break;
+            case 'complete':
+                if (task) this._setStatus(task, 'done');
+                break;
+            case 'reopen':
+                if (task) this._setStatus(task, 'open');
+                break;
+            case 'delete':
+                if (task) this._delete(task);
+                break;
+            case 'open-opportunity':
+                CRM_APP.navigateTo('opportunity-details', { opportunityId: btn.dataset.opportunityId });
+                break;
+        }
+    },
+
+    _handleSubmit: async function(e) {
+        e.preventDefault();
+        const payload = {
+            title: document.getElementById('task-title').value.trim(),
+            description: document.getElementById('task-description').value.trim(),
+            dueDate: document.getElementById('task-due-date').value,
+            assignee: document.getElementById('task-assignee').value.trim(),
+            opportunityId: document.getElementById('task-opportunity').value
+        };
+
+        showLoading('正在儲存任務...');
+        try {
+            if (this.editingId) {
+                await authedFetch(`/api/tasks/${encodeURIComponent(this.editingId)}`, {
+                    method: 'PUT', body: JSON.stringify(payload), skipRefresh: true
+                });
+            } else {
+                await authedFetch('/api/tasks', { method: 'POST', body: JSON.stringify(payload), skipRefresh: true });
+            }
+            closeModal(this.modalId);
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Tasks] 儲存失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _setStatus: async function(task, status) {
+        showLoading(status === 'done' ? '正在完成任務...' : '正在重新開啟任務...');
+        try {
+            await authedFetch(`/api/tasks/${encodeURIComponent(task.taskId)}`, {
+                method: 'PUT', body: JSON.stringify({ status }), skipRefresh: true
+            });
+            await this.loadData();
+        } catch (error) {
+            if (error.message !== 'Unauthorized') console.error('[Tasks] 更新狀態失敗:', error);
+        } finally {
+            hideLoading();
+        }
+    },
+
+    _delete: function(task) {
+        showConfirmDialog(`確定要刪除任務「${task.title}」嗎？`, async () => {
+            showLoading('正在刪除...');
+            try {
+                await authedFetch(`/api/tasks/${encodeURIComponent(task.taskId)}`, { method: 'DELETE', skipRefresh: true });
+                await this.loadData();
+            } catch (error) {
+                if (error.message !== 'Unauthorized') console.error('[Tasks] 刪除失敗:', error);
+            } finally {
+                hideLoading();
+            }
+        });
+    }
+};
+
+window.TasksPage = TasksPage;
+
+if (window.CRM_APP) window.CRM_APP.pageModules['tasks'] = () => TasksPage.init();
+
+// 表單開啟中不重繪，避免覆蓋輸入中的內容
+if (window.ChangeStream) {
+    ChangeStream.register('tasks', (change, { isOwn }) => {
+        if (isOwn) return;
+        const modal = document.getElementById(TasksPage.modalId);
+        if (modal && modal.style.display === 'block') return;
+        TasksPage.loadData();
+    });
+}
@@ -1,10 +1,11 @@
-/* [v7.0.3][2026-01-23] Weekly UI Safe-Parse + Weekday-Only Patch */
+/* [v7.1.0][2026-10-19] Weekly UI Safe-Parse + Weekday-Only Patch + Change Stream */
 // views/scripts/weekly-business.js
 // 職責：管理週間業務的列表、詳情雙日曆顯示、編輯與互動
 // 修補：
 // 1) data-* attribute 內的 JSON 統一 encodeURIComponent(JSON.stringify)
 // 2) 讀取時 decodeURIComponent + JSON.parse
 // 3) 只渲染週一~週五，避免六日 undefined
+// 即時推播：目前檢視的週次有異動時，重新讀取該週並只重繪內容有變動的格子
 
 let currentWeekData = null;
 let allWeeksSummary = [];
@@ -239,28 +240,12 @@ function renderWeeklyDetailView() {
                                 ${todayIndicator}
                             </div>
 
-                            ${themes.map(theme => {
-                                let calendarEventsHtml = '';
-                                if (theme.value === 'IoT' && dayInfo.dxCalendarEvents?.length > 0) {
-                                    calendarEventsHtml =
-                                        `<div class="calendar-events-list">` +
-                                        dayInfo.dxCalendarEvents.map(evt => `<div class="calendar-text-item" title="DX行程">📅 ${evt.summary}</div>`).join('') +
-                                        `<div class="calendar-separator"></div></div>`;
-                                }
-                                if (theme.value === 'DT' && dayInfo.atCalendarEvents?.length > 0) {
-                                    calendarEventsHtml =
-                                        `<div class="calendar-events-list">` +
-                                        dayInfo.atCalendarEvents.map(evt => `<div class="calendar-text-item" title="AT行程">📅 ${evt.summary}</div>`).join('') +
-                                        `<div class="calendar-separator"></div></div>`;
-                                }
-
-                                return `
+                            ${themes.map(theme => `
                                     <div class="grid-cell ${holidayClass} ${todayClass} ${theme.value.toLowerCase()}" id="cell-${dayInfo.dayIndex}-${theme.value}">
-                                        ${calendarEventsHtml}
+                                        ${renderCalendarEventsHtml(dayInfo, theme)}
                                         ${renderCellContent(daysData[dayInfo.dayIndex][theme.value] || [], dayInfo, theme)}
                                     </div>
-                                `;
-                            }).join('')}
+                                `).join('')}
                         `;
                     }).join('')}
                 </div>
@@ -271,6 +256,15 @@ function renderWeeklyDetailView() {
     _injectDetailStyles();
 }
 
+function renderCalendarEventsHtml(dayInfo, theme) {
+    const calendarEvents = theme.value === 'IoT' ? dayInfo.dxCalendarEvents : (theme.value === 'DT' ? dayInfo.atCalendarEvents : null);
+    if (!calendarEvents || calendarEvents.length === 0) return '';
+    const title = theme.value === 'IoT' ? 'DX行程' : 'AT行程';
+    return `<div class="calendar-events-list">` +
+        calendarEvents.map(evt => `<div class="calendar-text-item" title="${title}">📅 ${evt.summary}</div>`).join('') +
+        `<div class="calendar-separator"></div></div>`;
+}
+
 function renderCellContent(entries, dayInfo, theme) {
     // [Fix] Safe encode for data attributes
     const dayInfoStr = _safeEncode(dayInfo);
@@ -669,6 +663,60 @@ function _injectDetailStyles() {
     }
 }
 
+/**
+ * 套用 ChangeStream 的週間業務異動 (僅處理目前檢視中的週次)
+ * 編輯面板開啟時只提示，避免覆蓋使用者正在編輯的內容
+ */
+async function applyWeeklyDetailChange(change, { isOwn }) {
+    const weekId = currentWeekData?.id;
+    if (!weekId || (change.weekId !== weekId && change.previousWeekId !== weekId)) return;
+
+    const actorName = change.actor?.name || '其他成員';
+    if (document.getElementById('weekly-business-editor-panel')?.classList.contains('is-open')) {
+        if (!isOwn) showNotification(`${actorName} 剛剛更新了本週的週間業務，關閉編輯面板後將重新整理`, 'info', 5000);
+        return;
+    }
+
+    let latest;
+    try {
+        const result = await authedFetch(`/api/business/weekly/details/${weekId}`);
+        if (!result.success) return;
+        latest = result.data;
+    } catch (error) {
+        return;
+    }
+    if (currentWeekData?.id !== weekId) return;
+
+    const previous = currentWeekData;
+    currentWeekData = latest;
+
+    const systemConfig = window.CRM_APP ? window.CRM_APP.systemConfig : {};
+    const themes = systemConfig['週間業務主題'] || [{ value: 'IoT', note: 'IoT' }, { value: 'DT', note: 'DT' }];
+    const cellEntries = (data, dayIndex, theme) =>
+        (data.entries || []).filter(e => e.day == dayIndex && e.category === theme.value);
+
+    // 「空白週報」提示出現 / 消失時需整頁重繪
+    const emptinessChanged = (previous.entries || []).length === 0 || (latest.entries || []).length === 0;
+    if (emptinessChanged) {
+        renderWeeklyDetailView();
+    } else {
+        (latest.days || []).filter(d => Number(d.dayIndex) <= 5).forEach(dayInfo => {
+            themes.forEach(theme => {
+                const entries = cellEntries(latest, dayInfo.dayIndex, theme);
+                if (JSON.stringify(entries) === JSON.stringify(cellEntries(previous, dayInfo.dayIndex, theme))) return;
+                const cell = document.getElementById(`cell-${dayInfo.dayIndex}-${theme.value}`);
+                if (cell) cell.innerHTML = renderCalendarEventsHtml(dayInfo, theme) + renderCellContent(entries, dayInfo, theme);
+            });
+        });
+    }
+
+    ChangeStream.notifyActor(change);
+}
+
+if (window.ChangeStream) {
+    ChangeStream.register('weekly-detail', applyWeeklyDetailChange);
+}
+
 if (window.CRM_APP) {
     window.CRM_APP.pageModules['weekly-business'] = loadWeeklyBusinessPage;
     window.CRM_APP.pageModules['weekly-detail'] = navigateToWeeklyDetail;
@@ -0,0 +1,103 @@
+// routes/admin.routes.js
+/**
+ * Admin Routes
+ * * @version 1.2.0
+ * @date 2026-10-19
+ * @description 系統管理 API ( /api/admin )：使用者帳號管理 (user:admin)、對外 Webhook 訂閱 (webhook:manage)、
+ * 背景排程工作 (job:manage)。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.userAdminController) {
+        throw new Error('UserAdminController 尚未初始化');
+    }
+    return services.userAdminController;
+};
+
+const getWebhookController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.webhookController) {
+        throw new Error('WebhookController 尚未初始化');
+    }
+    return services.webhookController;
+};
+
+const getJobController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.jobController) {
+        throw new Error('JobController 尚未初始化');
+    }
+    return services.jobController;
+};
+
+router.get('/users', requirePermission('user:admin'), (req, res, next) => {
+    getController(req).getUsers(req, res, next);
+});
+
+router.post('/users', requirePermission('user:admin'), (req, res, next) => {
+    getController(req).createUser(req, res, next);
+});
+
+router.put('/users/:username', requirePermission('user:admin'), (req, res, next) => {
+    getController(req).updateUser(req, res, next);
+});
+
+router.post('/users/:username/reset-password', requirePermission('user:admin'), (req, res, next) => {
+    getController(req).resetPassword(req, res, next);
+});
+
+router.delete('/users/:username', requirePermission('user:admin'), (req, res, next) => {
+    getController(req).deleteUser(req, res, next);
+});
+
+// --- 對外 Webhook ---
+
+router.get('/webhooks', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).getWebhooks(req, res, next);
+});
+
+router.post('/webhooks', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).createWebhook(req, res, next);
+});
+
+router.put('/webhooks/:webhookId', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).updateWebhook(req, res, next);
+});
+
+router.delete('/webhooks/:webhookId', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).deleteWebhook(req, res, next);
+});
+
+router.post('/webhooks/:webhookId/rotate-secret', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).rotateSecret(req, res, next);
+});
+
+router.post('/webhooks/:webhookId/test', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).sendTestEvent(req, res, next);
+});
+
+router.get('/webhooks/:webhookId/deliveries', requirePermission('webhook:manage'), (req, res, next) => {
+    getWebhookController(req).getDeliveries(req, res, next);
+});
+
+// --- 背景排程工作 ---
+
+router.get('/jobs', requirePermission('job:manage'), (req, res, next) => {
+    getJobController(req).getJobs(req, res, next);
+});
+
+router.put('/jobs/:jobId', requirePermission('job:manage'), (req, res, next) => {
+    getJobController(req).updateJob(req, res, next);
+});
+
+router.post('/jobs/:jobId/run', requirePermission('job:manage'), (req, res, next) => {
+    getJobController(req).runJob(req, res, next);
+});
+
+module.exports = router;
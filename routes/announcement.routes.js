@@ -1,13 +1,14 @@
 // routes/announcement.routes.js
 /**
  * Announcement Routes
- * * @version 6.0.1 (Fix: Add Auth Middleware)
- * @date 2026-01-14
+ * * @version 6.1.0 (Permissions)
+ * @date 2026-10-19
  * @description 修正：加入 verifyToken 中介軟體，確保 req.user 存在。
  */
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 // ★ 引入驗證中介軟體
 const { verifyToken } = require('../middleware/auth.middleware');
 
@@ -26,7 +27,7 @@ const getController = (req) => {
 
 // GET /api/announcements/ (讀取通常允許所有登入用戶，甚至公開，視需求而定)
 // 建議：如果是內部系統，讀取也應該要 verifyToken，但目前先只修復寫入錯誤
-router.get('/', (req, res, next) => {
+router.get('/', requirePermission('announcement:read'), (req, res, next) => {
     getController(req).getAnnouncements(req, res, next);
 });
 
@@ -35,17 +36,17 @@ router.get('/', (req, res, next) => {
 // ==========================================
 
 // POST /api/announcements/
-router.post('/', verifyToken, (req, res, next) => {
+router.post('/', verifyToken, requirePermission('announcement:write'), (req, res, next) => {
     getController(req).createAnnouncement(req, res, next);
 });
 
 // PUT /api/announcements/:id
-router.put('/:id', verifyToken, (req, res, next) => {
+router.put('/:id', verifyToken, requirePermission('announcement:write'), (req, res, next) => {
     getController(req).updateAnnouncement(req, res, next);
 });
 
 // DELETE /api/announcements/:id
-router.delete('/:id', verifyToken, (req, res, next) => {
+router.delete('/:id', verifyToken, requirePermission('announcement:delete'), (req, res, next) => {
     getController(req).deleteAnnouncement(req, res, next);
 });
 
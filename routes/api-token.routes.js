@@ -0,0 +1,37 @@
+// routes/api-token.routes.js
+/**
+ * API Token Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 個人 API 金鑰 ( /api/api-tokens )：需要 apiToken:manage 權限，且只接受互動登入 (API 金鑰不能管理金鑰)。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { rejectApiToken } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.apiTokenController) {
+        throw new Error('ApiTokenController 尚未初始化');
+    }
+    return services.apiTokenController;
+};
+
+router.use(rejectApiToken);
+
+router.get('/', requirePermission('apiToken:manage'), (req, res, next) => {
+    getController(req).getTokens(req, res, next);
+});
+
+router.post('/', requirePermission('apiToken:manage'), (req, res, next) => {
+    getController(req).createToken(req, res, next);
+});
+
+router.delete('/:tokenId', requirePermission('apiToken:manage'), (req, res, next) => {
+    getController(req).revokeToken(req, res, next);
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/audit.routes.js
+/**
+ * Audit Routes
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 變更紀錄查詢 ( /api/audit )
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.auditController) {
+        throw new Error('AuditController 尚未初始化');
+    }
+    return services.auditController;
+};
+
+// GET /api/audit?entity=opportunity&id=OPP123
+router.get('/', requirePermission('audit:read'), (req, res, next) => {
+    getController(req).getAuditLogs(req, res, next);
+});
+
+module.exports = router;
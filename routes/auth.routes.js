@@ -1,15 +1,19 @@
 // routes/auth.routes.js
 /**
  * Auth Routes
- * * @version 5.1.0 (Phase 5 - Service Locator Pattern)
- * @date 2026-01-12
+ * * @version 5.6.0 (API Tokens)
+ * @date 2026-10-19
  * @description 使用 req.app.get('services') 動態獲取 Controller 實例，
  * 避免直接 require 檔案導致的循環依賴或未初始化問題。
+ * 開發用登入 (dev-users / dev-login) 為公開路由，未啟用 DEV_AUTH 時回 404。
+ * refresh / logout 為公開路由 (Access Token 可能已過期)，以 Refresh Token 識別工作階段。
+ * line-login 為公開路由，以 LINE ID Token 識別已綁定的使用者。
+ * 驗證 / 變更密碼不接受 API 金鑰。
  */
 
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../middleware/auth.middleware');
+const { verifyToken, rejectApiToken } = require('../middleware/auth.middleware');
 
 // 輔助函式：動態獲取 Controller
 const getController = (req) => {
@@ -25,18 +29,46 @@ router.post('/login', (req, res, next) => {
     getController(req).login(req, res, next);
 });
 
+// 1-1. 密碼規則 (公開)
+router.get('/password-policy', (req, res, next) => {
+    getController(req).getPasswordPolicy(req, res, next);
+});
+
+// 1-2. 換發 Access Token / 登出 (公開；以 Refresh Token 識別)
+router.post('/refresh', (req, res, next) => {
+    getController(req).refresh(req, res, next);
+});
+
+router.post('/logout', (req, res, next) => {
+    getController(req).logout(req, res, next);
+});
+
+// 1-3. LINE 登入 (公開；需先在 LIFF 完成帳號綁定)
+router.post('/line-login', (req, res, next) => {
+    getController(req).lineLogin(req, res, next);
+});
+
+// 1-4. 開發用身分 (公開；僅 NODE_ENV=development 且 DEV_AUTH=true 時可用)
+router.get('/dev-users', (req, res, next) => {
+    getController(req).getDevUsers(req, res, next);
+});
+
+router.post('/dev-login', (req, res, next) => {
+    getController(req).devLogin(req, res, next);
+});
+
 // 2. 檢查 Token 有效性 (需登入)
 router.get('/verify', verifyToken, (req, res, next) => {
     getController(req).verifySession(req, res, next);
 });
 
 // 3. 驗證舊密碼 (需登入)
-router.post('/verify-password', verifyToken, (req, res, next) => {
+router.post('/verify-password', verifyToken, rejectApiToken, (req, res, next) => {
     getController(req).verifyPassword(req, res, next);
 });
 
 // 4. 修改密碼 (需登入)
-router.post('/change-password', verifyToken, (req, res, next) => {
+router.post('/change-password', verifyToken, rejectApiToken, (req, res, next) => {
     getController(req).changePassword(req, res, next);
 });
 
@@ -1,15 +1,16 @@
 // routes/calendar.routes.js
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 const controller = require('../controllers/event.controller'); // 共用 event.controller
 
 // --- Calendar Routes ---
 // ( /api/calendar/* )
 
 // POST /api/calendar/events
-router.post('/events', controller.createCalendarEvent);
+router.post('/events', requirePermission('calendar:write'), controller.createCalendarEvent);
 
 // GET /api/calendar/week
-router.get('/week', controller.getThisWeekEvents);
+router.get('/week', requirePermission('calendar:read'), controller.getThisWeekEvents);
 
 module.exports = router;
\ No newline at end of file
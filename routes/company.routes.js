@@ -1,12 +1,13 @@
 // routes/company.routes.js
 /**
  * Company Routes
- * * @version 5.1.0 (Phase 3 - Service Locator Pattern)
- * @date 2026-01-13
+ * * @version 5.2.0 (Permissions)
+ * @date 2026-10-19
  */
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 
 // 輔助函式
 const getController = (req) => {
@@ -22,34 +23,34 @@ const getController = (req) => {
 const externalController = require('../controllers/external.controller');
 
 // GET /api/companies/
-router.get('/', (req, res, next) => {
+router.get('/', requirePermission('company:read'), (req, res, next) => {
     getController(req).getCompanies(req, res, next);
 });
 
 // POST /api/companies/
-router.post('/', (req, res, next) => {
+router.post('/', requirePermission('company:write'), (req, res, next) => {
     getController(req).createCompany(req, res, next);
 });
 
 // --- AI 路由 (External Controller) ---
 // POST /api/companies/:companyName/generate-profile
 // 如果 ExternalController 還沒重構，直接用舊的
-router.post('/:companyName/generate-profile', externalController.generateCompanyProfile);
+router.post('/:companyName/generate-profile', requirePermission('company:write'), externalController.generateCompanyProfile);
 
 // --- 公司路由 ---
 
 // GET /api/companies/:companyName/details
-router.get('/:companyName/details', (req, res, next) => {
+router.get('/:companyName/details', requirePermission('company:read'), (req, res, next) => {
     getController(req).getCompanyDetails(req, res, next);
 });
 
 // PUT /api/companies/:companyName
-router.put('/:companyName', (req, res, next) => {
+router.put('/:companyName', requirePermission('company:write'), (req, res, next) => {
     getController(req).updateCompany(req, res, next);
 });
 
 // DELETE /api/companies/:companyName
-router.delete('/:companyName', (req, res, next) => {
+router.delete('/:companyName', requirePermission('company:delete'), (req, res, next) => {
     getController(req).deleteCompany(req, res, next);
 });
 
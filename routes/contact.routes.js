@@ -1,12 +1,15 @@
 /**
  * routes/contact.routes.js
  * 聯絡人/潛在客戶模組路由
- * * @version 6.1.1 (Fixed: Dashboard Route & Data Shape)
- * @date 2026-01-15
+ * * @version 6.5.0 (Legacy Row Alias)
+ * @date 2026-10-19
+ * @description 潛在客戶改以 /potential/:contactId 定位；/:rowIndex/upgrade、/:rowIndex/file 保留為 Deprecated 別名，列號於伺服器端解析為 contactId。
  */
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 const ContactController = require('../controllers/contact.controller');
+const { deprecateRowIndexRoute } = require('../middleware/deprecation.middleware');
 
 // =======================================================
 // 🏭 Controller Factory
@@ -29,49 +32,70 @@ const getController = (req) => {
 
 // GET /api/contacts/dashboard (新增：統計資料路由)
 // ★★★ 必須放在 '/' 或 '/:id' 之前，否則會被攔截 ★★★
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res, next) => {
     try {
         await getController(req).getDashboardStats(req, res);
     } catch (e) { next(e); }
 });
 
 // GET /api/contacts (列表搜尋)
-router.get('/', async (req, res, next) => {
+router.get('/', requirePermission('contact:read'), async (req, res, next) => {
     try {
         await getController(req).searchContacts(req, res);
     } catch (e) { next(e); }
 });
 
 // GET /api/contacts/list (正式名單)
-router.get('/list', async (req, res, next) => {
+router.get('/list', requirePermission('contact:read'), async (req, res, next) => {
     try {
         await getController(req).searchContactList(req, res);
     } catch (e) { next(e); }
 });
 
-// POST /api/contacts/:rowIndex/upgrade (升級)
-router.post('/:rowIndex/upgrade', async (req, res, next) => {
+// PUT /api/contacts/potential/:contactId (更新潛在客戶)
+router.put('/potential/:contactId', requirePermission('contact:write'), async (req, res, next) => {
+    try {
+        await getController(req).updatePotentialContact(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/potential/:contactId/upgrade (升級)
+router.post('/potential/:contactId/upgrade', requirePermission('contact:write'), async (req, res, next) => {
+    try {
+        await getController(req).upgradeContact(req, res);
+    } catch (e) { next(e); }
+});
+
+// POST /api/contacts/potential/:contactId/file (建檔)
+router.post('/potential/:contactId/file', requirePermission('contact:write'), async (req, res, next) => {
+    try {
+        await getController(req).fileContact(req, res);
+    } catch (e) { next(e); }
+});
+
+// [Deprecated] POST /api/contacts/:rowIndex/upgrade -> /api/contacts/potential/:contactId/upgrade
+router.post('/:rowIndex/upgrade', requirePermission('contact:write'), deprecateRowIndexRoute('rowIndex', '/api/contacts/potential/:contactId/upgrade'), async (req, res, next) => {
     try {
         await getController(req).upgradeContact(req, res);
     } catch (e) { next(e); }
 });
 
 // PUT /api/contacts/:contactId (更新)
-router.put('/:contactId', async (req, res, next) => {
+router.put('/:contactId', requirePermission('contact:write'), async (req, res, next) => {
     try {
         await getController(req).updateContact(req, res);
     } catch (e) { next(e); }
 });
 
 // POST /api/contacts/:contactId/link-card (連結名片)
-router.post('/:contactId/link-card', async (req, res, next) => {
+router.post('/:contactId/link-card', requirePermission('contact:write'), async (req, res, next) => {
     try {
         await getController(req).linkCardToContact(req, res);
     } catch (e) { next(e); }
 });
 
-// POST /api/contacts/:rowIndex/file (歸檔)
-router.post('/:rowIndex/file', async (req, res, next) => {
+// [Deprecated] POST /api/contacts/:rowIndex/file -> /api/contacts/potential/:contactId/file
+router.post('/:rowIndex/file', requirePermission('contact:write'), deprecateRowIndexRoute('rowIndex', '/api/contacts/potential/:contactId/file'), async (req, res, next) => {
     try {
         await getController(req).fileContact(req, res);
     } catch (e) { next(e); }
@@ -1,14 +1,15 @@
 // routes/event.routes.js
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 const controller = require('../controllers/event.controller');
 
 // --- Event Log Routes ---
 // ( /api/events/* )
 
-router.post('/', controller.createEventLog);
-router.get('/:eventId', controller.getEventLogById);
-router.put('/:eventId', controller.updateEventLog);
-router.delete('/:eventId', controller.deleteEventLog);
+router.post('/', requirePermission('event:write'), controller.createEventLog);
+router.get('/:eventId', requirePermission('event:read'), controller.getEventLogById);
+router.put('/:eventId', requirePermission('event:write'), controller.updateEventLog);
+router.delete('/:eventId', requirePermission('event:delete'), controller.deleteEventLog);
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,11 @@
 /**
  * routes/index.js
  * API 總路由入口
- * * @version 6.1.9 (Fixed: Move Line Route out of Auth)
- * @date 2026-01-15
+ * * @version 6.7.0 (Notifications)
+ * @date 2026-10-19
+ * @description 保護區內各路由檔以 requirePermission 宣告所需權限 (角色權限表見 config.PERMISSIONS)。
+ * 管理員重設密碼的使用者在變更密碼前只能使用 /auth。
+ * 保護區同時接受個人 API 金鑰 (verifyToken 分流)，權限另受金鑰範圍限制。
  */
 const express = require('express');
 const router = express.Router();
@@ -26,6 +29,11 @@ const eventRoutes = require('./event.routes');
 const lineLeadsRoutes = require('./line-leads.routes');
 const externalRoutes = require('./external.routes');
 const calendarRoutes = require('./calendar.routes');
+const auditRoutes = require('./audit.routes');
+const adminRoutes = require('./admin.routes');
+const apiTokenRoutes = require('./api-token.routes');
+const taskRoutes = require('./task.routes');
+const notificationRoutes = require('./notification.routes');
 
 // ==========================================
 // 1. 公開/特殊驗證路由 (Public / Custom Auth)
@@ -42,6 +50,7 @@ router.get('/drive/thumbnail', externalController.getDriveThumbnail);
 // 2. 系統標準保護區域 (System Protected)
 // ==========================================
 router.use(authMiddleware.verifyToken);
+router.use(authMiddleware.requirePasswordChanged);
 
 router.use('/', systemRoutes);
 router.use('/external', externalRoutes);
@@ -59,8 +68,13 @@ router.use('/sales', salesRoutes);
 router.use('/sales-analysis', salesRoutes);
 
 router.use('/interactions', interactionRoutes);
+router.use('/tasks', taskRoutes);
+router.use('/notifications', notificationRoutes);
 router.use('/events', eventRoutes);
 router.use('/calendar', calendarRoutes);
+router.use('/audit', auditRoutes);
+router.use('/admin', adminRoutes);
+router.use('/api-tokens', apiTokenRoutes);
 
 // ==========================================
 // 3. 404 與 根路徑
@@ -1,13 +1,14 @@
 // routes/interaction.routes.js
 /**
  * Interaction Routes
- * * @version 6.0.1 (Fix: Add /all route)
- * @date 2026-01-14
+ * * @version 6.1.0 (Permissions)
+ * @date 2026-10-19
  * @description 互動紀錄路由。補上 /all 路徑以符合前端呼叫習慣。
  */
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 const { verifyToken } = require('../middleware/auth.middleware');
 
 // 輔助函式：取得 Controller
@@ -24,22 +25,22 @@ const getController = (req) => {
 // ==========================================
 
 // GET /api/interactions (標準列表)
-router.get('/', (req, res, next) => {
+router.get('/', requirePermission('interaction:read'), (req, res, next) => {
     getController(req).getInteractions(req, res, next);
 });
 
 // ★ 新增：GET /api/interactions/all (前端 Dashboard 與列表頁面使用此路徑)
-router.get('/all', (req, res, next) => {
+router.get('/all', requirePermission('interaction:read'), (req, res, next) => {
     getController(req).getInteractions(req, res, next);
 });
 
 // GET /api/interactions/opportunity/:id
-router.get('/opportunity/:id', (req, res, next) => {
+router.get('/opportunity/:id', requirePermission('interaction:read'), (req, res, next) => {
     getController(req).getInteractionsByOpportunity(req, res, next);
 });
 
 // GET /api/interactions/company/:id
-router.get('/company/:id', (req, res, next) => {
+router.get('/company/:id', requirePermission('interaction:read'), (req, res, next) => {
     getController(req).getInteractionsByCompany(req, res, next);
 });
 
@@ -48,17 +49,17 @@ router.get('/company/:id', (req, res, next) => {
 // ==========================================
 
 // POST /api/interactions
-router.post('/', verifyToken, (req, res, next) => {
+router.post('/', verifyToken, requirePermission('interaction:write'), (req, res, next) => {
     getController(req).createInteraction(req, res, next);
 });
 
 // PUT /api/interactions/:id
-router.put('/:id', verifyToken, (req, res, next) => {
+router.put('/:id', verifyToken, requirePermission('interaction:write'), (req, res, next) => {
     getController(req).updateInteraction(req, res, next);
 });
 
 // DELETE /api/interactions/:id
-router.delete('/:id', verifyToken, (req, res, next) => {
+router.delete('/:id', verifyToken, requirePermission('interaction:delete'), (req, res, next) => {
     getController(req).deleteInteraction(req, res, next);
 });
 
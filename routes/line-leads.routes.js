@@ -1,13 +1,19 @@
 /**
  * routes/line-leads.routes.js
- * @version 1.1.0
- * @date 2026-01-26
+ * @version 1.5.0
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：改由 services 容器注入 authService（移除 contactWriter 直接注入）。
+ * 名片以 leadId (潛在客戶 contactId) 定位；純數字參數視為舊版 rowIndex (Deprecated)，由伺服器解析為 contactId。
+ * 名片讀寫以 LINE ID Token 驗證後換成綁定的 CRM 帳號 (req.user)，並依該帳號角色檢查權限；
+ * /link 供尚未綁定的 LINE 使用者以 CRM 帳號密碼完成綁定。
  */
 
 const express = require('express');
 const router = express.Router();
 const LineLeadsController = require('../controllers/line-leads.controller');
+const { deprecateRowIndexRoute } = require('../middleware/deprecation.middleware');
+const { verifyLineToken, requireLinkedLineUser } = require('../middleware/auth.middleware');
+const { requirePermission } = require('../middleware/role.middleware');
 
 // 依賴注入：從 app 中獲取 services
 const getController = (req) => {
@@ -23,10 +29,19 @@ const getController = (req) => {
     return new LineLeadsController(contactService, authService);
 };
 
+router.use(verifyLineToken);
+
+// POST /api/line/link - 以 CRM 帳號密碼綁定目前的 LINE 使用者
+router.post('/link', (req, res) => getController(req).linkAccount(req, res));
+
+// DELETE /api/line/link - 解除目前 LINE 使用者的綁定
+router.delete('/link', (req, res) => getController(req).unlinkAccount(req, res));
+
 // GET /api/line/leads - 取得所有名片資料
-router.get('/leads', (req, res) => getController(req).getAllLeads(req, res));
+router.get('/leads', requireLinkedLineUser, requirePermission('contact:read'), (req, res) => getController(req).getAllLeads(req, res));
 
-// PUT /api/line/leads/:rowIndex - 更新特定名片狀態/資料
-router.put('/leads/:rowIndex', (req, res) => getController(req).updateLead(req, res));
+// PUT /api/line/leads/:leadId - 更新特定名片狀態/資料
+// [Deprecated] PUT /api/line/leads/:rowIndex (純數字參數)
+router.put('/leads/:leadId', requireLinkedLineUser, requirePermission('contact:write'), deprecateRowIndexRoute('leadId', '/api/line/leads/:leadId'), (req, res) => getController(req).updateLead(req, res));
 
 module.exports = router;
@@ -0,0 +1,63 @@
+// routes/notification.routes.js
+/**
+ * Notification Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 通知中心 API ( /api/notifications )：通知列表與已讀、外送設定、機會追蹤提醒延後。
+ * 所有操作只涉及登入者本人，統一需要 notification:read。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.notificationController) {
+        throw new Error('NotificationController 尚未初始化');
+    }
+    return services.notificationController;
+};
+
+// GET /api/notifications
+router.get('/', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).getNotifications(req, res, next);
+});
+
+// POST /api/notifications/read-all
+router.post('/read-all', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).markAllRead(req, res, next);
+});
+
+// POST /api/notifications/:notificationId/read
+router.post('/:notificationId/read', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).markRead(req, res, next);
+});
+
+// GET /api/notifications/preferences
+router.get('/preferences', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).getPreferences(req, res, next);
+});
+
+// PUT /api/notifications/preferences
+router.put('/preferences', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).updatePreferences(req, res, next);
+});
+
+// GET /api/notifications/snoozes
+router.get('/snoozes', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).getSnoozes(req, res, next);
+});
+
+// PUT /api/notifications/snoozes/:opportunityId
+router.put('/snoozes/:opportunityId', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).snoozeOpportunity(req, res, next);
+});
+
+// DELETE /api/notifications/snoozes/:opportunityId
+router.delete('/snoozes/:opportunityId', requirePermission('notification:read'), (req, res, next) => {
+    getController(req).unsnoozeOpportunity(req, res, next);
+});
+
+module.exports = router;
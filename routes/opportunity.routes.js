@@ -1,12 +1,16 @@
 // routes/opportunity.routes.js
 /**
  * Opportunity Routes
- * * @version 5.1.0 (Phase 3 - Service Locator Pattern)
- * @date 2026-01-13
+ * * @version 5.4.0 (Opportunity Shares)
+ * @date 2026-10-19
+ * @description 單筆更新/刪除以 opportunityId 定位；純數字參數視為舊版 rowIndex (Deprecated，仍可使用)。
+ * 可見範圍 (負責業務 / 團隊 / 共享) 由 OpportunityService 判斷，看不到的機會回 404。
  */
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
+const { deprecateRowIndexRoute } = require('../middleware/deprecation.middleware');
 
 // 輔助函式
 const getController = (req) => {
@@ -18,53 +22,70 @@ const getController = (req) => {
 };
 
 // GET /api/opportunities/dashboard
-router.get('/dashboard', (req, res, next) => {
+router.get('/dashboard', requirePermission('dashboard:read'), (req, res, next) => {
     getController(req).getDashboardData(req, res, next);
 });
 
 // GET /api/opportunities/by-county
-router.get('/by-county', (req, res, next) => {
+router.get('/by-county', requirePermission('opportunity:read'), (req, res, next) => {
     getController(req).getOpportunitiesByCounty(req, res, next);
 });
 
 // GET /api/opportunities/
-router.get('/', (req, res, next) => {
+router.get('/', requirePermission('opportunity:read'), (req, res, next) => {
     getController(req).searchOpportunities(req, res, next);
 });
 
 // GET /api/opportunities/:opportunityId/details
-router.get('/:opportunityId/details', (req, res, next) => {
+router.get('/:opportunityId/details', requirePermission('opportunity:read'), (req, res, next) => {
     getController(req).getOpportunityDetails(req, res, next);
 });
 
 // POST /api/opportunities/
-router.post('/', (req, res, next) => {
+router.post('/', requirePermission('opportunity:write'), (req, res, next) => {
     getController(req).createOpportunity(req, res, next);
 });
 
 // PUT /api/opportunities/batch
-router.put('/batch', (req, res, next) => {
+router.put('/batch', requirePermission('opportunity:write'), (req, res, next) => {
     getController(req).batchUpdateOpportunities(req, res, next);
 });
 
-// PUT /api/opportunities/:rowIndex
-router.put('/:rowIndex', (req, res, next) => {
+// PUT /api/opportunities/:opportunityId
+// [Deprecated] PUT /api/opportunities/:rowIndex (純數字參數)
+router.put('/:opportunityId', requirePermission('opportunity:write'), deprecateRowIndexRoute('opportunityId', '/api/opportunities/:opportunityId'), (req, res, next) => {
     getController(req).updateOpportunity(req, res, next);
 });
 
-// DELETE /api/opportunities/:rowIndex
-router.delete('/:rowIndex', (req, res, next) => {
+// DELETE /api/opportunities/:opportunityId
+// [Deprecated] DELETE /api/opportunities/:rowIndex (純數字參數)
+router.delete('/:opportunityId', requirePermission('opportunity:delete'), deprecateRowIndexRoute('opportunityId', '/api/opportunities/:opportunityId'), (req, res, next) => {
     getController(req).deleteOpportunity(req, res, next);
 });
 
 // POST /api/opportunities/:opportunityId/contacts
-router.post('/:opportunityId/contacts', (req, res, next) => {
+router.post('/:opportunityId/contacts', requirePermission('opportunity:write'), (req, res, next) => {
     getController(req).addContactToOpportunity(req, res, next);
 });
 
 // DELETE /api/opportunities/:opportunityId/contacts/:contactId
-router.delete('/:opportunityId/contacts/:contactId', (req, res, next) => {
+router.delete('/:opportunityId/contacts/:contactId', requirePermission('opportunity:write'), (req, res, next) => {
     getController(req).deleteContactLink(req, res, next);
 });
 
+// GET /api/opportunities/:opportunityId/shares
+router.get('/:opportunityId/shares', requirePermission('opportunity:read'), (req, res, next) => {
+    getController(req).getOpportunityShares(req, res, next);
+});
+
+// POST /api/opportunities/:opportunityId/shares
+router.post('/:opportunityId/shares', requirePermission('opportunity:write'), (req, res, next) => {
+    getController(req).addOpportunityShare(req, res, next);
+});
+
+// DELETE /api/opportunities/:opportunityId/shares/:shareId
+router.delete('/:opportunityId/shares/:shareId', requirePermission('opportunity:write'), (req, res, next) => {
+    getController(req).removeOpportunityShare(req, res, next);
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,16 @@
 // routes/sales.routes.js
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 const controller = require('../controllers/sales.controller');
 
 // GET /api/sales-analysis
-router.get('/', controller.getSalesAnalysis);
+router.get('/', requirePermission('sales:read'), controller.getSalesAnalysis);
+
+// GET /api/sales/forecast
+router.get('/forecast', requirePermission('sales:read'), controller.getSalesForecast);
+
+// GET /api/sales/funnel
+router.get('/funnel', requirePermission('sales:read'), controller.getSalesFunnel);
 
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,14 @@
 // routes/system.routes.js
 /**
  * System Routes
- * * @version 5.1.0 (Phase 5 - Service Locator Pattern)
- * @date 2026-01-13
+ * * @version 5.3.0 (Change Stream)
+ * @date 2026-10-19
  * @description 使用 req.app.get('services') 動態獲取 Controller 實例
  */
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 
 // 輔助函式：動態獲取 Controller
 const getController = (req) => {
@@ -18,43 +19,57 @@ const getController = (req) => {
     return services.systemController;
 };
 
+const getStreamController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.streamController) {
+        throw new Error('StreamController 尚未初始化');
+    }
+    return services.streamController;
+};
+
 // 系統設定
 // GET /api/config
-router.get('/config', (req, res, next) => {
+router.get('/config', requirePermission('system:read'), (req, res, next) => {
     getController(req).getSystemConfig(req, res, next);
 });
 
 // 清除快取
 // POST /api/cache/invalidate
-router.post('/cache/invalidate', (req, res, next) => {
+router.post('/cache/invalidate', requirePermission('system:admin'), (req, res, next) => {
     getController(req).invalidateCache(req, res, next);
 });
 
 // 系統狀態輪詢
 // GET /api/system/status
-router.get('/system/status', (req, res, next) => {
+router.get('/system/status', requirePermission('system:read'), (req, res, next) => {
     getController(req).getSystemStatus(req, res, next);
 });
 
+// 資料異動即時推播 (Server-Sent Events，取代狀態輪詢)
+// GET /api/stream
+router.get('/stream', requirePermission('system:read'), (req, res, next) => {
+    getStreamController(req).stream(req, res, next);
+});
+
 // --- 儀表板路由 ---
 
 // GET /api/dashboard
-router.get('/dashboard', (req, res, next) => {
+router.get('/dashboard', requirePermission('dashboard:read'), (req, res, next) => {
     getController(req).getDashboardData(req, res, next);
 });
 
 // GET /api/contacts/dashboard
-router.get('/contacts/dashboard', (req, res, next) => {
+router.get('/contacts/dashboard', requirePermission('dashboard:read'), (req, res, next) => {
     getController(req).getContactsDashboardData(req, res, next);
 });
 
 // GET /api/events/dashboard
-router.get('/events/dashboard', (req, res, next) => {
+router.get('/events/dashboard', requirePermission('dashboard:read'), (req, res, next) => {
     getController(req).getEventsDashboardData(req, res, next);
 });
 
 // GET /api/companies/dashboard
-router.get('/companies/dashboard', (req, res, next) => {
+router.get('/companies/dashboard', requirePermission('dashboard:read'), (req, res, next) => {
     getController(req).getCompaniesDashboardData(req, res, next);
 });
 
@@ -0,0 +1,58 @@
+// routes/task.routes.js
+/**
+ * Task Routes
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 任務 API ( /api/tasks )：列表 (含我的任務 / 逾期)、單筆查詢與新增 / 更新 / 刪除。
+ * /mine 與 /overdue 須註冊在 /:taskId 之前。
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
+
+// 輔助函式：動態獲取 Controller
+const getController = (req) => {
+    const services = req.app.get('services');
+    if (!services || !services.taskController) {
+        throw new Error('TaskController 尚未初始化');
+    }
+    return services.taskController;
+};
+
+// GET /api/tasks
+router.get('/', requirePermission('task:read'), (req, res, next) => {
+    getController(req).getTasks(req, res, next);
+});
+
+// GET /api/tasks/mine
+router.get('/mine', requirePermission('task:read'), (req, res, next) => {
+    getController(req).getMyTasks(req, res, next);
+});
+
+// GET /api/tasks/overdue
+router.get('/overdue', requirePermission('task:read'), (req, res, next) => {
+    getController(req).getOverdueTasks(req, res, next);
+});
+
+// GET /api/tasks/:taskId
+router.get('/:taskId', requirePermission('task:read'), (req, res, next) => {
+    getController(req).getTask(req, res, next);
+});
+
+// POST /api/tasks
+router.post('/', requirePermission('task:write'), (req, res, next) => {
+    getController(req).createTask(req, res, next);
+});
+
+// PUT /api/tasks/:taskId
+router.put('/:taskId', requirePermission('task:write'), (req, res, next) => {
+    getController(req).updateTask(req, res, next);
+});
+
+// DELETE /api/tasks/:taskId
+router.delete('/:taskId', requirePermission('task:delete'), (req, res, next) => {
+    getController(req).deleteTask(req, res, next);
+});
+
+module.exports = router;
@@ -1,12 +1,13 @@
 /**
  * routes/weekly.routes.js
  * 週間業務路由設定
- * * @version 6.0.2 (Fix Middleware Name mismatch)
- * @date 2026-01-14
+ * * @version 6.1.0 (Permissions)
+ * @date 2026-10-19
  */
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/role.middleware');
 // 修正：Middleware 匯出名稱為 verifyToken
 const { verifyToken } = require('../middleware/auth.middleware');
 
@@ -17,32 +18,32 @@ const getController = (req) => req.app.get('services').weeklyController;
 router.use(verifyToken);
 
 // 讀取列表摘要
-router.get('/summary', (req, res, next) => 
+router.get('/summary', requirePermission('weekly:read'), (req, res, next) => 
     getController(req).getSummaryList(req, res, next)
 );
 
 // 讀取週次選項
-router.get('/week-options', (req, res, next) => 
+router.get('/week-options', requirePermission('weekly:read'), (req, res, next) => 
     getController(req).getWeekOptions(req, res, next)
 );
 
 // 讀取詳細資料
-router.get('/details/:weekId', (req, res, next) => 
+router.get('/details/:weekId', requirePermission('weekly:read'), (req, res, next) => 
     getController(req).getWeeklyDetails(req, res, next)
 );
 
 // 建立週報
-router.post('/', (req, res, next) => 
+router.post('/', requirePermission('weekly:write'), (req, res, next) => 
     getController(req).createEntry(req, res, next)
 );
 
 // 更新週報
-router.put('/:recordId', (req, res, next) => 
+router.put('/:recordId', requirePermission('weekly:write'), (req, res, next) => 
     getController(req).updateEntry(req, res, next)
 );
 
 // 刪除週報
-router.delete('/:recordId', (req, res, next) => 
+router.delete('/:recordId', requirePermission('weekly:delete'), (req, res, next) => 
     getController(req).deleteEntry(req, res, next)
 );
 
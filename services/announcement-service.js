@@ -2,26 +2,29 @@
 /**
  * services/announcement-service.js
  * 布告欄業務邏輯層
- * * @version 7.2.0 (SQL First Read Enabled)
- * @date 2026-02-02
+ * * @version 7.4.0 (Audit Trail)
+ * @date 2026-10-19
  * @description 
  * [SQL-Ready Refactor]
- * 1. 啟用 SQL First Read (_fetchInternal)。
- * 2. 實作 Sheet Fallback 機制。
+ * 1. 讀取來源由 AnnouncementRepository 依 config.DATA_SOURCES.ANNOUNCEMENT 決定 (_fetchInternal)。
+ * 2. Sheet Fallback 機制移至 Repository。
  * 3. 維持 Write rowIndex 保護，確保 SQL 資料不誤入寫入流程。
+ * 4. 建立/更新/刪除經 AuditService 寫入欄位層級變更紀錄。
  */
 
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+
 class AnnouncementService {
     /**
      * @param {Object} dependencies
-     * @param {AnnouncementReader} dependencies.announcementReader
-     * @param {AnnouncementSqlReader} dependencies.announcementSqlReader [New]
+     * @param {AnnouncementRepository} dependencies.announcementRepository
      * @param {AnnouncementWriter} dependencies.announcementWriter
+     * @param {AuditService} [dependencies.auditService]
      */
-    constructor({ announcementReader, announcementSqlReader, announcementWriter }) {
-        this.announcementReader = announcementReader;
-        this.announcementSqlReader = announcementSqlReader; // [New] Inject SQL Reader
+    constructor({ announcementRepository, announcementWriter, auditService = null }) {
+        this.announcementRepository = announcementRepository;
         this.announcementWriter = announcementWriter;
+        this.auditService = auditService;
     }
 
     // ============================================================
@@ -30,23 +33,11 @@ class AnnouncementService {
 
     /**
      * [Internal] 唯一資料讀取收斂點
-     * 實作 SQL First -> Sheet Fallback 策略
+     * 來源策略 (SHEET / SQL / SQL_WITH_SHEET_FALLBACK) 由 Repository 決定
      * @returns {Promise<Array>} Raw Announcement Data
      */
     async _fetchInternal() {
-        // [SQL First Path]
-        try {
-            if (this.announcementSqlReader) {
-                // 直接回傳 DTO (資料契約已由 Reader 層對齊)
-                return await this.announcementSqlReader.getAnnouncements();
-            }
-        } catch (error) {
-            console.warn(`[AnnouncementService] SQL Read Failed, falling back to Sheet: ${error.message}`);
-            // Fallback continues below...
-        }
-
-        // [Sheet Fallback Path]
-        return this.announcementReader.getAnnouncements();
+        return this.announcementRepository.getAnnouncements();
     }
 
     // ============================================================
@@ -99,6 +90,9 @@ class AnnouncementService {
             }
 
             const result = await this.announcementWriter.createAnnouncement(data, creatorName);
+            if (this.auditService && result.id) {
+                await this.auditService.recordCreate(AUDIT_ENTITIES.ANNOUNCEMENT, result.id, data, creatorName);
+            }
             return result;
         } catch (error) {
             console.error('[AnnouncementService] createAnnouncement Error:', error);
@@ -132,6 +126,9 @@ class AnnouncementService {
             const rowIndex = target.rowIndex;
 
             const result = await this.announcementWriter.updateAnnouncement(rowIndex, data, modifierName);
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.ANNOUNCEMENT, id, target, data, modifierName);
+            }
             return result;
         } catch (error) {
             console.error('[AnnouncementService] updateAnnouncement Error:', error);
@@ -142,8 +139,9 @@ class AnnouncementService {
     /**
      * 刪除公告
      * @param {string} id - 公告 ID
+     * @param {Object} [user] - 操作者
      */
-    async deleteAnnouncement(id) {
+    async deleteAnnouncement(id, user) {
         try {
             // 1. 查找公告 (透過收斂點)
             const allAnnouncements = await this._fetchInternal();
@@ -160,6 +158,9 @@ class AnnouncementService {
 
             const rowIndex = target.rowIndex;
             const result = await this.announcementWriter.deleteAnnouncement(rowIndex);
+            if (this.auditService) {
+                await this.auditService.recordDelete(AUDIT_ENTITIES.ANNOUNCEMENT, id, target, user);
+            }
             return result;
         } catch (error) {
             console.error('[AnnouncementService] deleteAnnouncement Error:', error);
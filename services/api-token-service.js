@@ -0,0 +1,269 @@
+/**
+ * services/api-token-service.js
+ * 個人 API 金鑰服務 (Personal API Tokens)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 讓使用者建立具名、限定範圍、可撤銷的 API 金鑰，供腳本與整合呼叫 API (取代借用他人的登入 Token)。
+ * - 金鑰格式為 config.AUTH.API_TOKEN.PREFIX + 隨機字串，只在建立時回傳一次；試算表僅保存 SHA-256 雜湊與開頭幾碼。
+ * - 範圍 (scopes) 為權限代碼 (可含「資源:*」)，建立時不得超出擁有者目前的權限；
+ *   使用時的有效權限為「擁有者目前角色 ∩ 金鑰範圍」，由 PermissionService 依 req.user.scopes 判斷。
+ *   apiToken:manage 不能授予金鑰 (金鑰一律不能管理金鑰)。
+ * - 擁有者停用或刪除後金鑰立即失效；金鑰可設定有效天數，未設定則永久有效直到撤銷。
+ * - 最後使用時間依 LAST_USED_WRITE_INTERVAL_SECONDS 間隔寫回，避免每個請求都寫入試算表。
+ * 依賴注入：ApiTokenReader, ApiTokenWriter, SystemReader, PermissionService, AuditService, Config
+ */
+
+const crypto = require('crypto');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+
+const ADMIN_PERMISSION = 'user:admin';
+const MANAGE_PERMISSION = 'apiToken:manage';
+const MAX_NAME_LENGTH = 60;
+const MAX_EXPIRES_DAYS = 3650;
+
+class ApiTokenService {
+    /**
+     * @param {Object} dependencies
+     * @param {ApiTokenReader} dependencies.apiTokenReader
+     * @param {ApiTokenWriter} dependencies.apiTokenWriter
+     * @param {SystemReader} dependencies.systemReader - 使用者名冊 (擁有者狀態與目前角色)
+     * @param {PermissionService} dependencies.permissionService
+     * @param {AuditService} [dependencies.auditService]
+     * @param {Object} dependencies.config
+     */
+    constructor({ apiTokenReader, apiTokenWriter, systemReader, permissionService, auditService, config }) {
+        this.apiTokenReader = apiTokenReader;
+        this.apiTokenWriter = apiTokenWriter;
+        this.systemReader = systemReader;
+        this.permissionService = permissionService;
+        this.auditService = auditService;
+        this.config = config;
+        this.settings = config.AUTH.API_TOKEN;
+        // tokenId -> 最後一次寫回「最後使用時間」的時間 (ms)
+        this.lastUsedWrites = new Map();
+    }
+
+    /**
+     * 是否為 API 金鑰格式 (供 verifyToken 分流，不驗證內容)
+     * @param {string} token
+     * @returns {boolean}
+     */
+    isApiToken(token) {
+        return typeof token === 'string' && token.startsWith(this.settings.PREFIX);
+    }
+
+    /**
+     * 取得金鑰列表 (不含雜湊)
+     * @param {Object} user - req.user
+     * @param {Object} [options] - { all: 具 user:admin 權限時列出所有人的金鑰 }
+     * @returns {Promise<Array<Object>>}
+     */
+    async listTokens(user, { all = false } = {}) {
+        const tokens = await this.apiTokenReader.getTokens();
+        const showAll = all && await this.permissionService.hasPermission(user, ADMIN_PERMISSION);
+        return tokens
+            .filter(token => showAll || this._isOwner(user, token))
+            .map(token => this._toDto(token))
+            .sort((a, b) => String(b.createTime).localeCompare(String(a.createTime)));
+    }
+
+    /**
+     * 可指定的範圍 (擁有者目前的權限，含權限說明)
+     * @param {Object} user - req.user
+     * @returns {Promise<Array<{permission: string, description: string}>>}
+     */
+    async getAvailableScopes(user) {
+        const catalog = this.config.PERMISSIONS.CATALOG;
+        const permissions = await this.permissionService.getUserPermissions(user);
+        return permissions
+            .filter(permission => catalog[permission] && permission !== MANAGE_PERMISSION)
+            .map(permission => ({ permission, description: catalog[permission] }));
+    }
+
+    /**
+     * 建立金鑰
+     * @param {Object} user - req.user (須為使用者名冊中的帳號，且不能以 API 金鑰建立)
+     * @param {Object} data - { name, scopes: string[], expiresInDays? }
+     * @returns {Promise<{token: string, data: Object}>} token 僅此一次回傳
+     */
+    async createToken(user, data) {
+        if (user.apiTokenId) throw this._clientError('API 金鑰不能用來建立其他金鑰', 403);
+        if (user.dev) throw this._clientError('開發用身分不能建立 API 金鑰');
+
+        const name = String(data.name || '').trim();
+        if (!name) throw this._clientError('請輸入金鑰名稱');
+        if (name.length > MAX_NAME_LENGTH) throw this._clientError(`金鑰名稱最多 ${MAX_NAME_LENGTH} 個字`);
+
+        const scopes = await this._validateScopes(user, data.scopes);
+        const expiresAt = this._resolveExpiry(data.expiresInDays);
+
+        const tokens = await this.apiTokenReader.getTokens();
+        const activeCount = tokens.filter(token => this._isOwner(user, token) && this._isActive(token)).length;
+        if (activeCount >= this.settings.MAX_PER_USER) {
+            throw this._clientError(`每位使用者最多 ${this.settings.MAX_PER_USER} 支有效金鑰，請先撤銷不再使用的金鑰`);
+        }
+
+        const rawToken = this.settings.PREFIX + crypto.randomBytes(32).toString('base64url');
+        const record = {
+            tokenId: `TKN${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            username: user.username,
+            name,
+            tokenHash: this._hashToken(rawToken),
+            tokenPrefix: rawToken.slice(0, this.settings.PREFIX.length + 6),
+            scopes,
+            createTime: new Date().toISOString(),
+            expiresAt,
+            lastUsedTime: '',
+            revokedAt: ''
+        };
+
+        await this.apiTokenWriter.createToken(record);
+        await this._audit('recordCreate', record.tokenId, this._toAuditRecord(record), user);
+
+        console.log(`🔑 [ApiToken] ${user.username} 建立 API 金鑰 ${record.tokenId} (${name}): ${scopes.join(', ')}`);
+        return { token: rawToken, data: this._toDto(record) };
+    }
+
+    /**
+     * 撤銷金鑰 (擁有者或具 user:admin 權限者)
+     * @param {Object} user - req.user
+     * @param {string} tokenId
+     */
+    async revokeToken(user, tokenId) {
+        const tokens = await this.apiTokenReader.getTokens();
+        const token = tokens.find(t => t.tokenId === tokenId);
+
+        const canManage = token && (this._isOwner(user, token) || await this.permissionService.hasPermission(user, ADMIN_PERMISSION));
+        if (!canManage) throw this._clientError(`找不到 API 金鑰: ${tokenId}`, 404);
+        if (token.revokedAt) return { success: true };
+
+        const revokedAt = new Date().toISOString();
+        await this.apiTokenWriter.updateTokenByRow(token.rowIndex, { ...token, revokedAt });
+        await this._audit('recordUpdate', token.tokenId, this._toAuditRecord(token), { revokedAt }, user);
+
+        console.log(`🔑 [ApiToken] ${user.username} 撤銷 API 金鑰 ${token.tokenId} (擁有者 ${token.username})`);
+        return { success: true };
+    }
+
+    /**
+     * 驗證 API 金鑰，回傳作為 req.user 的身分 (擁有者目前的角色 + 金鑰範圍)
+     * @param {string} rawToken
+     * @returns {Promise<Object|null>} { username, name, role, apiTokenId, scopes }；無效時回傳 null
+     */
+    async authenticate(rawToken) {
+        if (!this.isApiToken(rawToken)) return null;
+
+        const tokenHash = this._hashToken(rawToken);
+        const tokens = await this.apiTokenReader.getTokens();
+        const token = tokens.find(t => t.tokenHash === tokenHash);
+        if (!token || !this._isActive(token)) return null;
+
+        const users = await this.systemReader.getUsers();
+        const owner = users.find(u => u.username.toLowerCase() === token.username.toLowerCase());
+        if (!owner || owner.disabled) return null;
+
+        this._touch(token);
+
+        return {
+            username: owner.username,
+            name: owner.displayName || owner.username,
+            role: owner.role || this.config.PERMISSIONS.DEFAULT_ROLE,
+            apiTokenId: token.tokenId,
+            scopes: token.scopes
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 範圍須為已定義的權限 (或「資源:*」)，且展開後不得超出擁有者目前的權限
+     */
+    async _validateScopes(user, scopes) {
+        const list = [...new Set((Array.isArray(scopes) ? scopes : String(scopes || '').split(','))
+            .map(scope => String(scope).trim())
+            .filter(Boolean))];
+        if (list.length === 0) throw this._clientError('請至少選擇一個權限範圍');
+
+        const catalog = Object.keys(this.config.PERMISSIONS.CATALOG);
+        const granted = new Set(await this.permissionService.getUserPermissions(user));
+
+        list.forEach(scope => {
+            if (scope === '*') throw this._clientError('API 金鑰不能使用全部權限 (*)，請指定所需的權限範圍');
+            const covered = catalog.filter(permission => permission !== MANAGE_PERMISSION && this.permissionService.matches(scope, permission));
+            if (covered.length === 0) throw this._clientError(`未定義的權限範圍: ${scope}`);
+
+            const missing = covered.filter(permission => !granted.has(permission));
+            if (missing.length > 0) throw this._clientError(`您沒有以下權限，無法授予金鑰: ${missing.join(', ')}`, 403);
+        });
+        return list;
+    }
+
+    _resolveExpiry(expiresInDays) {
+        if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '' || Number(expiresInDays) === 0) return '';
+
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRES_DAYS) {
+            throw this._clientError(`有效天數須為 1-${MAX_EXPIRES_DAYS} 的整數 (0 或留白為不過期)`);
+        }
+        return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    _isActive(token) {
+        if (token.revokedAt) return false;
+        return !token.expiresAt || new Date(token.expiresAt).getTime() > Date.now();
+    }
+
+    _isOwner(user, token) {
+        return !!user && String(user.username || '').toLowerCase() === token.username.toLowerCase();
+    }
+
+    /**
+     * 寫回最後使用時間 (依間隔節流，失敗不影響請求)
+     */
+    _touch(token) {
+        const now = Date.now();
+        const intervalMs = this.settings.LAST_USED_WRITE_INTERVAL_SECONDS * 1000;
+        const lastWrite = Math.max(this.lastUsedWrites.get(token.tokenId) || 0, Date.parse(token.lastUsedTime) || 0);
+        if (now - lastWrite < intervalMs) return;
+
+        this.lastUsedWrites.set(token.tokenId, now);
+        this.apiTokenWriter.updateTokenByRow(token.rowIndex, { ...token, lastUsedTime: new Date(now).toISOString() })
+            .catch(error => console.warn(`[ApiToken] 無法更新最後使用時間 (${token.tokenId}): ${error.message}`));
+    }
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    _toDto(token) {
+        return {
+            tokenId: token.tokenId,
+            username: token.username,
+            name: token.name,
+            tokenPrefix: token.tokenPrefix,
+            scopes: token.scopes,
+            createTime: token.createTime,
+            expiresAt: token.expiresAt || '',
+            lastUsedTime: token.lastUsedTime || '',
+            revokedAt: token.revokedAt || '',
+            status: token.revokedAt ? 'revoked' : (this._isActive(token) ? 'active' : 'expired')
+        };
+    }
+
+    _toAuditRecord(token) {
+        return { username: token.username, name: token.name, scopes: token.scopes.join(','), expiresAt: token.expiresAt || '' };
+    }
+
+    async _audit(method, tokenId, ...args) {
+        if (!this.auditService) return;
+        await this.auditService[method](AUDIT_ENTITIES.API_TOKEN, tokenId, ...args);
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = ApiTokenService;
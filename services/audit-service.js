@@ -0,0 +1,335 @@
+/**
+ * services/audit-service.js
+ * 變更紀錄業務邏輯層 (Audit Trail)
+ * * @version 1.10.0
+ * @date 2026-10-19
+ * @description 記錄各實體建立/更新/刪除時的欄位層級變更 (實體類型、ID、欄位、舊值、新值、操作者、時間)。
+ * 權限檢查拒絕存取 (403) 亦記錄為 access / deny，實體 ID 為使用者帳號；帳號管理異動記錄為 user，API 金鑰建立 / 撤銷記錄為 api-token，Webhook 訂閱異動記錄為 webhook (密鑰不落入紀錄)，排程工作啟用 / 停用記錄為 scheduled-job，任務異動記錄為 task。
+ * 寫入失敗只記錄警告，不影響原本的業務操作。
+ * 讀取來源由 AuditLogRepository 依 config.DATA_SOURCES.AUDIT 決定。
+ * 查詢時依 ENTITY_READ_PERMISSIONS 檢查檢視者對該實體的讀取權限：指定實體但無權限時回 403，未指定實體時只回傳有權限的實體；
+ * 商品成本/價格等遮罩欄位 (config.PRODUCT_ACCESS.VIEW_PERMISSIONS) 的變更，檢視者無對應權限時整筆不回傳。
+ * 受資料列可見範圍限制的檢視者 (RecordVisibilityService) 必須指定實體與 ID，且看不到的機會 / 互動紀錄 (含已刪除者) 不回傳任何紀錄。
+ */
+
+const config = require('../config');
+
+const AUDIT_ENTITIES = Object.freeze({
+    OPPORTUNITY: 'opportunity',
+    COMPANY: 'company',
+    CONTACT: 'contact',
+    POTENTIAL_CONTACT: 'potential-contact',
+    PRODUCT: 'product',
+    EVENT_LOG: 'event-log',
+    INTERACTION: 'interaction',
+    ANNOUNCEMENT: 'announcement',
+    WEEKLY: 'weekly',
+    TASK: 'task',
+    USER: 'user',
+    API_TOKEN: 'api-token',
+    WEBHOOK: 'webhook',
+    SCHEDULED_JOB: 'scheduled-job',
+    ACCESS: 'access'
+});
+
+const AUDIT_ACTIONS = Object.freeze({
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    DENY: 'deny'
+});
+
+// 系統維護的欄位 (時間戳記、列號、版本) 不列入變更紀錄
+const IGNORED_FIELDS = new Set([
+    'rowIndex', 'expectedVersion', 'version', 'modifier',
+    'createdTime', 'lastUpdateTime', 'updatedTime', 'createTime',
+    'creator', 'createdBy', 'lastModifier', 'updatedBy', 'editCount'
+]);
+
+// Service DTO 欄位 -> SQL DTO 欄位 (SQL 來源時比對舊值用)
+const FIELD_ALIASES = {
+    [AUDIT_ENTITIES.OPPORTUNITY]: {
+        assignee: 'owner', opportunitySource: 'source', orderProbability: 'winProbability',
+        opportunityValueType: 'valueCalcMode', deviceScale: 'equipmentScale',
+        potentialSpecification: 'productDetails', driveFolderLink: 'driveLink'
+    },
+    [AUDIT_ENTITIES.COMPANY]: {
+        county: 'city', introduction: 'description', engagementRating: 'interactionRating'
+    },
+    [AUDIT_ENTITIES.CONTACT]: {
+        position: 'jobTitle'
+    }
+};
+
+// 各實體變更紀錄的檢視權限 (與該實體的讀取權限相同)；帳號、金鑰與拒絕存取紀錄僅限帳號管理者
+const ENTITY_READ_PERMISSIONS = Object.freeze({
+    [AUDIT_ENTITIES.OPPORTUNITY]: 'opportunity:read',
+    [AUDIT_ENTITIES.COMPANY]: 'company:read',
+    [AUDIT_ENTITIES.CONTACT]: 'contact:read',
+    [AUDIT_ENTITIES.POTENTIAL_CONTACT]: 'contact:read',
+    [AUDIT_ENTITIES.PRODUCT]: 'product:read',
+    [AUDIT_ENTITIES.EVENT_LOG]: 'event:read',
+    [AUDIT_ENTITIES.INTERACTION]: 'interaction:read',
+    [AUDIT_ENTITIES.ANNOUNCEMENT]: 'announcement:read',
+    [AUDIT_ENTITIES.WEEKLY]: 'weekly:read',
+    [AUDIT_ENTITIES.TASK]: 'task:read',
+    [AUDIT_ENTITIES.USER]: 'user:admin',
+    [AUDIT_ENTITIES.API_TOKEN]: 'user:admin',
+    [AUDIT_ENTITIES.WEBHOOK]: 'webhook:manage',
+    [AUDIT_ENTITIES.SCHEDULED_JOB]: 'job:manage',
+    [AUDIT_ENTITIES.ACCESS]: 'user:admin'
+});
+
+// 需另外具備權限才能檢視的欄位 (實體 → 欄位 → 權限)，與各實體 API 的欄位遮罩一致
+const FIELD_VIEW_PERMISSIONS = Object.freeze({
+    [AUDIT_ENTITIES.PRODUCT]: config.PRODUCT_ACCESS.VIEW_PERMISSIONS
+});
+
+const DEFAULT_LIMIT = 500;
+
+class AuditService {
+    /**
+     * @param {Object} dependencies
+     * @param {AuditLogRepository} dependencies.auditLogRepository
+     * @param {PermissionService} [dependencies.permissionService] - 查詢時的實體讀取權限；未提供時不檢查
+     * @param {RecordVisibilityService} [dependencies.recordVisibilityService] - 查詢時的機會 / 互動紀錄可見範圍
+     * @param {OpportunityRepository} [dependencies.opportunityRepository]
+     * @param {InteractionRepository} [dependencies.interactionRepository]
+     */
+    constructor({
+        auditLogRepository, permissionService = null, recordVisibilityService = null,
+        opportunityRepository = null, interactionRepository = null
+    }) {
+        this.auditLogRepository = auditLogRepository;
+        this.permissionService = permissionService;
+        this.recordVisibilityService = recordVisibilityService;
+        this.opportunityRepository = opportunityRepository;
+        this.interactionRepository = interactionRepository;
+    }
+
+    _getActorName(user) {
+        if (!user) return 'System';
+        if (typeof user === 'string') return user;
+        return user.displayName || user.username || user.name || 'System';
+    }
+
+    _formatValue(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    _valueOf(record, field, entityType) {
+        if (!record) return undefined;
+        if (record[field] !== undefined) return record[field];
+        const alias = (FIELD_ALIASES[entityType] || {})[field];
+        return alias ? record[alias] : undefined;
+    }
+
+    /**
+     * 計算欄位層級差異
+     * create：after 中有值的欄位；delete：before 中有值的欄位；update：after 中與 before 不同的欄位
+     */
+    _diff(entityType, action, before, after) {
+        const changes = [];
+        const source = action === AUDIT_ACTIONS.DELETE ? before : after;
+
+        Object.keys(source || {}).forEach(field => {
+            if (IGNORED_FIELDS.has(field)) return;
+
+            const oldValue = action === AUDIT_ACTIONS.CREATE ? '' : this._formatValue(this._valueOf(before, field, entityType));
+            const newValue = action === AUDIT_ACTIONS.DELETE ? '' : this._formatValue(after[field]);
+
+            if (action === AUDIT_ACTIONS.UPDATE && after[field] === undefined) return;
+            if (oldValue === newValue) return;
+
+            changes.push({ field, oldValue, newValue });
+        });
+
+        return changes;
+    }
+
+    /**
+     * 寫入一次操作的變更紀錄
+     * @param {Object} params
+     * @param {string} params.entityType - AUDIT_ENTITIES 之一
+     * @param {string} params.entityId
+     * @param {string} params.action - AUDIT_ACTIONS 之一
+     * @param {Object} [params.before] - 變更前資料 (update / delete)
+     * @param {Object} [params.after] - 新資料或變更欄位 (create / update)
+     * @param {Object|string} [params.user] - 操作者
+     * @returns {Promise<number>} 寫入筆數
+     */
+    async record({ entityType, entityId, action, before = null, after = null, user }) {
+        try {
+            if (!entityType || !entityId) return 0;
+
+            let changes = this._diff(entityType, action, before, after);
+            if (changes.length === 0) {
+                // 更新未改變任何欄位時不留紀錄；建立/刪除至少留一筆
+                if (action === AUDIT_ACTIONS.UPDATE) return 0;
+                changes = [{ field: '', oldValue: '', newValue: '' }];
+            }
+
+            const timestamp = new Date().toISOString();
+            const batchId = `AUD${Date.now()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+            const actor = this._getActorName(user);
+
+            const entries = changes.map((change, index) => ({
+                auditId: `${batchId}-${index + 1}`,
+                batchId,
+                timestamp,
+                entityType,
+                entityId: String(entityId),
+                action,
+                actor,
+                ...change
+            }));
+
+            await this.auditLogRepository.appendAuditLogs(entries);
+            return entries.length;
+        } catch (error) {
+            console.warn(`[AuditService] 寫入變更紀錄失敗 (${entityType} ${entityId} ${action}): ${error.message}`);
+            return 0;
+        }
+    }
+
+    async recordCreate(entityType, entityId, record, user) {
+        return this.record({ entityType, entityId, action: AUDIT_ACTIONS.CREATE, after: record, user });
+    }
+
+    async recordUpdate(entityType, entityId, before, changes, user) {
+        return this.record({ entityType, entityId, action: AUDIT_ACTIONS.UPDATE, before, after: changes, user });
+    }
+
+    async recordDelete(entityType, entityId, before, user) {
+        return this.record({ entityType, entityId, action: AUDIT_ACTIONS.DELETE, before, user });
+    }
+
+    /**
+     * 記錄一次被拒絕的存取 (403)
+     * @param {Object} user - req.user
+     * @param {Object} params
+     * @param {string} params.permission - 缺少的權限
+     * @param {string} [params.method]
+     * @param {string} [params.path]
+     */
+    async recordAccessDenied(user, { permission, method, path }) {
+        const entityId = (user && user.username) || this._getActorName(user);
+        return this.record({
+            entityType: AUDIT_ENTITIES.ACCESS,
+            entityId,
+            action: AUDIT_ACTIONS.DENY,
+            after: { permission, request: [method, path].filter(Boolean).join(' ') },
+            user
+        });
+    }
+
+    /**
+     * 查詢變更紀錄 (新到舊)
+     * @param {Object} [filters]
+     * @param {string} [filters.entity] - 實體類型
+     * @param {string} [filters.id] - 實體 ID
+     * @param {number} [filters.limit=500]
+     * @param {Object} [user] - 檢視者 (req.user)；未提供時為系統內部查詢，不檢查權限
+     * @throws {Error} statusCode 403, code PERMISSION_DENIED (無該實體的讀取權限，或受可見範圍限制卻未指定實體與 ID)
+     */
+    async getAuditLogs({ entity, id, limit } = {}, user = null) {
+        if (entity && !Object.values(AUDIT_ENTITIES).includes(entity)) {
+            const error = new Error(`不支援的實體類型: ${entity} (可用: ${Object.values(AUDIT_ENTITIES).join(', ')})`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const granted = await this._getGrantedPermissions(user);
+        const canRead = (permission) => !granted || granted.has(permission);
+        if (entity && !canRead(ENTITY_READ_PERMISSIONS[entity])) {
+            const error = new Error(`無權限檢視此類資料的變更紀錄: ${entity}`);
+            error.statusCode = 403;
+            error.code = 'PERMISSION_DENIED';
+            error.permission = ENTITY_READ_PERMISSIONS[entity];
+            throw error;
+        }
+
+        const scope = (user && this.recordVisibilityService)
+            ? await this.recordVisibilityService.getScope(user)
+            : { unrestricted: true };
+        if (!scope.unrestricted && !(entity && id)) {
+            const error = new Error('查詢變更紀錄需指定實體類型與 ID (entity、id)');
+            error.statusCode = 403;
+            error.code = 'PERMISSION_DENIED';
+            error.permission = this.recordVisibilityService.constructor.VIEW_ALL_PERMISSION;
+            throw error;
+        }
+
+        const isVisible = await this._getRecordVisibilityCheck(scope, entity);
+        const logs = (await this.auditLogRepository.getAuditLogs({ entityType: entity, entityId: id }))
+            .filter(log => {
+                if (!canRead(ENTITY_READ_PERMISSIONS[log.entityType] || 'user:admin')) return false;
+                const fieldPermission = (FIELD_VIEW_PERMISSIONS[log.entityType] || {})[log.field];
+                return (!fieldPermission || canRead(fieldPermission)) && isVisible(log);
+            });
+        const max = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : DEFAULT_LIMIT;
+
+        return [...logs]
+            .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)) || String(b.auditId).localeCompare(String(a.auditId)))
+            .slice(0, max);
+    }
+
+    /**
+     * 依可見範圍建立單筆紀錄的檢查函式：機會與互動紀錄只回傳檢視者看得到的資料 (找不到的資料一律視為看不到)
+     * @param {Object} scope - RecordVisibilityService.getScope 的結果
+     * @param {string} [entity] - 查詢的實體類型
+     * @returns {Promise<Function>} (log) => boolean
+     */
+    async _getRecordVisibilityCheck(scope, entity) {
+        if (scope.unrestricted) return () => true;
+        if (entity !== AUDIT_ENTITIES.OPPORTUNITY && entity !== AUDIT_ENTITIES.INTERACTION) return () => true;
+
+        const opportunities = await this.opportunityRepository.getOpportunities();
+        const visibleOpportunityIds = new Set(
+            opportunities.filter(opp => this.recordVisibilityService.canViewOpportunity(scope, opp)).map(opp => opp.opportunityId)
+        );
+        if (entity === AUDIT_ENTITIES.OPPORTUNITY) {
+            return (log) => visibleOpportunityIds.has(log.entityId);
+        }
+
+        const interactions = new Map(
+            (await this.interactionRepository.getInteractions()).map(interaction => [interaction.interactionId, interaction])
+        );
+        return (log) => {
+            const interaction = interactions.get(log.entityId);
+            return !!interaction && this.recordVisibilityService.canViewInteraction(scope, interaction, visibleOpportunityIds);
+        };
+    }
+
+    /**
+     * 檢視者擁有的權限；系統內部查詢 (未提供檢視者) 回傳 null 表示不限制
+     * @param {Object} [user]
+     * @returns {Promise<Set<string>|null>}
+     */
+    async _getGrantedPermissions(user) {
+        if (!user || !this.permissionService) return null;
+        return new Set(await this.permissionService.getUserPermissions(user));
+    }
+
+    /**
+     * 取得某實體類型單一欄位的所有變更 (舊到新，不套用筆數上限)
+     * 供分析用途 (例如機會階段轉換時間軸)
+     * @param {string} entityType - AUDIT_ENTITIES 之一
+     * @param {string} field
+     * @returns {Promise<Array<Object>>}
+     */
+    async getFieldChanges(entityType, field) {
+        const logs = await this.auditLogRepository.getAuditLogs({ entityType });
+        return logs
+            .filter(log => log.field === field)
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)) || String(a.auditId).localeCompare(String(b.auditId)));
+    }
+}
+
+AuditService.ENTITIES = AUDIT_ENTITIES;
+AuditService.ACTIONS = AUDIT_ACTIONS;
+AuditService.ENTITY_READ_PERMISSIONS = ENTITY_READ_PERMISSIONS;
+
+module.exports = AuditService;
@@ -1,26 +1,49 @@
 /**
  * services/auth-service.js
  * 使用者認證服務 (User Domain Layer)
- * * @version 5.2.3
- * @date 2026-01-26
+ * * @version 5.8.1 (Fail-closed Revocation)
+ * @date 2026-10-19
  * @description Line-Leads L1→L2：新增 verifyLineIdToken，其餘既有登入/密碼流程保持不變。
+ * 登入簽發短效 Access Token (帶 tv = Token 版本、sid = 工作階段) 與 Refresh Token；
+ * refresh 每次輪替 Refresh Token，已輪替的舊 Token 被重送 (超過寬限秒數) 視為遭竊並撤銷該工作階段；
+ * logout 撤銷工作階段。變更密碼會將使用者的 Token 版本 +1，使既有 Token 全部失效。
+ * getRevocationReason 在使用者名冊讀取失敗或為空時拒絕 Token (開發用身分除外)。
+ * 登入失敗依帳號 / IP 節流 (LoginThrottleService)；以舊版明碼登入成功時自動改存 bcrypt 雜湊；
+ * 變更密碼須符合 config.AUTH.PASSWORD_POLICY。
+ * LINE 綁定：使用者名冊 LINE ID 欄對應 LINE sub；resolveLineUser 供 /api/line/* 以 CRM 帳號身分與角色操作，
+ * lineLogin 讓已綁定的 LINE 使用者直接取得 CRM 登入。
+ * 開發用身分 (config.DEV_AUTH)：devLogin 為假帳號簽發正式 JWT，取代原本固定的 TEST_LOCAL_TOKEN；
+ * 啟用時 verifyLineIdToken 也接受 dev Token，讓 leads-view 可在本地不經 LINE 測試。
+ * 登入結果附帶使用者的權限清單 (PermissionService)，供前端決定功能顯示。
+ * 停用帳號無法登入；登入成功時記錄最後登入時間。管理員重設密碼後 Token 帶有 mustChangePassword，
+ * 變更密碼後清除該旗標。
  * @contract 遵守契約 v1.0：DOM/API/localStorage 不變。
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
+const { assertPasswordPolicy } = require('../utils/password-policy');
 
 class AuthService {
     /**
      * @param {SystemReader} systemReader - 負責讀取使用者資料
      * @param {SystemWriter} systemWriter - 負責寫入使用者資料 (修改密碼用)
+     * @param {PermissionService} [permissionService] - 計算使用者權限清單
+     * @param {AuthSessionReader} [authSessionReader] - 登入工作階段 (Refresh Token)
+     * @param {AuthSessionWriter} [authSessionWriter]
+     * @param {LoginThrottleService} [loginThrottleService] - 登入失敗節流
      */
-    constructor(systemReader, systemWriter) {
+    constructor(systemReader, systemWriter, permissionService, authSessionReader, authSessionWriter, loginThrottleService) {
         if (!systemReader) throw new Error('AuthService 需要 SystemReader 實例');
         // systemWriter 是選擇性的，但為了修改密碼功能，建議注入
         this.systemReader = systemReader;
         this.systemWriter = systemWriter;
+        this.permissionService = permissionService;
+        this.authSessionReader = authSessionReader;
+        this.authSessionWriter = authSessionWriter;
+        this.loginThrottleService = loginThrottleService;
 
         // [Line-Leads L2] 使用與原 line-leads.controller.js 相同的環境變數邏輯
         this.LINE_CHANNEL_ID = process.env.LINE_CHANNEL_ID || '2006367469';
@@ -28,16 +51,16 @@ class AuthService {
 
     /**
      * 驗證 LINE ID Token（Line-Leads L1→L2）
-     * - 邏輯遷移自 controllers/line-leads.controller.js 的 _verifyLineToken + TEST_LOCAL_TOKEN 分流
      * - 回傳 null 表示驗證失敗（保持原 controller 行為：401）
+     * - 開發用身分啟用時，dev Token 視為 LINE 使用者 dev:<帳號>
      * @param {string} token
      * @returns {Promise<Object|null>}
      */
     async verifyLineIdToken(token) {
         try {
-            // Dev 特權 Token（保持原行為）
-            if (token === 'TEST_LOCAL_TOKEN') {
-                return { sub: 'TEST_USER', name: 'Developer' };
+            const devUser = this.verifyDevToken(token);
+            if (devUser) {
+                return { sub: `dev:${devUser.username}`, name: devUser.name, dev: true, username: devUser.username, role: devUser.role };
             }
 
             const params = new URLSearchParams();
@@ -63,6 +86,181 @@ class AuthService {
         }
     }
 
+    /**
+     * 取得 LINE 使用者綁定的 CRM 身分 (停用帳號視為未綁定)
+     * 開發用身分直接對應 config.DEV_AUTH 的假帳號
+     * @param {Object} lineProfile - verifyLineIdToken 的結果
+     * @returns {Promise<{username: string, name: string, role: string}|null>} 與 JWT payload 相同格式
+     */
+    async resolveLineUser(lineProfile) {
+        if (!lineProfile || !lineProfile.sub) return null;
+        if (lineProfile.dev) {
+            return { username: lineProfile.username, name: lineProfile.name, role: lineProfile.role, dev: true };
+        }
+
+        const users = await this.systemReader.getUsers();
+        const user = users.find(u => u.lineUserId && u.lineUserId === lineProfile.sub);
+        if (!user || user.disabled) return null;
+
+        return { username: user.username, name: user.displayName || user.username, role: user.role || 'sales' };
+    }
+
+    /**
+     * 將 LINE 使用者綁定到 CRM 帳號 (以 CRM 帳號密碼確認身分，與登入共用失敗節流)
+     * 同一個 LINE 使用者只能綁定一個帳號；帳號改綁其他 LINE 時取代原本的綁定
+     * @param {Object} lineProfile - verifyLineIdToken 的結果
+     * @param {string} username
+     * @param {string} password
+     * @param {Object} [meta] - { ip }
+     * @returns {Promise<{username: string, name: string, role: string}>}
+     */
+    async linkLineAccount(lineProfile, username, password, meta = {}) {
+        if (!this.systemWriter) throw new Error('AuthService 未配置 SystemWriter，無法綁定 LINE');
+        if (lineProfile.dev) throw this._clientError('開發用身分不需綁定');
+        if (!username || !password) throw this._clientError('請輸入帳號和密碼');
+
+        if (this.loginThrottleService) this.loginThrottleService.assertAllowed(username, meta.ip);
+
+        const user = await this._findUser(username);
+        if (!user || !this._matchPassword(password, user.passwordHash).isMatch) {
+            this._recordLoginFailure(username, meta);
+            throw this._clientError('帳號或密碼錯誤', 401);
+        }
+        if (this.loginThrottleService) this.loginThrottleService.recordSuccess(username);
+        if (user.disabled) throw this._clientError('此帳號已停用，請聯繫管理員', 403);
+
+        const users = await this.systemReader.getUsers();
+        const owner = users.find(u => u.lineUserId === lineProfile.sub);
+        if (owner && owner.username !== user.username) {
+            throw this._clientError(`此 LINE 帳號已綁定 CRM 帳號 ${owner.username}，請先解除綁定`, 409);
+        }
+
+        await this.systemWriter.updateUserProfileByRow(user.rowIndex, { ...user, lineUserId: lineProfile.sub });
+        this.systemReader.invalidateCache('users');
+
+        console.log(`🔗 [Auth] LINE 使用者 ${lineProfile.sub} 綁定 CRM 帳號 ${user.username}`);
+        return { username: user.username, name: user.displayName || user.username, role: user.role || 'sales' };
+    }
+
+    /**
+     * 解除 LINE 使用者的綁定
+     * @param {Object} lineProfile - verifyLineIdToken 的結果
+     */
+    async unlinkLineAccount(lineProfile) {
+        const users = await this.systemReader.getUsers();
+        const user = users.find(u => u.lineUserId && u.lineUserId === lineProfile.sub);
+        if (!user) return { success: true };
+
+        await this.systemWriter.updateUserProfileByRow(user.rowIndex, { ...user, lineUserId: '' });
+        this.systemReader.invalidateCache('users');
+
+        console.log(`🔗 [Auth] LINE 使用者 ${lineProfile.sub} 解除綁定 CRM 帳號 ${user.username}`);
+        return { success: true };
+    }
+
+    /**
+     * 以 LINE ID Token 登入 CRM (須已綁定)，回傳格式與 login 相同
+     * @param {string} idToken
+     * @param {Object} [meta] - { userAgent }
+     */
+    async lineLogin(idToken, meta = {}) {
+        const lineProfile = idToken ? await this.verifyLineIdToken(idToken) : null;
+        if (!lineProfile) throw this._unauthorized('LINE Token 驗證失敗');
+        if (lineProfile.dev) throw this._clientError('開發用身分請使用開發登入');
+
+        const users = await this.systemReader.getUsers();
+        const user = users.find(u => u.lineUserId && u.lineUserId === lineProfile.sub);
+        if (!user) {
+            const error = this._clientError('此 LINE 帳號尚未綁定 CRM 帳號', 403);
+            error.code = 'LINE_ACCOUNT_NOT_LINKED';
+            throw error;
+        }
+        if (user.disabled) throw this._clientError('此帳號已停用，請聯繫管理員', 403);
+
+        const { sessionId, refreshToken } = await this._createSession(user, meta);
+        console.log(`[Auth] 使用者 ${user.username} 以 LINE 登入成功`);
+        await this._recordLastLogin(user);
+
+        return this._buildLoginResult(user, sessionId, refreshToken);
+    }
+
+    /**
+     * 開發用身分狀態 (供 /health 判斷)
+     * @returns {{enabled: boolean, misconfigured: boolean}}
+     */
+    getDevAuthStatus() {
+        return {
+            enabled: config.DEV_AUTH.ENABLED,
+            // 正式環境設定了 DEV_AUTH 視為部署錯誤 (即使因 NODE_ENV 而未實際啟用)
+            misconfigured: config.DEV_AUTH.REQUESTED && process.env.NODE_ENV === 'production'
+        };
+    }
+
+    /**
+     * 取得可選用的開發用假帳號
+     * @returns {Array<{username: string, name: string, role: string}>}
+     */
+    getDevUsers() {
+        this._assertDevAuthEnabled();
+        return config.DEV_AUTH.USERS.map(user => ({ ...user }));
+    }
+
+    /**
+     * 以開發用假帳號登入 (指定帳號或角色)，回傳格式與 login 相同
+     * @param {Object} params
+     * @param {string} [params.username]
+     * @param {string} [params.role] - 未指定帳號時，取該角色的第一個假帳號
+     */
+    async devLogin({ username, role } = {}) {
+        this._assertDevAuthEnabled();
+
+        const devUser = config.DEV_AUTH.USERS.find(user =>
+            username ? user.username === username : user.role === String(role || '').toLowerCase()
+        );
+        if (!devUser) {
+            const error = new Error(`找不到開發用帳號: ${username || role || '(未指定)'}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const payload = { username: devUser.username, name: devUser.name, role: devUser.role, dev: true };
+        console.warn(`🚧 [Auth] 開發用身分登入: ${devUser.username} (${devUser.role})`);
+
+        return {
+            name: devUser.name,
+            role: devUser.role,
+            permissions: await this.getUserPermissions(payload),
+            mustChangePassword: false,
+            token: this._signToken(payload, config.DEV_AUTH.TOKEN_EXPIRES_IN)
+        };
+    }
+
+    /**
+     * 驗證開發用 Token；未啟用或非 dev Token 時回傳 null
+     * @param {string} token
+     * @returns {Object|null} JWT payload
+     */
+    verifyDevToken(token) {
+        if (!config.DEV_AUTH.ENABLED || !token) return null;
+        try {
+            const payload = jwt.verify(token, config.AUTH.JWT_SECRET);
+            return payload && payload.dev ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _assertDevAuthEnabled() {
+        if (config.DEV_AUTH.ENABLED) return;
+        const error = new Error('開發用身分未啟用');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    _signToken(payload, expiresIn = config.AUTH.ACCESS_TOKEN_EXPIRES_IN) {
+        return jwt.sign(payload, config.AUTH.JWT_SECRET, { expiresIn });
+    }
+
     /**
      * 內部輔助：取得並驗證使用者
      * @param {string} username
@@ -83,54 +281,299 @@ class AuthService {
      * 使用者登入驗證
      * @param {string} username
      * @param {string} password
-     * @returns {Promise<Object>} { user, token }
+     * @param {Object} [meta] - { userAgent, ip }
+     * @returns {Promise<Object>} { name, role, permissions, mustChangePassword, token, refreshToken }
      */
-    async login(username, password) {
+    async login(username, password, meta = {}) {
         if (!username || !password) {
             throw new Error('請輸入帳號和密碼');
         }
 
+        // 鎖定中直接拒絕 (不比對密碼)
+        if (this.loginThrottleService) this.loginThrottleService.assertAllowed(username, meta.ip);
+
         const user = await this._findUser(username);
 
         if (!user) {
             console.warn(`[Auth] 登入失敗：找不到使用者 ${username}`);
+            this._recordLoginFailure(username, meta);
             throw new Error('帳號或密碼錯誤');
         }
 
-        // 支援 bcrypt 雜湊比對與明碼比對 (向下相容)
-        let isMatch = false;
-        if (user.passwordHash && user.passwordHash.startsWith('$2')) {
-            isMatch = bcrypt.compareSync(password, user.passwordHash);
-        } else {
-            // Fallback: 舊系統可能存明碼
-            isMatch = (password === user.passwordHash) || (password === user.password);
-        }
+        const { isMatch, isPlaintext } = this._matchPassword(password, user.passwordHash);
 
         if (!isMatch) {
             console.warn(`[Auth] 登入失敗：使用者 ${username} 密碼錯誤`);
+            this._recordLoginFailure(username, meta);
             throw new Error('帳號或密碼錯誤');
         }
+        if (this.loginThrottleService) this.loginThrottleService.recordSuccess(username);
 
-        // 簽發 Token
+        if (user.disabled) {
+            console.warn(`[Auth] 登入失敗：使用者 ${username} 已停用`);
+            const error = new Error('此帳號已停用，請聯繫管理員');
+            error.statusCode = 403;
+            throw error;
+        }
+
+        // 舊版明碼：登入成功後改存 bcrypt 雜湊
+        if (isPlaintext) await this._upgradePlaintextPassword(user, password);
+
+        // 建立工作階段並簽發 Token
+        const { sessionId, refreshToken } = await this._createSession(user, meta);
+
+        console.log(`[Auth] 使用者 ${username} (${user.role}) 登入成功`);
+        await this._recordLastLogin(user);
+
+        return this._buildLoginResult(user, sessionId, refreshToken);
+    }
+
+    /**
+     * 以 Refresh Token 換發 Access Token (Refresh Token 同時輪替，舊的隨即失效)
+     * @param {string} refreshToken
+     * @param {Object} [meta] - { userAgent }
+     * @returns {Promise<Object>} 與 login 相同
+     */
+    async refresh(refreshToken, meta = {}) {
+        if (!refreshToken || !this.authSessionReader) throw this._unauthorized('缺少 Refresh Token');
+
+        // 換發不走快取，避免多個程序各自持有過期的工作階段狀態
+        this.authSessionReader.invalidateCache('authSessions');
+        const sessions = await this.authSessionReader.getSessions();
+        const tokenHash = this._hashToken(refreshToken);
+        const session = sessions.find(s => s.tokenHash === tokenHash);
+
+        if (!session) {
+            const rotated = sessions.find(s => s.previousTokenHash === tokenHash);
+            if (rotated) await this._handleRefreshTokenReuse(rotated);
+            throw this._unauthorized('登入已失效，請重新登入');
+        }
+        if (session.revokedAt || new Date(session.expiresAt).getTime() <= Date.now()) {
+            throw this._unauthorized('登入已失效，請重新登入');
+        }
+
+        const user = await this._findUser(session.username);
+        if (!user || user.disabled || (user.tokenVersion || 0) !== session.tokenVersion) {
+            throw this._unauthorized('登入已失效，請重新登入');
+        }
+
+        const nextToken = this._generateRefreshToken();
+        const now = new Date();
+        await this.authSessionWriter.updateSessionByRow(session.rowIndex, {
+            ...session,
+            tokenHash: this._hashToken(nextToken),
+            previousTokenHash: session.tokenHash,
+            lastRefreshTime: now.toISOString(),
+            expiresAt: this._refreshExpiry(now),
+            userAgent: meta.userAgent || session.userAgent
+        });
+
+        return this._buildLoginResult(user, session.sessionId, nextToken);
+    }
+
+    /**
+     * 登出：撤銷 Refresh Token 所屬的工作階段 (其 Access Token 也隨之失效)
+     * 找不到對應工作階段時視為已登出
+     * @param {string} refreshToken
+     */
+    async logout(refreshToken) {
+        if (!refreshToken || !this.authSessionReader) return { success: true };
+
+        this.authSessionReader.invalidateCache('authSessions');
+        const sessions = await this.authSessionReader.getSessions();
+        const session = sessions.find(s => s.tokenHash === this._hashToken(refreshToken));
+        if (session && !session.revokedAt) {
+            await this._revokeSession(session);
+            console.log(`[Auth] 使用者 ${session.username} 登出 (工作階段 ${session.sessionId})`);
+        }
+        return { success: true };
+    }
+
+    /**
+     * 檢查已通過簽章驗證的 Access Token 是否已被撤銷 (供 auth.middleware 使用)
+     * - 帳號已刪除或停用
+     * - Token 版本 (tv) 低於使用者目前版本 (變更密碼、停用後)
+     * - 所屬工作階段 (sid) 已登出
+     * 開發用身分不在使用者名冊中，不檢查。使用者名冊或工作階段讀取失敗 (含空名冊) 時無法確認狀態，一律視為撤銷。
+     * @param {Object} payload - JWT payload
+     * @returns {Promise<string|null>} 撤銷原因；有效時為 null
+     */
+    async getRevocationReason(payload) {
+        if (!payload || payload.dev) return null;
+
+        try {
+            return await this._checkRevocation(payload);
+        } catch (error) {
+            console.error('[AuthService] 無法確認 Token 狀態:', error.message);
+            return '無法確認帳號狀態';
+        }
+    }
+
+    /**
+     * 內部輔助：getRevocationReason 的實際檢查 (讀取失敗時拋出錯誤)
+     */
+    async _checkRevocation(payload) {
+        const users = await this.systemReader.getUsers();
+        if (users.length === 0) return '無法讀取使用者名冊';
+
+        const user = users.find(u => u.username.toLowerCase() === String(payload.username || '').toLowerCase());
+        if (!user) return '帳號不存在';
+        if (user.disabled) return '帳號已停用';
+        if ((payload.tv || 0) !== (user.tokenVersion || 0)) return 'Token 已撤銷';
+
+        if (payload.sid && this.authSessionReader) {
+            const sessions = await this.authSessionReader.getSessions();
+            const session = sessions.find(s => s.sessionId === payload.sid);
+            if (session && session.revokedAt) return '已登出';
+        }
+        return null;
+    }
+
+    /**
+     * 內部輔助：登入 / 換發的共用回傳格式
+     */
+    async _buildLoginResult(user, sessionId, refreshToken) {
         const payload = {
             username: user.username,
             name: user.displayName || user.username,
-            role: user.role || 'sales'
+            role: user.role || 'sales',
+            tv: user.tokenVersion || 0
         };
+        if (sessionId) payload.sid = sessionId;
+        if (user.mustChangePassword) payload.mustChangePassword = true;
 
-        const token = jwt.sign(
-            payload,
-            config.AUTH.JWT_SECRET,
-            { expiresIn: config.AUTH.JWT_EXPIRES_IN }
-        );
-
-        console.log(`[Auth] 使用者 ${username} (${user.role}) 登入成功`);
-
-        return {
+        const result = {
             name: user.displayName,
             role: user.role,
-            token
+            permissions: await this.getUserPermissions(payload),
+            mustChangePassword: !!user.mustChangePassword,
+            token: this._signToken(payload)
         };
+        if (refreshToken) result.refreshToken = refreshToken;
+        return result;
+    }
+
+    /**
+     * 內部輔助：新增登入工作階段；未注入工作階段儲存時只簽發 Access Token
+     * @returns {Promise<{sessionId?: string, refreshToken?: string}>}
+     */
+    async _createSession(user, meta = {}) {
+        if (!this.authSessionWriter) return {};
+
+        const refreshToken = this._generateRefreshToken();
+        const now = new Date();
+        const sessionId = `SES${Date.now()}${crypto.randomBytes(3).toString('hex')}`;
+
+        await this.authSessionWriter.createSession({
+            sessionId,
+            username: user.username,
+            tokenHash: this._hashToken(refreshToken),
+            tokenVersion: user.tokenVersion || 0,
+            createTime: now.toISOString(),
+            lastRefreshTime: now.toISOString(),
+            expiresAt: this._refreshExpiry(now),
+            userAgent: meta.userAgent || ''
+        });
+        return { sessionId, refreshToken };
+    }
+
+    /**
+     * 內部輔助：已輪替的 Refresh Token 被重送
+     * 寬限秒數內 (多分頁同時換發) 只拒絕；超過則視為 Token 外洩，撤銷整個工作階段
+     */
+    async _handleRefreshTokenReuse(session) {
+        if (session.revokedAt) return;
+
+        const sinceRotation = Date.now() - new Date(session.lastRefreshTime).getTime();
+        if (sinceRotation <= config.AUTH.REFRESH_REUSE_GRACE_SECONDS * 1000) return;
+
+        console.warn(`⚠️ [Auth] 偵測到已輪替的 Refresh Token 被重複使用，撤銷工作階段 ${session.sessionId} (${session.username})`);
+        await this._revokeSession(session);
+    }
+
+    async _revokeSession(session) {
+        await this.authSessionWriter.updateSessionByRow(session.rowIndex, {
+            ...session,
+            revokedAt: new Date().toISOString()
+        });
+    }
+
+    _generateRefreshToken() {
+        return crypto.randomBytes(48).toString('base64url');
+    }
+
+    _hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    _refreshExpiry(from) {
+        return new Date(from.getTime() + config.AUTH.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    _unauthorized(message) {
+        return this._clientError(message, 401);
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * 內部輔助：比對密碼 (bcrypt 雜湊；舊系統留下的明碼向下相容)
+     * @param {string} password
+     * @param {string} storedValue - 使用者名冊 B 欄
+     * @returns {{isMatch: boolean, isPlaintext: boolean}}
+     */
+    _matchPassword(password, storedValue) {
+        if (!storedValue) return { isMatch: false, isPlaintext: false };
+        if (storedValue.startsWith('$2')) {
+            return { isMatch: bcrypt.compareSync(String(password), storedValue), isPlaintext: false };
+        }
+        return { isMatch: String(password) === storedValue, isPlaintext: true };
+    }
+
+    _recordLoginFailure(username, meta) {
+        if (this.loginThrottleService) this.loginThrottleService.recordFailure(username, meta.ip);
+    }
+
+    /**
+     * 內部輔助：將明碼改存為 bcrypt 雜湊 (失敗不影響登入，下次登入再試)
+     */
+    async _upgradePlaintextPassword(user, password) {
+        if (!this.systemWriter || !user.rowIndex) return;
+        try {
+            await this.systemWriter.updateUserPasswordByRow(user.rowIndex, bcrypt.hashSync(password, bcrypt.genSaltSync(10)));
+            this.systemReader.invalidateCache('users');
+            console.log(`🔐 [Auth] 使用者 ${user.username} 的明碼已改存為 bcrypt 雜湊`);
+        } catch (error) {
+            console.warn(`[Auth] 明碼轉換雜湊失敗 (${user.username}): ${error.message}`);
+        }
+    }
+
+    /**
+     * 內部輔助：寫入最後登入時間 (失敗不影響登入)
+     * @param {Object} user
+     */
+    async _recordLastLogin(user) {
+        if (!this.systemWriter || !user.rowIndex) return;
+        try {
+            await this.systemWriter.updateUserLastLoginByRow(user.rowIndex, new Date().toISOString());
+            this.systemReader.invalidateCache('users');
+        } catch (error) {
+            console.warn(`[Auth] 記錄最後登入時間失敗 (${user.username}): ${error.message}`);
+        }
+    }
+
+    /**
+     * 取得使用者的權限清單
+     * @param {Object} user - JWT payload (需含 role)
+     * @returns {Promise<Array<string>>}
+     */
+    async getUserPermissions(user) {
+        if (!this.permissionService) return [];
+        return this.permissionService.getUserPermissions(user);
     }
 
     /**
@@ -143,11 +586,7 @@ class AuthService {
         const user = await this._findUser(username);
         if (!user) return false;
 
-        if (user.passwordHash && user.passwordHash.startsWith('$2')) {
-            return bcrypt.compareSync(password, user.passwordHash);
-        } else {
-            return (password === user.passwordHash);
-        }
+        return this._matchPassword(password, user.passwordHash).isMatch;
     }
 
     /**
@@ -162,8 +601,11 @@ class AuthService {
             throw new Error('AuthService 未配置 SystemWriter，無法修改密碼');
         }
 
-        if (newPassword.length < 6) {
-            throw new Error('新密碼長度至少需 6 碼');
+        assertPasswordPolicy(newPassword, { username });
+        if (newPassword === oldPassword) {
+            const error = new Error('新密碼不可與舊密碼相同');
+            error.statusCode = 400;
+            throw error;
         }
 
         // 1. 驗證舊密碼
@@ -185,8 +627,13 @@ class AuthService {
             throw new Error('無法取得使用者資料行號 (RowIndex)，請聯繫管理員');
         }
 
-        // 4. 寫入
-        await this.systemWriter.updatePassword(user.rowIndex, newHash);
+        // 4. 寫入 (管理員要求變更密碼的旗標一併清除；Token 版本 +1，既有登入全部失效)
+        await this.systemWriter.updateUserPasswordByRow(user.rowIndex, newHash);
+        await this.systemWriter.updateUserProfileByRow(user.rowIndex, {
+            ...user,
+            mustChangePassword: false,
+            tokenVersion: (user.tokenVersion || 0) + 1
+        });
 
         // 5. 清除快取
         if (this.systemReader.cache && this.systemReader.cache['users']) {
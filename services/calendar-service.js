@@ -1,10 +1,11 @@
 /**
  * services/calendar-service.js
  * 日曆服務模組 (Service Layer)
- * * @version 6.0.0 (Added getEventsForPeriod for Weekly Module)
- * @date 2026-01-14
+ * * @version 6.1.0 (Meeting Events)
+ * @date 2026-10-19
  * @description 負責處理與 Google Calendar 的互動，包含通用活動查詢、建立與假日判斷。
  * 修正：補上 WeeklyBusinessService 所需的 getEventsForPeriod 方法。
+ * 修正：補上 EventService 排定會議所需的 createCalendarEvent (原呼叫不存在的方法，會議一律建立失敗)。
  */
 
 const config = require('../config');
@@ -144,6 +145,34 @@ class CalendarService {
         }
     }
 
+    /**
+     * 以簡化欄位建立會議事件 (全天事件以 config.TIMEZONE 的日期為準)
+     * @param {Object} meeting - { title, description, location, startTime, isAllDay?, duration? (分鐘) }
+     * @returns {Promise<{success: boolean, eventId: string, htmlLink: string}>}
+     */
+    async createCalendarEvent({ title, description, location, startTime, isAllDay = false, duration }) {
+        const start = new Date(startTime);
+        if (isNaN(start.getTime())) throw new Error(`無效的會議時間: ${startTime}`);
+
+        let timing;
+        if (isAllDay) {
+            const toDate = (date) => date.toLocaleDateString('en-CA', { timeZone: this.config.TIMEZONE });
+            timing = {
+                start: { date: toDate(start) },
+                end: { date: toDate(new Date(start.getTime() + 24 * 60 * 60 * 1000)) }
+            };
+        } else {
+            const minutes = Number(duration) || this.config.CALENDAR_EVENT.DEFAULT_DURATION;
+            timing = {
+                start: { dateTime: start.toISOString(), timeZone: this.config.TIMEZONE },
+                end: { dateTime: new Date(start.getTime() + minutes * 60 * 1000).toISOString(), timeZone: this.config.TIMEZONE }
+            };
+        }
+
+        const event = await this.createEvent({ summary: title, description, location, ...timing });
+        return { success: true, eventId: event.id, htmlLink: event.htmlLink || '' };
+    }
+
     /**
      * 取得國定假日 (保留自 v5.0.0)
      */
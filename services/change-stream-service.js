@@ -0,0 +1,197 @@
+/**
+ * services/change-stream-service.js
+ * 資料異動即時推播服務 (Change Stream)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 以 '*' 訂閱 DomainEventBus，將領域事件轉為精簡的異動通知，推送給 /api/stream 的連線，
+ * 取代前端輪詢 /api/system/status 的 lastWriteTimestamp 後整頁重載。
+ * - 通知格式：{ eventId, type, entity, id, action, actor, occurredAt, opportunityId?, companyId?, weekId?, previousWeekId? }
+ *   只說明「誰對哪筆資料做了什麼」，內容由前端經一般 API (含權限與可見範圍) 重新讀取。
+ * - 依連線使用者的讀取權限 (ENTITY_PERMISSIONS) 與 RecordVisibilityService 的機會可見範圍過濾；
+ *   權限與範圍在連線建立時計算，連線最長只維持到 Access Token 到期，重新連線時即更新。
+ * - 同一筆寫入可能產生多個事件 (例如 opportunity.updated + opportunity.stageChanged)，前端應自行合併。
+ * 依賴注入：OpportunityRepository, RecordVisibilityService, PermissionService, Config
+ */
+
+const { EVENTS } = require('./domain-event-bus');
+
+// 異動實體 → 接收通知所需的讀取權限
+const ENTITY_PERMISSIONS = Object.freeze({
+    opportunity: 'opportunity:read',
+    company: 'company:read',
+    contact: 'contact:read',
+    eventLog: 'event:read',
+    interaction: 'interaction:read',
+    weekly: 'weekly:read',
+    task: 'task:read'
+});
+
+const opportunityChange = (action) => ({ entity: 'opportunity', action, id: p => p.opportunityId, context: p => ({ opportunityId: p.opportunityId }) });
+
+const taskChange = (action) => ({
+    entity: 'task', action, id: p => p.taskId,
+    context: p => ({ opportunityId: p.task.opportunityId || '', companyId: p.task.companyId || '' })
+});
+
+// 領域事件 → 異動通知；未列出的事件 (opportunity.won、meeting.scheduled、task.completed) 已由同一次寫入的其他事件涵蓋
+const CHANGE_TYPES = Object.freeze({
+    [EVENTS.OPPORTUNITY_CREATED]: opportunityChange('created'),
+    [EVENTS.OPPORTUNITY_UPDATED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_STAGE_CHANGED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_CLOSED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_CONTACT_LINKED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_CONTACT_UNLINKED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_SHARED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_UNSHARED]: opportunityChange('updated'),
+    [EVENTS.OPPORTUNITY_DELETED]: opportunityChange('deleted'),
+    [EVENTS.COMPANY_CREATED]: { entity: 'company', action: 'created', id: p => p.companyId, context: p => ({ companyId: p.companyId }) },
+    [EVENTS.COMPANY_UPDATED]: { entity: 'company', action: 'updated', id: p => p.companyId, context: p => ({ companyId: p.companyId }) },
+    [EVENTS.CONTACT_UPGRADED]: { entity: 'contact', action: 'updated', id: p => p.contactId, context: p => ({ opportunityId: p.opportunityId }) },
+    [EVENTS.EVENT_LOG_CREATED]: {
+        entity: 'eventLog', action: 'created', id: p => p.eventId,
+        context: p => ({ opportunityId: p.eventLog.opportunityId || '', companyId: p.eventLog.companyId || '' })
+    },
+    [EVENTS.EVENT_LOG_UPDATED]: { entity: 'eventLog', action: 'updated', id: p => p.eventId, context: p => ({ opportunityId: p.opportunityId, companyId: p.companyId }) },
+    [EVENTS.EVENT_LOG_DELETED]: { entity: 'eventLog', action: 'deleted', id: p => p.eventId, context: p => ({ opportunityId: p.opportunityId, companyId: p.companyId }) },
+    [EVENTS.INTERACTION_CREATED]: { entity: 'interaction', action: 'created', id: p => p.interactionId, context: p => ({ opportunityId: p.opportunityId, companyId: p.companyId }) },
+    [EVENTS.INTERACTION_UPDATED]: { entity: 'interaction', action: 'updated', id: p => p.interactionId, context: p => ({ opportunityId: p.opportunityId, companyId: p.companyId }) },
+    [EVENTS.INTERACTION_DELETED]: { entity: 'interaction', action: 'deleted', id: p => p.interactionId, context: p => ({ opportunityId: p.opportunityId, companyId: p.companyId }) },
+    [EVENTS.WEEKLY_ENTRY_CREATED]: { entity: 'weekly', action: 'created', id: p => p.recordId, context: p => ({ weekId: p.entry.weekId || '' }) },
+    [EVENTS.WEEKLY_ENTRY_UPDATED]: { entity: 'weekly', action: 'updated', id: p => p.recordId, context: p => ({ weekId: p.weekId, previousWeekId: p.previousWeekId }) },
+    [EVENTS.WEEKLY_ENTRY_DELETED]: { entity: 'weekly', action: 'deleted', id: p => p.recordId, context: p => ({ weekId: p.weekId }) },
+    [EVENTS.TASK_CREATED]: taskChange('created'),
+    [EVENTS.TASK_UPDATED]: taskChange('updated'),
+    [EVENTS.TASK_DELETED]: taskChange('deleted')
+});
+
+class ChangeStreamService {
+    /**
+     * @param {Object} dependencies
+     * @param {OpportunityRepository} dependencies.opportunityRepository - 判斷機會相關通知的可見範圍
+     * @param {RecordVisibilityService} dependencies.recordVisibilityService
+     * @param {PermissionService} dependencies.permissionService
+     * @param {Object} dependencies.config
+     */
+    constructor({ opportunityRepository, recordVisibilityService, permissionService, config }) {
+        this.opportunityRepository = opportunityRepository;
+        this.recordVisibilityService = recordVisibilityService;
+        this.permissionService = permissionService;
+        this.settings = config.STREAM;
+        this.clients = new Set();
+    }
+
+    /**
+     * 訂閱所有領域事件
+     * @param {DomainEventBus} eventBus
+     */
+    register(eventBus) {
+        eventBus.subscribe('*', 'changeStream.broadcast', event => this.broadcast(event));
+    }
+
+    /**
+     * 加入一條連線 (由 Controller 建立 SSE 回應後呼叫)
+     * @param {Object} user - req.user
+     * @param {Function} send - (change) => void，寫入一則通知
+     * @returns {Promise<Object>} 連線代號，斷線時傳給 removeClient
+     */
+    async addClient(user, send) {
+        const username = String(user?.username || '').toLowerCase();
+        const existing = [...this.clients].filter(client => client.username === username).length;
+        if (existing >= this.settings.MAX_CONNECTIONS_PER_USER) {
+            throw this._clientError(`即時推播連線數已達上限 (${this.settings.MAX_CONNECTIONS_PER_USER})，請關閉其他分頁後再試`, 429);
+        }
+
+        const [scope, entities] = await Promise.all([
+            this.recordVisibilityService ? this.recordVisibilityService.getScope(user) : { unrestricted: true },
+            this._getReadableEntities(user)
+        ]);
+
+        const client = { username, scope, entities, send };
+        this.clients.add(client);
+        return client;
+    }
+
+    removeClient(client) {
+        this.clients.delete(client);
+    }
+
+    /**
+     * 將領域事件轉為異動通知並推送給有權限的連線 (單一連線寫入失敗不影響其他連線)
+     * @param {Object} event - DomainEventBus 事件信封
+     */
+    async broadcast(event) {
+        const change = this.toChange(event);
+        if (!change || this.clients.size === 0) return;
+
+        const opportunity = change.opportunityId ? await this._findOpportunity(change.opportunityId, event.payload) : null;
+
+        this.clients.forEach(client => {
+            if (!client.entities.has(change.entity)) return;
+            if (change.opportunityId && !this._canViewOpportunity(client.scope, opportunity)) return;
+            try {
+                client.send(change);
+            } catch (error) {
+                console.warn(`[ChangeStream] 推送失敗 (${client.username}): ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * @param {Object} event - DomainEventBus 事件信封
+     * @returns {Object|null} 異動通知；不推播的事件回傳 null
+     */
+    toChange(event) {
+        const definition = CHANGE_TYPES[event.type];
+        if (!definition) return null;
+
+        const context = definition.context(event.payload);
+        Object.keys(context).forEach(key => { if (!context[key]) delete context[key]; });
+
+        return {
+            eventId: event.id,
+            type: event.type,
+            entity: definition.entity,
+            id: definition.id(event.payload),
+            action: definition.action,
+            actor: event.actor,
+            occurredAt: event.occurredAt,
+            ...context
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    async _getReadableEntities(user) {
+        const entries = await Promise.all(Object.entries(ENTITY_PERMISSIONS).map(async ([entity, permission]) =>
+            [entity, await this.permissionService.hasPermission(user, permission)]
+        ));
+        return new Set(entries.filter(([, allowed]) => allowed).map(([entity]) => entity));
+    }
+
+    /**
+     * 事件已附機會 DTO (建立、階段變更、刪除) 時直接使用，否則查詢目前資料
+     */
+    async _findOpportunity(opportunityId, payload) {
+        if (payload.opportunity && payload.opportunity.opportunityId === opportunityId) return payload.opportunity;
+        try {
+            const opportunities = await this.opportunityRepository.getOpportunities();
+            return opportunities.find(opp => opp.opportunityId === opportunityId) || null;
+        } catch (error) {
+            console.warn(`[ChangeStream] 無法讀取機會 ${opportunityId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    _canViewOpportunity(scope, opportunity) {
+        if (scope.unrestricted) return true;
+        return !!opportunity && this.recordVisibilityService.canViewOpportunity(scope, opportunity);
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = ChangeStreamService;
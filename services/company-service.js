@@ -1,19 +1,30 @@
 /**
  * services/company-service.js
  * 公司業務邏輯層
- * * @version 7.7.0 (Phase 6-2: SQL First Implementation)
- * @date 2026-01-30
+ * * @version 7.14.0 (Webhook Events)
+ * @date 2026-10-19
  * * @description
- * * 1. [Feature] 實作 SQL First + Sheet Fallback 讀取策略 (_getAllCompanies)。
- * * 2. [Fix] Write 流程 (_findCompanyRowIndex) 強制讀取 Sheet 以確保 rowIndex 存在。
+ * * 1. [Feature] 讀取來源由 CompanyRepository 依 config.DATA_SOURCES.COMPANY 決定 (_getAllCompanies)。
+ * * 2. [Feature] 建立/更新/刪除以 companyId 經 CompanyRepository 寫入，不再依賴 Sheet rowIndex。
+ * *    對外方法接受 companyId 或公司名稱 (_getCompanyByKey)。
  * * 3. [Strict] 保持前端合約與 DTO Mapping 不變。
+ * * 4. [Concurrency] updateCompany 支援 expectedVersion (lastUpdateTime)；衝突時附上目前資料 (error.current)。
+ * * 5. [Audit] 建立/更新/刪除經 AuditService 寫入欄位層級變更紀錄。
+ * * 6. [Visibility] 公司本身不設擁有者；詳細資料中的商機、互動與事件只列出使用者可見範圍內的部分。
+ * * 7. [Events] createCompany 發布 company.created (附公司 DTO)；updateCompany 發布 company.updated，
+ * *    「資料更新」系統日誌改由 DomainEventSubscribers 寫入。
  */
 
+const { isVersionConflict } = require('../utils/concurrency');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { EVENTS } = require('./domain-event-bus');
+
 class CompanyService {
     constructor(
         companyReader, companyWriter, contactReader, contactWriter,
-        opportunityReader, opportunityWriter, interactionReader, interactionWriter,
-        eventLogReader, systemReader, companySqlReader // Inject SQL Reader
+        opportunityReader, opportunityWriter, interactionReader, interactionRepository,
+        eventLogReader, systemReader, companyRepository, auditService = null,
+        recordVisibilityService = null, eventBus = null
     ) {
         this.companyReader = companyReader;
         this.companyWriter = companyWriter;
@@ -22,10 +33,13 @@ class CompanyService {
         this.opportunityReader = opportunityReader;
         this.opportunityWriter = opportunityWriter;
         this.interactionReader = interactionReader;
-        this.interactionWriter = interactionWriter;
+        this.interactionRepository = interactionRepository;
         this.eventLogReader = eventLogReader;
         this.systemReader = systemReader;
-        this.companySqlReader = companySqlReader; // Assign
+        this.companyRepository = companyRepository;
+        this.auditService = auditService;
+        this.recordVisibilityService = recordVisibilityService;
+        this.eventBus = eventBus;
     }
 
     // --- DTO Mapping (SQL-ready) ---
@@ -71,39 +85,11 @@ class CompanyService {
 
     /**
      * 取得所有公司 (已轉 DTO)
-     * 策略: SQL First -> Sheet Fallback
+     * 來源策略由 CompanyRepository 決定 (SHEET / SQL / SQL_WITH_SHEET_FALLBACK)
      */
     async _getAllCompanies() {
-        let companies = null;
-
-        // 1. Try SQL
-        if (this.companySqlReader) {
-            try {
-                const sqlRaw = await this.companySqlReader.getCompanies();
-                // 必須檢查是否為空陣列，若為空則視為尚未同步，觸發 Fallback
-                if (sqlRaw && Array.isArray(sqlRaw) && sqlRaw.length > 0) {
-                    console.log('[CompanyService] Read Source: SQL');
-                    companies = sqlRaw.map(item => this._toServiceDTO(item));
-                }
-            } catch (error) {
-                console.warn(`[CompanyService] SQL Read Failed, falling back: ${error.message}`);
-                // Continue to Fallback
-            }
-        }
-
-        // 2. Fallback to Sheet (若 SQL 失敗、未注入、或回傳空資料)
-        if (!companies) {
-            console.log('[CompanyService] Read Source: Sheet (Fallback)');
-            try {
-                const sheetRaw = await this.companyReader.getCompanyList();
-                companies = sheetRaw.map(item => this._toServiceDTO(item));
-            } catch (sheetError) {
-                console.error('[CompanyService] Sheet Read Failed:', sheetError);
-                throw sheetError; // Sheet 也失敗則拋出例外
-            }
-        }
-
-        return companies;
+        const raw = await this.companyRepository.getCompanies();
+        return raw.map(item => this._toServiceDTO(item));
     }
 
     /**
@@ -122,6 +108,18 @@ class CompanyService {
         ) || null;
     }
 
+    /**
+     * 依 companyId 或公司名稱取得單一公司 (已轉 DTO)
+     * ID 完全相符優先，其次以正規化名稱比對
+     */
+    async _getCompanyByKey(companyIdOrName) {
+        if (!companyIdOrName) return null;
+
+        const companies = await this._getAllCompanies();
+        return companies.find(c => c.companyId === companyIdOrName)
+            || await this._getCompanyByName(companyIdOrName);
+    }
+
     // --- Helpers ---
 
     // Helper: 正規化公司名稱
@@ -133,42 +131,6 @@ class CompanyService {
             .trim();
     }
 
-    // Helper: 紀錄系統互動
-    async _logCompanyInteraction(companyId, title, summary, modifier) {
-        try {
-            if (this.interactionWriter && this.interactionWriter.createInteraction) {
-                await this.interactionWriter.createInteraction({
-                    companyId: companyId,
-                    eventType: '系統事件',
-                    eventTitle: title,
-                    contentSummary: summary,
-                    recorder: modifier,
-                    interactionTime: new Date().toISOString()
-                });
-            }
-        } catch (logError) {
-            console.warn(`[CompanyService] Log Interaction Error: ${logError.message}`);
-        }
-    }
-
-    // Helper: 尋找公司 Row Index (用於 Update/Delete)
-    // [Critical] Write 操作必須強制讀取 Sheet 以確保 rowIndex 存在
-    // 不可使用 _getAllCompanies (因為可能來自 SQL)
-    async _findCompanyRowIndex(companyName) {
-        // Force Sheet Read
-        const rawList = await this.companyReader.getCompanyList();
-        
-        const normalizedTarget = this._normalizeCompanyName(companyName);
-        const target = rawList.find(c => 
-            this._normalizeCompanyName(c.companyName) === normalizedTarget
-        );
-        
-        if (!target) throw new Error(`找不到公司: ${companyName}`);
-        if (!target.rowIndex) throw new Error('系統錯誤: 無法取得資料行號 (rowIndex missing)');
-        
-        return target.rowIndex;
-    }
-
     // --- Public Methods ---
 
     // 1. 建立公司
@@ -194,12 +156,21 @@ class CompanyService {
             const dataToWrite = { companyName: companyName, ...companyData };
             
             // 執行寫入
-            const result = await this.companyWriter.createCompany(dataToWrite, modifier);
+            const result = await this.companyRepository.createCompany(dataToWrite, modifier);
             
             // 清除快取
             if (this.companyReader.invalidateCache) {
                 this.companyReader.invalidateCache('companyList');
             }
+
+            const companyId = result.data?.companyId || result.id;
+            if (this.auditService && companyId) {
+                await this.auditService.recordCreate(AUDIT_ENTITIES.COMPANY, companyId, dataToWrite, modifier);
+            }
+            if (this.eventBus && companyId) {
+                const company = await this._getCompanyByKey(companyId) || { companyId, ...dataToWrite };
+                await this.eventBus.publish(EVENTS.COMPANY_CREATED, { companyId, company }, { username: user.username, name: modifier });
+            }
             
             return result;
         } catch (error) {
@@ -294,8 +265,8 @@ class CompanyService {
         }
     }
 
-    // 3. 取得詳細資料
-    async getCompanyDetails(companyName) {
+    // 3. 取得詳細資料 (傳入 user 時，關聯商機/互動/事件依可見範圍篩選)
+    async getCompanyDetails(companyName, user = null) {
         try {
             // 平行讀取資料
             const [allCompanies, allContacts, allOpportunities, allInteractions, allEventLogs, allPotentialContacts] = await Promise.all([
@@ -330,19 +301,29 @@ class CompanyService {
             const contacts = allContacts.filter(c => c.companyId === companyId);
             
             // 2. 商機
-            const opportunities = allOpportunities.filter(o => 
+            const companyOpportunities = allOpportunities.filter(o => 
                 this._normalizeCompanyName(o.customerCompany) === normalizedTarget
             );
-            const relatedOppIds = new Set(opportunities.map(o => o.opportunityId));
+            const relatedOppIds = new Set(companyOpportunities.map(o => o.opportunityId));
             
             // 3. 互動紀錄
-            const interactions = allInteractions.filter(i => 
+            const companyInteractions = allInteractions.filter(i => 
                 i.companyId === companyId || (i.opportunityId && relatedOppIds.has(i.opportunityId))
             ).sort((a, b) => new Date(b.interactionTime || 0) - new Date(a.interactionTime || 0));
 
-            // 4. 系統日誌
+            // 可見範圍：看不到的商機連同其互動與事件一併排除
+            let opportunities = companyOpportunities;
+            let interactions = companyInteractions;
+            if (this.recordVisibilityService) {
+                opportunities = await this.recordVisibilityService.filterOpportunities(user, companyOpportunities);
+                interactions = await this.recordVisibilityService.filterInteractions(user, companyInteractions, allOpportunities);
+            }
+            const visibleOppIds = new Set(opportunities.map(o => o.opportunityId));
+
+            // 4. 系統日誌 (所屬商機不可見者排除)
+            const isHiddenOpp = (oppId) => oppId && relatedOppIds.has(oppId) && !visibleOppIds.has(oppId);
             const eventLogs = allEventLogs.filter(e => 
-                e.companyId === companyId || (e.opportunityId && relatedOppIds.has(e.opportunityId))
+                (e.companyId === companyId || (e.opportunityId && relatedOppIds.has(e.opportunityId))) && !isHiddenOpp(e.opportunityId)
             ).sort((a, b) => new Date(b.createdTime || 0) - new Date(a.createdTime || 0));
 
             // 5. 潛在聯絡人
@@ -358,23 +339,27 @@ class CompanyService {
         }
     }
 
-    // 4. 更新公司
-    async updateCompany(companyName, updateData, user) {
+    // 4. 更新公司 (companyIdOrName: companyId 或公司名稱)
+    async updateCompany(companyIdOrName, updateData, user, options = {}) {
         try {
             const modifier = user.displayName || user.username || 'System';
             
-            // 檢查公司是否存在 (使用一般讀取)
-            const companyInfo = await this._getCompanyByName(companyName);
-            if (!companyInfo) throw new Error(`找不到公司: ${companyName}`);
-
-            // [Strict] 取得行號 (必須使用 _findCompanyRowIndex 強制讀取 Sheet)
-            const rowIndex = await this._findCompanyRowIndex(companyName);
+            const companyInfo = await this._getCompanyByKey(companyIdOrName);
+            if (!companyInfo) throw new Error(`找不到公司: ${companyIdOrName}`);
 
-            // 執行寫入
-            const result = await this.companyWriter.updateCompany(rowIndex, updateData, modifier);
+            // 執行寫入 (以 companyId 定位，由 Repository 決定寫入 Sheet 或 SQL)
+            const result = await this.companyRepository.updateCompany(companyInfo.companyId, updateData, modifier, options);
             
-            // 紀錄 Log
-            await this._logCompanyInteraction(companyInfo.companyId, '資料更新', `公司資料已更新。`, modifier);
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.COMPANY, companyInfo.companyId, companyInfo, updateData, modifier);
+            }
+            if (this.eventBus) {
+                await this.eventBus.publish(EVENTS.COMPANY_UPDATED, {
+                    companyId: companyInfo.companyId,
+                    companyName: companyInfo.companyName,
+                    changes: updateData
+                }, { username: user.username, name: modifier });
+            }
             
             // 清除快取
             if (this.companyReader.invalidateCache) {
@@ -383,14 +368,24 @@ class CompanyService {
 
             return result;
         } catch (error) {
+            if (isVersionConflict(error)) {
+                if (this.companyReader.invalidateCache) {
+                    this.companyReader.invalidateCache('companyList');
+                }
+                error.current = await this._getCompanyByKey(companyIdOrName);
+            }
             console.error('[CompanyService] Update Error:', error);
             throw error;
         }
     }
 
-    // 5. 刪除公司
-    async deleteCompany(companyName, user) {
+    // 5. 刪除公司 (companyIdOrName: companyId 或公司名稱)
+    async deleteCompany(companyIdOrName, user) {
         try {
+            const companyInfo = await this._getCompanyByKey(companyIdOrName);
+            if (!companyInfo) throw new Error(`找不到公司: ${companyIdOrName}`);
+            const companyName = companyInfo.companyName;
+
             // 檢查關聯商機
             const opps = await this.opportunityReader.getOpportunities();
             const relatedOpps = opps.filter(o => 
@@ -401,9 +396,7 @@ class CompanyService {
                 throw new Error(`無法刪除：尚有 ${relatedOpps.length} 個關聯機會案件 (例如: ${relatedOpps[0].opportunityName})。請先移除關聯案件。`);
             }
 
-            // [Strict] 取得行號 (必須使用 _findCompanyRowIndex 強制讀取 Sheet)
-            const rowIndex = await this._findCompanyRowIndex(companyName);
-            const result = await this.companyWriter.deleteCompany(rowIndex);
+            const result = await this.companyRepository.deleteCompany(companyInfo.companyId);
             
             // 清除快取
             if (this.companyReader.invalidateCache) {
@@ -411,6 +404,10 @@ class CompanyService {
                 this.companyReader.invalidateCache('companyList');
             }
 
+            if (this.auditService) {
+                await this.auditService.recordDelete(AUDIT_ENTITIES.COMPANY, companyInfo.companyId, companyInfo, user);
+            }
+
             return result;
         } catch (error) {
             console.error('[CompanyService] Delete Error:', error);
@@ -1,14 +1,20 @@
 /**
  * services/contact-service.js
  * 聯絡人業務邏輯服務層
- * * @version 7.3.1 (Phase 7: Dashboard Interface Support)
- * @date 2026-02-04
+ * * @version 7.8.0 (Legacy Row Alias)
+ * @date 2026-10-19
  * @description
- * - Official Contacts: SQL primary read, Sheet fallback via CORE reader only.
+ * - Official Contacts: read via ContactRepository (config.DATA_SOURCES.CONTACT), Sheet side uses CORE reader only.
  * - Official Contacts write: SQL only via contactSqlWriter.
  * - Potential Contacts (RAW): stays on Sheet via RAW reader/writer.
+ *   Located by stable contactId (PC-xxxx) only; the row is re-read uncached right before each write,
+ *   and writes are refused when several rows share the same contactId.
+ *   Deprecated rowIndex routes are translated to a contactId server-side (resolvePotentialContactIdByRow).
+ * - Audit: official and potential contact writes are recorded field-by-field via AuditService.
  */
 
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+
 class ContactService {
     /**
      * @param {ContactReader} contactRawReader  - bound to IDS.RAW (Potential contacts)
@@ -16,30 +22,25 @@ class ContactService {
      * @param {ContactWriter} contactWriter     - RAW write only
      * @param {CompanyReader} companyReader
      * @param {Object} config
-     * @param {ContactSqlReader} [contactSqlReader]
+     * @param {ContactRepository} contactRepository - Official contacts, routed by DATA_SOURCES
      * @param {ContactSqlWriter} [contactSqlWriter]
+     * @param {AuditService} [auditService]
      */
-    constructor(contactRawReader, contactCoreReader, contactWriter, companyReader, config, contactSqlReader, contactSqlWriter) {
+    constructor(contactRawReader, contactCoreReader, contactWriter, companyReader, config, contactRepository, contactSqlWriter, auditService = null) {
         this.contactRawReader = contactRawReader;
         this.contactCoreReader = contactCoreReader;
         this.contactWriter = contactWriter;
         this.companyReader = companyReader;
         this.config = config || { PAGINATION: { CONTACTS_PER_PAGE: 20 } };
-        this.contactSqlReader = contactSqlReader;
+        this.contactRepository = contactRepository;
         this.contactSqlWriter = contactSqlWriter;
+        this.auditService = auditService;
     }
 
     _normalizeKey(str = '') {
         return String(str).toLowerCase().trim();
     }
 
-    _mapSqlContact(contact) {
-        return {
-            ...contact,
-            position: contact.jobTitle || contact.position
-        };
-    }
-
     _mapOfficialContact(contact, companyNameMap) {
         return {
             ...contact,
@@ -48,35 +49,9 @@ class ContactService {
     }
 
     async _fetchOfficialContactsWithCompanies(forceSheet = false) {
-        let allContacts = null;
-
-        // 1) SQL primary
-        if (!forceSheet) {
-            if (this.contactSqlReader) {
-                try {
-                    const sqlContacts = await this.contactSqlReader.getContacts();
-                    if (!sqlContacts || sqlContacts.length === 0) {
-                        throw new Error('SQL returned empty data or null (Treating as sync lag)');
-                    }
-                    allContacts = sqlContacts.map(c => this._mapSqlContact(c));
-                } catch (error) {
-                    console.warn('[ContactService] SQL Read Error/Empty (Fallback to Sheet):', error.message);
-                    allContacts = null;
-                }
-            } else {
-                console.warn('[ContactService] SQL Reader NOT injected. Skipping to Sheet.');
-            }
-        }
+        const allContacts = await this.contactRepository.getOfficialContacts({ forceSheet });
 
-        // 2) Sheet fallback (MUST be CORE reader)
-        if (!allContacts) {
-            if (!this.contactCoreReader) {
-                throw new Error('[ContactService] contactCoreReader not configured for Sheet fallback');
-            }
-            allContacts = await this.contactCoreReader.getContactList();
-        }
-
-        // 3) Join companies
+        // Join companies
         const allCompanies = await this.companyReader.getCompanyList();
         const companyNameMap = new Map(allCompanies.map(c => [c.companyId, c.companyName]));
 
@@ -193,28 +168,12 @@ class ContactService {
     }
 
     async getContactById(contactId) {
-        // SQL primary
-        if (this.contactSqlReader) {
-            try {
-                const sqlContact = await this.contactSqlReader.getContactById(contactId);
-                if (sqlContact) {
-                    const allCompanies = await this.companyReader.getCompanyList();
-                    const companyNameMap = new Map(allCompanies.map(c => [c.companyId, c.companyName]));
-                    const mappedContact = this._mapSqlContact(sqlContact);
-                    return this._mapOfficialContact(mappedContact, companyNameMap);
-                }
-                console.warn(`[ContactService] Contact ID ${contactId} not found in SQL. Attempting Fallback.`);
-            } catch (error) {
-                console.warn('[ContactService] SQL Single Read Error (Fallback):', error.message);
-            }
-        } else {
-            console.warn('[ContactService] SQL Reader NOT injected. Using Sheet Fallback for getContactById.');
-        }
+        const contact = await this.contactRepository.getOfficialContactById(contactId);
+        if (!contact) return null;
 
-        // CORE sheet fallback
-        const contacts = await this._fetchOfficialContactsWithCompanies(true);
-        const contact = contacts.find(c => c.contactId === contactId);
-        return contact || null;
+        const allCompanies = await this.companyReader.getCompanyList();
+        const companyNameMap = new Map(allCompanies.map(c => [c.companyId, c.companyName]));
+        return this._mapOfficialContact(contact, companyNameMap);
     }
 
     async getLinkedContacts(opportunityId) {
@@ -279,6 +238,20 @@ class ContactService {
     // ----------------------------
     // Phase 7 Writes (SQL Only)
     // ----------------------------
+
+    /**
+     * 變更紀錄用的寫入前快照 (讀取失敗不影響寫入)
+     */
+    async _getContactSnapshot(contactId) {
+        if (!this.auditService) return null;
+        try {
+            return await this.contactRepository.getOfficialContactById(contactId);
+        } catch (error) {
+            console.warn(`[ContactService] 無法取得聯絡人快照 (${contactId}): ${error.message}`);
+            return null;
+        }
+    }
+
     async createContact(contactData, user) {
         if (!this.contactSqlWriter) throw new Error('[ContactService] ContactSqlWriter not configured. Create failed.');
 
@@ -289,43 +262,107 @@ class ContactService {
             this.contactCoreReader.invalidateCache('contactList');
         }
 
+        if (this.auditService && result.id) {
+            await this.auditService.recordCreate(AUDIT_ENTITIES.CONTACT, result.id, contactData, user);
+        }
+
         return result; // { success: true, id }
     }
 
     async updateContact(contactId, updateData, user) {
         if (!this.contactSqlWriter) throw new Error('[ContactService] ContactSqlWriter not configured. Update failed.');
 
+        const before = await this._getContactSnapshot(contactId);
         await this.contactSqlWriter.updateContact(contactId, updateData, user);
 
         if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
             this.contactCoreReader.invalidateCache('contactList');
         }
 
+        if (this.auditService) {
+            await this.auditService.recordUpdate(AUDIT_ENTITIES.CONTACT, contactId, before, updateData, user);
+        }
+
         return { success: true };
     }
 
     async deleteContact(contactId, user) {
         if (!this.contactSqlWriter) throw new Error('[ContactService] ContactSqlWriter not configured. Delete failed.');
 
+        const before = await this._getContactSnapshot(contactId);
         await this.contactSqlWriter.deleteContact(contactId);
 
         if (this.contactCoreReader && this.contactCoreReader.invalidateCache) {
             this.contactCoreReader.invalidateCache('contactList');
         }
 
+        if (this.auditService) {
+            await this.auditService.recordDelete(AUDIT_ENTITIES.CONTACT, contactId, before, user);
+        }
+
         return { success: true };
     }
 
     // ----------------------------
     // RAW (Potential) stays Sheet
     // ----------------------------
-    async updatePotentialContact(rowIndex, updateData, modifier) {
-        try {
-            if (!this.contactRawReader) throw new Error('[ContactService] contactRawReader not configured');
 
-            const allContacts = await this.contactRawReader.getContacts();
-            const target = allContacts.find(c => c.rowIndex === parseInt(rowIndex));
-            if (!target) throw new Error(`找不到潛在客戶 Row: ${rowIndex}`);
+    /**
+     * 以 contactId (PC-xxxx) 找出潛在客戶，供寫入前定位實際列號
+     * 略過 30 秒快取重新讀取，避免其他人插入/刪除列後寫到錯的列；
+     * 多列推導出同一個 contactId 時無法判斷是哪一位，拒絕寫入。
+     * @param {string} contactId
+     */
+    async resolvePotentialContact(contactId) {
+        if (!this.contactRawReader) throw new Error('[ContactService] contactRawReader not configured');
+
+        const key = String(contactId || '').trim();
+        if (/^\d+$/.test(key)) {
+            throw this._clientError(`已停用以列號定位潛在客戶 (${key})，請改用 contactId`);
+        }
+
+        this.contactRawReader.invalidateCache('contacts');
+        const matches = (await this.contactRawReader.getContacts()).filter(c => c.contactId === key);
+
+        if (matches.length === 0) throw this._clientError(`找不到潛在客戶: ${key}`, 404);
+        if (matches.length > 1) {
+            const rows = matches.map(c => c.rowIndex).join(', ');
+            throw this._clientError(`潛在客戶 ${key} 對應到多列 (第 ${rows} 列)，無法判斷要更新哪一筆，請至原始名片表確認`, 409);
+        }
+        return matches[0];
+    }
+
+    /**
+     * 是否為潛在客戶 contactId (由 ContactReader 推導的 PC-xxxx)
+     * @param {string} contactId
+     */
+    static isPotentialContactId(contactId) {
+        return /^PC-[0-9a-f]{12}$/.test(String(contactId || '').trim());
+    }
+
+    /**
+     * [Deprecated 路由專用] 將舊版列號解析為潛在客戶 contactId
+     * 重新讀取原始名片表取得該列目前的 ID，之後的寫入仍經 resolvePotentialContact 以 ID 定位。
+     * @param {string|number} rowIndex
+     * @returns {Promise<string>} contactId
+     */
+    async resolvePotentialContactIdByRow(rowIndex) {
+        if (!this.contactRawReader) throw new Error('[ContactService] contactRawReader not configured');
+
+        const text = String(rowIndex === undefined || rowIndex === null ? '' : rowIndex).trim();
+        if (!/^\d+$/.test(text)) throw this._clientError(`無效的列號: ${text}`);
+
+        this.contactRawReader.invalidateCache('contacts');
+        const target = (await this.contactRawReader.getContacts()).find(c => Number(c.rowIndex) === Number(text));
+        if (!target || !target.contactId) throw this._clientError(`找不到第 ${text} 列的潛在客戶`, 404);
+
+        console.warn(`[ContactService] 以舊版列號 ${text} 定位潛在客戶 (→ ${target.contactId})，請改傳 contactId`);
+        return target.contactId;
+    }
+
+    async updatePotentialContact(contactId, updateData, modifier) {
+        try {
+            const target = await this.resolvePotentialContact(contactId);
 
             const mergedData = { ...target, ...updateData };
 
@@ -335,18 +372,82 @@ class ContactService {
                 mergedData.notes = oldNotes ? `${oldNotes}\n${newNoteEntry}` : newNoteEntry;
             }
 
-            await this.contactWriter.writePotentialContactRow(rowIndex, mergedData);
+            // rowIndex 於寫入前一刻才由 contactId 解析，避免前端持有過期列號
+            await this.contactWriter.writePotentialContactRow(target.rowIndex, mergedData);
 
             if (this.contactRawReader.invalidateCache) {
                 this.contactRawReader.invalidateCache('contacts');
             }
 
-            return { success: true };
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.POTENTIAL_CONTACT, target.contactId, target, { ...updateData, notes: mergedData.notes }, modifier);
+            }
+
+            return { success: true, contactId: target.contactId };
         } catch (error) {
             console.error('[ContactService] updatePotentialContact Error:', error);
             throw error;
         }
     }
+
+    /**
+     * 將潛在客戶建立為正式聯絡人，並將原始名片標記為指定狀態
+     * @param {string} potentialContactId - 潛在客戶 contactId (PC-xxxx)
+     * @param {string} user - 操作者名稱
+     * @param {string} [statusKey='FILED'] - CONSTANTS.CONTACT_STATUS 的鍵 (FILED | UPGRADED)
+     * @returns {Promise<Object>} { success, contactId, potentialContactId, name }
+     */
+    async filePotentialContact(potentialContactId, user, statusKey = 'FILED') {
+        try {
+            const statuses = (this.config.CONSTANTS && this.config.CONSTANTS.CONTACT_STATUS) || {};
+            const target = await this.resolvePotentialContact(potentialContactId);
+
+            // 同一張名片重複建檔時沿用既有正式聯絡人
+            const officialContacts = await this.contactRepository.getOfficialContacts();
+            const existing = officialContacts.find(c => c.sourceId === target.contactId);
+
+            let contactId = existing ? existing.contactId : null;
+            if (!contactId) {
+                const companies = await this.companyReader.getCompanyList();
+                const company = companies.find(c => this._normalizeKey(c.companyName) === this._normalizeKey(target.company));
+
+                const result = await this.createContact({
+                    sourceId: target.contactId,
+                    name: target.name,
+                    companyId: company ? company.companyId : target.company,
+                    department: target.department,
+                    position: target.position,
+                    mobile: target.mobile,
+                    phone: target.phone,
+                    email: target.email
+                }, user);
+                contactId = result.id;
+            }
+
+            // 建立正式聯絡人期間名片表可能已有列異動，寫回狀態前重新定位
+            const status = statuses[statusKey] || '已建檔';
+            const { rowIndex } = await this.resolvePotentialContact(target.contactId);
+            await this.contactWriter.writePotentialContactRow(rowIndex, { status });
+            if (this.contactRawReader.invalidateCache) {
+                this.contactRawReader.invalidateCache('contacts');
+            }
+
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.POTENTIAL_CONTACT, target.contactId, target, { status }, user);
+            }
+
+            return { success: true, contactId, potentialContactId: target.contactId, name: target.name };
+        } catch (error) {
+            console.error('[ContactService] filePotentialContact Error:', error);
+            throw error;
+        }
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
 }
 
 module.exports = ContactService;
\ No newline at end of file
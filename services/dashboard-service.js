@@ -1,16 +1,21 @@
 /**
  * services/dashboard-service.js
  * 儀表板業務邏輯層 (Dashboard Aggregator)
- * * @version 7.0.0 (Phase 7: Dashboard Read Fix)
- * @date 2026-02-04
+ * * @version 7.3.2 (Legacy Won Compatibility)
+ * @date 2026-10-19
  * @description 負責整合各個模組的數據，計算統計指標、圖表數據與 KPI。
  * * [Forensics Notes]
  * 1. [Direct Read] 本服務直接讀取 Opportunity/Interaction Reader 以優化效能。
  * 2. [Phase 7 Fix] Contact 資料讀取已由 Reader 改為透過 ContactService 取得，以支援 SQL/Sheet 混合模式。
  * 3. [Shadow Logic] 內含 MTU/SI 活躍定義邏輯，未來應遷移至 CompanyService。
  * 4. [Logic Duplication] _getWeekId 為暫時性重複邏輯，Phase 6 應統一注入 DateHelpers。
+ * 5. 成交統計與追蹤提醒依系統設定「機會階段」的類型 (won / open) 判斷；成交統計另相容舊資料的「已完成」狀態。
+ * 6. 傳入 user 時，機會 (含看板、成交、追蹤) 與互動紀錄只計算 RecordVisibilityService 判定可見的部分。
+ * 7. getFollowUpOpportunities 單獨提供追蹤清單，供背景排程 (followUp.detect) 使用，不必組出整份儀表板。
  */
 
+const { STAGE_TYPES, getStageValuesByType, createWonMatcher } = require('../utils/pipeline-stages');
+
 class DashboardService {
     /**
      * 建構子：接收所有必要的資料讀取器與服務
@@ -23,6 +28,7 @@ class DashboardService {
      * @param {WeeklyBusinessService} weeklyBusinessService - [Service Integration]
      * @param {CompanyReader} companyReader - [Direct Read]
      * @param {CalendarService} calendarService
+     * @param {RecordVisibilityService} [recordVisibilityService] - 依負責業務 / 團隊限制可見範圍
      */
     constructor(
         config,
@@ -33,7 +39,8 @@ class DashboardService {
         systemReader,
         weeklyBusinessService,
         companyReader,
-        calendarService
+        calendarService,
+        recordVisibilityService = null
     ) {
         // 嚴格檢查依賴
         if (!opportunityReader || !contactService || !interactionReader || !config) {
@@ -49,6 +56,25 @@ class DashboardService {
         this.weeklyBusinessService = weeklyBusinessService;
         this.companyReader = companyReader;
         this.calendarService = calendarService;
+        this.recordVisibilityService = recordVisibilityService;
+    }
+
+    /**
+     * 【內部輔助】依使用者可見範圍篩選機會與互動紀錄
+     * @returns {Promise<{opportunities: Array, interactions: Array}>}
+     */
+    async _applyVisibility(user, opportunities, interactions = []) {
+        if (!this.recordVisibilityService) return { opportunities, interactions };
+        const visibility = this.recordVisibilityService;
+        const scope = await visibility.getScope(user);
+        if (scope.unrestricted) return { opportunities, interactions };
+
+        const visibleOpportunities = opportunities.filter(opp => visibility.canViewOpportunity(scope, opp));
+        const visibleIds = new Set(visibleOpportunities.map(opp => opp.opportunityId));
+        return {
+            opportunities: visibleOpportunities,
+            interactions: interactions.filter(i => visibility.canViewInteraction(scope, i, visibleIds))
+        };
     }
 
     /**
@@ -69,8 +95,9 @@ class DashboardService {
     /**
      * 取得主儀表板所需的所有整合資料
      * 採用分批請求 (Batching) 以優化效能
+     * @param {Object} [user] - 傳入時機會與互動相關統計只含可見範圍
      */
-    async getDashboardData() {
+    async getDashboardData(user = null) {
         console.log('📊 [DashboardService] 執行主儀表板資料整合 (分批優化模式)...');
 
         const today = new Date();
@@ -85,14 +112,15 @@ class DashboardService {
         // 預期併發數: 3
         console.log('   ↳ 正在載入核心資料 (Batch 1)...');
         const [
-            opportunitiesRaw,
+            allOpportunities,
             contacts,
-            interactions
+            allInteractions
         ] = await Promise.all([
             this.opportunityReader.getOpportunities(),
             this.contactService.getAllOfficialContacts(), // [Phase 7 Fix] 改呼叫 Service 介面
             this.interactionReader.getInteractions()
         ]);
+        const { opportunities: opportunitiesRaw, interactions } = await this._applyVisibility(user, allOpportunities, allInteractions);
 
         // --- Batch 2: 次要/參考資料 (接續執行) ---
         // 等待 Batch 1 完成後才發起，錯開流量峰值
@@ -254,11 +282,8 @@ class DashboardService {
         });
         // [End of Shadow Logic]
 
-        // 成交案件統計
-        // 寬鬆判斷：包含 '受注', '已成交', '已完成'
-        const wonOpportunities = opportunities.filter(o => 
-            o.currentStage === '受注' || o.currentStage === '已成交' || o.currentStatus === '已完成'
-        );
+        // 成交案件統計 (階段類型為 won；相容舊資料的「已完成」狀態)
+        const wonOpportunities = opportunities.filter(createWonMatcher(systemConfig));
         const wonCount = wonOpportunities.length;
         const wonCountMonth = wonOpportunities.filter(o => {
             const dateStr = o.expectedCloseDate || o.lastUpdateTime;
@@ -266,7 +291,7 @@ class DashboardService {
             return new Date(dateStr) >= startOfMonth;
         }).length;
 
-        const followUps = this._getFollowUpOpportunities(opportunities, interactions);
+        const followUps = this._getFollowUpOpportunities(opportunities, interactions, systemConfig);
 
         const stats = {
             contactsCount: contacts.length,
@@ -375,11 +400,12 @@ class DashboardService {
         };
     }
 
-    async getOpportunitiesDashboardData() {
-        const [opportunities, systemConfig] = await Promise.all([
+    async getOpportunitiesDashboardData(user = null) {
+        const [allOpportunities, systemConfig] = await Promise.all([
             this.opportunityReader.getOpportunities(),
             this.systemReader.getSystemConfig(),
         ]);
+        const { opportunities } = await this._applyVisibility(user, allOpportunities);
 
         return {
             chartData: {
@@ -395,6 +421,21 @@ class DashboardService {
         };
     }
 
+    /**
+     * 取得需要追蹤的機會 (進行中、open 階段且超過 FOLLOW_UP.DAYS_THRESHOLD 天沒有互動)
+     * @param {Object} user - 只含其可見範圍；背景排程傳入 RecordVisibilityService.asSystem()
+     * @returns {Promise<Array<Object>>}
+     */
+    async getFollowUpOpportunities(user) {
+        const [allOpportunities, allInteractions, systemConfig] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.interactionReader.getInteractions(),
+            this.systemReader.getSystemConfig()
+        ]);
+        const { opportunities, interactions } = await this._applyVisibility(user, allOpportunities, allInteractions);
+        return this._getFollowUpOpportunities(opportunities, interactions, systemConfig);
+    }
+
     async getContactsDashboardData() {
         // [Phase 7 Fix] 使用 Service 方法
         const contacts = await this.contactService.getAllOfficialContacts();
@@ -407,9 +448,9 @@ class DashboardService {
 
     // --- 內部資料處理函式 (Data Processing Helpers) ---
 
-    _getFollowUpOpportunities(opportunities, interactions) {
+    _getFollowUpOpportunities(opportunities, interactions, systemConfig) {
         const daysThreshold = (this.config.FOLLOW_UP && this.config.FOLLOW_UP.DAYS_THRESHOLD) || 7;
-        const activeStages = (this.config.FOLLOW_UP && this.config.FOLLOW_UP.ACTIVE_STAGES) || ['01_初步接觸', '02_需求確認', '03_提案報價', '04_談判修正'];
+        const activeStages = getStageValuesByType(systemConfig, STAGE_TYPES.OPEN);
         
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - daysThreshold);
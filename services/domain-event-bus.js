@@ -0,0 +1,203 @@
+/**
+ * services/domain-event-bus.js
+ * 領域事件匯流排 (In-process Domain Event Bus)
+ * * @version 1.3.1
+ * @date 2026-10-19
+ * @description Service 層在寫入成功後發布領域事件，跨模組的副作用 (系統日誌、日曆同步、會議連動) 改由訂閱者處理。
+ * - 事件類型、必填欄位與說明集中定義於 EVENTS / EVENT_FIELDS / EVENT_DESCRIPTIONS；發布未定義的類型或缺少必填欄位屬程式錯誤，直接拋出。
+ * - publish 等待所有訂閱者的第一次執行 (回應前系統日誌已寫入)，各訂閱者互相隔離，失敗不會傳回發布者。
+ * - 第一次失敗的訂閱者於背景重試 (config.DOMAIN_EVENTS，間隔倍增)，用盡後記錄錯誤。
+ * - subscribe('*', ...) 接收所有事件，供通知類訂閱者 (Webhook、/api/stream 即時推播) 使用；
+ *   涉及外部 I/O 的訂閱者 (Webhook) 應自行排入背景後立即返回，避免拖慢發布者。
+ * 事件信封：{ id, type, occurredAt, actor: { username, name }, payload }
+ */
+
+const crypto = require('crypto');
+
+const EVENTS = Object.freeze({
+    OPPORTUNITY_CREATED: 'opportunity.created',
+    OPPORTUNITY_UPDATED: 'opportunity.updated',
+    OPPORTUNITY_STAGE_CHANGED: 'opportunity.stageChanged',
+    OPPORTUNITY_WON: 'opportunity.won',
+    OPPORTUNITY_CLOSED: 'opportunity.closed',
+    OPPORTUNITY_DELETED: 'opportunity.deleted',
+    OPPORTUNITY_CONTACT_LINKED: 'opportunity.contactLinked',
+    OPPORTUNITY_CONTACT_UNLINKED: 'opportunity.contactUnlinked',
+    OPPORTUNITY_SHARED: 'opportunity.shared',
+    OPPORTUNITY_UNSHARED: 'opportunity.unshared',
+    COMPANY_CREATED: 'company.created',
+    COMPANY_UPDATED: 'company.updated',
+    CONTACT_UPGRADED: 'contact.upgraded',
+    EVENT_LOG_CREATED: 'eventLog.created',
+    EVENT_LOG_UPDATED: 'eventLog.updated',
+    EVENT_LOG_DELETED: 'eventLog.deleted',
+    INTERACTION_CREATED: 'interaction.created',
+    INTERACTION_UPDATED: 'interaction.updated',
+    INTERACTION_DELETED: 'interaction.deleted',
+    MEETING_SCHEDULED: 'meeting.scheduled',
+    WEEKLY_ENTRY_CREATED: 'weekly.entryCreated',
+    WEEKLY_ENTRY_UPDATED: 'weekly.entryUpdated',
+    WEEKLY_ENTRY_DELETED: 'weekly.entryDeleted',
+    TASK_CREATED: 'task.created',
+    TASK_UPDATED: 'task.updated',
+    TASK_COMPLETED: 'task.completed',
+    TASK_DELETED: 'task.deleted'
+});
+
+// 各事件 payload 的必填欄位 (其餘欄位視事件而定，見發布端)
+const EVENT_FIELDS = Object.freeze({
+    [EVENTS.OPPORTUNITY_CREATED]: ['opportunityId', 'opportunity'],
+    [EVENTS.OPPORTUNITY_UPDATED]: ['opportunityId', 'before', 'changes'],
+    [EVENTS.OPPORTUNITY_STAGE_CHANGED]: ['opportunityId', 'fromStage', 'toStage', 'opportunity'],
+    [EVENTS.OPPORTUNITY_WON]: ['opportunityId', 'stage', 'opportunity'],
+    [EVENTS.OPPORTUNITY_CLOSED]: ['opportunityId', 'result', 'stage'],
+    [EVENTS.OPPORTUNITY_DELETED]: ['opportunityId', 'opportunity'],
+    [EVENTS.OPPORTUNITY_CONTACT_LINKED]: ['opportunityId', 'contactId', 'contactName', 'source'],
+    [EVENTS.OPPORTUNITY_CONTACT_UNLINKED]: ['opportunityId', 'contactId', 'contactName'],
+    [EVENTS.OPPORTUNITY_SHARED]: ['opportunityId', 'opportunityName', 'username', 'displayName'],
+    [EVENTS.OPPORTUNITY_UNSHARED]: ['opportunityId', 'username'],
+    [EVENTS.COMPANY_CREATED]: ['companyId', 'company'],
+    [EVENTS.COMPANY_UPDATED]: ['companyId', 'companyName', 'changes'],
+    [EVENTS.CONTACT_UPGRADED]: ['contactId', 'contactName', 'opportunityId'],
+    [EVENTS.EVENT_LOG_CREATED]: ['eventId', 'eventLog', 'syncToCalendar'],
+    [EVENTS.EVENT_LOG_UPDATED]: ['eventId', 'opportunityId', 'companyId', 'changes'],
+    [EVENTS.EVENT_LOG_DELETED]: ['eventId', 'opportunityId', 'companyId'],
+    [EVENTS.INTERACTION_CREATED]: ['interactionId', 'opportunityId', 'companyId', 'interaction'],
+    [EVENTS.INTERACTION_UPDATED]: ['interactionId', 'opportunityId', 'companyId', 'changes'],
+    [EVENTS.INTERACTION_DELETED]: ['interactionId', 'opportunityId', 'companyId'],
+    [EVENTS.MEETING_SCHEDULED]: ['title', 'startTime', 'date', 'logActivity'],
+    [EVENTS.WEEKLY_ENTRY_CREATED]: ['recordId', 'entry'],
+    [EVENTS.WEEKLY_ENTRY_UPDATED]: ['recordId', 'weekId', 'previousWeekId', 'changes'],
+    [EVENTS.WEEKLY_ENTRY_DELETED]: ['recordId', 'weekId'],
+    [EVENTS.TASK_CREATED]: ['taskId', 'task'],
+    [EVENTS.TASK_UPDATED]: ['taskId', 'task', 'changes'],
+    [EVENTS.TASK_COMPLETED]: ['taskId', 'task'],
+    [EVENTS.TASK_DELETED]: ['taskId', 'task']
+});
+
+// 供管理介面 (Webhook 訂閱) 顯示
+const EVENT_DESCRIPTIONS = Object.freeze({
+    [EVENTS.OPPORTUNITY_CREATED]: '建立機會案件',
+    [EVENTS.OPPORTUNITY_UPDATED]: '更新機會案件',
+    [EVENTS.OPPORTUNITY_STAGE_CHANGED]: '機會階段變更',
+    [EVENTS.OPPORTUNITY_WON]: '機會進入贏單階段',
+    [EVENTS.OPPORTUNITY_CLOSED]: '機會結案 (Won / Lost)',
+    [EVENTS.OPPORTUNITY_DELETED]: '刪除機會案件',
+    [EVENTS.OPPORTUNITY_CONTACT_LINKED]: '機會關聯聯絡人',
+    [EVENTS.OPPORTUNITY_CONTACT_UNLINKED]: '機會解除聯絡人關聯',
+    [EVENTS.OPPORTUNITY_SHARED]: '共享機會',
+    [EVENTS.OPPORTUNITY_UNSHARED]: '取消共享機會',
+    [EVENTS.COMPANY_CREATED]: '建立公司',
+    [EVENTS.COMPANY_UPDATED]: '更新公司資料',
+    [EVENTS.CONTACT_UPGRADED]: '潛在客戶升級為機會',
+    [EVENTS.EVENT_LOG_CREATED]: '建立事件報告',
+    [EVENTS.EVENT_LOG_UPDATED]: '更新事件報告',
+    [EVENTS.EVENT_LOG_DELETED]: '刪除事件報告',
+    [EVENTS.INTERACTION_CREATED]: '新增互動紀錄',
+    [EVENTS.INTERACTION_UPDATED]: '更新互動紀錄',
+    [EVENTS.INTERACTION_DELETED]: '刪除互動紀錄',
+    [EVENTS.MEETING_SCHEDULED]: '排定會議',
+    [EVENTS.WEEKLY_ENTRY_CREATED]: '新增週間業務',
+    [EVENTS.WEEKLY_ENTRY_UPDATED]: '更新週間業務',
+    [EVENTS.WEEKLY_ENTRY_DELETED]: '刪除週間業務',
+    [EVENTS.TASK_CREATED]: '新增任務',
+    [EVENTS.TASK_UPDATED]: '更新任務',
+    [EVENTS.TASK_COMPLETED]: '完成任務',
+    [EVENTS.TASK_DELETED]: '刪除任務'
+});
+
+const WILDCARD = '*';
+
+class DomainEventBus {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.config] - 讀取 config.DOMAIN_EVENTS 的重試設定
+     */
+    constructor({ config = {} } = {}) {
+        const settings = config.DOMAIN_EVENTS || {};
+        this.maxRetries = settings.MAX_RETRIES ?? 3;
+        this.retryBaseDelayMs = settings.RETRY_BASE_DELAY_MS ?? 1000;
+        // type -> Array<{ name, handler }>
+        this.subscribers = new Map();
+    }
+
+    /**
+     * 訂閱事件
+     * @param {string} type - EVENTS 之一，或 '*' 接收所有事件
+     * @param {string} name - 訂閱者名稱 (用於錯誤紀錄)
+     * @param {Function} handler - async (event) => void
+     * @returns {Function} 取消訂閱
+     */
+    subscribe(type, name, handler) {
+        if (type !== WILDCARD && !EVENT_FIELDS[type]) throw new Error(`[DomainEventBus] 未定義的事件類型: ${type}`);
+        if (typeof handler !== 'function') throw new Error(`[DomainEventBus] 訂閱者 ${name} 缺少處理函式`);
+
+        const subscriber = { name, handler };
+        if (!this.subscribers.has(type)) this.subscribers.set(type, []);
+        this.subscribers.get(type).push(subscriber);
+
+        return () => {
+            const list = this.subscribers.get(type) || [];
+            const index = list.indexOf(subscriber);
+            if (index >= 0) list.splice(index, 1);
+        };
+    }
+
+    /**
+     * 發布事件；等待所有訂閱者的第一次執行，訂閱者失敗不會拋出
+     * @param {string} type - EVENTS 之一
+     * @param {Object} payload
+     * @param {Object|string} [actor] - { username, name } 或操作者名稱
+     * @returns {Promise<Object>} 事件信封
+     */
+    async publish(type, payload, actor) {
+        const required = EVENT_FIELDS[type];
+        if (!required) throw new Error(`[DomainEventBus] 未定義的事件類型: ${type}`);
+        const missing = required.filter(field => payload?.[field] === undefined);
+        if (missing.length > 0) throw new Error(`[DomainEventBus] ${type} 缺少欄位: ${missing.join(', ')}`);
+
+        const event = Object.freeze({
+            id: `EVT${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            type,
+            occurredAt: new Date().toISOString(),
+            actor: this._resolveActor(actor),
+            payload
+        });
+
+        const subscribers = [...(this.subscribers.get(type) || []), ...(this.subscribers.get(WILDCARD) || [])];
+        await Promise.all(subscribers.map(subscriber => this._deliver(subscriber, event, 0)));
+        return event;
+    }
+
+    // --- 內部輔助函式 ---
+
+    async _deliver(subscriber, event, attempt) {
+        try {
+            await subscriber.handler(event);
+        } catch (error) {
+            if (attempt >= this.maxRetries) {
+                console.error(`❌ [DomainEvent] ${subscriber.name} 處理 ${event.type} (${event.id}) 失敗，已重試 ${attempt} 次: ${error.message}`);
+                return;
+            }
+            const delay = this.retryBaseDelayMs * (2 ** attempt);
+            console.warn(`⚠️ [DomainEvent] ${subscriber.name} 處理 ${event.type} (${event.id}) 失敗，${delay}ms 後重試: ${error.message}`);
+            // 重試在背景進行，不延遲發布者的回應
+            const timer = setTimeout(() => this._deliver(subscriber, event, attempt + 1), delay);
+            if (timer.unref) timer.unref();
+        }
+    }
+
+    _resolveActor(actor) {
+        if (!actor) return { username: '', name: 'System' };
+        if (typeof actor === 'string') return { username: '', name: actor };
+        return {
+            username: actor.username || '',
+            name: actor.name || actor.displayName || actor.username || 'System'
+        };
+    }
+}
+
+DomainEventBus.EVENTS = EVENTS;
+DomainEventBus.EVENT_DESCRIPTIONS = EVENT_DESCRIPTIONS;
+
+module.exports = DomainEventBus;
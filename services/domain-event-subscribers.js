@@ -0,0 +1,258 @@
+/**
+ * services/domain-event-subscribers.js
+ * 領域事件訂閱者 (Domain Event Subscribers)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 原本寫死在各 Service 內的跨模組副作用，改為訂閱 DomainEventBus 的事件：
+ * - 系統日誌：機會更新 / 關聯聯絡人 / 共享 / 結案 / 刪除、公司更新時寫入互動紀錄 (取代
+ *   OpportunityService._logOpportunityInteraction 與 CompanyService._logCompanyInteraction)。
+ * - 日曆同步：事件紀錄勾選「同步至日曆」時建立日曆事件 (原 EventLogService.createEvent)。
+ * - 會議連動：排定會議並勾選建立紀錄時，寫入互動紀錄與週間業務 (原 EventService 的 Promise.allSettled)。
+ * - 任務：互動紀錄新增 / 更新時同時填寫下次行動與日期 (nextActionDate)，建立或更新該互動的任務 (TaskService)。
+ * 每個處理函式各自註冊，失敗與重試由 DomainEventBus 隔離處理，因此這裡不自行吞掉錯誤。
+ * 依賴注入：InteractionRepository, InteractionService, CompanyReader, SystemReader, CalendarService, WeeklyBusinessService, TaskService
+ */
+
+const { EVENTS } = require('./domain-event-bus');
+
+const SYSTEM_EVENT_TYPE = '系統事件';
+
+// opportunity.contactLinked 的 source → 日誌標題
+const CONTACT_LINK_TITLES = {
+    existing: '關聯聯絡人',
+    created: '建立並關聯新聯絡人',
+    potential: '從潛在客戶關聯'
+};
+
+class DomainEventSubscribers {
+    /**
+     * @param {Object} dependencies
+     * @param {InteractionRepository} dependencies.interactionRepository - 系統日誌依 DATA_SOURCES.INTERACTION 寫入
+     * @param {InteractionService} dependencies.interactionService - 結案與會議紀錄 (含變更紀錄)
+     * @param {CompanyReader} dependencies.companyReader - 刪除機會時找出所屬公司
+     * @param {SystemReader} dependencies.systemReader - 階段 / 團隊成員顯示名稱
+     * @param {CalendarService} dependencies.calendarService
+     * @param {WeeklyBusinessService} dependencies.weeklyBusinessService
+     * @param {TaskService} dependencies.taskService
+     */
+    constructor({ interactionRepository, interactionService, companyReader, systemReader, calendarService, weeklyBusinessService, taskService }) {
+        this.interactionRepository = interactionRepository;
+        this.interactionService = interactionService;
+        this.companyReader = companyReader;
+        this.systemReader = systemReader;
+        this.calendarService = calendarService;
+        this.weeklyBusinessService = weeklyBusinessService;
+        this.taskService = taskService;
+    }
+
+    /**
+     * 向事件匯流排註冊所有訂閱者
+     * @param {DomainEventBus} eventBus
+     */
+    register(eventBus) {
+        const on = (type, name, handler) => eventBus.subscribe(type, name, handler.bind(this));
+
+        on(EVENTS.OPPORTUNITY_UPDATED, 'activityLog.opportunityUpdated', this.logOpportunityUpdated);
+        on(EVENTS.OPPORTUNITY_CONTACT_LINKED, 'activityLog.contactLinked', this.logContactLinked);
+        on(EVENTS.OPPORTUNITY_CONTACT_UNLINKED, 'activityLog.contactUnlinked', this.logContactUnlinked);
+        on(EVENTS.OPPORTUNITY_SHARED, 'activityLog.opportunityShared', this.logOpportunityShared);
+        on(EVENTS.OPPORTUNITY_UNSHARED, 'activityLog.opportunityUnshared', this.logOpportunityUnshared);
+        on(EVENTS.OPPORTUNITY_CLOSED, 'activityLog.opportunityClosed', this.logOpportunityClosed);
+        on(EVENTS.OPPORTUNITY_DELETED, 'activityLog.opportunityDeleted', this.logOpportunityDeleted);
+        on(EVENTS.COMPANY_UPDATED, 'activityLog.companyUpdated', this.logCompanyUpdated);
+
+        on(EVENTS.EVENT_LOG_CREATED, 'calendarSync.eventLog', this.syncEventLogToCalendar);
+
+        on(EVENTS.MEETING_SCHEDULED, 'meeting.interaction', this.createMeetingInteraction);
+        on(EVENTS.MEETING_SCHEDULED, 'meeting.weeklyEntry', this.createMeetingWeeklyEntry);
+
+        on(EVENTS.INTERACTION_CREATED, 'task.fromInteraction', this.syncTaskFromNewInteraction);
+        on(EVENTS.INTERACTION_UPDATED, 'task.fromInteractionUpdate', this.syncTaskFromUpdatedInteraction);
+    }
+
+    // --- 系統日誌 ---
+
+    async logOpportunityUpdated({ payload, actor }) {
+        const logs = await this._describeOpportunityChanges(payload.before, payload.changes);
+        if (logs.length === 0) return;
+        await this._logInteraction({ opportunityId: payload.opportunityId }, '機會資料更新', logs.join('； '), actor);
+    }
+
+    async logContactLinked({ payload, actor }) {
+        await this._logInteraction(
+            { opportunityId: payload.opportunityId },
+            CONTACT_LINK_TITLES[payload.source] || CONTACT_LINK_TITLES.existing,
+            `將聯絡人 "${payload.contactName}" 關聯至此機會。`,
+            actor
+        );
+    }
+
+    async logContactUnlinked({ payload, actor }) {
+        await this._logInteraction(
+            { opportunityId: payload.opportunityId },
+            '解除聯絡人關聯',
+            `將聯絡人 "${payload.contactName}" 從此機會移除。`,
+            actor
+        );
+    }
+
+    async logOpportunityShared({ payload, actor }) {
+        await this._logInteraction(
+            { opportunityId: payload.opportunityId },
+            '共享機會',
+            `將機會 "${payload.opportunityName}" 共享給 ${payload.displayName}。`,
+            actor
+        );
+    }
+
+    async logOpportunityUnshared({ payload, actor }) {
+        await this._logInteraction(
+            { opportunityId: payload.opportunityId },
+            '取消共享機會',
+            `已取消共享給 ${payload.username}。`,
+            actor
+        );
+    }
+
+    async logOpportunityClosed({ payload, actor }) {
+        await this.interactionService.createInteraction({
+            opportunityId: payload.opportunityId,
+            eventTitle: `[系統自動] 機會結案 - ${payload.result}`,
+            eventType: '系統紀錄',
+            contentSummary: `使用者 ${actor.name} 將此機會標記為 ${payload.result}。`,
+            interactionTime: new Date().toISOString()
+        }, actor);
+    }
+
+    /**
+     * 機會已刪除，日誌改留在所屬公司 (找不到公司則略過)
+     */
+    async logOpportunityDeleted({ payload, actor }) {
+        const { opportunity } = payload;
+        if (!opportunity.customerCompany) return;
+
+        const companies = await this.companyReader.getCompanyList();
+        const target = opportunity.customerCompany.toLowerCase().trim();
+        const company = companies.find(c => c.companyName.toLowerCase().trim() === target);
+        if (!company) return;
+
+        await this._logInteraction(
+            { companyId: company.companyId },
+            '刪除機會案件',
+            `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${actor.name} 刪除。`,
+            actor
+        );
+    }
+
+    async logCompanyUpdated({ payload, actor }) {
+        await this._logInteraction({ companyId: payload.companyId }, '資料更新', '公司資料已更新。', actor);
+    }
+
+    // --- 日曆同步 ---
+
+    async syncEventLogToCalendar({ payload }) {
+        if (!payload.syncToCalendar) return;
+        const { eventLog } = payload;
+
+        await this.calendarService.createEvent({
+            summary: `[${eventLog.eventType}] ${eventLog.eventName}`,
+            description: eventLog.eventContent || '',
+            start: { dateTime: new Date(eventLog.createdTime || Date.now()).toISOString() },
+            end: { dateTime: new Date(Date.now() + 3600000).toISOString() }
+        });
+    }
+
+    // --- 會議連動 ---
+
+    async createMeetingInteraction({ payload, actor }) {
+        if (!payload.logActivity || !payload.opportunityId) return;
+
+        await this.interactionService.createInteraction({
+            opportunityId: payload.opportunityId,
+            interactionTime: payload.startTime,
+            eventType: '會議討論',
+            eventTitle: payload.title,
+            contentSummary: `[參與人員]: ${payload.participants || '無'}\n[地點]: ${payload.location || '無'}\n\n${payload.description || ''}\n(${payload.companyNote})`,
+            recorder: actor.name,
+            participants: payload.participants
+        }, actor);
+    }
+
+    async createMeetingWeeklyEntry({ payload, actor }) {
+        if (!payload.logActivity || !payload.opportunityId) return;
+
+        await this.weeklyBusinessService.createWeeklyBusinessEntry({
+            date: payload.date,
+            category: payload.category,
+            theme: payload.title,
+            participants: payload.participants,
+            summary: `${payload.description || '(預排行程)'}\n\n(${payload.companyNote})`,
+            todo: '',
+            creator: actor.name
+        }, actor);
+    }
+
+    // --- 任務 ---
+
+    async syncTaskFromNewInteraction({ payload, actor }) {
+        await this.taskService.syncFromInteraction({
+            interactionId: payload.interactionId,
+            opportunityId: payload.opportunityId,
+            companyId: payload.companyId,
+            nextAction: payload.interaction.nextAction,
+            nextActionDate: payload.nextActionDate
+        }, actor);
+    }
+
+    async syncTaskFromUpdatedInteraction({ payload, actor }) {
+        await this.taskService.syncFromInteraction({
+            interactionId: payload.interactionId,
+            opportunityId: payload.opportunityId,
+            companyId: payload.companyId,
+            nextAction: payload.nextAction,
+            nextActionDate: payload.nextActionDate
+        }, actor);
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 寫入一筆系統日誌 (target 為 { opportunityId } 或 { companyId })
+     */
+    async _logInteraction(target, title, summary, actor) {
+        await this.interactionRepository.createInteraction({
+            ...target,
+            eventType: SYSTEM_EVENT_TYPE,
+            eventTitle: title,
+            contentSummary: summary,
+            recorder: actor.name,
+            interactionTime: new Date().toISOString()
+        }, actor.name);
+    }
+
+    /**
+     * 將機會更新內容轉為日誌文字 (階段、機會價值、負責業務、預計結案日)
+     * @returns {Promise<Array<string>>}
+     */
+    async _describeOpportunityChanges(before, changes) {
+        const systemConfig = await this.systemReader.getSystemConfig();
+        const getNote = (configKey, value) => (systemConfig[configKey] || []).find(i => i.value === value)?.note || value || 'N/A';
+        const logs = [];
+
+        if (changes.currentStage && before.currentStage && changes.currentStage !== before.currentStage) {
+            logs.push(`階段從【${getNote('機會階段', before.currentStage)}】更新為【${getNote('機會階段', changes.currentStage)}】`);
+        }
+        if (changes.opportunityValue !== undefined && changes.opportunityValue !== before.opportunityValue) {
+            logs.push(`機會價值從 [${before.opportunityValue || '未設定'}] 更新為 [${changes.opportunityValue || '未設定'}]`);
+        }
+        if (changes.assignee !== undefined && changes.assignee !== before.assignee) {
+            logs.push(`負責業務從 [${getNote('團隊成員', before.assignee)}] 變更為 [${getNote('團隊成員', changes.assignee)}]`);
+        }
+        if (changes.expectedCloseDate !== undefined && changes.expectedCloseDate !== before.expectedCloseDate) {
+            logs.push(`預計結案日從 [${before.expectedCloseDate || '未設定'}] 更新為 [${changes.expectedCloseDate || '未設定'}]`);
+        }
+        return logs;
+    }
+}
+
+module.exports = DomainEventSubscribers;
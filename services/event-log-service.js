@@ -1,16 +1,25 @@
 /**
  * services/event-log-service.js
  * 事件紀錄服務邏輯
- * @version 5.2.1 (Phase 6-2 - DI Fix)
- * @date 2026-02-02
+ * @version 5.9.0 (Change Stream)
+ * @date 2026-10-19
  * @description
  * [Standard A] Join 邏輯集中在 Service；所有回傳物件皆 clone，避免污染 Reader Cache。
- * [Hotfix] 當 eventType 變更時，rowIndex 不可跨 sheet update，必須 delete + create (Move)。
  * [Fix] deleteEventLog: 修正 Controller 呼叫斷裂，新增 eventId 解析邏輯。
- * [DI Fix] 移除內部 require，改由 Service Container 注入 SqlReader。
- * 依賴注入：EventLogReader, EventLogWriter, OpportunityReader, CompanyReader, SystemReader, CalendarService, EventLogSqlReader
+ * [DI Fix] 移除內部 require，改由 Service Container 注入依賴。
+ * [Repository] 讀取來源改由 EventLogRepository 依 config.DATA_SOURCES.EVENT_LOG 決定。
+ * [Repository] 寫入以 eventId 經 EventLogRepository 路由；Move 邏輯移至 Repository，Service 不再接觸 rowIndex。
+ * [Concurrency] updateEventLog 支援 expectedVersion (修訂版次)；衝突時附上目前資料 (error.current)。
+ * [Audit] 建立/更新/刪除經 AuditService 寫入欄位層級變更紀錄。
+ * [Events] createEvent 發布 eventLog.created (附 getEventById 的 DTO)；「同步至日曆」改由 DomainEventSubscribers 處理 (失敗會重試)。
+ *          更新/刪除發布 eventLog.updated / eventLog.deleted (附所屬機會 / 公司)。
+ * 依賴注入：EventLogReader, EventLogWriter, OpportunityReader, CompanyReader, SystemReader, CalendarService, EventLogRepository, AuditService, DomainEventBus
  */
 
+const { isVersionConflict } = require('../utils/concurrency');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { EVENTS } = require('./domain-event-bus');
+
 class EventLogService {
     /**
      * @param {EventLogReader} eventReader 
@@ -19,16 +28,33 @@ class EventLogService {
      * @param {CompanyReader} companyReader 
      * @param {SystemReader} systemReader 
      * @param {CalendarService} calendarService 
-     * @param {EventLogSqlReader} [eventLogSqlReader] - Injected SQL Reader
+     * @param {EventLogRepository} eventLogRepository - 依 DATA_SOURCES 路由 Sheet/SQL
+     * @param {AuditService} [auditService] - 變更紀錄
+     * @param {DomainEventBus} [eventBus] - 發布 eventLog.created / updated / deleted
      */
-    constructor(eventReader, eventWriter, oppReader, companyReader, systemReader, calendarService, eventLogSqlReader) {
+    constructor(eventReader, eventWriter, oppReader, companyReader, systemReader, calendarService, eventLogRepository, auditService = null, eventBus = null) {
         this.eventReader = eventReader;
         this.eventWriter = eventWriter;
         this.oppReader = oppReader;
         this.companyReader = companyReader;
         this.systemReader = systemReader;
         this.calendarService = calendarService;
-        this.eventLogSqlReader = eventLogSqlReader; // [Fix] DI Injection
+        this.eventLogRepository = eventLogRepository;
+        this.auditService = auditService;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * 變更紀錄用的寫入前快照 (讀取失敗不影響寫入)
+     */
+    async _getEventSnapshot(eventId) {
+        if (!this.auditService && !this.eventBus) return null;
+        try {
+            return await this.eventLogRepository.getEventLogById(eventId);
+        } catch (error) {
+            console.warn(`[EventLogService] 無法取得事件快照 (${eventId}): ${error.message}`);
+            return null;
+        }
     }
 
     _invalidateEventCacheSafe() {
@@ -46,22 +72,8 @@ class EventLogService {
 
     async getAllEvents() {
         try {
-            // [SQL Read Priority with Fallback]
-            let events;
-            try {
-                if (this.eventLogSqlReader) {
-                    events = await this.eventLogSqlReader.getEventLogs();
-                    // 簡易驗證：若 SQL 回傳非陣列或 null，視為失敗
-                    if (!Array.isArray(events)) throw new Error('SQL returned invalid structure');
-                    console.log('[EventLogService] getAllEvents: Serving from SQL Reader');
-                } else {
-                    throw new Error('SQL Reader not injected');
-                }
-            } catch (sqlError) {
-                console.warn('[EventLogService] getAllEvents: SQL Read Failed, fallback to Sheet.', sqlError.message);
-                // Fallback: 使用原本的 Sheet Reader
-                events = await this.eventReader.getEventLogs();
-            }
+            // 來源策略由 EventLogRepository 依 config.DATA_SOURCES.EVENT_LOG 決定
+            const events = await this.eventLogRepository.getEventLogs();
 
             // [Modified] 將原本 Promise.all 中的 getEventLogs 移除，因為 events 已在上方取得
             const [opps, comps] = await Promise.all([
@@ -91,21 +103,7 @@ class EventLogService {
 
     async getEventById(eventId) {
         try {
-            // [SQL Read Priority with Fallback]
-            let rawEvent;
-            try {
-                if (this.eventLogSqlReader) {
-                    rawEvent = await this.eventLogSqlReader.getEventLogById(eventId);
-                    if (!rawEvent) throw new Error(`Event ${eventId} not found in SQL`);
-                    console.log(`[EventLogService] getEventById: Serving ${eventId} from SQL Reader`);
-                } else {
-                    throw new Error('SQL Reader not injected');
-                }
-            } catch (sqlError) {
-                console.warn(`[EventLogService] getEventById: SQL Read Failed for ${eventId}, fallback to Sheet.`, sqlError.message);
-                // Fallback: 使用原本的 Sheet Reader
-                rawEvent = await this.eventReader.getEventLogById(eventId);
-            }
+            const rawEvent = await this.eventLogRepository.getEventLogById(eventId);
 
             if (!rawEvent) return null;
 
@@ -138,25 +136,20 @@ class EventLogService {
         try {
             const modifier = user?.displayName || user?.username || 'System';
 
-            const result = await this.eventWriter.createEventLog(data, modifier);
+            const result = await this.eventLogRepository.createEventLog(data, modifier);
             this._invalidateEventCacheSafe();
 
-            if (result.success && data.syncToCalendar === 'true') {
-                try {
-                    const startIso = new Date(data.createdTime || Date.now()).toISOString();
-                    const endIso = new Date(Date.now() + 3600000).toISOString();
-
-                    const calendarEvent = {
-                        summary: `[${data.eventType}] ${data.eventName}`,
-                        description: data.eventContent || '',
-                        start: { dateTime: startIso },
-                        end: { dateTime: endIso }
-                    };
+            const { syncToCalendar, ...eventLog } = data;
+            if (this.auditService && result.id) {
+                await this.auditService.recordCreate(AUDIT_ENTITIES.EVENT_LOG, result.id, eventLog, modifier);
+            }
 
-                    await this.calendarService.createEvent(calendarEvent);
-                } catch (calError) {
-                    console.warn('[EventLogService] Calendar sync failed:', calError);
-                }
+            if (this.eventBus && result.success && result.id) {
+                await this.eventBus.publish(EVENTS.EVENT_LOG_CREATED, {
+                    eventId: result.id,
+                    eventLog: await this.getEventById(result.id) || { eventId: result.id, ...eventLog },
+                    syncToCalendar: syncToCalendar === 'true'
+                }, { username: user?.username, name: modifier });
             }
 
             return result;
@@ -166,130 +159,65 @@ class EventLogService {
         }
     }
 
-    async updateEvent(rowIndex, data, user) {
-        try {
-            const modifier = user?.displayName || user?.username || 'System';
-            const result = await this.eventWriter.updateEventLog(rowIndex, data, modifier);
-            this._invalidateEventCacheSafe();
-            return result;
-        } catch (error) {
-            console.error(`[EventLogService] updateEvent Error (Row: ${rowIndex}):`, error);
-            throw error;
-        }
-    }
-
     /**
-     * [Proxy] 兼容舊 Controller：允許 eventId 或 rowIndex
-     * [Hotfix] 若 eventType 變更，必須 Move：delete(old sheet row) + create(new sheet row)
+     * 更新事件紀錄：允許 eventId 或舊版 rowIndex
+     * eventType 變更時的 Move (delete + create，保留 eventId) 由 EventLogRepository 處理
      */
-    async updateEventLog(idOrRowIndex, data, modifier) {
-        // 1) 先嘗試拿到 eventId（前端可能傳 eventId，也可能只傳 rowIndex）
-        const inputEventId = data?.eventId || data?.id || null;
-
-        // 2) 先讀全列表（這裡是必要的：用來解析原始 rowIndex / 原 eventType）
-        // [Note] Update 流程必須依賴 Sheet 的 rowIndex，因此直接呼叫 Sheet Reader，不走 SQL fallback 邏輯
-        const logs = await this.eventReader.getEventLogs();
-
-        let original = null;
+    async updateEventLog(idOrRowIndex, data, modifier, options = {}) {
+        let eventId = null;
+        try {
+            // 前端 payload 若帶 eventId 則最準；否則解析路徑參數 (舊版 rowIndex 仍相容)
+            eventId = data?.eventId || data?.id || await this.eventLogRepository.resolveEventId(idOrRowIndex);
 
-        // 2a) 優先用 eventId 找原事件（最準）
-        if (inputEventId) {
-            original = logs.find(l => l.eventId === inputEventId) || null;
-        }
+            const before = await this._getEventSnapshot(eventId);
+            const result = await this.eventLogRepository.updateEventLog(eventId, data, modifier || 'System', options);
+            this._invalidateEventCacheSafe();
 
-        // 2b) 若找不到，再用 rowIndex 猜（風險較高，但保持相容）
-        if (!original) {
-            const candidateRow = Number(idOrRowIndex);
-            if (Number.isInteger(candidateRow)) {
-                original = logs.find(l => Number(l.rowIndex) === candidateRow) || null;
+            const { eventId: _id, id: _legacyId, ...changes } = data || {};
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.EVENT_LOG, eventId, before, changes, modifier);
             }
-        }
-
-        // 3) 若連原事件都找不到，就維持舊行為（交給 writer 報錯）
-        //    但我們先把 rowIndex 解析成數字
-        let rowIndex = idOrRowIndex;
-        if (typeof rowIndex === 'string' && isNaN(Number(rowIndex))) {
-            // 傳進來像 eventId 的情況：用 logs 查 rowIndex
-            const target = logs.find(l => l.eventId === rowIndex);
-            if (!target || !target.rowIndex) {
-                throw new Error(`Update Failed: Event ID '${rowIndex}' not found.`);
+            if (this.eventBus) {
+                await this.eventBus.publish(EVENTS.EVENT_LOG_UPDATED, {
+                    eventId,
+                    opportunityId: changes.opportunityId || before?.opportunityId || '',
+                    companyId: changes.companyId || before?.companyId || '',
+                    changes
+                }, modifier);
             }
-            rowIndex = target.rowIndex;
-        }
-
-        rowIndex = Number(rowIndex);
-        if (!Number.isInteger(rowIndex)) {
-            throw new Error('Invalid resolved rowIndex');
-        }
-
-        // 4) Hotfix：偵測事件種類變更 -> Move
-        //    original 必須存在才做 move；否則走原本 update
-        if (original && data && data.eventType && original.eventType && data.eventType !== original.eventType) {
-            try {
-                // (A) 先刪舊的（用原 eventType + 原 rowIndex 才刪得到）
-                await this.eventWriter.deleteEventLog(original.rowIndex, original.eventType);
-
-                // (B) 再建新的：保留 eventId（避免前端之後找不到）
-                const payload = { ...data };
-                payload.eventId = original.eventId;
-                payload.id = original.eventId;
-
-                // createdTime 若沒帶，保留原本建立時間（避免時間變動造成排序/顯示怪異）
-                if (!payload.createdTime && original.createdTime) payload.createdTime = original.createdTime;
-
-                const createResult = await this.eventWriter.createEventLog(payload, modifier);
-
+            return result;
+        } catch (error) {
+            if (isVersionConflict(error) && eventId) {
                 this._invalidateEventCacheSafe();
-
-                // 盡量維持既有 shape：success 至少要有
-                if (createResult && typeof createResult === 'object') {
-                    return { ...createResult, moved: true };
-                }
-                return { success: true, moved: true };
-            } catch (moveError) {
-                console.error('[EventLogService] Move on eventType change failed:', moveError);
-                throw moveError;
+                error.current = await this.getEventById(eventId);
             }
+            console.error(`[EventLogService] updateEventLog Error (${idOrRowIndex}):`, error);
+            throw error;
         }
-
-        // 5) 沒有 eventType 變更 -> 正常 update
-        const user = { displayName: modifier };
-        return await this.updateEvent(rowIndex, data, user);
     }
 
     /**
-     * [Patch] 實作 Controller 所需的 deleteEventLog 介面
-     * 負責將 eventId 解析為 rowIndex 與 eventType 後刪除
+     * 刪除事件紀錄 (以 eventId 定位，所在工作表/資料表由 Repository 解析)
      */
     async deleteEventLog(eventId, user) {
         try {
-            // 1. 讀取所有事件以查找 eventId (解析 rowIndex 與 eventType)
-            // [Note] Delete 流程必須依賴 Sheet 的 rowIndex，因此直接呼叫 Sheet Reader，不走 SQL fallback 邏輯
-            const logs = await this.eventReader.getEventLogs();
-            const target = logs.find(l => l.eventId === eventId);
+            const before = await this._getEventSnapshot(eventId);
+            const result = await this.eventLogRepository.deleteEventLog(eventId);
+            this._invalidateEventCacheSafe();
 
-            if (!target) {
-                throw new Error(`Delete Failed: Event ID '${eventId}' not found.`);
+            if (this.auditService) {
+                await this.auditService.recordDelete(AUDIT_ENTITIES.EVENT_LOG, eventId, before, user);
+            }
+            if (this.eventBus) {
+                await this.eventBus.publish(EVENTS.EVENT_LOG_DELETED, {
+                    eventId,
+                    opportunityId: before?.opportunityId || '',
+                    companyId: before?.companyId || ''
+                }, user);
             }
-
-            // 2. 呼叫底層 deleteEvent 進行實體刪除 (複用既有邏輯)
-            // 注意：deleteEvent 內部會呼叫 Writer 並 invalidate cache
-            console.log(`[EventLogService] Resolved delete for ${eventId} -> Row ${target.rowIndex} (${target.eventType})`);
-            return await this.deleteEvent(target.rowIndex, target.eventType, { displayName: user });
-
-        } catch (error) {
-            console.error(`[EventLogService] deleteEventLog Error (${eventId}):`, error);
-            throw error;
-        }
-    }
-
-    async deleteEvent(rowIndex, eventType, user) {
-        try {
-            const result = await this.eventWriter.deleteEventLog(rowIndex, eventType);
-            this._invalidateEventCacheSafe();
             return result;
         } catch (error) {
-            console.error(`[EventLogService] deleteEvent Error (Row: ${rowIndex}):`, error);
+            console.error(`[EventLogService] deleteEventLog Error (${eventId}):`, error);
             throw error;
         }
     }
@@ -1,28 +1,28 @@
 /**
  * services/event-service.js
  * 會議排程與同步服務
- * * @version 1.0.1 (Phase A - Final Dependency Fix)
- * @date 2026-01-22
- * @description 專責處理 Google Calendar 排程，並同步寫入 Interaction 與 Weekly Business。
+ * * @version 1.1.1 (Domain Events)
+ * @date 2026-10-19
+ * @description 專責處理 Google Calendar 排程。
  * [Fix] 改為依賴 Service 層，不再直接呼叫 Writer。
+ * [Events] 日曆事件建立成功後發布 meeting.scheduled；互動紀錄與週間業務改由 DomainEventSubscribers 寫入
+ * (取代原本與日曆並行的 Promise.allSettled，日曆失敗時不再留下孤立的紀錄)。
  */
 
+const { EVENTS } = require('./domain-event-bus');
+
 class EventService {
     /**
      * @param {CalendarService} calendarService
-     * @param {InteractionService} interactionService
-     * @param {WeeklyBusinessService} weeklyBusinessService
      * @param {OpportunityService} opportunityService
      * @param {Object} config - 系統設定
-     * @param {Object} dateHelpers - 日期輔助工具
+     * @param {DomainEventBus} [eventBus] - 發布 meeting.scheduled
      */
-    constructor(calendarService, interactionService, weeklyBusinessService, opportunityService, config, dateHelpers) {
+    constructor(calendarService, opportunityService, config, eventBus = null) {
         this.calendarService = calendarService;
-        this.interactionService = interactionService;
-        this.weeklyBusinessService = weeklyBusinessService;
         this.opportunityService = opportunityService;
         this.config = config;
-        this.dateHelpers = dateHelpers;
+        this.eventBus = eventBus;
     }
 
     /**
@@ -43,7 +43,7 @@ class EventService {
 
         if (opportunityId) {
             try {
-                const oppResult = await this.opportunityService.getOpportunityDetails(opportunityId);
+                const oppResult = await this.opportunityService.getOpportunityDetails(opportunityId, user);
                 opportunityInfo = oppResult.opportunityInfo;
                 
                 // 保留原始分類邏輯 (字串包含)
@@ -100,68 +100,32 @@ ${description || '無'}
 ${companyNote}
         `.trim();
 
-        // 準備三個寫入動作的 Promise (保留原始架構)
-        const actions = [];
-
-        // Action A: 寫入 Google Calendar (保留強制 isAllDay: true)
-        actions.push(this.calendarService.createCalendarEvent({
+        // 寫入 Google Calendar (保留強制 isAllDay: true)；Calendar 成功才算 API 成功
+        const calendarResult = await this.calendarService.createCalendarEvent({
             title: calendarTitle,
             description: fullDescription,
             location: location,
             startTime: startTime, 
             isAllDay: true 
-        }));
-
-        const userName = user.name || user.displayName || 'System';
-
-        // Action B: 寫入互動紀錄 (如果勾選)
-        if (createInteraction && opportunityId) {
-            const interactionData = {
-                opportunityId: opportunityId,
-                interactionTime: startTime, 
-                eventType: '會議討論',
-                eventTitle: title, 
-                contentSummary: `[參與人員]: ${participants || '無'}\n[地點]: ${location || '無'}\n\n${description || ''}\n(${companyNote})`,
-                recorder: userName,
-                participants: participants
-            };
-            // [Fix] 改為呼叫 Service
-            actions.push(this.interactionService.createInteraction(interactionData, user));
-        }
+        });
 
-        // Action C: 寫入週間業務 (如果勾選)
-        if (createInteraction && opportunityId) {
-            // 使用 dateHelpers 計算 WeekID
-            const weekId = this.dateHelpers.getWeekId(start);
-            
-            const weeklyData = {
-                date: dateString, // 使用修正時區後的日期
-                weekId: weekId, 
-                category: category, 
-                topic: title, 
-                participants: participants,
-                summary: `${description || '(預排行程)'}\n\n(${companyNote})`, 
-                actionItems: '',
-                creator: userName,
-                userId: user.userId 
-            };
-            
-            // [Fix] 改為呼叫 Service
-            actions.push(this.weeklyBusinessService.createWeeklyBusinessEntry(weeklyData));
+        if (this.eventBus) {
+            await this.eventBus.publish(EVENTS.MEETING_SCHEDULED, {
+                calendarEventId: calendarResult.eventId || '',
+                opportunityId: opportunityId || '',
+                title,
+                startTime,
+                date: dateString,
+                category,
+                location: location || '',
+                participants: participants || '',
+                description: description || '',
+                companyNote,
+                logActivity: !!createInteraction
+            }, { username: user.username, name: user.name || user.displayName || 'System' });
         }
 
-        // 3. 並行執行所有寫入 (保留 Promise.allSettled 策略)
-        const results = await Promise.allSettled(actions);
-        
-        // 檢查 Calendar 結果 (Calendar 成功才算 API 成功)
-        const calendarResult = results[0].status === 'fulfilled' ? results[0].value : null;
-        const calendarError = results[0].status === 'rejected' ? results[0].reason : null;
-
-        if (calendarResult && calendarResult.success) {
-            return calendarResult;
-        } else {
-            throw calendarError || new Error('建立 Google Calendar 事件失敗');
-        }
+        return calendarResult;
     }
     
     /**
@@ -0,0 +1,271 @@
+/**
+ * services/follow-up-reminder-service.js
+ * 機會追蹤提醒服務 (Follow-up Reminders)
+ * * @version 1.0.1
+ * @date 2026-10-19
+ * @description 原本 FOLLOW_UP 只供儀表板的待追蹤清單，改為由 followUp.detect 排程主動通知各機會的負責業務：
+ * - 久未互動：沿用 DashboardService.getFollowUpOpportunities (進行中、open 階段、超過 DAYS_THRESHOLD 天沒有互動)。
+ * - 逾期未結案：進行中、仍在 open 階段，但預計結案日已早於 config.TIMEZONE 的今天。
+ * 負責業務以帳號或顯示名稱對應使用者名冊 (停用或對應不到者略過)。同一段未互動期間 (以最後互動時間區分)、
+ * 同一個預計結案日只提醒一次；負責業務可針對單一機會延後提醒，延後到期後若仍符合條件會重新提醒。
+ * 通知的產生與外送由 NotificationService 負責；此服務產生提醒後立即送出設定為 immediate 的外送。
+ * 依賴注入：OpportunityReader, InteractionReader, SystemReader, DashboardService, NotificationService,
+ *           NotificationReader, NotificationWriter, RecordVisibilityService, Config
+ */
+
+const { STAGE_TYPES, getStages } = require('../utils/pipeline-stages');
+const { DIGEST_MODES } = require('./notification-service');
+const RecordVisibilityService = require('./record-visibility-service');
+
+const REMINDER_TYPES = Object.freeze({
+    STALE: 'followUp.stale',
+    CLOSE_DATE_PASSED: 'followUp.closeDatePassed'
+});
+
+const ACTIVE_STATUS = '進行中';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+class FollowUpReminderService {
+    /**
+     * @param {Object} dependencies
+     * @param {OpportunityReader} dependencies.opportunityReader
+     * @param {InteractionReader} dependencies.interactionReader - 最後互動時間
+     * @param {SystemReader} dependencies.systemReader - 機會階段與使用者名冊
+     * @param {DashboardService} dependencies.dashboardService - 久未互動的判斷規則
+     * @param {NotificationService} dependencies.notificationService
+     * @param {NotificationReader} dependencies.notificationReader - 延後提醒
+     * @param {NotificationWriter} dependencies.notificationWriter
+     * @param {RecordVisibilityService} [dependencies.recordVisibilityService] - 只能延後看得到的機會
+     * @param {Object} dependencies.config
+     */
+    constructor({
+        opportunityReader, interactionReader, systemReader, dashboardService, notificationService,
+        notificationReader, notificationWriter, recordVisibilityService, config
+    }) {
+        this.opportunityReader = opportunityReader;
+        this.interactionReader = interactionReader;
+        this.systemReader = systemReader;
+        this.dashboardService = dashboardService;
+        this.notificationService = notificationService;
+        this.notificationReader = notificationReader;
+        this.notificationWriter = notificationWriter;
+        this.recordVisibilityService = recordVisibilityService;
+        this.config = config;
+        this.timeZone = config.TIMEZONE;
+    }
+
+    /**
+     * 偵測待追蹤的機會、通知負責業務，並送出 immediate 外送 (followUp.detect 排程)
+     * @returns {Promise<Object>} 執行摘要
+     */
+    async detectAndNotify() {
+        const [staleOpportunities, opportunities, interactions, systemConfig, users, snoozes] = await Promise.all([
+            // 背景排程需檢查所有人的機會，明確以系統身分取得不受限制的範圍
+            this.dashboardService.getFollowUpOpportunities(RecordVisibilityService.asSystem()),
+            this.opportunityReader.getOpportunities(),
+            this.interactionReader.getInteractions(),
+            this.systemReader.getSystemConfig(),
+            this.systemReader.getUsers(),
+            this.notificationReader.getSnoozes()
+        ]);
+
+        const today = this._today();
+        const stages = getStages(systemConfig);
+        const openStages = stages.filter(s => s.stageType === STAGE_TYPES.OPEN).map(s => s.value);
+        const stageNames = new Map(stages.map(s => [s.value, s.note || s.value]));
+        const lastTouch = this._getLastTouchTimes(interactions);
+
+        const closeDatePassed = opportunities.filter(opp => {
+            if (opp.currentStatus !== ACTIVE_STATUS || !openStages.includes(opp.currentStage)) return false;
+            const closeDate = this._toDateString(opp.expectedCloseDate);
+            return !!closeDate && closeDate < today;
+        });
+
+        const summary = { stale: staleOpportunities.length, closeDatePassed: closeDatePassed.length, snoozed: 0, unassigned: 0, notified: 0 };
+        const items = [];
+        const addReminder = (opp, reminder) => {
+            const recipient = this._resolveRecipient(opp.assignee, users);
+            if (!recipient) {
+                summary.unassigned++;
+                return;
+            }
+            const snooze = snoozes.find(s => normalize(s.username) === normalize(recipient) && s.opportunityId === opp.opportunityId);
+            if (snooze && snooze.until >= today) {
+                summary.snoozed++;
+                return;
+            }
+            items.push({ ...reminder, recipient, opportunityId: opp.opportunityId, renotifyAfter: snooze ? snooze.createTime : '' });
+        };
+
+        staleOpportunities.forEach(opp => {
+            const touchedAt = lastTouch.get(opp.opportunityId) || opp.createdTime || '';
+            const days = touchedAt ? Math.floor((Date.now() - new Date(touchedAt).getTime()) / DAY_MS) : null;
+            addReminder(opp, {
+                type: REMINDER_TYPES.STALE,
+                title: days !== null ? `「${opp.opportunityName}」已 ${days} 天未互動` : `「${opp.opportunityName}」久未互動`,
+                message: `最後互動：${this._toDateString(touchedAt) || '無紀錄'}；目前階段：${stageNames.get(opp.currentStage) || opp.currentStage}。請安排追蹤或更新進度。`,
+                dedupeKey: `${REMINDER_TYPES.STALE}:${opp.opportunityId}:${touchedAt}`
+            });
+        });
+
+        closeDatePassed.forEach(opp => {
+            const closeDate = this._toDateString(opp.expectedCloseDate);
+            addReminder(opp, {
+                type: REMINDER_TYPES.CLOSE_DATE_PASSED,
+                title: `「${opp.opportunityName}」已超過預計結案日`,
+                message: `預計結案日 ${closeDate}，目前仍在「${stageNames.get(opp.currentStage) || opp.currentStage}」階段。請更新階段或調整預計結案日。`,
+                dedupeKey: `${REMINDER_TYPES.CLOSE_DATE_PASSED}:${opp.opportunityId}:${closeDate}`
+            });
+        });
+
+        const created = await this.notificationService.notify(items);
+        summary.notified = created.length;
+        if (created.length > 0) {
+            summary.delivery = await this.notificationService.deliverPending([DIGEST_MODES.IMMEDIATE]);
+        }
+        return summary;
+    }
+
+    /**
+     * 登入者目前有效的延後提醒
+     * @param {Object} user
+     */
+    async getSnoozes(user) {
+        const today = this._today();
+        const [snoozes, opportunities] = await Promise.all([
+            this.notificationReader.getSnoozes(),
+            this.opportunityReader.getOpportunities()
+        ]);
+        const names = new Map(opportunities.map(opp => [opp.opportunityId, opp.opportunityName]));
+        return snoozes
+            .filter(s => normalize(s.username) === normalize(user.username) && s.until >= today)
+            .sort((a, b) => a.until.localeCompare(b.until))
+            .map(s => ({ opportunityId: s.opportunityId, opportunityName: names.get(s.opportunityId) || '', until: s.until, createTime: s.createTime }));
+    }
+
+    /**
+     * 延後某個機會的追蹤提醒，並將該機會的未讀通知標為已讀
+     * @param {string} opportunityId
+     * @param {Object} options - { days } 或 { until: 'YYYY-MM-DD' }
+     * @param {Object} user
+     */
+    async snoozeOpportunity(opportunityId, { days, until } = {}, user) {
+        const opportunity = await this._findVisibleOpportunity(opportunityId, user);
+        const untilDate = this._resolveSnoozeUntil(days, until);
+
+        const snoozes = await this.notificationReader.getSnoozes();
+        const existing = snoozes.find(s => normalize(s.username) === normalize(user.username) && s.opportunityId === opportunityId);
+        const snooze = {
+            rowIndex: existing ? existing.rowIndex : null,
+            username: user.username,
+            opportunityId,
+            until: untilDate,
+            createTime: new Date().toISOString()
+        };
+        await this.notificationWriter.saveSnooze(snooze);
+        await this.notificationService.markAllRead(user, { opportunityId });
+
+        return { opportunityId, opportunityName: opportunity.opportunityName, until: snooze.until, createTime: snooze.createTime };
+    }
+
+    async unsnoozeOpportunity(opportunityId, user) {
+        const snoozes = await this.notificationReader.getSnoozes();
+        const existing = snoozes.find(s => normalize(s.username) === normalize(user.username) && s.opportunityId === opportunityId);
+        if (!existing) throw this._clientError(`此機會沒有延後提醒: ${opportunityId}`, 404);
+        await this.notificationWriter.deleteSnooze(existing.rowIndex);
+        return { opportunityId };
+    }
+
+    // --- 內部輔助函式 ---
+
+    _getLastTouchTimes(interactions) {
+        const lastTouch = new Map();
+        interactions.forEach(interaction => {
+            if (!interaction.opportunityId) return;
+            const time = interaction.interactionTime || interaction.createdTime;
+            if (!time || Number.isNaN(new Date(time).getTime())) return;
+            const previous = lastTouch.get(interaction.opportunityId);
+            if (!previous || new Date(time) > new Date(previous)) lastTouch.set(interaction.opportunityId, time);
+        });
+        return lastTouch;
+    }
+
+    /**
+     * 負責業務 (帳號或顯示名稱) → 啟用中的使用者帳號
+     */
+    _resolveRecipient(assignee, users) {
+        const key = normalize(assignee);
+        if (!key) return null;
+        const user = users.find(u => !u.disabled && (normalize(u.username) === key || normalize(u.displayName) === key));
+        return user ? user.username : null;
+    }
+
+    async _findVisibleOpportunity(opportunityId, user) {
+        const opportunities = await this.opportunityReader.getOpportunities();
+        const opportunity = opportunities.find(opp => opp.opportunityId === opportunityId);
+        if (!opportunity) throw this._clientError(`找不到機會: ${opportunityId}`, 404);
+
+        if (this.recordVisibilityService) {
+            const scope = await this.recordVisibilityService.getScope(user);
+            // 看不到的機會視為不存在
+            if (!scope.unrestricted && !this.recordVisibilityService.canViewOpportunity(scope, opportunity)) {
+                throw this._clientError(`找不到機會: ${opportunityId}`, 404);
+            }
+        }
+        return opportunity;
+    }
+
+    _resolveSnoozeUntil(days, until) {
+        const maxDays = this.config.FOLLOW_UP.MAX_SNOOZE_DAYS;
+        const today = this._today();
+        const latest = this._addDays(today, maxDays);
+
+        if (until !== undefined && until !== null && until !== '') {
+            const date = String(until).trim();
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+                throw this._clientError('延後日期格式需為 YYYY-MM-DD');
+            }
+            if (date < today || date > latest) throw this._clientError(`延後日期需介於今天與 ${maxDays} 天內`);
+            return date;
+        }
+
+        const count = Number(days);
+        if (!Number.isInteger(count) || count < 1 || count > maxDays) {
+            throw this._clientError(`延後天數需為 1 到 ${maxDays} 的整數`);
+        }
+        return this._addDays(today, count);
+    }
+
+    _addDays(dateString, days) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * 預計結案日 / 時間戳 → config.TIMEZONE 的 YYYY-MM-DD；無法解析時回傳空字串
+     */
+    _toDateString(value) {
+        const text = String(value || '').trim();
+        if (!text) return '';
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+        const date = new Date(text.replace(/\//g, '-'));
+        if (Number.isNaN(date.getTime())) return '';
+        return new Intl.DateTimeFormat('en-CA', { timeZone: this.timeZone }).format(date);
+    }
+
+    _today() {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: this.timeZone }).format(new Date());
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+FollowUpReminderService.REMINDER_TYPES = REMINDER_TYPES;
+module.exports = FollowUpReminderService;
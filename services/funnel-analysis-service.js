@@ -0,0 +1,270 @@
+/**
+ * services/funnel-analysis-service.js
+ * 銷售漏斗分析服務
+ * * @version 1.1.0 (Record Visibility)
+ * @date 2026-10-19
+ * @description 分析機會的「階段歷程」：各階段停留天數 (平均/中位數)、階段轉換率、流失點、
+ * 進行中案件的階段停留時間 (aging)，以及依機會種類 / 銷售模式 / 負責業務的贏單率。
+ * - 到達階段：階段歷程中標記完成 (C) 的階段、變更紀錄中的階段轉換與目前階段，取依序最遠者。
+ * - 停留天數：以變更紀錄 (AuditService) 的「currentStage」轉換時間重建時間軸，起點為建立時間。
+ * - 階段順序與 open/won/lost 類型來自系統設定「機會階段」(utils/pipeline-stages.js)；所有 won 階段合併為最後一步「贏單」。
+ * - 傳入 user 時只分析 RecordVisibilityService 判定可見的機會 (業務只看到自己與團隊的漏斗)。
+ * 依賴注入：OpportunityReader, SystemReader, AuditService, Config, RecordVisibilityService
+ */
+
+const { STAGE_TYPES, getStages, parseStageHistory } = require('../utils/pipeline-stages');
+const { ENTITIES: AUDIT_ENTITIES, ACTIONS: AUDIT_ACTIONS } = require('./audit-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 所有 won 階段合併為漏斗最後一步
+const WON_STEP = '__won__';
+
+const OUTCOMES = Object.freeze({
+    OPEN: 'open',
+    WON: 'won',
+    LOST: 'lost'
+});
+
+class FunnelAnalysisService {
+    /**
+     * @param {Object} dependencies
+     * @param {OpportunityReader} dependencies.opportunityReader
+     * @param {SystemReader} dependencies.systemReader
+     * @param {AuditService} [dependencies.auditService] - 未提供時不計算停留天數
+     * @param {Object} dependencies.config
+     * @param {RecordVisibilityService} [dependencies.recordVisibilityService] - 未提供時不限制可見範圍
+     */
+    constructor({ opportunityReader, systemReader, auditService, config, recordVisibilityService = null }) {
+        this.opportunityReader = opportunityReader;
+        this.systemReader = systemReader;
+        this.auditService = auditService;
+        this.config = config;
+        this.recordVisibilityService = recordVisibilityService;
+    }
+
+    /**
+     * 取得漏斗分析資料
+     * @param {Object} [params]
+     * @param {string} [params.from] - 依建立時間篩選的開始日期 (YYYY-MM-DD)
+     * @param {string} [params.to] - 依建立時間篩選的結束日期 (YYYY-MM-DD)
+     * @param {Object} [user] - 傳入時只分析可見範圍內的機會
+     * @returns {Promise<object>}
+     */
+    async getFunnelData({ from, to } = {}, user = null) {
+        const start = from ? this._parseDateParam(from, 'from') : null;
+        const end = to ? this._parseDateParam(to, 'to', true) : null;
+        if (start && end && start > end) throw this._badRequest('from 不能晚於 to');
+
+        const [allOpportunities, systemConfig, stageChanges] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.systemReader.getSystemConfig(),
+            this.auditService
+                ? this.auditService.getFieldChanges(AUDIT_ENTITIES.OPPORTUNITY, 'currentStage')
+                : Promise.resolve([])
+        ]);
+
+        const visibleOpportunities = this.recordVisibilityService
+            ? await this.recordVisibilityService.filterOpportunities(user, allOpportunities)
+            : allOpportunities;
+
+        const opportunities = visibleOpportunities.filter(opp => {
+            if (!start && !end) return true;
+            const created = new Date(opp.createdTime);
+            if (isNaN(created.getTime())) return false;
+            return (!start || created >= start) && (!end || created <= end);
+        });
+
+        const stages = getStages(systemConfig);
+        const stageTypeOf = new Map(stages.map(stage => [stage.value, stage.stageType]));
+        // 漏斗路徑：open 階段依序，最後一步為「贏單」(合併所有 won 階段)；lost 階段為流失結局，不在路徑上
+        const pathStages = [
+            ...stages.filter(s => s.stageType === STAGE_TYPES.OPEN),
+            { value: WON_STEP, note: '贏單', stageType: STAGE_TYPES.WON }
+        ];
+        const stepOf = (stage) => (stageTypeOf.get(stage) === STAGE_TYPES.WON ? WON_STEP : stage);
+        const stageIndex = new Map(pathStages.map((stage, index) => [stage.value, index]));
+
+        const changesByOpp = new Map();
+        stageChanges.forEach(change => {
+            if (!changesByOpp.has(change.entityId)) changesByOpp.set(change.entityId, []);
+            changesByOpp.get(change.entityId).push(change);
+        });
+
+        const now = Date.now();
+        const stageStats = new Map(pathStages.map(stage => [stage.value, {
+            reached: 0, current: 0, lost: 0, durations: [], aging: []
+        }]));
+        let withTransitions = 0;
+
+        const analyzed = opportunities.map(opp => {
+            const outcome = this._getOutcome(opp, stageTypeOf);
+            const segments = this._buildSegments(opp, changesByOpp.get(opp.opportunityId) || []);
+            if (segments.length > 1) withTransitions++;
+
+            // 停留天數：已離開的階段計入 durations；進行中案件的目前階段計入 aging
+            segments.forEach((segment, index) => {
+                const stats = stageStats.get(stepOf(segment.stage));
+                if (!stats || segment.start === null) return;
+                const isLast = index === segments.length - 1;
+                if (!isLast) {
+                    stats.durations.push((segment.end - segment.start) / DAY_MS);
+                } else if (outcome === OUTCOMES.OPEN && segment.stage === opp.currentStage) {
+                    stats.aging.push((now - segment.start) / DAY_MS);
+                }
+            });
+
+            // 到達的最遠階段 (所有案件至少進入第一個階段)
+            const reachedStages = new Set([
+                ...parseStageHistory(opp.stageHistory).filter(h => h.status === 'C').map(h => h.stage),
+                ...segments.map(s => s.stage),
+                opp.currentStage
+            ]);
+            let furthest = 0;
+            reachedStages.forEach(stage => {
+                if (stageIndex.has(stepOf(stage))) furthest = Math.max(furthest, stageIndex.get(stepOf(stage)));
+            });
+
+            pathStages.forEach((stage, index) => {
+                if (index <= furthest) stageStats.get(stage.value).reached++;
+            });
+            if (outcome === OUTCOMES.OPEN && stageStats.has(opp.currentStage)) {
+                stageStats.get(opp.currentStage).current++;
+            }
+            if (outcome === OUTCOMES.LOST) {
+                stageStats.get(pathStages[furthest].value).lost++;
+            }
+
+            return { opp, outcome };
+        });
+
+        const funnel = pathStages.map((stage, index) => {
+            const stats = stageStats.get(stage.value);
+            const next = pathStages[index + 1];
+            const nextReached = next ? stageStats.get(next.value).reached : null;
+            return {
+                stage: stage.value,
+                label: stage.note || stage.value,
+                stageType: stage.stageType,
+                reached: stats.reached,
+                current: stats.current,
+                lost: stats.lost,
+                conversionRate: next ? this._rate(nextReached, stats.reached) : null,
+                duration: this._describeDays(stats.durations),
+                aging: this._describeDays(stats.aging)
+            };
+        });
+
+        // 流失點：依流失件數排序
+        const dropOffs = funnel
+            .filter(step => step.lost > 0)
+            .map(step => ({ stage: step.stage, label: step.label, lost: step.lost, lostRate: this._rate(step.lost, step.reached) }))
+            .sort((a, b) => b.lost - a.lost);
+
+        const labelsOf = (configKey) => new Map((systemConfig[configKey] || []).map(item => [item.value, item.note || item.value]));
+
+        return {
+            range: { from: from || null, to: to || null },
+            totals: this._summarizeOutcomes(analyzed),
+            funnel,
+            dropOffs,
+            winRates: {
+                opportunityType: this._winRatesBy(analyzed, 'opportunityType', labelsOf('機會種類')),
+                salesModel: this._winRatesBy(analyzed, 'salesModel', labelsOf('銷售模式')),
+                assignee: this._winRatesBy(analyzed, 'assignee', labelsOf('團隊成員'))
+            },
+            coverage: {
+                opportunities: opportunities.length,
+                withStageTransitions: withTransitions
+            }
+        };
+    }
+
+    // --- 內部輔助函式 ---
+
+    _badRequest(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+
+    _parseDateParam(value, name, endOfDay = false) {
+        const date = new Date(`${value}T00:00:00`);
+        if (isNaN(date.getTime())) throw this._badRequest(`${name} 日期格式錯誤，請使用 YYYY-MM-DD`);
+        if (endOfDay) date.setHours(23, 59, 59, 999);
+        return date;
+    }
+
+    _getOutcome(opp, stageTypeOf) {
+        const stageType = stageTypeOf.get(opp.currentStage);
+        if (stageType === STAGE_TYPES.WON) return OUTCOMES.WON;
+        if (stageType === STAGE_TYPES.LOST) return OUTCOMES.LOST;
+        if (opp.currentStatus === this.config.CONSTANTS.OPPORTUNITY_STATUS.CANCELLED) return OUTCOMES.LOST;
+        return OUTCOMES.OPEN;
+    }
+
+    /**
+     * 以階段轉換紀錄重建時間軸
+     * @returns {Array<{stage: string, start: number|null, end: number|null}>}
+     */
+    _buildSegments(opp, changes) {
+        const created = new Date(opp.createdTime).getTime();
+        const transitions = changes
+            .filter(change => change.action === AUDIT_ACTIONS.UPDATE)
+            .map(change => ({ from: change.oldValue, to: change.newValue, at: new Date(change.timestamp).getTime() }))
+            .filter(t => !isNaN(t.at) && t.to);
+
+        if (!transitions.length) {
+            return [{ stage: opp.currentStage, start: isNaN(created) ? null : created, end: null }];
+        }
+
+        const segments = [{ stage: transitions[0].from || opp.currentStage, start: isNaN(created) ? null : created, end: null }];
+        transitions.forEach(t => {
+            segments[segments.length - 1].end = t.at;
+            segments.push({ stage: t.to, start: t.at, end: null });
+        });
+        return segments;
+    }
+
+    _rate(numerator, denominator) {
+        return denominator ? Math.round(numerator / denominator * 1000) / 10 : null;
+    }
+
+    _describeDays(values) {
+        if (!values.length) return { count: 0, averageDays: null, medianDays: null, maxDays: null };
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        const round = n => Math.round(n * 10) / 10;
+
+        return {
+            count: sorted.length,
+            averageDays: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+            medianDays: round(median),
+            maxDays: round(sorted[sorted.length - 1])
+        };
+    }
+
+    _summarizeOutcomes(items) {
+        const summary = { opportunities: items.length, won: 0, lost: 0, open: 0 };
+        items.forEach(({ outcome }) => { summary[outcome]++; });
+        summary.winRate = this._rate(summary.won, summary.won + summary.lost);
+        return summary;
+    }
+
+    _winRatesBy(items, field, labels) {
+        const groups = new Map();
+        items.forEach(item => {
+            const key = item.opp[field] || '未分類';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+
+        return Array.from(groups.entries())
+            .map(([key, groupItems]) => ({ key, label: labels.get(key) || key, ...this._summarizeOutcomes(groupItems) }))
+            .sort((a, b) => (b.won + b.lost) - (a.won + a.lost) || b.opportunities - a.opportunities);
+    }
+}
+
+module.exports = FunnelAnalysisService;
@@ -1,52 +1,106 @@
 /**
  * services/interaction-service.js
  * 互動紀錄業務邏輯層
- * * @version 6.2.0 (Phase 6-2 - SQL First Preparation)
- * @date 2026-01-30
+ * * @version 6.8.0 (Tasks)
+ * @date 2026-10-19
  * @description 負責處理互動紀錄的查詢、排序、過濾、分頁與 Join。[Standard A] 承擔完整邏輯。
- * 依賴注入：InteractionReader, InteractionWriter, OpportunityReader, CompanyReader, InteractionSqlReader(Optional)
+ * 寫入經 InteractionRepository 依 DATA_SOURCES 路由；路徑參數接受 interactionId (舊版 rowIndex 仍相容)。
+ * 使用者操作的建立/更新/刪除經 AuditService 寫入欄位層級變更紀錄 (系統自動日誌不重複記錄)。
+ * 傳入 user 時，查詢與更新/刪除只限 RecordVisibilityService 判定可見的互動紀錄 (所屬機會可見，或由範圍內成員記錄)。
+ * 使用者操作的建立/更新/刪除發布 interaction.* 領域事件 (附所屬機會 / 公司，供即時推播與 Webhook)。
+ * 建立/更新可另傳 nextActionDate (下次行動日期)：不寫入互動紀錄，只隨事件發布，由任務訂閱者建立對應任務。
+ * 依賴注入：InteractionReader, InteractionWriter, OpportunityReader, CompanyReader, InteractionRepository, AuditService, RecordVisibilityService, DomainEventBus
  */
 
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { EVENTS } = require('./domain-event-bus');
+
 class InteractionService {
     /**
      * @param {InteractionReader} interactionReader 
      * @param {InteractionWriter} interactionWriter 
      * @param {OpportunityReader} opportunityReader 
      * @param {CompanyReader} companyReader 
-     * @param {Object} [interactionSqlReader=null] Optional SQL Reader for Phase 6-2
+     * @param {InteractionRepository} interactionRepository 依 DATA_SOURCES 路由 Sheet/SQL
+     * @param {AuditService} [auditService] 變更紀錄
+     * @param {RecordVisibilityService} [recordVisibilityService] 依負責業務 / 團隊限制可見範圍
+     * @param {DomainEventBus} [eventBus] 寫入後發布領域事件
      */
-    constructor(interactionReader, interactionWriter, opportunityReader, companyReader, interactionSqlReader = null) {
+    constructor(interactionReader, interactionWriter, opportunityReader, companyReader, interactionRepository, auditService = null, recordVisibilityService = null, eventBus = null) {
         this.interactionReader = interactionReader;
         this.interactionWriter = interactionWriter;
         this.opportunityReader = opportunityReader;
         this.companyReader = companyReader;
-        this.interactionSqlReader = interactionSqlReader;
+        this.interactionRepository = interactionRepository;
+        this.auditService = auditService;
+        this.recordVisibilityService = recordVisibilityService;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * 確認互動紀錄在使用者可見範圍內 (更新/刪除前)，否則拋出 404
+     * @param {string} interactionId
+     * @param {Object} user
+     */
+    async _assertInteractionVisible(interactionId, user) {
+        if (!this.recordVisibilityService) return;
+        const [interactions, opportunities] = await Promise.all([
+            this._fetchInteractions(),
+            this.opportunityReader.getOpportunities()
+        ]);
+        const interaction = interactions.find(i => i.interactionId === interactionId);
+        if (!interaction) return; // 不存在時交由 Repository 回報
+
+        const visible = await this.recordVisibilityService.filterInteractions(user, [interaction], opportunities);
+        if (!visible.length) {
+            throw this.recordVisibilityService.notFound(`找不到互動紀錄 (ID: ${interactionId})`);
+        }
+    }
+
+    /**
+     * 變更紀錄與領域事件用的寫入前快照 (讀取失敗不影響寫入)
+     */
+    async _getInteractionSnapshot(interactionId) {
+        if (!this.auditService && !this.eventBus) return null;
+        try {
+            const interactions = await this._fetchInteractions();
+            return interactions.find(i => i.interactionId === interactionId) || null;
+        } catch (error) {
+            console.warn(`[InteractionService] 無法取得互動快照 (${interactionId}): ${error.message}`);
+            return null;
+        }
     }
 
     /**
      * 內部私有方法：取得互動紀錄原始資料
-     * 策略：SQL First -> Sheet Fallback
+     * 來源策略由 InteractionRepository 依 config.DATA_SOURCES.INTERACTION 決定
      * @param {boolean} forceSheet 強制使用 Sheet (用於除錯或特定場景)
      * @returns {Promise<Array>} 原始互動紀錄陣列
      */
     async _fetchInteractions(forceSheet = false) {
-        // 1. Try SQL if available and not forced to Sheet
-        if (!forceSheet && this.interactionSqlReader) {
-            try {
-                const rows = await this.interactionSqlReader.getInteractions();
-                if (rows && rows.length > 0) {
-                    console.log('[InteractionService] Read Source: SQL');
-                    return rows;
-                }
-            } catch (error) {
-                console.warn('[InteractionService] SQL Read Failed, falling back to Sheet:', error);
-                // Fallthrough to Sheet
-            }
-        }
+        return this.interactionRepository.getInteractions({ forceSheet });
+    }
+
+    /**
+     * 內部私有方法：取得寫入時記錄的操作者名稱
+     * @param {Object} user
+     */
+    _getOperatorName(user) {
+        const safeUser = user || {};
+        return safeUser.displayName || safeUser.name || safeUser.username || 'System';
+    }
 
-        // 2. Sheet Fallback
-        console.log('[InteractionService] Read Source: Sheet (Fallback)');
-        return this.interactionReader.getInteractions();
+    /**
+     * 發布 interaction.* 事件 (record 為寫入資料或寫入前快照，用於帶出所屬機會 / 公司)
+     */
+    async _publish(type, interactionId, record, extra, user) {
+        if (!this.eventBus) return;
+        await this.eventBus.publish(type, {
+            interactionId,
+            opportunityId: record?.opportunityId || '',
+            companyId: record?.companyId || '',
+            ...extra
+        }, { username: user?.username, name: this._getOperatorName(user) });
     }
 
     /**
@@ -55,15 +109,19 @@ class InteractionService {
      * @param {string} query 
      * @param {number} page 
      * @param {boolean} fetchAll 
+     * @param {Object} [user] 傳入時只回傳可見範圍內的紀錄
      */
-    async searchInteractions(query, page = 1, fetchAll = false) {
+    async searchInteractions(query, page = 1, fetchAll = false, user = null) {
         try {
             // 1. Raw Fetch (Parallel with SQL/Sheet switch)
-            const [interactions, opportunities, companies] = await Promise.all([
+            const [allInteractions, opportunities, companies] = await Promise.all([
                 this._fetchInteractions(), // Switchable Source
                 this.opportunityReader.getOpportunities(), // Raw
                 this.companyReader.getCompanyList() // Raw
             ]);
+            const interactions = this.recordVisibilityService
+                ? await this.recordVisibilityService.filterInteractions(user, allInteractions, opportunities)
+                : allInteractions;
 
             // 2. Prepare Maps for Join
             const oppMap = new Map(opportunities.map(o => [o.opportunityId, o.opportunityName]));
@@ -152,11 +210,12 @@ class InteractionService {
     /**
      * 取得特定機會的互動紀錄
      * @param {string} opportunityId 
+     * @param {Object} [user]
      */
-    async getInteractionsByOpportunity(opportunityId) {
+    async getInteractionsByOpportunity(opportunityId, user = null) {
         try {
             // [Standard A] Use internal search (fetchAll=true) to get joined data, then filter
-            const result = await this.searchInteractions('', 1, true); 
+            const result = await this.searchInteractions('', 1, true, user); 
             // Return Array as expected by Controller
             return result.data.filter(log => log.opportunityId === opportunityId);
         } catch (error) {
@@ -168,10 +227,11 @@ class InteractionService {
     /**
      * 取得特定公司的互動紀錄
      * @param {string} companyId 
+     * @param {Object} [user]
      */
-    async getInteractionsByCompany(companyId) {
+    async getInteractionsByCompany(companyId, user = null) {
         try {
-            const result = await this.searchInteractions('', 1, true);
+            const result = await this.searchInteractions('', 1, true, user);
             return result.data.filter(log => log.companyId === companyId);
         } catch (error) {
             console.error('[InteractionService] getInteractionsByCompany Error:', error);
@@ -181,15 +241,25 @@ class InteractionService {
 
     /**
      * 新增互動紀錄
-     * @param {Object} data 
+     * @param {Object} input - 互動欄位，可含 nextActionDate
      * @param {Object} user 
      */
-    async createInteraction(data, user) {
+    async createInteraction(input, user) {
         try {
-            const safeUser = user || {};
-            const newId = await this.interactionWriter.createInteraction(data, safeUser);
+            const { nextActionDate = '', ...data } = input;
+            const recorder = data.recorder || this._getOperatorName(user);
+            const result = await this.interactionRepository.createInteraction(data, recorder);
             this.interactionReader.invalidateCache('interactions');
-            return { success: true, id: newId };
+            if (this.auditService && result.id) {
+                await this.auditService.recordCreate(AUDIT_ENTITIES.INTERACTION, result.id, data, this._getOperatorName(user));
+            }
+            if (result.id) {
+                await this._publish(EVENTS.INTERACTION_CREATED, result.id, data, {
+                    interaction: { ...data, interactionId: result.id, recorder },
+                    nextActionDate
+                }, user);
+            }
+            return { success: true, id: result.id };
         } catch (error) {
             console.error('[InteractionService] createInteraction Error:', error);
             throw error;
@@ -198,15 +268,26 @@ class InteractionService {
 
     /**
      * 更新互動紀錄
-     * @param {string} id 
-     * @param {Object} data 
+     * @param {string} id interactionId (或舊版 rowIndex)
+     * @param {Object} input - 變更欄位，可含 nextActionDate
      * @param {Object} user 
      */
-    async updateInteraction(id, data, user) {
+    async updateInteraction(id, input, user) {
         try {
-            const safeUser = user || {};
-            await this.interactionWriter.updateInteraction(id, data, safeUser);
+            const { nextActionDate = '', ...data } = input;
+            const interactionId = await this.interactionRepository.resolveInteractionId(id);
+            await this._assertInteractionVisible(interactionId, user);
+            const before = await this._getInteractionSnapshot(interactionId);
+            await this.interactionRepository.updateInteraction(interactionId, data, this._getOperatorName(user));
             this.interactionReader.invalidateCache('interactions');
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.INTERACTION, interactionId, before, data, this._getOperatorName(user));
+            }
+            await this._publish(EVENTS.INTERACTION_UPDATED, interactionId, { ...before, ...data }, {
+                changes: data,
+                nextAction: (data.nextAction !== undefined ? data.nextAction : before?.nextAction) || '',
+                nextActionDate
+            }, user);
             return { success: true };
         } catch (error) {
             console.error('[InteractionService] updateInteraction Error:', error);
@@ -216,14 +297,20 @@ class InteractionService {
 
     /**
      * 刪除互動紀錄
-     * @param {string} id 
+     * @param {string} id interactionId (或舊版 rowIndex)
      * @param {Object} user 
      */
     async deleteInteraction(id, user) {
         try {
-            const safeUser = user || {};
-            await this.interactionWriter.deleteInteraction(id, safeUser);
+            const interactionId = await this.interactionRepository.resolveInteractionId(id);
+            await this._assertInteractionVisible(interactionId, user);
+            const before = await this._getInteractionSnapshot(interactionId);
+            await this.interactionRepository.deleteInteraction(interactionId, this._getOperatorName(user));
             this.interactionReader.invalidateCache('interactions');
+            if (this.auditService) {
+                await this.auditService.recordDelete(AUDIT_ENTITIES.INTERACTION, interactionId, before, this._getOperatorName(user));
+            }
+            await this._publish(EVENTS.INTERACTION_DELETED, interactionId, before, {}, user);
             return { success: true };
         } catch (error) {
             console.error('[InteractionService] deleteInteraction Error:', error);
@@ -0,0 +1,373 @@
+/**
+ * services/job-scheduler-service.js
+ * 背景排程服務 (Job Scheduler)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 在應用程式行程內依 cron 運算式執行週期性工作 (工作定義見 services/scheduled-jobs.js)。
+ * - 每分鐘整點檢查一次；該分鐘沒有到期工作時不讀取試算表。
+ * - 狀態 (啟用、上次執行結果、下次執行時間) 存於 AUTH「排程工作」，管理 API 與所有執行個體共用。
+ * - 單次執行鎖：寫入 LOCK_OWNER / LOCK_EXPIRES_AT 後等待 SCHEDULER.LOCK_SETTLE_MS 再讀回，仍為自己才執行；
+ *   排程觸發另外比對 NEXT_RUN_AT，已被其他執行個體執行過的時段不再重跑。鎖在租期後自動失效 (執行個體當機時)。
+ * - 狀態列於 start() 時先建立，取得執行鎖只更新既有列；多個執行個體同時建立而產生重複列時，一律以最上方 (rowIndex 最小) 的列為準。
+ * - 伺服器停機期間錯過的時段不補跑；同一執行個體內同一工作不會重疊執行。
+ * 依賴注入：ScheduledJobReader, ScheduledJobWriter, AuditService, Config
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { parseCron, matchesCron, getNextRun } = require('../utils/cron');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+
+const JOB_STATUS = Object.freeze({
+    RUNNING: 'running',
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    INTERRUPTED: 'interrupted'
+});
+
+const TRIGGERS = Object.freeze({
+    SCHEDULE: 'schedule',
+    STARTUP: 'startup',
+    MANUAL: 'manual'
+});
+
+const MAX_RESULT_LENGTH = 300;
+
+class JobSchedulerService {
+    /**
+     * @param {Object} dependencies
+     * @param {ScheduledJobReader} dependencies.scheduledJobReader
+     * @param {ScheduledJobWriter} dependencies.scheduledJobWriter
+     * @param {AuditService} [dependencies.auditService] - 記錄啟用 / 停用
+     * @param {Object} dependencies.config
+     */
+    constructor({ scheduledJobReader, scheduledJobWriter, auditService, config }) {
+        this.scheduledJobReader = scheduledJobReader;
+        this.scheduledJobWriter = scheduledJobWriter;
+        this.auditService = auditService;
+        this.settings = config.SCHEDULER;
+        this.timeZone = config.TIMEZONE;
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+        this.jobs = new Map();
+        this.running = new Set();
+        this._timer = null;
+        this._started = false;
+        this._statesReady = null;
+    }
+
+    /**
+     * 定義工作 (須在 start 前呼叫)
+     * @param {Object} job
+     * @param {string} job.id - 例如 'cache.warm'
+     * @param {string} job.name - 顯示名稱
+     * @param {string} job.schedule - cron 運算式 (config.TIMEZONE)
+     * @param {Function} job.handler - async ({ trigger, operator }) => 結果摘要 (字串或物件)
+     * @param {string} [job.description]
+     * @param {boolean} [job.enabledByDefault=true] - 「排程工作」未設定啟用狀態時採用
+     * @param {boolean} [job.runOnStart=false] - 啟動後 (STARTUP_DELAY_SECONDS) 先執行一次
+     * @param {number} [job.timeoutMinutes] - 執行鎖租期，預設 SCHEDULER.DEFAULT_LOCK_MINUTES
+     */
+    define(job) {
+        if (!job || !job.id || typeof job.handler !== 'function') throw new Error('[JobScheduler] 工作需要 id 與 handler');
+        if (this.jobs.has(job.id)) throw new Error(`[JobScheduler] 工作重複定義: ${job.id}`);
+
+        this.jobs.set(job.id, {
+            description: '',
+            enabledByDefault: true,
+            runOnStart: false,
+            ...job,
+            cron: parseCron(job.schedule)
+        });
+    }
+
+    /**
+     * 開始排程 (由 app.js 在伺服器啟動後呼叫)
+     */
+    start() {
+        if (this._started) return;
+        if (!this.settings.ENABLED) {
+            console.log('⏸ [JobScheduler] SCHEDULER_ENABLED=false，此執行個體不執行排程工作');
+            return;
+        }
+        this._started = true;
+        console.log(`⏰ [JobScheduler] 啟動 (${this.jobs.size} 個工作，執行個體 ${this.instanceId})`);
+
+        this._statesReady = this._ensureStateRows().catch(error => {
+            console.error(`❌ [JobScheduler] 無法建立排程工作狀態列: ${error.message}`);
+        });
+        this._scheduleTick();
+
+        const startupJobs = [...this.jobs.values()].filter(job => job.runOnStart);
+        if (startupJobs.length > 0) {
+            setTimeout(() => {
+                startupJobs.forEach(job => this._execute(job, { trigger: TRIGGERS.STARTUP }));
+            }, this.settings.STARTUP_DELAY_SECONDS * 1000).unref();
+        }
+    }
+
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._started = false;
+    }
+
+    /**
+     * 列出所有工作與狀態
+     * @returns {Promise<Array<Object>>}
+     */
+    async listJobs() {
+        const states = await this._getStateMap();
+        return [...this.jobs.values()].map(job => this._toDto(job, states.get(job.id)));
+    }
+
+    /**
+     * 立即執行 (不論排程與啟用狀態)；其他執行個體正在執行時回傳 409
+     * @param {string} jobId
+     * @param {Object} operator - req.user
+     * @returns {Promise<Object>} 執行後的工作狀態
+     */
+    async runJob(jobId, operator) {
+        const job = this._findJob(jobId);
+        if (this.running.has(job.id)) throw this._clientError(`工作「${job.name}」正在執行中`, 409);
+
+        const outcome = await this._execute(job, { trigger: TRIGGERS.MANUAL, operator });
+        if (!outcome) throw this._clientError(`工作「${job.name}」正在其他伺服器執行中，請稍後再試`, 409);
+
+        const states = await this._getStateMap();
+        return this._toDto(job, states.get(job.id));
+    }
+
+    /**
+     * 啟用 / 停用工作 (所有執行個體共用)
+     * @param {string} jobId
+     * @param {boolean} enabled
+     * @param {Object} operator - req.user
+     */
+    async setEnabled(jobId, enabled, operator) {
+        const job = this._findJob(jobId);
+        if (typeof enabled !== 'boolean') throw this._clientError('enabled 必須為 true 或 false');
+
+        const state = await this._getOrCreateState(job);
+        const wasEnabled = this._isEnabled(job, state);
+        const next = {
+            ...state,
+            enabled,
+            updatedBy: this._actor(operator),
+            updatedTime: new Date().toISOString()
+        };
+        await this.scheduledJobWriter.updateJobStateByRow(state.rowIndex, next);
+
+        if (wasEnabled !== enabled && this.auditService) {
+            await this.auditService.recordUpdate(AUDIT_ENTITIES.SCHEDULED_JOB, job.id, { enabled: wasEnabled }, { enabled }, operator);
+        }
+        console.log(`⏰ [JobScheduler] ${this._actor(operator)} ${enabled ? '啟用' : '停用'}工作 ${job.id}`);
+        return this._toDto(job, next);
+    }
+
+    // --- 排程迴圈 ---
+
+    _scheduleTick() {
+        const now = Date.now();
+        const delay = 60000 - (now % 60000) + 500; // 下一分鐘開始後 0.5 秒
+        this._timer = setTimeout(() => {
+            this._tick(new Date());
+            if (this._started) this._scheduleTick();
+        }, delay);
+        this._timer.unref();
+    }
+
+    _tick(now) {
+        const slot = new Date(now.getTime() - (now.getTime() % 60000));
+        this.jobs.forEach(job => {
+            if (matchesCron(job.cron, slot, this.timeZone)) {
+                this._execute(job, { trigger: TRIGGERS.SCHEDULE, slot });
+            }
+        });
+    }
+
+    /**
+     * 取得執行鎖並執行工作 (工作本身的錯誤只記錄於狀態，不往外拋)
+     * @returns {Promise<Object|null>} 未取得執行鎖或已由其他執行個體執行時回傳 null
+     */
+    async _execute(job, { trigger, slot = null, operator = null }) {
+        if (this.running.has(job.id)) return null;
+        this.running.add(job.id);
+
+        let state = null;
+        try {
+            state = await this._acquireLock(job, trigger, slot, operator);
+        } catch (error) {
+            console.error(`❌ [JobScheduler] ${job.id} 無法取得執行鎖: ${error.message}`);
+            if (trigger === TRIGGERS.MANUAL) {
+                this.running.delete(job.id);
+                throw error;
+            }
+        }
+        if (!state) {
+            this.running.delete(job.id);
+            return null;
+        }
+
+        const startedAt = Date.now();
+        let outcome;
+        try {
+            const result = await job.handler({ trigger, operator });
+            outcome = { lastStatus: JOB_STATUS.SUCCESS, lastResult: this._summarize(result), lastError: '' };
+            console.log(`✅ [JobScheduler] ${job.id} 完成 (${Date.now() - startedAt}ms) ${outcome.lastResult}`);
+        } catch (error) {
+            outcome = { lastStatus: JOB_STATUS.FAILED, lastResult: '', lastError: String(error.message || error).slice(0, MAX_RESULT_LENGTH) };
+            console.error(`❌ [JobScheduler] ${job.id} 失敗: ${outcome.lastError}`);
+        }
+
+        const finished = {
+            ...state,
+            ...outcome,
+            lastFinishedAt: new Date().toISOString(),
+            lastDurationMs: Date.now() - startedAt,
+            nextRunAt: this._nextRunIso(job),
+            lockOwner: '',
+            lockExpiresAt: ''
+        };
+        try {
+            await this.scheduledJobWriter.updateJobStateByRow(state.rowIndex, finished);
+        } catch (error) {
+            // 鎖會在租期後失效
+            console.error(`❌ [JobScheduler] ${job.id} 無法寫入執行結果: ${error.message}`);
+        } finally {
+            this.running.delete(job.id);
+        }
+        return finished;
+    }
+
+    async _acquireLock(job, trigger, slot, operator) {
+        if (this._statesReady) await this._statesReady;
+        const state = await this._getOrCreateState(job);
+        const now = Date.now();
+
+        if (trigger !== TRIGGERS.MANUAL && !this._isEnabled(job, state)) return null;
+        if (state && state.lockOwner && state.lockOwner !== this.instanceId && Date.parse(state.lockExpiresAt) > now) return null;
+        // 其他執行個體已完成此時段 (完成時會把 NEXT_RUN_AT 推到此時段之後)
+        if (trigger === TRIGGERS.SCHEDULE && state && Date.parse(state.nextRunAt) > slot.getTime()) return null;
+
+        const lockMinutes = job.timeoutMinutes || this.settings.DEFAULT_LOCK_MINUTES;
+        const locked = {
+            ...state,
+            lastStatus: JOB_STATUS.RUNNING,
+            lastStartedAt: new Date(now).toISOString(),
+            lastTrigger: trigger === TRIGGERS.MANUAL ? `${trigger}:${this._actor(operator)}` : trigger,
+            lockOwner: this.instanceId,
+            lockExpiresAt: new Date(now + lockMinutes * 60000).toISOString()
+        };
+        await this.scheduledJobWriter.updateJobStateByRow(state.rowIndex, locked);
+
+        // 讀回確認：同時寫入時只有最後寫入者保有執行鎖
+        await new Promise(resolve => setTimeout(resolve, this.settings.LOCK_SETTLE_MS));
+        const confirmed = (await this._getStateMap()).get(job.id);
+        if (!confirmed || confirmed.lockOwner !== this.instanceId) {
+            console.log(`⏭ [JobScheduler] ${job.id} 已由其他執行個體執行 (${confirmed?.lockOwner || '未知'})`);
+            return null;
+        }
+        return confirmed;
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 以 jobId 對應狀態列；重複列取 rowIndex 最小者，讓所有執行個體鎖定同一列
+     */
+    async _getStateMap() {
+        const states = await this.scheduledJobReader.getJobStates();
+        const map = new Map();
+        states.forEach(state => {
+            const current = map.get(state.jobId);
+            if (!current || state.rowIndex < current.rowIndex) map.set(state.jobId, state);
+        });
+        return map;
+    }
+
+    /**
+     * 為尚無狀態列的工作建立狀態列 (start 時執行一次，之後取得執行鎖只需更新既有列)
+     */
+    async _ensureStateRows() {
+        const states = await this._getStateMap();
+        for (const job of this.jobs.values()) {
+            if (!states.has(job.id)) await this.scheduledJobWriter.createJobState({ jobId: job.id, enabled: null });
+        }
+    }
+
+    /**
+     * 取得工作的狀態列；尚未建立 (例如未啟動排程即手動執行) 時先建立再讀回
+     */
+    async _getOrCreateState(job) {
+        const state = (await this._getStateMap()).get(job.id);
+        if (state) return state;
+
+        await this.scheduledJobWriter.createJobState({ jobId: job.id, enabled: null });
+        const created = (await this._getStateMap()).get(job.id);
+        if (!created) throw new Error(`無法建立工作 ${job.id} 的狀態列`);
+        return created;
+    }
+
+    _isEnabled(job, state) {
+        return state && state.enabled !== null ? state.enabled : job.enabledByDefault;
+    }
+
+    _nextRunIso(job) {
+        const next = getNextRun(job.cron, new Date(), this.timeZone);
+        return next ? next.toISOString() : '';
+    }
+
+    _summarize(result) {
+        if (result === undefined || result === null) return '';
+        const text = typeof result === 'string' ? result : JSON.stringify(result);
+        return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH - 3)}...` : text;
+    }
+
+    _findJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw this._clientError(`找不到排程工作: ${jobId}`, 404);
+        return job;
+    }
+
+    _toDto(job, state) {
+        const now = Date.now();
+        const locked = !!(state && state.lockOwner && Date.parse(state.lockExpiresAt) > now);
+        return {
+            jobId: job.id,
+            name: job.name,
+            description: job.description,
+            schedule: job.cron.expression,
+            timeZone: this.timeZone,
+            enabled: this._isEnabled(job, state),
+            running: locked || this.running.has(job.id),
+            runningOn: locked ? state.lockOwner : '',
+            // 狀態停在 running 但鎖已過期：執行中的伺服器在完成前停止
+            lastStatus: state?.lastStatus === JOB_STATUS.RUNNING && !locked ? JOB_STATUS.INTERRUPTED : (state?.lastStatus || ''),
+            lastStartedAt: state?.lastStartedAt || '',
+            lastFinishedAt: state?.lastFinishedAt || '',
+            lastDurationMs: state?.lastDurationMs ?? null,
+            lastResult: state?.lastResult || '',
+            lastError: state?.lastError || '',
+            lastTrigger: state?.lastTrigger || '',
+            nextRunAt: this._isEnabled(job, state) ? this._nextRunIso(job) : '',
+            updatedBy: state?.updatedBy || '',
+            updatedTime: state?.updatedTime || ''
+        };
+    }
+
+    _actor(operator) {
+        return (operator && (operator.name || operator.username)) || 'System';
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+JobSchedulerService.TRIGGERS = TRIGGERS;
+JobSchedulerService.JOB_STATUS = JOB_STATUS;
+
+module.exports = JobSchedulerService;
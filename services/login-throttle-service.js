@@ -0,0 +1,114 @@
+/**
+ * services/login-throttle-service.js
+ * 登入失敗節流服務 (Brute-force Protection)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 依帳號與來源 IP 分別累計登入失敗次數 (config.AUTH.LOGIN_THROTTLE)：
+ * 時間窗內失敗達上限即鎖定 LOCKOUT_MINUTES 分鐘，期間即使密碼正確也拒絕登入 (HTTP 429)。
+ * 帳號不分大小寫且不論是否存在都計數，避免透過鎖定行為探測帳號。
+ * 登入成功只清除該帳號的紀錄；IP 紀錄隨時間窗自然過期。
+ * 狀態保存在記憶體，多個程序部署時各自計數。
+ */
+
+class LoginThrottleService {
+    /**
+     * @param {Object} dependencies
+     * @param {Object} dependencies.config
+     */
+    constructor({ config }) {
+        this.settings = config.AUTH.LOGIN_THROTTLE;
+        this.entries = new Map();
+    }
+
+    /**
+     * 帳號或 IP 鎖定中時拋出 statusCode = 429 的錯誤 (附 retryAfter 秒數)
+     * @param {string} username
+     * @param {string} [ip]
+     */
+    assertAllowed(username, ip) {
+        const now = Date.now();
+        const lockedUntil = Math.max(
+            this._lockedUntil(this._accountKey(username), now),
+            this._lockedUntil(this._ipKey(ip), now)
+        );
+        if (lockedUntil <= now) return;
+
+        const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+        const error = new Error(`登入失敗次數過多，請於 ${Math.ceil(retryAfter / 60)} 分鐘後再試`);
+        error.statusCode = 429;
+        error.code = 'LOGIN_LOCKED';
+        error.retryAfter = retryAfter;
+        throw error;
+    }
+
+    /**
+     * 記錄一次登入失敗
+     * @param {string} username
+     * @param {string} [ip]
+     */
+    recordFailure(username, ip) {
+        const now = Date.now();
+        this._sweep(now);
+
+        const accountLocked = this._addFailure(this._accountKey(username), this.settings.MAX_FAILURES_PER_ACCOUNT, now);
+        const ipLocked = this._addFailure(this._ipKey(ip), this.settings.MAX_FAILURES_PER_IP, now);
+
+        if (accountLocked) console.warn(`🔒 [LoginThrottle] 帳號 ${username} 登入失敗次數過多，暫時鎖定 ${this.settings.LOCKOUT_MINUTES} 分鐘`);
+        if (ipLocked) console.warn(`🔒 [LoginThrottle] IP ${ip} 登入失敗次數過多，暫時鎖定 ${this.settings.LOCKOUT_MINUTES} 分鐘`);
+    }
+
+    /**
+     * 登入成功：清除帳號的失敗紀錄
+     * @param {string} username
+     */
+    recordSuccess(username) {
+        this.entries.delete(this._accountKey(username));
+    }
+
+    // --- 內部輔助函式 ---
+
+    _accountKey(username) {
+        return `user:${String(username || '').trim().toLowerCase()}`;
+    }
+
+    _ipKey(ip) {
+        return ip ? `ip:${ip}` : null;
+    }
+
+    _lockedUntil(key, now) {
+        const entry = key && this.entries.get(key);
+        return entry && entry.lockedUntil > now ? entry.lockedUntil : 0;
+    }
+
+    /**
+     * @returns {boolean} 此次失敗是否觸發鎖定
+     */
+    _addFailure(key, maxFailures, now) {
+        if (!key) return false;
+
+        const windowMs = this.settings.WINDOW_MINUTES * 60 * 1000;
+        const entry = this.entries.get(key) || { failures: [], lockedUntil: 0 };
+        entry.failures = entry.failures.filter(time => now - time < windowMs);
+        entry.failures.push(now);
+
+        let locked = false;
+        if (entry.failures.length >= maxFailures) {
+            entry.lockedUntil = now + this.settings.LOCKOUT_MINUTES * 60 * 1000;
+            entry.failures = [];
+            locked = true;
+        }
+        this.entries.set(key, entry);
+        return locked;
+    }
+
+    // 移除已過期的紀錄，避免大量不同帳號/IP 佔用記憶體
+    _sweep(now) {
+        const windowMs = this.settings.WINDOW_MINUTES * 60 * 1000;
+        for (const [key, entry] of this.entries) {
+            const lastFailure = entry.failures[entry.failures.length - 1] || 0;
+            if (entry.lockedUntil <= now && now - lastFailure >= windowMs) this.entries.delete(key);
+        }
+    }
+}
+
+module.exports = LoginThrottleService;
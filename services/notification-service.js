@@ -0,0 +1,384 @@
+/**
+ * services/notification-service.js
+ * 通知中心服務 (Notifications)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 站內通知中心與選用的 LINE / Email 外送。
+ * - 通知只屬於單一收件者 (使用者名冊帳號)；列表、已讀與設定一律以登入者本人為範圍。
+ * - notify 依 (收件者, dedupeKey) 去除重複：同一提醒已存在就不再產生，除非該通知早於 renotifyAfter
+ *   (例如延後提醒到期後需重新提醒)。
+ * - 外送偏好 (通知設定)：digest 為 immediate (產生後立即送出) / daily / weekly / off，channels 為 line、email。
+ *   尚未外送且未讀的通知合併成一則摘要，送出成功後記錄外送時間與通道；全部通道失敗時保留，下次排程再送。
+ * - LINE 以 Messaging API 推播至使用者名冊的 LINE ID；Email 經 config.NOTIFICATIONS.EMAIL 的 HTTP 轉寄服務送出。
+ * 依賴注入：NotificationReader, NotificationWriter, SystemReader, Config
+ */
+
+const crypto = require('crypto');
+
+const DIGEST_MODES = Object.freeze({
+    IMMEDIATE: 'immediate',
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    OFF: 'off'
+});
+
+const CHANNELS = Object.freeze({
+    LINE: 'line',
+    EMAIL: 'email'
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_ERROR_LENGTH = 300;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+class NotificationService {
+    /**
+     * @param {Object} dependencies
+     * @param {NotificationReader} dependencies.notificationReader
+     * @param {NotificationWriter} dependencies.notificationWriter
+     * @param {SystemReader} dependencies.systemReader - 使用者名冊 (LINE ID、停用狀態)
+     * @param {Object} dependencies.config
+     * @param {Function} [dependencies.fetchImpl] - HTTP client (預設為全域 fetch)
+     */
+    constructor({ notificationReader, notificationWriter, systemReader, config, fetchImpl = (...args) => fetch(...args) }) {
+        this.notificationReader = notificationReader;
+        this.notificationWriter = notificationWriter;
+        this.systemReader = systemReader;
+        this.config = config;
+        this.settings = config.NOTIFICATIONS;
+        this.fetchImpl = fetchImpl;
+    }
+
+    // --- 通知中心 ---
+
+    /**
+     * 登入者的通知 (新到舊，最多 LIST_LIMIT 則)
+     * @param {Object} user - req.user
+     * @param {Object} [options]
+     * @param {boolean} [options.unreadOnly]
+     * @returns {Promise<{notifications: Array<Object>, unreadCount: number}>}
+     */
+    async listNotifications(user, { unreadOnly = false } = {}) {
+        const own = await this._getOwnNotifications(user);
+        const unreadCount = own.filter(notification => !notification.readTime).length;
+        const notifications = own
+            .filter(notification => !unreadOnly || !notification.readTime)
+            .sort((a, b) => b.createTime.localeCompare(a.createTime))
+            .slice(0, this.settings.LIST_LIMIT)
+            .map(notification => this._toDto(notification));
+        return { notifications, unreadCount };
+    }
+
+    async markRead(notificationId, user) {
+        const own = await this._getOwnNotifications(user);
+        const notification = own.find(n => n.notificationId === notificationId);
+        if (!notification) throw this._clientError(`找不到通知: ${notificationId}`, 404);
+        if (notification.readTime) return this._toDto(notification);
+
+        const updated = { ...notification, readTime: new Date().toISOString() };
+        await this.notificationWriter.updateNotificationsByRow([updated]);
+        return this._toDto(updated);
+    }
+
+    /**
+     * 將登入者的未讀通知標為已讀 (可限定某個機會)
+     * @param {Object} user
+     * @param {Object} [options]
+     * @param {string} [options.opportunityId]
+     * @returns {Promise<{count: number}>}
+     */
+    async markAllRead(user, { opportunityId } = {}) {
+        const now = new Date().toISOString();
+        const own = await this._getOwnNotifications(user);
+        const unread = own
+            .filter(n => !n.readTime && (!opportunityId || n.opportunityId === opportunityId))
+            .map(n => ({ ...n, readTime: now }));
+        await this.notificationWriter.updateNotificationsByRow(unread);
+        return { count: unread.length };
+    }
+
+    /**
+     * 產生通知 (依收件者與 dedupeKey 去除重複)
+     * @param {Array<Object>} items - { recipient, type, title, message?, opportunityId?, dedupeKey?, renotifyAfter? }
+     * @returns {Promise<Array<Object>>} 實際新增的通知
+     */
+    async notify(items) {
+        const existing = await this.notificationReader.getNotifications();
+        const latestByKey = new Map();
+        existing.forEach(n => {
+            if (!n.dedupeKey) return;
+            const key = `${normalize(n.recipient)}|${n.dedupeKey}`;
+            if (!latestByKey.has(key) || latestByKey.get(key) < n.createTime) latestByKey.set(key, n.createTime);
+        });
+
+        const now = new Date().toISOString();
+        const created = [];
+        items.forEach(item => {
+            if (item.dedupeKey) {
+                const key = `${normalize(item.recipient)}|${item.dedupeKey}`;
+                const latest = latestByKey.get(key);
+                if (latest && latest >= (item.renotifyAfter || '')) return;
+                latestByKey.set(key, now);
+            }
+            created.push({
+                notificationId: `NTF${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+                recipient: item.recipient,
+                type: item.type,
+                title: item.title,
+                message: item.message || '',
+                opportunityId: item.opportunityId || '',
+                dedupeKey: item.dedupeKey || '',
+                createTime: now,
+                readTime: '',
+                sentTime: '',
+                sentChannels: []
+            });
+        });
+
+        await this.notificationWriter.appendNotifications(created);
+        return created;
+    }
+
+    // --- 通知設定 ---
+
+    /**
+     * 登入者的外送設定與可用通道
+     * @param {Object} user
+     */
+    async getPreferences(user) {
+        const [preference, rosterUser] = await Promise.all([this._findPreference(user.username), this._findRosterUser(user.username)]);
+        return this._toPreferenceDto(preference, rosterUser);
+    }
+
+    /**
+     * 更新登入者的外送設定
+     * @param {Object} user
+     * @param {Object} changes - { digest?, channels?, email? }
+     */
+    async updatePreferences(user, changes = {}) {
+        const [existing, rosterUser] = await Promise.all([this._findPreference(user.username), this._findRosterUser(user.username)]);
+        const current = this._toPreferenceDto(existing, rosterUser);
+
+        const digest = changes.digest !== undefined ? String(changes.digest).trim() : current.digest;
+        if (!Object.values(DIGEST_MODES).includes(digest)) {
+            throw this._clientError(`摘要頻率需為 ${Object.values(DIGEST_MODES).join(' / ')}`);
+        }
+
+        const channels = changes.channels !== undefined ? this._validateChannels(changes.channels) : current.channels;
+        const email = changes.email !== undefined ? String(changes.email || '').trim() : current.email;
+        if (email && !EMAIL_PATTERN.test(email)) throw this._clientError('Email 格式不正確');
+
+        if (channels.includes(CHANNELS.EMAIL)) {
+            if (!current.availableChannels.email) throw this._clientError('系統尚未設定 Email 寄送服務');
+            if (!email) throw this._clientError('選擇 Email 通知時請填寫 Email');
+        }
+        if (channels.includes(CHANNELS.LINE)) {
+            if (!current.availableChannels.line) throw this._clientError('系統尚未設定 LINE 推播');
+            if (!current.lineBound) throw this._clientError('此帳號尚未綁定 LINE，請先由 LINE 完成綁定');
+        }
+
+        const preference = {
+            rowIndex: existing ? existing.rowIndex : null,
+            username: user.username,
+            digest,
+            channels,
+            email,
+            lastDigestTime: existing ? existing.lastDigestTime : '',
+            updateTime: new Date().toISOString()
+        };
+        await this.notificationWriter.savePreference(preference);
+        return this._toPreferenceDto(preference, rosterUser);
+    }
+
+    // --- 外送 ---
+
+    /**
+     * 排程摘要：每天送出 daily，週一另送 weekly；immediate 也一併重試先前失敗者
+     * @param {Date} [now]
+     */
+    async sendScheduledDigests(now = new Date()) {
+        const weekday = new Intl.DateTimeFormat('en-US', { timeZone: this.config.TIMEZONE, weekday: 'short' }).format(now);
+        const modes = [DIGEST_MODES.IMMEDIATE, DIGEST_MODES.DAILY];
+        if (weekday === 'Mon') modes.push(DIGEST_MODES.WEEKLY);
+        return this.deliverPending(modes);
+    }
+
+    /**
+     * 將尚未外送的未讀通知，依使用者合併為一則摘要送出
+     * @param {Array<string>} modes - 要處理的摘要頻率
+     * @returns {Promise<{users: number, sent: number, failed: number}>}
+     */
+    async deliverPending(modes) {
+        const [preferences, notifications, users] = await Promise.all([
+            this.notificationReader.getPreferences(),
+            this.notificationReader.getNotifications(),
+            this.systemReader.getUsers()
+        ]);
+
+        const summary = { users: 0, sent: 0, failed: 0 };
+        const targets = preferences.filter(p => modes.includes(p.digest) && p.channels.length > 0);
+
+        for (const preference of targets) {
+            const rosterUser = users.find(u => normalize(u.username) === normalize(preference.username));
+            if (!rosterUser || rosterUser.disabled) continue;
+
+            const pending = notifications
+                .filter(n => normalize(n.recipient) === normalize(preference.username) && !n.sentTime && !n.readTime)
+                .sort((a, b) => a.createTime.localeCompare(b.createTime));
+            if (pending.length === 0) continue;
+
+            summary.users++;
+            const delivered = await this._sendDigest(preference, rosterUser, pending);
+            if (delivered.length === 0) {
+                summary.failed += pending.length;
+                continue;
+            }
+
+            const now = new Date().toISOString();
+            await this.notificationWriter.updateNotificationsByRow(pending.map(n => ({ ...n, sentTime: now, sentChannels: delivered })));
+            await this.notificationWriter.savePreference({ ...preference, lastDigestTime: now });
+            summary.sent += pending.length;
+        }
+        return summary;
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 依設定的通道送出摘要
+     * @returns {Promise<Array<string>>} 成功送出的通道
+     */
+    async _sendDigest(preference, rosterUser, pending) {
+        const { subject, text } = this._composeDigest(pending);
+        const delivered = [];
+
+        for (const channel of preference.channels) {
+            let result;
+            if (channel === CHANNELS.LINE && rosterUser.lineUserId) {
+                result = await this._sendLine(rosterUser.lineUserId, text);
+            } else if (channel === CHANNELS.EMAIL && preference.email) {
+                result = await this._sendEmail(preference.email, subject, text);
+            } else {
+                continue;
+            }
+            if (result.ok) {
+                delivered.push(channel);
+            } else {
+                console.warn(`⚠️ [Notification] ${channel} 送出失敗 (${preference.username}): ${result.error}`);
+            }
+        }
+        return delivered;
+    }
+
+    _composeDigest(pending) {
+        const max = this.settings.DIGEST_MAX_ITEMS;
+        const lines = [`TFC CRM 通知 (${pending.length} 則)`, ''];
+        pending.slice(0, max).forEach(n => {
+            lines.push(`• ${n.title}`);
+            if (n.message) lines.push(`  ${n.message}`);
+        });
+        if (pending.length > max) lines.push('', `另有 ${pending.length - max} 則，請至 CRM 通知中心查看`);
+        return { subject: `[CRM] 通知摘要 (${pending.length} 則)`, text: lines.join('\n') };
+    }
+
+    async _sendLine(lineUserId, text) {
+        const { CHANNEL_ACCESS_TOKEN, PUSH_URL } = this.settings.LINE;
+        return this._post(PUSH_URL, CHANNEL_ACCESS_TOKEN, {
+            to: lineUserId,
+            // LINE 單則文字訊息上限 5000 字
+            messages: [{ type: 'text', text: text.slice(0, 5000) }]
+        });
+    }
+
+    async _sendEmail(to, subject, text) {
+        const { RELAY_URL, RELAY_TOKEN, FROM } = this.settings.EMAIL;
+        return this._post(RELAY_URL, RELAY_TOKEN, { from: FROM, to, subject, text });
+    }
+
+    async _post(url, token, payload) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers['Authorization'] = `Bearer ${token}`;
+            const response = await this.fetchImpl(url, {
+                method: 'POST',
+                signal: AbortSignal.timeout(this.settings.TIMEOUT_MS),
+                headers,
+                body: JSON.stringify(payload)
+            });
+            if (response.ok) return { ok: true, error: '' };
+            return { ok: false, error: `HTTP ${response.status}` };
+        } catch (error) {
+            const message = error.name === 'TimeoutError' ? `逾時 (${this.settings.TIMEOUT_MS}ms)` : (error.cause?.message || error.message);
+            return { ok: false, error: String(message).slice(0, MAX_ERROR_LENGTH) };
+        }
+    }
+
+    _availableChannels() {
+        return {
+            line: !!this.settings.LINE.CHANNEL_ACCESS_TOKEN,
+            email: !!this.settings.EMAIL.RELAY_URL
+        };
+    }
+
+    _validateChannels(channels) {
+        const list = Array.isArray(channels) ? channels : String(channels || '').split(',');
+        const values = [...new Set(list.map(c => String(c).trim()).filter(Boolean))];
+        const invalid = values.filter(c => !Object.values(CHANNELS).includes(c));
+        if (invalid.length > 0) throw this._clientError(`不支援的通知通道: ${invalid.join(', ')}`);
+        return values;
+    }
+
+    async _getOwnNotifications(user) {
+        const username = normalize(user?.username);
+        if (!username) return [];
+        const notifications = await this.notificationReader.getNotifications();
+        return notifications.filter(n => normalize(n.recipient) === username);
+    }
+
+    async _findPreference(username) {
+        const preferences = await this.notificationReader.getPreferences();
+        return preferences.find(p => normalize(p.username) === normalize(username)) || null;
+    }
+
+    async _findRosterUser(username) {
+        const users = await this.systemReader.getUsers();
+        return users.find(u => normalize(u.username) === normalize(username)) || null;
+    }
+
+    _toPreferenceDto(preference, rosterUser) {
+        return {
+            digest: preference ? (preference.digest || this.settings.DEFAULT_DIGEST) : this.settings.DEFAULT_DIGEST,
+            channels: preference ? preference.channels : [],
+            email: preference ? preference.email : '',
+            lastDigestTime: preference ? preference.lastDigestTime : '',
+            lineBound: !!(rosterUser && rosterUser.lineUserId),
+            availableChannels: this._availableChannels()
+        };
+    }
+
+    _toDto(notification) {
+        return {
+            notificationId: notification.notificationId,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            opportunityId: notification.opportunityId,
+            createTime: notification.createTime,
+            readTime: notification.readTime,
+            isRead: !!notification.readTime,
+            sentTime: notification.sentTime,
+            sentChannels: notification.sentChannels
+        };
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+NotificationService.DIGEST_MODES = DIGEST_MODES;
+NotificationService.CHANNELS = CHANNELS;
+module.exports = NotificationService;
@@ -9,14 +9,29 @@
 /**
  * services/opportunity-service.js
  * 機會案件業務邏輯層 (Service Layer)
- * * @version 7.6.0 (Phase 6-2: Fix Data Truncation)
- * @date 2026-01-30
- * @description 負責處理與「機會案件」相關的 CRUD、關聯管理與自動日誌。
- * [Phase 6-2] 引入 OpportunitySqlReader，實作 Read SQL First + Sheet Fallback。
+ * * @version 7.14.4 (Tasks)
+ * @date 2026-10-19
+ * @description 負責處理與「機會案件」相關的 CRUD 與關聯管理。
+ * [Repository] 讀取來源改由 OpportunityRepository 依 config.DATA_SOURCES 決定 (取代 Service 內的 SQL First + Sheet Fallback)。
+ * [Repository] 建立/更新/刪除一律以 opportunityId 經 OpportunityRepository 寫入，不再強制讀 Sheet 取得 rowIndex。
+ * 舊版 rowIndex 參數仍可傳入，由 Repository 解析為 opportunityId (過渡相容)。
+ * [Concurrency] updateOpportunity 支援 expectedVersion；版本衝突時附上目前資料 (error.current) 供前端合併。
+ * [Audit] 建立/更新/刪除 (含批次更新) 皆經 AuditService 寫入欄位層級變更紀錄。
  * [Fix] searchOpportunities 移除後端分頁 Slice，直接回傳完整 Array 以符合前端全量資料預期。
- * 依賴注入：Readers (Opportunity, Interaction, EventLog, Contact, System) & Writers (Company, Contact, Opportunity, Interaction) & Config
+ * [Visibility] 傳入 user 時，查詢與單筆操作只限 RecordVisibilityService 判定可見的機會 (看不到者視為不存在)；
+ * 另提供機會共享對象的查詢 / 新增 / 移除 (機會共享表)。
+ * [Events] 寫入成功後發布領域事件 (opportunity.*)；系統日誌由 DomainEventSubscribers 訂閱寫入，本服務不再直接寫互動紀錄。
+ * 階段變更的事件附上更新後的機會 DTO，進入 won 類型階段時另發布 opportunity.won (供 Webhook 訂閱)。
+ * [Tasks] 機會詳情附上已完成的關聯任務 (completedTasks)，由前端併入互動動態牆。
+ * 依賴注入：Readers (Opportunity, Interaction, EventLog, Contact, System, OpportunityShare) & Writers (Company, Contact, Opportunity, OpportunityShare) & Repositories (Opportunity) & TaskService & DomainEventBus & Config
  */
 
+const { isVersionConflict } = require('../utils/concurrency');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { EVENTS } = require('./domain-event-bus');
+const ContactService = require('./contact-service');
+const { STAGE_TYPES, getStageType } = require('../utils/pipeline-stages');
+
 class OpportunityService {
     /**
      * @param {Object} config - 系統設定
@@ -27,10 +42,16 @@ class OpportunityService {
      * @param {CompanyReader} companyReader // 用於查找公司ID
      * @param {CompanyWriter} companyWriter // 用於建立新公司
      * @param {InteractionReader} interactionReader
-     * @param {InteractionWriter} interactionWriter
      * @param {EventLogReader} eventLogReader
      * @param {SystemReader} systemReader
-     * @param {OpportunitySqlReader} [opportunitySqlReader] // [Added] Phase 6-2 Injection
+     * @param {OpportunityRepository} opportunityRepository // 依 DATA_SOURCES 路由 Sheet/SQL
+     * @param {AuditService} [auditService] // 欄位層級變更紀錄
+     * @param {RecordVisibilityService} [recordVisibilityService] // 依負責業務 / 團隊限制可見範圍
+     * @param {OpportunityShareReader} [opportunityShareReader]
+     * @param {OpportunityShareWriter} [opportunityShareWriter]
+     * @param {TaskService} [taskService] // 詳情頁的已完成任務
+     * @param {ContactService} [contactService] // 由潛在客戶關聯時建檔並標記原始名片
+     * @param {DomainEventBus} [eventBus] // 發布 opportunity.* 事件
      */
     constructor({
         config,
@@ -41,10 +62,16 @@ class OpportunityService {
         companyReader,
         companyWriter,
         interactionReader,
-        interactionWriter,
         eventLogReader,
         systemReader,
-        opportunitySqlReader // [Added]
+        opportunityRepository,
+        auditService = null,
+        recordVisibilityService = null,
+        opportunityShareReader = null,
+        opportunityShareWriter = null,
+        taskService = null,
+        contactService = null,
+        eventBus = null
     }) {
         this.config = config;
         
@@ -55,13 +82,19 @@ class OpportunityService {
         this.contactReader = contactReader;
         this.systemReader = systemReader;
         this.companyReader = companyReader;
-        this.opportunitySqlReader = opportunitySqlReader; // [Added]
+        this.opportunityRepository = opportunityRepository;
+        this.auditService = auditService;
+        this.recordVisibilityService = recordVisibilityService;
+        this.opportunityShareReader = opportunityShareReader;
+        this.taskService = taskService;
+        this.contactService = contactService;
+        this.eventBus = eventBus;
 
         // Writers
         this.opportunityWriter = opportunityWriter;
         this.contactWriter = contactWriter;
         this.companyWriter = companyWriter;
-        this.interactionWriter = interactionWriter;
+        this.opportunityShareWriter = opportunityShareWriter;
     }
 
     /**
@@ -80,58 +113,79 @@ class OpportunityService {
     }
 
     /**
-     * [Phase 6-2] 統一資料獲取入口
-     * 策略：SQL First -> Sheet Fallback
-     * @param {boolean} forceSheet - 強制讀取 Sheet (用於 Write 操作需 rowIndex 時)
+     * 統一資料獲取入口
+     * 來源策略由 OpportunityRepository 依 config.DATA_SOURCES.OPPORTUNITY 決定
      */
-    async _fetchOpportunities(forceSheet = false) {
-        let opportunities = null;
-
-        // 1. Try SQL
-        if (!forceSheet && this.opportunitySqlReader) {
-            try {
-                const sqlData = await this.opportunitySqlReader.getOpportunities();
-                if (sqlData && Array.isArray(sqlData) && sqlData.length > 0) {
-                    console.log('[OpportunityService] Read Source: SQL');
-                    // SQL Reader 應回傳符合 DTO 形狀的資料
-                    opportunities = sqlData; 
-                }
-            } catch (error) {
-                console.warn(`[OpportunityService] SQL Read Failed, falling back: ${error.message}`);
-                // Fallback will happen below
-            }
-        }
+    async _fetchOpportunities() {
+        return this.opportunityRepository.getOpportunities();
+    }
 
-        // 2. Fallback to Sheet
-        if (!opportunities) {
-            if (!forceSheet) console.log('[OpportunityService] Read Source: Sheet (Fallback)');
-            try {
-                opportunities = await this.opportunityReader.getOpportunities();
-            } catch (error) {
-                console.error('[OpportunityService] Sheet Read Failed:', error);
-                throw error;
-            }
-        }
+    /**
+     * 取得使用者的可見範圍 (未注入 RecordVisibilityService 時不限制；未傳入 user 時看不到任何機會)
+     * @private
+     */
+    async _getVisibilityScope(user) {
+        if (!this.recordVisibilityService) return { unrestricted: true };
+        return this.recordVisibilityService.getScope(user);
+    }
 
-        return opportunities;
+    /** @private */
+    _canView(scope, opportunity) {
+        return scope.unrestricted || this.recordVisibilityService.canViewOpportunity(scope, opportunity);
     }
 
     /**
-     * 輔助函式：建立一筆機會互動日誌
+     * 確認機會存在且在使用者可見範圍內，否則拋出 404
      * @private
      */
-    async _logOpportunityInteraction(opportunityId, title, summary, modifier) {
-        try {
-            await this.interactionWriter.createInteraction({
-                opportunityId: opportunityId,
-                eventType: '系統事件',
-                eventTitle: title,
-                contentSummary: summary,
-                recorder: modifier,
-                interactionTime: new Date().toISOString()
-            });
-        } catch (logError) {
-            console.warn(`[OpportunityService] 寫入機會日誌失敗 (OppID: ${opportunityId}): ${logError.message}`);
+    _assertVisible(scope, opportunity, opportunityId) {
+        if (opportunity && this._canView(scope, opportunity)) return opportunity;
+        throw this._clientError(`找不到機會ID為 ${opportunityId} 的案件`, 404);
+    }
+
+    /** @private */
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * 讀取單筆機會並檢查可見範圍 (關聯聯絡人、共享設定等子資源使用)
+     * @private
+     */
+    async _getVisibleOpportunity(opportunityId, user) {
+        const [opportunities, scope] = await Promise.all([
+            this._fetchOpportunities(),
+            this._getVisibilityScope(user)
+        ]);
+        return this._assertVisible(scope, opportunities.find(o => o.opportunityId === opportunityId), opportunityId);
+    }
+
+    /**
+     * 發布領域事件 (未注入 DomainEventBus 時略過)
+     * @private
+     */
+    async _publish(type, payload, user, modifier) {
+        if (!this.eventBus) return;
+        await this.eventBus.publish(type, payload, { username: user?.username, name: modifier });
+    }
+
+    /**
+     * 發布階段變更 (附更新後的機會 DTO)；新階段屬於 won 類型時另發布 opportunity.won
+     * @private
+     */
+    async _publishStageChange(opportunityId, fromStage, toStage, user, modifier) {
+        if (!this.eventBus) return;
+        const [opportunities, systemConfig] = await Promise.all([
+            this._fetchOpportunities(),
+            this.systemReader.getSystemConfig()
+        ]);
+        const opportunity = opportunities.find(o => o.opportunityId === opportunityId) || { opportunityId, currentStage: toStage };
+
+        await this._publish(EVENTS.OPPORTUNITY_STAGE_CHANGED, { opportunityId, fromStage, toStage, opportunity }, user, modifier);
+        if (getStageType(systemConfig, toStage) === STAGE_TYPES.WON) {
+            await this._publish(EVENTS.OPPORTUNITY_WON, { opportunityId, stage: toStage, opportunity }, user, modifier);
         }
     }
 
@@ -141,12 +195,21 @@ class OpportunityService {
     async createOpportunity(opportunityData, user) {
         try {
             const modifier = user.displayName || user.username || 'System';
-            const result = await this.opportunityWriter.createOpportunity(opportunityData, modifier);
+            const result = await this.opportunityRepository.createOpportunity(opportunityData, modifier);
             
             // Invalidate Cache if available
             if (this.opportunityReader.invalidateCache) {
                 this.opportunityReader.invalidateCache('opportunities');
             }
+
+            if (this.auditService && result.id) {
+                await this.auditService.recordCreate(AUDIT_ENTITIES.OPPORTUNITY, result.id, opportunityData, modifier);
+            }
+            if (this.eventBus && result.id) {
+                const opportunities = await this._fetchOpportunities();
+                const opportunity = opportunities.find(o => o.opportunityId === result.id) || { opportunityId: result.id, ...opportunityData };
+                await this._publish(EVENTS.OPPORTUNITY_CREATED, { opportunityId: result.id, opportunity }, user, modifier);
+            }
             return result;
         } catch (error) {
             console.error('[OpportunityService] createOpportunity Error:', error);
@@ -157,8 +220,10 @@ class OpportunityService {
     /**
      * 高效獲取機會案件的完整詳細資料
      * 包含：互動紀錄、事件報告、已關聯聯絡人、潛在聯絡人建議、主要聯絡人職稱補全
+     * @param {string} opportunityId
+     * @param {Object} [user] - 傳入時僅能查看可見範圍內的機會，親子機會同樣依範圍篩選
      */
-    async getOpportunityDetails(opportunityId) {
+    async getOpportunityDetails(opportunityId, user = null) {
         try {
             // [Modified] Use _fetchOpportunities (SQL/Sheet)
             const [
@@ -181,6 +246,8 @@ class OpportunityService {
             if (!opportunityInfo) {
                 throw new Error(`找不到機會ID為 ${opportunityId} 的案件`);
             }
+            const scope = await this._getVisibilityScope(user);
+            this._assertVisible(scope, opportunityInfo, opportunityId);
 
             // --- Build linked contacts (JOIN links + official contacts) ---
             const safeGet = (obj, keys) => {
@@ -264,9 +331,20 @@ class OpportunityService {
             // --- 親子機會查找 ---
             let parentOpportunity = null;
             if (opportunityInfo.parentOpportunityId) {
-                parentOpportunity = allOpportunities.find(opp => opp.opportunityId === opportunityInfo.parentOpportunityId) || null;
+                const parent = allOpportunities.find(opp => opp.opportunityId === opportunityInfo.parentOpportunityId);
+                parentOpportunity = parent && this._canView(scope, parent) ? parent : null;
+            }
+            const childOpportunities = allOpportunities.filter(opp => opp.parentOpportunityId === opportunityId && this._canView(scope, opp));
+
+            // --- 已完成任務 (動態牆用；任務讀取失敗不影響詳情) ---
+            let completedTasks = [];
+            if (this.taskService) {
+                try {
+                    completedTasks = await this.taskService.getCompletedTasksByOpportunity(opportunityId);
+                } catch (taskError) {
+                    console.warn(`[OpportunityService] 讀取已完成任務失敗 (${opportunityId}):`, taskError.message);
+                }
             }
-            const childOpportunities = allOpportunities.filter(opp => opp.parentOpportunityId === opportunityId);
 
             return {
                 opportunityInfo,
@@ -275,7 +353,8 @@ class OpportunityService {
                 linkedContacts: linkedContactsFromCache,
                 potentialContacts,
                 parentOpportunity,
-                childOpportunities
+                childOpportunities,
+                completedTasks
             };
         } catch (error) {
             console.error(`[OpportunityService] getOpportunityDetails Error (${opportunityId}):`, error);
@@ -284,74 +363,53 @@ class OpportunityService {
     }
 
     /**
-     * 更新機會案件，並自動新增多種互動紀錄
+     * 更新機會案件 (階段變更另發布 opportunity.stageChanged / opportunity.won)
+     * @param {string|number} opportunityId - 機會ID (舊版 rowIndex 仍相容)
+     * @param {Object} updateData
+     * @param {Object} user
+     * @param {Object} [options]
+     * @param {string} [options.expectedVersion] - 前端讀到的 lastUpdateTime，不符時回 409
      */
-    async updateOpportunity(rowIndex, updateData, user) {
+    async updateOpportunity(opportunityId, updateData, user, options = {}) {
         try {
             const modifier = user.displayName || user.username || 'System';
-            
-            // [Modified] Use strict sheet read or ensure rowIndex exists. 
-            // Using _fetchOpportunities(true) to force Sheet read ensuring rowIndex validity and consistency.
-            const opportunities = await this._fetchOpportunities(true); 
-            const originalOpportunity = opportunities.find(o => o.rowIndex === parseInt(rowIndex));
-            
-            if (!originalOpportunity) {
-                throw new Error(`找不到要更新的機會 (Row: ${rowIndex})`);
-            }
-            
-            const oldStage = originalOpportunity.currentStage;
-            const opportunityId = originalOpportunity.opportunityId;
+            opportunityId = await this.opportunityRepository.resolveOpportunityId(opportunityId);
 
-            // --- 獲取對照表以供日誌使用 ---
-            const systemConfig = await this.systemReader.getSystemConfig();
-            const getNote = (configKey, value) => (systemConfig[configKey] || []).find(i => i.value === value)?.note || value || 'N/A';
-            const stageMapping = new Map((systemConfig['機會階段'] || []).map(item => [item.value, item.note]));
-            
-            const logs = [];
-
-            // 1. 檢查階段變更
-            const newStage = updateData.currentStage;
-            if (newStage && oldStage && newStage !== oldStage) {
-                const oldStageName = stageMapping.get(oldStage) || oldStage;
-                const newStageName = stageMapping.get(newStage) || newStage;
-                logs.push(`階段從【${oldStageName}】更新為【${newStageName}】`);
-            }
+            const opportunities = await this._fetchOpportunities();
+            const originalOpportunity = opportunities.find(o => o.opportunityId === opportunityId);
             
-            // 2. 檢查機會價值變更
-            if (updateData.opportunityValue !== undefined && updateData.opportunityValue !== originalOpportunity.opportunityValue) {
-                logs.push(`機會價值從 [${originalOpportunity.opportunityValue || '未設定'}] 更新為 [${updateData.opportunityValue || '未設定'}]`);
-            }
-
-            // 3. 檢查負責業務變更
-            if (updateData.assignee !== undefined && updateData.assignee !== originalOpportunity.assignee) {
-                logs.push(`負責業務從 [${getNote('團隊成員', originalOpportunity.assignee)}] 變更為 [${getNote('團隊成員', updateData.assignee)}]`);
+            if (!originalOpportunity) {
+                throw this._clientError(`找不到要更新的機會 (ID: ${opportunityId})`, 404);
             }
+            this._assertVisible(await this._getVisibilityScope(user), originalOpportunity, opportunityId);
             
-            // 4. 檢查結案日期變更
-            if (updateData.expectedCloseDate !== undefined && updateData.expectedCloseDate !== originalOpportunity.expectedCloseDate) {
-                logs.push(`預計結案日從 [${originalOpportunity.expectedCloseDate || '未設定'}] 更新為 [${updateData.expectedCloseDate || '未設定'}]`);
-            }
-
             // --- 執行更新 ---
-            const updateResult = await this.opportunityWriter.updateOpportunity(rowIndex, updateData, modifier);
+            const updateResult = await this.opportunityRepository.updateOpportunity(opportunityId, updateData, modifier, options);
             
             // Invalidate Cache
             if (this.opportunityReader.invalidateCache) {
                 this.opportunityReader.invalidateCache('opportunities');
             }
+
+            if (this.auditService) {
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.OPPORTUNITY, opportunityId, originalOpportunity, updateData, modifier);
+            }
             
-            // --- 寫入日誌 ---
-            if (logs.length > 0) {
-                await this._logOpportunityInteraction(
-                    opportunityId,
-                    '機會資料更新',
-                    logs.join('； '),
-                    modifier
-                );
+            await this._publish(EVENTS.OPPORTUNITY_UPDATED, { opportunityId, before: originalOpportunity, changes: updateData }, user, modifier);
+            const fromStage = originalOpportunity.currentStage;
+            if (updateData.currentStage && fromStage && updateData.currentStage !== fromStage) {
+                await this._publishStageChange(opportunityId, fromStage, updateData.currentStage, user, modifier);
             }
             
             return updateResult;
         } catch (error) {
+            if (isVersionConflict(error)) {
+                if (this.opportunityReader.invalidateCache) {
+                    this.opportunityReader.invalidateCache('opportunities');
+                }
+                const latest = await this._fetchOpportunities();
+                error.current = latest.find(o => o.opportunityId === opportunityId) || null;
+            }
             console.error('[OpportunityService] updateOpportunity Error:', error);
             throw error;
         }
@@ -363,43 +421,44 @@ class OpportunityService {
     async addContactToOpportunity(opportunityId, contactData, user) {
         try {
             const modifier = user.displayName || user.username || 'System';
+            await this._getVisibleOpportunity(opportunityId, user);
             let contactToLink;
-            let logTitle = '關聯聯絡人';
-
-            // 情況 A: 關聯已存在的聯絡人
-            if (contactData.contactId) {
+            let source = 'existing';
+
+            // 情況 A: 從潛在客戶 (PC-xxxx) 關聯：建檔為正式聯絡人，原始名片以 contactId 重新定位後標記為「已升級」
+            if (ContactService.isPotentialContactId(contactData.contactId)) {
+                source = 'potential';
+                const filed = await this.contactService.filePotentialContact(
+                    contactData.contactId,
+                    modifier,
+                    'UPGRADED'
+                );
+                contactToLink = { id: filed.contactId, name: filed.name };
+            }
+            // 情況 B: 關聯已存在的聯絡人
+            else if (contactData.contactId) {
                 contactToLink = { id: contactData.contactId, name: contactData.name };
             } 
-            // 情況 B: 建立新聯絡人並關聯
+            // 情況 C: 建立新聯絡人並關聯
             else {
                 if (!contactData.company) throw new Error("無法關聯聯絡人：缺少公司名稱。");
                 
-                logTitle = '建立並關聯新聯絡人';
+                source = 'created';
                 // 1. 確保公司存在
                 const contactCompanyData = await this.companyWriter.getOrCreateCompany(contactData.company, contactData, modifier, {});
                 // 2. 建立聯絡人
                 contactToLink = await this.contactWriter.getOrCreateContact(contactData, contactCompanyData, modifier);
-
-                // 3. 如果是從潛在客戶升級，更新原始狀態
-                if (contactData.rowIndex) {
-                    logTitle = '從潛在客戶關聯';
-                    await this.contactWriter.updateContactStatus(
-                        contactData.rowIndex,
-                        this.config.CONSTANTS.CONTACT_STATUS.UPGRADED
-                    );
-                }
             }
 
             // 執行關聯
             const linkResult = await this.opportunityWriter.linkContactToOpportunity(opportunityId, contactToLink.id, modifier);
             
-            // 寫入日誌
-            await this._logOpportunityInteraction(
+            await this._publish(EVENTS.OPPORTUNITY_CONTACT_LINKED, {
                 opportunityId,
-                logTitle,
-                `將聯絡人 "${contactToLink.name}" 關聯至此機會。`,
-                modifier
-            );
+                contactId: contactToLink.id,
+                contactName: contactToLink.name,
+                source
+            }, user, modifier);
 
             return { success: true, message: '聯絡人關聯成功', data: { contact: contactToLink, link: linkResult } };
         } catch (error) {
@@ -414,6 +473,7 @@ class OpportunityService {
     async deleteContactLink(opportunityId, contactId, user) {
         try {
             const modifier = user.displayName || user.username || 'System';
+            await this._getVisibleOpportunity(opportunityId, user);
             
             const allContacts = await this.contactReader.getContactList();
             const contact = allContacts.find(c => c.contactId === contactId);
@@ -422,12 +482,7 @@ class OpportunityService {
             const deleteResult = await this.opportunityWriter.deleteContactLink(opportunityId, contactId);
 
             if (deleteResult.success) {
-                await this._logOpportunityInteraction(
-                    opportunityId,
-                    '解除聯絡人關聯',
-                    `將聯絡人 "${contactName}" 從此機會移除。`,
-                    modifier
-                );
+                await this._publish(EVENTS.OPPORTUNITY_CONTACT_UNLINKED, { opportunityId, contactId, contactName }, user, modifier);
             }
 
             return deleteResult;
@@ -438,48 +493,35 @@ class OpportunityService {
     }
 
     /**
-     * 刪除一筆機會案件（增加日誌到所屬公司）
+     * 刪除一筆機會案件 (發布 opportunity.deleted，日誌由訂閱者寫入所屬公司)
+     * @param {string|number} opportunityId - 機會ID (舊版 rowIndex 仍相容)
      */
-    async deleteOpportunity(rowIndex, user) {
+    async deleteOpportunity(opportunityId, user) {
         try {
             const modifier = user.displayName || user.username || 'System';
-            
-            // [Modified] Use forceSheet=true to ensure rowIndex match
-            const opportunities = await this._fetchOpportunities(true);
-            const opportunity = opportunities.find(o => o.rowIndex === parseInt(rowIndex));
+            opportunityId = await this.opportunityRepository.resolveOpportunityId(opportunityId);
+
+            const opportunities = await this._fetchOpportunities();
+            const opportunity = opportunities.find(o => o.opportunityId === opportunityId);
             
             if (!opportunity) {
-                throw new Error(`找不到要刪除的機會 (Row: ${rowIndex})`);
+                throw this._clientError(`找不到要刪除的機會 (ID: ${opportunityId})`, 404);
             }
+            this._assertVisible(await this._getVisibilityScope(user), opportunity, opportunityId);
 
-            const deleteResult = await this.opportunityWriter.deleteOpportunity(rowIndex, modifier);
+            const deleteResult = await this.opportunityRepository.deleteOpportunity(opportunityId, modifier);
             
             // Invalidate Cache
             if (this.opportunityReader.invalidateCache) {
                 this.opportunityReader.invalidateCache('opportunities');
             }
 
-            // 刪除後，嘗試在公司層級留下一筆紀錄
-            if (deleteResult.success && opportunity.customerCompany) {
-                try {
-                    const allCompanies = await this.companyReader.getCompanyList();
-                    const company = allCompanies.find(c => 
-                        c.companyName.toLowerCase().trim() === opportunity.customerCompany.toLowerCase().trim()
-                    );
-                    
-                    if (company) {
-                        await this.interactionWriter.createInteraction({
-                            companyId: company.companyId,
-                            eventType: '系統事件',
-                            eventTitle: '刪除機會案件',
-                            contentSummary: `機會案件 "${opportunity.opportunityName}" (ID: ${opportunity.opportunityId}) 已被 ${modifier} 刪除。`,
-                            recorder: modifier,
-                            interactionTime: new Date().toISOString()
-                        });
-                    }
-                } catch (logError) {
-                     console.warn(`[OpportunityService] 寫入公司日誌失敗 (刪除機會時): ${logError.message}`);
-                }
+            if (this.auditService && deleteResult.success) {
+                await this.auditService.recordDelete(AUDIT_ENTITIES.OPPORTUNITY, opportunityId, opportunity, modifier);
+            }
+
+            if (deleteResult.success) {
+                await this._publish(EVENTS.OPPORTUNITY_DELETED, { opportunityId, opportunity }, user, modifier);
             }
             
             return deleteResult;
@@ -525,18 +567,22 @@ class OpportunityService {
      * [Standard A] 獲取縣市分佈統計
      * * 邏輯已移至 Service 層 (不再 Proxy Reader)
      * * 透過 DI 注入的 companyReader 取得公司列表 (消除 Cross-Reader Require)
+     * @param {string} [opportunityType]
+     * @param {Object} [user] - 傳入時只統計可見範圍內的機會
      */
-    async getOpportunitiesByCounty(opportunityType = null) {
+    async getOpportunitiesByCounty(opportunityType = null, user = null) {
         try {
             // [Modified] Use _fetchOpportunities
-            const [allOpportunities, companies] = await Promise.all([
+            const [allOpportunities, companies, scope] = await Promise.all([
                 this._fetchOpportunities(),
-                this.companyReader.getCompanyList() // Via DI
+                this.companyReader.getCompanyList(), // Via DI
+                this._getVisibilityScope(user)
             ]);
 
-            // 2. Filter Archived (Business Logic)
+            // 2. Filter Archived & Visibility (Business Logic)
             const activeOpportunities = allOpportunities.filter(opp => 
-                opp.currentStatus !== this.config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED
+                opp.currentStatus !== this.config.CONSTANTS.OPPORTUNITY_STATUS.ARCHIVED &&
+                this._canView(scope, opp)
             );
 
             // 3. Filter by Type (Business Logic)
@@ -618,11 +664,13 @@ class OpportunityService {
      * Logic: Fetch All (SQL/Sheet) -> InMemory Filter/Sort
      * [Fix 1] Return Array only to match Frontend Contract (remove pagination metadata object wrapper)
      * [Fix 2] Remove backend slicing logic to return FULL result set (Fixing data truncation issue)
+     * [Visibility] 傳入 user 時先依可見範圍篩選
      */
-    async searchOpportunities(query, page, filters) {
+    async searchOpportunities(query, page, filters, user = null) {
         try {
             // 1. Fetch Data (SQL First)
-            let items = await this._fetchOpportunities();
+            const scope = await this._getVisibilityScope(user);
+            let items = (await this._fetchOpportunities()).filter(o => this._canView(scope, o));
 
             // 2. Filter (Reimplementing Reader logic for Service Layer control)
             if (!filters || !filters.includeArchived) {
@@ -673,14 +721,129 @@ class OpportunityService {
 
     /**
      * [Proxy] 批量更新機會案件 (原 Controller 直呼 Writer)
+     * 不寫系統日誌，僅在階段變更時發布 opportunity.stageChanged / opportunity.won
+     * @param {Array<{opportunityId?: string, rowIndex?: number, data: Object}>} updates
+     *        每筆以 opportunityId 定位；僅帶舊版 rowIndex 者由 Repository 解析
+     * @param {Object} [user] - 傳入時任一筆不在可見範圍內即整批拒絕 (404)；修改者一律取自此登入者，忽略 updates 內的 modifier
      */
-    async batchUpdateOpportunities(updates) {
-        const result = await this.opportunityWriter.batchUpdateOpportunities(updates);
+    async batchUpdateOpportunities(updates, user = null) {
+        const modifier = (user && (user.displayName || user.username)) || 'System';
+        const resolved = await Promise.all((updates || []).map(async ({ rowIndex, ...update }) => ({
+            ...update,
+            modifier,
+            opportunityId: await this.opportunityRepository.resolveOpportunityId(update.opportunityId || rowIndex)
+        })));
+
+        const scope = await this._getVisibilityScope(user);
+        const needsOriginals = this.auditService || this.eventBus || !scope.unrestricted;
+        const originals = needsOriginals ? await this._fetchOpportunities() : [];
+        if (!scope.unrestricted) {
+            resolved.forEach(update => {
+                this._assertVisible(scope, originals.find(o => o.opportunityId === update.opportunityId), update.opportunityId);
+            });
+        }
+        const result = await this.opportunityRepository.batchUpdateOpportunities(resolved);
         
         // Invalidate Cache
         if (this.opportunityReader.invalidateCache) {
             this.opportunityReader.invalidateCache('opportunities');
         }
+
+        if (this.auditService) {
+            for (const update of resolved) {
+                const original = originals.find(o => o.opportunityId === update.opportunityId);
+                if (!original) continue;
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.OPPORTUNITY, update.opportunityId, original, update.data, modifier);
+            }
+        }
+
+        for (const update of resolved) {
+            const original = originals.find(o => o.opportunityId === update.opportunityId);
+            const toStage = update.data?.currentStage;
+            if (!original || !toStage || !original.currentStage || toStage === original.currentStage) continue;
+            await this._publishStageChange(update.opportunityId, original.currentStage, toStage, user, modifier);
+        }
+        return result;
+    }
+
+    // --- 共享對象 (機會共享表) ---
+
+    /**
+     * 取得機會的共享對象
+     * @param {string} opportunityId
+     * @param {Object} user
+     * @returns {Promise<Array<{shareId, opportunityId, username, displayName, createTime, creator}>>}
+     */
+    async getOpportunityShares(opportunityId, user) {
+        await this._getVisibleOpportunity(opportunityId, user);
+        const [shares, users] = await Promise.all([
+            this.opportunityShareReader.getShares(),
+            this.systemReader.getUsers()
+        ]);
+        const displayNames = new Map(users.map(u => [u.username.toLowerCase(), u.displayName || u.username]));
+
+        return shares
+            .filter(share => share.opportunityId === opportunityId)
+            .map(share => ({
+                shareId: share.shareId,
+                opportunityId: share.opportunityId,
+                username: share.sharedWith,
+                displayName: displayNames.get(share.sharedWith.toLowerCase()) || share.sharedWith,
+                createTime: share.createTime,
+                creator: share.creator
+            }));
+    }
+
+    /**
+     * 將機會共享給指定使用者 (對方即使不在負責業務的團隊中也能查看與編輯)
+     * @param {string} opportunityId
+     * @param {string} username - 使用者名冊帳號
+     * @param {Object} user
+     */
+    async addOpportunityShare(opportunityId, username, user) {
+        const modifier = user.displayName || user.username || 'System';
+        const opportunity = await this._getVisibleOpportunity(opportunityId, user);
+
+        const target = String(username || '').trim();
+        if (!target) throw this._clientError('請指定要共享的使用者帳號');
+
+        const users = await this.systemReader.getUsers();
+        const targetUser = users.find(u => u.username.toLowerCase() === target.toLowerCase());
+        if (!targetUser) throw this._clientError(`找不到使用者: ${target}`);
+
+        const shares = await this.opportunityShareReader.getShares();
+        if (shares.some(share => share.opportunityId === opportunityId && share.sharedWith.toLowerCase() === targetUser.username.toLowerCase())) {
+            throw this._clientError(`此機會已共享給 ${targetUser.displayName || targetUser.username}`);
+        }
+
+        const result = await this.opportunityShareWriter.createShare(opportunityId, targetUser.username, modifier);
+        await this._publish(EVENTS.OPPORTUNITY_SHARED, {
+            opportunityId,
+            opportunityName: opportunity.opportunityName,
+            username: targetUser.username,
+            displayName: targetUser.displayName || targetUser.username
+        }, user, modifier);
+        return result;
+    }
+
+    /**
+     * 移除機會的共享對象
+     * @param {string} opportunityId
+     * @param {string} shareId
+     * @param {Object} user
+     */
+    async removeOpportunityShare(opportunityId, shareId, user) {
+        const modifier = user.displayName || user.username || 'System';
+        await this._getVisibleOpportunity(opportunityId, user);
+
+        const shares = await this.opportunityShareReader.getShares();
+        const share = shares.find(s => s.shareId === shareId && s.opportunityId === opportunityId);
+        if (!share) {
+            throw this._clientError(`找不到共享設定 (ID: ${shareId})`, 404);
+        }
+
+        const result = await this.opportunityShareWriter.deleteShare(share.rowIndex);
+        await this._publish(EVENTS.OPPORTUNITY_UNSHARED, { opportunityId, username: share.sharedWith }, user, modifier);
         return result;
     }
 }
@@ -0,0 +1,114 @@
+/**
+ * services/permission-service.js
+ * 權限檢查服務 (Role-Based Access Control)
+ * * @version 1.2.0
+ * @date 2026-10-19
+ * @description 依使用者角色判斷是否具備「資源:動作」權限 (例如 opportunity:delete、product:viewCost)。
+ * 角色權限預設值來自 config.PERMISSIONS.ROLE_PERMISSIONS，AUTH 試算表「角色權限」工作表中列出的角色以工作表為準。
+ * 以個人 API 金鑰驗證的請求 (req.user.scopes) 另須符合金鑰範圍：有效權限為「角色權限 ∩ 金鑰範圍」。
+ * 權限不足時由 middleware/role.middleware.js 回傳 403 並寫入變更紀錄 (access / deny)；
+ * 此服務不依賴 AuditService，讓 AuditService 能反過來以權限過濾變更紀錄的讀取。
+ * 依賴注入：SystemReader, Config
+ */
+
+class PermissionService {
+    /**
+     * @param {Object} dependencies
+     * @param {SystemReader} dependencies.systemReader
+     * @param {Object} dependencies.config
+     */
+    constructor({ systemReader, config }) {
+        this.systemReader = systemReader;
+        this.config = config;
+    }
+
+    /**
+     * 取得使用者的角色代碼 (未填時套用預設角色)
+     * @param {Object} user - req.user / JWT payload
+     * @returns {string}
+     */
+    resolveRole(user) {
+        const role = user && user.role ? String(user.role).trim().toLowerCase() : '';
+        return role || this.config.PERMISSIONS.DEFAULT_ROLE;
+    }
+
+    /**
+     * 取得角色 → 權限規則表 (config 預設值 + 工作表覆寫)
+     * @returns {Promise<Object<string, Array<string>>>}
+     */
+    async getRolePermissions() {
+        const rolePermissions = {};
+        Object.entries(this.config.PERMISSIONS.ROLE_PERMISSIONS).forEach(([role, permissions]) => {
+            rolePermissions[role] = [...permissions];
+        });
+
+        const overrides = await this.systemReader.getRolePermissions();
+        const overriddenRoles = new Set();
+        overrides.forEach(({ role, permissions }) => {
+            // 同一角色可分多列填寫，第一次出現時取代預設值
+            if (!overriddenRoles.has(role)) {
+                rolePermissions[role] = [];
+                overriddenRoles.add(role);
+            }
+            rolePermissions[role].push(...permissions);
+        });
+
+        return rolePermissions;
+    }
+
+    /**
+     * 檢查使用者是否具備指定權限
+     * @param {Object} user
+     * @param {string} permission - 例如 'opportunity:delete'
+     * @returns {Promise<boolean>}
+     */
+    async hasPermission(user, permission) {
+        if (!user) return false;
+
+        const rolePermissions = await this.getRolePermissions();
+        const rules = rolePermissions[this.resolveRole(user)];
+        if (!rules) {
+            console.warn(`[PermissionService] 未定義的角色: ${user.role} (使用者 ${user.username})，拒絕存取`);
+            return false;
+        }
+        return rules.some(rule => this.matches(rule, permission)) && this._withinScopes(user, permission);
+    }
+
+    /**
+     * 取得使用者擁有的權限清單 (展開萬用字元，供前端判斷顯示)
+     * @param {Object} user
+     * @returns {Promise<Array<string>>}
+     */
+    async getUserPermissions(user) {
+        const rolePermissions = await this.getRolePermissions();
+        const rules = rolePermissions[this.resolveRole(user)] || [];
+        const catalog = Object.keys(this.config.PERMISSIONS.CATALOG);
+
+        // 工作表中可能有 CATALOG 以外的自訂權限，一併保留
+        const extra = rules.filter(rule => !rule.includes('*') && !catalog.includes(rule));
+        return [...catalog.filter(permission => rules.some(rule => this.matches(rule, permission))), ...extra]
+            .filter(permission => this._withinScopes(user, permission));
+    }
+
+    /**
+     * 權限規則是否涵蓋指定權限 ('*'、'資源:*' 或完全相同)
+     * @param {string} rule
+     * @param {string} permission
+     * @returns {boolean}
+     */
+    matches(rule, permission) {
+        if (rule === '*' || rule === permission) return true;
+        if (rule.endsWith(':*')) return permission.startsWith(rule.slice(0, -1));
+        return false;
+    }
+
+    // --- 內部輔助函式 ---
+
+    // 一般登入沒有 scopes，不受限制
+    _withinScopes(user, permission) {
+        if (!user || !Array.isArray(user.scopes)) return true;
+        return user.scopes.some(scope => this.matches(scope, permission));
+    }
+}
+
+module.exports = PermissionService;
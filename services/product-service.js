@@ -1,32 +1,74 @@
 /**
  * services/product-service.js
  * 商品管理服務
- * * @version 5.2.1 (Phase 4 Optimization)
- * @date 2026-01-13
+ * * @version 5.4.0 (Field Masking)
+ * @date 2026-10-19
  * @author Gemini (System Architect)
  * @description 負責市場商品資料的查詢、建立與維護。
  * 優化：實作 batchUpdate 的 Dirty Checking (差異更新) 與 Rate Limiting (速率限制) 以解決 429 錯誤。
+ * 變更紀錄：建立與批次更新 (僅實際寫入者) 經 AuditService 記錄欄位差異。
+ * 機敏欄位：查詢時依使用者權限移除看不到的價格欄位；批次更新修改機敏欄位需具備 product:writePricing
+ * (規則見 config.PRODUCT_ACCESS)。
  */
 
+const config = require('../config');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+
 class ProductService {
     /**
      * @param {ProductReader} productReader
      * @param {ProductWriter} productWriter
      * @param {SystemReader} systemReader - 用於讀取分類排序設定
      * @param {SystemWriter} systemWriter - 用於寫入分類排序設定
+     * @param {AuditService} [auditService] - 變更紀錄
+     * @param {PermissionService} [permissionService] - 機敏欄位的檢視/修改權限
      */
-    constructor(productReader, productWriter, systemReader, systemWriter) {
+    constructor(productReader, productWriter, systemReader, systemWriter, auditService = null, permissionService = null) {
         this.productReader = productReader;
         this.productWriter = productWriter;
         this.systemReader = systemReader;
         this.systemWriter = systemWriter;
+        this.auditService = auditService;
+        this.permissionService = permissionService;
+    }
+
+    /**
+     * 取得使用者對機敏欄位的存取範圍
+     * @param {Object} user - req.user
+     * @returns {Promise<{maskedFields: Array<string>, readOnlyFields: Array<string>}>}
+     * maskedFields：回應中移除的欄位；readOnlyFields：可檢視但不可修改的機敏欄位
+     */
+    async getFieldAccess(user) {
+        const { SENSITIVE_FIELDS, VIEW_PERMISSIONS, PRICING_WRITE_PERMISSION } = config.PRODUCT_ACCESS;
+        if (!this.permissionService) return { maskedFields: [], readOnlyFields: [] };
+
+        const maskedFields = [];
+        for (const [field, permission] of Object.entries(VIEW_PERMISSIONS)) {
+            if (!(await this.permissionService.hasPermission(user, permission))) maskedFields.push(field);
+        }
+
+        const canWritePricing = await this.permissionService.hasPermission(user, PRICING_WRITE_PERMISSION);
+        const readOnlyFields = canWritePricing ? [] : SENSITIVE_FIELDS.filter(field => !maskedFields.includes(field));
+
+        return { maskedFields, readOnlyFields };
+    }
+
+    /**
+     * 依欄位存取範圍移除看不到的欄位 (回傳新物件)
+     */
+    _maskProduct(product, maskedFields) {
+        if (!product || !maskedFields.length) return product;
+        const masked = { ...product };
+        maskedFields.forEach(field => { delete masked[field]; });
+        return masked;
     }
 
     /**
      * 取得所有商品列表
      * @param {Object} filters - 選填篩選條件 { category, status, search }
+     * @param {Object} [user] - 提供時依權限移除機敏欄位；內部呼叫 (未提供) 回傳完整資料
      */
-    async getAllProducts(filters = {}) {
+    async getAllProducts(filters = {}, user = null) {
         try {
             let products = await this.productReader.getAllProducts();
 
@@ -45,6 +87,11 @@ class ProductService {
                 );
             }
 
+            if (user) {
+                const { maskedFields } = await this.getFieldAccess(user);
+                products = products.map(p => this._maskProduct(p, maskedFields));
+            }
+
             return products;
         } catch (error) {
             console.error('[ProductService] getAllProducts Error:', error);
@@ -57,11 +104,16 @@ class ProductService {
     /**
      * 取得單一商品詳情
      * @param {string} productId 
+     * @param {Object} [user] - 提供時依權限移除機敏欄位
      */
-    async getProductById(productId) {
+    async getProductById(productId, user = null) {
         try {
             const products = await this.productReader.getAllProducts();
-            return products.find(p => p.id === productId) || null;
+            const product = products.find(p => p.id === productId) || null;
+            if (!product || !user) return product;
+
+            const { maskedFields } = await this.getFieldAccess(user);
+            return this._maskProduct(product, maskedFields);
         } catch (error) {
             console.error(`[ProductService] getProductById Error (${productId}):`, error);
             return null;
@@ -77,7 +129,11 @@ class ProductService {
         try {
             const modifier = user.displayName || user.username || 'System';
             // 資料清洗或驗證可在此執行
-            return await this.productWriter.createProduct(productData, modifier);
+            const result = await this.productWriter.createProduct(productData, modifier);
+            if (this.auditService && result.id) {
+                await this.auditService.recordCreate(AUDIT_ENTITIES.PRODUCT, result.id, productData, modifier);
+            }
+            return result;
         } catch (error) {
             console.error('[ProductService] createProduct Error:', error);
             throw error;
@@ -107,6 +163,9 @@ class ProductService {
         // 建立 Map 加速查找: ID -> Product Object
         const productMap = new Map(currentProducts.map(p => [p.id, p]));
 
+        // 機敏欄位檢查：整批驗證通過才開始寫入
+        await this._assertPricingWritable(products, productMap, user);
+
         // 2. 逐筆處理
         for (const item of products) {
             try {
@@ -119,6 +178,9 @@ class ProductService {
                         
                         await this.productWriter.updateProduct(existing.rowIndex, item, modifier);
                         stats.updated++;
+                        if (this.auditService) {
+                            await this.auditService.recordUpdate(AUDIT_ENTITIES.PRODUCT, existing.id, existing, item, modifier);
+                        }
                         
                         // ★★★ Rate Limiting 保護 ★★★
                         // 每寫入一筆，暫停 300ms，防止 Google API 429 錯誤
@@ -131,8 +193,11 @@ class ProductService {
                 } else {
                     // 新增模式
                     console.log(`➕ [New] 新增商品: ${item.id}`);
-                    await this.productWriter.createProduct(item, modifier);
+                    const created = await this.productWriter.createProduct(item, modifier);
                     stats.appended++;
+                    if (this.auditService) {
+                        await this.auditService.recordCreate(AUDIT_ENTITIES.PRODUCT, created.id || item.id, item, modifier);
+                    }
                     
                     // 新增操作通常較慢，給予較長的緩衝
                     await this._delay(500);
@@ -151,6 +216,35 @@ class ProductService {
         return stats;
     }
 
+    /**
+     * 【內部輔助】未具備 product:writePricing 時，拒絕修改任何機敏欄位
+     * 未傳入的欄位 (undefined) 不視為修改 (ProductWriter 也不會寫入)；新商品填入任何機敏欄位即視為修改
+     * @throws {Error} statusCode 403, code PERMISSION_DENIED
+     */
+    async _assertPricingWritable(products, productMap, user) {
+        const { SENSITIVE_FIELDS, PRICING_WRITE_PERMISSION } = config.PRODUCT_ACCESS;
+        if (!this.permissionService || await this.permissionService.hasPermission(user, PRICING_WRITE_PERMISSION)) return;
+
+        const normalize = (v) => (v === undefined || v === null ? '' : String(v).trim());
+        const violations = [];
+
+        products.forEach(item => {
+            const existing = productMap.get(item.id) || {};
+            const touched = SENSITIVE_FIELDS.filter(field =>
+                item[field] !== undefined && normalize(item[field]) !== normalize(existing[field])
+            );
+            if (touched.length) violations.push(`${item.id} (${touched.join(', ')})`);
+        });
+
+        if (violations.length) {
+            const error = new Error(`無權限修改商品成本/價格欄位: ${violations.join('; ')}`);
+            error.statusCode = 403;
+            error.code = 'PERMISSION_DENIED';
+            error.permission = PRICING_WRITE_PERMISSION;
+            throw error;
+        }
+    }
+
     /**
      * 【內部輔助】比對兩筆商品資料是否有實質差異
      * @param {Object} existing - 現有資料 (來自 Reader)
@@ -167,6 +261,9 @@ class ProductService {
         ];
 
         for (const field of fieldsToCheck) {
+            // 未傳入的欄位不會被寫入 (見 ProductWriter.updateProduct)，不列入比對
+            if (incoming[field] === undefined) continue;
+
             let val1 = existing[field];
             let val2 = incoming[field];
 
@@ -0,0 +1,177 @@
+/**
+ * services/record-visibility-service.js
+ * 資料列層級可見範圍服務 (Record-Level Visibility)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 依機會的「負責業務」與使用者名冊的主管階層，決定使用者看得到哪些機會案件與互動紀錄。
+ * - 具 record:viewAll 權限者 (預設僅 admin) 不受限制；viewer 與業務相同，只看自己團隊範圍內的資料。
+ * - 其他使用者：自己與下屬 (直屬及間接，使用者名冊「主管」欄) 負責的機會，加上「機會共享表」中共享給這些人的機會。
+ * - 負責業務以帳號或顯示名稱比對 (不分大小寫)。
+ * - 互動紀錄：關聯到可見機會、由範圍內成員記錄，或只關聯公司者可見 (公司目前沒有擁有者欄位，不做限制)。
+ * 未傳入使用者或使用者沒有帳號時視為看不到任何機會 (fail closed)；
+ * 系統內部流程 (背景排程、名片升級的代理操作) 須以 RecordVisibilityService.asSystem() 明確取得不受限制的身分。
+ * 看不到的單筆資料一律回 404，不透露其存在。
+ * 依賴注入：SystemReader, PermissionService, OpportunityShareReader
+ */
+
+const VIEW_ALL_PERMISSION = 'record:viewAll';
+
+// 系統身分標記：Symbol 無法經 JWT / 請求內容帶入，只有呼叫 asSystem() 的程式碼能取得
+const SYSTEM_ACCESS = Symbol('recordVisibility.systemAccess');
+
+const normalize = (value) => (value === undefined || value === null) ? '' : String(value).trim().toLowerCase();
+
+class RecordVisibilityService {
+    /**
+     * @param {Object} dependencies
+     * @param {SystemReader} dependencies.systemReader - 使用者名冊 (團隊階層)
+     * @param {PermissionService} dependencies.permissionService
+     * @param {OpportunityShareReader} dependencies.opportunityShareReader
+     */
+    constructor({ systemReader, permissionService, opportunityShareReader }) {
+        this.systemReader = systemReader;
+        this.permissionService = permissionService;
+        this.opportunityShareReader = opportunityShareReader;
+    }
+
+    /**
+     * 將操作者標記為系統身分，供內部流程明確取得不受限制的可見範圍
+     * @param {Object} [actor] - 保留的操作者資訊 (例如 displayName，供修改者 / 稽核記錄)
+     * @returns {Object}
+     */
+    static asSystem(actor = {}) {
+        return { ...actor, [SYSTEM_ACCESS]: true };
+    }
+
+    /**
+     * 取得使用者的可見範圍 (同一請求內請重複使用，避免重讀名冊)
+     * @param {Object} [user] - req.user 或 asSystem() 的結果；未提供或沒有 username 時回傳空範圍
+     * @returns {Promise<{unrestricted: boolean, usernames?: Set<string>, identities?: Set<string>, sharedOpportunityIds?: Set<string>}>}
+     */
+    async getScope(user) {
+        if (user && user[SYSTEM_ACCESS]) return { unrestricted: true };
+        if (!user || !user.username) {
+            return { unrestricted: false, usernames: new Set(), identities: new Set(), sharedOpportunityIds: new Set() };
+        }
+        if (await this.permissionService.hasPermission(user, VIEW_ALL_PERMISSION)) {
+            return { unrestricted: true };
+        }
+
+        const [users, shares] = await Promise.all([
+            this.systemReader.getUsers(),
+            this.opportunityShareReader.getShares()
+        ]);
+
+        const team = this._getTeam(user, users);
+        const usernames = new Set(team.map(member => normalize(member.username)));
+        const identities = new Set();
+        team.forEach(member => {
+            [member.username, member.displayName].forEach(value => {
+                if (normalize(value)) identities.add(normalize(value));
+            });
+        });
+
+        const sharedOpportunityIds = new Set(
+            shares.filter(share => usernames.has(normalize(share.sharedWith))).map(share => share.opportunityId)
+        );
+
+        return { unrestricted: false, usernames, identities, sharedOpportunityIds };
+    }
+
+    /**
+     * @param {Object} scope - getScope 的結果
+     * @param {Object} opportunity
+     * @returns {boolean}
+     */
+    canViewOpportunity(scope, opportunity) {
+        if (scope.unrestricted) return true;
+        if (!opportunity) return false;
+        return scope.identities.has(normalize(opportunity.assignee)) ||
+            scope.sharedOpportunityIds.has(opportunity.opportunityId);
+    }
+
+    /**
+     * @param {Object} scope - getScope 的結果
+     * @param {Object} interaction
+     * @param {Set<string>} visibleOpportunityIds - 此範圍內可見的機會 ID
+     * @returns {boolean}
+     */
+    canViewInteraction(scope, interaction, visibleOpportunityIds) {
+        if (scope.unrestricted) return true;
+        if (!interaction) return false;
+        if (scope.identities.has(normalize(interaction.recorder))) return true;
+        if (!interaction.opportunityId) return true;
+        return visibleOpportunityIds.has(interaction.opportunityId);
+    }
+
+    /**
+     * 篩選使用者可見的機會 (不受限制時回傳原陣列)
+     * @param {Object} user
+     * @param {Array<Object>} opportunities
+     * @returns {Promise<Array<Object>>}
+     */
+    async filterOpportunities(user, opportunities) {
+        const scope = await this.getScope(user);
+        if (scope.unrestricted) return opportunities;
+        return opportunities.filter(opp => this.canViewOpportunity(scope, opp));
+    }
+
+    /**
+     * 篩選使用者可見的互動紀錄
+     * @param {Object} user
+     * @param {Array<Object>} interactions
+     * @param {Array<Object>} opportunities - 全部機會 (用來判斷互動所屬機會是否可見)
+     * @returns {Promise<Array<Object>>}
+     */
+    async filterInteractions(user, interactions, opportunities) {
+        const scope = await this.getScope(user);
+        if (scope.unrestricted) return interactions;
+
+        const visibleOpportunityIds = new Set(
+            opportunities.filter(opp => this.canViewOpportunity(scope, opp)).map(opp => opp.opportunityId)
+        );
+        return interactions.filter(interaction => this.canViewInteraction(scope, interaction, visibleOpportunityIds));
+    }
+
+    /**
+     * 建立「查無資料」錯誤 (404)，用於看不到的單筆資料
+     * @param {string} message
+     */
+    notFound(message) {
+        const error = new Error(message);
+        error.statusCode = 404;
+        return error;
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 以主管欄位展開團隊 (含自己)，名冊中的循環參照只處理一次
+     */
+    _getTeam(user, users) {
+        const selfKey = normalize(user.username);
+        const self = users.find(u => normalize(u.username) === selfKey);
+        const team = [{
+            username: user.username,
+            displayName: (self && self.displayName) || user.displayName || user.name || ''
+        }];
+
+        const visited = new Set([selfKey]);
+        const queue = [selfKey];
+        while (queue.length) {
+            const managerKey = queue.shift();
+            users.forEach(member => {
+                const memberKey = normalize(member.username);
+                if (normalize(member.manager) !== managerKey || visited.has(memberKey)) return;
+                visited.add(memberKey);
+                queue.push(memberKey);
+                team.push(member);
+            });
+        }
+        return team;
+    }
+}
+
+RecordVisibilityService.VIEW_ALL_PERMISSION = VIEW_ALL_PERMISSION;
+
+module.exports = RecordVisibilityService;
@@ -1,37 +1,58 @@
 /**
  * services/sales-analysis-service.js
  * 銷售分析服務
- * * @version 5.0.1 (Phase 5 Refactoring - Response Shape Fix)
- * @date 2026-01-27
+ * * @version 5.3.1 (Record Visibility)
+ * @date 2026-10-19
  * @description 負責處理成交金額、銷售渠道分析與產品組合統計。
- * 依賴注入：OpportunityReader, SystemReader, Config
+ * 成交判定依系統設定「機會階段」中類型為 won 的階段，不再寫死階段名稱。
+ * 銷售預測依「預計結案日」落點，彙整承諾 (committed)、最佳情況 (best case) 與機率加權金額，並提供季度比較。
+ * 傳入 user 時僅統計該使用者可見範圍 (自己 / 團隊 / 共享) 內的機會。
+ * 依賴注入：OpportunityReader, SystemReader, Config, RecordVisibilityService
  */
 
+const { STAGE_TYPES, getStages, getStageValuesByType, parsePercent } = require('../utils/pipeline-stages');
+
+const FORECAST_CATEGORIES = Object.freeze({
+    WON: 'won',
+    COMMIT: 'commit',
+    PIPELINE: 'pipeline'
+});
+
 class SalesAnalysisService {
     /**
      * @param {OpportunityReader} opportunityReader
      * @param {SystemReader} systemReader
      * @param {Object} config - 系統設定
+     * @param {RecordVisibilityService} [recordVisibilityService] - 依負責業務 / 團隊限制可見範圍
      */
-    constructor(opportunityReader, systemReader, config) {
+    constructor(opportunityReader, systemReader, config, recordVisibilityService = null) {
         this.opportunityReader = opportunityReader;
         this.systemReader = systemReader;
         this.config = config;
-        
-        // --- !!! 重要設定 !!! ---
-        this.WON_STAGE_VALUE = '受注'; 
+        this.recordVisibilityService = recordVisibilityService;
+    }
+
+    /**
+     * 取得使用者可見的機會 (未傳入 user 時為空)
+     * @param {Object} [user]
+     */
+    async _getOpportunities(user) {
+        const opportunities = await this.opportunityReader.getOpportunities();
+        if (!this.recordVisibilityService) return opportunities;
+        return this.recordVisibilityService.filterOpportunities(user, opportunities);
     }
 
     /**
      * 獲取指定時間範圍內的成交分析數據
      * @param {string} startDateISO - 開始日期 (ISO 格式字串)
      * @param {string} endDateISO - 結束日期 (ISO 格式字串)
+     * @param {Object} [user] - 傳入時只分析可見範圍內的機會
      * @returns {Promise<object>} - 包含分析結果的物件
      */
-    async getSalesAnalysisData(startDateISO, endDateISO) {
+    async getSalesAnalysisData(startDateISO, endDateISO, user = null) {
         console.log(`📈 [SalesAnalysisService] 計算成交分析資料...`);
 
-        const allOpportunities = await this.opportunityReader.getOpportunities();
+        const allOpportunities = await this._getOpportunities(user);
         const systemConfig = await this.systemReader.getSystemConfig();
 
         // 1. 準備設定資料傳給前端
@@ -46,10 +67,11 @@ class SalesAnalysisService {
         const start = startDateISO ? new Date(startDateISO) : new Date(0); // 預設很久以前
         const end = endDateISO ? new Date(endDateISO) : new Date(); // 預設現在
 
-        // 2. 篩選「受注」且「在時間範圍內」的案件
+        // 2. 篩選「贏單階段」且「在時間範圍內」的案件
+        const wonStages = new Set(getStageValuesByType(systemConfig, STAGE_TYPES.WON));
         const wonDeals = allOpportunities.filter(opp => {
-            // 階段必須是受注
-            if (opp.currentStage !== this.WON_STAGE_VALUE) return false;
+            // 階段必須是 won 類型
+            if (!wonStages.has(opp.currentStage)) return false;
             
             // 判斷日期 (使用預計結案日或最後更新日)
             const dateStr = opp.expectedCloseDate || opp.lastUpdateTime;
@@ -60,18 +82,10 @@ class SalesAnalysisService {
         });
 
         // 3. 資料正規化 (處理金額)
-        const processedDeals = wonDeals.map(deal => {
-            let value = 0;
-            // 嘗試解析金額，移除逗號等符號
-            if (deal.opportunityValue) {
-                value = parseFloat(String(deal.opportunityValue).replace(/,/g, '')) || 0;
-            }
-            
-            return {
-                ...deal,
-                numericValue: value
-            };
-        });
+        const processedDeals = wonDeals.map(deal => ({
+            ...deal,
+            numericValue: this._parseAmount(deal.opportunityValue)
+        }));
 
         // 4. 進行各項維度分析
         return {
@@ -96,8 +110,237 @@ class SalesAnalysisService {
         };
     }
 
+    /**
+     * 取得加權銷售預測
+     * 依「預計結案日」篩選期間內的案件 (排除 lost 階段、已取消/已封存)：
+     * - committed：已贏單 + 下單機率 >= config.FORECAST.COMMIT_PROBABILITY 的進行中案件 (全額)
+     * - bestCase：已贏單 + 所有進行中案件 (全額)
+     * - weighted：已贏單 (全額) + 進行中案件 × 下單機率
+     * 下單機率來源：機會的「下單機率」(可解析為數字，或對應系統設定「下單機率」的 value2/備註) -> 階段預設贏單機率 -> 0
+     * @param {Object} [params]
+     * @param {string} [params.from] - 開始日期 (YYYY-MM-DD)，預設本季第一天
+     * @param {string} [params.to] - 結束日期 (YYYY-MM-DD)，預設本季最後一天
+     * @param {string} [params.groupBy='month'] - assignee | month | type
+     * @param {Object} [user] - 傳入時只預測可見範圍內的機會
+     * @returns {Promise<object>}
+     */
+    async getForecastData({ from, to, groupBy = 'month' } = {}, user = null) {
+        const allowedGroups = (this.config.FORECAST && this.config.FORECAST.GROUP_BY) || ['assignee', 'month', 'type'];
+        if (!allowedGroups.includes(groupBy)) {
+            throw this._badRequest(`不支援的 groupBy: ${groupBy} (可用: ${allowedGroups.join(', ')})`);
+        }
+
+        const currentQuarter = this._getQuarterRange(new Date());
+        const start = from ? this._parseDateParam(from, 'from') : currentQuarter.start;
+        const end = to ? this._parseDateParam(to, 'to', true) : currentQuarter.end;
+        if (start > end) throw this._badRequest('from 不能晚於 to');
+
+        const [allOpportunities, systemConfig] = await Promise.all([
+            this._getOpportunities(user),
+            this.systemReader.getSystemConfig()
+        ]);
+
+        const { deals, excluded } = this._buildForecastDeals(allOpportunities, systemConfig);
+        const inRange = deals.filter(d => d.closeDate >= start && d.closeDate <= end);
+
+        // 分組
+        const typeLabels = new Map((systemConfig['機會種類'] || []).map(item => [item.value, item.note || item.value]));
+        const groupMap = new Map();
+        inRange.forEach(deal => {
+            const { key, label } = this._getForecastGroup(deal, groupBy, typeLabels);
+            if (!groupMap.has(key)) groupMap.set(key, { key, label, deals: [] });
+            groupMap.get(key).deals.push(deal);
+        });
+
+        const groups = Array.from(groupMap.values())
+            .map(group => ({ key: group.key, label: group.label, ...this._summarizeForecast(group.deals) }))
+            .sort((a, b) => groupBy === 'month' ? a.key.localeCompare(b.key) : b.weighted - a.weighted);
+
+        return {
+            range: { from: this._toDateString(start), to: this._toDateString(end) },
+            groupBy,
+            commitProbability: this._getCommitProbability(),
+            totals: this._summarizeForecast(inRange),
+            groups,
+            quarters: this._buildQuarterComparison(deals, start, end),
+            excluded,
+            deals: inRange
+                .sort((a, b) => a.closeDate - b.closeDate)
+                .map(({ closeDate, ...deal }) => deal)
+        };
+    }
+
     // --- 內部輔助分析函式 ---
 
+    _badRequest(message) {
+        const error = new Error(message);
+        error.statusCode = 400;
+        return error;
+    }
+
+    _parseAmount(value) {
+        if (!value) return 0;
+        // 嘗試解析金額，移除逗號等符號
+        return parseFloat(String(value).replace(/,/g, '')) || 0;
+    }
+
+    _parseDateParam(value, name, endOfDay = false) {
+        const date = new Date(`${value}T00:00:00`);
+        if (isNaN(date.getTime())) throw this._badRequest(`${name} 日期格式錯誤，請使用 YYYY-MM-DD`);
+        if (endOfDay) date.setHours(23, 59, 59, 999);
+        return date;
+    }
+
+    _toDateString(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    _getQuarterRange(date) {
+        const quarterIndex = Math.floor(date.getMonth() / 3);
+        const start = new Date(date.getFullYear(), quarterIndex * 3, 1);
+        const end = new Date(date.getFullYear(), quarterIndex * 3 + 3, 0, 23, 59, 59, 999);
+        return { key: `${date.getFullYear()}-Q${quarterIndex + 1}`, start, end };
+    }
+
+    _getCommitProbability() {
+        return (this.config.FORECAST && this.config.FORECAST.COMMIT_PROBABILITY) || 80;
+    }
+
+    /**
+     * 將機會正規化為預測用案件 (含金額、機率與分類)
+     * @returns {{deals: Array<Object>, excluded: {noCloseDate: number, lost: number, inactive: number}}}
+     */
+    _buildForecastDeals(opportunities, systemConfig) {
+        const STATUS = this.config.CONSTANTS.OPPORTUNITY_STATUS;
+        const stageMap = new Map(getStages(systemConfig).map(stage => [stage.value, stage]));
+        const probabilityItems = systemConfig['下單機率'] || [];
+        const commitProbability = this._getCommitProbability();
+        const excluded = { noCloseDate: 0, lost: 0, inactive: 0 };
+        const deals = [];
+
+        opportunities.forEach(opp => {
+            if (opp.currentStatus === STATUS.CANCELLED || opp.currentStatus === STATUS.ARCHIVED) {
+                excluded.inactive++;
+                return;
+            }
+
+            const stage = stageMap.get(opp.currentStage);
+            const stageType = stage ? stage.stageType : STAGE_TYPES.OPEN;
+            if (stageType === STAGE_TYPES.LOST) {
+                excluded.lost++;
+                return;
+            }
+
+            const closeDate = opp.expectedCloseDate ? new Date(opp.expectedCloseDate) : null;
+            if (!closeDate || isNaN(closeDate.getTime())) {
+                excluded.noCloseDate++;
+                return;
+            }
+
+            const value = this._parseAmount(opp.opportunityValue);
+            const probability = stageType === STAGE_TYPES.WON
+                ? 100
+                : this._resolveProbability(opp.orderProbability, probabilityItems, stage);
+
+            let category = FORECAST_CATEGORIES.PIPELINE;
+            if (stageType === STAGE_TYPES.WON) category = FORECAST_CATEGORIES.WON;
+            else if (probability >= commitProbability) category = FORECAST_CATEGORIES.COMMIT;
+
+            deals.push({
+                opportunityId: opp.opportunityId,
+                opportunityName: opp.opportunityName,
+                customerCompany: opp.customerCompany,
+                assignee: opp.assignee,
+                opportunityType: opp.opportunityType,
+                currentStage: opp.currentStage,
+                expectedCloseDate: opp.expectedCloseDate,
+                value,
+                probability,
+                weightedValue: value * probability / 100,
+                category,
+                closeDate
+            });
+        });
+
+        return { deals, excluded };
+    }
+
+    _resolveProbability(orderProbability, probabilityItems, stage) {
+        const direct = parsePercent(orderProbability);
+        if (direct !== null) return direct;
+
+        const item = orderProbability
+            ? probabilityItems.find(i => i.value === orderProbability || i.note === orderProbability)
+            : null;
+        if (item) {
+            const fromConfig = parsePercent(item.value2) ?? parsePercent(item.note);
+            if (fromConfig !== null) return fromConfig;
+        }
+
+        return stage && stage.winProbability !== null && stage.winProbability !== undefined ? stage.winProbability : 0;
+    }
+
+    _summarizeForecast(deals) {
+        const summary = { committed: 0, bestCase: 0, weighted: 0, closedWon: 0, dealCount: deals.length };
+        deals.forEach(deal => {
+            summary.bestCase += deal.value;
+            summary.weighted += deal.weightedValue;
+            if (deal.category !== FORECAST_CATEGORIES.PIPELINE) summary.committed += deal.value;
+            if (deal.category === FORECAST_CATEGORIES.WON) summary.closedWon += deal.value;
+        });
+        summary.weighted = Math.round(summary.weighted);
+        return summary;
+    }
+
+    /**
+     * 季度比較：涵蓋期間的每一季 + 前一季，各季與前一季比較的變化率 (%)
+     */
+    _buildQuarterComparison(deals, start, end) {
+        const quarters = [];
+        let cursor = this._getQuarterRange(new Date(start.getFullYear(), start.getMonth() - 3, 1));
+        while (cursor.start <= end) {
+            quarters.push(cursor);
+            cursor = this._getQuarterRange(new Date(cursor.end.getTime() + 1));
+        }
+
+        const changeOf = (current, previous) => (previous ? Math.round((current - previous) / previous * 1000) / 10 : null);
+        const summaries = quarters.map(quarter =>
+            this._summarizeForecast(deals.filter(d => d.closeDate >= quarter.start && d.closeDate <= quarter.end))
+        );
+
+        return quarters.map((quarter, index) => {
+            const summary = summaries[index];
+            const previous = index > 0 ? summaries[index - 1] : null;
+
+            return {
+                quarter: quarter.key,
+                from: this._toDateString(quarter.start),
+                to: this._toDateString(quarter.end),
+                isComparisonBase: index === 0,
+                ...summary,
+                change: previous ? {
+                    committed: changeOf(summary.committed, previous.committed),
+                    bestCase: changeOf(summary.bestCase, previous.bestCase),
+                    weighted: changeOf(summary.weighted, previous.weighted)
+                } : null
+            };
+        });
+    }
+
+    _getForecastGroup(deal, groupBy, typeLabels) {
+        if (groupBy === 'assignee') {
+            const key = deal.assignee || '未指派';
+            return { key, label: key };
+        }
+        if (groupBy === 'type') {
+            const key = deal.opportunityType || '未分類';
+            return { key, label: typeLabels.get(key) || key };
+        }
+        const key = this._toDateString(deal.closeDate).slice(0, 7);
+        return { key, label: key };
+    }
+
     _analyzeByDimension(deals, fieldKey, colorMap = {}) {
         const stats = {};
         deals.forEach(deal => {
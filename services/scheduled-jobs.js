@@ -0,0 +1,134 @@
+/**
+ * services/scheduled-jobs.js
+ * 背景排程工作定義 (Scheduled Jobs)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 原本只在有人開啟頁面時才發生的週期性工作，改由 JobSchedulerService 依排程執行：
+ * - cache.warm：預先載入機會、互動、公司、聯絡人與系統設定，讓第一位開啟儀表板的使用者不必等待。
+ * - followUp.detect：找出超過 FOLLOW_UP.DAYS_THRESHOLD 天未互動、或已過預計結案日的進行中機會，
+ *   通知負責業務並送出即時外送 (FollowUpReminderService)。
+ * - notification.digest：每天早上以 LINE / Email 送出每日摘要，週一另送每週摘要 (NotificationService)。
+ * - weekly.summary：週一早上產生週間業務週次列表與本週詳情 (含日曆與假日)。
+ * - product.refreshCache：清除並重新載入商品與系統設定快取，反映直接在試算表上的修改。
+ * 排程時間為 config.TIMEZONE；處理函式回傳的摘要會寫入「排程工作」的上次執行結果。
+ * 依賴注入：OpportunityReader, InteractionReader, CompanyReader, SystemReader, ContactService,
+ *           WeeklyBusinessService, ProductService, FollowUpReminderService, NotificationService, DateHelpers
+ */
+
+class ScheduledJobs {
+    /**
+     * @param {Object} dependencies
+     * @param {OpportunityReader} dependencies.opportunityReader
+     * @param {InteractionReader} dependencies.interactionReader
+     * @param {CompanyReader} dependencies.companyReader
+     * @param {SystemReader} dependencies.systemReader
+     * @param {ContactService} dependencies.contactService
+     * @param {WeeklyBusinessService} dependencies.weeklyBusinessService
+     * @param {ProductService} dependencies.productService
+     * @param {FollowUpReminderService} dependencies.followUpReminderService
+     * @param {NotificationService} dependencies.notificationService
+     * @param {Object} dependencies.dateHelpers
+     */
+    constructor({
+        opportunityReader, interactionReader, companyReader, systemReader, contactService,
+        weeklyBusinessService, productService, followUpReminderService, notificationService, dateHelpers
+    }) {
+        this.opportunityReader = opportunityReader;
+        this.interactionReader = interactionReader;
+        this.companyReader = companyReader;
+        this.systemReader = systemReader;
+        this.contactService = contactService;
+        this.weeklyBusinessService = weeklyBusinessService;
+        this.productService = productService;
+        this.followUpReminderService = followUpReminderService;
+        this.notificationService = notificationService;
+        this.dateHelpers = dateHelpers;
+    }
+
+    /**
+     * 向排程服務定義所有工作
+     * @param {JobSchedulerService} scheduler
+     */
+    register(scheduler) {
+        scheduler.define({
+            id: 'cache.warm',
+            name: '預先載入常用資料',
+            description: '啟動時與每 10 分鐘載入機會、互動、公司、聯絡人與系統設定',
+            schedule: '*/10 * * * *',
+            runOnStart: true,
+            handler: () => this.warmCache()
+        });
+
+        scheduler.define({
+            id: 'followUp.detect',
+            name: '偵測待追蹤機會並通知',
+            description: '每小時找出久未互動或已過預計結案日的進行中機會，通知負責業務',
+            schedule: '5 * * * *',
+            handler: () => this.detectFollowUps()
+        });
+
+        scheduler.define({
+            id: 'notification.digest',
+            name: '寄送通知摘要',
+            description: '每天 08:00 以 LINE / Email 寄送每日摘要，週一另寄每週摘要',
+            schedule: '0 8 * * *',
+            handler: () => this.sendNotificationDigests()
+        });
+
+        scheduler.define({
+            id: 'weekly.summary',
+            name: '產生週間業務摘要',
+            description: '每週一 07:30 產生週次列表與本週詳情',
+            schedule: '30 7 * * 1',
+            handler: () => this.buildWeeklySummary()
+        });
+
+        scheduler.define({
+            id: 'product.refreshCache',
+            name: '重新載入商品資料',
+            description: '每天 06:00 清除並重新載入商品與系統設定快取',
+            schedule: '0 6 * * *',
+            handler: () => this.refreshProducts()
+        });
+    }
+
+    // --- 工作處理函式 ---
+
+    async warmCache() {
+        // 分兩批讀取，與 DashboardService 相同，避免瞬間觸發 Sheets API 429
+        const [opportunities, interactions] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.interactionReader.getInteractions()
+        ]);
+        const [companies, contacts] = await Promise.all([
+            this.companyReader.getCompanyList(),
+            this.contactService.getAllOfficialContacts(),
+            this.systemReader.getSystemConfig()
+        ]);
+        return `機會 ${opportunities.length}、互動 ${interactions.length}、公司 ${companies.length}、聯絡人 ${contacts.length}`;
+    }
+
+    async detectFollowUps() {
+        return this.followUpReminderService.detectAndNotify();
+    }
+
+    async sendNotificationDigests() {
+        return this.notificationService.sendScheduledDigests();
+    }
+
+    async buildWeeklySummary() {
+        const weekId = this.dateHelpers.getWeekId(new Date());
+        const [weeks, details] = await Promise.all([
+            this.weeklyBusinessService.getWeeklyBusinessSummaryList(),
+            this.weeklyBusinessService.getWeeklyDetails(weekId)
+        ]);
+        return `${weekId}：${(details?.entries || []).length} 筆紀錄，共 ${weeks.length} 週`;
+    }
+
+    async refreshProducts() {
+        await this.productService.refreshCache();
+        return '商品快取已重新載入';
+    }
+}
+
+module.exports = ScheduledJobs;
@@ -1,9 +1,34 @@
 /**
  * services/service-container.js
  * 服務容器 (IoC Container)
- * * @version 7.9.3 (Phase 7: Contact Reader Split RAW/CORE - ROOT FIX)
- * * @date 2026-02-04
+ * * @version 7.27.0 (Notifications)
+ * * @date 2026-10-19
  * * @description
+ * - Notifications: NotificationService 以 NotificationReader/Writer (AUTH「通知」「通知設定」「追蹤提醒延後」) 提供通知中心與 LINE / Email 外送，
+ *   FollowUpReminderService 由 followUp.detect 排程通知負責業務，兩者經 NotificationController 提供 /api/notifications。
+ * - Tasks: TaskService 以 TaskReader/Writer (CORE「任務」) 管理任務，經 TaskController 提供 /api/tasks；
+ *   DomainEventSubscribers 注入 TaskService，由互動紀錄的下次行動建立任務；OpportunityService 以其取得動態牆的已完成任務。
+ * - Jobs: JobSchedulerService 以 ScheduledJobReader/Writer (AUTH「排程工作」) 保存狀態與執行鎖，工作由 ScheduledJobs 定義，
+ *   app.js 在伺服器啟動後呼叫 start()，經 JobController 提供 /api/admin/jobs。
+ * - Stream: ChangeStreamService 以 '*' 訂閱 DomainEventBus，依讀取權限與機會可見範圍推送異動通知，經 StreamController 提供 /api/stream。
+ * - Webhooks: WebhookService 以 '*' 訂閱 DomainEventBus，依 AUTH「Webhook訂閱」推送簽章 JSON，經 WebhookController 提供 /api/admin/webhooks。
+ * - Events: DomainEventBus 注入 Opportunity / Company / EventLog / Weekly / Workflow / Event 服務，
+ *   系統日誌、日曆同步與會議連動由 DomainEventSubscribers 在所有服務建立後註冊。
+ * - Login: LoginThrottleService (記憶體) 依帳號 / IP 節流登入失敗，注入 AuthService。
+ * - API Tokens: ApiTokenService 以 ApiTokenReader/Writer (AUTH「API金鑰」) 管理個人 API 金鑰，verifyToken 據此驗證金鑰。
+ * - Sessions: AuthService 以 AuthSessionReader/Writer (AUTH「登入工作階段」) 管理 Refresh Token 輪替與登出撤銷。
+ * - Users: UserAdminService 管理使用者名冊 (角色、主管、停用、重設密碼)，經 UserAdminController 提供 /api/admin/users。
+ * - Visibility: RecordVisibilityService 依負責業務、使用者名冊主管階層與機會共享表決定可見範圍，
+ *   注入 Opportunity / Interaction / Company / Dashboard / SalesAnalysis / Funnel 服務。
+ * - Permission: PermissionService 依角色權限表 (config + AUTH「角色權限」工作表) 檢查權限，供 role.middleware
+ *   與 ProductService (商品機敏欄位遮罩) 使用。
+ * - Funnel: FunnelAnalysisService 以階段歷程與變更紀錄 (AuditService) 計算漏斗與階段停留天數。
+ * - Pipeline: WorkflowService 注入 SystemReader，結案/初始階段依「機會階段」類型決定。
+ * - Audit: AuditService 經 AuditLogRepository (DATA_SOURCES.AUDIT) 寫入欄位層級變更紀錄，注入各 Domain Service。
+ * - Repository: 依 config.DATA_SOURCES 建立各模組 Repository，Service 不再自行判斷 SQL/Sheet 來源。
+ *   Company / Opportunity / Interaction / EventLog 的寫入同樣經 Repository 路由 (以 ID 定位)。
+ * - LOCAL: DATA_SOURCES=LOCAL 時以本地檔案實作取代 Google Sheets / Calendar / Supabase，
+ *   所有 Reader/Writer 沿用原類別，僅替換底層 client，DTO 合約不變。
  * - Root Fix: Split ContactReader into RAW (IDS.RAW) and CORE (IDS.CORE).
  * - Prevent "Unable to parse range" for CORE sheets when using RAW spreadsheet.
  * - Phase 7: Contact writes -> SQL only (handled in ContactService via ContactSqlWriter).
@@ -14,6 +39,9 @@ const dateHelpers = require('../utils/date-helpers');
 
 // --- Import Infrastructure Services ---
 const GoogleClientService = require('./google-client-service');
+const { getLocalStore } = require('../data/local-store');
+const LocalSheetsClient = require('../data/local-sheets-client');
+const LocalCalendarClient = require('../data/local-calendar-client');
 
 // --- Import Readers ---
 const ContactReader = require('../data/contact-reader');
@@ -32,22 +60,55 @@ const WeeklyBusinessSqlReader = require('../data/weekly-business-sql-reader');
 const AnnouncementReader = require('../data/announcement-reader');
 const AnnouncementSqlReader = require('../data/announcement-sql-reader');
 const ProductReader = require('../data/product-reader');
+const AuditLogReader = require('../data/audit-log-reader');
+const AuditLogSqlReader = require('../data/audit-log-sql-reader');
+const OpportunityShareReader = require('../data/opportunity-share-reader');
+const AuthSessionReader = require('../data/auth-session-reader');
+const ApiTokenReader = require('../data/api-token-reader');
+const WebhookReader = require('../data/webhook-reader');
+const ScheduledJobReader = require('../data/scheduled-job-reader');
+const TaskReader = require('../data/task-reader');
+const NotificationReader = require('../data/notification-reader');
+
+// --- Import Repositories (DATA_SOURCES routing) ---
+const ContactRepository = require('../data/contact-repository');
+const CompanyRepository = require('../data/company-repository');
+const OpportunityRepository = require('../data/opportunity-repository');
+const InteractionRepository = require('../data/interaction-repository');
+const EventLogRepository = require('../data/event-log-repository');
+const WeeklyBusinessRepository = require('../data/weekly-business-repository');
+const AnnouncementRepository = require('../data/announcement-repository');
+const AuditLogRepository = require('../data/audit-log-repository');
 
 // --- Import Writers ---
 const ContactWriter = require('../data/contact-writer');
 const ContactSqlWriter = require('../data/contact-sql-writer');
 const CompanyWriter = require('../data/company-writer');
+const CompanySqlWriter = require('../data/company-sql-writer');
 const OpportunityWriter = require('../data/opportunity-writer');
+const OpportunitySqlWriter = require('../data/opportunity-sql-writer');
 const InteractionWriter = require('../data/interaction-writer');
+const InteractionSqlWriter = require('../data/interaction-sql-writer');
 const EventLogWriter = require('../data/event-log-writer');
+const EventLogSqlWriter = require('../data/event-log-sql-writer');
 const SystemWriter = require('../data/system-writer');
 const WeeklyBusinessWriter = require('../data/weekly-business-writer');
 const WeeklyBusinessSqlWriter = require('../data/weekly-business-sql-writer');
 const AnnouncementWriter = require('../data/announcement-writer');
 const ProductWriter = require('../data/product-writer');
+const AuditLogWriter = require('../data/audit-log-writer');
+const AuditLogSqlWriter = require('../data/audit-log-sql-writer');
+const OpportunityShareWriter = require('../data/opportunity-share-writer');
+const AuthSessionWriter = require('../data/auth-session-writer');
+const ApiTokenWriter = require('../data/api-token-writer');
+const WebhookWriter = require('../data/webhook-writer');
+const ScheduledJobWriter = require('../data/scheduled-job-writer');
+const TaskWriter = require('../data/task-writer');
+const NotificationWriter = require('../data/notification-writer');
 
 // --- Import Domain Services ---
 const AuthService = require('./auth-service');
+const LoginThrottleService = require('./login-throttle-service');
 const DashboardService = require('./dashboard-service');
 const OpportunityService = require('./opportunity-service');
 const ContactService = require('./contact-service');
@@ -56,12 +117,27 @@ const InteractionService = require('./interaction-service');
 const EventLogService = require('./event-log-service');
 const CalendarService = require('./calendar-service');
 const SalesAnalysisService = require('./sales-analysis-service');
+const FunnelAnalysisService = require('./funnel-analysis-service');
 const WeeklyBusinessService = require('./weekly-business-service');
 const WorkflowService = require('./workflow-service');
 const ProductService = require('./product-service');
 const AnnouncementService = require('./announcement-service');
 const EventService = require('./event-service');
 const SystemService = require('./system-service');
+const AuditService = require('./audit-service');
+const PermissionService = require('./permission-service');
+const RecordVisibilityService = require('./record-visibility-service');
+const UserAdminService = require('./user-admin-service');
+const ApiTokenService = require('./api-token-service');
+const TaskService = require('./task-service');
+const NotificationService = require('./notification-service');
+const FollowUpReminderService = require('./follow-up-reminder-service');
+const DomainEventBus = require('./domain-event-bus');
+const DomainEventSubscribers = require('./domain-event-subscribers');
+const WebhookService = require('./webhook-service');
+const JobSchedulerService = require('./job-scheduler-service');
+const ScheduledJobs = require('./scheduled-jobs');
+const ChangeStreamService = require('./change-stream-service');
 
 // --- Import Controllers ---
 const AuthController = require('../controllers/auth.controller');
@@ -73,20 +149,48 @@ const CompanyController = require('../controllers/company.controller');
 const InteractionController = require('../controllers/interaction.controller');
 const ProductController = require('../controllers/product.controller');
 const WeeklyController = require('../controllers/weekly.controller');
+const AuditController = require('../controllers/audit.controller');
+const UserAdminController = require('../controllers/user-admin.controller');
+const ApiTokenController = require('../controllers/api-token.controller');
+const WebhookController = require('../controllers/webhook.controller');
+const JobController = require('../controllers/job.controller');
+const TaskController = require('../controllers/task.controller');
+const NotificationController = require('../controllers/notification.controller');
+const StreamController = require('../controllers/stream.controller');
 
 let services = null;
 
+/**
+ * 建立底層 API clients
+ * LOCAL 模式下不連線 Google，Drive 不提供 (相關功能會回報錯誤)
+ */
+async function createInfrastructureClients(googleClientService) {
+    if (config.LOCAL_DATA.ENABLED) {
+        console.log(`💾 [System] DATA_SOURCES=LOCAL，使用本地資料源: ${config.LOCAL_DATA.DIR}`);
+        const store = getLocalStore();
+        return {
+            sheets: new LocalSheetsClient(store),
+            drive: null,
+            calendar: new LocalCalendarClient(store)
+        };
+    }
+
+    return {
+        sheets: await googleClientService.getSheetsClient(),
+        drive: await googleClientService.getDriveClient(),
+        calendar: await googleClientService.getCalendarClient()
+    };
+}
+
 async function initializeServices() {
     if (services) return services;
 
-    console.log('🚀 [System] 正在初始化 Service Container (v7.9.3 Phase 7 ROOT FIX)...');
+    console.log('🚀 [System] 正在初始化 Service Container (v7.11.0)...');
 
     try {
         // 1. Infrastructure
         const googleClientService = new GoogleClientService();
-        const sheets = await googleClientService.getSheetsClient();
-        const drive = await googleClientService.getDriveClient();
-        const calendar = await googleClientService.getCalendarClient();
+        const { sheets, drive, calendar } = await createInfrastructureClients(googleClientService);
 
         // 2. Readers
         // ✅ ROOT FIX: split ContactReader
@@ -115,14 +219,25 @@ async function initializeServices() {
 
         const systemReader = new SystemReader(sheets, config.IDS.SYSTEM);
         const productReader = new ProductReader(sheets, config.IDS.PRODUCT);
-
-        // 3. Writers
+        const auditLogReader = new AuditLogReader(sheets, config.IDS.SYSTEM);
+        const auditLogSqlReader = new AuditLogSqlReader();
+        const opportunityShareReader = new OpportunityShareReader(sheets, config.IDS.CORE);
+        const taskReader = new TaskReader(sheets, config.IDS.CORE);
+        // 登入工作階段與使用者名冊同檔 (AUTH 試算表)
+        const authSessionReader = new AuthSessionReader(sheets, config.IDS.AUTH || config.IDS.SYSTEM);
+        const apiTokenReader = new ApiTokenReader(sheets, config.IDS.AUTH || config.IDS.SYSTEM);
+        const webhookReader = new WebhookReader(sheets, config.IDS.AUTH || config.IDS.SYSTEM);
+        const scheduledJobReader = new ScheduledJobReader(sheets, config.IDS.AUTH || config.IDS.SYSTEM);
+        const notificationReader = new NotificationReader(sheets, config.IDS.AUTH || config.IDS.SYSTEM);
+
+        // 2.5 Writers (Repository 依 DATA_SOURCES 選用 Sheet 或 SQL Writer)
         // ✅ RAW writer stays RAW
         const contactWriter = new ContactWriter(sheets, config.IDS.RAW, contactRawReader);
 
         const contactSqlWriter = new ContactSqlWriter();
 
         const companyWriter = new CompanyWriter(sheets, config.IDS.CORE, companyReader);
+        const companySqlWriter = new CompanySqlWriter();
 
         // ✅ ROOT FIX: OpportunityWriter should not depend on RAW contact reader.
         // If it needs contact list / link validation, those are CORE.
@@ -132,9 +247,12 @@ async function initializeServices() {
             opportunityReader,
             contactCoreReader
         );
+        const opportunitySqlWriter = new OpportunitySqlWriter();
 
         const interactionWriter = new InteractionWriter(sheets, config.IDS.CORE, interactionReader);
+        const interactionSqlWriter = new InteractionSqlWriter();
         const eventLogWriter = new EventLogWriter(sheets, config.IDS.CORE, eventLogReader);
+        const eventLogSqlWriter = new EventLogSqlWriter();
 
         const weeklyWriter = new WeeklyBusinessWriter(sheets, config.IDS.CORE, weeklyReader);
         const weeklySqlWriter = new WeeklyBusinessSqlWriter();
@@ -142,18 +260,84 @@ async function initializeServices() {
         const announcementWriter = new AnnouncementWriter(sheets, config.IDS.CORE, announcementReader);
         const systemWriter = new SystemWriter(sheets, config.IDS.SYSTEM, systemReader);
         const productWriter = new ProductWriter(sheets, config.IDS.PRODUCT, productReader);
+        const auditLogWriter = new AuditLogWriter(sheets, config.IDS.SYSTEM, auditLogReader);
+        const auditLogSqlWriter = new AuditLogSqlWriter();
+        const opportunityShareWriter = new OpportunityShareWriter(sheets, config.IDS.CORE, opportunityShareReader);
+        const taskWriter = new TaskWriter(sheets, config.IDS.CORE, taskReader);
+        const authSessionWriter = new AuthSessionWriter(sheets, config.IDS.AUTH || config.IDS.SYSTEM, authSessionReader);
+        const apiTokenWriter = new ApiTokenWriter(sheets, config.IDS.AUTH || config.IDS.SYSTEM, apiTokenReader);
+        const webhookWriter = new WebhookWriter(sheets, config.IDS.AUTH || config.IDS.SYSTEM, webhookReader);
+        const scheduledJobWriter = new ScheduledJobWriter(sheets, config.IDS.AUTH || config.IDS.SYSTEM);
+        const notificationWriter = new NotificationWriter(sheets, config.IDS.AUTH || config.IDS.SYSTEM, notificationReader);
+
+        // 3. Repositories (依 config.DATA_SOURCES 決定讀寫來源)
+        const sources = config.DATA_SOURCES;
+        const repositories = {
+            CONTACT: new ContactRepository({ mode: sources.CONTACT, contactCoreReader, contactSqlReader }),
+            COMPANY: new CompanyRepository({
+                mode: sources.COMPANY,
+                companyReader, companySqlReader,
+                companyWriter, companySqlWriter
+            }),
+            OPPORTUNITY: new OpportunityRepository({
+                mode: sources.OPPORTUNITY,
+                opportunityReader, opportunitySqlReader,
+                opportunityWriter, opportunitySqlWriter
+            }),
+            INTERACTION: new InteractionRepository({
+                mode: sources.INTERACTION,
+                interactionReader, interactionSqlReader,
+                interactionWriter, interactionSqlWriter
+            }),
+            EVENT_LOG: new EventLogRepository({
+                mode: sources.EVENT_LOG,
+                eventLogReader, eventLogSqlReader,
+                eventLogWriter, eventLogSqlWriter
+            }),
+            WEEKLY: new WeeklyBusinessRepository({
+                mode: sources.WEEKLY,
+                weeklyBusinessReader: weeklyReader,
+                weeklyBusinessSqlReader: weeklySqlReader
+            }),
+            ANNOUNCEMENT: new AnnouncementRepository({ mode: sources.ANNOUNCEMENT, announcementReader, announcementSqlReader }),
+            AUDIT: new AuditLogRepository({
+                mode: sources.AUDIT,
+                auditLogReader, auditLogSqlReader,
+                auditLogWriter, auditLogSqlWriter
+            })
+        };
+        console.log('🔀 [System] 資料來源:', Object.entries(repositories).map(([m, r]) => `${m}=${r.mode}`).join(', '));
 
         // 4. Domain Services
+        const eventBus = new DomainEventBus({ config });
         const calendarService = new CalendarService(calendar);
-        const authService = new AuthService(systemReader, systemWriter);
+        const permissionService = new PermissionService({ systemReader, config });
+        const loginThrottleService = new LoginThrottleService({ config });
+        const authService = new AuthService(
+            systemReader, systemWriter, permissionService,
+            authSessionReader, authSessionWriter,
+            loginThrottleService
+        );
+        const recordVisibilityService = new RecordVisibilityService({ systemReader, permissionService, opportunityShareReader });
+        const auditService = new AuditService({
+            auditLogRepository: repositories.AUDIT,
+            permissionService,
+            recordVisibilityService,
+            opportunityRepository: repositories.OPPORTUNITY,
+            interactionRepository: repositories.INTERACTION
+        });
 
         const announcementService = new AnnouncementService({
-            announcementReader,
-            announcementSqlReader,
-            announcementWriter
+            announcementRepository: repositories.ANNOUNCEMENT,
+            announcementWriter,
+            auditService
         });
 
-        const systemService = new SystemService(systemReader, systemWriter);
+        const systemService = new SystemService(systemReader, systemWriter, repositories);
+        const userAdminService = new UserAdminService({ systemReader, systemService, permissionService, auditService });
+        const apiTokenService = new ApiTokenService({
+            apiTokenReader, apiTokenWriter, systemReader, permissionService, auditService, config
+        });
 
         // ✅ ROOT FIX: ContactService gets BOTH readers
         const contactService = new ContactService(
@@ -162,8 +346,9 @@ async function initializeServices() {
             contactWriter,
             companyReader,
             config,
-            contactSqlReader,
-            contactSqlWriter
+            repositories.CONTACT,
+            contactSqlWriter,
+            auditService
         );
 
         // ✅ CompanyService / OpportunityService must use CORE contact reader, not RAW
@@ -171,12 +356,28 @@ async function initializeServices() {
             companyReader, companyWriter,
             contactCoreReader, contactWriter, // contactWriter is RAW but should only be used for potential scope by whatever legacy call chain
             opportunityReader, opportunityWriter,
-            interactionReader, interactionWriter,
+            interactionReader, repositories.INTERACTION,
             eventLogReader, systemReader,
-            companySqlReader,
-            contactService
+            repositories.COMPANY,
+            auditService,
+            recordVisibilityService,
+            eventBus
         );
 
+        const taskService = new TaskService({
+            taskReader,
+            taskWriter,
+            opportunityReader,
+            companyReader,
+            contactReader: contactCoreReader,
+            interactionReader,
+            systemReader,
+            recordVisibilityService,
+            auditService,
+            eventBus,
+            config
+        });
+
         const opportunityService = new OpportunityService({
             config,
             opportunityReader,
@@ -186,11 +387,16 @@ async function initializeServices() {
             companyReader,
             companyWriter,
             interactionReader,
-            interactionWriter,
             eventLogReader,
             systemReader,
-            opportunitySqlReader,
-            contactService
+            opportunityRepository: repositories.OPPORTUNITY,
+            contactService,
+            auditService,
+            recordVisibilityService,
+            opportunityShareReader,
+            opportunityShareWriter,
+            taskService,
+            eventBus
         });
 
         const interactionService = new InteractionService(
@@ -198,7 +404,10 @@ async function initializeServices() {
             interactionWriter,
             opportunityReader,
             companyReader,
-            interactionSqlReader
+            repositories.INTERACTION,
+            auditService,
+            recordVisibilityService,
+            eventBus
         );
 
         const eventLogService = new EventLogService(
@@ -208,23 +417,33 @@ async function initializeServices() {
             companyReader,
             systemReader,
             calendarService,
-            eventLogSqlReader
+            repositories.EVENT_LOG,
+            auditService,
+            eventBus
         );
 
         const weeklyBusinessService = new WeeklyBusinessService({
-            weeklyBusinessReader: weeklyReader,
-            weeklyBusinessSqlReader: weeklySqlReader,
+            weeklyBusinessRepository: repositories.WEEKLY,
             weeklyBusinessSqlWriter: weeklySqlWriter,
             // weeklyBusinessWriter: weeklyWriter, // Phase 7: removed
             dateHelpers,
             calendarService,
             systemReader,
             opportunityService,
-            config
+            config,
+            auditService,
+            eventBus
         });
 
-        const salesAnalysisService = new SalesAnalysisService(opportunityReader, systemReader, config);
-        const productService = new ProductService(productReader, productWriter, systemReader, systemWriter);
+        const salesAnalysisService = new SalesAnalysisService(opportunityReader, systemReader, config, recordVisibilityService);
+        const funnelAnalysisService = new FunnelAnalysisService({
+            opportunityReader,
+            systemReader,
+            auditService,
+            config,
+            recordVisibilityService
+        });
+        const productService = new ProductService(productReader, productWriter, systemReader, systemWriter, auditService, permissionService);
 
         // Dashboard uses contactService (SQL primary) — keep
         const dashboardService = new DashboardService(
@@ -236,24 +455,73 @@ async function initializeServices() {
             systemReader,
             weeklyBusinessService,
             companyReader,
-            calendarService
+            calendarService,
+            recordVisibilityService
         );
 
         const workflowService = new WorkflowService(
             opportunityService,
             interactionService,
-            contactService
+            contactService,
+            systemReader,
+            eventBus
         );
 
         const eventService = new EventService(
             calendarService,
-            interactionService,
-            weeklyBusinessService,
             opportunityService,
             config,
-            dateHelpers
+            eventBus
         );
 
+        new DomainEventSubscribers({
+            interactionRepository: repositories.INTERACTION,
+            interactionService,
+            companyReader,
+            systemReader,
+            calendarService,
+            weeklyBusinessService,
+            taskService
+        }).register(eventBus);
+
+        const webhookService = new WebhookService({ webhookReader, webhookWriter, auditService, config });
+        webhookService.register(eventBus);
+
+        const changeStreamService = new ChangeStreamService({
+            opportunityRepository: repositories.OPPORTUNITY,
+            recordVisibilityService,
+            permissionService,
+            config
+        });
+        changeStreamService.register(eventBus);
+
+        const notificationService = new NotificationService({ notificationReader, notificationWriter, systemReader, config });
+        const followUpReminderService = new FollowUpReminderService({
+            opportunityReader,
+            interactionReader,
+            systemReader,
+            dashboardService,
+            notificationService,
+            notificationReader,
+            notificationWriter,
+            recordVisibilityService,
+            config
+        });
+
+        const jobSchedulerService = new JobSchedulerService({ scheduledJobReader, scheduledJobWriter, auditService, config });
+        new ScheduledJobs({
+            opportunityReader,
+            interactionReader,
+            companyReader,
+            systemReader,
+            contactService,
+            weeklyBusinessService,
+            productService,
+            followUpReminderService,
+            notificationService,
+            dateHelpers
+        }).register(jobSchedulerService);
+
         // 5. Controllers
         const authController = new AuthController(authService);
         const systemController = new SystemController(systemService, dashboardService);
@@ -270,6 +538,14 @@ async function initializeServices() {
         const interactionController = new InteractionController(interactionService);
         const productController = new ProductController(productService);
         const weeklyController = new WeeklyController(weeklyBusinessService);
+        const auditController = new AuditController(auditService);
+        const userAdminController = new UserAdminController(userAdminService);
+        const apiTokenController = new ApiTokenController(apiTokenService);
+        const webhookController = new WebhookController(webhookService);
+        const streamController = new StreamController(changeStreamService, config);
+        const jobController = new JobController(jobSchedulerService);
+        const taskController = new TaskController(taskService);
+        const notificationController = new NotificationController(notificationService, followUpReminderService);
 
         console.log('✅ Service Container 初始化完成');
 
@@ -277,11 +553,23 @@ async function initializeServices() {
             googleClientService,
             authService, contactService, companyService,
             opportunityService, interactionService, eventLogService, calendarService,
-            weeklyBusinessService, salesAnalysisService, dashboardService,
+            weeklyBusinessService, salesAnalysisService, funnelAnalysisService, dashboardService,
             workflowService, productService,
             announcementService,
             eventService,
             systemService,
+            auditService,
+            eventBus,
+            permissionService,
+            recordVisibilityService,
+            userAdminService,
+            apiTokenService,
+            webhookService,
+            changeStreamService,
+            jobSchedulerService,
+            taskService,
+            notificationService,
+            followUpReminderService,
             authController,
             systemController,
             announcementController,
@@ -291,6 +579,14 @@ async function initializeServices() {
             interactionController,
             productController,
             weeklyController,
+            auditController,
+            userAdminController,
+            apiTokenController,
+            webhookController,
+            streamController,
+            jobController,
+            taskController,
+            notificationController,
 
             // expose writers/readers if legacy needs them
             contactWriter,
@@ -1,19 +1,26 @@
 /**
  * services/system-service.js
  * 系統服務模組
- * * @version 2.0.0 (Refactored for Standard A+S)
- * @date 2026-01-26
+ * * @version 2.3.0 (User Administration)
+ * @date 2026-10-19
  * @description 接管所有業務邏輯 (Defaults/Filter/Sort) 與 User 操作流程控制。
+ * 系統狀態 API 同時回報各模組的資料來源模式與最近一次實際服務的來源。
+ * 「機會階段」項目會附上 stageType (open/won/lost) 與 winProbability，供前端看板與進程元件使用。
  */
 
+const config = require('../config');
+const { STAGE_CONFIG_TYPE, annotateStages } = require('../utils/pipeline-stages');
+
 class SystemService {
     /**
      * @param {SystemReader} systemReader 
      * @param {SystemWriter} systemWriter 
+     * @param {Object<string, BaseRepository>} [repositories] - 依模組名稱 (DATA_SOURCES key) 索引的 Repository
      */
-    constructor(systemReader, systemWriter) {
+    constructor(systemReader, systemWriter, repositories = {}) {
         this.systemReader = systemReader;
         this.systemWriter = systemWriter;
+        this.repositories = repositories;
 
         // 定義預設設定 (Moved from Reader)
         this.DEFAULT_SETTINGS = {
@@ -71,6 +78,9 @@ class SystemService {
             }
         });
         
+        // 銷售階段中繼資料 (stageType / winProbability)
+        annotateStages(settings[STAGE_CONFIG_TYPE]);
+
         return settings;
     }
 
@@ -82,12 +92,28 @@ class SystemService {
         return { success: true, message: '後端所有快取已清除' };
     }
 
+    /**
+     * 取得各模組的資料來源狀態
+     * 有 Repository 的模組回報實際服務來源；其餘僅回報設定模式
+     */
+    getDataSourceStatus() {
+        const status = {};
+        Object.entries(config.DATA_SOURCES).forEach(([moduleName, mode]) => {
+            const repository = this.repositories[moduleName];
+            status[moduleName] = repository ? repository.getSourceStatus() : { mode };
+        });
+        return {
+            backend: config.LOCAL_DATA.ENABLED ? 'LOCAL' : 'REMOTE',
+            modules: status
+        };
+    }
+
     /**
      * 取得系統最後寫入狀態
      */
     async getSystemStatus() {
         const lastWrite = this.systemReader.getLastWriteTimestamp();
-        return { success: true, lastWriteTimestamp: lastWrite };
+        return { success: true, lastWriteTimestamp: lastWrite, dataSources: this.getDataSourceStatus() };
     }
 
     /**
@@ -127,6 +153,23 @@ class SystemService {
         return { success: true };
     }
 
+    /**
+     * 更新使用者資料 (顯示名稱、角色、主管、狀態、需變更密碼)
+     * Flow: Lookup(Reader) -> Write(Writer) -> Invalidate
+     * @param {string} username
+     * @param {Object} userData - 合併後的完整資料 (未提供的欄位會被清空)
+     */
+    async updateUser(username, userData) {
+        const users = await this.systemReader.getUsers();
+        const user = users.find(u => u.username === username);
+        if (!user) throw new Error('找不到該使用者');
+
+        await this.systemWriter.updateUserProfileByRow(user.rowIndex, userData);
+
+        this.systemReader.invalidateCache('users');
+        return { success: true };
+    }
+
     /**
      * 刪除使用者
      * Flow: Lookup(Reader) -> Get SheetId(Reader) -> Write(Writer) -> Invalidate
@@ -0,0 +1,493 @@
+/**
+ * services/task-service.js
+ * 任務業務邏輯層 (Tasks)
+ * * @version 1.1.0
+ * @date 2026-10-19
+ * @description 互動紀錄的「下次行動」與週間業務的「待辦事項」都是無人追蹤的自由文字，任務則有
+ * 標題、到期日、負責人 (使用者名冊帳號)、狀態 (open / done / cancelled)，可關聯機會 / 公司 / 聯絡人 / 互動紀錄。
+ * - 列表支援「我的任務」(view=mine) 與「逾期」(view=overdue，到期日早於 config.TIMEZONE 的今天且尚未完成)。
+ * - 可見範圍：具 record:viewAll 者看全部；其餘只看負責人或建立者在自己團隊內 (RecordVisibilityService)、或所屬機會可見的任務。
+ * - 互動紀錄儲存時同時填寫下次行動與日期，由 DomainEventSubscribers 呼叫 syncFromInteraction 建立 (或更新尚未完成的) 任務。
+ * - 建立/更新時檢查關聯：機會 / 公司 / 聯絡人 / 互動紀錄須存在，機會與互動紀錄另須在操作者的可見範圍內，否則回傳 404。
+ * - 建立/更新/刪除寫入變更紀錄並發布 task.* 領域事件；完成另發布 task.completed。
+ * 依賴注入：TaskReader, TaskWriter, OpportunityReader, CompanyReader, ContactReader, InteractionReader, SystemReader, RecordVisibilityService, AuditService, DomainEventBus, Config
+ */
+
+const crypto = require('crypto');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { EVENTS } = require('./domain-event-bus');
+
+const TASK_STATUS = Object.freeze({
+    OPEN: 'open',
+    DONE: 'done',
+    CANCELLED: 'cancelled'
+});
+
+const TASK_SOURCES = Object.freeze({
+    MANUAL: 'manual',
+    INTERACTION: 'interaction'
+});
+
+const TASK_VIEWS = Object.freeze({
+    MINE: 'mine',
+    OVERDUE: 'overdue'
+});
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const LINK_FIELDS = ['opportunityId', 'companyId', 'contactId', 'interactionId'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+class TaskService {
+    /**
+     * @param {Object} dependencies
+     * @param {TaskReader} dependencies.taskReader
+     * @param {TaskWriter} dependencies.taskWriter
+     * @param {OpportunityReader} dependencies.opportunityReader - 可見範圍與機會名稱
+     * @param {CompanyReader} dependencies.companyReader - 公司名稱
+     * @param {ContactReader} dependencies.contactReader - 檢查聯絡人關聯 (聯絡人總表)
+     * @param {InteractionReader} dependencies.interactionReader - 檢查互動紀錄關聯
+     * @param {SystemReader} dependencies.systemReader - 負責人帳號與顯示名稱
+     * @param {RecordVisibilityService} [dependencies.recordVisibilityService]
+     * @param {AuditService} [dependencies.auditService]
+     * @param {DomainEventBus} [dependencies.eventBus]
+     * @param {Object} dependencies.config
+     */
+    constructor({
+        taskReader, taskWriter, opportunityReader, companyReader, contactReader, interactionReader,
+        systemReader, recordVisibilityService, auditService, eventBus, config
+    }) {
+        this.taskReader = taskReader;
+        this.taskWriter = taskWriter;
+        this.opportunityReader = opportunityReader;
+        this.companyReader = companyReader;
+        this.contactReader = contactReader;
+        this.interactionReader = interactionReader;
+        this.systemReader = systemReader;
+        this.recordVisibilityService = recordVisibilityService;
+        this.auditService = auditService;
+        this.eventBus = eventBus;
+        this.timeZone = config.TIMEZONE;
+    }
+
+    /**
+     * 取得任務列表 (到期日近者在前，未設定到期日者在後)
+     * @param {Object} [filters]
+     * @param {string} [filters.view] - 'mine' (指派給自己且未完成) / 'overdue' (可見範圍內逾期)
+     * @param {string} [filters.status] - open / done / cancelled，'all' 不篩選
+     * @param {string} [filters.assignee] - 使用者帳號，'me' 代表自己
+     * @param {string} [filters.opportunityId]
+     * @param {string} [filters.companyId]
+     * @param {string} [filters.contactId]
+     * @param {string} [filters.interactionId]
+     * @param {Object} user - req.user
+     * @returns {Promise<Array<Object>>}
+     */
+    async listTasks(filters = {}, user = null) {
+        const { tasks, context } = await this._loadVisibleTasks(user);
+        const today = this._today();
+
+        let status = filters.status || null;
+        let assignee = filters.assignee === 'me' ? user?.username : filters.assignee;
+        if (filters.view === TASK_VIEWS.MINE) {
+            assignee = user?.username;
+            status = status || TASK_STATUS.OPEN;
+        }
+
+        const results = tasks.filter(task => {
+            if (status && status !== 'all' && task.status !== status) return false;
+            if (assignee && normalize(task.assignee) !== normalize(assignee)) return false;
+            if (filters.view === TASK_VIEWS.OVERDUE && !this._isOverdue(task, today)) return false;
+            return LINK_FIELDS.every(field => !filters[field] || task[field] === filters[field]);
+        });
+
+        results.sort((a, b) => {
+            if (!a.dueDate !== !b.dueDate) return a.dueDate ? -1 : 1;
+            return a.dueDate.localeCompare(b.dueDate) || a.createTime.localeCompare(b.createTime);
+        });
+        return results.map(task => this._toDto(task, context, today, user));
+    }
+
+    /**
+     * 指派給自己且尚未完成的任務
+     */
+    async getMyTasks(user) {
+        return this.listTasks({ view: TASK_VIEWS.MINE }, user);
+    }
+
+    /**
+     * 可見範圍內已逾期的任務
+     */
+    async getOverdueTasks(user) {
+        return this.listTasks({ view: TASK_VIEWS.OVERDUE }, user);
+    }
+
+    /**
+     * 機會的已完成任務 (機會詳細頁的動態牆，新到舊)；呼叫端已確認機會可見
+     * @param {string} opportunityId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getCompletedTasksByOpportunity(opportunityId) {
+        const [tasks, context] = await Promise.all([this.taskReader.getTasks(), this._loadContext()]);
+        const today = this._today();
+        return tasks
+            .filter(task => task.opportunityId === opportunityId && task.status === TASK_STATUS.DONE)
+            .sort((a, b) => b.completedTime.localeCompare(a.completedTime))
+            .map(task => this._toDto(task, context, today, null));
+    }
+
+    async getTask(taskId, user) {
+        const { task, context } = await this._findVisibleTask(taskId, user);
+        return this._toDto(task, context, this._today(), user);
+    }
+
+    /**
+     * 新增任務 (未指定負責人時指派給自己)
+     * @param {Object} data - { title, description?, dueDate?, assignee?, opportunityId?, companyId?, contactId?, interactionId? }
+     * @param {Object} user - req.user
+     */
+    async createTask(data, user) {
+        const now = new Date().toISOString();
+        const task = {
+            taskId: `TSK${Date.now()}${crypto.randomBytes(2).toString('hex')}`,
+            title: this._validateTitle(data.title),
+            description: this._validateDescription(data.description),
+            dueDate: this._validateDueDate(data.dueDate),
+            assignee: await this._resolveAssignee(data.assignee, user),
+            status: TASK_STATUS.OPEN,
+            ...await this._validateLinks(this._pickLinks(data), user),
+            source: TASK_SOURCES.MANUAL,
+            creator: user?.username || '',
+            createTime: now,
+            lastUpdateTime: now,
+            completedTime: '',
+            completedBy: ''
+        };
+        if (data.status !== undefined) this._applyStatus(task, data.status, user, now);
+        return this._create(task, user);
+    }
+
+    /**
+     * 更新任務 (標題 / 說明 / 到期日 / 負責人 / 狀態 / 關聯)
+     * 狀態改為 done 時記錄完成時間與完成者，重新開啟時清除
+     * @param {string} taskId
+     * @param {Object} changes
+     * @param {Object} user - req.user
+     */
+    async updateTask(taskId, changes, user) {
+        const { task, context } = await this._findVisibleTask(taskId, user);
+        return this._update(task, context, changes, user);
+    }
+
+    async deleteTask(taskId, user) {
+        const { task, context } = await this._findVisibleTask(taskId, user);
+
+        await this.taskWriter.deleteTask(task.rowIndex);
+        await this._audit('recordDelete', task.taskId, this._toAuditRecord(task), user);
+        await this._publish(EVENTS.TASK_DELETED, { taskId: task.taskId, task: this._toDto(task, context, this._today(), user) }, user);
+        return { success: true };
+    }
+
+    /**
+     * 由互動紀錄的下次行動建立任務；該互動已有尚未完成的自動任務時改為更新標題與到期日
+     * 同一事件重試時不會重複建立 (已完成 / 取消的任務不再變動)
+     * @param {Object} interaction - { interactionId, opportunityId, companyId, nextAction, nextActionDate }
+     * @param {Object} actor - 事件信封的 actor { username, name }，任務指派給記錄者
+     * @returns {Promise<Object|null>} 建立或更新的任務；未填寫下次行動或日期時回傳 null
+     */
+    async syncFromInteraction(interaction, actor) {
+        const title = String(interaction.nextAction || '').trim().slice(0, MAX_TITLE_LENGTH);
+        if (!title || !interaction.nextActionDate) return null;
+        const dueDate = this._validateDueDate(interaction.nextActionDate);
+        const user = { username: actor?.username || '', name: actor?.name || '' };
+
+        const tasks = await this.taskReader.getTasks();
+        const existing = tasks.find(task => task.source === TASK_SOURCES.INTERACTION && task.interactionId === interaction.interactionId);
+
+        if (existing) {
+            if (existing.status !== TASK_STATUS.OPEN) return null;
+            const context = await this._loadContext();
+            if (existing.title === title && existing.dueDate === dueDate) return this._toDto(existing, context, this._today(), user);
+            // 修改互動的人不一定看得到原任務，這裡不套用可見範圍
+            return this._update(existing, context, { title, dueDate }, user);
+        }
+
+        const now = new Date().toISOString();
+        return this._create({
+            taskId: `TSK${Date.now()}${crypto.randomBytes(2).toString('hex')}`,
+            title,
+            description: '',
+            dueDate,
+            assignee: user.username,
+            status: TASK_STATUS.OPEN,
+            opportunityId: interaction.opportunityId || '',
+            companyId: interaction.companyId || '',
+            contactId: '',
+            interactionId: interaction.interactionId,
+            source: TASK_SOURCES.INTERACTION,
+            creator: user.username,
+            createTime: now,
+            lastUpdateTime: now,
+            completedTime: '',
+            completedBy: ''
+        }, user);
+    }
+
+    // --- 內部輔助函式 ---
+
+    async _update(before, context, changes, user) {
+        const now = new Date().toISOString();
+
+        const next = { ...before, lastUpdateTime: now };
+        if (changes.title !== undefined) next.title = this._validateTitle(changes.title);
+        if (changes.description !== undefined) next.description = this._validateDescription(changes.description);
+        if (changes.dueDate !== undefined) next.dueDate = this._validateDueDate(changes.dueDate);
+        if (changes.assignee !== undefined) next.assignee = await this._resolveAssignee(changes.assignee, user);
+        const changedLinks = {};
+        LINK_FIELDS.forEach(field => {
+            if (changes[field] === undefined) return;
+            const value = String(changes[field] || '').trim();
+            if (value !== before[field]) changedLinks[field] = value;
+        });
+        Object.assign(next, await this._validateLinks(changedLinks, user, context));
+        if (changes.status !== undefined) this._applyStatus(next, changes.status, user, now);
+
+        await this.taskWriter.updateTaskByRow(before.rowIndex, next);
+        await this._audit('recordUpdate', next.taskId, this._toAuditRecord(before), this._toAuditRecord(next), user);
+
+        const dto = this._toDto(next, context, this._today(), user);
+        await this._publish(EVENTS.TASK_UPDATED, { taskId: next.taskId, task: dto, changes: this._diff(before, next) }, user);
+        if (before.status !== TASK_STATUS.DONE && next.status === TASK_STATUS.DONE) {
+            await this._publish(EVENTS.TASK_COMPLETED, { taskId: next.taskId, task: dto }, user);
+        }
+        return dto;
+    }
+
+    async _create(task, user) {
+        await this.taskWriter.createTask(task);
+        await this._audit('recordCreate', task.taskId, this._toAuditRecord(task), user);
+
+        const dto = this._toDto(task, await this._loadContext(), this._today(), user);
+        await this._publish(EVENTS.TASK_CREATED, { taskId: task.taskId, task: dto }, user);
+        if (task.status === TASK_STATUS.DONE) await this._publish(EVENTS.TASK_COMPLETED, { taskId: task.taskId, task: dto }, user);
+        return dto;
+    }
+
+    /**
+     * 讀取任務並依可見範圍過濾，同時帶回名稱對照 (機會 / 公司 / 使用者)
+     */
+    async _loadVisibleTasks(user) {
+        const [tasks, context, scope] = await Promise.all([
+            this.taskReader.getTasks(),
+            this._loadContext(),
+            this.recordVisibilityService ? this.recordVisibilityService.getScope(user) : { unrestricted: true }
+        ]);
+        return { tasks: tasks.filter(task => this._canView(scope, task, context)), context };
+    }
+
+    async _loadContext() {
+        const [opportunities, companies, users] = await Promise.all([
+            this.opportunityReader.getOpportunities(),
+            this.companyReader.getCompanyList(),
+            this.systemReader.getUsers()
+        ]);
+        return {
+            opportunities: new Map(opportunities.map(opp => [opp.opportunityId, opp])),
+            companyNames: new Map(companies.map(company => [company.companyId, company.companyName])),
+            users
+        };
+    }
+
+    async _findVisibleTask(taskId, user) {
+        const { tasks, context } = await this._loadVisibleTasks(user);
+        const task = tasks.find(t => t.taskId === taskId);
+        if (!task) throw this._clientError(`找不到任務 (ID: ${taskId})`, 404);
+        return { task, context };
+    }
+
+    _canView(scope, task, context) {
+        if (scope.unrestricted) return true;
+        if (scope.usernames.has(normalize(task.assignee)) || scope.usernames.has(normalize(task.creator))) return true;
+        if (!task.opportunityId) return false;
+        return this.recordVisibilityService.canViewOpportunity(scope, context.opportunities.get(task.opportunityId));
+    }
+
+    _isOverdue(task, today) {
+        return task.status === TASK_STATUS.OPEN && !!task.dueDate && task.dueDate < today;
+    }
+
+    /**
+     * config.TIMEZONE 的今天 (YYYY-MM-DD)
+     */
+    _today() {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: this.timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+    }
+
+    _toDto(task, context, today, user) {
+        const { rowIndex, ...dto } = task;
+        const assignee = context.users.find(u => normalize(u.username) === normalize(task.assignee));
+        const opportunity = context.opportunities.get(task.opportunityId);
+        return {
+            ...dto,
+            assigneeName: assignee?.displayName || task.assignee,
+            opportunityName: opportunity?.opportunityName || '',
+            companyName: context.companyNames.get(task.companyId) || '',
+            isOverdue: this._isOverdue(task, today),
+            isMine: !!user?.username && normalize(task.assignee) === normalize(user.username)
+        };
+    }
+
+    _applyStatus(task, status, user, now) {
+        const value = String(status || '').trim();
+        if (!Object.values(TASK_STATUS).includes(value)) {
+            throw this._clientError(`任務狀態需為 ${Object.values(TASK_STATUS).join(' / ')}`);
+        }
+        if (value === TASK_STATUS.DONE && task.status !== TASK_STATUS.DONE) {
+            task.completedTime = now;
+            task.completedBy = user?.username || '';
+        } else if (value !== TASK_STATUS.DONE) {
+            task.completedTime = '';
+            task.completedBy = '';
+        }
+        task.status = value;
+    }
+
+    /**
+     * 負責人可填帳號或顯示名稱，一律存為名冊帳號；未填時為操作者本人
+     */
+    async _resolveAssignee(value, user) {
+        const target = normalize(value);
+        if (!target || target === normalize(user?.username)) return user?.username || '';
+
+        const users = await this.systemReader.getUsers();
+        const match = users.find(u => !u.disabled && (normalize(u.username) === target || normalize(u.displayName) === target));
+        if (!match) throw this._clientError(`找不到使用者: ${String(value).trim()}`);
+        return match.username;
+    }
+
+    _pickLinks(data) {
+        const links = {};
+        LINK_FIELDS.forEach(field => { links[field] = String(data[field] || '').trim(); });
+        return links;
+    }
+
+    /**
+     * 檢查關聯 ID：須存在，機會與互動紀錄另須在操作者的可見範圍內 (看不到的一律視為找不到，回傳 404)
+     * 只檢查有填值的欄位；更新時只傳入有變動的關聯，既有關聯不重新檢查
+     * @param {Object} links - LINK_FIELDS 的部分或全部
+     * @param {Object} user - req.user
+     * @param {Object} [context] - _loadContext 的結果 (已讀取時傳入以免重複讀取)
+     * @returns {Promise<Object>} 原本的 links
+     */
+    async _validateLinks(links, user, context = null) {
+        if (!LINK_FIELDS.some(field => links[field])) return links;
+
+        const [resolved, scope] = await Promise.all([
+            context || this._loadContext(),
+            this.recordVisibilityService ? this.recordVisibilityService.getScope(user) : { unrestricted: true }
+        ]);
+        const canViewOpportunity = (opportunity) => !this.recordVisibilityService ||
+            this.recordVisibilityService.canViewOpportunity(scope, opportunity);
+
+        if (links.opportunityId) {
+            const opportunity = resolved.opportunities.get(links.opportunityId);
+            if (!opportunity || !canViewOpportunity(opportunity)) {
+                throw this._clientError(`找不到機會 (ID: ${links.opportunityId})`, 404);
+            }
+        }
+        if (links.companyId && !resolved.companyNames.has(links.companyId)) {
+            throw this._clientError(`找不到公司 (ID: ${links.companyId})`, 404);
+        }
+        if (links.contactId) {
+            const contacts = await this.contactReader.getContactList();
+            if (!contacts.some(contact => contact.contactId === links.contactId)) {
+                throw this._clientError(`找不到聯絡人 (ID: ${links.contactId})`, 404);
+            }
+        }
+        if (links.interactionId) {
+            const interactions = await this.interactionReader.getInteractions();
+            const interaction = interactions.find(i => i.interactionId === links.interactionId);
+            const visibleOpportunityIds = new Set(
+                [...resolved.opportunities.values()].filter(canViewOpportunity).map(opp => opp.opportunityId)
+            );
+            const visible = interaction && (!this.recordVisibilityService ||
+                this.recordVisibilityService.canViewInteraction(scope, interaction, visibleOpportunityIds));
+            if (!visible) throw this._clientError(`找不到互動紀錄 (ID: ${links.interactionId})`, 404);
+        }
+        return links;
+    }
+
+    _validateTitle(title) {
+        const value = String(title || '').trim();
+        if (!value) throw this._clientError('請輸入任務標題');
+        if (value.length > MAX_TITLE_LENGTH) throw this._clientError(`任務標題最多 ${MAX_TITLE_LENGTH} 個字`);
+        return value;
+    }
+
+    _validateDescription(description) {
+        const value = String(description || '').trim();
+        if (value.length > MAX_DESCRIPTION_LENGTH) throw this._clientError(`任務說明最多 ${MAX_DESCRIPTION_LENGTH} 個字`);
+        return value;
+    }
+
+    /**
+     * 到期日接受 YYYY-MM-DD (或以其開頭的 ISO 時間)，空白代表不設定
+     */
+    _validateDueDate(dueDate) {
+        const value = String(dueDate || '').trim();
+        if (!value) return '';
+        const date = value.slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+            throw this._clientError('到期日格式需為 YYYY-MM-DD');
+        }
+        return date;
+    }
+
+    _diff(before, after) {
+        const changes = {};
+        ['title', 'description', 'dueDate', 'assignee', 'status', ...LINK_FIELDS].forEach(field => {
+            if (before[field] !== after[field]) changes[field] = after[field];
+        });
+        return changes;
+    }
+
+    _toAuditRecord(task) {
+        return {
+            title: task.title,
+            description: task.description,
+            dueDate: task.dueDate,
+            assignee: task.assignee,
+            status: task.status,
+            opportunityId: task.opportunityId,
+            companyId: task.companyId,
+            contactId: task.contactId,
+            interactionId: task.interactionId
+        };
+    }
+
+    _actor(user) {
+        return (user && (user.displayName || user.name || user.username)) || 'System';
+    }
+
+    async _audit(method, taskId, ...args) {
+        if (!this.auditService) return;
+        await this.auditService[method](AUDIT_ENTITIES.TASK, taskId, ...args);
+    }
+
+    async _publish(type, payload, user) {
+        if (!this.eventBus) return;
+        await this.eventBus.publish(type, payload, { username: user?.username, name: this._actor(user) });
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+TaskService.TASK_STATUS = TASK_STATUS;
+TaskService.TASK_SOURCES = TASK_SOURCES;
+
+module.exports = TaskService;
@@ -0,0 +1,287 @@
+/**
+ * services/user-admin-service.js
+ * 使用者帳號管理服務 (User Administration)
+ * * @version 1.3.0
+ * @date 2026-10-19
+ * @description 管理使用者名冊：列表、新增、變更角色/主管/顯示名稱、停用、重設密碼、刪除。
+ * - 讀取經 SystemReader；寫入沿用 SystemService 的 Lookup → Write → Invalidate 流程。
+ * - 重設密碼 (或新增時未指定密碼) 會產生一次性臨時密碼並要求使用者下次登入先變更密碼。
+ * - 保護規則：不能停用/刪除自己或變更自己的角色；至少保留一位啟用中的 admin；主管不可形成循環。
+ * - 停用帳號或重設密碼時 Token 版本 +1，該使用者既有的登入立即失效。
+ * - 管理員指定的密碼須符合密碼規則 (utils/password-policy)；系統產生的臨時密碼不受限。
+ * - LINE 綁定 (lineUserId) 可由管理員清除或指定；同一個 LINE 使用者只能綁定一個帳號。
+ * - 所有異動寫入變更紀錄 (entityType = user)，密碼雜湊不落入紀錄。
+ * 依賴注入：SystemReader, SystemService, PermissionService, AuditService
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { assertPasswordPolicy } = require('../utils/password-policy');
+
+const ADMIN_ROLE = 'admin';
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{2,64}$/;
+
+const sameUsername = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+class UserAdminService {
+    /**
+     * @param {Object} dependencies
+     * @param {SystemReader} dependencies.systemReader
+     * @param {SystemService} dependencies.systemService
+     * @param {PermissionService} dependencies.permissionService - 取得可用角色 (含「角色權限」工作表自訂角色)
+     * @param {AuditService} [dependencies.auditService]
+     */
+    constructor({ systemReader, systemService, permissionService, auditService }) {
+        this.systemReader = systemReader;
+        this.systemService = systemService;
+        this.permissionService = permissionService;
+        this.auditService = auditService;
+    }
+
+    /**
+     * 取得使用者列表 (不含密碼雜湊)
+     * @returns {Promise<Array<Object>>}
+     */
+    async listUsers() {
+        const users = await this.systemReader.getUsers();
+        return users.map(user => this._toDto(user));
+    }
+
+    /**
+     * 可指派的角色代碼
+     * @returns {Promise<Array<string>>}
+     */
+    async getRoles() {
+        const rolePermissions = await this.permissionService.getRolePermissions();
+        return [...new Set([...config.PERMISSIONS.ROLES, ...Object.keys(rolePermissions)])];
+    }
+
+    /**
+     * 新增使用者
+     * @param {Object} data - { username, displayName, role, manager, password? }
+     * @param {Object} operator - req.user
+     * @returns {Promise<{user: Object, temporaryPassword?: string}>}
+     */
+    async createUser(data, operator) {
+        const username = String(data.username || '').trim();
+        if (!USERNAME_PATTERN.test(username)) {
+            throw this._clientError('帳號須為 2-64 個英數字或 . _ @ - 字元');
+        }
+
+        const users = await this.systemReader.getUsers();
+        if (users.some(u => sameUsername(u.username, username))) {
+            throw this._clientError(`帳號 ${username} 已存在`, 409);
+        }
+
+        const profile = {
+            displayName: String(data.displayName || '').trim() || username,
+            role: await this._validateRole(data.role || config.PERMISSIONS.DEFAULT_ROLE),
+            manager: this._validateManager(username, data.manager, users),
+            disabled: false,
+            lastLogin: ''
+        };
+
+        const { password, temporaryPassword } = this._resolvePassword(data.password, username);
+        const record = { username, ...profile, mustChangePassword: !!temporaryPassword };
+
+        await this.systemService.createUser({ ...record, passwordHash: this._hash(password) });
+        await this._audit('recordCreate', username, record, operator);
+
+        console.log(`👤 [UserAdmin] ${this._actor(operator)} 新增使用者 ${username} (${profile.role})`);
+        return { user: this._toDto(record), temporaryPassword };
+    }
+
+    /**
+     * 更新使用者資料 (顯示名稱 / 角色 / 主管 / 停用 / LINE 綁定)
+     * @param {string} username
+     * @param {Object} changes - { displayName?, role?, manager?, disabled?, lineUserId? ('' 為解除綁定) }
+     * @param {Object} operator - req.user
+     */
+    async updateUser(username, changes, operator) {
+        const users = await this.systemReader.getUsers();
+        const user = this._findUser(users, username);
+        const isSelf = operator && sameUsername(operator.username, user.username);
+
+        const next = { ...user };
+        if (changes.displayName !== undefined) {
+            next.displayName = String(changes.displayName).trim() || user.username;
+        }
+        if (changes.role !== undefined) {
+            next.role = await this._validateRole(changes.role);
+        }
+        if (changes.manager !== undefined) {
+            next.manager = this._validateManager(user.username, changes.manager, users);
+        }
+        if (changes.disabled !== undefined) {
+            next.disabled = changes.disabled === true || changes.disabled === 'true';
+        }
+        if (changes.lineUserId !== undefined) {
+            next.lineUserId = this._validateLineUserId(user.username, changes.lineUserId, users);
+        }
+
+        if (isSelf && next.role !== user.role) throw this._clientError('不能變更自己的角色');
+        if (isSelf && next.disabled && !user.disabled) throw this._clientError('不能停用自己的帳號');
+        this._assertAdminRemains(users, user, next);
+        if (next.disabled && !user.disabled) next.tokenVersion = (user.tokenVersion || 0) + 1;
+
+        await this.systemService.updateUser(user.username, next);
+        await this._audit('recordUpdate', user.username, this._toDto(user), this._toDto(next), operator);
+
+        return this._toDto(next);
+    }
+
+    /**
+     * 重設密碼 (未指定密碼時產生臨時密碼)；使用者下次登入須先變更密碼
+     * @param {string} username
+     * @param {string} [password]
+     * @param {Object} operator - req.user
+     * @returns {Promise<{temporaryPassword?: string}>}
+     */
+    async resetPassword(username, password, operator) {
+        const users = await this.systemReader.getUsers();
+        const user = this._findUser(users, username);
+        const resolved = this._resolvePassword(password, user.username);
+
+        await this.systemService.updateUserPassword(user.username, this._hash(resolved.password));
+        await this.systemService.updateUser(user.username, {
+            ...user,
+            mustChangePassword: true,
+            tokenVersion: (user.tokenVersion || 0) + 1
+        });
+        await this._audit('recordUpdate', user.username, this._toDto(user), { password: '已重設', mustChangePassword: true }, operator);
+
+        console.log(`🔑 [UserAdmin] ${this._actor(operator)} 重設 ${user.username} 的密碼`);
+        return { temporaryPassword: resolved.temporaryPassword };
+    }
+
+    /**
+     * 刪除使用者 (仍有下屬時須先調整下屬的主管)
+     * @param {string} username
+     * @param {Object} operator - req.user
+     */
+    async deleteUser(username, operator) {
+        const users = await this.systemReader.getUsers();
+        const user = this._findUser(users, username);
+
+        if (operator && sameUsername(operator.username, user.username)) {
+            throw this._clientError('不能刪除自己的帳號');
+        }
+        this._assertAdminRemains(users, user, null);
+
+        const subordinates = users.filter(u => sameUsername(u.manager, user.username));
+        if (subordinates.length > 0) {
+            throw this._clientError(`請先調整下屬的主管設定: ${subordinates.map(u => u.username).join(', ')}`);
+        }
+
+        await this.systemService.deleteUser(user.username);
+        await this._audit('recordDelete', user.username, this._toDto(user), operator);
+
+        return { success: true };
+    }
+
+    // --- 內部輔助函式 ---
+
+    _toDto(user) {
+        return {
+            username: user.username,
+            displayName: user.displayName || '',
+            role: user.role || config.PERMISSIONS.DEFAULT_ROLE,
+            manager: user.manager || '',
+            disabled: !!user.disabled,
+            lastLogin: user.lastLogin || '',
+            mustChangePassword: !!user.mustChangePassword,
+            lineUserId: user.lineUserId || ''
+        };
+    }
+
+    _findUser(users, username) {
+        const user = users.find(u => sameUsername(u.username, username));
+        if (!user) throw this._clientError(`找不到使用者: ${username}`, 404);
+        return user;
+    }
+
+    async _validateRole(role) {
+        const normalized = String(role || '').trim().toLowerCase();
+        const roles = await this.getRoles();
+        if (!roles.includes(normalized)) {
+            throw this._clientError(`未定義的角色: ${role} (可用: ${roles.join(', ')})`);
+        }
+        return normalized;
+    }
+
+    /**
+     * 主管須為既有帳號，且不能是自己或自己的下屬 (避免循環)
+     */
+    _validateManager(username, manager, users) {
+        const value = String(manager || '').trim();
+        if (!value) return '';
+
+        const target = users.find(u => sameUsername(u.username, value));
+        if (!target) throw this._clientError(`找不到主管帳號: ${value}`);
+
+        let cursor = target;
+        const visited = new Set();
+        while (cursor && !visited.has(cursor.username.toLowerCase())) {
+            if (sameUsername(cursor.username, username)) {
+                throw this._clientError('主管設定會形成循環 (主管不能是自己或自己的下屬)');
+            }
+            visited.add(cursor.username.toLowerCase());
+            cursor = cursor.manager ? users.find(u => sameUsername(u.username, cursor.manager)) : null;
+        }
+        return target.username;
+    }
+
+    _validateLineUserId(username, lineUserId, users) {
+        const value = String(lineUserId || '').trim();
+        if (!value) return '';
+
+        const owner = users.find(u => u.lineUserId === value && !sameUsername(u.username, username));
+        if (owner) throw this._clientError(`此 LINE 帳號已綁定 ${owner.username}`, 409);
+        return value;
+    }
+
+    /**
+     * 確認異動後仍至少有一位啟用中的 admin
+     * @param {Object|null} next - 異動後的資料；null 代表刪除
+     */
+    _assertAdminRemains(users, user, next) {
+        const wasActiveAdmin = user.role === ADMIN_ROLE && !user.disabled;
+        const staysActiveAdmin = next && next.role === ADMIN_ROLE && !next.disabled;
+        if (!wasActiveAdmin || staysActiveAdmin) return;
+
+        const others = users.filter(u => u.role === ADMIN_ROLE && !u.disabled && !sameUsername(u.username, user.username));
+        if (others.length === 0) throw this._clientError('系統至少需保留一位啟用中的管理員 (admin)');
+    }
+
+    _resolvePassword(password, username) {
+        if (password === undefined || password === null || password === '') {
+            const temporaryPassword = crypto.randomBytes(9).toString('base64').replace(/[+/]/g, 'x');
+            return { password: temporaryPassword, temporaryPassword };
+        }
+        assertPasswordPolicy(password, { username });
+        return { password: String(password) };
+    }
+
+    _hash(password) {
+        return bcrypt.hashSync(password, bcrypt.genSaltSync(10));
+    }
+
+    _actor(operator) {
+        return (operator && (operator.username || operator.name)) || 'System';
+    }
+
+    async _audit(method, username, ...args) {
+        if (!this.auditService) return;
+        await this.auditService[method](AUDIT_ENTITIES.USER, username, ...args);
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = UserAdminService;
@@ -0,0 +1,397 @@
+/**
+ * services/webhook-service.js
+ * 對外 Webhook 服務 (Outbound Webhooks)
+ * * @version 1.0.1
+ * @date 2026-10-19
+ * @description 讓管理員依事件類型訂閱 Webhook，CRM 異動時主動通知 ERP / BI (取代輪詢 lastWriteTimestamp)。
+ * - 以 '*' 訂閱 DomainEventBus，事件符合訂閱類型時 POST JSON：{ id, type, occurredAt, actor, data }，
+ *   data 為事件 payload (內含 Service 回傳的同一份 DTO，例如 opportunity.won 的 opportunity)。
+ * - 簽章：X-CRM-Signature: sha256=HMAC_SHA256(secret, `${X-CRM-Timestamp}.${body}`)；
+ *   另附 X-CRM-Event (事件類型) 與 X-CRM-Delivery (事件 ID，重送時不變，可供接收端去重)。
+ * - 訂閱者只把事件排入背景 (setImmediate)，讀取訂閱與傳送都不延遲 publish 與原本的 API 回應；非 2xx / 逾時 / 連線錯誤依 config.WEBHOOKS 倍增間隔重送，
+ *   每次嘗試寫入「Webhook傳送紀錄」。重送排程存於記憶體，服務重啟後未完成的重送不會續傳。
+ * - 密鑰只在建立與重新產生時回傳；列表僅顯示開頭幾碼。
+ * 依賴注入：WebhookReader, WebhookWriter, AuditService, Config
+ */
+
+const crypto = require('crypto');
+const { EVENTS, EVENT_DESCRIPTIONS } = require('./domain-event-bus');
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+
+const TEST_EVENT_TYPE = 'webhook.test';
+const MAX_NAME_LENGTH = 60;
+const MAX_ERROR_LENGTH = 300;
+
+/**
+ * 計算簽章 (接收端以相同方式驗證，見 tools/webhook-receiver.js)
+ * @param {string} secret
+ * @param {string|number} timestamp - X-CRM-Timestamp (Unix 秒)
+ * @param {string} body - 原始 request body
+ * @returns {string} 'sha256=<hex>'
+ */
+const signPayload = (secret, timestamp, body) =>
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+class WebhookService {
+    /**
+     * @param {Object} dependencies
+     * @param {WebhookReader} dependencies.webhookReader
+     * @param {WebhookWriter} dependencies.webhookWriter
+     * @param {AuditService} [dependencies.auditService]
+     * @param {Object} dependencies.config
+     * @param {Function} [dependencies.fetchImpl] - HTTP client (預設為全域 fetch)
+     */
+    constructor({ webhookReader, webhookWriter, auditService, config, fetchImpl = (...args) => fetch(...args) }) {
+        this.webhookReader = webhookReader;
+        this.webhookWriter = webhookWriter;
+        this.auditService = auditService;
+        this.config = config;
+        this.settings = config.WEBHOOKS;
+        this.fetchImpl = fetchImpl;
+    }
+
+    /**
+     * 訂閱所有領域事件
+     * @param {DomainEventBus} eventBus
+     */
+    register(eventBus) {
+        eventBus.subscribe('*', 'webhooks.dispatch', event => this.dispatch(event));
+    }
+
+    /**
+     * 可訂閱的事件類型
+     * @returns {Array<{type: string, description: string}>}
+     */
+    getEventTypes() {
+        return Object.values(EVENTS).map(type => ({ type, description: EVENT_DESCRIPTIONS[type] || type }));
+    }
+
+    /**
+     * 取得訂閱列表 (密鑰僅顯示開頭)
+     * @returns {Promise<Array<Object>>}
+     */
+    async listWebhooks() {
+        const [webhooks, deliveries] = await Promise.all([
+            this.webhookReader.getWebhooks(),
+            this.webhookReader.getDeliveries()
+        ]);
+        const lastDelivery = new Map();
+        deliveries.forEach(delivery => lastDelivery.set(delivery.webhookId, delivery));
+
+        return webhooks.map(webhook => ({
+            ...this._toDto(webhook),
+            lastDelivery: lastDelivery.get(webhook.webhookId) || null
+        }));
+    }
+
+    /**
+     * 新增訂閱
+     * @param {Object} data - { name, url, eventTypes: string[], enabled? }
+     * @param {Object} operator - req.user
+     * @returns {Promise<{webhook: Object, secret: string}>} secret 僅此一次回傳
+     */
+    async createWebhook(data, operator) {
+        const now = new Date().toISOString();
+        const webhook = {
+            webhookId: `WH${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            name: this._validateName(data.name),
+            url: this._validateUrl(data.url),
+            eventTypes: this._validateEventTypes(data.eventTypes),
+            secret: this._generateSecret(),
+            enabled: data.enabled === undefined ? true : this._toBoolean(data.enabled),
+            creator: this._actor(operator),
+            createTime: now,
+            lastUpdateTime: now
+        };
+
+        await this.webhookWriter.createWebhook(webhook);
+        await this._audit('recordCreate', webhook.webhookId, this._toAuditRecord(webhook), operator);
+
+        console.log(`🔔 [Webhook] ${this._actor(operator)} 新增訂閱 ${webhook.webhookId} → ${webhook.url} (${webhook.eventTypes.join(', ')})`);
+        return { webhook: this._toDto(webhook), secret: webhook.secret };
+    }
+
+    /**
+     * 更新訂閱 (名稱 / 網址 / 事件類型 / 啟用)
+     * @param {string} webhookId
+     * @param {Object} changes
+     * @param {Object} operator - req.user
+     */
+    async updateWebhook(webhookId, changes, operator) {
+        const webhook = await this._findWebhook(webhookId);
+
+        const next = { ...webhook, lastUpdateTime: new Date().toISOString() };
+        if (changes.name !== undefined) next.name = this._validateName(changes.name);
+        if (changes.url !== undefined) next.url = this._validateUrl(changes.url);
+        if (changes.eventTypes !== undefined) next.eventTypes = this._validateEventTypes(changes.eventTypes);
+        if (changes.enabled !== undefined) next.enabled = this._toBoolean(changes.enabled);
+
+        await this.webhookWriter.updateWebhookByRow(webhook.rowIndex, next);
+        await this._audit('recordUpdate', webhook.webhookId, this._toAuditRecord(webhook), this._toAuditRecord(next), operator);
+        return this._toDto(next);
+    }
+
+    /**
+     * 重新產生簽章密鑰 (舊密鑰立即失效)
+     * @returns {Promise<{secret: string}>}
+     */
+    async rotateSecret(webhookId, operator) {
+        const webhook = await this._findWebhook(webhookId);
+        const secret = this._generateSecret();
+
+        await this.webhookWriter.updateWebhookByRow(webhook.rowIndex, { ...webhook, secret, lastUpdateTime: new Date().toISOString() });
+        await this._audit('recordUpdate', webhook.webhookId, { secret: '(舊密鑰)' }, { secret: '已重新產生' }, operator);
+        return { secret };
+    }
+
+    async deleteWebhook(webhookId, operator) {
+        const webhook = await this._findWebhook(webhookId);
+
+        await this.webhookWriter.deleteWebhook(webhook.rowIndex);
+        await this._audit('recordDelete', webhook.webhookId, this._toAuditRecord(webhook), operator);
+        return { success: true };
+    }
+
+    /**
+     * 取得傳送紀錄 (新到舊)
+     * @param {string} [webhookId] - 未指定時回傳所有訂閱的紀錄
+     */
+    async listDeliveries(webhookId) {
+        const deliveries = await this.webhookReader.getDeliveries();
+        return deliveries
+            .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+            .reverse()
+            .slice(0, this.settings.DELIVERY_LIST_LIMIT);
+    }
+
+    /**
+     * 立即送出一筆測試事件 (不重送)，回傳本次傳送結果
+     * @returns {Promise<Object>} 傳送紀錄
+     */
+    async sendTestEvent(webhookId, operator) {
+        const webhook = await this._findWebhook(webhookId);
+        const envelope = {
+            id: `EVT${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            type: TEST_EVENT_TYPE,
+            occurredAt: new Date().toISOString(),
+            actor: { username: operator?.username || '', name: this._actor(operator) },
+            data: { webhookId: webhook.webhookId, message: 'CRM Webhook 測試事件' }
+        };
+        return this._attempt(webhook, envelope, 1, { retry: false });
+    }
+
+    /**
+     * 將領域事件排入背景傳送後立即返回 (不等待讀取訂閱與 HTTP 結果)
+     * @param {Object} event - DomainEventBus 事件信封
+     */
+    dispatch(event) {
+        setImmediate(() => {
+            this._dispatch(event).catch(error => {
+                console.error(`❌ [Webhook] 分派 ${event.type} (${event.id}) 發生未預期錯誤: ${error.message}`);
+            });
+        });
+    }
+
+    // --- 內部輔助函式 ---
+
+    /**
+     * 依訂閱類型找出目標 Webhook 並各自傳送
+     */
+    async _dispatch(event) {
+        const webhooks = await this.webhookReader.getWebhooks();
+        const targets = webhooks.filter(webhook => webhook.enabled && webhook.eventTypes.includes(event.type));
+        if (targets.length === 0) return;
+
+        const envelope = {
+            id: event.id,
+            type: event.type,
+            occurredAt: event.occurredAt,
+            actor: event.actor,
+            data: event.payload
+        };
+        targets.forEach(webhook => {
+            this._attempt(webhook, envelope, 1).catch(error => {
+                console.error(`❌ [Webhook] ${webhook.webhookId} 傳送 ${event.type} 發生未預期錯誤: ${error.message}`);
+            });
+        });
+    }
+
+    /**
+     * 傳送一次並寫入紀錄；失敗且未達上限時排程重送 (重送前重新讀取訂閱，已停用 / 刪除則放棄)
+     */
+    async _attempt(webhook, envelope, attempt, { retry = true } = {}) {
+        const result = await this._send(webhook, envelope);
+        const willRetry = retry && !result.ok && attempt < this.settings.MAX_ATTEMPTS;
+
+        const delivery = {
+            deliveryId: `WD${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            webhookId: webhook.webhookId,
+            eventId: envelope.id,
+            eventType: envelope.type,
+            attempt,
+            status: result.ok ? 'success' : (willRetry ? 'retrying' : 'failed'),
+            httpStatus: result.httpStatus,
+            error: result.error,
+            durationMs: result.durationMs,
+            time: new Date().toISOString()
+        };
+        try {
+            await this.webhookWriter.appendDelivery(delivery);
+        } catch (error) {
+            console.warn(`[Webhook] 無法寫入傳送紀錄 (${webhook.webhookId}): ${error.message}`);
+        }
+
+        if (willRetry) {
+            const delaySeconds = this.settings.RETRY_BASE_DELAY_SECONDS * (2 ** (attempt - 1));
+            console.warn(`⚠️ [Webhook] ${webhook.webhookId} 傳送 ${envelope.type} 失敗 (第 ${attempt} 次: ${result.error || result.httpStatus})，${delaySeconds} 秒後重送`);
+            const timer = setTimeout(() => this._retry(webhook.webhookId, envelope, attempt + 1), delaySeconds * 1000);
+            if (timer.unref) timer.unref();
+        } else if (!result.ok) {
+            console.error(`❌ [Webhook] ${webhook.webhookId} 傳送 ${envelope.type} 失敗: ${result.error || result.httpStatus}`);
+        }
+        return delivery;
+    }
+
+    async _retry(webhookId, envelope, attempt) {
+        try {
+            const webhooks = await this.webhookReader.getWebhooks();
+            const webhook = webhooks.find(w => w.webhookId === webhookId);
+            if (!webhook || !webhook.enabled) {
+                console.warn(`[Webhook] ${webhookId} 已停用或刪除，放棄重送 ${envelope.type} (${envelope.id})`);
+                return;
+            }
+            await this._attempt(webhook, envelope, attempt);
+        } catch (error) {
+            console.error(`❌ [Webhook] ${webhookId} 重送 ${envelope.type} 發生未預期錯誤: ${error.message}`);
+        }
+    }
+
+    /**
+     * 送出簽章後的 JSON (不跟隨轉址；2xx 視為成功)
+     * @returns {Promise<{ok: boolean, httpStatus: number|null, error: string, durationMs: number}>}
+     */
+    async _send(webhook, envelope) {
+        const body = JSON.stringify(envelope);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+
+        try {
+            const response = await this.fetchImpl(webhook.url, {
+                method: 'POST',
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.settings.TIMEOUT_MS),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'TFC-CRM-Webhook/1.0',
+                    'X-CRM-Event': envelope.type,
+                    'X-CRM-Delivery': envelope.id,
+                    'X-CRM-Timestamp': String(timestamp),
+                    [this.settings.SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+                },
+                body
+            });
+            const ok = response.status >= 200 && response.status < 300;
+            return {
+                ok,
+                httpStatus: response.status,
+                error: ok ? '' : `HTTP ${response.status}`,
+                durationMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            const message = error.name === 'TimeoutError' ? `逾時 (${this.settings.TIMEOUT_MS}ms)` : (error.cause?.message || error.message);
+            return { ok: false, httpStatus: null, error: String(message).slice(0, MAX_ERROR_LENGTH), durationMs: Date.now() - startedAt };
+        }
+    }
+
+    async _findWebhook(webhookId) {
+        const webhooks = await this.webhookReader.getWebhooks();
+        const webhook = webhooks.find(w => w.webhookId === webhookId);
+        if (!webhook) throw this._clientError(`找不到 Webhook 訂閱: ${webhookId}`, 404);
+        return webhook;
+    }
+
+    _validateName(name) {
+        const value = String(name || '').trim();
+        if (!value) throw this._clientError('請輸入訂閱名稱');
+        if (value.length > MAX_NAME_LENGTH) throw this._clientError(`訂閱名稱最多 ${MAX_NAME_LENGTH} 個字`);
+        return value;
+    }
+
+    _validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url || '').trim());
+        } catch (error) {
+            throw this._clientError('請輸入有效的網址 (http:// 或 https://)');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw this._clientError('Webhook 網址只支援 http:// 或 https://');
+        }
+        if (parsed.username || parsed.password) {
+            throw this._clientError('Webhook 網址不可包含帳號密碼，請改以簽章驗證來源');
+        }
+        return parsed.toString();
+    }
+
+    _validateEventTypes(eventTypes) {
+        const list = [...new Set((Array.isArray(eventTypes) ? eventTypes : String(eventTypes || '').split(','))
+            .map(type => String(type).trim())
+            .filter(Boolean))];
+        if (list.length === 0) throw this._clientError('請至少選擇一種事件類型');
+
+        const known = new Set(Object.values(EVENTS));
+        const unknown = list.filter(type => !known.has(type));
+        if (unknown.length > 0) throw this._clientError(`未定義的事件類型: ${unknown.join(', ')}`);
+        return list;
+    }
+
+    _generateSecret() {
+        return this.settings.SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+    }
+
+    _toBoolean(value) {
+        return value === true || value === 'true';
+    }
+
+    _toDto(webhook) {
+        return {
+            webhookId: webhook.webhookId,
+            name: webhook.name,
+            url: webhook.url,
+            eventTypes: webhook.eventTypes,
+            enabled: webhook.enabled,
+            secretHint: webhook.secret ? `${webhook.secret.slice(0, this.settings.SECRET_PREFIX.length + 4)}…` : '',
+            creator: webhook.creator,
+            createTime: webhook.createTime,
+            lastUpdateTime: webhook.lastUpdateTime
+        };
+    }
+
+    _toAuditRecord(webhook) {
+        return {
+            name: webhook.name,
+            url: webhook.url,
+            eventTypes: webhook.eventTypes.join(','),
+            enabled: webhook.enabled
+        };
+    }
+
+    _actor(operator) {
+        return (operator && (operator.name || operator.username)) || 'System';
+    }
+
+    async _audit(method, webhookId, ...args) {
+        if (!this.auditService) return;
+        await this.auditService[method](AUDIT_ENTITIES.WEBHOOK, webhookId, ...args);
+    }
+
+    _clientError(message, statusCode = 400) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+WebhookService.signPayload = signPayload;
+
+module.exports = WebhookService;
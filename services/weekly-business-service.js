@@ -2,28 +2,33 @@
 /**
  * services/weekly-business-service.js
  * 週間業務邏輯服務 (Service Layer)
- * * @version 7.8.0 (Phase 7-3: Sheet Retirement)
+ * * @version 7.12.0 (Change Stream)
  * @description 
  * [Phase 7-3 Refactor]
  * 1. Removed WeeklyBusinessWriter dependency entirely.
  * 2. Create/Update/Delete -> Strict SQL Only.
- * 3. Read -> SQL First + Sheet Fallback (Read-Only).
+ * 3. Read -> WeeklyBusinessRepository (config.DATA_SOURCES.WEEKLY), Sheet is Read-Only.
+ * 4. Create/Update/Delete are recorded field-by-field via AuditService (write-payload keys).
+ * 5. Create / Update / Delete publish weekly.entry* on the DomainEventBus (Update / Delete carry the weekId for live views).
  */
 
+const { ENTITIES: AUDIT_ENTITIES } = require('./audit-service');
+const { EVENTS } = require('./domain-event-bus');
+
 class WeeklyBusinessService {
     constructor({ 
-        weeklyBusinessReader, 
-        weeklyBusinessSqlReader, 
+        weeklyBusinessRepository, 
         // weeklyBusinessWriter, // [Removed Phase 7-3]
         weeklyBusinessSqlWriter,
         dateHelpers, 
         calendarService, 
         systemReader,
         opportunityService, 
-        config 
+        config,
+        auditService = null,
+        eventBus = null
     }) {
-        this.weeklyBusinessReader = weeklyBusinessReader;
-        this.weeklyBusinessSqlReader = weeklyBusinessSqlReader;
+        this.weeklyBusinessRepository = weeklyBusinessRepository;
         // this.weeklyBusinessWriter = weeklyBusinessWriter; // [Removed Phase 7-3]
         this.weeklyBusinessSqlWriter = weeklyBusinessSqlWriter;
         this.dateHelpers = dateHelpers;
@@ -31,6 +36,8 @@ class WeeklyBusinessService {
         this.systemReader = systemReader;
         this.opportunityService = opportunityService;
         this.config = config;
+        this.auditService = auditService;
+        this.eventBus = eventBus;
     }
 
     // ============================================================
@@ -38,27 +45,12 @@ class WeeklyBusinessService {
     // ============================================================
 
     async _fetchInternal(mode) {
-        try {
-            if (this.weeklyBusinessSqlReader) {
-                if (mode === 'SUMMARY' || mode === 'ENTRIES') {
-                     const sqlEntries = await this.weeklyBusinessSqlReader.getWeeklyBusinessEntries();
-                     
-                     if (mode === 'SUMMARY') {
-                         return sqlEntries;
-                     }
-                     return sqlEntries.map(entry => this._normalizeEntry(entry));
-                }
-            }
-        } catch (error) {
-            console.warn(`[WeeklyService] SQL Read Failed, falling back to Sheet: ${error.message}`);
-        }
-
         if (mode === 'SUMMARY') {
-            return this.weeklyBusinessReader.getWeeklySummary();
+            return this.weeklyBusinessRepository.getWeeklySummary();
         }
 
         if (mode === 'ENTRIES') {
-            const rawEntries = await this.weeklyBusinessReader.getAllEntries();
+            const rawEntries = await this.weeklyBusinessRepository.getAllEntries();
             return rawEntries.map(entry => this._normalizeEntry(entry));
         }
 
@@ -102,6 +94,30 @@ class WeeklyBusinessService {
         };
     }
 
+    /**
+     * 變更紀錄用的寫入前快照，轉為與寫入 payload 相同的欄位名稱 (讀取失敗不影響寫入)
+     */
+    async _getEntrySnapshot(recordId) {
+        if (!this.auditService && !this.eventBus) return null;
+        try {
+            const entries = await this._fetchInternal('ENTRIES');
+            const entry = entries.find(e => e.recordId === recordId);
+            if (!entry) return null;
+            return {
+                date: entry.date,
+                weekId: entry.weekId,
+                category: entry.category,
+                theme: entry['主題'],
+                participants: entry['參與人員'],
+                summary: entry['重點摘要'],
+                todo: entry['待辦事項']
+            };
+        } catch (error) {
+            console.warn(`[WeeklyService] 無法取得週報快照 (${recordId}): ${error.message}`);
+            return null;
+        }
+    }
+
     // ============================================================
     //  Public Methods
     // ============================================================
@@ -320,8 +336,10 @@ class WeeklyBusinessService {
     /**
      * [Phase 7-3] Create -> SQL Only (Strict)
      * Removed Sheet Writer fallback.
+     * @param {Object} data
+     * @param {Object} [user] - req.user (event actor); falls back to data.creator
      */
-    async createWeeklyBusinessEntry(data) {
+    async createWeeklyBusinessEntry(data, user = null) {
         const entryDate = new Date(data.date || new Date());
         const weekId = this.dateHelpers.getWeekId(entryDate);
         
@@ -336,13 +354,24 @@ class WeeklyBusinessService {
             throw new Error('[WeeklyService] WeeklyBusinessSqlWriter not configured. Create failed.');
         }
 
-        return this.weeklyBusinessSqlWriter.createEntry(fullData, creator);
+        const result = await this.weeklyBusinessSqlWriter.createEntry(fullData, creator);
+        const { userId, creator: _creator, ...entry } = fullData;
+        if (this.auditService && result.id) {
+            await this.auditService.recordCreate(AUDIT_ENTITIES.WEEKLY, result.id, entry, creator);
+        }
+        if (this.eventBus && result.id) {
+            await this.eventBus.publish(EVENTS.WEEKLY_ENTRY_CREATED, { recordId: result.id, entry }, { username: user?.username, name: creator });
+        }
+        return result;
     }
 
     /**
      * [Phase 7-3] Update -> SQL Only (Strict)
+     * @param {string} recordId
+     * @param {Object} data
+     * @param {Object} [user] - req.user (event actor); falls back to data.creator
      */
-    async updateWeeklyBusinessEntry(recordId, data) {
+    async updateWeeklyBusinessEntry(recordId, data, user = null) {
         try {
             const modifier = data.creator || 'System';
             
@@ -351,7 +380,19 @@ class WeeklyBusinessService {
             }
 
             // Direct SQL Update without prior Sheet lookup
-            return await this.weeklyBusinessSqlWriter.updateEntry(recordId, data, modifier);
+            const before = await this._getEntrySnapshot(recordId);
+            const result = await this.weeklyBusinessSqlWriter.updateEntry(recordId, data, modifier);
+            if (this.auditService) {
+                const { userId, creator, ...changes } = data;
+                await this.auditService.recordUpdate(AUDIT_ENTITIES.WEEKLY, recordId, before, changes, modifier);
+            }
+            if (this.eventBus) {
+                const { userId, creator, ...changes } = data;
+                const previousWeekId = before?.weekId || '';
+                const weekId = data.date ? this.dateHelpers.getWeekId(new Date(data.date)) : previousWeekId;
+                await this.eventBus.publish(EVENTS.WEEKLY_ENTRY_UPDATED, { recordId, weekId, previousWeekId, changes }, { username: user?.username, name: modifier });
+            }
+            return result;
         } catch (error) {
             console.error('[WeeklyService] updateWeeklyBusinessEntry Error:', error);
             throw error;
@@ -361,14 +402,22 @@ class WeeklyBusinessService {
     /**
      * [Phase 7-3] Delete -> SQL Only (Strict)
      */
-    async deleteWeeklyBusinessEntry(recordId) {
+    async deleteWeeklyBusinessEntry(recordId, user) {
         try {
             if (!this.weeklyBusinessSqlWriter) {
                 throw new Error('[WeeklyService] WeeklyBusinessSqlWriter not configured. Delete failed.');
             }
 
             // Direct SQL Delete without prior Sheet lookup
-            return await this.weeklyBusinessSqlWriter.deleteEntry(recordId);
+            const before = await this._getEntrySnapshot(recordId);
+            const result = await this.weeklyBusinessSqlWriter.deleteEntry(recordId);
+            if (this.auditService) {
+                await this.auditService.recordDelete(AUDIT_ENTITIES.WEEKLY, recordId, before, user);
+            }
+            if (this.eventBus) {
+                await this.eventBus.publish(EVENTS.WEEKLY_ENTRY_DELETED, { recordId, weekId: before?.weekId || '' }, user);
+            }
+            return result;
         } catch (error) {
             console.error('[WeeklyService] deleteWeeklyBusinessEntry Error:', error);
             throw error;
@@ -1,22 +1,60 @@
 /**
  * services/workflow-service.js
  * 工作流程服務
- * * @version 5.0.0 (Phase 5 Refactoring)
- * @date 2026-01-09
+ * * @version 5.5.1 (Legacy Stage Fallback)
+ * @date 2026-10-19
  * @description 負責處理跨模組的複雜業務流程，例如「機會轉訂單」、「聯絡人升級」等。
- * 依賴注入：OpportunityService, InteractionService, ContactService
+ * 結案與初始階段取自系統設定「機會階段」的類型 (won / lost / open)；尚未設定該類型時沿用舊版階段名稱。
+ * 結案發布 opportunity.closed (結案互動紀錄由訂閱者寫入)；潛在客戶升級為機會時發布 contact.upgraded。
+ * 依賴注入：OpportunityService, InteractionService, ContactService, SystemReader, DomainEventBus
  */
 
+const config = require('../config');
+const { STAGE_TYPES, getDefaultStage } = require('../utils/pipeline-stages');
+const { EVENTS } = require('./domain-event-bus');
+const RecordVisibilityService = require('./record-visibility-service');
+
 class WorkflowService {
     /**
      * @param {OpportunityService} opportunityService
      * @param {InteractionService} interactionService
      * @param {ContactService} contactService
+     * @param {SystemReader} systemReader
+     * @param {DomainEventBus} [eventBus]
      */
-    constructor(opportunityService, interactionService, contactService) {
+    constructor(opportunityService, interactionService, contactService, systemReader, eventBus = null) {
         this.opportunityService = opportunityService;
         this.interactionService = interactionService;
         this.contactService = contactService;
+        this.systemReader = systemReader;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * 發布領域事件 (user 可為 req.user 或操作者名稱)
+     */
+    async _publish(type, payload, user) {
+        if (!this.eventBus) return;
+        const actor = typeof user === 'string'
+            ? user
+            : { username: user?.username, name: user?.displayName || user?.name || user?.username };
+        await this.eventBus.publish(type, payload, actor);
+    }
+
+    /**
+     * 取得指定類型的第一個階段 (依顯示順序)；未設定時使用 config.PIPELINE.LEGACY_DEFAULT_STAGES
+     * @param {string} stageType - STAGE_TYPES 之一
+     * @returns {Promise<string>}
+     */
+    async _getFirstStageOfType(stageType) {
+        const systemConfig = await this.systemReader.getSystemConfig();
+        const stage = getDefaultStage(systemConfig, stageType);
+        if (!stage) {
+            const error = new Error(`系統設定「機會階段」中尚未設定類型為 ${stageType} 的階段`);
+            error.statusCode = 400;
+            throw error;
+        }
+        return stage;
     }
 
     /**
@@ -27,23 +65,17 @@ class WorkflowService {
      */
     async closeOpportunity(opportunityId, result, user) {
         try {
-            const status = result === 'Won' ? '已成交' : '已結案(失敗)';
+            const stage = await this._getFirstStageOfType(result === 'Won' ? STAGE_TYPES.WON : STAGE_TYPES.LOST);
             
             // 1. 更新機會狀態
             await this.opportunityService.updateOpportunity(
                 opportunityId, 
-                { currentStatus: '已完成', currentStage: status }, 
+                { currentStatus: config.CONSTANTS.OPPORTUNITY_STATUS.COMPLETED, currentStage: stage }, 
                 user
             );
 
-            // 2. 自動建立結案互動紀錄
-            await this.interactionService.createInteraction({
-                opportunityId: opportunityId,
-                eventTitle: `[系統自動] 機會結案 - ${result}`,
-                eventType: '系統紀錄',
-                contentSummary: `使用者 ${user.displayName} 將此機會標記為 ${result}。`,
-                interactionTime: new Date().toISOString()
-            }, user);
+            // 2. 結案互動紀錄由 opportunity.closed 的訂閱者建立
+            await this._publish(EVENTS.OPPORTUNITY_CLOSED, { opportunityId, result, stage }, user);
 
             return { success: true, message: `機會已結案 (${result})` };
         } catch (error) {
@@ -64,14 +96,21 @@ class WorkflowService {
             
             // 2. 如果成功，建立初始機會
             if (contactResult.success && contactResult.id) {
+                const initialStage = await this._getFirstStageOfType(STAGE_TYPES.OPEN);
                 const oppResult = await this.opportunityService.createOpportunity({
                     opportunityName: `${rawContactData.name} - 初始商機`,
                     mainContact: rawContactData.name, // 暫存名稱，理想應存 ID
-                    currentStage: '01_初步接觸'
+                    currentStage: initialStage
                 }, user);
 
                 // 3. 建立關聯 (如果 OpportunityService 有提供此 API)
                 // await this.opportunityService.linkContact(oppResult.id, contactResult.id);
+
+                await this._publish(EVENTS.CONTACT_UPGRADED, {
+                    contactId: contactResult.id,
+                    contactName: rawContactData.name,
+                    opportunityId: oppResult.id
+                }, user);
                 
                 return { 
                     success: true, 
@@ -85,6 +124,62 @@ class WorkflowService {
             throw error;
         }
     }
+
+    /**
+     * 潛在客戶建檔：建立正式聯絡人並標記原始名片為「已建檔」
+     * @param {string} contactId - 潛在客戶 contactId (PC-xxxx)
+     * @param {string} user - 操作者名稱
+     */
+    async fileContact(contactId, user) {
+        try {
+            return await this.contactService.filePotentialContact(contactId, user, 'FILED');
+        } catch (error) {
+            console.error('[WorkflowService] fileContact Error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 潛在客戶升級：建立正式聯絡人、建立機會案件並建立關聯，原始名片標記為「已升級」
+     * @param {string} contactId - 潛在客戶 contactId (PC-xxxx)
+     * @param {Object} opportunityData - 新機會表單資料
+     * @param {string} user - 操作者名稱
+     */
+    async upgradeContactToOpportunity(contactId, opportunityData, user) {
+        try {
+            // 代理操作：新機會的負責業務可能不在操作者範圍內，關聯步驟明確以系統身分執行
+            const operator = RecordVisibilityService.asSystem({ displayName: user });
+            const filed = await this.contactService.filePotentialContact(contactId, user, 'UPGRADED');
+
+            // 舊前端會把 rowIndex 夾帶在表單中，不可寫入機會欄位
+            const { rowIndex, ...oppData } = opportunityData || {};
+            const oppResult = await this.opportunityService.createOpportunity({
+                ...oppData,
+                mainContact: oppData.mainContact || filed.name
+            }, operator);
+
+            await this.opportunityService.addContactToOpportunity(
+                oppResult.id,
+                { contactId: filed.contactId, name: filed.name },
+                operator
+            );
+
+            await this._publish(EVENTS.CONTACT_UPGRADED, {
+                contactId: filed.contactId,
+                contactName: filed.name,
+                opportunityId: oppResult.id
+            }, user);
+
+            return {
+                success: true,
+                contactId: filed.contactId,
+                opportunityId: oppResult.id
+            };
+        } catch (error) {
+            console.error('[WorkflowService] upgradeContactToOpportunity Error:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = WorkflowService;
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * test/api-token-service.test.js
+ * ApiTokenService / PermissionService 金鑰範圍測試
+ * @description 驗證建立金鑰時的範圍檢查、驗證後的身分，以及有效權限為「擁有者角色 ∩ 金鑰範圍」。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const ApiTokenService = require('../services/api-token-service');
+const { users, createSystemReader, createPermissionService, createRowStore } = require('./helpers');
+
+function createApiTokenService() {
+    const systemReader = createSystemReader();
+    const permissionService = createPermissionService(systemReader);
+    const tokens = createRowStore();
+    const service = new ApiTokenService({
+        apiTokenReader: { getTokens: tokens.list },
+        apiTokenWriter: { createToken: tokens.create, updateTokenByRow: tokens.updateByRow },
+        systemReader,
+        permissionService,
+        auditService: null,
+        config
+    });
+    const owner = systemReader.roster.find(member => member.username === users.sales.username);
+    return { service, permissionService, owner, tokens: tokens.rows };
+}
+
+test('金鑰驗證後的有效權限為角色權限與範圍的交集', async () => {
+    const { service, permissionService } = createApiTokenService();
+    const { token } = await service.createToken(users.sales, { name: 'report', scopes: ['opportunity:read', 'company:read'] });
+
+    const identity = await service.authenticate(token);
+    assert.equal(identity.username, 'rep');
+    assert.deepEqual(identity.scopes, ['opportunity:read', 'company:read']);
+
+    assert.equal(await permissionService.hasPermission(identity, 'opportunity:read'), true);
+    assert.equal(await permissionService.hasPermission(identity, 'opportunity:write'), false);
+
+    const permissions = await permissionService.getUserPermissions(identity);
+    assert.deepEqual(permissions.sort(), ['company:read', 'opportunity:read']);
+});
+
+test('擁有者角色調降後，金鑰只保留新角色仍具備的權限', async () => {
+    const { service, permissionService, owner } = createApiTokenService();
+    const { token } = await service.createToken(users.sales, { name: 'sync', scopes: ['opportunity:read', 'opportunity:write'] });
+
+    assert.equal(await permissionService.hasPermission(await service.authenticate(token), 'opportunity:write'), true);
+
+    owner.role = 'viewer';
+    const identity = await service.authenticate(token);
+    assert.equal(await permissionService.hasPermission(identity, 'opportunity:write'), false);
+    assert.equal(await permissionService.hasPermission(identity, 'opportunity:read'), true);
+});
+
+test('範圍不得超出擁有者權限、不得為 * 或未定義的權限', async () => {
+    const { service } = createApiTokenService();
+
+    await assert.rejects(
+        service.createToken(users.sales, { name: 'x', scopes: ['opportunity:delete'] }),
+        error => error.statusCode === 403
+    );
+    await assert.rejects(service.createToken(users.admin, { name: 'x', scopes: ['*'] }), error => error.statusCode === 400);
+    await assert.rejects(service.createToken(users.admin, { name: 'x', scopes: ['nope:read'] }), error => error.statusCode === 400);
+    await assert.rejects(service.createToken(users.admin, { name: 'x', scopes: ['apiToken:manage'] }), error => error.statusCode === 400);
+    await assert.rejects(service.createToken(users.admin, { name: 'x', scopes: [] }), error => error.statusCode === 400);
+});
+
+test('金鑰不能用來建立其他金鑰', async () => {
+    const { service } = createApiTokenService();
+    const { token } = await service.createToken(users.sales, { name: 'ci', scopes: ['opportunity:read'] });
+    const identity = await service.authenticate(token);
+
+    await assert.rejects(
+        service.createToken(identity, { name: 'nested', scopes: ['opportunity:read'] }),
+        error => error.statusCode === 403
+    );
+});
+
+test('撤銷、過期或擁有者停用後金鑰失效', async () => {
+    const { service, owner, tokens } = createApiTokenService();
+
+    const revoked = await service.createToken(users.sales, { name: 'a', scopes: ['opportunity:read'] });
+    await service.revokeToken(users.sales, revoked.data.tokenId);
+    assert.equal(await service.authenticate(revoked.token), null);
+
+    const expired = await service.createToken(users.sales, { name: 'b', scopes: ['opportunity:read'], expiresInDays: 1 });
+    tokens.find(t => t.tokenId === expired.data.tokenId).expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.equal(await service.authenticate(expired.token), null);
+
+    const active = await service.createToken(users.sales, { name: 'c', scopes: ['opportunity:read'] });
+    assert.ok(await service.authenticate(active.token));
+    owner.disabled = true;
+    assert.equal(await service.authenticate(active.token), null);
+});
+
+test('未知或格式不符的金鑰驗證失敗', async () => {
+    const { service } = createApiTokenService();
+    assert.equal(await service.authenticate(`${config.AUTH.API_TOKEN.PREFIX}unknown`), null);
+    assert.equal(await service.authenticate('eyJhbGciOi.not-an-api-token'), null);
+});
+
+test('一般登入 (沒有 scopes) 不受金鑰範圍限制', async () => {
+    const { permissionService } = createApiTokenService();
+    assert.equal(await permissionService.hasPermission(users.sales, 'opportunity:write'), true);
+});
@@ -0,0 +1,174 @@
+/**
+ * test/audit-service.test.js
+ * AuditService 查詢權限測試
+ * @description 以記憶體中的變更紀錄儲存驗證 getAuditLogs：實體讀取權限、商品機敏欄位 (config.PRODUCT_ACCESS) 的遮罩，
+ * 以及注入 RecordVisibilityService 時的機會 / 互動紀錄可見範圍。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const AuditService = require('../services/audit-service');
+const RecordVisibilityService = require('../services/record-visibility-service');
+const { users, createSystemReader, createPermissionService, createVisibilityService } = require('./helpers');
+
+const { ENTITIES } = AuditService;
+
+function createAuditLogRepository() {
+    const entries = [];
+    return {
+        entries,
+        async appendAuditLogs(newEntries) { entries.push(...newEntries); },
+        async getAuditLogs({ entityType, entityId } = {}) {
+            return entries.filter(entry =>
+                (!entityType || entry.entityType === entityType) && (!entityId || entry.entityId === entityId)
+            );
+        }
+    };
+}
+
+const OPPORTUNITIES = [
+    { opportunityId: 'OPP-REP', assignee: 'rep' },
+    { opportunityId: 'OPP-REP2', assignee: 'rep2' }
+];
+
+const INTERACTIONS = [
+    { interactionId: 'INT-REP', opportunityId: 'OPP-REP', recorder: 'rep' },
+    { interactionId: 'INT-REP2', opportunityId: 'OPP-REP2', recorder: 'rep2' }
+];
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.withVisibility] - 注入 RecordVisibilityService 與機會 / 互動紀錄資料
+ */
+function createAuditService({ withVisibility = false } = {}) {
+    const auditLogRepository = createAuditLogRepository();
+    const systemReader = createSystemReader();
+    const permissionService = createPermissionService(systemReader);
+    if (!withVisibility) return new AuditService({ auditLogRepository, permissionService });
+
+    return new AuditService({
+        auditLogRepository,
+        permissionService,
+        recordVisibilityService: createVisibilityService({ systemReader, permissionService }),
+        opportunityRepository: { getOpportunities: async () => OPPORTUNITIES },
+        interactionRepository: { getInteractions: async () => INTERACTIONS }
+    });
+}
+
+async function seedRecordChanges(auditService) {
+    for (const { opportunityId } of [...OPPORTUNITIES, { opportunityId: 'OPP-DELETED' }]) {
+        await auditService.recordUpdate(ENTITIES.OPPORTUNITY, opportunityId, { currentStage: 'A' }, { currentStage: 'B' }, 'boss');
+    }
+    for (const { interactionId } of INTERACTIONS) {
+        await auditService.recordUpdate(ENTITIES.INTERACTION, interactionId, { contentSummary: 'a' }, { contentSummary: 'b' }, 'boss');
+    }
+}
+
+async function seedProductChange(auditService) {
+    await auditService.recordUpdate(
+        ENTITIES.PRODUCT, 'PROD1',
+        { name: 'Sensor', cost: '100', priceMtb: '150', priceSi: '180', priceMtu: '200' },
+        { name: 'Sensor v2', cost: '120', priceMtb: '160', priceSi: '190', priceMtu: '210' },
+        'mgr'
+    );
+}
+
+const fieldsOf = (logs) => logs.map(log => log.field).sort();
+
+test('商品成本/價格變更只回傳給具 product:viewCost 的檢視者', async () => {
+    const auditService = createAuditService();
+    await seedProductChange(auditService);
+
+    const salesLogs = await auditService.getAuditLogs({ entity: ENTITIES.PRODUCT, id: 'PROD1' }, users.sales);
+    assert.deepEqual(fieldsOf(salesLogs), ['name', 'priceMtu']);
+
+    const managerLogs = await auditService.getAuditLogs({ entity: ENTITIES.PRODUCT, id: 'PROD1' }, users.manager);
+    assert.deepEqual(fieldsOf(managerLogs), ['cost', 'name', 'priceMtb', 'priceMtu', 'priceSi']);
+});
+
+test('遮罩欄位與 config.PRODUCT_ACCESS.VIEW_PERMISSIONS 一致', async () => {
+    const auditService = createAuditService();
+    await seedProductChange(auditService);
+
+    const salesFields = fieldsOf(await auditService.getAuditLogs({ entity: ENTITIES.PRODUCT }, users.sales));
+    Object.keys(config.PRODUCT_ACCESS.VIEW_PERMISSIONS).forEach(field => {
+        assert.ok(!salesFields.includes(field), `${field} 不應出現在 sales 的變更紀錄`);
+    });
+});
+
+test('未傳入檢視者 (系統內部查詢) 時回傳完整紀錄', async () => {
+    const auditService = createAuditService();
+    await seedProductChange(auditService);
+
+    const logs = await auditService.getAuditLogs({ entity: ENTITIES.PRODUCT, id: 'PROD1' });
+    assert.equal(logs.length, 5);
+});
+
+test('查詢沒有讀取權限的實體類型時回傳 403 PERMISSION_DENIED', async () => {
+    const auditService = createAuditService();
+
+    await assert.rejects(
+        auditService.getAuditLogs({ entity: ENTITIES.USER }, users.sales),
+        error => error.statusCode === 403 && error.code === 'PERMISSION_DENIED' && error.permission === 'user:admin'
+    );
+    await assert.doesNotReject(auditService.getAuditLogs({ entity: ENTITIES.USER }, users.admin));
+});
+
+test('未指定實體類型時，過濾掉檢視者沒有讀取權限的紀錄', async () => {
+    const auditService = createAuditService();
+    await seedProductChange(auditService);
+    await auditService.recordUpdate(ENTITIES.USER, 'rep2', { role: 'sales' }, { role: 'manager' }, 'boss');
+
+    const salesTypes = new Set((await auditService.getAuditLogs({}, users.sales)).map(log => log.entityType));
+    assert.deepEqual([...salesTypes], [ENTITIES.PRODUCT]);
+
+    const adminTypes = new Set((await auditService.getAuditLogs({}, users.admin)).map(log => log.entityType));
+    assert.ok(adminTypes.has(ENTITIES.USER));
+});
+
+test('不支援的實體類型回傳 400', async () => {
+    const auditService = createAuditService();
+    await assert.rejects(
+        auditService.getAuditLogs({ entity: 'nope' }, users.admin),
+        error => error.statusCode === 400
+    );
+});
+
+test('受可見範圍限制的檢視者必須指定實體類型與 ID', async () => {
+    const auditService = createAuditService({ withVisibility: true });
+
+    for (const filters of [{}, { entity: ENTITIES.OPPORTUNITY }]) {
+        await assert.rejects(
+            auditService.getAuditLogs(filters, users.sales),
+            error => error.statusCode === 403 && error.code === 'PERMISSION_DENIED' &&
+                error.permission === RecordVisibilityService.VIEW_ALL_PERMISSION
+        );
+    }
+    await assert.doesNotReject(auditService.getAuditLogs({}, users.admin));
+});
+
+test('看不到 (或已不存在) 的機會不回傳變更紀錄', async () => {
+    const auditService = createAuditService({ withVisibility: true });
+    await seedRecordChanges(auditService);
+
+    const query = (id, user) => auditService.getAuditLogs({ entity: ENTITIES.OPPORTUNITY, id }, user);
+    assert.equal((await query('OPP-REP', users.sales)).length, 1);
+    assert.equal((await query('OPP-REP', users.manager)).length, 1);
+    assert.equal((await query('OPP-REP2', users.sales)).length, 0);
+    assert.equal((await query('OPP-REP2', users.manager)).length, 0);
+    assert.equal((await query('OPP-DELETED', users.sales)).length, 0);
+    assert.equal((await query('OPP-REP2', users.admin)).length, 1);
+    assert.equal((await query('OPP-DELETED', users.admin)).length, 1);
+});
+
+test('看不到的互動紀錄不回傳變更紀錄', async () => {
+    const auditService = createAuditService({ withVisibility: true });
+    await seedRecordChanges(auditService);
+
+    const query = (id, user) => auditService.getAuditLogs({ entity: ENTITIES.INTERACTION, id }, user);
+    assert.equal((await query('INT-REP', users.sales)).length, 1);
+    assert.equal((await query('INT-REP2', users.sales)).length, 0);
+    assert.equal((await query('INT-REP2', users.admin)).length, 1);
+});
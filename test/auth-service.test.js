@@ -0,0 +1,108 @@
+/**
+ * test/auth-service.test.js
+ * AuthService Token 測試
+ * @description 以記憶體中的使用者名冊與工作階段驗證：Refresh Token 輪替與重送偵測、登出、
+ * getRevocationReason 的撤銷判斷 (名冊讀取失敗時一律拒絕)。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const config = require('../config');
+const AuthService = require('../services/auth-service');
+const { createRowStore } = require('./helpers');
+
+config.AUTH.JWT_SECRET = config.AUTH.JWT_SECRET || 'test-secret';
+
+const PASSWORD = 'pw123456';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+function createAuthService({ getUsers } = {}) {
+    const roster = [
+        { rowIndex: 2, username: 'rep', passwordHash: PASSWORD_HASH, displayName: 'Rep', role: 'sales', tokenVersion: 0 }
+    ];
+    const sessions = createRowStore();
+
+    const systemReader = {
+        getUsers: getUsers || (async () => roster),
+        invalidateCache: () => {}
+    };
+    const systemWriter = { updateUserLastLoginByRow: async () => {} };
+    const authSessionReader = { getSessions: sessions.list, invalidateCache: () => {} };
+    const authSessionWriter = {
+        createSession: (session) => sessions.create({ ...session, revokedAt: '' }),
+        updateSessionByRow: sessions.updateByRow
+    };
+
+    const service = new AuthService(systemReader, systemWriter, null, authSessionReader, authSessionWriter, null);
+    return { service, roster, sessions: sessions.rows };
+}
+
+const decode = (token) => jwt.verify(token, config.AUTH.JWT_SECRET);
+
+test('refresh 輪替 Refresh Token，舊 Token 隨即失效', async () => {
+    const { service } = createAuthService();
+    const login = await service.login('rep', PASSWORD);
+
+    const refreshed = await service.refresh(login.refreshToken);
+    assert.notEqual(refreshed.refreshToken, login.refreshToken);
+    assert.equal(decode(refreshed.token).sid, decode(login.token).sid);
+
+    await assert.rejects(service.refresh(login.refreshToken), error => error.statusCode === 401);
+    await assert.doesNotReject(service.refresh(refreshed.refreshToken));
+});
+
+test('寬限時間後重送已輪替的 Refresh Token，撤銷整個工作階段', async () => {
+    const { service, sessions } = createAuthService();
+    const login = await service.login('rep', PASSWORD);
+    const refreshed = await service.refresh(login.refreshToken);
+
+    const graceMs = (config.AUTH.REFRESH_REUSE_GRACE_SECONDS + 1) * 1000;
+    sessions[0].lastRefreshTime = new Date(Date.now() - graceMs).toISOString();
+
+    await assert.rejects(service.refresh(login.refreshToken), error => error.statusCode === 401);
+    assert.ok(sessions[0].revokedAt);
+    await assert.rejects(service.refresh(refreshed.refreshToken), error => error.statusCode === 401);
+    assert.equal(await service.getRevocationReason(decode(refreshed.token)), '已登出');
+});
+
+test('登出後 Access Token 與 Refresh Token 皆失效', async () => {
+    const { service } = createAuthService();
+    const login = await service.login('rep', PASSWORD);
+    assert.equal(await service.getRevocationReason(decode(login.token)), null);
+
+    await service.logout(login.refreshToken);
+    assert.equal(await service.getRevocationReason(decode(login.token)), '已登出');
+    await assert.rejects(service.refresh(login.refreshToken), error => error.statusCode === 401);
+});
+
+test('Token 版本變更或帳號停用時撤銷', async () => {
+    const { service, roster } = createAuthService();
+    const payload = decode((await service.login('rep', PASSWORD)).token);
+
+    roster[0].tokenVersion = 1;
+    assert.equal(await service.getRevocationReason(payload), 'Token 已撤銷');
+
+    roster[0].tokenVersion = 0;
+    roster[0].disabled = true;
+    assert.equal(await service.getRevocationReason(payload), '帳號已停用');
+});
+
+test('使用者名冊為空或讀取失敗時拒絕 Token (開發用身分除外)', async () => {
+    const payload = { username: 'rep', tv: 0 };
+
+    const empty = createAuthService({ getUsers: async () => [] }).service;
+    assert.ok(await empty.getRevocationReason(payload));
+
+    const failing = createAuthService({ getUsers: async () => { throw new Error('Sheets unavailable'); } }).service;
+    assert.ok(await failing.getRevocationReason(payload));
+
+    assert.equal(await failing.getRevocationReason({ username: 'dev', dev: true }), null);
+});
+
+test('名冊中找不到的帳號撤銷', async () => {
+    const { service } = createAuthService();
+    assert.equal(await service.getRevocationReason({ username: 'ghost', tv: 0 }), '帳號不存在');
+});
@@ -0,0 +1,40 @@
+/**
+ * test/base-repository.test.js
+ * BaseRepository 寫入路由測試
+ * @description 驗證只有 SQL 模式寫入 SQL Writer；SHEET 與 SQL_WITH_SHEET_FALLBACK 皆寫入 Sheet (保留前端依賴的 rowIndex)。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BaseRepository = require('../data/base-repository');
+
+const { SOURCE_MODES } = BaseRepository;
+
+function createRepository(mode) {
+    return new BaseRepository({
+        moduleName: 'Test',
+        mode,
+        sheetReader: {},
+        sqlReader: {},
+        sheetWriter: {},
+        sqlWriter: {}
+    });
+}
+
+const writeOnce = (repository) => repository._write('create', { sql: async () => 'SQL', sheet: async () => 'SHEET' });
+
+test('SHEET 與 SQL_WITH_SHEET_FALLBACK 模式寫入 Sheet', async () => {
+    for (const mode of [SOURCE_MODES.SHEET, SOURCE_MODES.SQL_WITH_SHEET_FALLBACK]) {
+        const repository = createRepository(mode);
+        assert.equal(repository.writeTarget, 'SHEET');
+        assert.equal(await writeOnce(repository), 'SHEET');
+        assert.deepEqual(repository.getSourceStatus().writeCount, { SQL: 0, SHEET: 1 });
+    }
+});
+
+test('僅明確設定 SQL 模式時寫入 SQL', async () => {
+    const repository = createRepository(SOURCE_MODES.SQL);
+    assert.equal(repository.writeTarget, 'SQL');
+    assert.equal(await writeOnce(repository), 'SQL');
+});
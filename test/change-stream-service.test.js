@@ -0,0 +1,105 @@
+/**
+ * test/change-stream-service.test.js
+ * ChangeStreamService 權限過濾測試
+ * @description 驗證異動通知只推送給具備該實體讀取權限、且看得到相關機會 (負責業務 / 團隊 / 共享) 的連線，
+ * 找不到機會時只推送給不受限的連線，單一連線推送失敗不影響其他連線，以及每位使用者的連線數上限。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const ChangeStreamService = require('../services/change-stream-service');
+const DomainEventBus = require('../services/domain-event-bus');
+const { users, createSystemReader, createPermissionService, createVisibilityService } = require('./helpers');
+
+const { EVENTS } = DomainEventBus;
+
+const OPPORTUNITIES = [
+    { opportunityId: 'OPP-REP', assignee: 'rep' },
+    { opportunityId: 'OPP-REP2', assignee: 'rep2' }
+];
+
+/**
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.rolePermissions] - 角色權限覆寫 (同權限工作表)
+ * @param {Array<Object>} [options.shares]
+ */
+async function createStream({ rolePermissions = [], shares = [] } = {}) {
+    const systemReader = createSystemReader();
+    systemReader.getRolePermissions = async () => rolePermissions;
+    const permissionService = createPermissionService(systemReader);
+    const service = new ChangeStreamService({
+        opportunityRepository: { getOpportunities: async () => OPPORTUNITIES },
+        recordVisibilityService: createVisibilityService({ systemReader, permissionService, shares }),
+        permissionService,
+        config
+    });
+    const bus = new DomainEventBus({ config });
+    service.register(bus);
+
+    const received = {};
+    for (const [key, user] of Object.entries(users)) {
+        received[key] = [];
+        await service.addClient(user, change => received[key].push(change.id));
+    }
+    return { service, bus, received };
+}
+
+const recipients = (received, id) => Object.keys(received).filter(key => received[key].includes(id));
+
+test('機會異動只推送給看得到該機會的連線 (本人、主管、共享對象、管理員)', async () => {
+    const { bus, received } = await createStream({ shares: [{ opportunityId: 'OPP-REP', sharedWith: 'view' }] });
+
+    await bus.publish(EVENTS.OPPORTUNITY_UPDATED, { opportunityId: 'OPP-REP', before: {}, changes: {} });
+    await bus.publish(EVENTS.OPPORTUNITY_UPDATED, { opportunityId: 'OPP-REP2', before: {}, changes: {} });
+
+    assert.deepEqual(recipients(received, 'OPP-REP'), ['admin', 'manager', 'sales', 'viewer']);
+    assert.deepEqual(recipients(received, 'OPP-REP2'), ['admin', 'otherSales']);
+});
+
+test('關聯機會的其他實體同樣依機會可見範圍過濾；已刪除的機會以事件附帶的資料判斷', async () => {
+    const { bus, received } = await createStream();
+
+    await bus.publish(EVENTS.INTERACTION_CREATED, {
+        interactionId: 'INT1', opportunityId: 'OPP-REP2', companyId: '', interaction: {}
+    });
+    await bus.publish(EVENTS.OPPORTUNITY_DELETED, {
+        opportunityId: 'OPP-GONE', opportunity: { opportunityId: 'OPP-GONE', assignee: 'rep' }
+    });
+    await bus.publish(EVENTS.EVENT_LOG_DELETED, { eventId: 'EV1', opportunityId: 'OPP-UNKNOWN', companyId: '' });
+
+    assert.deepEqual(recipients(received, 'INT1'), ['admin', 'otherSales']);
+    assert.deepEqual(recipients(received, 'OPP-GONE'), ['admin', 'manager', 'sales']);
+    assert.deepEqual(recipients(received, 'EV1'), ['admin']);
+});
+
+test('缺少實體讀取權限的連線收不到該實體的通知', async () => {
+    const { bus, received } = await createStream({
+        rolePermissions: [{ role: 'viewer', permissions: ['opportunity:read'] }]
+    });
+
+    await bus.publish(EVENTS.TASK_CREATED, { taskId: 'T1', task: { title: 'x' } });
+    await bus.publish(EVENTS.COMPANY_UPDATED, { companyId: 'COMP1', companyName: 'ACME', changes: {} });
+
+    assert.deepEqual(recipients(received, 'T1'), ['admin', 'manager', 'sales', 'otherSales']);
+    assert.deepEqual(recipients(received, 'COMP1'), ['admin', 'manager', 'sales', 'otherSales']);
+});
+
+test('單一連線推送失敗不影響其他連線', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { service, bus, received } = await createStream();
+    await service.addClient(users.admin, () => { throw new Error('socket closed'); });
+
+    await bus.publish(EVENTS.COMPANY_CREATED, { companyId: 'COMP2', company: {} });
+
+    assert.deepEqual(recipients(received, 'COMP2'), ['admin', 'manager', 'sales', 'otherSales', 'viewer']);
+});
+
+test('同一使用者的連線數達上限時回傳 429', async () => {
+    const { service } = await createStream();
+    const limit = config.STREAM.MAX_CONNECTIONS_PER_USER;
+
+    for (let i = 1; i < limit; i++) await service.addClient(users.sales, () => {});
+    await assert.rejects(service.addClient(users.sales, () => {}), error => error.statusCode === 429);
+});
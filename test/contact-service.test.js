@@ -0,0 +1,82 @@
+/**
+ * test/contact-service.test.js
+ * 潛在客戶 ID 測試
+ * @description 驗證 ContactReader 推導的潛在客戶 ID 不受可編輯欄位影響，以及 ContactService.resolvePotentialContact
+ * 拒絕列號、重新讀取原始名片表，並在多列對應同一 ID 時拒絕寫入；舊版列號路由由 resolvePotentialContactIdByRow 解析為 ID。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const ContactReader = require('../data/contact-reader');
+const ContactService = require('../services/contact-service');
+
+const F = config.CONTACT_FIELDS;
+
+const buildRow = (values) => {
+    const row = new Array(F.STATUS + 1).fill('');
+    Object.entries(values).forEach(([field, value]) => { row[F[field]] = value; });
+    return row;
+};
+
+test('潛在客戶 ID 由匯入後不變的欄位推導，編輯姓名 / 狀態不換號', () => {
+    const reader = new ContactReader({}, 'RAW_SHEET');
+    const original = buildRow({ TIME: '2026-10-01 10:00', DRIVE_LINK: 'https://drive/1', RAW_TEXT: 'ACME Alice', NAME: 'Alice' });
+    const edited = buildRow({ TIME: '2026-10-01 10:00', DRIVE_LINK: 'https://drive/1', RAW_TEXT: 'ACME Alice', NAME: 'Alice Chen', STATUS: '已建檔' });
+
+    assert.match(reader._derivePotentialContactId(original), /^PC-[0-9a-f]{12}$/);
+    assert.equal(reader._derivePotentialContactId(original), reader._derivePotentialContactId(edited));
+});
+
+test('同一時間、同一圖檔但辨識原文不同的列取得不同 ID', () => {
+    const reader = new ContactReader({}, 'RAW_SHEET');
+    const a = buildRow({ TIME: '2026-10-01 10:00', RAW_TEXT: 'ACME Alice' });
+    const b = buildRow({ TIME: '2026-10-01 10:00', RAW_TEXT: 'Globex Bob' });
+
+    assert.notEqual(reader._derivePotentialContactId(a), reader._derivePotentialContactId(b));
+});
+
+function createContactService(contacts) {
+    const invalidated = [];
+    const contactRawReader = {
+        invalidateCache: (key) => { invalidated.push(key); },
+        getContacts: async () => contacts
+    };
+    const service = new ContactService(contactRawReader, null, null, null, config, null, null);
+    return { service, invalidated };
+}
+
+test('resolvePotentialContact 以 contactId 定位，並略過快取重新讀取', async () => {
+    const { service, invalidated } = createContactService([
+        { contactId: 'PC-aaaaaaaaaaaa', rowIndex: 2 },
+        { contactId: 'PC-bbbbbbbbbbbb', rowIndex: 3 }
+    ]);
+
+    const contact = await service.resolvePotentialContact('PC-bbbbbbbbbbbb');
+    assert.equal(contact.rowIndex, 3);
+    assert.deepEqual(invalidated, ['contacts']);
+});
+
+test('resolvePotentialContact 拒絕列號 (400)、找不到回傳 404、重複 ID 回傳 409', async () => {
+    const { service } = createContactService([
+        { contactId: 'PC-dddddddddddd', rowIndex: 2 },
+        { contactId: 'PC-dddddddddddd', rowIndex: 5 }
+    ]);
+
+    await assert.rejects(service.resolvePotentialContact('5'), error => error.statusCode === 400);
+    await assert.rejects(service.resolvePotentialContact('PC-none'), error => error.statusCode === 404);
+    await assert.rejects(service.resolvePotentialContact('PC-dddddddddddd'), error => error.statusCode === 409);
+});
+
+test('resolvePotentialContactIdByRow 重新讀取名片表，將舊版列號解析為 contactId', async () => {
+    const { service, invalidated } = createContactService([
+        { contactId: 'PC-aaaaaaaaaaaa', rowIndex: 2 },
+        { contactId: 'PC-bbbbbbbbbbbb', rowIndex: 3 }
+    ]);
+
+    assert.equal(await service.resolvePotentialContactIdByRow('3'), 'PC-bbbbbbbbbbbb');
+    assert.deepEqual(invalidated, ['contacts']);
+    await assert.rejects(service.resolvePotentialContactIdByRow(9), error => error.statusCode === 404);
+    await assert.rejects(service.resolvePotentialContactIdByRow('PC-aaaaaaaaaaaa'), error => error.statusCode === 400);
+});
@@ -0,0 +1,90 @@
+/**
+ * test/domain-event-bus.test.js
+ * DomainEventBus 測試
+ * @description 驗證訂閱者失敗互相隔離且不傳回發布者、失敗的訂閱者於背景重試至上限，
+ * 以及未定義的事件類型 / 缺少必填欄位直接拋出、'*' 訂閱者接收所有事件。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DomainEventBus = require('../services/domain-event-bus');
+
+const { EVENTS } = DomainEventBus;
+
+const createBus = (maxRetries = 2) => new DomainEventBus({
+    config: { DOMAIN_EVENTS: { MAX_RETRIES: maxRetries, RETRY_BASE_DELAY_MS: 1 } }
+});
+
+const taskPayload = { taskId: 'T1', task: { title: 'x' } };
+
+// 重試計時器已 unref，測試需自行等待背景重試完成
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('訂閱者失敗不影響其他訂閱者，也不傳回發布者', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const bus = createBus(0);
+    const received = [];
+    bus.subscribe(EVENTS.TASK_CREATED, 'broken', async () => { throw new Error('boom'); });
+    bus.subscribe(EVENTS.TASK_CREATED, 'logger', async (event) => { received.push(event.payload.taskId); });
+
+    const event = await bus.publish(EVENTS.TASK_CREATED, taskPayload, { username: 'rep', name: 'Rep One' });
+
+    assert.deepEqual(received, ['T1']);
+    assert.deepEqual(event.actor, { username: 'rep', name: 'Rep One' });
+});
+
+test('失敗的訂閱者於背景重試，用盡重試次數後記錄錯誤並停止', async (t) => {
+    const warned = t.mock.method(console, 'warn', () => {});
+    const logged = t.mock.method(console, 'error', () => {});
+    const bus = createBus();
+    let attempts = 0;
+    bus.subscribe(EVENTS.TASK_CREATED, 'flaky', async () => {
+        attempts++;
+        throw new Error('still down');
+    });
+
+    await bus.publish(EVENTS.TASK_CREATED, taskPayload);
+    assert.equal(attempts, 1);
+
+    await sleep(50);
+    assert.equal(attempts, 3);
+    assert.match(warned.mock.calls[1].arguments[0], /2ms 後重試/);
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments[0], /flaky .*已重試 2 次/);
+});
+
+test('重試成功後不再執行', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const bus = createBus();
+    let attempts = 0;
+    bus.subscribe(EVENTS.TASK_CREATED, 'recovering', async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('temporary');
+    });
+
+    await bus.publish(EVENTS.TASK_CREATED, taskPayload);
+    await sleep(50);
+    assert.equal(attempts, 2);
+});
+
+test('未定義的事件類型與缺少必填欄位直接拋出', async () => {
+    const bus = createBus();
+
+    await assert.rejects(bus.publish('task.unknown', taskPayload), /未定義的事件類型/);
+    await assert.rejects(bus.publish(EVENTS.TASK_CREATED, { taskId: 'T1' }), /缺少欄位: task/);
+    assert.throws(() => bus.subscribe('task.unknown', 'x', () => {}), /未定義的事件類型/);
+});
+
+test("'*' 訂閱者接收所有事件，取消訂閱後不再收到", async () => {
+    const bus = createBus();
+    const received = [];
+    const unsubscribe = bus.subscribe('*', 'stream', async (event) => { received.push(event.type); });
+
+    await bus.publish(EVENTS.TASK_CREATED, taskPayload);
+    await bus.publish(EVENTS.TASK_DELETED, taskPayload);
+    unsubscribe();
+    await bus.publish(EVENTS.TASK_COMPLETED, taskPayload);
+
+    assert.deepEqual(received, [EVENTS.TASK_CREATED, EVENTS.TASK_DELETED]);
+});
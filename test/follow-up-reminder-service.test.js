@@ -0,0 +1,140 @@
+/**
+ * test/follow-up-reminder-service.test.js
+ * FollowUpReminderService 測試
+ * @description 驗證 detectAndNotify 以系統身分取得久未互動的機會、找出逾期未結案的機會並通知負責業務
+ * (顯示名稱對應帳號、對應不到者略過)，延後中的提醒不通知、延後到期後重新提醒，同一提醒不重複產生；
+ * 以及延後提醒的天數 / 日期檢查、只能延後看得到的機會。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const FollowUpReminderService = require('../services/follow-up-reminder-service');
+const NotificationService = require('../services/notification-service');
+const { users, createSystemReader, createVisibilityService, createNotificationStore } = require('./helpers');
+
+const { REMINDER_TYPES } = FollowUpReminderService;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Intl.DateTimeFormat('en-CA', { timeZone: config.TIMEZONE }).format(new Date());
+const addDays = (dateString, days) => new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const opportunity = (opportunityId, assignee, extra = {}) => ({
+    opportunityId, opportunityName: opportunityId, assignee, currentStage: 'S1', currentStatus: '進行中',
+    expectedCloseDate: '2000-01-01', ...extra
+});
+
+const OPPORTUNITIES = [
+    opportunity('OPP-STALE', 'rep', { expectedCloseDate: '' }),
+    opportunity('OPP-LATE', 'Rep Two'),
+    opportunity('OPP-WON', 'rep', { currentStage: 'WON' }),
+    opportunity('OPP-CANCELLED', 'rep', { currentStatus: '已取消' }),
+    opportunity('OPP-NOBODY', 'ghost'),
+    opportunity('OPP-SNOOZED', 'rep')
+];
+
+function createFollowUpService() {
+    const systemReader = createSystemReader();
+    systemReader.getSystemConfig = async () => ({
+        '機會階段': [{ value: 'S1', note: '初步接觸', order: 1 }, { value: 'WON', order: 2, value3: 'won' }]
+    });
+    const recordVisibilityService = createVisibilityService({ systemReader });
+    const store = createNotificationStore({
+        snoozes: [{ username: 'rep', opportunityId: 'OPP-SNOOZED', until: addDays(today(), 3), createTime: new Date().toISOString() }]
+    });
+    const notificationService = new NotificationService({
+        notificationReader: store.reader,
+        notificationWriter: store.writer,
+        systemReader,
+        config,
+        fetchImpl: async () => { throw new Error('不應外送'); }
+    });
+
+    const lastInteraction = { opportunityId: 'OPP-STALE', interactionTime: new Date(Date.now() - 10 * DAY_MS).toISOString() };
+    const scopes = [];
+    const service = new FollowUpReminderService({
+        opportunityReader: { getOpportunities: async () => OPPORTUNITIES },
+        interactionReader: { getInteractions: async () => [lastInteraction] },
+        systemReader,
+        dashboardService: {
+            getFollowUpOpportunities: async (actor) => {
+                scopes.push(await recordVisibilityService.getScope(actor));
+                return [OPPORTUNITIES[0]];
+            }
+        },
+        notificationService,
+        notificationReader: store.reader,
+        notificationWriter: store.writer,
+        recordVisibilityService,
+        config
+    });
+    return { service, store, scopes };
+}
+
+test('通知久未互動與逾期未結案機會的負責業務，略過延後中與對應不到負責業務者', async () => {
+    const { service, store, scopes } = createFollowUpService();
+
+    const summary = await service.detectAndNotify();
+
+    assert.equal(scopes[0].unrestricted, true);
+    const { delivery, ...counts } = summary;
+    assert.deepEqual(counts, { stale: 1, closeDatePassed: 3, snoozed: 1, unassigned: 1, notified: 2 });
+    // 沒有 immediate 外送設定的使用者
+    assert.deepEqual(delivery, { users: 0, sent: 0, failed: 0 });
+    assert.deepEqual(
+        store.notifications.map(n => [n.recipient, n.type, n.opportunityId]),
+        [['rep', REMINDER_TYPES.STALE, 'OPP-STALE'], ['rep2', REMINDER_TYPES.CLOSE_DATE_PASSED, 'OPP-LATE']]
+    );
+    assert.match(store.notifications[0].title, /已 10 天未互動/);
+    assert.match(store.notifications[1].message, /初步接觸/);
+});
+
+test('同一提醒不重複產生；延後到期後重新提醒', async () => {
+    const { service, store } = createFollowUpService();
+    await service.detectAndNotify();
+
+    assert.equal((await service.detectAndNotify()).notified, 0);
+
+    store.snoozes.push({
+        rowIndex: store.snoozes.length + 2, username: 'rep2', opportunityId: 'OPP-LATE',
+        until: addDays(today(), -1), createTime: new Date(Date.now() + 1000).toISOString()
+    });
+    const summary = await service.detectAndNotify();
+    assert.equal(summary.notified, 1);
+    assert.equal(store.notifications.filter(n => n.opportunityId === 'OPP-LATE').length, 2);
+});
+
+test('延後提醒：更新同一筆延後紀錄，並將該機會的通知標為已讀', async () => {
+    const { service, store } = createFollowUpService();
+    await service.detectAndNotify();
+
+    await service.snoozeOpportunity('OPP-STALE', { days: 3 }, users.sales);
+    const result = await service.snoozeOpportunity('OPP-STALE', { until: addDays(today(), 5) }, users.sales);
+
+    assert.equal(result.until, addDays(today(), 5));
+    assert.equal(store.snoozes.filter(s => s.opportunityId === 'OPP-STALE').length, 1);
+    assert.ok(store.notifications.find(n => n.opportunityId === 'OPP-STALE').readTime);
+    assert.deepEqual((await service.getSnoozes(users.sales)).map(s => s.opportunityId), ['OPP-SNOOZED', 'OPP-STALE']);
+});
+
+test('延後天數 / 日期超出範圍回傳 400，看不到的機會回傳 404', async () => {
+    const { service } = createFollowUpService();
+    const maxDays = config.FOLLOW_UP.MAX_SNOOZE_DAYS;
+    const isBadRequest = (error) => error.statusCode === 400;
+
+    for (const options of [{ days: 0 }, { days: maxDays + 1 }, { days: 1.5 }, { until: addDays(today(), -1) }, { until: '2026/12/01' }]) {
+        await assert.rejects(service.snoozeOpportunity('OPP-STALE', options, users.sales), isBadRequest);
+    }
+    await assert.doesNotReject(service.snoozeOpportunity('OPP-STALE', { days: maxDays }, users.sales));
+    await assert.rejects(service.snoozeOpportunity('OPP-LATE', { days: 1 }, users.sales), error => error.statusCode === 404);
+});
+
+test('取消延後提醒；沒有延後紀錄時回傳 404', async () => {
+    const { service, store } = createFollowUpService();
+
+    await service.unsnoozeOpportunity('OPP-SNOOZED', users.sales);
+
+    assert.equal(store.snoozes.length, 0);
+    await assert.rejects(service.unsnoozeOpportunity('OPP-SNOOZED', users.sales), error => error.statusCode === 404);
+});
@@ -0,0 +1,98 @@
+/**
+ * test/funnel-analysis-service.test.js
+ * 銷售漏斗分析測試
+ * @description 驗證 getFunnelData 的到達件數與階段轉換率、流失點 (含已取消)、依變更紀錄計算的停留天數，
+ * 以及 aging 只計入進行中案件的目前階段，建立時間篩選包含 from / to 當日。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const FunnelAnalysisService = require('../services/funnel-analysis-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYSTEM_CONFIG = {
+    '機會階段': [
+        { value: 'S1', order: 1 },
+        { value: 'S2', order: 2 },
+        { value: 'S3', order: 3 },
+        { value: 'WON', order: 4, value3: 'won' },
+        { value: 'LOST', order: 5, value3: 'lost' }
+    ]
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const stageChange = (opportunityId, from, to, timestamp) => ({
+    entityId: opportunityId, action: 'update', field: 'currentStage', oldValue: from, newValue: to, timestamp
+});
+
+function createService(opportunities, stageChanges = []) {
+    return new FunnelAnalysisService({
+        opportunityReader: { getOpportunities: async () => opportunities },
+        systemReader: { getSystemConfig: async () => SYSTEM_CONFIG },
+        auditService: { getFieldChanges: async () => stageChanges },
+        config
+    });
+}
+
+const stepOf = (data, stage) => data.funnel.find(step => step.stage === stage);
+
+test('到達件數取最遠階段，轉換率為下一步到達數 / 本步到達數', async () => {
+    const data = await createService([
+        { opportunityId: 'WON1', currentStage: 'WON', createdTime: daysAgo(30) },
+        { opportunityId: 'LOST1', currentStage: 'LOST', stageHistory: 'C:S1,C:S2', createdTime: daysAgo(30) },
+        { opportunityId: 'OPEN1', currentStage: 'S1', createdTime: daysAgo(5) },
+        { opportunityId: 'CANCEL1', currentStage: 'S1', currentStatus: '已取消', createdTime: daysAgo(5) }
+    ]).getFunnelData();
+
+    assert.deepEqual(
+        data.funnel.map(({ stage, reached, lost, conversionRate }) => ({ stage, reached, lost, conversionRate })),
+        [
+            { stage: 'S1', reached: 4, lost: 1, conversionRate: 50 },
+            { stage: 'S2', reached: 2, lost: 1, conversionRate: 50 },
+            { stage: 'S3', reached: 1, lost: 0, conversionRate: 100 },
+            { stage: '__won__', reached: 1, lost: 0, conversionRate: null }
+        ]
+    );
+    assert.equal(stepOf(data, 'S1').current, 1);
+    assert.deepEqual(data.totals, { opportunities: 4, won: 1, lost: 2, open: 1, winRate: 33.3 });
+    assert.deepEqual(data.dropOffs.map(d => [d.stage, d.lostRate]), [['S1', 25], ['S2', 50]]);
+});
+
+test('已離開的階段計入停留天數；aging 只計入進行中案件的目前階段', async () => {
+    const data = await createService([
+        { opportunityId: 'WON1', currentStage: 'WON', createdTime: daysAgo(20) },
+        { opportunityId: 'OPEN1', currentStage: 'S2', createdTime: daysAgo(8) },
+        { opportunityId: 'LOST1', currentStage: 'LOST', createdTime: daysAgo(40) }
+    ], [
+        stageChange('WON1', 'S1', 'S2', daysAgo(18)),
+        stageChange('WON1', 'S2', 'WON', daysAgo(14)),
+        stageChange('OPEN1', 'S1', 'S2', daysAgo(3))
+    ]).getFunnelData();
+
+    assert.deepEqual(stepOf(data, 'S1').duration, { count: 2, averageDays: 3.5, medianDays: 3.5, maxDays: 5 });
+    assert.deepEqual(stepOf(data, 'S2').duration, { count: 1, averageDays: 4, medianDays: 4, maxDays: 4 });
+    assert.equal(stepOf(data, 'S1').aging.count, 0);
+    assert.deepEqual(stepOf(data, 'S2').aging, { count: 1, averageDays: 3, medianDays: 3, maxDays: 3 });
+    assert.equal(stepOf(data, '__won__').aging.count, 0);
+    assert.equal(data.coverage.withStageTransitions, 2);
+});
+
+test('建立時間篩選包含 from 與 to 當日，格式錯誤或顛倒的期間回傳 400', async () => {
+    const service = createService([
+        { opportunityId: 'BEFORE', currentStage: 'S1', createdTime: '2026-09-30T23:59:59' },
+        { opportunityId: 'FIRST', currentStage: 'S1', createdTime: '2026-10-01T00:00:00' },
+        { opportunityId: 'LAST', currentStage: 'S1', createdTime: '2026-10-31T23:59:59' },
+        { opportunityId: 'AFTER', currentStage: 'S1', createdTime: '2026-11-01T00:00:00' },
+        { opportunityId: 'NODATE', currentStage: 'S1', createdTime: '' }
+    ]);
+
+    const data = await service.getFunnelData({ from: '2026-10-01', to: '2026-10-31' });
+    assert.equal(data.coverage.opportunities, 2);
+
+    await assert.rejects(service.getFunnelData({ from: '2026/10/01' }), error => error.statusCode === 400);
+    await assert.rejects(service.getFunnelData({ from: '2026-10-31', to: '2026-10-01' }), error => error.statusCode === 400);
+});
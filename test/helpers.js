@@ -0,0 +1,138 @@
+/**
+ * test/helpers.js
+ * 測試共用資料與替身
+ * @description 各服務測試共用的使用者名冊 (mgr 管理 rep，rep2 為其他團隊)、登入身分，
+ * 以及以記憶體陣列實作的 SystemReader、PermissionService、RecordVisibilityService、「列」儲存 (rowIndex 由 2 起算，同 Sheet)
+ * 與通知 / 通知設定 / 延後提醒儲存。
+ */
+
+const config = require('../config');
+const PermissionService = require('../services/permission-service');
+const RecordVisibilityService = require('../services/record-visibility-service');
+
+const ROSTER = Object.freeze([
+    { username: 'boss', displayName: 'Boss', role: 'admin', manager: '' },
+    { username: 'mgr', displayName: 'Manager', role: 'manager', manager: '' },
+    { username: 'rep', displayName: 'Rep One', role: 'sales', manager: 'mgr' },
+    { username: 'rep2', displayName: 'Rep Two', role: 'sales', manager: '' },
+    { username: 'view', displayName: 'Viewer', role: 'viewer', manager: '' }
+].map(member => Object.freeze(member)));
+
+/**
+ * 名冊中成員的登入身分 (同 req.user)
+ * @param {string} username
+ */
+const asUser = (username) => {
+    const member = ROSTER.find(u => u.username === username);
+    if (!member) throw new Error(`測試名冊中沒有 ${username}`);
+    return { username: member.username, name: member.displayName, role: member.role };
+};
+
+const users = Object.freeze({
+    admin: asUser('boss'),
+    manager: asUser('mgr'),
+    sales: asUser('rep'),
+    otherSales: asUser('rep2'),
+    viewer: asUser('view')
+});
+
+/**
+ * 可修改的名冊副本 (測試調整角色 / 停用帳號時使用，不影響其他測試)
+ */
+const createRoster = () => ROSTER.map(member => ({ ...member }));
+
+/**
+ * @param {Array<Object>} [roster] - 預設為 createRoster()
+ */
+function createSystemReader(roster = createRoster()) {
+    return {
+        roster,
+        getUsers: async () => roster,
+        getRolePermissions: async () => [],
+        invalidateCache: () => {}
+    };
+}
+
+function createPermissionService(systemReader = createSystemReader()) {
+    return new PermissionService({ systemReader, config });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.systemReader]
+ * @param {PermissionService} [options.permissionService]
+ * @param {Array<{opportunityId: string, sharedWith: string}>} [options.shares] - 機會共享表
+ */
+function createVisibilityService({ systemReader = createSystemReader(), permissionService = null, shares = [] } = {}) {
+    return new RecordVisibilityService({
+        systemReader,
+        permissionService: permissionService || createPermissionService(systemReader),
+        opportunityShareReader: { getShares: async () => shares }
+    });
+}
+
+/**
+ * 記憶體中的「列」儲存，對應 Reader 的 getXxx 與 Writer 的 createXxx / updateXxxByRow
+ * @returns {{rows: Array<Object>, list: Function, create: Function, updateByRow: Function}}
+ */
+function createRowStore() {
+    const rows = [];
+    return {
+        rows,
+        list: async () => rows.map(row => ({ ...row })),
+        create: async (record) => { rows.push({ ...record, rowIndex: rows.length + 2 }); },
+        updateByRow: async (rowIndex, record) => {
+            rows[rows.findIndex(row => row.rowIndex === rowIndex)] = { ...record, rowIndex };
+        }
+    };
+}
+
+/**
+ * 記憶體中的通知、通知設定與延後提醒，對應 NotificationReader / NotificationWriter
+ * @param {Object} [initial] - { notifications, preferences, snoozes } 初始資料 (會補上 rowIndex)
+ * @returns {{notifications: Array<Object>, preferences: Array<Object>, snoozes: Array<Object>, reader: Object, writer: Object}}
+ */
+function createNotificationStore({ notifications = [], preferences = [], snoozes = [] } = {}) {
+    const withRows = (records) => records.map((record, index) => ({ ...record, rowIndex: index + 2 }));
+    const store = {
+        notifications: withRows(notifications),
+        preferences: withRows(preferences),
+        snoozes: withRows(snoozes)
+    };
+    const copy = (records) => async () => records.map(record => ({ ...record }));
+    const save = (records, record) => {
+        const index = records.findIndex(r => r.rowIndex === record.rowIndex);
+        if (record.rowIndex && index >= 0) records[index] = { ...record };
+        else records.push({ ...record, rowIndex: records.length + 2 });
+    };
+
+    store.reader = {
+        getNotifications: copy(store.notifications),
+        getPreferences: copy(store.preferences),
+        getSnoozes: copy(store.snoozes)
+    };
+    store.writer = {
+        appendNotifications: async (records) => { records.forEach(record => save(store.notifications, { ...record, rowIndex: null })); },
+        updateNotificationsByRow: async (records) => { records.forEach(record => save(store.notifications, record)); },
+        savePreference: async (preference) => { save(store.preferences, preference); },
+        saveSnooze: async (snooze) => { save(store.snoozes, snooze); },
+        // 同 Sheet 刪除列：後續列號往前遞補
+        deleteSnooze: async (rowIndex) => {
+            store.snoozes.splice(store.snoozes.findIndex(s => s.rowIndex === rowIndex), 1);
+            store.snoozes.forEach((snooze, index) => { snooze.rowIndex = index + 2; });
+        }
+    };
+    return store;
+}
+
+module.exports = {
+    ROSTER,
+    users,
+    asUser,
+    createRoster,
+    createSystemReader,
+    createPermissionService,
+    createVisibilityService,
+    createRowStore,
+    createNotificationStore
+};
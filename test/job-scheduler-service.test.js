@@ -0,0 +1,149 @@
+/**
+ * test/job-scheduler-service.test.js
+ * JobSchedulerService 執行鎖測試
+ * @description 兩個執行個體共用同一份記憶體中的「排程工作」狀態，驗證同一時段只執行一次、鎖的租期與執行結果，
+ * 以及狀態列於啟動時建立、已有重複列時所有執行個體鎖定同一列。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const JobSchedulerService = require('../services/job-scheduler-service');
+const { createRowStore } = require('./helpers');
+
+const testConfig = { ...config, SCHEDULER: { ...config.SCHEDULER, ENABLED: true, LOCK_SETTLE_MS: 10 } };
+
+function createStateStore() {
+    const store = createRowStore();
+    return {
+        rows: store.rows,
+        reader: { getJobStates: store.list },
+        writer: { createJobState: store.create, updateJobStateByRow: store.updateByRow }
+    };
+}
+
+function createScheduler(store, handler) {
+    const scheduler = new JobSchedulerService({
+        scheduledJobReader: store.reader,
+        scheduledJobWriter: store.writer,
+        auditService: null,
+        config: testConfig
+    });
+    scheduler.define({ id: 'test.job', name: '測試工作', schedule: '* * * * *', handler });
+    return scheduler;
+}
+
+const currentSlot = () => new Date(Date.now() - (Date.now() % 60000));
+
+test('兩個執行個體同時觸發同一時段，只有一個執行', async () => {
+    const store = createStateStore();
+    let runs = 0;
+    const handler = async () => { runs++; return 'ok'; };
+    const [a, b] = [createScheduler(store, handler), createScheduler(store, handler)];
+
+    const slot = currentSlot();
+    const [jobA, jobB] = [a.jobs.get('test.job'), b.jobs.get('test.job')];
+    const outcomes = await Promise.all([
+        a._execute(jobA, { trigger: 'schedule', slot }),
+        b._execute(jobB, { trigger: 'schedule', slot })
+    ]);
+
+    assert.equal(runs, 1);
+    assert.equal(outcomes.filter(Boolean).length, 1);
+});
+
+test('已被其他執行個體完成的時段不再重跑', async () => {
+    const store = createStateStore();
+    let runs = 0;
+    const handler = async () => { runs++; };
+    const [a, b] = [createScheduler(store, handler), createScheduler(store, handler)];
+
+    const slot = currentSlot();
+    await a._execute(a.jobs.get('test.job'), { trigger: 'schedule', slot });
+    const outcome = await b._execute(b.jobs.get('test.job'), { trigger: 'schedule', slot });
+
+    assert.equal(runs, 1);
+    assert.equal(outcome, null);
+});
+
+test('其他執行個體持有未過期的鎖時，手動執行回傳 409；鎖過期後可接手', async () => {
+    const store = createStateStore();
+    let runs = 0;
+    const scheduler = createScheduler(store, async () => { runs++; });
+
+    await store.writer.createJobState({
+        jobId: 'test.job', enabled: null, lockOwner: 'other-instance',
+        lockExpiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+    await assert.rejects(scheduler.runJob('test.job', { username: 'boss' }), error => error.statusCode === 409);
+    assert.equal(runs, 0);
+
+    store.rows[0].lockExpiresAt = new Date(Date.now() - 1000).toISOString();
+    const state = await scheduler.runJob('test.job', { username: 'boss' });
+    assert.equal(runs, 1);
+    assert.equal(state.lastStatus, 'success');
+});
+
+test('執行結束後釋放執行鎖並記錄結果；工作失敗記為 failed', async () => {
+    const store = createStateStore();
+    const scheduler = createScheduler(store, async () => { throw new Error('boom'); });
+
+    await scheduler.runJob('test.job', { username: 'boss' });
+    const [row] = store.rows;
+    assert.equal(row.lastStatus, 'failed');
+    assert.equal(row.lastError, 'boom');
+    assert.equal(row.lockOwner, '');
+    assert.equal(row.lockExpiresAt, '');
+    assert.ok(Date.parse(row.nextRunAt) > Date.now());
+});
+
+test('停用的工作不依排程執行，但可手動執行', async () => {
+    const store = createStateStore();
+    let runs = 0;
+    const scheduler = createScheduler(store, async () => { runs++; });
+
+    await scheduler.setEnabled('test.job', false, { username: 'boss' });
+    assert.equal(await scheduler._execute(scheduler.jobs.get('test.job'), { trigger: 'schedule', slot: currentSlot() }), null);
+    assert.equal(runs, 0);
+
+    await scheduler.runJob('test.job', { username: 'boss' });
+    assert.equal(runs, 1);
+});
+
+test('啟動時先建立狀態列，之後兩個執行個體同時首次執行不會新增重複列', async () => {
+    const store = createStateStore();
+    let runs = 0;
+    const handler = async () => { runs++; };
+    const [a, b] = [createScheduler(store, handler), createScheduler(store, handler)];
+
+    a.start();
+    await a._statesReady;
+    b.start();
+    const slot = currentSlot();
+    await Promise.all([
+        a._execute(a.jobs.get('test.job'), { trigger: 'schedule', slot }),
+        b._execute(b.jobs.get('test.job'), { trigger: 'schedule', slot })
+    ]);
+    a.stop();
+    b.stop();
+
+    assert.equal(runs, 1);
+    assert.equal(store.rows.length, 1);
+});
+
+test('已有重複狀態列時以最上方的列為準，不理會後面的重複列', async () => {
+    const store = createStateStore();
+    let runs = 0;
+    const scheduler = createScheduler(store, async () => { runs++; });
+
+    await store.writer.createJobState({
+        jobId: 'test.job', enabled: null, lockOwner: 'other-instance',
+        lockExpiresAt: new Date(Date.now() + 60000).toISOString()
+    });
+    await store.writer.createJobState({ jobId: 'test.job', enabled: null });
+
+    await assert.rejects(scheduler.runJob('test.job', { username: 'boss' }), error => error.statusCode === 409);
+    assert.equal(runs, 0);
+    assert.equal(store.rows[1].lockOwner, undefined);
+});
@@ -0,0 +1,127 @@
+/**
+ * test/notification-service.test.js
+ * NotificationService 測試
+ * @description 驗證 notify 依 (收件者, dedupeKey) 去除重複並在 renotifyAfter 之後重新提醒、
+ * 排程摘要只處理當天適用的頻率 (週一另含 weekly)，只合併未讀且未外送的通知，略過停用帳號與未設定通道者，
+ * 以及外送失敗時保留通知待下次重送。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const NotificationService = require('../services/notification-service');
+const { users, createRoster, createSystemReader, createNotificationStore } = require('./helpers');
+
+const RELAY_URL = 'https://relay.example.com/send';
+const testConfig = {
+    ...config,
+    NOTIFICATIONS: { ...config.NOTIFICATIONS, EMAIL: { ...config.NOTIFICATIONS.EMAIL, RELAY_URL } }
+};
+
+// config.TIMEZONE (Asia/Taipei) 的中午
+const MONDAY = new Date('2026-10-19T04:00:00Z');
+const TUESDAY = new Date('2026-10-20T04:00:00Z');
+
+const pending = (notificationId, recipient, extra = {}) => ({
+    notificationId, recipient, type: 'followUp.stale', title: notificationId, message: '',
+    createTime: '2026-10-18T00:00:00.000Z', readTime: '', sentTime: '', sentChannels: [], ...extra
+});
+
+function createNotificationService({ status = 200 } = {}) {
+    const roster = createRoster();
+    roster.find(u => u.username === 'rep').lineUserId = 'U-rep';
+    roster.find(u => u.username === 'view').disabled = true;
+
+    const store = createNotificationStore({
+        preferences: [
+            { username: 'rep', digest: 'daily', channels: ['line'], email: '' },
+            { username: 'rep2', digest: 'weekly', channels: ['email'], email: 'rep2@example.com' },
+            { username: 'mgr', digest: 'immediate', channels: ['email'], email: 'mgr@example.com' },
+            { username: 'boss', digest: 'daily', channels: [], email: '' },
+            { username: 'view', digest: 'daily', channels: ['email'], email: 'view@example.com' }
+        ],
+        notifications: [
+            pending('N-REP', 'rep'),
+            pending('N-REP-READ', 'rep', { readTime: '2026-10-18T01:00:00.000Z' }),
+            pending('N-REP-SENT', 'rep', { sentTime: '2026-10-18T01:00:00.000Z', sentChannels: ['line'] }),
+            pending('N-REP2', 'rep2'),
+            pending('N-MGR', 'mgr'),
+            pending('N-BOSS', 'boss'),
+            pending('N-VIEW', 'view')
+        ]
+    });
+
+    const requests = [];
+    const service = new NotificationService({
+        notificationReader: store.reader,
+        notificationWriter: store.writer,
+        systemReader: createSystemReader(roster),
+        config: testConfig,
+        fetchImpl: async (url, options) => {
+            const body = JSON.parse(options.body);
+            requests.push({ url, to: body.to });
+            return { ok: status < 300, status };
+        }
+    });
+    return { service, store, requests };
+}
+
+const sentIds = (store) => store.notifications.filter(n => n.sentTime && n.notificationId !== 'N-REP-SENT').map(n => n.notificationId);
+
+test('平日的排程摘要只處理 immediate 與 daily，略過停用帳號與未設定通道者', async () => {
+    const { service, store, requests } = createNotificationService();
+
+    const summary = await service.sendScheduledDigests(TUESDAY);
+
+    assert.deepEqual(summary, { users: 2, sent: 2, failed: 0 });
+    assert.deepEqual(requests, [
+        { url: config.NOTIFICATIONS.LINE.PUSH_URL, to: 'U-rep' },
+        { url: RELAY_URL, to: 'mgr@example.com' }
+    ]);
+    assert.deepEqual(sentIds(store), ['N-REP', 'N-MGR']);
+    assert.deepEqual(store.notifications.find(n => n.notificationId === 'N-REP').sentChannels, ['line']);
+    assert.ok(store.preferences.find(p => p.username === 'rep').lastDigestTime);
+});
+
+test('週一的排程摘要另含 weekly；已讀或已外送的通知不再送出', async () => {
+    const { service, store, requests } = createNotificationService();
+
+    await service.sendScheduledDigests(MONDAY);
+
+    assert.deepEqual(requests.map(r => r.to), ['U-rep', 'rep2@example.com', 'mgr@example.com']);
+    assert.deepEqual(sentIds(store), ['N-REP', 'N-REP2', 'N-MGR']);
+});
+
+test('全部通道失敗時保留通知，下次排程重送', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { service, store } = createNotificationService({ status: 502 });
+
+    const summary = await service.deliverPending(['immediate']);
+
+    assert.deepEqual(summary, { users: 1, sent: 0, failed: 1 });
+    assert.equal(store.notifications.find(n => n.notificationId === 'N-MGR').sentTime, '');
+    assert.equal(store.preferences.find(p => p.username === 'mgr').lastDigestTime, undefined);
+});
+
+test('同一收件者的 dedupeKey 只通知一次，早於 renotifyAfter 的通知會重新提醒', async () => {
+    const { service, store } = createNotificationService();
+    const item = { recipient: 'rep', type: 'followUp.stale', title: 'x', dedupeKey: 'stale:OPP1' };
+
+    assert.equal((await service.notify([item, { ...item, recipient: 'rep2' }])).length, 2);
+    assert.equal((await service.notify([item])).length, 0);
+
+    const renotifyAfter = new Date(Date.now() + 1000).toISOString();
+    assert.equal((await service.notify([{ ...item, renotifyAfter }])).length, 1);
+    assert.equal(store.notifications.filter(n => n.dedupeKey === 'stale:OPP1').length, 3);
+});
+
+test('只能讀取與標記自己的通知', async () => {
+    const { service } = createNotificationService();
+
+    const { notifications, unreadCount } = await service.listNotifications(users.sales);
+    assert.deepEqual(notifications.map(n => n.notificationId).sort(), ['N-REP', 'N-REP-READ', 'N-REP-SENT']);
+    assert.equal(unreadCount, 2);
+
+    await assert.rejects(service.markRead('N-REP2', users.sales), error => error.statusCode === 404);
+});
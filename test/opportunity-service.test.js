@@ -0,0 +1,85 @@
+/**
+ * test/opportunity-service.test.js
+ * OpportunityService 測試
+ * @description 驗證由潛在客戶關聯聯絡人時，經 ContactService 以 contactId 建檔 (不再依前端傳入的列號寫入原始名片)，
+ * 更新 / 刪除不存在的機會回傳 404，以及批次更新的修改者取自登入者而非請求內容。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const OpportunityService = require('../services/opportunity-service');
+
+function createOpportunityService() {
+    const calls = { filed: [], linked: [], batches: [], audits: [] };
+    const service = new OpportunityService({
+        config,
+        opportunityRepository: {
+            getOpportunities: async () => [{ opportunityId: 'OPP1', opportunityName: 'Deal', assignee: 'rep' }],
+            resolveOpportunityId: async (key) => key,
+            batchUpdateOpportunities: async (updates) => {
+                calls.batches.push(updates);
+                return { success: true, successCount: updates.length, failCount: 0 };
+            }
+        },
+        opportunityReader: {},
+        auditService: {
+            recordUpdate: async (entityType, entityId, before, changes, user) => { calls.audits.push({ entityId, user }); }
+        },
+        opportunityWriter: {
+            linkContactToOpportunity: async (opportunityId, contactId) => {
+                calls.linked.push({ opportunityId, contactId });
+                return { success: true };
+            }
+        },
+        contactWriter: {},
+        contactService: {
+            filePotentialContact: async (potentialContactId, user, statusKey) => {
+                calls.filed.push({ potentialContactId, user, statusKey });
+                return { success: true, contactId: 'C100', potentialContactId, name: 'Alice' };
+            }
+        }
+    });
+    return { service, calls };
+}
+
+test('由潛在客戶關聯：以 contactId 建檔並標記為已升級，關聯正式聯絡人 ID', async () => {
+    const { service, calls } = createOpportunityService();
+
+    const result = await service.addContactToOpportunity('OPP1', {
+        contactId: 'PC-0123456789ab', name: 'Alice', company: 'ACME', rowIndex: 7
+    }, { username: 'rep', displayName: 'Rep' });
+
+    assert.deepEqual(calls.filed, [{ potentialContactId: 'PC-0123456789ab', user: 'Rep', statusKey: 'UPGRADED' }]);
+    assert.deepEqual(calls.linked, [{ opportunityId: 'OPP1', contactId: 'C100' }]);
+    assert.equal(result.data.contact.id, 'C100');
+});
+
+test('關聯既有正式聯絡人時不經潛在客戶建檔', async () => {
+    const { service, calls } = createOpportunityService();
+
+    await service.addContactToOpportunity('OPP1', { contactId: 'C200', name: 'Bob' }, { username: 'rep' });
+
+    assert.equal(calls.filed.length, 0);
+    assert.deepEqual(calls.linked, [{ opportunityId: 'OPP1', contactId: 'C200' }]);
+});
+
+test('更新 / 刪除不存在的機會回傳 404', async () => {
+    const { service } = createOpportunityService();
+    const user = { username: 'rep' };
+
+    await assert.rejects(service.updateOpportunity('OPP-NONE', { notes: 'x' }, user), error => error.statusCode === 404);
+    await assert.rejects(service.deleteOpportunity('OPP-NONE', user), error => error.statusCode === 404);
+});
+
+test('批次更新的修改者取自登入者，忽略請求內容中的 modifier', async () => {
+    const { service, calls } = createOpportunityService();
+
+    await service.batchUpdateOpportunities([
+        { opportunityId: 'OPP1', data: { currentStage: '02_需求確認' }, modifier: 'Someone Else' }
+    ], { username: 'rep', displayName: 'Rep' });
+
+    assert.equal(calls.batches[0][0].modifier, 'Rep');
+    assert.deepEqual(calls.audits, [{ entityId: 'OPP1', user: 'Rep' }]);
+});
@@ -0,0 +1,57 @@
+/**
+ * test/pipeline-stages.test.js
+ * utils/pipeline-stages 測試
+ * @description 驗證階段類型解析、設定缺少 won / lost 階段時沿用舊階段名稱，以及成交判定對舊資料的相容。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const {
+    STAGE_TYPES, getStageValuesByType, getDefaultStage, createWonMatcher
+} = require('../utils/pipeline-stages');
+
+const TYPED_CONFIG = {
+    '機會階段': [
+        { value: '01_初步接觸', order: 1 },
+        { value: '05_贏單', order: 5, value3: 'won' },
+        { value: '06_輸單', order: 6, value3: '輸單' }
+    ]
+};
+
+const UNTYPED_CONFIG = {
+    '機會階段': [
+        { value: '02_需求確認', order: 2 },
+        { value: '01_初步接觸', order: 1 }
+    ]
+};
+
+test('依 value3 (含中文別名) 解析階段類型，並依排序回傳', () => {
+    assert.deepEqual(getStageValuesByType(TYPED_CONFIG, STAGE_TYPES.WON), ['05_贏單']);
+    assert.deepEqual(getStageValuesByType(TYPED_CONFIG, STAGE_TYPES.LOST), ['06_輸單']);
+    assert.deepEqual(getStageValuesByType(UNTYPED_CONFIG, STAGE_TYPES.OPEN), ['01_初步接觸', '02_需求確認']);
+});
+
+test('getDefaultStage：設定中有該類型時取第一個，否則沿用 LEGACY_DEFAULT_STAGES', () => {
+    assert.equal(getDefaultStage(TYPED_CONFIG, STAGE_TYPES.LOST), '06_輸單');
+    assert.equal(getDefaultStage(UNTYPED_CONFIG, STAGE_TYPES.OPEN), '01_初步接觸');
+
+    const { LEGACY_DEFAULT_STAGES } = config.PIPELINE;
+    assert.equal(getDefaultStage(UNTYPED_CONFIG, STAGE_TYPES.WON), LEGACY_DEFAULT_STAGES.won);
+    assert.equal(getDefaultStage(UNTYPED_CONFIG, STAGE_TYPES.LOST), '已結案(失敗)');
+    assert.equal(getDefaultStage({}, STAGE_TYPES.OPEN), LEGACY_DEFAULT_STAGES.open);
+});
+
+test('成交判定：won 類型階段、未列入設定的舊成交階段與舊資料的「已完成」狀態', () => {
+    const isWon = createWonMatcher(TYPED_CONFIG);
+    const COMPLETED = config.CONSTANTS.OPPORTUNITY_STATUS.COMPLETED;
+
+    assert.equal(isWon({ currentStage: '05_贏單' }), true);
+    assert.equal(isWon({ currentStage: '受注' }), true);
+    assert.equal(isWon({ currentStage: '02_需求確認', currentStatus: COMPLETED }), true);
+
+    assert.equal(isWon({ currentStage: '06_輸單', currentStatus: COMPLETED }), false);
+    assert.equal(isWon({ currentStage: '已結案(失敗)', currentStatus: COMPLETED }), false);
+    assert.equal(isWon({ currentStage: '01_初步接觸', currentStatus: '進行中' }), false);
+});
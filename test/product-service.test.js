@@ -0,0 +1,86 @@
+/**
+ * test/product-service.test.js
+ * ProductService 機敏欄位測試
+ * @description 驗證查詢時依權限移除成本/價格欄位，以及批次更新時 product:writePricing 的檢查。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const ProductService = require('../services/product-service');
+const { users, createPermissionService } = require('./helpers');
+
+const PRODUCT = Object.freeze({
+    id: 'PROD1', rowIndex: 2, name: 'Sensor', category: 'IO',
+    cost: '100', priceMtb: '150', priceSi: '180', priceMtu: '200'
+});
+
+function createProductService() {
+    const writes = [];
+    const productReader = {
+        getAllProducts: async () => [{ ...PRODUCT }],
+        clearCache: () => {}
+    };
+    const productWriter = {
+        updateProduct: async (rowIndex, item) => { writes.push(item); }
+    };
+    const permissionService = createPermissionService();
+    const service = new ProductService(productReader, productWriter, { clearCache: () => {} }, {}, null, permissionService);
+    service._delay = async () => {};
+    return { service, writes };
+}
+
+test('沒有 product:viewCost 時移除成本與 MTB/SI 價格', async () => {
+    const { service } = createProductService();
+
+    const [product] = await service.getAllProducts({}, users.sales);
+    Object.keys(config.PRODUCT_ACCESS.VIEW_PERMISSIONS).forEach(field => {
+        assert.equal(product[field], undefined, `${field} 應被移除`);
+    });
+    assert.equal(product.priceMtu, '200');
+
+    const single = await service.getProductById('PROD1', users.sales);
+    assert.equal(single.cost, undefined);
+});
+
+test('具 product:viewCost 者與內部呼叫取得完整欄位', async () => {
+    const { service } = createProductService();
+
+    const [product] = await service.getAllProducts({}, users.manager);
+    assert.equal(product.cost, '100');
+    assert.equal(product.priceSi, '180');
+
+    const [internal] = await service.getAllProducts();
+    assert.equal(internal.cost, '100');
+});
+
+test('getFieldAccess：可檢視但不可修改的機敏欄位列為唯讀', async () => {
+    const { service } = createProductService();
+
+    const manager = await service.getFieldAccess(users.manager);
+    assert.deepEqual(manager.maskedFields, []);
+    assert.deepEqual(manager.readOnlyFields, config.PRODUCT_ACCESS.SENSITIVE_FIELDS);
+
+    const admin = await service.getFieldAccess(users.admin);
+    assert.deepEqual(admin, { maskedFields: [], readOnlyFields: [] });
+});
+
+test('沒有 product:writePricing 時拒絕修改機敏欄位，且整批不寫入', async () => {
+    const { service, writes } = createProductService();
+
+    await assert.rejects(
+        service.batchUpdate([{ id: 'PROD1', name: 'Sensor v2', priceMtu: '210' }], users.manager),
+        error => error.statusCode === 403 && error.code === 'PERMISSION_DENIED' &&
+            error.permission === config.PRODUCT_ACCESS.PRICING_WRITE_PERMISSION
+    );
+    assert.equal(writes.length, 0);
+});
+
+test('未傳入或未變動的機敏欄位不視為修改', async () => {
+    const { service, writes } = createProductService();
+
+    const stats = await service.batchUpdate([{ id: 'PROD1', name: 'Sensor v2', priceMtu: '200' }], users.sales);
+    assert.equal(stats.updated, 1);
+    assert.equal(writes[0].name, 'Sensor v2');
+});
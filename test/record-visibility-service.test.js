@@ -0,0 +1,84 @@
+/**
+ * test/record-visibility-service.test.js
+ * RecordVisibilityService 可見範圍測試
+ * @description 使用者名冊：mgr 管理 rep，rep2 為其他團隊；只有 admin (record:viewAll) 不受限制，viewer 同樣受團隊範圍限制。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RecordVisibilityService = require('../services/record-visibility-service');
+const helpers = require('./helpers');
+
+const { asUser } = helpers;
+
+const OPPORTUNITIES = [
+    { opportunityId: 'OPP-REP', assignee: 'rep' },
+    { opportunityId: 'OPP-REP-NAME', assignee: 'Rep One' },
+    { opportunityId: 'OPP-REP2', assignee: 'rep2' },
+    { opportunityId: 'OPP-SHARED', assignee: 'rep2' }
+];
+
+const INTERACTIONS = [
+    { interactionId: 'INT-REP', opportunityId: 'OPP-REP', recorder: 'mgr' },
+    { interactionId: 'INT-REP2', opportunityId: 'OPP-REP2', recorder: 'rep2' },
+    { interactionId: 'INT-BY-REP', opportunityId: 'OPP-REP2', recorder: 'Rep One' },
+    { interactionId: 'INT-COMPANY', opportunityId: '', recorder: 'rep2' }
+];
+
+const createVisibilityService = () => helpers.createVisibilityService({
+    shares: [{ opportunityId: 'OPP-SHARED', sharedWith: 'rep' }]
+});
+
+const idsOf = (records, key) => records.map(record => record[key]).sort();
+
+test('業務只看到自己負責 (帳號或顯示名稱) 與共享給自己的機會', async () => {
+    const service = createVisibilityService();
+    const visible = await service.filterOpportunities(asUser('rep'), OPPORTUNITIES);
+    assert.deepEqual(idsOf(visible, 'opportunityId'), ['OPP-REP', 'OPP-REP-NAME', 'OPP-SHARED']);
+});
+
+test('主管看到下屬負責與共享給下屬的機會', async () => {
+    const service = createVisibilityService();
+    const visible = await service.filterOpportunities(asUser('mgr'), OPPORTUNITIES);
+    assert.deepEqual(idsOf(visible, 'opportunityId'), ['OPP-REP', 'OPP-REP-NAME', 'OPP-SHARED']);
+});
+
+test('具 record:viewAll 者與系統呼叫不受限制', async () => {
+    const service = createVisibilityService();
+    assert.equal((await service.filterOpportunities(asUser('boss'), OPPORTUNITIES)).length, OPPORTUNITIES.length);
+    assert.deepEqual(await service.getScope(RecordVisibilityService.asSystem({ displayName: 'Rep One' })), { unrestricted: true });
+});
+
+test('未傳入使用者或沒有帳號時回傳空範圍 (fail closed)', async () => {
+    const service = createVisibilityService();
+    for (const user of [null, undefined, {}, { name: 'System', system: true }]) {
+        const scope = await service.getScope(user);
+        assert.equal(scope.unrestricted, false);
+        assert.deepEqual(await service.filterOpportunities(user, OPPORTUNITIES), []);
+    }
+});
+
+test('viewer 預設沒有 record:viewAll，只看得到自己範圍內的機會', async () => {
+    const service = createVisibilityService();
+    assert.equal((await service.getScope(asUser('view'))).unrestricted, false);
+    assert.deepEqual(await service.filterOpportunities(asUser('view'), OPPORTUNITIES), []);
+});
+
+test('互動紀錄：所屬機會可見、由範圍內成員記錄或只關聯公司者可見', async () => {
+    const service = createVisibilityService();
+    const visible = await service.filterInteractions(asUser('rep'), INTERACTIONS, OPPORTUNITIES);
+    assert.deepEqual(idsOf(visible, 'interactionId'), ['INT-BY-REP', 'INT-COMPANY', 'INT-REP']);
+});
+
+test('canViewOpportunity：找不到的機會視為不可見', async () => {
+    const service = createVisibilityService();
+    const scope = await service.getScope(asUser('rep'));
+    assert.equal(service.canViewOpportunity(scope, undefined), false);
+    assert.equal(service.canViewOpportunity({ unrestricted: true }, undefined), true);
+});
+
+test('notFound 回傳 404 錯誤', () => {
+    const error = createVisibilityService().notFound('找不到機會');
+    assert.equal(error.statusCode, 404);
+});
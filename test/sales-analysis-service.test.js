@@ -0,0 +1,80 @@
+/**
+ * test/sales-analysis-service.test.js
+ * 營收預測測試
+ * @description 驗證 getForecastData 依機會機率 / 下單機率設定 / 階段預設機率加權金額、依門檻分為 commit / pipeline / won，
+ * 排除失敗、取消與缺少預計結案日的機會，以及不支援的 groupBy 回傳 400。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const SalesAnalysisService = require('../services/sales-analysis-service');
+
+const SYSTEM_CONFIG = {
+    '機會階段': [
+        { value: 'S1', order: 1, value2: '30%' },
+        { value: 'S2', order: 2 },
+        { value: 'WON', order: 3, value3: 'won' },
+        { value: 'LOST', order: 4, value3: 'lost' }
+    ],
+    '下單機率': [{ value: '高', value2: '90%' }]
+};
+
+const OPPORTUNITIES = [
+    { opportunityId: 'A', currentStage: 'S1', opportunityValue: '1,000', expectedCloseDate: '2026-10-15', assignee: 'rep' },
+    { opportunityId: 'B', currentStage: 'S2', opportunityValue: '2000', orderProbability: '高', expectedCloseDate: '2026-11-01', assignee: 'rep2' },
+    { opportunityId: 'C', currentStage: 'WON', opportunityValue: '500', expectedCloseDate: '2026-11-20', assignee: 'rep' },
+    { opportunityId: 'D', currentStage: 'S1', opportunityValue: '100', orderProbability: '85%', expectedCloseDate: '2026-12-31', assignee: 'rep' },
+    { opportunityId: 'LATER', currentStage: 'S1', opportunityValue: '9999', expectedCloseDate: '2027-01-05', assignee: 'rep' },
+    { opportunityId: 'LOST', currentStage: 'LOST', opportunityValue: '9999', expectedCloseDate: '2026-10-20' },
+    { opportunityId: 'CANCELLED', currentStage: 'S1', currentStatus: '已取消', opportunityValue: '9999', expectedCloseDate: '2026-10-20' },
+    { opportunityId: 'NODATE', currentStage: 'S1', opportunityValue: '9999', expectedCloseDate: '' }
+];
+
+function createService() {
+    return new SalesAnalysisService(
+        { getOpportunities: async () => OPPORTUNITIES.map(opp => ({ ...opp })) },
+        { getSystemConfig: async () => SYSTEM_CONFIG },
+        config
+    );
+}
+
+const RANGE = { from: '2026-10-01', to: '2026-12-31' };
+
+test('加權金額依機會機率 > 下單機率設定 > 階段預設機率，贏單階段固定 100%', async () => {
+    const forecast = await createService().getForecastData(RANGE);
+    const byId = new Map(forecast.deals.map(deal => [deal.opportunityId, deal]));
+
+    assert.deepEqual([...byId.keys()], ['A', 'B', 'C', 'D']);
+    assert.deepEqual(
+        [...byId.values()].map(({ probability, weightedValue, category }) => ({ probability, weightedValue, category })),
+        [
+            { probability: 30, weightedValue: 300, category: 'pipeline' },
+            { probability: 90, weightedValue: 1800, category: 'commit' },
+            { probability: 100, weightedValue: 500, category: 'won' },
+            { probability: 85, weightedValue: 85, category: 'commit' }
+        ]
+    );
+});
+
+test('合計只計入期間內案件；committed 含 commit 與 won', async () => {
+    const forecast = await createService().getForecastData(RANGE);
+
+    assert.deepEqual(forecast.totals, { committed: 2600, bestCase: 3600, weighted: 2685, closedWon: 500, dealCount: 4 });
+    assert.deepEqual(forecast.excluded, { noCloseDate: 1, lost: 1, inactive: 1 });
+    assert.equal(forecast.commitProbability, config.FORECAST.COMMIT_PROBABILITY);
+});
+
+test('依負責業務分組，依加權金額由大到小排序', async () => {
+    const forecast = await createService().getForecastData({ ...RANGE, groupBy: 'assignee' });
+
+    assert.deepEqual(forecast.groups.map(group => [group.key, group.weighted]), [['rep2', 1800], ['rep', 885]]);
+});
+
+test('不支援的 groupBy 與顛倒的期間回傳 400', async () => {
+    const service = createService();
+
+    await assert.rejects(service.getForecastData({ ...RANGE, groupBy: 'stage' }), error => error.statusCode === 400);
+    await assert.rejects(service.getForecastData({ from: '2026-12-31', to: '2026-10-01' }), error => error.statusCode === 400);
+});
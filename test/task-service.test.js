@@ -0,0 +1,86 @@
+/**
+ * test/task-service.test.js
+ * TaskService 關聯檢查測試
+ * @description 驗證建立 / 更新任務時，機會 / 公司 / 聯絡人 / 互動紀錄關聯須存在且在操作者的可見範圍內。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const config = require('../config');
+const TaskService = require('../services/task-service');
+const { users, createSystemReader, createVisibilityService, createRowStore } = require('./helpers');
+
+function createTaskService() {
+    const tasks = createRowStore();
+    const systemReader = createSystemReader();
+    const service = new TaskService({
+        taskReader: { getTasks: tasks.list },
+        taskWriter: { createTask: tasks.create, updateTaskByRow: tasks.updateByRow },
+        opportunityReader: {
+            getOpportunities: async () => [
+                { opportunityId: 'OPP-REP', opportunityName: 'Mine', assignee: 'rep' },
+                { opportunityId: 'OPP-REP2', opportunityName: 'Theirs', assignee: 'rep2' }
+            ]
+        },
+        companyReader: { getCompanyList: async () => [{ companyId: 'COMP1', companyName: 'ACME' }] },
+        contactReader: { getContactList: async () => [{ contactId: 'CON1', name: 'Alice' }] },
+        interactionReader: {
+            getInteractions: async () => [
+                { interactionId: 'INT-REP', opportunityId: 'OPP-REP', recorder: 'rep' },
+                { interactionId: 'INT-REP2', opportunityId: 'OPP-REP2', recorder: 'rep2' }
+            ]
+        },
+        systemReader,
+        recordVisibilityService: createVisibilityService({ systemReader }),
+        auditService: null,
+        eventBus: null,
+        config
+    });
+    return { service, tasks: tasks.rows };
+}
+
+const isNotFound = (error) => error.statusCode === 404;
+
+test('可見且存在的關聯可以建立', async () => {
+    const { service } = createTaskService();
+    const task = await service.createTask({
+        title: 'Follow up', opportunityId: 'OPP-REP', companyId: 'COMP1', contactId: 'CON1', interactionId: 'INT-REP'
+    }, users.sales);
+
+    assert.equal(task.opportunityName, 'Mine');
+    assert.equal(task.companyName, 'ACME');
+});
+
+test('不存在的關聯回傳 404', async () => {
+    const { service, tasks } = createTaskService();
+
+    for (const link of [
+        { opportunityId: 'OPP-NONE' }, { companyId: 'COMP-NONE' },
+        { contactId: 'CON-NONE' }, { interactionId: 'INT-NONE' }
+    ]) {
+        await assert.rejects(service.createTask({ title: 'x', ...link }, users.admin), isNotFound);
+    }
+    assert.equal(tasks.length, 0);
+});
+
+test('看不到的機會與互動紀錄視為找不到', async () => {
+    const { service } = createTaskService();
+
+    await assert.rejects(service.createTask({ title: 'x', opportunityId: 'OPP-REP2' }, users.sales), isNotFound);
+    await assert.rejects(service.createTask({ title: 'x', interactionId: 'INT-REP2' }, users.sales), isNotFound);
+    await assert.doesNotReject(service.createTask({ title: 'x', opportunityId: 'OPP-REP2' }, users.admin));
+});
+
+test('更新時只檢查有變動的關聯', async () => {
+    const { service } = createTaskService();
+    // 管理員指派給 rep、關聯到 rep 看不到的機會
+    const task = await service.createTask({ title: 'x', assignee: 'rep', opportunityId: 'OPP-REP2' }, users.admin);
+
+    const updated = await service.updateTask(task.taskId, { title: 'y', opportunityId: 'OPP-REP2' }, users.sales);
+    assert.equal(updated.title, 'y');
+
+    await assert.rejects(service.updateTask(task.taskId, { companyId: 'COMP-NONE' }, users.sales), isNotFound);
+    const cleared = await service.updateTask(task.taskId, { opportunityId: '' }, users.sales);
+    assert.equal(cleared.opportunityId, '');
+});
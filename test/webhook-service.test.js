@@ -0,0 +1,115 @@
+/**
+ * test/webhook-service.test.js
+ * WebhookService 傳送測試
+ * @description 以假的 HTTP client 驗證 HMAC 簽章、依事件類型分派，以及分派不延遲 DomainEventBus.publish。
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const config = require('../config');
+const DomainEventBus = require('../services/domain-event-bus');
+const WebhookService = require('../services/webhook-service');
+
+const { EVENTS } = DomainEventBus;
+const SECRET = 'whsec_test';
+
+// 只送一次，失敗時不排程重送
+const testConfig = { ...config, WEBHOOKS: { ...config.WEBHOOKS, MAX_ATTEMPTS: 1 } };
+
+const waitForDeliveries = async (deliveries, count) => {
+    for (let i = 0; i < 50 && deliveries.length < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+function createWebhookService({ webhooks, status = 200, getWebhooksDelayMs = 0 } = {}) {
+    const requests = [];
+    const deliveries = [];
+    const service = new WebhookService({
+        webhookReader: {
+            getWebhooks: async () => {
+                if (getWebhooksDelayMs) await new Promise(resolve => setTimeout(resolve, getWebhooksDelayMs));
+                return webhooks || [{
+                    webhookId: 'WH1', url: 'https://erp.example.com/hook', secret: SECRET,
+                    enabled: true, eventTypes: [EVENTS.OPPORTUNITY_CREATED]
+                }];
+            }
+        },
+        webhookWriter: { appendDelivery: async (delivery) => { deliveries.push(delivery); } },
+        auditService: null,
+        config: testConfig,
+        fetchImpl: async (url, options) => {
+            requests.push({ url, ...options });
+            return { status };
+        }
+    });
+    return { service, requests, deliveries };
+}
+
+const publishCreated = (bus) => bus.publish(EVENTS.OPPORTUNITY_CREATED, { opportunityId: 'OPP1', opportunity: { opportunityId: 'OPP1' } }, 'tester');
+
+test('簽章為 HMAC-SHA256(secret, `${timestamp}.${body}`)', async () => {
+    const { service, requests, deliveries } = createWebhookService();
+    const bus = new DomainEventBus({ config });
+    service.register(bus);
+
+    const event = await publishCreated(bus);
+    await waitForDeliveries(deliveries, 1);
+
+    const [request] = requests;
+    const timestamp = request.headers['X-CRM-Timestamp'];
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(request.headers[config.WEBHOOKS.SIGNATURE_HEADER], expected);
+    assert.equal(WebhookService.signPayload(SECRET, timestamp, request.body), expected);
+
+    assert.equal(request.headers['X-CRM-Event'], EVENTS.OPPORTUNITY_CREATED);
+    assert.equal(request.headers['X-CRM-Delivery'], event.id);
+    const body = JSON.parse(request.body);
+    assert.equal(body.id, event.id);
+    assert.deepEqual(body.data, event.payload);
+    assert.equal(deliveries[0].status, 'success');
+});
+
+test('只傳送給啟用且訂閱該事件類型的 Webhook', async () => {
+    const { service, requests, deliveries } = createWebhookService({
+        webhooks: [
+            { webhookId: 'WH1', url: 'https://a.example.com', secret: SECRET, enabled: true, eventTypes: [EVENTS.OPPORTUNITY_CREATED] },
+            { webhookId: 'WH2', url: 'https://b.example.com', secret: SECRET, enabled: false, eventTypes: [EVENTS.OPPORTUNITY_CREATED] },
+            { webhookId: 'WH3', url: 'https://c.example.com', secret: SECRET, enabled: true, eventTypes: [EVENTS.OPPORTUNITY_WON] }
+        ]
+    });
+    const bus = new DomainEventBus({ config });
+    service.register(bus);
+
+    await publishCreated(bus);
+    await waitForDeliveries(deliveries, 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.deepEqual(requests.map(r => r.url), ['https://a.example.com']);
+});
+
+test('publish 不等待 Webhook 讀取訂閱與傳送', async () => {
+    const { service, requests, deliveries } = createWebhookService({ getWebhooksDelayMs: 50 });
+    const bus = new DomainEventBus({ config });
+    service.register(bus);
+
+    await publishCreated(bus);
+    assert.equal(requests.length, 0);
+
+    await waitForDeliveries(deliveries, 1);
+    assert.equal(requests.length, 1);
+});
+
+test('非 2xx 回應記錄為失敗', async () => {
+    const { service, deliveries } = createWebhookService({ status: 500 });
+    const bus = new DomainEventBus({ config });
+    service.register(bus);
+
+    await publishCreated(bus);
+    await waitForDeliveries(deliveries, 1);
+
+    assert.equal(deliveries[0].status, 'failed');
+    assert.equal(deliveries[0].httpStatus, 500);
+});
@@ -0,0 +1,106 @@
+/**
+ * tools/create-admin.js
+ * 建立 / 恢復管理員帳號 (Bootstrap Admin)
+ * * @version 1.0.1
+ * @date 2026-10-19
+ * @description 直接寫入 AUTH 試算表的使用者名冊，用於建立第一位管理員，或在管理員全數被停用時恢復存取。
+ * 與 /api/admin/users 共用 UserAdminService 的驗證規則 (帳號格式、密碼規則)。
+ * - 帳號不存在：建立 admin 帳號。
+ * - 帳號已存在：需加上 --force，會將角色改為 admin、解除停用並重設密碼 (下次登入須先變更密碼)。
+ * - 未指定 --password 時產生臨時密碼並印出，首次登入須先變更密碼。
+ *
+ * 用法：
+ *   node tools/create-admin.js --username=admin --name=系統管理員
+ *   node tools/create-admin.js --username=admin --password=******** --force
+ */
+
+require('dotenv').config();
+
+const config = require('../config');
+const GoogleClientService = require('../services/google-client-service');
+const LocalSheetsClient = require('../data/local-sheets-client');
+const { getLocalStore } = require('../data/local-store');
+const SystemReader = require('../data/system-reader');
+const SystemWriter = require('../data/system-writer');
+const SystemService = require('../services/system-service');
+const PermissionService = require('../services/permission-service');
+const UserAdminService = require('../services/user-admin-service');
+
+const ADMIN_ROLE = 'admin';
+
+function parseArgs(argv) {
+    const options = { username: '', name: '', password: '', force: false };
+
+    argv.forEach(arg => {
+        if (arg === '--force') {
+            options.force = true;
+        } else if (arg.startsWith('--username=')) {
+            options.username = arg.slice('--username='.length).trim();
+        } else if (arg.startsWith('--name=')) {
+            options.name = arg.slice('--name='.length).trim();
+        } else if (arg.startsWith('--password=')) {
+            options.password = arg.slice('--password='.length);
+        } else {
+            throw new Error(`無法識別的參數: ${arg}`);
+        }
+    });
+
+    if (!options.username) throw new Error('請以 --username=<帳號> 指定管理員帳號');
+    return options;
+}
+
+async function createSheetsClient() {
+    if (config.LOCAL_DATA.ENABLED) {
+        console.log(`💾 DATA_SOURCES=LOCAL，使用本地資料源: ${config.LOCAL_DATA.DIR}`);
+        return new LocalSheetsClient(getLocalStore());
+    }
+    return new GoogleClientService().getSheetsClient();
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const sheets = await createSheetsClient();
+    const systemReader = new SystemReader(sheets, config.IDS.SYSTEM);
+    const systemWriter = new SystemWriter(sheets, config.IDS.SYSTEM);
+    const systemService = new SystemService(systemReader, systemWriter);
+    const permissionService = new PermissionService({ systemReader, config });
+    const userAdminService = new UserAdminService({ systemReader, systemService, permissionService });
+
+    const users = await userAdminService.listUsers();
+    const existing = users.find(u => u.username.toLowerCase() === options.username.toLowerCase());
+
+    let temporaryPassword;
+    if (!existing) {
+        const result = await userAdminService.createUser({
+            username: options.username,
+            displayName: options.name,
+            role: ADMIN_ROLE,
+            password: options.password
+        }, null);
+        temporaryPassword = result.temporaryPassword;
+        console.log(`✅ 已建立管理員帳號: ${result.user.username}`);
+    } else {
+        if (!options.force) {
+            throw new Error(`帳號 ${existing.username} 已存在；如要改為管理員並重設密碼，請加上 --force`);
+        }
+        const changes = { role: ADMIN_ROLE, disabled: false };
+        if (options.name) changes.displayName = options.name;
+        await userAdminService.updateUser(existing.username, changes, null);
+        temporaryPassword = (await userAdminService.resetPassword(existing.username, options.password, null)).temporaryPassword;
+        console.log(`✅ 已將 ${existing.username} 設為啟用中的管理員並重設密碼`);
+    }
+
+    if (temporaryPassword) {
+        console.log(`🔑 臨時密碼: ${temporaryPassword}`);
+        console.log('   (僅顯示一次；首次登入後須先變更密碼)');
+    }
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
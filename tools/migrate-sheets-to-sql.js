@@ -0,0 +1,423 @@
+/**
+ * tools/migrate-sheets-to-sql.js
+ * Sheet → Supabase 遷移與對帳工具
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 將 config.SHEETS 中已有 SQL 契約的工作表複製到對應的 Supabase 資料表，並輸出差異報告。
+ * - 讀取：沿用現有 Sheet Reader 的 rowParser，不另寫解析邏輯。
+ * - 轉換：以 SQL Reader 的 _mapRowToDto 反推「DTO 欄位 → SQL 欄位」，確保與讀取端為同一份契約。
+ * - 寫入：以主鍵欄位 upsert (onConflict)，重複執行結果相同 (Idempotent)；只存在於 SQL 的資料一律不刪除。
+ * - 報告：列出「僅在 Sheet」、「僅在 SQL」與「欄位不一致」的資料，作為各模組停用 Sheet 的依據。
+ *
+ * 用法：
+ *   node tools/migrate-sheets-to-sql.js                      # 僅對帳 (Dry Run)，不寫入
+ *   node tools/migrate-sheets-to-sql.js --apply              # 寫入 SQL 後再對帳一次
+ *   node tools/migrate-sheets-to-sql.js --module=company,contact --report=./migration-report.json
+ *
+ * 注意：OpportunityReader 不回傳已封存 (ARCHIVED) 的機會，因此封存資料不在遷移範圍內。
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { supabase } = require('../config/supabase');
+
+const GoogleClientService = require('../services/google-client-service');
+const LocalSheetsClient = require('../data/local-sheets-client');
+const { getLocalStore } = require('../data/local-store');
+
+const ContactReader = require('../data/contact-reader');
+const ContactSqlReader = require('../data/contact-sql-reader');
+const CompanyReader = require('../data/company-reader');
+const CompanySqlReader = require('../data/company-sql-reader');
+const OpportunityReader = require('../data/opportunity-reader');
+const OpportunitySqlReader = require('../data/opportunity-sql-reader');
+const InteractionReader = require('../data/interaction-reader');
+const InteractionSqlReader = require('../data/interaction-sql-reader');
+const EventLogReader = require('../data/event-log-reader');
+const EventLogSqlReader = require('../data/event-log-sql-reader');
+const WeeklyBusinessReader = require('../data/weekly-business-reader');
+const WeeklyBusinessSqlReader = require('../data/weekly-business-sql-reader');
+const AnnouncementReader = require('../data/announcement-reader');
+const AnnouncementSqlReader = require('../data/announcement-sql-reader');
+
+// ==================== 設定 ====================
+
+const UPSERT_BATCH_SIZE = 500;
+const LEGACY_EVENT_SHEET = '事件紀錄總表';
+
+const S = config.SHEETS;
+
+/**
+ * 遷移單位定義
+ * - module: 對應 config.DATA_SOURCES 的 key (供 --module 篩選)
+ * - keyField: SQL DTO 的主鍵欄位
+ * - aliases: Sheet DTO 欄位 → SQL DTO 欄位 (名稱相同者不需列出)
+ * - sheetEventType / sqlEventType: 事件紀錄依類型分流至不同資料表
+ */
+const MIGRATION_UNITS = [
+    {
+        module: 'CONTACT', sheet: S.CONTACT_LIST, table: 'contacts', keyField: 'contactId',
+        loadSheet: (r) => r.contactReader.getContactList(),
+        loadSql: (r) => r.contactSqlReader.getContacts(),
+        contract: (r) => (row) => r.contactSqlReader._mapRowToDto(row),
+        aliases: { position: 'jobTitle', lastUpdateTime: 'updatedTime', creator: 'createdBy', lastModifier: 'updatedBy' }
+    },
+    {
+        module: 'COMPANY', sheet: S.COMPANY_LIST, table: 'companies', keyField: 'companyId',
+        loadSheet: (r) => r.companyReader.getCompanyList(),
+        loadSql: (r) => r.companySqlReader.getCompanies(),
+        contract: (r) => (row) => r.companySqlReader._mapRowToDto(row),
+        aliases: {
+            county: 'city', introduction: 'description', engagementRating: 'interactionRating',
+            lastUpdateTime: 'updatedTime', creator: 'createdBy', lastModifier: 'updatedBy'
+        }
+    },
+    {
+        module: 'OPPORTUNITY', sheet: S.OPPORTUNITIES, table: 'opportunities', keyField: 'opportunityId',
+        loadSheet: (r) => r.opportunityReader.getOpportunities(),
+        loadSql: (r) => r.opportunitySqlReader.getOpportunities(),
+        contract: (r) => (row) => r.opportunitySqlReader._mapRowToDto(row),
+        aliases: {
+            assignee: 'owner', opportunitySource: 'source', orderProbability: 'winProbability',
+            opportunityValueType: 'valueCalcMode', deviceScale: 'equipmentScale',
+            potentialSpecification: 'productDetails', driveFolderLink: 'driveLink',
+            lastUpdateTime: 'updatedTime', lastModifier: 'updatedBy'
+        }
+    },
+    {
+        module: 'INTERACTION', sheet: S.INTERACTIONS, table: 'interactions', keyField: 'interactionId',
+        loadSheet: (r) => r.interactionReader.getInteractions(),
+        loadSql: (r) => r.interactionSqlReader.getInteractions(),
+        contract: (r) => (row) => r.interactionSqlReader._mapRowToDto(row),
+        aliases: { eventType: 'interactionType' }
+    },
+    ...[
+        { sheet: S.EVENT_LOGS_GENERAL, sheetEventType: 'general', sqlEventType: 'general' },
+        { sheet: S.EVENT_LOGS_DX, sheetEventType: 'dx', sqlEventType: 'dx' },
+        {
+            sheet: S.EVENT_LOGS_IOT, sheetEventType: 'iot', sqlEventType: 'iot',
+            aliases: {
+                iot_deviceScale: 'deviceScale', iot_lineFeatures: 'lineFeatures', iot_productionStatus: 'productionStatus',
+                iot_iotStatus: 'iotStatus', iot_painPoints: 'painCategory', iot_painPointDetails: 'painDescription',
+                iot_painPointAnalysis: 'painAnalysis', iot_systemArchitecture: 'systemArchitecture'
+            }
+        },
+        {
+            sheet: S.EVENT_LOGS_DT, sheetEventType: 'dt', sqlEventType: 'dt',
+            aliases: { dt_deviceScale: 'deviceScale', dt_processingType: 'processingType', dt_industry: 'industry' }
+        },
+        {
+            // 舊版事件總表 → event_logs_summary
+            sheet: LEGACY_EVENT_SHEET, sheetEventType: 'legacy', sqlEventType: 'summary',
+            aliases: {
+                eventName: 'opportunityName', orderProbability: 'winProbability', potentialQuantity: 'expectedQuantity',
+                ourParticipants: 'participants', clientParticipants: 'visitTarget', companySize: 'companyScale',
+                iot_deviceScale: 'deviceScale', iot_lineFeatures: 'lineFeatures', iot_productionStatus: 'productionStatus',
+                iot_iotStatus: 'iotStatus', iot_painPoints: 'painCategory', iot_painPointDetails: 'painDescription',
+                iot_systemArchitecture: 'systemArchitecture', externalSystems: 'externalIntegration',
+                eventContent: 'demandSummary', eventNotes: 'painExtraNote'
+            }
+        }
+    ].map(unit => ({
+        module: 'EVENT_LOG', keyField: 'eventId', aliases: {},
+        table: new EventLogSqlReader().tables[unit.sqlEventType],
+        loadSheet: async (r) => (await r.eventLogReader.getEventLogs()).filter(log => log.eventType === unit.sheetEventType),
+        loadSql: async (r) => (await r.eventLogSqlReader.getEventLogs()).filter(log => log.eventType === unit.sqlEventType),
+        contract: (r) => (row) => r.eventLogSqlReader._mapRowToDto(row, unit.sqlEventType),
+        ...unit
+    })),
+    {
+        module: 'WEEKLY', sheet: S.WEEKLY_BUSINESS, table: 'weekly_business_entries', keyField: 'recordId',
+        loadSheet: (r) => r.weeklyReader.getAllEntries(),
+        loadSql: (r) => r.weeklySqlReader.getWeeklyBusinessEntries(),
+        contract: (r) => (row) => r.weeklySqlReader._mapRowToDto(row),
+        aliases: {
+            '日期': 'entryDate', '主題': 'topic', '參與人員': 'participants', '重點摘要': 'summaryContent',
+            '待辦事項': 'todoItems', '建立者': 'createdBy', lastUpdateTime: 'updatedTime'
+        }
+    },
+    {
+        module: 'ANNOUNCEMENT', sheet: S.ANNOUNCEMENTS, table: 'announcements', keyField: 'id',
+        loadSheet: (r) => r.announcementReader.getAnnouncements(),
+        loadSql: (r) => r.announcementSqlReader.getAnnouncements(),
+        contract: (r) => (row) => r.announcementSqlReader._mapRowToDto(row),
+        aliases: {}
+    }
+];
+
+// 尚無 SQL 契約的工作表 (僅列於報告中)
+const UNMIGRATED_SHEETS = {
+    [S.CONTACTS]: '原始名片資料尚無對應的 SQL 資料表',
+    [S.SYSTEM_CONFIG]: '系統設定維持以 Sheet 為準 (DATA_SOURCES.SYSTEM = SHEET)',
+    [S.CALENDAR_SYNC]: '尚無對應的 SQL Reader 契約',
+    [S.OPPORTUNITY_CONTACT_LINK]: '尚無對應的 SQL Reader 契約',
+    [S.MARKET_PRODUCTS]: '商品資料維持以 Sheet 為準 (DATA_SOURCES.PRODUCT = SHEET)'
+};
+
+// ==================== 工具函式 ====================
+
+function parseArgs(argv) {
+    const options = { apply: false, modules: null, reportPath: null };
+
+    argv.forEach(arg => {
+        if (arg === '--apply') {
+            options.apply = true;
+        } else if (arg.startsWith('--module=')) {
+            options.modules = arg.slice('--module='.length).split(',').map(m => m.trim().toUpperCase()).filter(Boolean);
+        } else if (arg.startsWith('--report=')) {
+            options.reportPath = path.resolve(arg.slice('--report='.length));
+        } else {
+            throw new Error(`無法識別的參數: ${arg}`);
+        }
+    });
+
+    return options;
+}
+
+async function createSheetsClient() {
+    if (config.LOCAL_DATA.ENABLED) {
+        console.log(`💾 DATA_SOURCES=LOCAL，使用本地資料源: ${config.LOCAL_DATA.DIR}`);
+        return new LocalSheetsClient(getLocalStore());
+    }
+    return new GoogleClientService().getSheetsClient();
+}
+
+/**
+ * 以 SQL Reader 的 _mapRowToDto 反推欄位契約
+ * 傳入一個「讀取哪個欄位就回傳該欄位名稱」的探針列，即可得到 { dtoField: sqlColumn }。
+ */
+function reverseContract(mapRowToDto) {
+    const columns = new Set();
+    const probe = new Proxy({}, {
+        get: (_target, prop) => {
+            if (typeof prop !== 'string') return undefined;
+            columns.add(prop);
+            return prop;
+        }
+    });
+
+    const dto = mapRowToDto(probe);
+    const dtoToColumn = {};
+    Object.entries(dto).forEach(([field, column]) => {
+        if (typeof column === 'string' && columns.has(column)) dtoToColumn[field] = column;
+    });
+    return dtoToColumn;
+}
+
+/**
+ * Sheet DTO → SQL DTO (僅保留契約中存在的欄位)
+ */
+function toSqlDto(sheetDto, unit, dtoToColumn) {
+    const sqlDto = {};
+    Object.entries(sheetDto).forEach(([sheetField, value]) => {
+        const field = unit.aliases[sheetField] || sheetField;
+        if (dtoToColumn[field] !== undefined && sqlDto[field] === undefined) sqlDto[field] = value;
+    });
+    return sqlDto;
+}
+
+function toSqlRow(sqlDto, dtoToColumn) {
+    const row = {};
+    Object.entries(sqlDto).forEach(([field, value]) => {
+        // Sheet 以空字串表示無值；SQL 端以 null 表示，避免型別欄位 (時間、數字) 寫入失敗
+        row[dtoToColumn[field]] = value === '' ? null : value;
+    });
+    return row;
+}
+
+function normalizeValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+        const time = new Date(text).getTime();
+        if (!Number.isNaN(time)) return new Date(time).toISOString();
+    }
+    return text;
+}
+
+/**
+ * 比對兩邊資料 (以 SQL DTO 欄位為準)
+ */
+function diffRecords(sheetDtos, sqlDtos, keyField) {
+    const sqlByKey = new Map(sqlDtos.map(dto => [String(dto[keyField]), dto]));
+    const sheetKeys = new Set();
+
+    const onlyInSheet = [];
+    const mismatched = [];
+
+    sheetDtos.forEach(sheetDto => {
+        const key = String(sheetDto[keyField]);
+        sheetKeys.add(key);
+
+        const sqlDto = sqlByKey.get(key);
+        if (!sqlDto) {
+            onlyInSheet.push(key);
+            return;
+        }
+
+        const fields = {};
+        Object.keys(sheetDto).forEach(field => {
+            if (normalizeValue(sheetDto[field]) !== normalizeValue(sqlDto[field])) {
+                fields[field] = { sheet: sheetDto[field], sql: sqlDto[field] === undefined ? null : sqlDto[field] };
+            }
+        });
+        if (Object.keys(fields).length > 0) mismatched.push({ key, fields });
+    });
+
+    const onlyInSql = [...sqlByKey.keys()].filter(key => !sheetKeys.has(key));
+
+    return { onlyInSheet, onlyInSql, mismatched };
+}
+
+async function upsertRows(table, rows, onConflict) {
+    let upserted = 0;
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+        const batch = rows.slice(i, i + UPSERT_BATCH_SIZE);
+        const { error } = await supabase.from(table).upsert(batch, { onConflict });
+        if (error) throw new Error(`[${table}] upsert 失敗 (第 ${i + 1}-${i + batch.length} 筆): ${error.message}`);
+        upserted += batch.length;
+    }
+    return upserted;
+}
+
+// ==================== 主要邏輯 ====================
+
+async function migrateUnit(unit, readers, apply) {
+    const dtoToColumn = reverseContract(unit.contract(readers));
+    const keyColumn = dtoToColumn[unit.keyField];
+
+    const sheetDtos = [];
+    let skippedWithoutKey = 0;
+    (await unit.loadSheet(readers)).forEach(record => {
+        const sqlDto = toSqlDto(record, unit, dtoToColumn);
+        if (!sqlDto[unit.keyField]) {
+            skippedWithoutKey++;
+            return;
+        }
+        sheetDtos.push(sqlDto);
+    });
+
+    let sqlDtos = await unit.loadSql(readers);
+    let diff = diffRecords(sheetDtos, sqlDtos, unit.keyField);
+    let upserted = 0;
+
+    if (apply) {
+        // 僅寫入缺少或不一致的資料；Sheet 為準，SQL 獨有資料保留不動
+        const pendingKeys = new Set([...diff.onlyInSheet, ...diff.mismatched.map(m => m.key)]);
+        const rows = sheetDtos
+            .filter(dto => pendingKeys.has(String(dto[unit.keyField])))
+            .map(dto => toSqlRow(dto, dtoToColumn));
+
+        upserted = await upsertRows(unit.table, rows, keyColumn);
+
+        sqlDtos = await unit.loadSql(readers);
+        diff = diffRecords(sheetDtos, sqlDtos, unit.keyField);
+    }
+
+    return {
+        module: unit.module,
+        sheet: unit.sheet,
+        table: unit.table,
+        sheetCount: sheetDtos.length,
+        sqlCount: sqlDtos.length,
+        skippedWithoutKey,
+        upserted,
+        onlyInSheet: diff.onlyInSheet,
+        onlyInSql: diff.onlyInSql,
+        mismatched: diff.mismatched,
+        // Sheet 上的每一筆都已在 SQL 且內容一致，即可考慮停用該工作表
+        retireReady: diff.onlyInSheet.length === 0 && diff.mismatched.length === 0
+    };
+}
+
+function printSummary(report) {
+    console.log('\n==================== 對帳結果 ====================');
+    report.units.forEach(result => {
+        const status = result.error ? '❌' : (result.retireReady ? '✅' : '⚠️');
+        console.log(`${status} [${result.module}] ${result.sheet} → ${result.table}`);
+        if (result.error) {
+            console.log(`    錯誤: ${result.error}`);
+            return;
+        }
+        console.log(`    Sheet ${result.sheetCount} 筆 / SQL ${result.sqlCount} 筆` +
+            (report.apply ? ` / 本次寫入 ${result.upserted} 筆` : ''));
+        console.log(`    僅在 Sheet: ${result.onlyInSheet.length}，僅在 SQL: ${result.onlyInSql.length}，欄位不一致: ${result.mismatched.length}` +
+            (result.skippedWithoutKey ? `，缺主鍵略過: ${result.skippedWithoutKey}` : ''));
+    });
+
+    report.skippedSheets.forEach(({ sheet, reason }) => {
+        console.log(`⏭️  ${sheet}: ${reason}`);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const units = options.modules
+        ? MIGRATION_UNITS.filter(unit => options.modules.includes(unit.module))
+        : MIGRATION_UNITS;
+
+    if (units.length === 0) {
+        const available = [...new Set(MIGRATION_UNITS.map(unit => unit.module))].join(', ');
+        throw new Error(`找不到指定的模組 (可用: ${available})`);
+    }
+
+    console.log(options.apply ? '🚚 模式: 寫入 (--apply)' : '🔍 模式: 僅對帳 (Dry Run，加上 --apply 才會寫入)');
+
+    const sheets = await createSheetsClient();
+    const readers = {
+        contactReader: new ContactReader(sheets, config.IDS.CORE),
+        contactSqlReader: new ContactSqlReader(),
+        companyReader: new CompanyReader(sheets, config.IDS.CORE),
+        companySqlReader: new CompanySqlReader(),
+        opportunityReader: new OpportunityReader(sheets, config.IDS.CORE),
+        opportunitySqlReader: new OpportunitySqlReader(),
+        interactionReader: new InteractionReader(sheets, config.IDS.CORE),
+        interactionSqlReader: new InteractionSqlReader(),
+        eventLogReader: new EventLogReader(sheets, config.IDS.CORE),
+        eventLogSqlReader: new EventLogSqlReader(),
+        weeklyReader: new WeeklyBusinessReader(sheets, config.IDS.CORE),
+        weeklySqlReader: new WeeklyBusinessSqlReader(),
+        announcementReader: new AnnouncementReader(sheets, config.IDS.CORE),
+        announcementSqlReader: new AnnouncementSqlReader()
+    };
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        apply: options.apply,
+        backend: config.LOCAL_DATA.ENABLED ? 'LOCAL' : 'REMOTE',
+        units: [],
+        skippedSheets: options.modules ? [] : Object.entries(UNMIGRATED_SHEETS).map(([sheet, reason]) => ({ sheet, reason }))
+    };
+
+    for (const unit of units) {
+        console.log(`\n▶ [${unit.module}] ${unit.sheet} → ${unit.table}`);
+        try {
+            report.units.push(await migrateUnit(unit, readers, options.apply));
+        } catch (error) {
+            console.error(`❌ [${unit.module}] ${unit.sheet} 處理失敗: ${error.message}`);
+            report.units.push({ module: unit.module, sheet: unit.sheet, table: unit.table, error: error.message, retireReady: false });
+        }
+    }
+
+    printSummary(report);
+
+    if (options.reportPath) {
+        fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n📄 差異報告已輸出: ${options.reportPath}`);
+    }
+
+    return report.units.some(result => result.error) ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,105 @@
+/**
+ * tools/webhook-receiver.js
+ * 本機 Webhook 接收端 (測試用)
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 在本機啟動一個簡易 HTTP 伺服器接收 CRM Webhook，驗證簽章並印出事件內容，
+ * 用於設定訂閱前確認網路連線與簽章密鑰，或作為 ERP / BI 端實作驗證邏輯的參考。
+ * - 簽章：HMAC-SHA256(secret, `${X-CRM-Timestamp}.${原始 body}`)，與 X-CRM-Signature 以定時比較驗證。
+ * - 時間戳記與現在相差超過 --tolerance 秒 (預設 300) 視為重放，回應 400。
+ * - 加上 --fail 時一律回應 500，用於觀察 CRM 端的重送與傳送紀錄。
+ *
+ * 用法：
+ *   node tools/webhook-receiver.js --port=4000 --secret=whsec_xxx
+ *   node tools/webhook-receiver.js --port=4000 --secret=whsec_xxx --fail
+ *   (CRM 端訂閱網址填 http://<本機位址>:4000/)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config');
+
+const SIGNATURE_HEADER = config.WEBHOOKS.SIGNATURE_HEADER.toLowerCase();
+
+function parseArgs(argv) {
+    const options = { port: 4000, secret: '', tolerance: 300, fail: false };
+
+    argv.forEach(arg => {
+        if (arg === '--fail') {
+            options.fail = true;
+        } else if (arg.startsWith('--port=')) {
+            options.port = Number(arg.slice('--port='.length));
+        } else if (arg.startsWith('--secret=')) {
+            options.secret = arg.slice('--secret='.length).trim();
+        } else if (arg.startsWith('--tolerance=')) {
+            options.tolerance = Number(arg.slice('--tolerance='.length));
+        } else {
+            throw new Error(`無法識別的參數: ${arg}`);
+        }
+    });
+
+    if (!Number.isInteger(options.port) || options.port <= 0) throw new Error('--port 須為正整數');
+    return options;
+}
+
+/**
+ * 驗證簽章；未提供 --secret 時略過 (僅印出內容)
+ * @returns {string|null} 錯誤訊息，通過時為 null
+ */
+function verify(req, body, options) {
+    if (!options.secret) return null;
+
+    const timestamp = req.headers['x-crm-timestamp'];
+    const signature = String(req.headers[SIGNATURE_HEADER] || '');
+    if (!timestamp || !signature) return '缺少簽章標頭';
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > options.tolerance) return '時間戳記超出容許範圍';
+
+    const expected = 'sha256=' + crypto.createHmac('sha256', options.secret).update(`${timestamp}.${body}`).digest('hex');
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return '簽章不符';
+    return null;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.secret) console.warn('⚠️ 未指定 --secret，將不驗證簽章');
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const error = verify(req, body, options);
+            const label = `${req.headers['x-crm-event'] || '(unknown)'} ${req.headers['x-crm-delivery'] || ''}`;
+
+            if (error) {
+                console.log(`❌ ${label}: ${error}`);
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error }));
+                return;
+            }
+
+            console.log(`📨 ${label}${options.secret ? ' (簽章正確)' : ''}`);
+            try {
+                console.log(JSON.stringify(JSON.parse(body), null, 2));
+            } catch (parseError) {
+                console.log(body);
+            }
+
+            res.writeHead(options.fail ? 500 : 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: !options.fail }));
+        });
+    });
+
+    server.listen(options.port, () => {
+        console.log(`👂 Webhook 接收端已啟動: http://localhost:${options.port}/${options.fail ? ' (--fail：一律回應 500)' : ''}`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
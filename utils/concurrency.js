@@ -0,0 +1,75 @@
+/**
+ * utils/concurrency.js
+ * 樂觀鎖 (Optimistic Concurrency) 工具函式
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 以既有欄位作為版本權杖：機會/公司使用「最後更新時間」，事件紀錄使用「修訂版次」。
+ * 呼叫端未提供 expectedVersion 時不做檢查 (向下相容)；版本不符時拋出 code = 'VERSION_CONFLICT' 的錯誤，
+ * 由 handleApiError 轉為 HTTP 409。
+ */
+
+const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+/**
+ * 正規化版本權杖 (去除 ETag 的 W/ 前綴與引號)
+ * @param {*} version
+ * @returns {string|null} 未提供時回傳 null
+ */
+const normalizeVersion = (version) => {
+    if (version === undefined || version === null) return null;
+    return String(version).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+};
+
+/**
+ * 從請求取得 expectedVersion：body.expectedVersion 優先，其次 If-Match 標頭 ('*' 視為不檢查)
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const readExpectedVersion = (req) => {
+    const fromBody = req.body ? normalizeVersion(req.body.expectedVersion) : null;
+    if (fromBody !== null && fromBody !== '') return fromBody;
+
+    const ifMatch = normalizeVersion(req.get ? req.get('If-Match') : null);
+    if (!ifMatch || ifMatch === '*') return null;
+    return ifMatch;
+};
+
+/**
+ * 建立版本衝突錯誤
+ * @param {string} entity - e.g. 'opportunity'
+ * @param {string} id
+ * @param {*} currentVersion - 目前資料的版本權杖
+ */
+const createVersionConflictError = (entity, id, currentVersion) => {
+    const error = new Error(`版本衝突：${entity} (${id}) 已被其他人更新，請重新載入後再儲存。`);
+    error.code = VERSION_CONFLICT;
+    error.statusCode = 409;
+    error.currentVersion = normalizeVersion(currentVersion) || '';
+    return error;
+};
+
+/**
+ * 比對版本權杖，不符時拋出 VERSION_CONFLICT
+ * @param {*} expectedVersion - 呼叫端持有的版本 (null/undefined 表示不檢查)
+ * @param {*} currentVersion - 資料目前的版本
+ * @param {{entity: string, id: string}} target
+ */
+const assertVersion = (expectedVersion, currentVersion, { entity, id }) => {
+    const expected = normalizeVersion(expectedVersion);
+    if (expected === null) return;
+
+    if (expected !== (normalizeVersion(currentVersion) || '')) {
+        throw createVersionConflictError(entity, id, currentVersion);
+    }
+};
+
+const isVersionConflict = (error) => Boolean(error && error.code === VERSION_CONFLICT);
+
+module.exports = {
+    VERSION_CONFLICT,
+    normalizeVersion,
+    readExpectedVersion,
+    createVersionConflictError,
+    assertVersion,
+    isVersionConflict
+};
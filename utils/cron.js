@@ -0,0 +1,153 @@
+/**
+ * utils/cron.js
+ * Cron 排程運算式工具函式
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 解析標準 5 欄位 cron 運算式 (分 時 日 月 星期)，供 JobSchedulerService 判斷工作是否到期。
+ * 支援 *、數值、範圍 (1-5)、清單 (1,15)、間隔 (*\/10、8-18/2)；星期 0 與 7 皆為週日。
+ * 依 crontab 慣例：「日」與「星期」都有限制時，符合其中之一即執行。
+ * 時間一律以指定時區 (預設 config.TIMEZONE) 的牆上時間比對，不受伺服器時區影響。
+ */
+
+const config = require('../config');
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// 往後搜尋下次執行時間的上限 (一年)
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+const formatters = new Map();
+
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+    text.split(',').forEach(part => {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) throw new Error(`cron ${name} 間隔無效: ${part}`);
+
+        let start = min;
+        let end = max;
+        if (rangeText !== '*') {
+            const bounds = rangeText.split('-').map(Number);
+            if (bounds.length > 2 || bounds.some(n => !Number.isInteger(n))) throw new Error(`cron ${name} 格式無效: ${part}`);
+            [start, end] = bounds.length === 2 ? bounds : [bounds[0], stepText === undefined ? bounds[0] : max];
+        }
+        if (start < min || end > max || start > end) throw new Error(`cron ${name} 超出範圍 (${min}-${max}): ${part}`);
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    });
+
+    if (name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+    return values;
+};
+
+/**
+ * 解析 cron 運算式
+ * @param {string} expression - 例如 '0 9 * * 1-5'
+ * @returns {Object} { expression, minute, hour, dayOfMonth, month, dayOfWeek (Set), dayOfMonthRestricted, dayOfWeekRestricted }
+ * @throws {Error} 格式錯誤時
+ */
+const parseCron = (expression) => {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) throw new Error(`cron 運算式需為 5 個欄位: "${expression}"`);
+
+    const schedule = { expression: parts.join(' ') };
+    FIELDS.forEach((field, index) => {
+        schedule[field.name] = parseField(parts[index], field);
+    });
+    schedule.dayOfMonthRestricted = parts[2] !== '*';
+    schedule.dayOfWeekRestricted = parts[4] !== '*';
+    return schedule;
+};
+
+const isValidCron = (expression) => {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * 取得指定時區的牆上時間欄位
+ */
+const getZonedParts = (date, timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', weekday: 'short',
+            month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }));
+    }
+    const parts = {};
+    formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        dayOfMonth: Number(parts.day),
+        month: Number(parts.month),
+        dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+};
+
+const matchesParts = (schedule, parts) => {
+    if (!schedule.minute.has(parts.minute) || !schedule.hour.has(parts.hour) || !schedule.month.has(parts.month)) return false;
+
+    const dayOfMonthMatch = schedule.dayOfMonth.has(parts.dayOfMonth);
+    const dayOfWeekMatch = schedule.dayOfWeek.has(parts.dayOfWeek);
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dayOfMonthMatch || dayOfWeekMatch;
+    return dayOfMonthMatch && dayOfWeekMatch;
+};
+
+/**
+ * 判斷某一分鐘是否符合排程
+ * @param {Object|string} schedule - parseCron 的結果或運算式
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {boolean}
+ */
+const matchesCron = (schedule, date, timeZone = config.TIMEZONE) => {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    return matchesParts(parsed, getZonedParts(date, timeZone));
+};
+
+/**
+ * 計算 after 之後 (不含當分鐘) 的下一次執行時間
+ * @param {Object|string} schedule - parseCron 的結果或運算式
+ * @param {Date} [after]
+ * @param {string} [timeZone]
+ * @returns {Date|null} 一年內無符合時間時回傳 null (例如 2 月 30 日)
+ */
+const getNextRun = (schedule, after = new Date(), timeZone = config.TIMEZONE) => {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const cursor = new Date(after.getTime());
+    cursor.setUTCSeconds(0, 0);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+        cursor.setUTCMinutes(cursor.getUTCMinutes() + 1);
+        const parts = getZonedParts(cursor, timeZone);
+        if (matchesParts(parsed, parts)) return new Date(cursor.getTime());
+
+        // 小時不符時直接跳到下一個整點 (時區偏移皆為整數分鐘，不會跳過符合的時間)
+        if (!parsed.hour.has(parts.hour)) cursor.setUTCMinutes(cursor.getUTCMinutes() + 59 - parts.minute);
+    }
+    return null;
+};
+
+module.exports = {
+    parseCron,
+    isValidCron,
+    matchesCron,
+    getNextRun
+};
@@ -0,0 +1,67 @@
+/**
+ * utils/password-policy.js
+ * 密碼規則檢查
+ * * @version 1.0.0
+ * @date 2026-10-19
+ * @description 依 config.AUTH.PASSWORD_POLICY 檢查密碼 (長度、英文字母、數字、符號、不可包含帳號)。
+ * 使用者變更密碼 (AuthService) 與管理員設定密碼 (UserAdminService) 共用；系統產生的臨時密碼不經此檢查。
+ */
+
+const config = require('../config');
+
+/**
+ * 取得前端可顯示的密碼規則
+ * @param {Object} [policy]
+ * @returns {{minLength: number, requireLetter: boolean, requireDigit: boolean, requireSymbol: boolean, disallowUsername: boolean}}
+ */
+const describePolicy = (policy = config.AUTH.PASSWORD_POLICY) => ({
+    minLength: policy.MIN_LENGTH,
+    requireLetter: !!policy.REQUIRE_LETTER,
+    requireDigit: !!policy.REQUIRE_DIGIT,
+    requireSymbol: !!policy.REQUIRE_SYMBOL,
+    disallowUsername: !!policy.DISALLOW_USERNAME
+});
+
+/**
+ * 列出密碼不符合的規則
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string} [options.username] - 檢查密碼是否包含帳號
+ * @param {Object} [options.policy] - 預設為 config.AUTH.PASSWORD_POLICY
+ * @returns {Array<string>} 不符合的規則說明；空陣列代表通過
+ */
+const getPasswordViolations = (password, { username, policy = config.AUTH.PASSWORD_POLICY } = {}) => {
+    const value = String(password || '');
+    const violations = [];
+
+    if (value.length < policy.MIN_LENGTH) violations.push(`長度至少需 ${policy.MIN_LENGTH} 碼`);
+    if (policy.REQUIRE_LETTER && !/[A-Za-z]/.test(value)) violations.push('需包含英文字母');
+    if (policy.REQUIRE_DIGIT && !/[0-9]/.test(value)) violations.push('需包含數字');
+    if (policy.REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(value)) violations.push('需包含符號');
+    if (policy.DISALLOW_USERNAME && username && value.toLowerCase().includes(String(username).toLowerCase())) {
+        violations.push('不可包含帳號');
+    }
+
+    return violations;
+};
+
+/**
+ * 密碼不符合規則時拋出 statusCode = 400 的錯誤
+ * @param {string} password
+ * @param {Object} [options] - 同 getPasswordViolations
+ */
+const assertPasswordPolicy = (password, options = {}) => {
+    const violations = getPasswordViolations(password, options);
+    if (violations.length === 0) return;
+
+    const error = new Error(`密碼不符合規則：${violations.join('、')}`);
+    error.statusCode = 400;
+    error.violations = violations;
+    throw error;
+};
+
+module.exports = {
+    describePolicy,
+    getPasswordViolations,
+    assertPasswordPolicy
+};
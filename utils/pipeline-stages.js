@@ -0,0 +1,191 @@
+/**
+ * utils/pipeline-stages.js
+ * 銷售階段 (機會階段) 中繼資料工具函式
+ * * @version 1.2.0
+ * @date 2026-10-19
+ * @description 從系統設定「機會階段」解析每個階段的類型 (open / won / lost)、預設贏單機率與排序。
+ * 系統設定欄位對應：顯示順序 = 排序、value2 (G欄) = 預設贏單機率 (0-100)、value3 (H欄) = 階段類型。
+ * 未標記類型的階段先查 config.PIPELINE.LEGACY_STAGE_TYPES (舊資料相容)，否則視為 open。
+ * 設定中沒有某類型的階段時，getDefaultStage 沿用 config.PIPELINE.LEGACY_DEFAULT_STAGES 的舊階段名稱。
+ */
+
+const config = require('../config');
+
+const STAGE_CONFIG_TYPE = '機會階段';
+
+const STAGE_TYPES = Object.freeze({
+    OPEN: 'open',
+    WON: 'won',
+    LOST: 'lost'
+});
+
+// 設定表中可接受的類型寫法
+const STAGE_TYPE_ALIASES = {
+    open: STAGE_TYPES.OPEN, '進行中': STAGE_TYPES.OPEN,
+    won: STAGE_TYPES.WON, win: STAGE_TYPES.WON, '贏單': STAGE_TYPES.WON, '成交': STAGE_TYPES.WON,
+    lost: STAGE_TYPES.LOST, loss: STAGE_TYPES.LOST, '輸單': STAGE_TYPES.LOST, '失敗': STAGE_TYPES.LOST
+};
+
+/**
+ * 解析階段類型
+ * @param {Object} stage - 系統設定項目 ({ value, value3 })
+ * @returns {string} STAGE_TYPES 之一
+ */
+const parseStageType = (stage) => {
+    const raw = stage && stage.value3 ? String(stage.value3).trim() : '';
+    const explicit = STAGE_TYPE_ALIASES[raw.toLowerCase()] || STAGE_TYPE_ALIASES[raw];
+    if (explicit) return explicit;
+
+    const legacy = ((config.PIPELINE && config.PIPELINE.LEGACY_STAGE_TYPES) || {})[stage && stage.value];
+    return legacy || STAGE_TYPES.OPEN;
+};
+
+/**
+ * 解析百分比文字，接受 "30"、"30%"、"0.3"、"高 (70%)"
+ * @param {*} value
+ * @returns {number|null} 0-100；無法解析時回傳 null
+ */
+const parsePercent = (value) => {
+    const raw = value !== null && value !== undefined ? String(value).trim() : '';
+    const match = raw.match(/\d+(\.\d+)?/);
+    if (!match) return null;
+
+    const num = parseFloat(match[0]);
+    const percent = (num > 0 && num <= 1 && !raw.includes('%')) ? num * 100 : num;
+    return Math.min(100, Math.max(0, Math.round(percent)));
+};
+
+/**
+ * 解析預設贏單機率
+ * @param {Object} stage - 系統設定項目 ({ value2 })
+ * @param {string} stageType
+ * @returns {number|null} 0-100；未設定時 won = 100、lost = 0、open = null
+ */
+const parseWinProbability = (stage, stageType) => {
+    const percent = parsePercent(stage ? stage.value2 : null);
+    if (percent !== null) return percent;
+
+    if (stageType === STAGE_TYPES.WON) return 100;
+    if (stageType === STAGE_TYPES.LOST) return 0;
+    return null;
+};
+
+/**
+ * 為階段清單補上 stageType / winProbability (就地修改並回傳)
+ * @param {Array<Object>} stages - systemConfig['機會階段']
+ * @returns {Array<Object>}
+ */
+const annotateStages = (stages) => {
+    (stages || []).forEach(stage => {
+        stage.stageType = parseStageType(stage);
+        stage.winProbability = parseWinProbability(stage, stage.stageType);
+    });
+    return stages;
+};
+
+/**
+ * 取得已排序、含中繼資料的階段清單 (不修改傳入的設定)
+ * @param {Object} systemConfig - getSystemConfig() 的結果
+ * @returns {Array<{value: string, note: string, order: number, stageType: string, winProbability: number|null}>}
+ */
+const getStages = (systemConfig) => {
+    const stages = ((systemConfig && systemConfig[STAGE_CONFIG_TYPE]) || []).map(stage => ({ ...stage }));
+    return annotateStages(stages).sort((a, b) => (a.order || 99) - (b.order || 99));
+};
+
+/**
+ * 依類型取得階段代碼清單 (依排序)
+ * @param {Object} systemConfig
+ * @param {string} stageType - STAGE_TYPES 之一
+ * @returns {Array<string>}
+ */
+const getStageValuesByType = (systemConfig, stageType) => {
+    return getStages(systemConfig).filter(s => s.stageType === stageType).map(s => s.value);
+};
+
+/**
+ * 查詢單一階段的類型；不在設定中的階段回傳 null
+ * @param {Object} systemConfig
+ * @param {string} stageValue
+ * @returns {string|null}
+ */
+const getStageType = (systemConfig, stageValue) => {
+    const stage = getStages(systemConfig).find(s => s.value === stageValue);
+    return stage ? stage.stageType : null;
+};
+
+/**
+ * 取得指定類型的預設階段：設定中該類型的第一個階段 (依排序)；
+ * 尚未設定該類型時沿用 config.PIPELINE.LEGACY_DEFAULT_STAGES (舊版寫死的階段名稱)
+ * @param {Object} systemConfig
+ * @param {string} stageType - STAGE_TYPES 之一
+ * @returns {string|null}
+ */
+const getDefaultStage = (systemConfig, stageType) => {
+    const [stage] = getStageValuesByType(systemConfig, stageType);
+    if (stage) return stage;
+    return ((config.PIPELINE && config.PIPELINE.LEGACY_DEFAULT_STAGES) || {})[stageType] || null;
+};
+
+/**
+ * 建立成交判定函式
+ * 階段類型為 won 者視為成交、lost 者不算；不在設定中的舊階段依 LEGACY_STAGE_TYPES 判斷。
+ * 其餘案件相容舊資料：狀態為「已完成」即視為成交 (階段類型化之前的結案紀錄)。
+ * @param {Object} systemConfig
+ * @returns {Function} (opportunity) => boolean
+ */
+const createWonMatcher = (systemConfig) => {
+    const stageTypes = new Map(getStages(systemConfig).map(s => [s.value, s.stageType]));
+    const legacyTypes = (config.PIPELINE && config.PIPELINE.LEGACY_STAGE_TYPES) || {};
+    const completedStatus = config.CONSTANTS.OPPORTUNITY_STATUS.COMPLETED;
+
+    return (opportunity) => {
+        const stage = opportunity && opportunity.currentStage;
+        const stageType = stageTypes.get(stage) || legacyTypes[stage];
+        if (stageType === STAGE_TYPES.WON) return true;
+        if (stageType === STAGE_TYPES.LOST) return false;
+        return !!opportunity && opportunity.currentStatus === completedStatus;
+    };
+};
+
+/**
+ * 解析「階段歷程」
+ * 相容三種儲存格式：陣列 (SQL)、JSON 字串、逗號分隔字串；項目為 "C:階段" (完成) / "X:階段" (跳過) 或無前綴的舊格式 (視為完成)
+ * @param {Array<string>|string} stageHistory
+ * @returns {Array<{status: string, stage: string}>} status 為 'C' 或 'X'
+ */
+const parseStageHistory = (stageHistory) => {
+    let items = stageHistory;
+    if (!Array.isArray(items)) {
+        const raw = stageHistory ? String(stageHistory).trim() : '';
+        if (raw.startsWith('[')) {
+            try { items = JSON.parse(raw); } catch (e) { items = []; }
+        } else {
+            items = raw.split(',');
+        }
+    }
+
+    return (Array.isArray(items) ? items : [])
+        .map(item => String(item || '').trim())
+        .filter(Boolean)
+        .map(item => {
+            const separator = item.indexOf(':');
+            if (separator === -1) return { status: 'C', stage: item };
+            return { status: item.slice(0, separator) === 'X' ? 'X' : 'C', stage: item.slice(separator + 1) };
+        });
+};
+
+module.exports = {
+    STAGE_CONFIG_TYPE,
+    STAGE_TYPES,
+    parseStageType,
+    parsePercent,
+    parseWinProbability,
+    annotateStages,
+    getStages,
+    getStageValuesByType,
+    getStageType,
+    getDefaultStage,
+    createWonMatcher,
+    parseStageHistory
+};